@@ -34,6 +34,13 @@ function _normalizeMonth(month) {
   return `${y}-${String(m).padStart(2, '0')}`;
 }
 
+/** Number or null for optional numeric columns ('' / null / NaN → null). */
+function _nullableLbs(v) {
+  if (v === '' || v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
 /** Same as _normalizeMonth — alias used by MonthlyInventory for clarity. */
 function _normalizeApiMonth(month) { return _normalizeMonth(month); }
 
@@ -46,8 +53,13 @@ function _normalizePeriodKey(month, period) {
 // =============================================================================
 // PRODUCTS
 //
-// DB: id, name, type, active (bool), inventory_item_id, created_at, updated_at
-// JS: id, name, type, active (bool), inventoryItemId,  createdAt,  updatedAt
+// DB: id, name, type, active (bool), inventory_item_id, weight_target_lbs,
+//     weight_tolerance_lbs, created_at, updated_at
+// JS: id, name, type, active (bool), inventoryItemId,  weightTargetLbs,
+//     weightToleranceLbs,   createdAt,  updatedAt
+//
+// weightTargetLbs / weightToleranceLbs: spec of the 1,000-cap reference
+// package (null = no spec) — see PACKAGE WEIGHT SPC.
 // =============================================================================
 
 function _productFromDb(r) {
@@ -57,6 +69,8 @@ function _productFromDb(r) {
     type:            r.type === 'produced' ? 'manufactured' : (r.type || 'manufactured'),
     active:          r.active !== false,
     inventoryItemId: r.inventory_item_id || null,
+    weightTargetLbs:    r.weight_target_lbs    != null ? Number(r.weight_target_lbs)    : null,
+    weightToleranceLbs: r.weight_tolerance_lbs != null ? Number(r.weight_tolerance_lbs) : null,
     createdAt:       r.created_at,
     updatedAt:       r.updated_at,
   };
@@ -84,6 +98,8 @@ export const ProductsAPI = {
       active:     d.active !== false,
       created_at: new Date().toISOString(),
     };
+    if (d.weightTargetLbs    !== undefined) row.weight_target_lbs    = _nullableLbs(d.weightTargetLbs);
+    if (d.weightToleranceLbs !== undefined) row.weight_tolerance_lbs = _nullableLbs(d.weightToleranceLbs);
     const { data, error } = await _sb.from('products').insert(row).select().single();
     if (error) throw new Error(error.message);
     return _productFromDb(data);
@@ -95,6 +111,8 @@ export const ProductsAPI = {
     if (d.type   !== undefined) u.type   = d.type === 'produced' ? 'manufactured' : (d.type || 'manufactured');
     if (d.active !== undefined) u.active = Boolean(d.active);
     if (d.inventoryItemId !== undefined) u.inventory_item_id = d.inventoryItemId || null;
+    if (d.weightTargetLbs    !== undefined) u.weight_target_lbs    = _nullableLbs(d.weightTargetLbs);
+    if (d.weightToleranceLbs !== undefined) u.weight_tolerance_lbs = _nullableLbs(d.weightToleranceLbs);
 
     const { data, error } = await _sb.from('products').update(u)
       .eq('id', String(id)).select().single();
@@ -172,12 +190,577 @@ export const MachinesAPI = {
 };
 
 
+// =============================================================================
+// MACHINE DOWNTIME (paradas / mantenimiento — Máquinas → Historial)
+//
+// DB: id, machine_id, started_at, ended_at (null = still down), cause,
+//     description, technician_id, parts, cost, expense_id,
+//     created_at, updated_at
+// JS: id, machineId,  startedAt,  endedAt,                      cause,
+//     description, technicianId,  parts, cost, expenseId,
+//     createdAt, updatedAt
+//
+// technicianId → service_providers.id; expenseId → expenses.id (optional).
+// =============================================================================
+
+/** Cause keys with their Spanish labels, in display order. */
+export const DOWNTIME_CAUSES = [
+  { value: 'averia',                   label: 'Avería' },
+  { value: 'cambio_molde',             label: 'Cambio de molde' },
+  { value: 'falta_material',           label: 'Falta de material' },
+  { value: 'mantenimiento_preventivo', label: 'Mantenimiento preventivo' },
+];
+
+function _downtimeFromDb(r) {
+  return {
+    id:           r.id,
+    machineId:    r.machine_id,
+    startedAt:    r.started_at,
+    endedAt:      r.ended_at ?? null,
+    cause:        r.cause,
+    description:  r.description || '',
+    technicianId: r.technician_id ?? null,
+    parts:        r.parts || '',
+    cost:         Number(r.cost ?? 0),
+    expenseId:    r.expense_id ?? null,
+    createdAt:    r.created_at,
+    updatedAt:    r.updated_at,
+  };
+}
+
+export const MachineDowntimeAPI = {
+  async getAll({ machineId } = {}) {
+    let query = _sb.from('machine_downtime_events').select('*')
+      .order('started_at', { ascending: false });
+    if (machineId) query = query.eq('machine_id', String(machineId));
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return (data || []).map(_downtimeFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:            _genId('dt'),
+      machine_id:    String(d.machineId || ''),
+      started_at:    d.startedAt,
+      ended_at:      d.endedAt || null,
+      cause:         d.cause,
+      description:   (d.description || '').trim() || null,
+      technician_id: d.technicianId || null,
+      parts:         (d.parts || '').trim() || null,
+      cost:          Number(d.cost) || 0,
+      expense_id:    d.expenseId || null,
+      created_at:    now,
+      updated_at:    now,
+    };
+    const { data, error } = await _sb.from('machine_downtime_events')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _downtimeFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString() };
+    if (d.machineId    !== undefined) u.machine_id    = String(d.machineId || '');
+    if (d.startedAt    !== undefined) u.started_at    = d.startedAt;
+    if (d.endedAt      !== undefined) u.ended_at      = d.endedAt || null;
+    if (d.cause        !== undefined) u.cause         = d.cause;
+    if (d.description  !== undefined) u.description   = (d.description || '').trim() || null;
+    if (d.technicianId !== undefined) u.technician_id = d.technicianId || null;
+    if (d.parts        !== undefined) u.parts         = (d.parts || '').trim() || null;
+    if (d.cost         !== undefined) u.cost          = Number(d.cost) || 0;
+    if (d.expenseId    !== undefined) u.expense_id    = d.expenseId || null;
+
+    const { data, error } = await _sb.from('machine_downtime_events').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _downtimeFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('machine_downtime_events').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/**
+ * Downtime hours per calendar month (local time). Events that cross a month
+ * boundary are split; events still open count up to `nowMs`.
+ *
+ * @param {Object[]} events  - MachineDowntimeAPI rows
+ * @param {number}   [nowMs] - end for open events; defaults to Date.now()
+ * @returns {Map<string, number>} "YYYY-MM" → hours
+ */
+export function getDowntimeHoursByMonth(events, nowMs = Date.now()) {
+  const byMonth = new Map();
+  for (const ev of events || []) {
+    let start = new Date(ev.startedAt).getTime();
+    const end = ev.endedAt ? new Date(ev.endedAt).getTime() : nowMs;
+    while (start < end) {
+      const d         = new Date(start);
+      const nextMonth = new Date(d.getFullYear(), d.getMonth() + 1, 1).getTime();
+      const sliceEnd  = Math.min(end, nextMonth);
+      const key       = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+      byMonth.set(key, (byMonth.get(key) || 0) + (sliceEnd - start) / 3600000);
+      start = sliceEnd;
+    }
+  }
+  return byMonth;
+}
+
+
+// =============================================================================
+// MAINTENANCE PLANS (mantenimiento preventivo — Máquinas / Dashboard)
+//
+// DB: id, machine_id, name, tasks (jsonb), interval_days, interval_packages,
+//     last_done_date, last_done_notes, is_active, created_at, updated_at
+// JS: id, machineId,  name, tasks (array), intervalDays, intervalPackages,
+//     lastDoneDate,   lastDoneNotes,   isActive,  createdAt,  updatedAt
+//
+// intervalDays / intervalPackages: null = not used; at least one is set.
+// =============================================================================
+
+/** A plan is "próximo" within this many days or this share of its package interval. */
+export const MAINTENANCE_DUE_SOON_DAYS     = 7;
+export const MAINTENANCE_DUE_SOON_PACKAGES = 0.1;
+
+function _maintenancePlanFromDb(r) {
+  return {
+    id:               r.id,
+    machineId:        r.machine_id,
+    name:             r.name,
+    tasks:            Array.isArray(r.tasks) ? r.tasks : [],
+    intervalDays:     r.interval_days     ? Number(r.interval_days)     : null,
+    intervalPackages: r.interval_packages ? Number(r.interval_packages) : null,
+    lastDoneDate:     r.last_done_date,
+    lastDoneNotes:    r.last_done_notes || '',
+    isActive:         r.is_active !== false,
+    createdAt:        r.created_at,
+    updatedAt:        r.updated_at,
+  };
+}
+
+function _maintenancePlanToDb(d) {
+  const u = {};
+  if (d.machineId        !== undefined) u.machine_id        = String(d.machineId || '');
+  if (d.name             !== undefined) u.name              = (d.name || '').trim();
+  if (d.tasks            !== undefined) u.tasks             =
+    (d.tasks || []).map(t => String(t).trim()).filter(Boolean);
+  if (d.intervalDays     !== undefined) u.interval_days     = parseInt(d.intervalDays, 10) || null;
+  if (d.intervalPackages !== undefined) u.interval_packages = Number(d.intervalPackages) || null;
+  if (d.lastDoneDate     !== undefined) u.last_done_date    = d.lastDoneDate;
+  if (d.lastDoneNotes    !== undefined) u.last_done_notes   = (d.lastDoneNotes || '').trim() || null;
+  if (d.isActive         !== undefined) u.is_active         = Boolean(d.isActive);
+  return u;
+}
+
+export const MaintenancePlansAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('maintenance_plans')
+      .select('*').order('name', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_maintenancePlanFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:         _genId('mplan'),
+      ..._maintenancePlanToDb({ isActive: true, ...d }),
+      created_at: now,
+      updated_at: now,
+    };
+    const { data, error } = await _sb.from('maintenance_plans')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _maintenancePlanFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._maintenancePlanToDb(d) };
+    const { data, error } = await _sb.from('maintenance_plans').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _maintenancePlanFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('maintenance_plans').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+
+  /** Record a completion: restarts both intervals from `doneDate`. */
+  async complete(id, doneDate, notes) {
+    return this.update(id, { lastDoneDate: doneDate, lastDoneNotes: notes || '' });
+  },
+};
+
+/**
+ * Where a plan stands today. Packages are summed from production records of
+ * the plan's machine dated after lastDoneDate.
+ *
+ * @param {Object}   plan       - MaintenancePlansAPI row
+ * @param {Object[]} production - ProductionAPI rows (any machine)
+ * @param {string}   [todayYMD] - "YYYY-MM-DD"; defaults to today
+ * @returns {{ status: 'overdue'|'due_soon'|'ok', dueDate: string|null,
+ *             daysLeft: number|null, packagesSince: number,
+ *             packagesLeft: number|null }}
+ */
+export function getMaintenanceStatus(plan, production, todayYMD) {
+  const today = todayYMD || new Date().toISOString().slice(0, 10);
+
+  const packagesSince = (production || [])
+    .filter(r => String(r.machineId) === String(plan.machineId)
+              && (r.productionDate || '') > (plan.lastDoneDate || ''))
+    .reduce((s, r) => s + (Number(r.quantity) || 0), 0);
+
+  let dueDate = null, daysLeft = null;
+  if (plan.intervalDays) {
+    const d = new Date(`${plan.lastDoneDate}T00:00:00`);
+    d.setDate(d.getDate() + plan.intervalDays);
+    dueDate  = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    daysLeft = Math.round((d - new Date(`${today}T00:00:00`)) / 86400000);
+  }
+  const packagesLeft = plan.intervalPackages ? plan.intervalPackages - packagesSince : null;
+
+  let status = 'ok';
+  if ((daysLeft !== null && daysLeft < 0) || (packagesLeft !== null && packagesLeft <= 0)) {
+    status = 'overdue';
+  } else if ((daysLeft !== null && daysLeft <= MAINTENANCE_DUE_SOON_DAYS) ||
+             (packagesLeft !== null &&
+              packagesLeft <= plan.intervalPackages * MAINTENANCE_DUE_SOON_PACKAGES)) {
+    status = 'due_soon';
+  }
+
+  return { status, dueDate, daysLeft, packagesSince, packagesLeft };
+}
+
+/**
+ * Active plans that are overdue or due soon, overdue first.
+ * @returns {Array<{ plan: Object } & ReturnType<typeof getMaintenanceStatus>>}
+ */
+export function getMaintenanceAlerts(plans, production, todayYMD) {
+  const rank = { overdue: 0, due_soon: 1 };
+  return (plans || [])
+    .filter(p => p.isActive)
+    .map(plan => ({ plan, ...getMaintenanceStatus(plan, production, todayYMD) }))
+    .filter(a => a.status !== 'ok')
+    .sort((a, b) => rank[a.status] - rank[b.status] ||
+      (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity));
+}
+
+
+// =============================================================================
+// MACHINE CAPACITIES (capacidad nominal — Máquinas; base del rendimiento OEE)
+//
+// DB: id, machine_id, product_id (null = any product), packages_per_hour,
+//     created_at, updated_at
+// JS: id, machineId,  productId,                       packagesPerHour,
+//     createdAt,  updatedAt
+// =============================================================================
+
+function _capacityFromDb(r) {
+  return {
+    id:              r.id,
+    machineId:       r.machine_id,
+    productId:       r.product_id ?? null,
+    packagesPerHour: Number(r.packages_per_hour),
+    createdAt:       r.created_at,
+    updatedAt:       r.updated_at,
+  };
+}
+
+export const MachineCapacitiesAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('machine_capacities').select('*');
+    if (error) throw new Error(error.message);
+    return (data || []).map(_capacityFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:                _genId('cap'),
+      machine_id:        String(d.machineId || ''),
+      product_id:        d.productId || null,
+      packages_per_hour: Number(d.packagesPerHour),
+      created_at:        now,
+      updated_at:        now,
+    };
+    const { data, error } = await _sb.from('machine_capacities')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _capacityFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString() };
+    if (d.machineId       !== undefined) u.machine_id        = String(d.machineId || '');
+    if (d.productId       !== undefined) u.product_id        = d.productId || null;
+    if (d.packagesPerHour !== undefined) u.packages_per_hour = Number(d.packagesPerHour);
+
+    const { data, error } = await _sb.from('machine_capacities').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _capacityFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('machine_capacities').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/**
+ * Ideal packages per hour of a machine for a product: the product's own row,
+ * else the machine's default row (productId null), else null.
+ */
+export function getNominalCapacity(capacities, machineId, productId) {
+  let fallback = null;
+  for (const c of capacities || []) {
+    if (String(c.machineId) !== String(machineId)) continue;
+    if (c.productId && String(c.productId) === String(productId)) return c.packagesPerHour;
+    if (!c.productId) fallback = c.packagesPerHour;
+  }
+  return fallback;
+}
+
+
+// =============================================================================
+// MOLDS (moldes — Moldes)
+//
+// DB: id, code, name, product_id, cavities, cycle_seconds, status,
+//     initial_shots, max_shots, notes, created_at, updated_at
+// JS: id, code, name, productId,  cavities, cycleSeconds,  status,
+//     initialShots,  maxShots,  notes, createdAt,  updatedAt
+//
+// Production records carry the mold in extra: moldId, moldCavitiesSnapshot.
+// =============================================================================
+
+/** Caps in one package — the unit production quantities are recorded in. */
+export const CAPS_PER_PACKAGE = 1000;
+
+/**
+ * Hours of one production record (one shift) used for the theoretical
+ * output of a mold: shift seconds ÷ cycle × cavities.
+ */
+export const MOLD_NOMINAL_SHIFT_HOURS = 8;
+
+/** Status keys with their Spanish labels, in display order. */
+export const MOLD_STATUSES = [
+  { value: 'active',      label: 'Activo' },
+  { value: 'maintenance', label: 'En reparación' },
+  { value: 'retired',     label: 'Retirado' },
+];
+
+function _moldFromDb(r) {
+  return {
+    id:           r.id,
+    code:         r.code,
+    name:         r.name,
+    productId:    r.product_id ?? null,
+    cavities:     Number(r.cavities),
+    cycleSeconds: Number(r.cycle_seconds),
+    status:       r.status || 'active',
+    initialShots: Number(r.initial_shots ?? 0),
+    maxShots:     r.max_shots != null ? Number(r.max_shots) : null,
+    notes:        r.notes || '',
+    createdAt:    r.created_at,
+    updatedAt:    r.updated_at,
+  };
+}
+
+function _moldToDb(d) {
+  const u = {};
+  if (d.code         !== undefined) u.code          = (d.code || '').trim();
+  if (d.name         !== undefined) u.name          = (d.name || '').trim();
+  if (d.productId    !== undefined) u.product_id    = d.productId || null;
+  if (d.cavities     !== undefined) u.cavities      = parseInt(d.cavities, 10);
+  if (d.cycleSeconds !== undefined) u.cycle_seconds = Number(d.cycleSeconds);
+  if (d.status       !== undefined) u.status        = d.status;
+  if (d.initialShots !== undefined) u.initial_shots = parseInt(d.initialShots, 10) || 0;
+  if (d.maxShots     !== undefined) u.max_shots     = parseInt(d.maxShots, 10) || null;
+  if (d.notes        !== undefined) u.notes         = (d.notes || '').trim() || null;
+  return u;
+}
+
+export const MoldsAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('molds')
+      .select('*').order('code', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_moldFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:         _genId('mold'),
+      ..._moldToDb({ status: 'active', ...d }),
+      created_at: now,
+      updated_at: now,
+    };
+    const { data, error } = await _sb.from('molds').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _moldFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._moldToDb(d) };
+    const { data, error } = await _sb.from('molds').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _moldFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('molds').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+
+// =============================================================================
+// MOLD MOUNTS (montajes de molde en máquina)
+//
+// DB: id, mold_id, machine_id, mounted_at, unmounted_at (null = mounted),
+//     notes, created_at
+// JS: id, moldId,  machineId,  mountedAt,  unmountedAt,  notes, createdAt
+// =============================================================================
+
+function _moldMountFromDb(r) {
+  return {
+    id:          r.id,
+    moldId:      r.mold_id,
+    machineId:   r.machine_id,
+    mountedAt:   r.mounted_at,
+    unmountedAt: r.unmounted_at ?? null,
+    notes:       r.notes || '',
+    createdAt:   r.created_at,
+  };
+}
+
+export const MoldMountsAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('mold_mounts').select('*')
+      .order('mounted_at', { ascending: false });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_moldMountFromDb);
+  },
+
+  /**
+   * Mount a mold on a machine at `mountedAt`. Closes the mold's open mount
+   * (it is being moved) and the machine's open mount (its mold is swapped).
+   */
+  async mount(moldId, machineId, mountedAt, notes) {
+    for (const [col, val] of [['mold_id', moldId], ['machine_id', machineId]]) {
+      const { error } = await _sb.from('mold_mounts')
+        .update({ unmounted_at: mountedAt })
+        .eq(col, String(val)).is('unmounted_at', null);
+      if (error) throw new Error(error.message);
+    }
+    const row = {
+      id:         _genId('mmnt'),
+      mold_id:    String(moldId),
+      machine_id: String(machineId),
+      mounted_at: mountedAt,
+      notes:      (notes || '').trim() || null,
+      created_at: new Date().toISOString(),
+    };
+    const { data, error } = await _sb.from('mold_mounts').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _moldMountFromDb(data);
+  },
+
+  async unmount(id, unmountedAt) {
+    const { data, error } = await _sb.from('mold_mounts')
+      .update({ unmounted_at: unmountedAt })
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _moldMountFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('mold_mounts').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/**
+ * Mold that was on `machineId` on the local date `dateYMD` — the latest mount
+ * started on or before that day and not removed before it. Used to preselect
+ * the mold of a production record.
+ *
+ * @param {Object[]} mounts    - MoldMountsAPI rows
+ * @param {string}   machineId
+ * @param {string}   dateYMD   - "YYYY-MM-DD"
+ * @returns {string|null} moldId
+ */
+export function getMountedMoldId(mounts, machineId, dateYMD) {
+  const ymd = iso => {
+    const d = new Date(iso);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  };
+  const match = (mounts || [])
+    .filter(m => String(m.machineId) === String(machineId)
+              && ymd(m.mountedAt) <= dateYMD
+              && (!m.unmountedAt || ymd(m.unmountedAt) >= dateYMD))
+    .sort((a, b) => new Date(b.mountedAt) - new Date(a.mountedAt))[0];
+  return match ? match.moldId : null;
+}
+
+/**
+ * Shots, wear and theoretical vs. actual output of a mold from the production
+ * records stamped with it. Shots count good and rejected packages (every
+ * rejected package was molded too) and use each record's cavity snapshot so a
+ * later cavity change (blocked cavity) does not rewrite history.
+ *
+ * @param {Object}   mold       - MoldsAPI row
+ * @param {Object[]} production - ProductionAPI rows (any mold)
+ * @returns {{ shifts: number, packages: number, shots: number,
+ *             totalShots: number, wearPct: number|null,
+ *             theoreticalPackages: number, efficiencyPct: number|null }}
+ */
+export function getMoldStats(mold, production) {
+  let shifts = 0, packages = 0, shots = 0, theoreticalPackages = 0;
+  const shotsPerShift = (MOLD_NOMINAL_SHIFT_HOURS * 3600) / mold.cycleSeconds;
+
+  for (const r of production || []) {
+    if (String(r.moldId) !== String(mold.id)) continue;
+    const cavities = Number(r.moldCavitiesSnapshot) || mold.cavities;
+    shifts              += 1;
+    packages            += Number(r.quantity) || 0;
+    shots               += ((Number(r.quantity) || 0) + (Number(r.rejectedQuantity) || 0))
+                           * CAPS_PER_PACKAGE / cavities;
+    theoreticalPackages += (shotsPerShift * cavities) / CAPS_PER_PACKAGE;
+  }
+
+  const totalShots = mold.initialShots + Math.round(shots);
+  return {
+    shifts,
+    packages,
+    shots:               Math.round(shots),
+    totalShots,
+    wearPct:             mold.maxShots ? (totalShots / mold.maxShots) * 100 : null,
+    theoreticalPackages: Math.round(theoreticalPackages),
+    efficiencyPct:       theoreticalPackages > 0 ? (packages / theoreticalPackages) * 100 : null,
+  };
+}
+
+
 // =============================================================================
 // OPERATORS
 //
 // DB: id, name, extra (jsonb), is_active, created_at, updated_at
 // JS: id, name, email, phone, document, …, isActive, createdAt, updatedAt
-// Overflow fields (email, phone, document, etc.) live in the `extra` jsonb.
+// Overflow fields (email, phone, document, bank account, etc.) live in the
+// `extra` jsonb. Bank fields: bankName, bankAccountNumber, bankAccountType.
 // =============================================================================
 
 function _operatorFromDb(r) {
@@ -253,7 +836,7 @@ export const OperatorsAPI = {
 //     operator_rate_snapshot (jsonb), extra (jsonb), created_at, updated_at
 // JS: id, productId, operatorId, machineId, quantity, shift,
 //     productionDate, month, productPriceSnapshot, operatorRateSnapshot,
-//     weightPerPackageSnapshot (in extra), createdAt, updatedAt
+//     weightPerPackageSnapshot, lotNumber (in extra), createdAt, updatedAt
 // =============================================================================
 
 function _productionFromDb(r) {
@@ -292,7 +875,11 @@ function _productionToDb(d) {
   if (d.productPriceSnapshot !== undefined) row.product_price_snapshot  = d.productPriceSnapshot;
   if (d.operatorRateSnapshot !== undefined) row.operator_rate_snapshot  = d.operatorRateSnapshot;
 
-  row.month = d.month || (d.productionDate ? d.productionDate.slice(0, 7) : '');
+  // Partial updates (e.g. the QC totals sync) carry neither field and must
+  // leave the stored month alone.
+  if (d.month !== undefined || d.productionDate !== undefined) {
+    row.month = d.month || (d.productionDate ? d.productionDate.slice(0, 7) : '');
+  }
 
   const extra = {};
   for (const [k, v] of Object.entries(d)) {
@@ -309,8 +896,17 @@ export const ProductionAPI = {
     return (data || []).map(_productionFromDb);
   },
 
+  /** Records of one operator on one date — the multiple-shift check. */
+  async getByOperatorDate(operatorId, date) {
+    const { data, error } = await _sb.from('production').select('*')
+      .eq('operator_id', String(operatorId)).eq('production_date', date);
+    if (error) throw new Error(error.message);
+    return (data || []).map(_productionFromDb);
+  },
+
   async create(d) {
-    const row           = _productionToDb(d);
+    const lotNumber     = d.lotNumber || await nextLotNumber(d.productionDate);
+    const row           = _productionToDb({ ...d, lotNumber });
     const productionId  = _genId();
     const movementId    = _genId('mov');
 
@@ -329,7 +925,9 @@ export const ProductionAPI = {
       p_movement_note:          'Salida de producción',
     });
     if (error) throw new Error(error.message);
-    return _productionFromDb(Array.isArray(data) ? data[0] : data);
+    const created = _productionFromDb(Array.isArray(data) ? data[0] : data);
+    await _stampMovementLots(movementId, [{ lotNumber, quantity: created.quantity }]);
+    return created;
   },
 
   async update(id, d) {
@@ -361,51 +959,1443 @@ export const ProductionAPI = {
 };
 
 // =============================================================================
-// PACKAGE WEIGHTS
+// PIECE RATES (tarifa por paquete — Operarios)
 //
-// Registered by CapDispatch operators: weight of a 1,000-cap reference package
-// per shift. Read by CapFlow's Production module to help fill "Peso por Paquete".
+// DB: id, product_id, machine_id, shift, operator_id, rate, effective_from,
+//     notes, created_at, updated_at
+// JS: id, productId,  machineId,  shift, operatorId,  rate, effectiveFrom,
+//     notes, createdAt,  updatedAt
 //
-// DB: id, weight_lbs, operator_name, shift_date, notes, created_at
+// productId / machineId / shift null = any; operatorId set = override for
+// that operator. Production records still stamp the rate they were saved
+// with (operatorRateSnapshot); the table only fills it in.
 // =============================================================================
 
-export const PackageWeightsAPI = {
-  async getRecent(limit = 10) {
-    const { data, error } = await _sb
-      .from('package_weights')
-      .select('id, weight_lbs, operator_name, shift_date, notes, created_at')
-      .order('shift_date',  { ascending: false })
-      .order('created_at', { ascending: false })
-      .limit(limit);
-    if (error) throw new Error(error.message);
-    return data || [];
-  },
+function _pieceRateFromDb(r) {
+  return {
+    id:            r.id,
+    productId:     r.product_id  ?? null,
+    machineId:     r.machine_id  ?? null,
+    shift:         r.shift       || null,
+    operatorId:    r.operator_id ?? null,
+    rate:          Number(r.rate),
+    effectiveFrom: r.effective_from,
+    notes:         r.notes || '',
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+  };
+}
+
+function _pieceRateToDb(d) {
+  const row = {};
+  if (d.productId     !== undefined) row.product_id     = d.productId  || null;
+  if (d.machineId     !== undefined) row.machine_id     = d.machineId  || null;
+  if (d.shift         !== undefined) row.shift          = d.shift      || null;
+  if (d.operatorId    !== undefined) row.operator_id    = d.operatorId || null;
+  if (d.rate          !== undefined) row.rate           = Number(d.rate);
+  if (d.effectiveFrom !== undefined) row.effective_from = d.effectiveFrom;
+  if (d.notes         !== undefined) row.notes          = d.notes || null;
+  return row;
+}
+
+export const PieceRatesAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('piece_rates').select('*')
+      .order('effective_from', { ascending: false });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_pieceRateFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = { ..._pieceRateToDb(d), id: _genId('rate'), created_at: now, updated_at: now };
+    const { data, error } = await _sb.from('piece_rates').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _pieceRateFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { ..._pieceRateToDb(d), updated_at: new Date().toISOString() };
+    const { data, error } = await _sb.from('piece_rates').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _pieceRateFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('piece_rates').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/** Combination a rate row applies to — rows with the same key are versions. */
+function _pieceRateKey(r) {
+  return [r.productId, r.machineId, r.shift, r.operatorId].map(v => v ?? '').join('|');
+}
+
+/**
+ * Table rate for a production record, or null when no row matches.
+ * Within each combination the latest effectiveFrom ≤ date is in force; among
+ * combinations an operator override beats the general rows, then the row
+ * with more of product / machine / shift set wins.
+ *
+ * @param {Object[]} rates - PieceRatesAPI.getAll()
+ * @param {{ productId, machineId, shift, operatorId, date }} q
+ * @returns {Object|null} the piece-rate row
+ */
+export function getPieceRate(rates, { productId, machineId, shift, operatorId, date }) {
+  const matches = (field, value) => !field || String(field) === String(value ?? '');
+  const current = new Map();   // key → row in force
+  for (const r of rates || []) {
+    if (!date || (r.effectiveFrom || '') > date) continue;
+    if (!matches(r.productId, productId) || !matches(r.machineId, machineId) ||
+        !matches(r.shift, shift) || !matches(r.operatorId, operatorId)) continue;
+    const key  = _pieceRateKey(r);
+    const prev = current.get(key);
+    if (!prev || r.effectiveFrom > prev.effectiveFrom) current.set(key, r);
+  }
+
+  const rank = r => (r.operatorId ? 8 : 0) +
+    (r.productId ? 4 : 0) + (r.machineId ? 2 : 0) + (r.shift ? 1 : 0);
+  let best = null;
+  for (const r of current.values()) {
+    if (!best || rank(r) > rank(best) ||
+        (rank(r) === rank(best) && r.effectiveFrom > best.effectiveFrom)) best = r;
+  }
+  return best;
+}
+
+/**
+ * Production records whose operatorRateSnapshot differs from the table rate
+ * in force on their date (more than half a cent). Records with no table rate
+ * are returned apart.
+ *
+ * @param {Object[]} records - ProductionAPI.getAll()
+ * @param {Object[]} rates   - PieceRatesAPI.getAll()
+ * @returns {{
+ *   deviations: { record, expected: number, actual: number, diff: number, amount: number, rateRow }[],
+ *   withoutRate: Object[],
+ * }} amount = quantity × (actual − expected), RD$ paid over (+) or under (−) the table
+ */
+export function getRateDeviations(records, rates) {
+  const deviations  = [];
+  const withoutRate = [];
+  for (const record of records || []) {
+    const rateRow = getPieceRate(rates, {
+      productId:  record.productId,
+      machineId:  record.machineId,
+      shift:      record.shift,
+      operatorId: record.operatorId,
+      date:       record.productionDate,
+    });
+    if (!rateRow) { withoutRate.push(record); continue; }
+    const actual = Number(record.operatorRateSnapshot) || 0;
+    const diff   = actual - rateRow.rate;
+    if (Math.abs(diff) < 0.005) continue;
+    deviations.push({
+      record, rateRow, actual, diff,
+      expected: rateRow.rate,
+      amount:   (Number(record.quantity) || 0) * diff,
+    });
+  }
+  return { deviations, withoutRate };
+}
+
+
+// =============================================================================
+// SHIFTS (catálogo de turnos — Operarios)
+//
+// DB: id, name, start_time, end_time, is_night, night_premium_pct,
+//     overtime_premium_pct, sort_order, is_active, created_at, updated_at
+// JS: id, name, startTime,  endTime,  isNight,  nightPremiumPct,
+//     overtimePremiumPct,   sortOrder,  isActive,  createdAt,  updatedAt
+//
+// Records store the shift name (production.shift, schedule slots, piece
+// rates), so a name is fixed once created. Premiums are percentages
+// (15 = 15 %) over the piece-rate pay — see computeShiftPremiums.
+//
+// production_settings (single row 'default'):
+// DB: multi_shift_policy, updated_at  →  JS: multiShiftPolicy, updatedAt
+// =============================================================================
+
+/** What happens when an operator gets a second shift on the same day. */
+export const MULTI_SHIFT_POLICIES = [
+  { value: 'allow', label: 'Permitir' },
+  { value: 'warn',  label: 'Advertir y pedir motivo' },
+  { value: 'block', label: 'Bloquear' },
+];
+
+export const DEFAULT_MULTI_SHIFT_POLICY = 'warn';
+
+function _shiftFromDb(r) {
+  return {
+    id:                 r.id,
+    name:               r.name,
+    startTime:          (r.start_time || '').slice(0, 5),
+    endTime:            (r.end_time   || '').slice(0, 5),
+    isNight:            r.is_night === true,
+    nightPremiumPct:    Number(r.night_premium_pct)    || 0,
+    overtimePremiumPct: Number(r.overtime_premium_pct) || 0,
+    sortOrder:          Number(r.sort_order) || 0,
+    isActive:           r.is_active !== false,
+    createdAt:          r.created_at,
+    updatedAt:          r.updated_at,
+  };
+}
+
+function _shiftToDb(d) {
+  const row = {};
+  if (d.name               !== undefined) row.name                 = d.name;
+  if (d.startTime          !== undefined) row.start_time           = d.startTime;
+  if (d.endTime            !== undefined) row.end_time             = d.endTime;
+  if (d.isNight            !== undefined) row.is_night             = !!d.isNight;
+  if (d.nightPremiumPct    !== undefined) row.night_premium_pct    = Number(d.nightPremiumPct)    || 0;
+  if (d.overtimePremiumPct !== undefined) row.overtime_premium_pct = Number(d.overtimePremiumPct) || 0;
+  if (d.sortOrder          !== undefined) row.sort_order           = Number(d.sortOrder) || 0;
+  if (d.isActive           !== undefined) row.is_active            = !!d.isActive;
+  return row;
+}
+
+export const ShiftsAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('shifts').select('*')
+      .order('sort_order', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_shiftFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = { ..._shiftToDb(d), id: _genId('shift'), created_at: now, updated_at: now };
+    const { data, error } = await _sb.from('shifts').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _shiftFromDb(data);
+  },
+
+  async update(id, d) {
+    const { name: _n, ...rest } = d;   // the name is the key records store
+    const u = { ..._shiftToDb(rest), updated_at: new Date().toISOString() };
+    const { data, error } = await _sb.from('shifts').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _shiftFromDb(data);
+  },
+};
+
+export const ProductionSettingsAPI = {
+  async get() {
+    const { data, error } = await _sb.from('production_settings').select('*')
+      .eq('id', 'default').maybeSingle();
+    if (error) throw new Error(error.message);
+    return {
+      multiShiftPolicy: data?.multi_shift_policy || DEFAULT_MULTI_SHIFT_POLICY,
+      updatedAt:        data?.updated_at ?? null,
+    };
+  },
+
+  async update(d) {
+    const row = { id: 'default', updated_at: new Date().toISOString() };
+    if (d.multiShiftPolicy !== undefined) row.multi_shift_policy = d.multiShiftPolicy;
+    const { data, error } = await _sb.from('production_settings')
+      .upsert(row, { onConflict: 'id' }).select().single();
+    if (error) throw new Error(error.message);
+    return { multiShiftPolicy: data.multi_shift_policy, updatedAt: data.updated_at };
+  },
+};
+
+/**
+ * Shift names for dropdowns and the scheduling board, in catalog order.
+ * Inactive shifts are left out unless `keep` is one of them (an old record
+ * still shows its own shift). Falls back to PRODUCTION_SHIFTS while the
+ * catalog is empty or not migrated.
+ *
+ * @param {Object[]} shifts - ShiftsAPI.getAll()
+ * @param {string}   [keep]
+ * @returns {string[]}
+ */
+export function getShiftNames(shifts, keep = null) {
+  const names = (shifts || [])
+    .filter(s => s.isActive || s.name === keep)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.startTime.localeCompare(b.startTime))
+    .map(s => s.name);
+  if (names.length === 0) names.push(...PRODUCTION_SHIFTS);
+  if (keep && !names.includes(keep)) names.push(keep);
+  return names;
+}
+
+/**
+ * Shifts other than `shift` the operator already has production in on
+ * `date` — non-empty means the record would be a second shift that day.
+ *
+ * @param {Object[]} records - ProductionAPI records
+ * @param {{ operatorId, date, shift, excludeId? }} q - excludeId skips the record being edited
+ * @returns {string[]}
+ */
+export function getOperatorOtherShifts(records, { operatorId, date, shift, excludeId = null }) {
+  const others = new Set();
+  for (const r of records || []) {
+    if (String(r.operatorId) !== String(operatorId) || r.productionDate !== date) continue;
+    if (excludeId != null && String(r.id) === String(excludeId)) continue;
+    if (r.shift && r.shift !== shift) others.add(r.shift);
+  }
+  return [...others];
+}
+
+/**
+ * Night and overtime premiums over piece-rate pay.
+ * Per operator and day the earliest shift worked (catalog order) is the
+ * regular one; each later shift that day is overtime and earns its
+ * overtimePremiumPct. Records in a night shift also earn its
+ * nightPremiumPct. Both are a % of quantity × operatorRateSnapshot and add
+ * up. Shifts missing from the catalog earn nothing.
+ *
+ * @param {Object[]} records - production records of the period
+ * @param {Object[]} shifts  - ShiftsAPI.getAll()
+ * @returns {{
+ *   night: number, overtime: number,
+ *   detail: { operatorId, date, shift, base: number, night: number, overtime: number }[],
+ * }} detail is one line per operator × day × shift that earned a premium
+ */
+export function computeShiftPremiums(records, shifts) {
+  const byName = new Map((shifts || []).map(s => [s.name, s]));
+  const order  = name => {
+    const s = byName.get(name);
+    return s ? [s.sortOrder, s.startTime] : [Infinity, ''];
+  };
+  const compareShifts = (a, b) => {
+    const [oa, ta] = order(a);
+    const [ob, tb] = order(b);
+    return oa - ob || ta.localeCompare(tb) || String(a).localeCompare(String(b));
+  };
+
+  // operator|date → Map(shift → base pay)
+  const days = new Map();
+  for (const r of records || []) {
+    if (!r.shift) continue;
+    const key = `${r.operatorId}|${r.productionDate}`;
+    if (!days.has(key)) days.set(key, new Map());
+    const shiftPay = days.get(key);
+    shiftPay.set(r.shift, (shiftPay.get(r.shift) || 0) +
+      (Number(r.quantity) || 0) * (Number(r.operatorRateSnapshot) || 0));
+  }
+
+  const round  = v => Math.round(v * 100) / 100;
+  const detail = [];
+  for (const [key, shiftPay] of days) {
+    const [operatorId, date] = key.split('|');
+    [...shiftPay.keys()].sort(compareShifts).forEach((name, i) => {
+      const s = byName.get(name);
+      if (!s) return;
+      const base     = shiftPay.get(name);
+      const night    = s.isNight ? round(base * s.nightPremiumPct / 100) : 0;
+      const overtime = i > 0 ? round(base * s.overtimePremiumPct / 100) : 0;
+      if (night > 0 || overtime > 0) detail.push({ operatorId, date, shift: name, base, night, overtime });
+    });
+  }
+  detail.sort((a, b) => a.date.localeCompare(b.date) || compareShifts(a.shift, b.shift));
+
+  return {
+    night:    round(detail.reduce((s, d) => s + d.night, 0)),
+    overtime: round(detail.reduce((s, d) => s + d.overtime, 0)),
+    detail,
+  };
+}
+
+
+// =============================================================================
+// OEE (disponibilidad × rendimiento × calidad)
+//
+// Per production record (inputs in production.extra):
+//   plannedMinutes    planned shift minutes — DEFAULT_PLANNED_SHIFT_MINUTES
+//                     when the record predates the field
+//   stopMinutes       minutes stopped within the shift
+//   rejectedQuantity  rejected packages; quantity is the good output
+//
+//   disponibilidad = (planned − stop) / planned
+//   rendimiento    = ideal minutes for (good + rejected) at the nominal
+//                    capacity ÷ run minutes — only records whose machine has a
+//                    capacity (MachineCapacitiesAPI) count here
+//   calidad        = good / (good + rejected)
+//
+// Groups are summed first and the ratios taken afterwards, so long shifts
+// weigh more than short ones.
+// =============================================================================
+
+/** Planned minutes of a record that did not capture them. */
+export const DEFAULT_PLANNED_SHIFT_MINUTES = 480;
+
+/**
+ * OEE of a set of production records.
+ *
+ * @param {Object[]} records    - ProductionAPI rows
+ * @param {Object[]} capacities - MachineCapacitiesAPI rows
+ * @returns {{ records: number, plannedMinutes: number, stopMinutes: number,
+ *             good: number, rejected: number, missingCapacity: number,
+ *             defaultedPlanned: number, availability: number|null,
+ *             performance: number|null, quality: number|null, oee: number|null }}
+ *          Ratios are 0–1; performance can exceed 1 when the nominal
+ *          capacity is set too low.
+ */
+export function getOeeSummary(records, capacities) {
+  let plannedMinutes = 0, stopMinutes = 0, good = 0, rejected = 0;
+  let idealMinutes = 0, runWithCapacity = 0, missingCapacity = 0, defaultedPlanned = 0;
+  let count = 0;
+
+  for (const r of records || []) {
+    const hasPlanned = Number(r.plannedMinutes) > 0;
+    const planned    = hasPlanned ? Number(r.plannedMinutes) : DEFAULT_PLANNED_SHIFT_MINUTES;
+    const stop       = Math.min(Math.max(Number(r.stopMinutes) || 0, 0), planned);
+    const qty        = Number(r.quantity) || 0;
+    const rej        = Number(r.rejectedQuantity) || 0;
+    if (!hasPlanned) defaultedPlanned += 1;
+
+    count          += 1;
+    plannedMinutes += planned;
+    stopMinutes    += stop;
+    good           += qty;
+    rejected       += rej;
+
+    const capacity = getNominalCapacity(capacities, r.machineId, r.productId);
+    if (capacity) {
+      idealMinutes    += ((qty + rej) / capacity) * 60;
+      runWithCapacity += planned - stop;
+    } else {
+      missingCapacity += 1;
+    }
+  }
+
+  const availability = plannedMinutes > 0 ? (plannedMinutes - stopMinutes) / plannedMinutes : null;
+  const performance  = runWithCapacity > 0 ? idealMinutes / runWithCapacity : null;
+  const quality      = good + rejected > 0 ? good / (good + rejected) : null;
+  const oee = availability !== null && performance !== null && quality !== null
+    ? availability * performance * quality : null;
+
+  return {
+    records: count, plannedMinutes, stopMinutes, good, rejected,
+    missingCapacity, defaultedPlanned,
+    availability, performance, quality, oee,
+  };
+}
+
+/**
+ * getOeeSummary() per group.
+ * @param {Object[]} records
+ * @param {Object[]} capacities
+ * @param {(r: Object) => string} keyFn - group key of a record
+ * @returns {Map<string, ReturnType<typeof getOeeSummary>>}
+ */
+export function getOeeByGroup(records, capacities, keyFn) {
+  const groups = new Map();
+  for (const r of records || []) {
+    const key = keyFn(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  const out = new Map();
+  for (const [key, rows] of groups) out.set(key, getOeeSummary(rows, capacities));
+  return out;
+}
+
+
+// =============================================================================
+// QC INSPECTIONS (control de calidad — Calidad)
+//
+// DB: id, production_id, daily_log_id, inspection_date, machine_id,
+//     operator_id, product_id, defect_type, rejected_packages, purge_lbs,
+//     notes, created_at, updated_at
+// JS: id, productionId,  dailyLogId,   inspectionDate,  machineId,
+//     operatorId,  productId,  defectType,  rejectedPackages,  purgeLbs,
+//     notes, createdAt,  updatedAt
+//
+// Every write re-totals the linked production record: rejectedQuantity and
+// purgeLbs (production.extra) = Σ of its inspections, and qcInspections = how
+// many there are (production.js locks the hand-typed rejects then).
+// Inspections on a pending daily log move to the record its confirmation
+// creates (linkDailyLog).
+// =============================================================================
+
+export const QC_DEFECT_TYPES = [
+  { value: 'flash',         label: 'Rebaba' },
+  { value: 'short_shot',    label: 'Tiro corto' },
+  { value: 'color',         label: 'Color' },
+  { value: 'weight',        label: 'Peso fuera de rango' },
+  { value: 'contamination', label: 'Contaminación' },
+  { value: 'other',         label: 'Otro' },
+];
+
+function _qcInspectionFromDb(r) {
+  return {
+    id:               r.id,
+    productionId:     r.production_id ?? null,
+    dailyLogId:       r.daily_log_id ?? null,
+    inspectionDate:   r.inspection_date,
+    machineId:        r.machine_id ?? null,
+    operatorId:       r.operator_id ?? null,
+    productId:        r.product_id ?? null,
+    defectType:       r.defect_type,
+    rejectedPackages: Number(r.rejected_packages) || 0,
+    purgeLbs:         Number(r.purge_lbs) || 0,
+    notes:            r.notes || '',
+    createdAt:        r.created_at,
+    updatedAt:        r.updated_at,
+  };
+}
+
+function _qcInspectionToDb(d) {
+  const u = {};
+  if (d.productionId     !== undefined) u.production_id     = d.productionId ? String(d.productionId) : null;
+  if (d.dailyLogId       !== undefined) u.daily_log_id      = d.dailyLogId ? String(d.dailyLogId) : null;
+  if (d.inspectionDate   !== undefined) u.inspection_date   = d.inspectionDate;
+  if (d.machineId        !== undefined) u.machine_id        = d.machineId || null;
+  if (d.operatorId       !== undefined) u.operator_id       = d.operatorId || null;
+  if (d.productId        !== undefined) u.product_id        = d.productId || null;
+  if (d.defectType       !== undefined) u.defect_type       = d.defectType;
+  if (d.rejectedPackages !== undefined) u.rejected_packages = parseInt(d.rejectedPackages, 10) || 0;
+  if (d.purgeLbs         !== undefined) u.purge_lbs         = Number(d.purgeLbs) || 0;
+  if (d.notes            !== undefined) u.notes             = (d.notes || '').trim() || null;
+  return u;
+}
+
+/** Writes the inspection totals into the production record's extra. */
+async function _syncProductionQc(productionId) {
+  if (!productionId) return;
+  const { data, error } = await _sb.from('qc_inspections')
+    .select('rejected_packages, purge_lbs').eq('production_id', String(productionId));
+  if (error) throw new Error(error.message);
+  const rows = data || [];
+  await ProductionAPI.update(productionId, {
+    qcInspections:    rows.length,
+    rejectedQuantity: rows.reduce((s, r) => s + (Number(r.rejected_packages) || 0), 0),
+    purgeLbs:         Math.round(rows.reduce((s, r) => s + (Number(r.purge_lbs) || 0), 0) * 100) / 100,
+  });
+}
+
+export const QcInspectionsAPI = {
+  async getAll({ from, to } = {}) {
+    let query = _sb.from('qc_inspections').select('*')
+      .order('inspection_date', { ascending: false })
+      .order('created_at',      { ascending: false });
+    if (from) query = query.gte('inspection_date', from);
+    if (to)   query = query.lte('inspection_date', to);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return (data || []).map(_qcInspectionFromDb);
+  },
+
+  async getByDailyLog(dailyLogId) {
+    const { data, error } = await _sb.from('qc_inspections').select('*')
+      .eq('daily_log_id', String(dailyLogId));
+    if (error) throw new Error(error.message);
+    return (data || []).map(_qcInspectionFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:         _genId('qc'),
+      ..._qcInspectionToDb(d),
+      created_at: now,
+      updated_at: now,
+    };
+    const { data, error } = await _sb.from('qc_inspections')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    const created = _qcInspectionFromDb(data);
+    await _syncProductionQc(created.productionId);
+    return created;
+  },
+
+  async update(id, d) {
+    const { data: before } = await _sb.from('qc_inspections').select('production_id')
+      .eq('id', String(id)).single();
+    const u = { updated_at: new Date().toISOString(), ..._qcInspectionToDb(d) };
+    const { data, error } = await _sb.from('qc_inspections').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    const updated = _qcInspectionFromDb(data);
+    await _syncProductionQc(updated.productionId);
+    if (before?.production_id && String(before.production_id) !== String(updated.productionId)) {
+      await _syncProductionQc(before.production_id);
+    }
+    return updated;
+  },
+
+  async remove(id) {
+    const { data: before } = await _sb.from('qc_inspections').select('production_id')
+      .eq('id', String(id)).single();
+    const { error } = await _sb.from('qc_inspections').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    await _syncProductionQc(before?.production_id);
+    return null;
+  },
+
+  /**
+   * Moves the inspections of a daily log onto the production record its
+   * confirmation created (taking the machine, operator and product the
+   * supervisor resolved), then re-totals that record.
+   * @param {string} dailyLogId
+   * @param {Object} production - ProductionAPI row
+   */
+  async linkDailyLog(dailyLogId, production) {
+    const { error } = await _sb.from('qc_inspections')
+      .update({
+        production_id: String(production.id),
+        machine_id:    production.machineId  || null,
+        operator_id:   production.operatorId || null,
+        product_id:    production.productId  || null,
+        updated_at:    new Date().toISOString(),
+      })
+      .eq('daily_log_id', String(dailyLogId));
+    if (error) throw new Error(error.message);
+    await _syncProductionQc(production.id);
+    return null;
+  },
+};
+
+/** Spanish label of a defect type. */
+export function getDefectTypeLabel(value) {
+  return QC_DEFECT_TYPES.find(t => t.value === value)?.label || value || '—';
+}
+
+/**
+ * Scrap of a set of production records, in lbs.
+ * @param {Object[]} records - ProductionAPI rows
+ * @returns {{ rejectedPackages: number, rejectedLbs: number, purgeLbs: number }}
+ *          rejectedLbs only counts records with weightPerPackageSnapshot.
+ */
+export function getQcScrapLbs(records) {
+  let rejectedPackages = 0, rejectedLbs = 0, purgeLbs = 0;
+  for (const r of records || []) {
+    const rej = Number(r.rejectedQuantity) || 0;
+    rejectedPackages += rej;
+    rejectedLbs      += rej * (Number(r.weightPerPackageSnapshot) || 0);
+    purgeLbs         += Number(r.purgeLbs) || 0;
+  }
+  return { rejectedPackages, rejectedLbs, purgeLbs };
+}
+
+/**
+ * Defect Pareto: rejected packages per defect type, largest first.
+ * @param {Object[]} inspections - QcInspectionsAPI rows
+ * @returns {{ defectType: string, label: string, inspections: number,
+ *             rejected: number, purgeLbs: number, pct: number,
+ *             cumulativePct: number }[]}
+ *          pct / cumulativePct are 0–100 of all rejected packages.
+ */
+export function getDefectPareto(inspections) {
+  const byType = new Map();
+  for (const i of inspections || []) {
+    if (!byType.has(i.defectType)) {
+      byType.set(i.defectType, { defectType: i.defectType, label: getDefectTypeLabel(i.defectType),
+        inspections: 0, rejected: 0, purgeLbs: 0 });
+    }
+    const row = byType.get(i.defectType);
+    row.inspections += 1;
+    row.rejected    += Number(i.rejectedPackages) || 0;
+    row.purgeLbs    += Number(i.purgeLbs) || 0;
+  }
+
+  const rows  = [...byType.values()].sort((a, b) => b.rejected - a.rejected || b.purgeLbs - a.purgeLbs);
+  const total = rows.reduce((s, r) => s + r.rejected, 0);
+  let cumulative = 0;
+  return rows.map(r => {
+    cumulative += r.rejected;
+    return {
+      ...r,
+      pct:           total > 0 ? (r.rejected / total) * 100 : 0,
+      cumulativePct: total > 0 ? (cumulative / total) * 100 : 0,
+    };
+  });
+}
+
+/**
+ * Rejection rate per group of production records.
+ * @param {Object[]} records - ProductionAPI rows
+ * @param {(r: Object) => string} keyFn - group key of a record
+ * @returns {Map<string, { records: number, good: number, rejected: number,
+ *                         purgeLbs: number, rate: number|null }>}
+ *          rate = rejected / (good + rejected), 0–1.
+ */
+export function getRejectionRateBy(records, keyFn) {
+  const out = new Map();
+  for (const r of records || []) {
+    const key = keyFn(r);
+    if (!out.has(key)) out.set(key, { records: 0, good: 0, rejected: 0, purgeLbs: 0, rate: null });
+    const g = out.get(key);
+    g.records  += 1;
+    g.good     += Number(r.quantity) || 0;
+    g.rejected += Number(r.rejectedQuantity) || 0;
+    g.purgeLbs += Number(r.purgeLbs) || 0;
+  }
+  for (const g of out.values()) {
+    g.rate = g.good + g.rejected > 0 ? g.rejected / (g.good + g.rejected) : null;
+  }
+  return out;
+}
+
+
+// =============================================================================
+// PRODUCTION ORDERS (órdenes de producción — Órdenes)
+//
+// DB: id, order_number, product_id, color, target_packages, due_date,
+//     customer_id, status, notes, created_at, updated_at
+// JS: id, orderNumber,  productId,  color, targetPackages,  dueDate,
+//     customerId,  status, notes, createdAt,  updatedAt
+//
+// Progress = production records whose extra.productionOrderId is the order
+// (confirmed daily logs count through the production record they create).
+// =============================================================================
+
+/**
+ * Default shift labels — used until the shift catalog (ShiftsAPI) has rows;
+ * see getShiftNames.
+ */
+export const PRODUCTION_SHIFTS = ['Matutino', 'Vespertino', 'Nocturno'];
+
+export const PRODUCTION_ORDER_STATUSES = [
+  { value: 'open',      label: 'Abierta' },
+  { value: 'done',      label: 'Completada' },
+  { value: 'cancelled', label: 'Cancelada' },
+];
+
+function _productionOrderFromDb(r) {
+  return {
+    id:             r.id,
+    orderNumber:    r.order_number,
+    productId:      r.product_id,
+    color:          r.color || '',
+    targetPackages: Number(r.target_packages),
+    dueDate:        r.due_date,
+    customerId:     r.customer_id ?? null,
+    status:         r.status || 'open',
+    notes:          r.notes || '',
+    createdAt:      r.created_at,
+    updatedAt:      r.updated_at,
+  };
+}
+
+function _productionOrderToDb(d) {
+  const u = {};
+  if (d.productId      !== undefined) u.product_id      = String(d.productId || '');
+  if (d.color          !== undefined) u.color           = (d.color || '').trim() || null;
+  if (d.targetPackages !== undefined) u.target_packages = Number(d.targetPackages) || 0;
+  if (d.dueDate        !== undefined) u.due_date        = d.dueDate;
+  if (d.customerId     !== undefined) u.customer_id     = d.customerId || null;
+  if (d.status         !== undefined) u.status          = d.status;
+  if (d.notes          !== undefined) u.notes           = (d.notes || '').trim() || null;
+  return u;
+}
+
+export const ProductionOrdersAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('production_orders').select('*')
+      .order('due_date', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_productionOrderFromDb);
+  },
+
+  /** Numbered OP-001, OP-002… from the shared invoice counters (migration 006). */
+  async create(d) {
+    const orderNumber = await nextInvoiceNumber('OP-');
+    const now = new Date().toISOString();
+    const row = {
+      id:           _genId('op'),
+      order_number: orderNumber,
+      ..._productionOrderToDb({ status: 'open', ...d }),
+      created_at:   now,
+      updated_at:   now,
+    };
+    const { data, error } = await _sb.from('production_orders')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _productionOrderFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._productionOrderToDb(d) };
+    const { data, error } = await _sb.from('production_orders').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _productionOrderFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('production_orders').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+
+// =============================================================================
+// PRODUCTION SCHEDULE (tablero semanal — Órdenes)
+//
+// DB: id, order_id, machine_id, schedule_date, shift, planned_packages,
+//     notes, created_at, updated_at
+// JS: id, orderId,  machineId,  scheduleDate,  shift, plannedPackages,
+//     notes, createdAt,  updatedAt
+// =============================================================================
+
+function _scheduleSlotFromDb(r) {
+  return {
+    id:              r.id,
+    orderId:         r.order_id,
+    machineId:       r.machine_id,
+    scheduleDate:    r.schedule_date,
+    shift:           r.shift,
+    plannedPackages: Number(r.planned_packages ?? 0),
+    notes:           r.notes || '',
+    createdAt:       r.created_at,
+    updatedAt:       r.updated_at,
+  };
+}
+
+export const ProductionScheduleAPI = {
+  /** All slots, or those between `from` and `to` ("YYYY-MM-DD", inclusive). */
+  async getAll({ from, to } = {}) {
+    let query = _sb.from('production_schedule').select('*')
+      .order('schedule_date', { ascending: true });
+    if (from) query = query.gte('schedule_date', from);
+    if (to)   query = query.lte('schedule_date', to);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return (data || []).map(_scheduleSlotFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:               _genId('sch'),
+      order_id:         String(d.orderId),
+      machine_id:       String(d.machineId),
+      schedule_date:    d.scheduleDate,
+      shift:            d.shift,
+      planned_packages: Number(d.plannedPackages) || 0,
+      notes:            (d.notes || '').trim() || null,
+      created_at:       now,
+      updated_at:       now,
+    };
+    const { data, error } = await _sb.from('production_schedule')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _scheduleSlotFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString() };
+    if (d.orderId         !== undefined) u.order_id         = String(d.orderId);
+    if (d.machineId       !== undefined) u.machine_id       = String(d.machineId);
+    if (d.scheduleDate    !== undefined) u.schedule_date    = d.scheduleDate;
+    if (d.shift           !== undefined) u.shift            = d.shift;
+    if (d.plannedPackages !== undefined) u.planned_packages = Number(d.plannedPackages) || 0;
+    if (d.notes           !== undefined) u.notes            = (d.notes || '').trim() || null;
+
+    const { data, error } = await _sb.from('production_schedule').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _scheduleSlotFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('production_schedule').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/** Key of a board cell: machine + date + shift. */
+export function scheduleSlotKey(machineId, date, shift) {
+  return `${machineId}|${date}|${shift}`;
+}
+
+/**
+ * Order planned for a machine, date and shift — the first slot when several
+ * orders share the cell. Used to preselect the order of a production record.
+ * @returns {string|null} orderId
+ */
+export function getScheduledOrderId(slots, machineId, date, shift) {
+  const key  = scheduleSlotKey(machineId, date, shift);
+  const slot = (slots || []).find(s =>
+    scheduleSlotKey(s.machineId, s.scheduleDate, s.shift) === key);
+  return slot ? slot.orderId : null;
+}
+
+/**
+ * Where an order stands.
+ *
+ * @param {Object}   order
+ * @param {Object[]} production - ProductionAPI rows (any order)
+ * @param {Object[]} slots      - ProductionScheduleAPI rows (any order)
+ * @param {string}   todayYMD   - "YYYY-MM-DD"
+ * @returns {{ produced: number, remaining: number, pct: number,
+ *             scheduledAhead: number, overdue: boolean,
+ *             underScheduled: boolean, scheduledLate: boolean }}
+ *   scheduledAhead  packages planned from today on
+ *   underScheduled  open, and what is planned ahead does not cover the rest
+ *   scheduledLate   open, with slots planned after the due date
+ */
+export function getOrderProgress(order, production, slots, todayYMD) {
+  const produced = (production || [])
+    .filter(r => String(r.productionOrderId) === String(order.id))
+    .reduce((s, r) => s + (Number(r.quantity) || 0), 0);
+  const remaining = Math.max(order.targetPackages - produced, 0);
+  const own       = (slots || []).filter(s => String(s.orderId) === String(order.id));
+  const scheduledAhead = own
+    .filter(s => s.scheduleDate >= todayYMD)
+    .reduce((s, x) => s + x.plannedPackages, 0);
+  const open = order.status === 'open' && remaining > 0;
+
+  return {
+    produced,
+    remaining,
+    pct:            order.targetPackages > 0 ? Math.min(produced / order.targetPackages, 1) * 100 : 0,
+    scheduledAhead,
+    overdue:        open && order.dueDate < todayYMD,
+    underScheduled: open && scheduledAhead < remaining,
+    scheduledLate:  open && own.some(s => s.scheduleDate > order.dueDate && s.scheduleDate >= todayYMD),
+  };
+}
+
+/**
+ * Capacity conflicts on the board. A cell is in conflict when it holds more
+ * than one product, or when its planned packages need more time than the
+ * shift has at the machine's nominal capacity (getNominalCapacity).
+ *
+ * @param {Object[]} slots
+ * @param {Object[]} orders
+ * @param {Object[]} capacities   - MachineCapacitiesAPI rows
+ * @param {number}   [shiftMinutes]
+ * @returns {Map<string, string[]>} scheduleSlotKey → Spanish messages
+ */
+export function getScheduleConflicts(slots, orders, capacities,
+                                     shiftMinutes = DEFAULT_PLANNED_SHIFT_MINUTES) {
+  const orderById = new Map((orders || []).map(o => [String(o.id), o]));
+  const cells = new Map();
+  for (const s of slots || []) {
+    const key = scheduleSlotKey(s.machineId, s.scheduleDate, s.shift);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(s);
+  }
+
+  const conflicts = new Map();
+  for (const [key, cell] of cells) {
+    const messages = [];
+    const products = new Set(cell.map(s => orderById.get(String(s.orderId))?.productId).filter(Boolean));
+    if (products.size > 1) messages.push('Dos productos distintos en el mismo turno');
+
+    let minutes = 0, unknown = false;
+    for (const s of cell) {
+      const product  = orderById.get(String(s.orderId))?.productId;
+      const capacity = getNominalCapacity(capacities, s.machineId, product);
+      if (capacity) minutes += (s.plannedPackages / capacity) * 60;
+      else unknown = true;
+    }
+    if (!unknown && minutes > shiftMinutes) {
+      messages.push(`Excede la capacidad del turno (${Math.round(minutes / shiftMinutes * 100)} %)`);
+    }
+    if (messages.length) conflicts.set(key, messages);
+  }
+  return conflicts;
+}
+
+
+// =============================================================================
+// PACKAGE WEIGHTS
+//
+// Registered by CapDispatch operators: weight of a 1,000-cap reference package
+// per shift. Read by CapFlow's Production module to help fill "Peso por Paquete".
+//
+// DB: id, weight_lbs, operator_name, shift_date, notes, product_id, created_at
+//
+// product_id is optional (CapDispatch may not send it) — see
+// PACKAGE WEIGHT SPC → getPackageWeightSeries for the fallback.
+// =============================================================================
+
+export const PackageWeightsAPI = {
+  async getRecent(limit = 10) {
+    const { data, error } = await _sb
+      .from('package_weights')
+      .select('id, weight_lbs, operator_name, shift_date, notes, product_id, created_at')
+      .order('shift_date',  { ascending: false })
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (error) throw new Error(error.message);
+    return data || [];
+  },
+
+  async getByMonth(ym) {
+    // ym is 'YYYY-MM'. shift_date is a DATE column; filter by [start, nextMonth).
+    if (!/^\d{4}-\d{2}$/.test(ym)) throw new Error('Mes inválido');
+    const [y, m] = ym.split('-').map(Number);
+    const start  = `${ym}-01`;
+    const nextY  = m === 12 ? y + 1 : y;
+    const nextM  = m === 12 ? 1     : m + 1;
+    const next   = `${nextY}-${String(nextM).padStart(2, '0')}-01`;
+    const { data, error } = await _sb
+      .from('package_weights')
+      .select('id, weight_lbs, operator_name, shift_date, notes, product_id, created_at')
+      .gte('shift_date', start)
+      .lt ('shift_date', next)
+      .order('shift_date', { ascending: true })
+      .order('created_at', { ascending: true });
+    if (error) throw new Error(error.message);
+    return data || [];
+  },
+
+  /** Every weighing with shift_date ≥ fromDate ('YYYY-MM-DD'), oldest first. */
+  async getSince(fromDate) {
+    const { data, error } = await _sb
+      .from('package_weights')
+      .select('id, weight_lbs, operator_name, shift_date, notes, product_id, created_at')
+      .gte('shift_date', fromDate)
+      .order('shift_date', { ascending: true })
+      .order('created_at', { ascending: true });
+    if (error) throw new Error(error.message);
+    return data || [];
+  },
+};
+
+
+// =============================================================================
+// PACKAGE WEIGHT SPC (control estadístico del peso — Control de Peso)
+//
+// Subgroup = the weighings of one product on one shift_date (one per operator
+// and shift). Control limits come from the charted history:
+//   X̄/R   when most days have ≥ 2 weighings:
+//           center = mean of the subgroup means, R̄ = mean range of the
+//           subgroups with ≥ 2 values, limits = center ± A2·R̄,
+//           range limits D3·R̄ … D4·R̄ (n = average subgroup size, 2–10)
+//   I-MR  otherwise (e.g. a single operator's chart): the daily means are
+//           individuals, MR̄ = mean moving range, limits = center ± 2.66·MR̄,
+//           moving-range limit 3.267·MR̄
+// Below SPC_MIN_SUBGROUPS there are no limits, only the product's spec.
+//
+// Alerts per subgroup (SPC_ALERT_LABELS):
+//   out-of-spec    a weighing outside target ± tolerance (products)
+//   beyond-limits  the mean outside the control limits
+//   range          the range / moving range above its upper limit
+//   run            SPC_RUN_LENGTH means in a row on the same side of center
+//   trend          SPC_RUN_LENGTH means in a row steadily rising or falling
+// =============================================================================
+
+/** Days of weighings Control de Peso and the dashboard alert look back. */
+export const SPC_LOOKBACK_DAYS = 90;
+
+/** Subgroups (days) needed before control limits are computed. */
+export const SPC_MIN_SUBGROUPS = 5;
+
+/** Consecutive points that make a run / trend alert. */
+export const SPC_RUN_LENGTH = 7;
+
+export const SPC_ALERT_LABELS = {
+  'out-of-spec':   'Fuera de especificación',
+  'beyond-limits': 'Fuera de límites de control',
+  'range':         'Rango fuera de control',
+  'run':           `${SPC_RUN_LENGTH} puntos del mismo lado de la media`,
+  'trend':         `${SPC_RUN_LENGTH} puntos en tendencia`,
+};
+
+/** Shewhart constants by subgroup size n. */
+const _SPC_CONSTANTS = {
+  2:  { A2: 1.880, D3: 0,     D4: 3.267 },
+  3:  { A2: 1.023, D3: 0,     D4: 2.574 },
+  4:  { A2: 0.729, D3: 0,     D4: 2.282 },
+  5:  { A2: 0.577, D3: 0,     D4: 2.114 },
+  6:  { A2: 0.483, D3: 0,     D4: 2.004 },
+  7:  { A2: 0.419, D3: 0.076, D4: 1.924 },
+  8:  { A2: 0.373, D3: 0.136, D4: 1.864 },
+  9:  { A2: 0.337, D3: 0.184, D4: 1.816 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777 },
+};
+
+function _normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Normalize package_weights rows into chartable points and attach the
+ * product: the row's product_id, else the only product the same operator
+ * produced that day (production records; the CapDispatch name is matched to
+ * the CapFlow operator by name or dispatch_operators.capflow_operator_id).
+ * Points whose product cannot be told get productId null.
+ *
+ * @param {Object[]} weights            - PackageWeightsAPI rows
+ * @param {Object}   ctx
+ * @param {Object[]} ctx.production     - ProductionAPI.getAll()
+ * @param {Object[]} ctx.operators      - OperatorsAPI.getAll()
+ * @param {Object[]} [ctx.dispatchOperators] - DispatchOperatorsAPI.getAll()
+ * @returns {{ id, date, weightLbs, operatorName, operatorId, productId, notes, createdAt }[]}
+ */
+export function getPackageWeightSeries(weights, { production = [], operators = [], dispatchOperators = [] } = {}) {
+  const idsByName = new Map();   // normalized name → Set(CapFlow operator id)
+  const addName = (name, id) => {
+    if (!name || !id) return;
+    const key = _normalizeName(name);
+    if (!idsByName.has(key)) idsByName.set(key, new Set());
+    idsByName.get(key).add(String(id));
+  };
+  for (const o of operators)         addName(o.name, o.id);
+  for (const d of dispatchOperators) addName(d.name, d.capflow_operator_id);
+
+  const productsByDayOperator = new Map();   // 'date|operatorId' → Set(productId)
+  for (const r of production) {
+    if (!r.operatorId || !r.productId) continue;
+    const key = `${r.productionDate}|${r.operatorId}`;
+    if (!productsByDayOperator.has(key)) productsByDayOperator.set(key, new Set());
+    productsByDayOperator.get(key).add(String(r.productId));
+  }
+
+  return (weights || [])
+    .map(w => {
+      const date       = String(w.shift_date || '').slice(0, 10);
+      const ids        = [...(idsByName.get(_normalizeName(w.operator_name)) || [])];
+      const operatorId = ids.length === 1 ? ids[0] : null;
+      let productId    = w.product_id ? String(w.product_id) : null;
+      if (!productId) {
+        const found = new Set();
+        for (const id of ids) {
+          for (const p of productsByDayOperator.get(`${date}|${id}`) || []) found.add(p);
+        }
+        if (found.size === 1) productId = [...found][0];
+      }
+      return {
+        id:           w.id,
+        date,
+        weightLbs:    Number(w.weight_lbs),
+        operatorName: w.operator_name || '',
+        operatorId,
+        productId,
+        notes:        w.notes || '',
+        createdAt:    w.created_at,
+      };
+    })
+    .filter(p => p.date && Number.isFinite(p.weightLbs));
+}
+
+/**
+ * Spec band of a product's reference package, or null when it has no target.
+ * @returns {{ target: number, lower: number, upper: number }|null}
+ */
+export function getWeightSpec(product) {
+  const target = Number(product?.weightTargetLbs);
+  if (!product || product.weightTargetLbs == null || !Number.isFinite(target)) return null;
+  const tol = Number(product.weightToleranceLbs) || 0;
+  return { target, lower: target - tol, upper: target + tol };
+}
+
+/**
+ * X̄/R (or I-MR) analysis of a product's weighings, oldest subgroup first.
+ * Pass a single operator's points for that operator's chart.
+ *
+ * @param {Object[]} points  - getPackageWeightSeries() items, one product
+ * @param {Object}   [product] - for the spec (out-of-spec alerts)
+ * @returns {{
+ *   method: 'xbar-r'|'i-mr'|null, n: number|null,
+ *   limits: { center, ucl, lcl, rBar, uclR, lclR }|null,
+ *   spec: { target, lower, upper }|null,
+ *   subgroups: { date, points, values, mean, range, alerts: string[] }[],
+ *   latest: Object|null,
+ * }}
+ */
+export function analyzeWeightSpc(points, product = null) {
+  const byDate = new Map();
+  for (const p of points || []) {
+    if (!byDate.has(p.date)) byDate.set(p.date, []);
+    byDate.get(p.date).push(p);
+  }
+  const subgroups = [...byDate.keys()].sort().map(date => {
+    const pts    = byDate.get(date);
+    const values = pts.map(p => p.weightLbs);
+    return {
+      date,
+      points: pts,
+      values,
+      mean:   values.reduce((s, v) => s + v, 0) / values.length,
+      range:  Math.max(...values) - Math.min(...values),
+      alerts: [],
+    };
+  });
+
+  const spec = getWeightSpec(product);
+  let method = null;
+  let n      = null;
+  let limits = null;
+
+  if (subgroups.length >= SPC_MIN_SUBGROUPS) {
+    const center = subgroups.reduce((s, g) => s + g.mean, 0) / subgroups.length;
+    const multi  = subgroups.filter(g => g.values.length >= 2);
+
+    if (multi.length >= SPC_MIN_SUBGROUPS && multi.length * 2 >= subgroups.length) {
+      method = 'xbar-r';
+      const avgSize = multi.reduce((s, g) => s + g.values.length, 0) / multi.length;
+      n = Math.min(10, Math.max(2, Math.round(avgSize)));
+      const { A2, D3, D4 } = _SPC_CONSTANTS[n];
+      const rBar = multi.reduce((s, g) => s + g.range, 0) / multi.length;
+      limits = { center, ucl: center + A2 * rBar, lcl: center - A2 * rBar,
+                 rBar, uclR: D4 * rBar, lclR: D3 * rBar };
+    } else {
+      method = 'i-mr';
+      n = 1;
+      subgroups.forEach((g, i) => {
+        g.range = i === 0 ? null : Math.abs(g.mean - subgroups[i - 1].mean);
+      });
+      const mrs  = subgroups.slice(1).map(g => g.range);
+      const rBar = mrs.reduce((s, v) => s + v, 0) / mrs.length;
+      limits = { center, ucl: center + 2.66 * rBar, lcl: center - 2.66 * rBar,
+                 rBar, uclR: 3.267 * rBar, lclR: 0 };
+    }
+  } else if (subgroups.length) {
+    subgroups.forEach(g => { if (g.values.length < 2) g.range = null; });
+  }
+
+  subgroups.forEach((g, i) => {
+    if (spec && g.values.some(v => v < spec.lower || v > spec.upper)) g.alerts.push('out-of-spec');
+    if (!limits) return;
+    if (g.mean > limits.ucl || g.mean < limits.lcl) g.alerts.push('beyond-limits');
+    if (g.range != null && g.range > limits.uclR)   g.alerts.push('range');
+
+    if (i + 1 >= SPC_RUN_LENGTH) {
+      const run  = subgroups.slice(i + 1 - SPC_RUN_LENGTH, i + 1);
+      const side = x => Math.sign(x.mean - limits.center);
+      if (side(run[0]) !== 0 && run.every(x => side(x) === side(run[0]))) g.alerts.push('run');
+      const steps = run.slice(1).map((x, k) => Math.sign(x.mean - run[k].mean));
+      if (steps[0] !== 0 && steps.every(s => s === steps[0])) g.alerts.push('trend');
+    }
+  });
+
+  return { method, n, limits, spec, subgroups, latest: subgroups[subgroups.length - 1] || null };
+}
+
+/**
+ * Products whose most recent weighing day raised an SPC alert.
+ * @param {Object[]} points   - getPackageWeightSeries()
+ * @param {Object[]} products - ProductsAPI.getAll()
+ * @returns {{ product: Object, analysis: Object }[]}
+ */
+export function getWeightSpcAlerts(points, products) {
+  const alerts = [];
+  for (const product of products || []) {
+    const own = (points || []).filter(p => p.productId === String(product.id));
+    if (!own.length) continue;
+    const analysis = analyzeWeightSpc(own, product);
+    if (analysis.latest?.alerts.length) alerts.push({ product, analysis });
+  }
+  return alerts;
+}
+
+
+// =============================================================================
+// OPERATOR SCORECARD (desempeño por operario — Desempeño)
+//
+// Per operator and date range, from data other modules already keep:
+//   packagesPerShift     packages ÷ shifts worked (distinct date × shift of
+//                        the production records)
+//   weightDeviationPct   mean |weight − target| ÷ target of the operator's
+//                        reference-package weighings (getPackageWeightSeries;
+//                        only points with an operator and a product target);
+//                        weightBiasPct keeps the sign (+ heavy, − light)
+//   rejectionRate        rejected ÷ (confirmed + rejected) daily logs
+//                        (Paquetes Diarios; pending logs are left out)
+//   laborCostPerPackage  labor cost ÷ packages. Quincenas with a closed
+//                        payroll use its snapshot (gross + bonuses −
+//                        deductions + employer contributions, as the payroll
+//                        total does); the rest is estimated from piece-rate
+//                        pay + shift premiums (laborCostEstimated = true)
+// plant holds the same figures over every operator together — the average
+// each operator is ranked against (getScorecardRanking).
+// =============================================================================
+
+/** Months of history the Desempeño sparklines show. */
+export const SCORECARD_TREND_MONTHS = 6;
+
+/** sessionStorage key Operarios uses to open Desempeño on one operator. */
+export const OPERATOR_SCORECARD_HANDOFF_KEY = 'capflow.scorecardOperator';
+
+/** Scorecard metrics; better = which direction beats the plant average. */
+export const SCORECARD_METRICS = [
+  { key: 'packagesPerShift',    label: 'Paquetes por turno',        better: 'higher' },
+  { key: 'weightDeviationPct',  label: 'Desviación de peso',        better: 'lower'  },
+  { key: 'rejectionRate',       label: 'Registros rechazados',      better: 'lower'  },
+  { key: 'laborCostPerPackage', label: 'Costo laboral por paquete', better: 'lower'  },
+];
+
+/** Closed payroll run → { from, to, rows } (Q1 = 01-15, Q2 = 16-end). */
+function _payrollRunRange(run) {
+  const month = _normalizeMonth(run.month);
+  const [y, m] = month.split('-').map(Number);
+  const last   = String(new Date(y, m, 0).getDate()).padStart(2, '0');
+  return run.period === 1
+    ? { from: `${month}-01`, to: `${month}-15`, rows: run.rows || [] }
+    : { from: `${month}-16`, to: `${month}-${last}`, rows: run.rows || [] };
+}
+
+/**
+ * Scorecard of every operator with production, daily logs or weighings in
+ * [from, to], plus the plant figures.
+ *
+ * @param {Object}   data
+ * @param {string}   data.from, data.to       - "YYYY-MM-DD", inclusive
+ * @param {Object[]} data.production          - ProductionAPI.getAll()
+ * @param {Object[]} [data.dailyLogs]         - DailyProductionLogsAPI.getAll() rows
+ * @param {Object[]} [data.weightPoints]      - getPackageWeightSeries()
+ * @param {Object[]} [data.products]          - ProductsAPI.getAll()
+ * @param {Object[]} [data.operators]         - OperatorsAPI.getAll()
+ * @param {Object[]} [data.dispatchOperators] - DispatchOperatorsAPI.getAll()
+ * @param {Object[]} [data.shifts]            - ShiftsAPI.getAll()
+ * @param {Object[]} [data.payrollRuns]       - PayrollAPI.getAll()
+ * @returns {{ operators: Object[], plant: Object }} each scorecard:
+ *   { operatorId, shifts, packages, packagesPerShift, weighings,
+ *     weightDeviationPct, weightBiasPct, logsConfirmed, logsRejected,
+ *     rejectionRate, laborCost, laborCostPerPackage, laborCostEstimated }
+ *   — ratios are null when there is nothing to divide by
+ */
+export function getOperatorScorecards({
+  from, to, production = [], dailyLogs = [], weightPoints = [], products = [],
+  operators = [], dispatchOperators = [], shifts = [], payrollRuns = [],
+}) {
+  const inRange = d => !!d && d >= from && d <= to;
+  const cards   = new Map();
+  const card    = id => {
+    const key = String(id);
+    if (!cards.has(key)) {
+      cards.set(key, {
+        operatorId: key, shiftKeys: new Set(), packages: 0,
+        deviations: [], logsConfirmed: 0, logsRejected: 0,
+        laborCost: 0, laborCostEstimated: false,
+      });
+    }
+    return cards.get(key);
+  };
+
+  // Production: packages and shifts
+  const records = production.filter(r => r.operatorId && inRange(r.productionDate));
+  for (const r of records) {
+    const c = card(r.operatorId);
+    c.packages += Number(r.quantity) || 0;
+    c.shiftKeys.add(`${r.productionDate}|${r.shift || ''}`);
+  }
+
+  // Weighings against the product target
+  const specs = new Map(products.map(p => [String(p.id), getWeightSpec(p)]));
+  for (const p of weightPoints) {
+    const spec = specs.get(String(p.productId));
+    if (!p.operatorId || !spec || !inRange(p.date)) continue;
+    card(p.operatorId).deviations.push((p.weightLbs - spec.target) / spec.target * 100);
+  }
+
+  // Daily logs: CapDispatch operator → CapFlow operator (link, else name)
+  const linked = new Map(dispatchOperators
+    .filter(d => d.capflow_operator_id)
+    .map(d => [String(d.id), String(d.capflow_operator_id)]));
+  const byName = new Map(operators.map(o => [_normalizeName(o.name), String(o.id)]));
+  for (const log of dailyLogs) {
+    if (!inRange(log.production_date) || !['confirmed', 'rejected'].includes(log.status)) continue;
+    const id = linked.get(String(log.operator_id)) || byName.get(_normalizeName(log.operator_name));
+    if (!id) continue;
+    if (log.status === 'confirmed') card(id).logsConfirmed++;
+    else                            card(id).logsRejected++;
+  }
+
+  // Labor cost: closed payroll snapshots, estimate for the rest
+  const closed = payrollRuns
+    .filter(run => run.isClosed)
+    .map(_payrollRunRange)
+    .filter(run => run.from >= from && run.to <= to);
+  for (const run of closed) {
+    for (const row of run.rows) {
+      if (row.personType !== 'operator' || !cards.has(String(row.personId))) continue;
+      cards.get(String(row.personId)).laborCost += (row.gross || 0) + (row.bonusesTotal || 0)
+        - (row.deductionsTotal || 0) + (row.employerCostTotal || 0);
+    }
+  }
+  const uncovered = records.filter(r =>
+    !closed.some(run => r.productionDate >= run.from && r.productionDate <= run.to));
+  const premiums  = computeShiftPremiums(uncovered, shifts);
+  for (const r of uncovered) {
+    const c = card(r.operatorId);
+    c.laborCost += (Number(r.quantity) || 0) * (Number(r.operatorRateSnapshot) || 0);
+    c.laborCostEstimated = true;
+  }
+  for (const d of premiums.detail) card(d.operatorId).laborCost += d.night + d.overtime;
+
+  const mean   = values => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+  const ratio  = (a, b) => (b > 0 ? a / b : null);
+  const finish = c => {
+    const shiftsWorked = c.shiftKeys.size;
+    const decided      = c.logsConfirmed + c.logsRejected;
+    const laborCost    = Math.round(c.laborCost * 100) / 100;
+    return {
+      operatorId:          c.operatorId,
+      shifts:              shiftsWorked,
+      packages:            c.packages,
+      packagesPerShift:    ratio(c.packages, shiftsWorked),
+      weighings:           c.deviations.length,
+      weightDeviationPct:  mean(c.deviations.map(Math.abs)),
+      weightBiasPct:       mean(c.deviations),
+      logsConfirmed:       c.logsConfirmed,
+      logsRejected:        c.logsRejected,
+      rejectionRate:       ratio(c.logsRejected, decided),
+      laborCost,
+      laborCostPerPackage: ratio(laborCost, c.packages),
+      laborCostEstimated:  c.laborCostEstimated,
+    };
+  };
+
+  const all = [...cards.values()];
+  const plant = finish({
+    operatorId:         null,
+    shiftKeys:          { size: all.reduce((s, c) => s + c.shiftKeys.size, 0) },
+    packages:           all.reduce((s, c) => s + c.packages, 0),
+    deviations:         all.flatMap(c => c.deviations),
+    logsConfirmed:      all.reduce((s, c) => s + c.logsConfirmed, 0),
+    logsRejected:       all.reduce((s, c) => s + c.logsRejected, 0),
+    laborCost:          all.reduce((s, c) => s + c.laborCost, 0),
+    laborCostEstimated: all.some(c => c.laborCostEstimated),
+  });
+
+  return { operators: all.map(finish), plant };
+}
+
+/**
+ * Rank scorecards on one metric against the plant figure.
+ * vsPlantPct is how far the value is from the plant (+12 = 12 % above);
+ * isBetter tells whether that direction is good for the metric. Operators
+ * without a value for the metric come last with rank null.
+ *
+ * @param {{ operators: Object[], plant: Object }} scorecards - getOperatorScorecards()
+ * @param {string} metricKey - SCORECARD_METRICS key
+ * @returns {{ scorecard: Object, rank: number|null, value: number|null,
+ *             vsPlantPct: number|null, isBetter: boolean|null }[]}
+ */
+export function getScorecardRanking({ operators, plant }, metricKey) {
+  const metric = SCORECARD_METRICS.find(m => m.key === metricKey) || SCORECARD_METRICS[0];
+  const sign   = metric.better === 'higher' ? -1 : 1;
+  const base   = plant[metric.key];
+
+  const ranked = operators
+    .filter(c => c[metric.key] != null)
+    .sort((a, b) => sign * (a[metric.key] - b[metric.key]));
+  const rest   = operators.filter(c => c[metric.key] == null);
+
+  const entry = (c, rank) => {
+    const value      = c[metric.key];
+    const vsPlantPct = value != null && base ? (value / base - 1) * 100 : null;
+    return {
+      scorecard: c, rank, value, vsPlantPct,
+      isBetter: vsPlantPct == null || vsPlantPct === 0 ? null
+        : (metric.better === 'higher') === (vsPlantPct > 0),
+    };
+  };
+  return [...ranked.map((c, i) => entry(c, i + 1)), ...rest.map(c => entry(c, null))];
+}
 
-  async getByMonth(ym) {
-    // ym is 'YYYY-MM'. shift_date is a DATE column; filter by [start, nextMonth).
-    if (!/^\d{4}-\d{2}$/.test(ym)) throw new Error('Mes inválido');
-    const [y, m] = ym.split('-').map(Number);
-    const start  = `${ym}-01`;
-    const nextY  = m === 12 ? y + 1 : y;
-    const nextM  = m === 12 ? 1     : m + 1;
-    const next   = `${nextY}-${String(nextM).padStart(2, '0')}-01`;
-    const { data, error } = await _sb
-      .from('package_weights')
-      .select('id, weight_lbs, operator_name, shift_date, notes, created_at')
-      .gte('shift_date', start)
-      .lt ('shift_date', next)
-      .order('shift_date', { ascending: true })
-      .order('created_at', { ascending: true });
-    if (error) throw new Error(error.message);
-    return data || [];
-  },
-};
 
 // =============================================================================
 // PROVIDERS
 //
-// DB: id, name, phone, email, address, notes, is_active, created_at, updated_at
-// JS: id, name, phone, email, address, notes, isActive,  createdAt,  updatedAt
+// DB: id, name, phone, email, address, notes, tax_id, is_active, created_at, updated_at
+// JS: id, name, phone, email, address, notes, taxId,  isActive,  createdAt,  updatedAt
 // =============================================================================
 
 function _providerFromDb(r) {
@@ -416,6 +2406,7 @@ function _providerFromDb(r) {
     email:     r.email,
     address:   r.address,
     notes:     r.notes,
+    taxId:     r.tax_id || '',
     isActive:  r.is_active !== false,
     createdAt: r.created_at,
     updatedAt: r.updated_at,
@@ -437,6 +2428,7 @@ export const ProvidersAPI = {
       email:      (d.email || '').trim(),
       address:    (d.address || '').trim(),
       notes:      (d.notes || '').trim(),
+      tax_id:     (d.taxId || '').trim() || null,
       is_active:  true,
       created_at: new Date().toISOString(),
     };
@@ -452,6 +2444,7 @@ export const ProvidersAPI = {
     if (d.email    !== undefined) u.email     = (d.email || '').trim();
     if (d.address  !== undefined) u.address   = (d.address || '').trim();
     if (d.notes    !== undefined) u.notes     = (d.notes || '').trim();
+    if (d.taxId    !== undefined) u.tax_id    = (d.taxId || '').trim() || null;
     if (d.isActive !== undefined) u.is_active = Boolean(d.isActive);
 
     const { data, error } = await _sb.from('providers').update(u)
@@ -472,6 +2465,8 @@ export const ProvidersAPI = {
 //     washing_cost, provider_id, notes, extra (jsonb), created_at, updated_at
 // JS: id, materialType, date, month, weightLbs, totalCost, washedWeightLbs,
 //     washingCost, supplierId/providerId, notes, createdAt, updatedAt
+// Fiscal fields for the DGII 606 (supplierTaxId, ncf, itbisAmount) live in
+// the `extra` jsonb.
 // =============================================================================
 
 function _rawMaterialFromDb(r) {
@@ -586,21 +2581,45 @@ export const RawMaterialsAPI = {
 // =============================================================================
 // MONTHLY INVENTORY
 //
-// DB: id, month, recycled_closing_lbs, pellet_closing_lbs, created_at, updated_at
-// JS: id, month, recycledClosingLbs,   pelletClosingLbs,   createdAt,  updatedAt
+// DB: id, month, recycled_closing_lbs, pellet_closing_lbs, closing_lbs (jsonb),
+//     created_at, updated_at
+// JS: id, month, recycledClosingLbs,   pelletClosingLbs,   closingLbs,
+//     createdAt,  updatedAt
+//
+// closingLbs = { <material type>: lbs } for every MATERIAL_TYPES entry; the
+// legacy recycled / pellet columns are kept in step with it.
 // =============================================================================
 
 function _monthlyInvFromDb(r) {
+  const stored = (r.closing_lbs && typeof r.closing_lbs === 'object') ? r.closing_lbs : {};
+  const closingLbs = {};
+  for (const type of MATERIAL_TYPES) closingLbs[type] = Number(stored[type]) || 0;
+  closingLbs.recycled = Number(r.recycled_closing_lbs) || 0;
+  closingLbs.pellet   = Number(r.pellet_closing_lbs)   || 0;
   return {
     id:                 r.id,
     month:              _normalizeApiMonth(r.month),
-    recycledClosingLbs: Number(r.recycled_closing_lbs),
-    pelletClosingLbs:   Number(r.pellet_closing_lbs),
+    recycledClosingLbs: closingLbs.recycled,
+    pelletClosingLbs:   closingLbs.pellet,
+    closingLbs,
     createdAt:          r.created_at,
     updatedAt:          r.updated_at,
   };
 }
 
+/** Closing columns from { closingLbs } (or the legacy recycled / pellet fields). */
+function _monthlyInvClosingToDb(d) {
+  const closing = {};
+  for (const type of MATERIAL_TYPES) closing[type] = Number(d.closingLbs?.[type]) || 0;
+  if (d.recycledClosingLbs !== undefined) closing.recycled = Number(d.recycledClosingLbs) || 0;
+  if (d.pelletClosingLbs   !== undefined) closing.pellet   = Number(d.pelletClosingLbs)   || 0;
+  return {
+    recycled_closing_lbs: closing.recycled,
+    pellet_closing_lbs:   closing.pellet,
+    closing_lbs:          closing,
+  };
+}
+
 export const MonthlyInventoryAPI = {
   async getAll() {
     const { data, error } = await _sb.from('monthly_inventory').select('*');
@@ -616,26 +2635,28 @@ export const MonthlyInventoryAPI = {
     return data ? _monthlyInvFromDb(data) : null;
   },
 
+  /**
+   * @param {{ month: string, closingLbs?: Object<string, number>,
+   *           recycledClosingLbs?: number, pelletClosingLbs?: number }} d
+   */
   async upsert(d) {
     const norm = _normalizeApiMonth(d.month);
     const existing = await this.getByMonth(norm);
 
     if (existing) {
       const { data, error } = await _sb.from('monthly_inventory').update({
-        recycled_closing_lbs: Number(d.recycledClosingLbs) || 0,
-        pellet_closing_lbs:   Number(d.pelletClosingLbs) || 0,
-        updated_at:           new Date().toISOString(),
+        ..._monthlyInvClosingToDb(d),
+        updated_at: new Date().toISOString(),
       }).eq('id', existing.id).select().single();
       if (error) throw new Error(error.message);
       return _monthlyInvFromDb(data);
     }
 
     const { data, error } = await _sb.from('monthly_inventory').insert({
-      id:                   _genId(),
-      month:                norm,
-      recycled_closing_lbs: Number(d.recycledClosingLbs) || 0,
-      pellet_closing_lbs:   Number(d.pelletClosingLbs) || 0,
-      created_at:           new Date().toISOString(),
+      id:         _genId(),
+      month:      norm,
+      ..._monthlyInvClosingToDb(d),
+      created_at: new Date().toISOString(),
     }).select().single();
     if (error) throw new Error(error.message);
     return _monthlyInvFromDb(data);
@@ -647,6 +2668,9 @@ export const MonthlyInventoryAPI = {
 // MATERIAL TYPE HELPERS
 // =============================================================================
 
+/** Every raw_materials.type, in display order. */
+export const MATERIAL_TYPES = ['recycled', 'pellet', 'pellet_regular', 'colorant'];
+
 /**
  * Map a raw DB type value to its Spanish display label.
  * @param {string} type
@@ -677,6 +2701,243 @@ export function getMaterialTypeBadge(type) {
   return badges[type] || 'badge--gray';
 }
 
+/**
+ * Lbs of a material type in a closing-inventory record (0 when missing).
+ * @param {Object|null} inv  - MonthlyInventoryAPI row
+ * @param {string}      type - MATERIAL_TYPES entry
+ * @returns {number}
+ */
+export function getClosingLbs(inv, type) {
+  return inv ? (Number(inv.closingLbs?.[type]) || 0) : 0;
+}
+
+/**
+ * Material consumed in a month and its cost, per material type.
+ *
+ *   consumed = previous month closing + purchases − this month closing
+ *   cost     = consumed × average purchase cost per lb of the type this month
+ *              (cost + washing cost) ÷ purchased lbs
+ *
+ * @param {string}   month            - 'YYYY-MM'
+ * @param {Object[]} purchases        - RawMaterialsAPI rows
+ * @param {Object[]} inventoryRecords - MonthlyInventoryAPI rows
+ * @param {Object}   [opts]
+ * @param {boolean}  [opts.washedLbs] - sales.js cost snapshots: purchases by
+ *   their `month` and purchased lbs = washedWeightLbs (falling back to weightLbs)
+ * @returns {{ types: { type: string, label: string, openingLbs: number,
+ *                      purchasedLbs: number, purchasedCost: number,
+ *                      closingLbs: number, consumedLbs: number,
+ *                      avgCostPerLb: number, cost: number }[],
+ *             consumedLbs: number, cost: number, hasClosing: boolean }}
+ */
+export function getMonthlyMaterialCost(month, purchases, inventoryRecords, { washedLbs = false } = {}) {
+  const norm = _normalizeApiMonth(month);
+  const [y, m] = norm.split('-').map(Number);
+  const prev = m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
+  const currInv = (inventoryRecords || []).find(r => _normalizeApiMonth(r.month) === norm) || null;
+  const prevInv = (inventoryRecords || []).find(r => _normalizeApiMonth(r.month) === prev) || null;
+  const monthPurchases = (purchases || []).filter(r => washedLbs
+    ? _normalizeApiMonth(r.month) === norm
+    : (r.date || '').startsWith(norm));
+
+  const types = MATERIAL_TYPES.map(type => {
+    const rows          = monthPurchases.filter(r => r.materialType === type);
+    const purchasedLbs  = rows.reduce((s, r) =>
+      s + ((washedLbs ? r.washedWeightLbs : 0) || r.weightLbs || 0), 0);
+    const purchasedCost = rows.reduce((s, r) => s + (r.totalCost || 0) + (r.washingCost || 0), 0);
+    const avgCostPerLb  = purchasedLbs > 0 ? purchasedCost / purchasedLbs : 0;
+    const openingLbs    = getClosingLbs(prevInv, type);
+    const closingLbs    = getClosingLbs(currInv, type);
+    const consumedLbs   = openingLbs + purchasedLbs - closingLbs;
+    return {
+      type, label: getMaterialTypeLabel(type),
+      openingLbs, purchasedLbs, purchasedCost, closingLbs, consumedLbs,
+      avgCostPerLb, cost: consumedLbs * avgCostPerLb,
+    };
+  });
+
+  return {
+    types,
+    consumedLbs: types.reduce((s, t) => s + t.consumedLbs, 0),
+    cost:        types.reduce((s, t) => s + t.cost, 0),
+    hasClosing:  !!currInv,
+  };
+}
+
+
+// =============================================================================
+// PRODUCT BOMS (receta por producto — Productos)
+//
+// DB: id, product_id, version, effective_from, materials, colorant_pct,
+//     packaging, notes, created_at, updated_at
+// JS: id, productId,  version, effectiveFrom,  materials, colorantPct,
+//     packaging, notes, createdAt,  updatedAt
+//
+// materials: { [resin type]: lbs per package }; colorant is not listed there,
+// it is colorantPct % of the resin lbs. packaging: [{ name, quantity }] units
+// per package. Versions are numbered per product on create; the one applying
+// on a date is the latest effectiveFrom on or before it (getEffectiveBom).
+// =============================================================================
+
+/** Material types a recipe gives in lbs per package (colorant goes as a %). */
+export const BOM_RESIN_TYPES = MATERIAL_TYPES.filter(t => t !== 'colorant');
+
+function _productBomFromDb(r) {
+  const materials = (r.materials && typeof r.materials === 'object') ? r.materials : {};
+  return {
+    id:            r.id,
+    productId:     r.product_id,
+    version:       Number(r.version) || 1,
+    effectiveFrom: r.effective_from,
+    materials:     Object.fromEntries(BOM_RESIN_TYPES.map(t => [t, Number(materials[t]) || 0])),
+    colorantPct:   Number(r.colorant_pct) || 0,
+    packaging:     Array.isArray(r.packaging) ? r.packaging : [],
+    notes:         r.notes || '',
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+  };
+}
+
+function _productBomToDb(d) {
+  const u = {};
+  if (d.effectiveFrom !== undefined) u.effective_from = d.effectiveFrom;
+  if (d.materials     !== undefined) {
+    u.materials = Object.fromEntries(BOM_RESIN_TYPES
+      .map(t => [t, Number(d.materials?.[t]) || 0])
+      .filter(([, lbs]) => lbs > 0));
+  }
+  if (d.colorantPct   !== undefined) u.colorant_pct = Number(d.colorantPct) || 0;
+  if (d.packaging     !== undefined) {
+    u.packaging = (d.packaging || [])
+      .map(p => ({ name: (p.name || '').trim(), quantity: Number(p.quantity) || 0 }))
+      .filter(p => p.name && p.quantity > 0);
+  }
+  if (d.notes         !== undefined) u.notes = (d.notes || '').trim() || null;
+  return u;
+}
+
+export const ProductBomsAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('product_boms').select('*')
+      .order('product_id')
+      .order('version', { ascending: false });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_productBomFromDb);
+  },
+
+  /** Creates the next version of the product's recipe. */
+  async create(d) {
+    const { data: last, error: lastError } = await _sb.from('product_boms')
+      .select('version').eq('product_id', String(d.productId))
+      .order('version', { ascending: false }).limit(1);
+    if (lastError) throw new Error(lastError.message);
+
+    const now = new Date().toISOString();
+    const row = {
+      id:         _genId('bom'),
+      product_id: String(d.productId),
+      version:    (Number(last?.[0]?.version) || 0) + 1,
+      ..._productBomToDb(d),
+      created_at: now,
+      updated_at: now,
+    };
+    const { data, error } = await _sb.from('product_boms')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _productBomFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._productBomToDb(d) };
+    const { data, error } = await _sb.from('product_boms').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _productBomFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('product_boms').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/**
+ * Recipe version of a product in force on a date.
+ * @param {Object[]} boms      - ProductBomsAPI rows
+ * @param {string}   productId
+ * @param {string}   date      - 'YYYY-MM-DD'
+ * @returns {Object|null} null when the product has no version that early
+ */
+export function getEffectiveBom(boms, productId, date) {
+  let best = null;
+  for (const b of boms || []) {
+    if (String(b.productId) !== String(productId)) continue;
+    if (!b.effectiveFrom || (date && b.effectiveFrom > date)) continue;
+    if (!best
+      || b.effectiveFrom > best.effectiveFrom
+      || (b.effectiveFrom === best.effectiveFrom && b.version > best.version)) {
+      best = b;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lbs of every material type in one package of a recipe, colorant included
+ * (colorantPct % of the resin lbs).
+ * @param {Object} bom - ProductBomsAPI row
+ * @returns {Object<string, number>} keyed by MATERIAL_TYPES entry
+ */
+export function getBomLbsPerPackage(bom) {
+  const lbs = Object.fromEntries(MATERIAL_TYPES.map(t => [t, 0]));
+  if (!bom) return lbs;
+  for (const t of BOM_RESIN_TYPES) lbs[t] = Number(bom.materials?.[t]) || 0;
+  const resinLbs = BOM_RESIN_TYPES.reduce((s, t) => s + lbs[t], 0);
+  lbs.colorant = resinLbs * (Number(bom.colorantPct) || 0) / 100;
+  return lbs;
+}
+
+/**
+ * Material a set of production records should have used by recipe: each
+ * record's quantity × the recipe of its product in force on its date.
+ * Records whose product has no recipe yet are counted apart, in lbs from
+ * their weightPerPackageSnapshot, since they cannot be split by material.
+ *
+ * @param {Object[]} records - ProductionAPI rows
+ * @param {Object[]} boms    - ProductBomsAPI rows
+ * @returns {{ byType: Object<string, number>,
+ *             packaging: { name: string, quantity: number }[],
+ *             withoutBom: { records: number, lbs: number } }}
+ */
+export function getTheoreticalMaterialUse(records, boms) {
+  const byType     = Object.fromEntries(MATERIAL_TYPES.map(t => [t, 0]));
+  const packaging  = new Map();
+  const withoutBom = { records: 0, lbs: 0 };
+
+  for (const r of records || []) {
+    const qty = Number(r.quantity) || 0;
+    const bom = getEffectiveBom(boms, r.productId, r.productionDate);
+    if (!bom) {
+      withoutBom.records += 1;
+      withoutBom.lbs     += qty * (Number(r.weightPerPackageSnapshot) || 0);
+      continue;
+    }
+    const perPackage = getBomLbsPerPackage(bom);
+    for (const t of MATERIAL_TYPES) byType[t] += qty * perPackage[t];
+    for (const p of bom.packaging) {
+      packaging.set(p.name, (packaging.get(p.name) || 0) + qty * (Number(p.quantity) || 0));
+    }
+  }
+
+  return {
+    byType,
+    packaging: [...packaging].map(([name, quantity]) => ({ name, quantity }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'es')),
+    withoutBom,
+  };
+}
+
 
 // =============================================================================
 // MATERIAL RECEIPTS
@@ -774,6 +3035,9 @@ export const MaterialReceiptsAPI = {
 //     totals, attachments, lines, investor,
 //     hasNcf, ncfNumber, itbisRate, itbisAmount,
 //     createdAt, updatedAt
+//
+// Manufactured lines of confirmed sales carry lots: [{ lotNumber, quantity }]
+// (allocateSaleLots — LOT TRACEABILITY).
 // =============================================================================
 
 function _saleFromDb(r) {
@@ -868,7 +3132,12 @@ export const SalesAPI = {
     if (d.invoiceNumber  !== undefined) u.invoice_number = (d.invoiceNumber || '').trim();
     if (d.paymentMethod  !== undefined) u.payment_method = d.paymentMethod;
     if (d.attachments    !== undefined) u.attachments    = d.attachments;
-    if (d.lines          !== undefined) u.lines          = d.lines;
+    if (d.lines          !== undefined) {
+      // Confirmed sales hold lots; pending ones get them on confirmation
+      u.lines = d.status === 'confirmed'
+        ? await allocateSaleLots(d.lines, { excludeSaleId: id })
+        : d.lines;
+    }
     if (d.hasNcf         !== undefined) u.has_ncf        = d.hasNcf;
     if (d.ncfNumber      !== undefined) u.ncf_number     = d.ncfNumber;
     if (d.itbisRate      !== undefined) u.itbis_rate     = Number(d.itbisRate) || 0;
@@ -934,7 +3203,18 @@ export const SalesAPI = {
       p_note:    note,
     });
     if (error) throw new Error(error.message);
-    const sale = _saleFromDb(Array.isArray(data) ? data[0] : data);
+    let sale = _saleFromDb(Array.isArray(data) ? data[0] : data);
+
+    // Lots are taken once the stock has left (LOT TRACEABILITY)
+    const lines = await allocateSaleLots(sale.lines, { excludeSaleId: sale.id });
+    if (lines !== sale.lines) {
+      const { data: withLots, error: lotsError } = await _sb.from('sales')
+        .update({ lines }).eq('id', String(sale.id)).select().single();
+      if (lotsError) console.warn('[CapFlow] sale lots not saved:', lotsError.message);
+      else           sale = _saleFromDb(withLots);
+      await _stampSaleMovementLots(sale);
+    }
+
     await _syncSaleInvestorState(sale);
     return sale;
   },
@@ -978,16 +3258,468 @@ export const SalesAPI = {
       itbis_rate:     Number(d.itbisRate)   || 0,
       itbis_amount:   Number(d.itbisAmount) || 0,
     };
+    if (row.status === 'confirmed') row.lines = await allocateSaleLots(row.lines);
     const { data, error } = await _sb.rpc('create_sale_with_inventory_debit', {
       p_sale: row,
       p_note: note,
     });
     if (error) throw new Error(error.message);
-    const sale = _saleFromDb(Array.isArray(data) ? data[0] : data);
-    await _syncSaleInvestorState(sale, { giveMargin: d.giveMargin });
-    return sale;
-  },
-};
+    const sale = _saleFromDb(Array.isArray(data) ? data[0] : data);
+    await _stampSaleMovementLots(sale);
+    await _syncSaleInvestorState(sale, { giveMargin: d.giveMargin });
+    return sale;
+  },
+};
+
+
+// =============================================================================
+// SALES ORDERS (pedidos — Pedidos)
+//
+// DB: id, order_number, customer_id, order_date, promised_date, status,
+//     lines (jsonb), notes, created_at, updated_at
+// JS: id, orderNumber,  customerId,  orderDate,  promisedDate,  status,
+//     lines, notes, createdAt,  updatedAt
+//
+// lines: [{ productId, quantity, unitPrice, reserved }]
+// Delivered quantities come from sale lines stamped with salesOrderId
+// (sales.js); see migration 025 for how reserved / backordered are read.
+// =============================================================================
+
+/**
+ * sessionStorage key Pedidos uses to hand an order over to Facturación,
+ * which opens the sale form filled from it.
+ */
+export const SALES_ORDER_HANDOFF_KEY = 'capflow.invoiceSalesOrder';
+
+export const SALES_ORDER_STATUSES = [
+  { value: 'open',      label: 'Abierto' },
+  { value: 'done',      label: 'Completado' },
+  { value: 'cancelled', label: 'Cancelado' },
+];
+
+function _salesOrderLineToDb(l) {
+  return {
+    productId: String(l.productId),
+    quantity:  Number(l.quantity)  || 0,
+    unitPrice: Number(l.unitPrice) || 0,
+    reserved:  Number(l.reserved)  || 0,
+  };
+}
+
+function _salesOrderFromDb(r) {
+  return {
+    id:           r.id,
+    orderNumber:  r.order_number,
+    customerId:   r.customer_id,
+    orderDate:    r.order_date,
+    promisedDate: r.promised_date || null,
+    status:       r.status || 'open',
+    lines:        Array.isArray(r.lines) ? r.lines.map(_salesOrderLineToDb) : [],
+    notes:        r.notes || '',
+    createdAt:    r.created_at,
+    updatedAt:    r.updated_at,
+  };
+}
+
+function _salesOrderToDb(d) {
+  const u = {};
+  if (d.customerId   !== undefined) u.customer_id   = String(d.customerId || '');
+  if (d.orderDate    !== undefined) u.order_date    = d.orderDate;
+  if (d.promisedDate !== undefined) u.promised_date = d.promisedDate || null;
+  if (d.status       !== undefined) u.status        = d.status;
+  if (d.lines        !== undefined) u.lines         = (d.lines || []).map(_salesOrderLineToDb);
+  if (d.notes        !== undefined) u.notes         = (d.notes || '').trim() || null;
+  return u;
+}
+
+export const SalesOrdersAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('sales_orders').select('*')
+      .order('order_date', { ascending: false });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_salesOrderFromDb);
+  },
+
+  /** Numbered PED-001, PED-002… from the shared invoice counters (migration 006). */
+  async create(d) {
+    const orderNumber = await nextInvoiceNumber('PED-');
+    const now = new Date().toISOString();
+    const row = {
+      id:           _genId('ped'),
+      order_number: orderNumber,
+      ..._salesOrderToDb({ status: 'open', ...d }),
+      created_at:   now,
+      updated_at:   now,
+    };
+    const { data, error } = await _sb.from('sales_orders').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _salesOrderFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._salesOrderToDb(d) };
+    const { data, error } = await _sb.from('sales_orders').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _salesOrderFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('sales_orders').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+/** Packages delivered per "orderId|productId", from non-rejected sales. */
+function _salesOrderDelivered(sales) {
+  const delivered = new Map();
+  for (const sale of sales || []) {
+    if (sale.status === 'rejected') continue;
+    for (const l of sale.lines || []) {
+      if (!l.salesOrderId) continue;
+      const key = `${l.salesOrderId}|${l.productId}`;
+      delivered.set(key, (delivered.get(key) || 0) + (Number(l.quantity) || 0));
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Where each line of a sales order stands. Delivered quantity is shared out
+ * in line order when the same product appears on several lines.
+ *
+ * @param {Object}   order
+ * @param {Object[]} sales - SalesAPI rows (any order)
+ * @returns {{ lines: Object[], ordered: number, delivered: number,
+ *             pending: number, held: number, backordered: number,
+ *             complete: boolean }}
+ *   lines[i] = { ...line, delivered, pending, held, backordered }
+ *   held        stock still reserved for the line (0 unless the order is open)
+ *   backordered pending packages without stock behind them
+ */
+export function getSalesOrderStatus(order, sales) {
+  const delivered = _salesOrderDelivered(sales);
+  const open      = order.status === 'open';
+
+  const lines = order.lines.map(line => {
+    const key   = `${order.id}|${line.productId}`;
+    const left  = delivered.get(key) || 0;
+    const taken = Math.min(left, line.quantity);
+    delivered.set(key, left - taken);
+
+    const pending = line.quantity - taken;
+    const held    = open ? Math.min(Math.max(line.reserved - taken, 0), pending) : 0;
+    return {
+      ...line,
+      delivered:   taken,
+      pending,
+      held,
+      backordered: open ? pending - held : 0,
+    };
+  });
+
+  const sum = key => lines.reduce((s, l) => s + l[key], 0);
+  return {
+    lines,
+    ordered:     sum('quantity'),
+    delivered:   sum('delivered'),
+    pending:     sum('pending'),
+    held:        sum('held'),
+    backordered: sum('backordered'),
+    complete:    lines.length > 0 && sum('pending') === 0,
+  };
+}
+
+/**
+ * Stock held and backordered per product over all open sales orders.
+ *
+ * @param {Object[]} orders
+ * @param {Object[]} sales
+ * @param {string}   [excludeOrderId] - leave one order out (the one being
+ *                                      invoiced or re-reserved)
+ * @returns {Map<string, { reserved: number, backordered: number }>} productId →
+ */
+export function getProductReservations(orders, sales, excludeOrderId = null) {
+  const byProduct = new Map();
+  for (const order of orders || []) {
+    if (order.status !== 'open' || String(order.id) === String(excludeOrderId)) continue;
+    for (const l of getSalesOrderStatus(order, sales).lines) {
+      const key = String(l.productId);
+      const cur = byProduct.get(key) || { reserved: 0, backordered: 0 };
+      cur.reserved    += l.held;
+      cur.backordered += l.backordered;
+      byProduct.set(key, cur);
+    }
+  }
+  return byProduct;
+}
+
+/**
+ * Manufactured products a sale asks more of than the free stock: on hand minus
+ * what the other open sales orders hold (getProductReservations). Quantities
+ * are summed per product over the sale's lines before comparing. The one check
+ * behind a new sale (sales.js) and confirming a dispatched one (pendingSales.js).
+ *
+ * @param {Object[]} lines        - sale lines ({ productId, productType, quantity })
+ * @param {Map<string, Object>} productMap - productId → ProductsAPI row
+ * @param {Object[]} orders       - SalesOrdersAPI rows
+ * @param {Object[]} sales        - SalesAPI rows
+ * @param {string}   [salesOrderId] - order the sale delivers (its stock is not held against it)
+ * @returns {Promise<{ product: Object, quantity: number, available: number,
+ *                     reserved: number, unit: string }[]>} one entry per product
+ */
+export async function getStockShortfalls(lines, productMap, orders, sales, salesOrderId = null) {
+  const reservations = getProductReservations(orders, sales, salesOrderId);
+
+  // Several lines of one product draw on the same stock: compare their sum
+  const needed = new Map();
+  for (const line of lines) {
+    if (line.productType !== 'manufactured') continue;
+    const key = String(line.productId);
+    needed.set(key, (needed.get(key) || 0) + (Number(line.quantity) || 0));
+  }
+
+  const short = [];
+  for (const [productId, quantity] of needed) {
+    const product = productMap.get(productId);
+    if (!product) continue;
+    const item = await InventoryAPI.getById(await ensureProductInventoryItem(product));
+    if (!item) continue;
+    const reserved = reservations.get(String(product.id))?.reserved || 0;
+    if (item.stock - reserved < quantity) {
+      short.push({ product, quantity, available: item.stock - reserved,
+                   reserved, unit: item.unit });
+    }
+  }
+  return short;
+}
+
+/**
+ * Reserve for every line of an order what the stock allows: the line keeps
+ * what was already delivered and holds min(pending, available) on top.
+ *
+ * @param {Object}   order
+ * @param {Object[]} sales
+ * @param {Map<string, number>} availableByProduct - stock minus what the
+ *   other open orders hold (getProductReservations with excludeOrderId)
+ * @returns {Object[]} order lines with `reserved` recomputed
+ */
+export function reserveSalesOrderStock(order, sales, availableByProduct) {
+  const left = new Map(availableByProduct);
+  return getSalesOrderStatus({ ...order, status: 'open' }, sales).lines.map(l => {
+    const available = Math.max(left.get(String(l.productId)) || 0, 0);
+    const hold      = Math.min(l.pending, available);
+    left.set(String(l.productId), available - hold);
+    return {
+      productId: l.productId,
+      quantity:  l.quantity,
+      unitPrice: l.unitPrice,
+      reserved:  l.delivered + hold,
+    };
+  });
+}
+
+
+// =============================================================================
+// LOT TRACEABILITY (lotes — Trazabilidad)
+//
+// Every production record gets a lot number on create: extra.lotNumber,
+// "L<YYMMDD>-NNN" from nextLotNumber (one counter per production day).
+// A daily log confirmed into a record keeps it in daily_production_logs.lot_number.
+//
+// Confirmed sales take their manufactured packages from the product's lots,
+// oldest first: each sale line carries lots: [{ lotNumber, quantity }] inside
+// sales.lines (jsonb), and inventory_movements.lots repeats the lots a
+// movement moved. A lot's balance = its record's quantity − what confirmed
+// sale lines took from it. Packages no lot could cover stay unassigned
+// (stock older than the lot numbers, stock entered by hand).
+// =============================================================================
+
+/**
+ * Next lot number for a production date. Same counters as the invoices
+ * (next_invoice_number), but the fallback reads the day's own lots: the
+ * invoice fallback looks at sales.invoice_number, where no lot ever appears.
+ * @param {string} productionDate - 'YYYY-MM-DD'
+ * @returns {Promise<string>} e.g. "L260919-001"
+ */
+export async function nextLotNumber(productionDate) {
+  const ymd    = String(productionDate || '').replace(/-/g, '').slice(2, 8);
+  const prefix = `L${ymd}-`;
+  const { data, error } = await _sb.rpc('next_invoice_number', { p_prefix: prefix });
+  if (!error && data) return data;
+
+  // Fallback: highest lot of the day + 1 (non-atomic, like the invoice one)
+  const { data: rows, error: readError } = await _sb.from('production')
+    .select('lot:extra->>lotNumber')
+    .eq('production_date', productionDate)
+    .like('extra->>lotNumber', `${prefix}%`);
+  if (readError) throw new Error(readError.message);
+  const last = Math.max(0, ...(rows || []).map(r =>
+    parseInt(String(r.lot || '').slice(prefix.length), 10) || 0));
+  return `${prefix}${String(last + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Σ quantity of a lots array.
+ * @param {{ lotNumber: string, quantity: number }[]} lots
+ * @returns {number}
+ */
+export function sumLots(lots) {
+  return (lots || []).reduce((s, l) => s + (Number(l.quantity) || 0), 0);
+}
+
+/**
+ * Packages left in every lot.
+ * @param {Object[]} productionRecords - ProductionAPI rows
+ * @param {Object[]} sales             - SalesAPI rows (only confirmed ones count)
+ * @param {{ excludeSaleId?: string }} [opts] - leave out the sale being edited
+ * @returns {Map<string, { lotNumber: string, productId: string,
+ *                         productionDate: string, record: Object,
+ *                         produced: number, shipped: number, available: number }>}
+ */
+export function getLotBalances(productionRecords, sales, { excludeSaleId } = {}) {
+  const balances = new Map();
+  for (const r of productionRecords || []) {
+    if (!r.lotNumber) continue;
+    const produced = Number(r.quantity) || 0;
+    balances.set(r.lotNumber, {
+      lotNumber: r.lotNumber, productId: r.productId, productionDate: r.productionDate,
+      record: r, produced, shipped: 0, available: produced,
+    });
+  }
+  for (const s of sales || []) {
+    if (s.status !== 'confirmed') continue;
+    if (excludeSaleId && String(s.id) === String(excludeSaleId)) continue;
+    for (const line of s.lines || []) {
+      for (const l of line.lots || []) {
+        const bal = balances.get(l.lotNumber);
+        if (!bal) continue;
+        bal.shipped   += Number(l.quantity) || 0;
+        bal.available -= Number(l.quantity) || 0;
+      }
+    }
+  }
+  return balances;
+}
+
+/**
+ * Give the manufactured lines of a sale their lots. A line keeps the lots it
+ * already has (cut from the newest when its quantity went down); the rest is
+ * taken from the product's oldest lots with packages left. Lines stay
+ * partly unassigned when the lots run out.
+ *
+ * @param {Object[]} lines    - sale lines
+ * @param {Map}      balances - getLotBalances() without this sale; updated
+ * @returns {Object[]} lines with `lots` set on the manufactured ones
+ */
+export function assignSaleLots(lines, balances) {
+  return (lines || []).map(line => {
+    if (line.productType !== 'manufactured') return line;
+    const quantity = Number(line.quantity) || 0;
+    const lots     = [];
+    let covered    = 0;
+
+    const take = (bal, qty) => {
+      const existing = lots.find(l => l.lotNumber === bal.lotNumber);
+      if (existing) existing.quantity += qty;
+      else          lots.push({ lotNumber: bal.lotNumber, quantity: qty });
+      bal.available -= qty;
+      covered       += qty;
+    };
+
+    for (const l of line.lots || []) {
+      const bal = balances.get(l.lotNumber);
+      if (!bal || String(bal.productId) !== String(line.productId)) continue;
+      const qty = Math.min(Number(l.quantity) || 0, quantity - covered);
+      if (qty <= 0) break;
+      take(bal, qty);
+    }
+
+    const candidates = [...balances.values()]
+      .filter(b => String(b.productId) === String(line.productId))
+      .sort((a, b) => (a.productionDate || '').localeCompare(b.productionDate || '') ||
+        a.lotNumber.localeCompare(b.lotNumber));
+    for (const bal of candidates) {
+      if (covered >= quantity) break;
+      const qty = Math.min(bal.available, quantity - covered);
+      if (qty > 0) take(bal, qty);
+    }
+
+    return { ...line, lots };
+  });
+}
+
+/**
+ * Lots in `after` beyond `before` — what an edit of a line added to it.
+ * @param {{ lotNumber: string, quantity: number }[]} before
+ * @param {{ lotNumber: string, quantity: number }[]} after
+ * @returns {{ lotNumber: string, quantity: number }[]}
+ */
+export function getLotsDelta(before, after) {
+  const prev = new Map((before || []).map(l => [l.lotNumber, Number(l.quantity) || 0]));
+  return (after || [])
+    .map(l => ({ lotNumber: l.lotNumber, quantity: (Number(l.quantity) || 0) - (prev.get(l.lotNumber) || 0) }))
+    .filter(l => l.quantity > 0);
+}
+
+/**
+ * Confirmed sale lines that took each lot.
+ * @param {Object[]} sales - SalesAPI rows
+ * @returns {Map<string, { sale: Object, line: Object, quantity: number }[]>} lotNumber →
+ */
+export function getLotShipments(sales) {
+  const byLot = new Map();
+  for (const sale of sales || []) {
+    if (sale.status !== 'confirmed') continue;
+    for (const line of sale.lines || []) {
+      for (const l of line.lots || []) {
+        if (!byLot.has(l.lotNumber)) byLot.set(l.lotNumber, []);
+        byLot.get(l.lotNumber).push({ sale, line, quantity: Number(l.quantity) || 0 });
+      }
+    }
+  }
+  return byLot;
+}
+
+/**
+ * Load production and sales and assign the lots of a sale's lines.
+ * @param {Object[]} lines
+ * @param {{ excludeSaleId?: string }} [opts] - the sale being edited or confirmed
+ * @returns {Promise<Object[]>}
+ */
+export async function allocateSaleLots(lines, { excludeSaleId } = {}) {
+  if (!(lines || []).some(l => l.productType === 'manufactured')) return lines;
+  const [records, sales] = await Promise.all([ProductionAPI.getAll(), SalesAPI.getAll()]);
+  return assignSaleLots(lines, getLotBalances(records, sales, { excludeSaleId }));
+}
+
+/** Writes the lots a movement moved. Never throws — lots are informative there. */
+async function _stampMovementLots(movementId, lots) {
+  if (!movementId || !(lots || []).length) return;
+  const { error } = await _sb.from('inventory_movements')
+    .update({ lots }).eq('id', String(movementId));
+  if (error) console.warn('[CapFlow] movement lots not saved:', error.message);
+}
+
+/** Copies each manufactured line's lots onto the sale's debit movements. */
+async function _stampSaleMovementLots(sale) {
+  try {
+    const { data, error } = await _sb.from('inventory_movements')
+      .select('id, item_id').eq('reference_id', String(sale.id)).is('lots', null);
+    if (error) throw new Error(error.message);
+    if (!(data || []).length) return;
+    const products = await ProductsAPI.getAll();
+    for (const m of data) {
+      const product = products.find(p => String(p.inventoryItemId) === String(m.item_id));
+      const line    = product && (sale.lines || []).find(l =>
+        l.productType === 'manufactured' && String(l.productId) === String(product.id));
+      await _stampMovementLots(m.id, line?.lots);
+    }
+  } catch (err) {
+    console.warn('[CapFlow] sale movement lots not saved:', err.message);
+  }
+}
 
 
 // =============================================================================
@@ -1392,11 +4124,26 @@ async function _syncSaleInvestorState(sale, opts = {}) {
 // CUSTOMERS
 //
 // DB: id, name, type, phone, email, address, tax_id, status (text),
+//     credit_limit (numeric, null = no limit),
+//     payment_terms_days (integer, null = no terms configured),
 //     created_at (bigint), updated_at (bigint)
 // JS: id, name, type, phone, email, address, taxId,  status,
+//     creditLimit (number|null), paymentTermsDays (number|null),
 //     createdAt (number),  updatedAt (number)
 // =============================================================================
 
+/** '' / null / undefined → null (no limit); anything else → non-negative number. */
+function _creditLimitToDb(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  return Math.max(0, Number(v) || 0);
+}
+
+/** '' / null / undefined → null (no terms); anything else → whole days ≥ 0. */
+function _termsDaysToDb(v) {
+  if (v === '' || v === null || v === undefined) return null;
+  return Math.max(0, parseInt(v, 10) || 0);
+}
+
 function _customerFromDb(r) {
   return {
     id:        r.id,
@@ -1407,6 +4154,10 @@ function _customerFromDb(r) {
     address:   r.address,
     taxId:     r.tax_id,
     status:    r.status,
+    creditLimit:      r.credit_limit === null || r.credit_limit === undefined
+                        ? null : Number(r.credit_limit),
+    paymentTermsDays: r.payment_terms_days === null || r.payment_terms_days === undefined
+                        ? null : Number(r.payment_terms_days),
     createdAt: r.created_at,
     updatedAt: r.updated_at,
   };
@@ -1437,6 +4188,8 @@ export const CustomersAPI = {
       address:    (d.address || '').trim(),
       tax_id:     (d.taxId || '').trim(),
       status:     'active',
+      credit_limit:       _creditLimitToDb(d.creditLimit),
+      payment_terms_days: _termsDaysToDb(d.paymentTermsDays),
       created_at: now,
       updated_at: now,
     };
@@ -1454,6 +4207,8 @@ export const CustomersAPI = {
     if (d.address !== undefined) u.address = (d.address || '').trim();
     if (d.taxId   !== undefined) u.tax_id  = (d.taxId || '').trim();
     if (d.status  !== undefined) u.status  = d.status;
+    if (d.creditLimit      !== undefined) u.credit_limit       = _creditLimitToDb(d.creditLimit);
+    if (d.paymentTermsDays !== undefined) u.payment_terms_days = _termsDaysToDb(d.paymentTermsDays);
 
     const { data, error } = await _sb.from('customers').update(u)
       .eq('id', String(id)).select().single();
@@ -1465,6 +4220,122 @@ export const CustomersAPI = {
   async reactivate(id)   { return this.update(id, { status: 'active'   }); },
 };
 
+/** Local "YYYY-MM-DD" of a Date (not UTC, so late-evening checks use today). */
+function _localYMD(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Outstanding AR of one customer, for the credit check below. Only confirmed
+ * sales count; the amount due of a sale is revenue + ITBIS and it falls due
+ * paymentTermsDays after the sale date. A customer without terms configured
+ * (paymentTermsDays null) never has overdue invoices.
+ *
+ * @param {Object}   customer   - CustomersAPI row
+ * @param {Object[]} sales      - SalesAPI rows (any customer; filtered here)
+ * @param {Object[]} payments   - SalePaymentsAPI rows
+ * @param {string}   [todayYMD] - "YYYY-MM-DD"; defaults to today (local date)
+ * @param {string}   [excludeSaleId] - sale left out of the balance (the one being checked)
+ * @returns {{ outstanding: number, overdueCount: number, overdueAmount: number,
+ *             creditLimit: number|null, available: number|null }}
+ */
+export function getCustomerArSummary(customer, sales, payments, todayYMD, excludeSaleId) {
+  const today    = todayYMD || _localYMD(new Date());
+  const hasTerms = customer?.paymentTermsDays !== null && customer?.paymentTermsDays !== undefined;
+  const terms    = Number(customer?.paymentTermsDays) || 0;
+
+  const paidBySale = new Map();
+  for (const p of payments || []) {
+    const k = String(p.saleId);
+    paidBySale.set(k, (paidBySale.get(k) || 0) + (Number(p.amount) || 0));
+  }
+
+  let outstanding = 0, overdueCount = 0, overdueAmount = 0;
+  for (const s of sales || []) {
+    if (String(s.clientId) !== String(customer?.id)) continue;
+    if ((s.status || 'confirmed') !== 'confirmed') continue;
+    if (excludeSaleId && String(s.id) === String(excludeSaleId)) continue;
+
+    const due     = ((s.totals || {}).revenue || 0) + (s.itbisAmount || 0);
+    const balance = Math.round((due - (paidBySale.get(String(s.id)) || 0)) * 100) / 100;
+    if (balance <= 0.005) continue;
+    outstanding += balance;
+    if (!hasTerms) continue;
+
+    const d = new Date(`${s.saleDate}T00:00:00`);
+    d.setDate(d.getDate() + terms);
+    if (_localYMD(d) < today) {
+      overdueCount  += 1;
+      overdueAmount += balance;
+    }
+  }
+
+  const creditLimit = customer?.creditLimit ?? null;
+  return {
+    outstanding,
+    overdueCount,
+    overdueAmount,
+    creditLimit,
+    available: creditLimit === null ? null : creditLimit - outstanding,
+  };
+}
+
+/**
+ * Credit rule shared by sales.js (new sale) and pendingSales.js (confirming a
+ * dispatched sale): the new amount must fit under the credit limit and the
+ * customer may have no overdue invoices. "Today" is the local date.
+ *
+ * @param {Object}   customer - CustomersAPI row
+ * @param {Object[]} sales    - SalesAPI rows
+ * @param {Object[]} payments - SalePaymentsAPI rows
+ * @param {number}   amount   - amount the sale adds to the balance (0 if paid on confirm)
+ * @param {Object}   [opts]
+ * @param {string}   [opts.excludeSaleId] - the sale being checked, if already stored
+ * @param {Function} [opts.fmt]           - money formatter for the messages
+ * @returns {{ ok: boolean, issues: string[], ar: Object, amount: number }}
+ *   issues — Spanish sentences, one per broken rule, ready to show.
+ */
+export function checkCustomerCredit(customer, sales, payments, amount, { excludeSaleId, fmt = String } = {}) {
+  const ar     = getCustomerArSummary(customer, sales, payments, _localYMD(new Date()), excludeSaleId);
+  const issues = [];
+  if (ar.creditLimit !== null && ar.outstanding + amount > ar.creditLimit + 0.005) {
+    issues.push(`Saldo pendiente ${fmt(ar.outstanding)}` +
+      (amount ? ` + esta venta ${fmt(amount)}` : '') +
+      ` excede el límite de crédito (${fmt(ar.creditLimit)}).`);
+  }
+  if (ar.overdueCount > 0) {
+    issues.push(`${ar.overdueCount} factura(s) vencida(s) por ${fmt(ar.overdueAmount)}.`);
+  }
+  return { ok: issues.length === 0, issues, ar, amount };
+}
+
+/**
+ * change_history entry for an admin credit override. Call it only once the
+ * sale is saved / confirmed, so a failed save leaves no override behind.
+ *
+ * @param {Object} check    - result of checkCustomerCredit
+ * @param {Object} customer - CustomersAPI row
+ * @param {string} saleRef  - invoice number, or the sale id when there is none
+ * @param {{ id: string|null, name: string }} user
+ */
+export function logCreditOverride(check, customer, saleRef, user) {
+  return ChangeHistoryAPI.log({
+    entity_type: 'customer',
+    entity_id:   customer.id,
+    entity_name: customer.name,
+    action:      'autorizar_credito',
+    changes:     {
+      invoice_number: { before: null, after: saleRef || null },
+      sale_amount:    { before: null, after: check.amount },
+      outstanding:    { before: null, after: check.ar.outstanding },
+      credit_limit:   { before: null, after: check.ar.creditLimit },
+      overdue_amount: { before: null, after: check.ar.overdueAmount },
+    },
+    user_id:   user.id,
+    user_name: user.name,
+  });
+}
+
 
 // =============================================================================
 // INVESTOR
@@ -1766,7 +4637,10 @@ export const InvestorAPI = {
 //
 // items DB:      id, name, type, unit, stock (numeric), created_at (bigint), updated_at (bigint)
 // movements DB:  id, item_id, type, quantity (numeric), date (bigint),
-//                reference_id, note, created_at
+//                reference_id, note, lots (jsonb), created_at
+//
+// movements.lots: [{ lotNumber, quantity }] of finished goods the movement
+// moved (LOT TRACEABILITY); null for raw materials and manual movements.
 // =============================================================================
 
 function _invItemFromDb(r) {
@@ -1790,6 +4664,7 @@ function _invMovFromDb(r) {
     date:        r.date,
     referenceId: r.reference_id,
     note:        r.note,
+    lots:        Array.isArray(r.lots) ? r.lots : [],
   };
 }
 
@@ -1803,16 +4678,18 @@ function _invMovFromDb(r) {
  *   type='out'        → movements.quantity = -abs(delta)
  *   type='adjustment' → movements.quantity = signed delta
  */
-async function _applyMovement(itemId, type, delta, referenceId, note) {
+async function _applyMovement(itemId, type, delta, referenceId, note, lots = null) {
+  const movementId = _genId('mov');
   const { data, error } = await _sb.rpc('apply_inventory_movement', {
     p_item_id:       String(itemId),
     p_delta:         delta,
     p_movement_type: type,
-    p_movement_id:   _genId('mov'),
+    p_movement_id:   movementId,
     p_reference_id:  referenceId == null ? null : String(referenceId),
     p_note:          (note || '').trim(),
   });
   if (error) throw new Error(error.message);
+  await _stampMovementLots(movementId, lots);
   // PostgREST returns the row directly when the function returns a composite.
   return Array.isArray(data) ? data[0] : data;
 }
@@ -1858,17 +4735,19 @@ export const InventoryAPI = {
     return _invItemFromDb(data);
   },
 
-  async addStock(itemId, quantity, referenceId = null, note = '') {
+  /** `lots`: finished-goods lots the movement brings in (LOT TRACEABILITY). */
+  async addStock(itemId, quantity, referenceId = null, note = '', lots = null) {
     const qty = Number(quantity);
     if (!qty || qty <= 0) throw new Error('La cantidad debe ser mayor que cero.');
-    const updated = await _applyMovement(itemId, 'in', qty, referenceId, note);
+    const updated = await _applyMovement(itemId, 'in', qty, referenceId, note, lots);
     return _invItemFromDb(updated);
   },
 
-  async removeStock(itemId, quantity, referenceId = null, note = '') {
+  /** `lots`: finished-goods lots the movement takes out (LOT TRACEABILITY). */
+  async removeStock(itemId, quantity, referenceId = null, note = '', lots = null) {
     const qty = Number(quantity);
     if (!qty || qty <= 0) throw new Error('La cantidad debe ser mayor que cero.');
-    const updated = await _applyMovement(itemId, 'out', -qty, referenceId, note);
+    const updated = await _applyMovement(itemId, 'out', -qty, referenceId, note, lots);
     return _invItemFromDb(updated);
   },
 
@@ -1888,6 +4767,25 @@ export const InventoryAPI = {
     if (error) throw new Error(error.message);
     return (data || []).map(_invMovFromDb);
   },
+
+  /**
+   * Finished-goods stock held by open sales orders, per inventory item
+   * (available = stock − reserved). Products without an inventory link
+   * hold nothing.
+   * @returns {Promise<Map<string, { reserved: number, backordered: number }>>} itemId →
+   */
+  async getReservations() {
+    const [orders, sales, products] = await Promise.all([
+      SalesOrdersAPI.getAll(), SalesAPI.getAll(), ProductsAPI.getAll(),
+    ]);
+    const byProduct = getProductReservations(orders, sales);
+    const byItem    = new Map();
+    for (const p of products) {
+      const r = byProduct.get(String(p.id));
+      if (r && p.inventoryItemId) byItem.set(String(p.inventoryItemId), r);
+    }
+    return byItem;
+  },
 };
 
 
@@ -1934,6 +4832,7 @@ export async function ensureRawMaterialInventoryItem(materialType) {
 //     is_active (bool), extra (jsonb), created_at, updated_at
 // JS: id, name, document, phone, email, position, monthlySalary,
 //     isActive, createdAt, updatedAt
+//     + extra: bankName, bankAccountNumber, bankAccountType
 // =============================================================================
 
 function _employeeFromDb(r) {
@@ -2090,137 +4989,549 @@ export const LoansAPI = {
     const { data: raw, error: e1 } = await _sb.from('loans').select('*')
       .eq('id', String(loanId)).single();
     if (e1) throw new Error(e1.message);
-    const loan = _loanFromDb(raw);
-    const amt = Number(amount);
-    if (!amt || amt <= 0) throw new Error('El monto del pago debe ser mayor que cero.');
-    if (amt > loan.remaining) throw new Error(
-      `El pago (${amt.toFixed(2)}) supera el saldo restante (${loan.remaining.toFixed(2)}).`
-    );
-    const entry = {
-      id: _genId('lpay'), dateISO: new Date().toISOString(),
-      month: _normalizeMonth(month), amount: amt,
-      referenceId: String(referenceId || ''), note: (note || '').trim(),
-    };
-    const newRemaining = Math.max(0, loan.remaining - amt);
-    const upd = {
-      remaining: newRemaining, history: [...loan.history, entry],
-      updated_at: new Date().toISOString(),
-    };
-    if (newRemaining === 0) upd.is_active = false;
-    const { data, error } = await _sb.from('loans').update(upd)
-      .eq('id', String(loanId)).select().single();
+    const loan = _loanFromDb(raw);
+    const amt = Number(amount);
+    if (!amt || amt <= 0) throw new Error('El monto del pago debe ser mayor que cero.');
+    if (amt > loan.remaining) throw new Error(
+      `El pago (${amt.toFixed(2)}) supera el saldo restante (${loan.remaining.toFixed(2)}).`
+    );
+    const entry = {
+      id: _genId('lpay'), dateISO: new Date().toISOString(),
+      month: _normalizeMonth(month), amount: amt,
+      referenceId: String(referenceId || ''), note: (note || '').trim(),
+    };
+    const newRemaining = Math.max(0, loan.remaining - amt);
+    const upd = {
+      remaining: newRemaining, history: [...loan.history, entry],
+      updated_at: new Date().toISOString(),
+    };
+    if (newRemaining === 0) upd.is_active = false;
+    const { data, error } = await _sb.from('loans').update(upd)
+      .eq('id', String(loanId)).select().single();
+    if (error) throw new Error(error.message);
+    return _loanFromDb(data);
+  },
+
+  async revertPaymentsByReference(referenceId) {
+    const refStr = String(referenceId || '');
+    const { data: allLoans, error } = await _sb.from('loans').select('*');
+    if (error) throw new Error(error.message);
+    for (const raw of (allLoans || [])) {
+      const hist     = Array.isArray(raw.history) ? raw.history : [];
+      const matching = hist.filter(e => e.referenceId === refStr);
+      if (!matching.length) continue;
+      const totalReverted = matching.reduce((s, e) => s + e.amount, 0);
+      const newHistory    = hist.filter(e => e.referenceId !== refStr);
+      const newRemaining  = Number(raw.remaining) + totalReverted;
+      await _sb.from('loans').update({
+        remaining: newRemaining, history: newHistory,
+        is_active: newRemaining > 0 ? true : raw.is_active,
+        updated_at: new Date().toISOString(),
+      }).eq('id', raw.id);
+    }
+    return null;
+  },
+};
+
+
+// =============================================================================
+// PAYROLL
+//
+// DB: id, month, period (int), period_key, snapshot (jsonb),
+//     created_at, updated_at
+// JS: id, month, period, periodKey, + all snapshot fields spread
+//     (isClosed, closedAt, loanReferenceId, totals, rows, etc.)
+// =============================================================================
+
+function _payrollFromDb(r) {
+  const snap = (r.snapshot && typeof r.snapshot === 'object') ? r.snapshot : {};
+  return {
+    id:        r.id,
+    month:     r.month,
+    period:    r.period,
+    periodKey: r.period_key,
+    ...snap,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+export const PayrollAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('payroll_runs').select('*');
+    if (error) throw new Error(error.message);
+    return (data || []).map(_payrollFromDb);
+  },
+
+  async getByPeriod(month, period) {
+    const pk = _normalizePeriodKey(month, period);
+    const { data, error } = await _sb.from('payroll_runs').select('*')
+      .eq('period_key', pk).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data ? _payrollFromDb(data) : null;
+  },
+
+  async upsertByPeriod(month, period, snapshot) {
+    const nm = _normalizeMonth(month);
+    const pk = _normalizePeriodKey(month, period);
+    const { id: _i, month: _m, period: _p, periodKey: _pk,
+            createdAt: _ca, updatedAt: _ua, ...snapData } = snapshot;
+
+    const existing = await this.getByPeriod(month, period);
+
+    if (!existing) {
+      const row = {
+        id:         _genId('pay'),
+        month:      nm,
+        period:     period === 1 ? 1 : 2,
+        period_key: pk,
+        snapshot:   snapData,
+        created_at: new Date().toISOString(),
+      };
+      const { data, error } = await _sb.from('payroll_runs').insert(row).select().single();
+      if (error) throw new Error(error.message);
+      return _payrollFromDb(data);
+    }
+
+    const { data, error } = await _sb.from('payroll_runs').update({
+      snapshot: snapData, updated_at: new Date().toISOString(),
+    }).eq('period_key', pk).select().single();
+    if (error) throw new Error(error.message);
+    return _payrollFromDb(data);
+  },
+
+  async removeByPeriod(month, period) {
+    const pk = _normalizePeriodKey(month, period);
+    const { error } = await _sb.from('payroll_runs').delete().eq('period_key', pk);
+    if (error) throw new Error(error.message);
+    return null;
+  },
+
+  async getByMonth(month)          { return this.getByPeriod(month, 2); },
+  async upsertByMonth(month, snap) { return this.upsertByPeriod(month, 2, snap); },
+  async removeByMonth(month)       { return this.removeByPeriod(month, 2); },
+};
+
+
+// =============================================================================
+// PAYROLL STATUTORY RATES
+//
+// Dated TSS / ISR rate tables. A payroll period uses the table with the latest
+// effective_from on or before the period's last day, so a rate change never
+// rewrites earlier quincenas (closed snapshots also store the amounts).
+//
+// DB: id, effective_from (date), params (jsonb), notes, created_at, updated_at
+// JS: id, effectiveFrom, params, notes, createdAt, updatedAt
+//
+// params: { minimumWage,                       — salario mínimo cotizable (monthly)
+//           afpEmployeeRate, afpEmployerRate, afpCapWages,
+//           sfsEmployeeRate, sfsEmployerRate, sfsCapWages,
+//           srlEmployerRate, srlCapWages, infotepEmployerRate,
+//           isrBrackets: [{ over, rate }] }    — annual, marginal
+// Rates are percentages (2.87 = 2.87 %). Caps are multiples of minimumWage.
+// =============================================================================
+
+function _statutoryRatesFromDb(r) {
+  return {
+    id:            r.id,
+    effectiveFrom: r.effective_from,
+    params:        (r.params && typeof r.params === 'object') ? r.params : {},
+    notes:         r.notes || '',
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+  };
+}
+
+export const PayrollStatutoryRatesAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('payroll_statutory_rates').select('*')
+      .order('effective_from', { ascending: false });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_statutoryRatesFromDb);
+  },
+
+  async create({ effectiveFrom, params, notes }) {
+    const row = {
+      id:             _genId('tss'),
+      effective_from: effectiveFrom,
+      params:         params || {},
+      notes:          (notes || '').trim(),
+      created_at:     new Date().toISOString(),
+    };
+    const { data, error } = await _sb.from('payroll_statutory_rates').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _statutoryRatesFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('payroll_statutory_rates').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+
+// =============================================================================
+// PAYROLL BANK LAYOUTS
+//
+// Bulk-transfer file layouts used to export a closed quincena's net pay.
+// Worker accounts live in operators.extra / employees.extra
+// (bankName, bankAccountNumber, bankAccountType).
+//
+// DB: id, name, format ('csv'|'fixed'), params (jsonb), created_at, updated_at
+// JS: id, name, format, params, createdAt, updatedAt
+//
+// params: { delimiter, includeHeader, originAccount,
+//           fields: [{ source, label, width, align, pad }] }
+// =============================================================================
+
+function _bankLayoutFromDb(r) {
+  const params = (r.params && typeof r.params === 'object') ? r.params : {};
+  return {
+    id:        r.id,
+    name:      r.name,
+    format:    r.format === 'fixed' ? 'fixed' : 'csv',
+    params:    { ...params, fields: Array.isArray(params.fields) ? params.fields : [] },
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+export const PayrollBankLayoutsAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('payroll_bank_layouts').select('*')
+      .order('name', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_bankLayoutFromDb);
+  },
+
+  async create({ name, format, params }) {
+    const row = {
+      id:         _genId('bank'),
+      name:       (name || '').trim(),
+      format:     format === 'fixed' ? 'fixed' : 'csv',
+      params:     params || {},
+      created_at: new Date().toISOString(),
+    };
+    const { data, error } = await _sb.from('payroll_bank_layouts').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _bankLayoutFromDb(data);
+  },
+
+  async update(id, { name, format, params }) {
+    const u = { updated_at: new Date().toISOString() };
+    if (name   !== undefined) u.name   = (name || '').trim();
+    if (format !== undefined) u.format = format === 'fixed' ? 'fixed' : 'csv';
+    if (params !== undefined) u.params = params || {};
+    const { data, error } = await _sb.from('payroll_bank_layouts').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _bankLayoutFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('payroll_bank_layouts').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+};
+
+
+// =============================================================================
+// PAYROLL CONFIG
+//
+// Pay scheme + base salary per person per month (shared across browsers;
+// previously localStorage key capflow_payroll_config).
+//
+// DB: id, month, person_key, pay_scheme, base_monthly_salary (numeric),
+//     created_at, updated_at — UNIQUE (month, person_key)
+// JS: id, month, personKey, payScheme, baseMonthlySalary, createdAt, updatedAt
+// =============================================================================
+
+function _payrollConfigFromDb(r) {
+  return {
+    id:                r.id,
+    month:             r.month,
+    personKey:         r.person_key,
+    payScheme:         r.pay_scheme,
+    baseMonthlySalary: Number(r.base_monthly_salary),
+    createdAt:         r.created_at,
+    updatedAt:         r.updated_at,
+  };
+}
+
+export const PayrollConfigAPI = {
+  async getByMonth(month) {
+    const { data, error } = await _sb.from('payroll_config').select('*')
+      .eq('month', _normalizeMonth(month));
+    if (error) throw new Error(error.message);
+    return (data || []).map(_payrollConfigFromDb);
+  },
+
+  /** Insert or patch the config row for one person in one month. */
+  async upsert(month, personKey, patch) {
+    const nm = _normalizeMonth(month);
+    const { data: existing, error: e1 } = await _sb.from('payroll_config').select('id')
+      .eq('month', nm).eq('person_key', String(personKey)).maybeSingle();
+    if (e1) throw new Error(e1.message);
+
+    const u = {};
+    if (patch.payScheme         !== undefined) u.pay_scheme          = patch.payScheme;
+    if (patch.baseMonthlySalary !== undefined) u.base_monthly_salary = Number(patch.baseMonthlySalary) || 0;
+
+    if (!existing) {
+      const row = {
+        id:                  _genId('pcfg'),
+        month:               nm,
+        person_key:          String(personKey),
+        pay_scheme:          'production_only',
+        base_monthly_salary: 0,
+        ...u,
+        created_at:          new Date().toISOString(),
+      };
+      const { data, error } = await _sb.from('payroll_config').insert(row).select().single();
+      if (error) throw new Error(error.message);
+      return _payrollConfigFromDb(data);
+    }
+
+    u.updated_at = new Date().toISOString();
+    const { data, error } = await _sb.from('payroll_config').update(u)
+      .eq('id', existing.id).select().single();
     if (error) throw new Error(error.message);
-    return _loanFromDb(data);
+    return _payrollConfigFromDb(data);
   },
 
-  async revertPaymentsByReference(referenceId) {
-    const refStr = String(referenceId || '');
-    const { data: allLoans, error } = await _sb.from('loans').select('*');
+  /**
+   * Bulk insert for the one-time localStorage import. Rows that already
+   * exist for (month, personKey) are left untouched.
+   * @param {{ month, personKey, payScheme, baseMonthlySalary }[]} items
+   */
+  async importMany(items) {
+    if (!items.length) return;
+    const now  = new Date().toISOString();
+    const rows = items.map(i => ({
+      id:                  _genId('pcfg'),
+      month:               _normalizeMonth(i.month),
+      person_key:          String(i.personKey),
+      pay_scheme:          i.payScheme || 'production_only',
+      base_monthly_salary: Number(i.baseMonthlySalary) || 0,
+      created_at:          now,
+    }));
+    const { error } = await _sb.from('payroll_config')
+      .upsert(rows, { onConflict: 'month,person_key', ignoreDuplicates: true });
     if (error) throw new Error(error.message);
-    for (const raw of (allLoans || [])) {
-      const hist     = Array.isArray(raw.history) ? raw.history : [];
-      const matching = hist.filter(e => e.referenceId === refStr);
-      if (!matching.length) continue;
-      const totalReverted = matching.reduce((s, e) => s + e.amount, 0);
-      const newHistory    = hist.filter(e => e.referenceId !== refStr);
-      const newRemaining  = Number(raw.remaining) + totalReverted;
-      await _sb.from('loans').update({
-        remaining: newRemaining, history: newHistory,
-        is_active: newRemaining > 0 ? true : raw.is_active,
-        updated_at: new Date().toISOString(),
-      }).eq('id', raw.id);
-    }
-    return null;
   },
 };
 
 
 // =============================================================================
-// PAYROLL
+// PAYROLL ADJUSTMENTS
 //
-// DB: id, month, period (int), period_key, snapshot (jsonb),
-//     created_at, updated_at
-// JS: id, month, period, periodKey, + all snapshot fields spread
-//     (isClosed, closedAt, loanReferenceId, totals, rows, etc.)
+// Bonus / deduction items per person per pay period (previously localStorage
+// key capflow_payroll_adjustments).
+//
+// DB: id, period_key, person_key, type ('bonus'|'deduction'), amount (numeric),
+//     note, created_at
+// JS: id, periodKey, personKey, type, amount, note, createdAt
 // =============================================================================
 
-function _payrollFromDb(r) {
-  const snap = (r.snapshot && typeof r.snapshot === 'object') ? r.snapshot : {};
+function _payrollAdjustmentFromDb(r) {
   return {
     id:        r.id,
-    month:     r.month,
-    period:    r.period,
     periodKey: r.period_key,
-    ...snap,
+    personKey: r.person_key,
+    type:      r.type,
+    amount:    Number(r.amount),
+    note:      r.note || '',
     createdAt: r.created_at,
-    updatedAt: r.updated_at,
   };
 }
 
-export const PayrollAPI = {
-  async getAll() {
-    const { data, error } = await _sb.from('payroll_runs').select('*');
+export const PayrollAdjustmentsAPI = {
+  async getByPeriodKey(periodKey) {
+    const { data, error } = await _sb.from('payroll_adjustments').select('*')
+      .eq('period_key', String(periodKey))
+      .order('created_at', { ascending: true });
     if (error) throw new Error(error.message);
-    return (data || []).map(_payrollFromDb);
+    return (data || []).map(_payrollAdjustmentFromDb);
   },
 
-  async getByPeriod(month, period) {
-    const pk = _normalizePeriodKey(month, period);
-    const { data, error } = await _sb.from('payroll_runs').select('*')
-      .eq('period_key', pk).maybeSingle();
+  async create({ periodKey, personKey, type, amount, note }) {
+    const row = {
+      id:         _genId('adj'),
+      period_key: String(periodKey),
+      person_key: String(personKey),
+      type:       type === 'deduction' ? 'deduction' : 'bonus',
+      amount:     Number(amount) || 0,
+      note:       (note || '').trim(),
+      created_at: new Date().toISOString(),
+    };
+    const { data, error } = await _sb.from('payroll_adjustments').insert(row).select().single();
     if (error) throw new Error(error.message);
-    return data ? _payrollFromDb(data) : null;
+    return _payrollAdjustmentFromDb(data);
   },
 
-  async upsertByPeriod(month, period, snapshot) {
-    const nm = _normalizeMonth(month);
-    const pk = _normalizePeriodKey(month, period);
-    const { id: _i, month: _m, period: _p, periodKey: _pk,
-            createdAt: _ca, updatedAt: _ua, ...snapData } = snapshot;
+  async remove(id) {
+    const { error } = await _sb.from('payroll_adjustments').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
 
-    const existing = await this.getByPeriod(month, period);
+  /**
+   * Bulk insert for the one-time localStorage import. Keeps the local ids so
+   * re-running the import (e.g. from a second browser) never duplicates items.
+   * @param {{ id, periodKey, personKey, type, amount, note, createdAt }[]} items
+   */
+  async importMany(items) {
+    if (!items.length) return;
+    const rows = items.map(i => ({
+      id:         String(i.id || _genId('adj')),
+      period_key: String(i.periodKey),
+      person_key: String(i.personKey),
+      type:       i.type === 'deduction' ? 'deduction' : 'bonus',
+      amount:     Number(i.amount) || 0,
+      note:       (i.note || '').trim(),
+      created_at: i.createdAt || new Date().toISOString(),
+    }));
+    const { error } = await _sb.from('payroll_adjustments')
+      .upsert(rows, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) throw new Error(error.message);
+  },
+};
 
-    if (!existing) {
-      const row = {
-        id:         _genId('pay'),
-        month:      nm,
-        period:     period === 1 ? 1 : 2,
-        period_key: pk,
-        snapshot:   snapData,
-        created_at: new Date().toISOString(),
-      };
-      const { data, error } = await _sb.from('payroll_runs').insert(row).select().single();
-      if (error) throw new Error(error.message);
-      return _payrollFromDb(data);
-    }
 
-    const { data, error } = await _sb.from('payroll_runs').update({
-      snapshot: snapData, updated_at: new Date().toISOString(),
-    }).eq('period_key', pk).select().single();
+// =============================================================================
+// ATTENDANCE (asistencia — Asistencia)
+//
+// DB: id, person_key, attendance_date, check_in, check_out, absence_type,
+//     source ('manual'|'csv'), notes, created_at, updated_at
+// JS: id, personKey,  date,            checkIn,  checkOut,  absenceType,
+//     source, notes, createdAt, updatedAt
+//
+// One row per person per day. personKey is payroll's 'operator:<id>' /
+// 'employee:<id>'. absenceType null = present (checkIn set).
+// =============================================================================
+
+export const ATTENDANCE_ABSENCE_TYPES = [
+  { value: 'justificada',   label: 'Justificada',   short: 'J' },
+  { value: 'injustificada', label: 'Injustificada', short: 'I' },
+  { value: 'licencia',      label: 'Licencia',      short: 'L' },
+];
+
+/** Divisor of the monthly salary for one day's pay (salario diario). */
+export const SALARY_DAYS_PER_MONTH = 23.83;
+
+function _attendanceFromDb(r) {
+  return {
+    id:          r.id,
+    personKey:   r.person_key,
+    date:        r.attendance_date,
+    checkIn:     r.check_in  ? r.check_in.slice(0, 5)  : null,
+    checkOut:    r.check_out ? r.check_out.slice(0, 5) : null,
+    absenceType: r.absence_type || null,
+    source:      r.source || 'manual',
+    notes:       r.notes || '',
+    createdAt:   r.created_at,
+    updatedAt:   r.updated_at,
+  };
+}
+
+function _attendanceToDb(d) {
+  const row = {};
+  if (d.personKey   !== undefined) row.person_key      = String(d.personKey);
+  if (d.date        !== undefined) row.attendance_date = d.date;
+  if (d.checkIn     !== undefined) row.check_in        = d.checkIn     || null;
+  if (d.checkOut    !== undefined) row.check_out       = d.checkOut    || null;
+  if (d.absenceType !== undefined) row.absence_type    = d.absenceType || null;
+  if (d.source      !== undefined) row.source          = d.source === 'csv' ? 'csv' : 'manual';
+  if (d.notes       !== undefined) row.notes           = (d.notes || '').trim() || null;
+  return row;
+}
+
+export const AttendanceAPI = {
+  /** Rows with attendance_date in [from, to] (inclusive). */
+  async getByRange(from, to) {
+    const { data, error } = await _sb.from('attendance').select('*')
+      .gte('attendance_date', from).lte('attendance_date', to);
     if (error) throw new Error(error.message);
-    return _payrollFromDb(data);
+    return (data || []).map(_attendanceFromDb);
   },
 
-  async removeByPeriod(month, period) {
-    const pk = _normalizePeriodKey(month, period);
-    const { error } = await _sb.from('payroll_runs').delete().eq('period_key', pk);
+  /**
+   * Insert or replace the rows of each person × day. Rows carrying the id of
+   * the existing one keep it; new rows get a fresh id.
+   * @param {Object[]} items
+   */
+  async upsertMany(items) {
+    if (!items.length) return [];
+    const now  = new Date().toISOString();
+    const rows = items.map(d => ({
+      ..._attendanceToDb(d), id: d.id || _genId('att'), updated_at: now,
+    }));
+    const { data, error } = await _sb.from('attendance')
+      .upsert(rows, { onConflict: 'person_key,attendance_date' }).select();
     if (error) throw new Error(error.message);
-    return null;
+    return (data || []).map(_attendanceFromDb);
   },
 
-  async getByMonth(month)          { return this.getByPeriod(month, 2); },
-  async upsertByMonth(month, snap) { return this.upsertByPeriod(month, 2, snap); },
-  async removeByMonth(month)       { return this.removeByPeriod(month, 2); },
+  async upsert(d) {
+    const [saved] = await this.upsertMany([d]);
+    return saved;
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('attendance').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
 };
 
+/**
+ * Minutes between check-in and check-out; a check-out earlier than the
+ * check-in is on the next day. null without both times.
+ * @param {{ checkIn, checkOut }} row
+ * @returns {number|null}
+ */
+export function getAttendanceMinutes({ checkIn, checkOut }) {
+  if (!checkIn || !checkOut) return null;
+  const toMin = t => { const [h, m] = t.split(':').map(Number); return h * 60 + m; };
+  const diff  = toMin(checkOut) - toMin(checkIn);
+  return diff > 0 ? diff : diff + 24 * 60;
+}
+
+/**
+ * Unexcused absences of one person in [from, to] and what they take off the
+ * salary: one day's pay (monthly ÷ SALARY_DAYS_PER_MONTH) per day, never more
+ * than `cap` (the salary of the period).
+ *
+ * @param {Object[]} rows - AttendanceAPI rows
+ * @param {string} personKey
+ * @param {{ from: string, to: string, monthlySalary: number, cap: number }} opts
+ * @returns {{ days: number, dates: string[], dailyRate: number, amount: number }}
+ */
+export function getAbsenceDeduction(rows, personKey, { from, to, monthlySalary, cap }) {
+  const dates = (rows || [])
+    .filter(r => r.personKey === personKey && r.absenceType === 'injustificada' &&
+                 r.date >= from && r.date <= to)
+    .map(r => r.date)
+    .sort();
+  const dailyRate = (Number(monthlySalary) || 0) / SALARY_DAYS_PER_MONTH;
+  const amount    = Math.min(Math.round(dates.length * dailyRate * 100) / 100, Math.max(0, cap || 0));
+  return { days: dates.length, dates, dailyRate, amount };
+}
+
 
 // =============================================================================
 // EXPENSES
 //
 // DB: id, expense_date, category, description, amount, method, notes,
-//     investor_history_id, created_at, updated_at
+//     investor_history_id, supplier_tax_id, ncf, itbis_amount,
+//     recurring_expense_id, recurring_month, template_amount,
+//     created_at, updated_at
 // JS: id, expenseDate,  category, description, amount, method, notes,
-//     investorHistoryId, createdAt, updatedAt
+//     investorHistoryId, supplierTaxId, ncf, itbisAmount,
+//     recurringExpenseId, recurringMonth, templateAmount,
+//     createdAt, updatedAt
 // =============================================================================
 
 function _expenseFromDb(r) {
@@ -2239,6 +5550,13 @@ function _expenseFromDb(r) {
     payableStatus:     r.payable_status ?? 'unpaid',
     dueDate:           r.due_date ?? null,
     paidAmount:        Number(r.paid_amount ?? 0),
+    supplierTaxId:     r.supplier_tax_id || '',
+    ncf:               r.ncf || '',
+    itbisAmount:       Number(r.itbis_amount ?? 0),
+    recurringExpenseId: r.recurring_expense_id ?? null,
+    recurringMonth:     r.recurring_month ?? null,
+    templateAmount:     r.template_amount === null || r.template_amount === undefined
+                          ? null : Number(r.template_amount),
     createdAt:         r.created_at,
     updatedAt:         r.updated_at,
   };
@@ -2276,6 +5594,12 @@ export const ExpensesAPI = {
       payable_status:      isPayable ? (d.payableStatus || 'unpaid') : 'unpaid',
       due_date:            isPayable ? (d.dueDate || null) : null,
       paid_amount:         isPayable ? (Number(d.paidAmount) || 0) : 0,
+      supplier_tax_id:     (d.supplierTaxId || '').trim() || null,
+      ncf:                 (d.ncf || '').trim().toUpperCase() || null,
+      itbis_amount:        Number(d.itbisAmount) || 0,
+      recurring_expense_id: d.recurringExpenseId || null,
+      recurring_month:      d.recurringExpenseId ? (d.recurringMonth || null) : null,
+      template_amount:      d.recurringExpenseId ? (Number(d.templateAmount) || 0) : null,
       created_at:          now,
       updated_at:          now,
     };
@@ -2299,6 +5623,9 @@ export const ExpensesAPI = {
     if (d.payableStatus      !== undefined) u.payable_status      = d.payableStatus  || 'unpaid';
     if (d.dueDate            !== undefined) u.due_date            = d.dueDate        || null;
     if (d.paidAmount         !== undefined) u.paid_amount         = Number(d.paidAmount) || 0;
+    if (d.supplierTaxId      !== undefined) u.supplier_tax_id     = (d.supplierTaxId || '').trim() || null;
+    if (d.ncf                !== undefined) u.ncf                 = (d.ncf || '').trim().toUpperCase() || null;
+    if (d.itbisAmount        !== undefined) u.itbis_amount        = Number(d.itbisAmount) || 0;
 
     // Enforce mutual exclusion: AP expenses cannot be investor-linked.
     if (d.isPayable === true) {
@@ -2326,11 +5653,163 @@ export const ExpensesAPI = {
 };
 
 
+// =============================================================================
+// RECURRING EXPENSES (templates — Gastos → Recurrentes)
+//
+// DB: id, description, category, amount, is_estimated, method, day_of_month,
+//     is_payable, creditor_type, creditor_id, notes, start_month,
+//     skipped_months (jsonb), is_active, created_at, updated_at
+// JS: id, description, category, amount, isEstimated,  method, dayOfMonth,
+//     isPayable,  creditorType,  creditorId,  notes, startMonth,
+//     skippedMonths (array), isActive, createdAt, updatedAt
+//
+// Instances are not stored until confirmed: getPendingRecurringExpenses()
+// derives them from the templates and the expenses already linked to them.
+// =============================================================================
+
+function _recurringExpenseFromDb(r) {
+  return {
+    id:            r.id,
+    description:   r.description,
+    category:      r.category,
+    amount:        Number(r.amount),
+    isEstimated:   r.is_estimated === true,
+    method:        r.method ?? null,
+    dayOfMonth:    Number(r.day_of_month) || 1,
+    isPayable:     r.is_payable === true,
+    creditorType:  r.creditor_type ?? null,
+    creditorId:    r.creditor_id ?? null,
+    notes:         r.notes || '',
+    startMonth:    r.start_month,
+    skippedMonths: Array.isArray(r.skipped_months) ? r.skipped_months : [],
+    isActive:      r.is_active !== false,
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+  };
+}
+
+function _recurringExpenseToDb(d) {
+  const u = {};
+  const isPayable = d.isPayable === undefined ? undefined : Boolean(d.isPayable);
+  if (d.description   !== undefined) u.description    = (d.description || '').trim();
+  if (d.category      !== undefined) u.category       = d.category || '';
+  if (d.amount        !== undefined) u.amount         = Number(d.amount) || 0;
+  if (d.isEstimated   !== undefined) u.is_estimated   = Boolean(d.isEstimated);
+  if (d.method        !== undefined) u.method         = d.method || null;
+  if (d.dayOfMonth    !== undefined) u.day_of_month   =
+    Math.min(31, Math.max(1, parseInt(d.dayOfMonth, 10) || 1));
+  if (isPayable       !== undefined) u.is_payable     = isPayable;
+  if (d.creditorType  !== undefined) u.creditor_type  = d.creditorType || null;
+  if (d.creditorId    !== undefined) u.creditor_id    = d.creditorId   || null;
+  if (d.notes         !== undefined) u.notes          = (d.notes || '').trim() || null;
+  if (d.startMonth    !== undefined) u.start_month    = d.startMonth;
+  if (d.skippedMonths !== undefined) u.skipped_months = d.skippedMonths || [];
+  if (d.isActive      !== undefined) u.is_active      = Boolean(d.isActive);
+
+  // Same mutual exclusion as expenses: payable templates carry no method.
+  if (isPayable === true) {
+    u.method = null;
+  } else if (isPayable === false) {
+    u.creditor_type = null;
+    u.creditor_id   = null;
+  }
+  return u;
+}
+
+export const RecurringExpensesAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('recurring_expenses')
+      .select('*').order('description', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_recurringExpenseFromDb);
+  },
+
+  async create(d) {
+    const now = new Date().toISOString();
+    const row = {
+      id:         _genId('rexp'),
+      ..._recurringExpenseToDb({ skippedMonths: [], isActive: true, ...d }),
+      created_at: now,
+      updated_at: now,
+    };
+    const { data, error } = await _sb.from('recurring_expenses')
+      .insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _recurringExpenseFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString(), ..._recurringExpenseToDb(d) };
+    const { data, error } = await _sb.from('recurring_expenses').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _recurringExpenseFromDb(data);
+  },
+
+  async remove(id) {
+    const { error } = await _sb.from('recurring_expenses').delete().eq('id', String(id));
+    if (error) throw new Error(error.message);
+    return null;
+  },
+
+  /** Mark one month as "not generated" so it leaves the pending list. */
+  async skipMonth(template, month) {
+    const skipped = [...new Set([...(template.skippedMonths || []), month])].sort();
+    return this.update(template.id, { skippedMonths: skipped });
+  },
+};
+
+/**
+ * Instances "por generar": for each active template, every month from its
+ * startMonth up to the month of `todayYMD` that has no linked expense and was
+ * not skipped. Oldest first.
+ *
+ * @param {Object[]} templates - RecurringExpensesAPI rows
+ * @param {Object[]} expenses  - ExpensesAPI rows
+ * @param {string}   [todayYMD] - "YYYY-MM-DD"; defaults to today
+ * @returns {Array<{ template: Object, month: string, expenseDate: string, amount: number }>}
+ */
+export function getPendingRecurringExpenses(templates, expenses, todayYMD) {
+  const currentMonth = (todayYMD || new Date().toISOString().slice(0, 10)).slice(0, 7);
+  const generated = new Set(
+    (expenses || [])
+      .filter(e => e.recurringExpenseId)
+      .map(e => `${e.recurringExpenseId}|${e.recurringMonth}`)
+  );
+
+  const pending = [];
+  for (const t of templates || []) {
+    if (!t.isActive || !t.startMonth) continue;
+    const skipped = new Set(t.skippedMonths || []);
+    let [y, m] = t.startMonth.split('-').map(Number);
+    for (;;) {
+      const month = `${y}-${String(m).padStart(2, '0')}`;
+      if (month > currentMonth) break;
+      if (!skipped.has(month) && !generated.has(`${t.id}|${month}`)) {
+        const lastDay = new Date(y, m, 0).getDate();
+        const day     = Math.min(t.dayOfMonth || 1, lastDay);
+        pending.push({
+          template:    t,
+          month,
+          expenseDate: `${month}-${String(day).padStart(2, '0')}`,
+          amount:      t.amount,
+        });
+      }
+      m += 1;
+      if (m > 12) { m = 1; y += 1; }
+    }
+  }
+  return pending.sort((a, b) =>
+    a.expenseDate.localeCompare(b.expenseDate) ||
+    (a.template.description || '').localeCompare(b.template.description || ''));
+}
+
+
 // =============================================================================
 // SERVICE PROVIDERS (creditors used in Gastos — Cuentas por Pagar)
 //
-// DB: id, name, phone, notes, is_active, created_at, updated_at
-// JS: id, name, phone, notes, isActive,  createdAt,  updatedAt
+// DB: id, name, phone, notes, tax_id, is_active, created_at, updated_at
+// JS: id, name, phone, notes, taxId,  isActive,  createdAt,  updatedAt
 //
 // Distinct from the `providers` table (which is for raw-material suppliers).
 // =============================================================================
@@ -2341,6 +5820,7 @@ function _serviceProviderFromDb(r) {
     name:      r.name,
     phone:     r.phone || '',
     notes:     r.notes || '',
+    taxId:     r.tax_id || '',
     isActive:  r.is_active !== false,
     createdAt: r.created_at,
     updatedAt: r.updated_at,
@@ -2361,6 +5841,7 @@ export const ServiceProvidersAPI = {
       name:       (d.name || '').trim(),
       phone:      (d.phone || '').trim() || null,
       notes:      (d.notes || '').trim() || null,
+      tax_id:     (d.taxId || '').trim() || null,
       is_active:  true,
       created_at: new Date().toISOString(),
     };
@@ -2375,6 +5856,7 @@ export const ServiceProvidersAPI = {
     if (d.name     !== undefined) u.name      = (d.name || '').trim();
     if (d.phone    !== undefined) u.phone     = (d.phone || '').trim() || null;
     if (d.notes    !== undefined) u.notes     = (d.notes || '').trim() || null;
+    if (d.taxId    !== undefined) u.tax_id    = (d.taxId || '').trim() || null;
     if (d.isActive !== undefined) u.is_active = Boolean(d.isActive);
 
     const { data, error } = await _sb.from('service_providers').update(u)
@@ -2545,6 +6027,151 @@ export async function nextInvoiceNumber(prefix = 'FAC-') {
   return `${prefix}${String(num + 1).padStart(3, '0')}`;
 }
 
+
+// =============================================================================
+// NCF SEQUENCES  (comprobantes fiscales DGII)
+//
+// DB: id, series, range_from, range_to, last_number, expires_on, is_active,
+//     notes, created_at, updated_at
+// JS: id, series, rangeFrom,  rangeTo,  lastNumber,  expiresOn,  isActive,
+//     notes, createdAt,  updatedAt
+//
+// NCFs are allocated by the RPC `next_ncf(p_series)`, which locks the usable
+// range for the series and returns e.g. "B0100000042". There is no fallback:
+// a duplicated NCF is a fiscal problem, so a failure must stop the sale.
+// =============================================================================
+
+/** Series authorized for use. Default ITBIS rate is a percentage. */
+export const NCF_TYPES = [
+  { value: 'B01', label: 'B01 — Crédito fiscal'    },
+  { value: 'B02', label: 'B02 — Consumo'           },
+  { value: 'B14', label: 'B14 — Régimen especial'  },
+  { value: 'B15', label: 'B15 — Gubernamental'     },
+];
+export const DEFAULT_ITBIS_RATE = 18;
+
+/** Warn when fewer than this many NCFs remain (or 10 % of the range, if larger). */
+const NCF_LOW_REMAINING = 20;
+/** Warn this many days before the authorization expires. */
+const NCF_EXPIRY_WARN_DAYS = 30;
+
+function _ncfSequenceFromDb(r) {
+  return {
+    id:         r.id,
+    series:     r.series,
+    rangeFrom:  Number(r.range_from)  || 0,
+    rangeTo:    Number(r.range_to)    || 0,
+    lastNumber: Number(r.last_number) || 0,
+    expiresOn:  r.expires_on || '',
+    isActive:   r.is_active !== false,
+    notes:      r.notes || '',
+    createdAt:  r.created_at,
+    updatedAt:  r.updated_at,
+  };
+}
+
+export const NcfSequencesAPI = {
+  async getAll() {
+    const { data, error } = await _sb.from('ncf_sequences').select('*')
+      .order('series', { ascending: true })
+      .order('range_from', { ascending: true });
+    if (error) throw new Error(error.message);
+    return (data || []).map(_ncfSequenceFromDb);
+  },
+
+  async create(d) {
+    const row = {
+      id:          _genId('ncf'),
+      series:      d.series,
+      range_from:  parseInt(d.rangeFrom, 10) || 0,
+      range_to:    parseInt(d.rangeTo, 10)   || 0,
+      last_number: parseInt(d.lastNumber, 10) || 0,
+      expires_on:  d.expiresOn || null,
+      is_active:   d.isActive !== false,
+      notes:       (d.notes || '').trim(),
+      created_at:  new Date().toISOString(),
+    };
+    const { data, error } = await _sb.from('ncf_sequences').insert(row).select().single();
+    if (error) throw new Error(error.message);
+    return _ncfSequenceFromDb(data);
+  },
+
+  async update(id, d) {
+    const u = { updated_at: new Date().toISOString() };
+    if (d.rangeFrom  !== undefined) u.range_from  = parseInt(d.rangeFrom, 10)  || 0;
+    if (d.rangeTo    !== undefined) u.range_to    = parseInt(d.rangeTo, 10)    || 0;
+    if (d.lastNumber !== undefined) u.last_number = parseInt(d.lastNumber, 10) || 0;
+    if (d.expiresOn  !== undefined) u.expires_on  = d.expiresOn || null;
+    if (d.isActive   !== undefined) u.is_active   = Boolean(d.isActive);
+    if (d.notes      !== undefined) u.notes       = (d.notes || '').trim();
+
+    const { data, error } = await _sb.from('ncf_sequences').update(u)
+      .eq('id', String(id)).select().single();
+    if (error) throw new Error(error.message);
+    return _ncfSequenceFromDb(data);
+  },
+
+  async deactivate(id) { return this.update(id, { isActive: false }); },
+  async activate(id)   { return this.update(id, { isActive: true  }); },
+};
+
+/**
+ * Atomically allocate the next NCF for a series ('B01', 'B02', …).
+ * Throws if the series has no active, non-expired range with numbers left.
+ */
+export async function nextNcf(series) {
+  const { data, error } = await _sb.rpc('next_ncf', { p_series: series });
+  if (error) throw new Error(error.message);
+  if (!data) throw new Error(`No se pudo asignar un NCF ${series}.`);
+  return data;
+}
+
+/** RNC = 9 digits, cédula = 11 digits (separators ignored). */
+export function isValidTaxId(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 9 || digits.length === 11;
+}
+
+/** Paper NCF (B + 2-digit type + 8 digits) or e-CF (E + 2-digit type + 10 digits). */
+export function isValidNcf(value) {
+  return /^(B\d{10}|E\d{12})$/.test(String(value || '').trim().toUpperCase());
+}
+
+/**
+ * Health of a single NCF range, for the warnings shown in Facturación.
+ *
+ * @param {Object} seq         - NcfSequencesAPI row
+ * @param {string} [todayYMD]  - "YYYY-MM-DD"; defaults to today
+ * @returns {{ remaining: number, daysToExpiry: number|null, expiringSoon: boolean,
+ *             status: 'ok'|'low'|'expiring'|'exhausted'|'expired'|'inactive' }}
+ */
+export function getNcfSequenceStatus(seq, todayYMD) {
+  const used      = Math.max(seq.lastNumber, seq.rangeFrom - 1);
+  const remaining = Math.max(0, seq.rangeTo - used);
+
+  let daysToExpiry = null;
+  if (seq.expiresOn) {
+    const today = todayYMD || new Date().toISOString().slice(0, 10);
+    daysToExpiry = Math.round(
+      (new Date(seq.expiresOn + 'T00:00:00') - new Date(today + 'T00:00:00')) / 86400000
+    );
+  }
+
+  const size         = seq.rangeTo - seq.rangeFrom + 1;
+  const lowThreshold = Math.max(NCF_LOW_REMAINING, Math.ceil(size * 0.1));
+  const expiringSoon = daysToExpiry !== null && daysToExpiry >= 0
+    && daysToExpiry <= NCF_EXPIRY_WARN_DAYS;
+
+  let status = 'ok';
+  if (!seq.isActive)                                  status = 'inactive';
+  else if (daysToExpiry !== null && daysToExpiry < 0) status = 'expired';
+  else if (remaining === 0)                           status = 'exhausted';
+  else if (remaining <= lowThreshold)                 status = 'low';
+  else if (expiringSoon)                              status = 'expiring';
+
+  return { remaining, daysToExpiry, expiringSoon, status };
+}
+
 // ─── Daily Production Logs ────────────────────────────────────────────────────
 
 export const DailyProductionLogsAPI = {
@@ -2576,6 +6203,9 @@ export const DailyProductionLogsAPI = {
     if (fields.color           !== undefined) u.color           = fields.color;
     if (fields.status          !== undefined) u.status          = fields.status;
     if (fields.confirmed_at    !== undefined) u.confirmed_at    = fields.confirmed_at;
+    if (fields.lot_number      !== undefined) u.lot_number      = fields.lot_number || null;
+    if (fields.rejected_at     !== undefined) u.rejected_at     = fields.rejected_at;
+    if (fields.rejection_reason !== undefined) u.rejection_reason = fields.rejection_reason || null;
 
     const { data, error } = await _sb
       .from('daily_production_logs')
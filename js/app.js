@@ -6,14 +6,16 @@
  *  - Hash-based client-side routing (#products, #dashboard, etc.)
  *  - Lazy-loading module scripts on demand
  *  - Sidebar active-link state
+ *  - Role-based route access (ROUTE_ROLES)
  *
  * To add a new module:
  *  1. Register it in ROUTES below.
  *  2. Create its file under /js/modules/<n>.js
  *  3. Export a mount<n>(container) function from that file.
+ *  4. List the roles that may open it in ROUTE_ROLES (unlisted → admin only).
  */
 
-import { AuthAPI, mountLoginScreen, mountLogoutButton } from './auth.js';
+import { AuthAPI, ROLES, mountLoginScreen, mountLogoutButton } from './auth.js';
 
 // ─── Route Registry ───────────────────────────────────────────
 
@@ -42,6 +44,14 @@ const ROUTES = {
     },
   },
 
+  molds: {
+    title: 'Moldes — CapFlow',
+    loader: async (container) => {
+      const { mountMolds } = await import('./modules/molds.js');
+      await mountMolds(container);
+    },
+  },
+
   production: {
     title: 'Producción — CapFlow',
     loader: async (container) => {
@@ -50,6 +60,38 @@ const ROUTES = {
     },
   },
 
+  'production-orders': {
+    title: 'Órdenes de Producción — CapFlow',
+    loader: async (container) => {
+      const { mountProductionOrders } = await import('./modules/production-orders.js');
+      await mountProductionOrders(container);
+    },
+  },
+
+  quality: {
+    title: 'Calidad — CapFlow',
+    loader: async (container) => {
+      const { mountQuality } = await import('./modules/quality.js');
+      await mountQuality(container);
+    },
+  },
+
+  'weight-control': {
+    title: 'Control de Peso — CapFlow',
+    loader: async (container) => {
+      const { mountWeightControl } = await import('./modules/weight-control.js');
+      await mountWeightControl(container);
+    },
+  },
+
+  traceability: {
+    title: 'Trazabilidad — CapFlow',
+    loader: async (container) => {
+      const { mountTraceability } = await import('./modules/traceability.js');
+      await mountTraceability(container);
+    },
+  },
+
   'daily-production': {
     title: 'Tapas Diarias — CapFlow',
     loader: async (container) => {
@@ -66,6 +108,22 @@ const ROUTES = {
     },
   },
 
+  'operator-performance': {
+    title: 'Desempeño — CapFlow',
+    loader: async (container) => {
+      const { mountOperatorPerformance } = await import('./modules/operator-performance.js');
+      mountOperatorPerformance(container);
+    },
+  },
+
+  attendance: {
+    title: 'Asistencia — CapFlow',
+    loader: async (container) => {
+      const { mountAttendance } = await import('./modules/attendance.js');
+      mountAttendance(container);
+    },
+  },
+
   'raw-materials': {
     title: 'Materia Prima — CapFlow',
     loader: async (container) => {
@@ -90,6 +148,14 @@ const ROUTES = {
     },
   },
 
+  'sales-orders': {
+    title: 'Pedidos — CapFlow',
+    loader: async (container) => {
+      const { mountSalesOrders } = await import('./modules/sales-orders.js');
+      await mountSalesOrders(container);
+    },
+  },
+
   'pending-sales': {
     title: 'Ventas Pendientes — CapFlow',
     loader: async (container) => {
@@ -157,15 +223,97 @@ const ROUTES = {
 
 const DEFAULT_ROUTE = 'dashboard';
 
+// ─── Route Permissions ────────────────────────────────────────
+
+const ALL_ROLES = ['admin', 'supervisor', 'contabilidad', 'solo-lectura'];
+
+/**
+ * Roles allowed to open each route. A route missing from this map is
+ * reachable by admin only. Record-level actions inside a module are
+ * guarded separately with canPerform() (auth.js).
+ */
+const ROUTE_ROLES = {
+  dashboard:          ALL_ROLES,
+  products:           ALL_ROLES,
+  machines:           ALL_ROLES,
+  molds:              ALL_ROLES,
+  production:         ['admin', 'supervisor', 'solo-lectura'],
+  'daily-production': ['admin', 'supervisor', 'solo-lectura'],
+  'production-orders': ['admin', 'supervisor', 'solo-lectura'],
+  quality:            ['admin', 'supervisor', 'solo-lectura'],
+  'weight-control':   ['admin', 'supervisor', 'solo-lectura'],
+  traceability:       ALL_ROLES,
+  operators:          ['admin', 'supervisor', 'solo-lectura'],
+  'operator-performance': ['admin', 'supervisor', 'solo-lectura'],
+  attendance:         ALL_ROLES,
+  'raw-materials':    ALL_ROLES,
+  clients:            ALL_ROLES,
+  inventory:          ALL_ROLES,
+  invoicing:          ALL_ROLES,
+  'sales-orders':     ALL_ROLES,
+  'pending-sales':    ALL_ROLES,
+  payroll:            ['admin', 'contabilidad'],
+  investor:           ['admin'],
+  'investor-payouts': ['admin'],
+  expenses:           ['admin', 'contabilidad'],
+  reports:            ['admin', 'contabilidad'],
+  changelog:          ['admin', 'supervisor', 'contabilidad'],
+};
+
+/** Role of the signed-in user — resolved once in bootApp(). */
+let _currentRole = null;
+
+function canAccessRoute(routeName, role) {
+  if (role === 'admin') return true;
+  return (ROUTE_ROLES[routeName] || []).includes(role);
+}
+
+/**
+ * Hide sidebar links the current role cannot open, and any section label
+ * left with no visible links under it.
+ */
+function applySidebarPermissions(role) {
+  const nav = document.getElementById('sidebar-nav');
+  if (!nav) return;
+
+  nav.querySelectorAll('.sidebar__link[data-route]').forEach(link => {
+    link.style.display = canAccessRoute(link.dataset.route, role) ? '' : 'none';
+  });
+
+  let label = null;
+  let labelHasLinks = false;
+  const closeSection = () => {
+    if (label) label.style.display = labelHasLinks ? '' : 'none';
+  };
+  for (const el of nav.children) {
+    if (el.classList.contains('sidebar__section-label')) {
+      closeSection();
+      label = el;
+      labelHasLinks = false;
+    } else if (el.classList.contains('sidebar__link') && el.style.display !== 'none') {
+      labelHasLinks = true;
+    }
+  }
+  closeSection();
+}
+
 // ─── Router ───────────────────────────────────────────────────
 
 async function navigate() {
   const hash  = window.location.hash.replace('#', '') || DEFAULT_ROUTE;
   const route = ROUTES[hash] || ROUTES[DEFAULT_ROUTE];
+  const routeName = ROUTES[hash] ? hash : DEFAULT_ROUTE;
 
   const container = document.getElementById('view-container');
   if (!container) return;
 
+  if (!canAccessRoute(routeName, _currentRole)) {
+    document.title = 'Acceso restringido — CapFlow';
+    setActiveLink(routeName);
+    container.innerHTML = buildAccessDenied(_currentRole);
+    return;
+  }
+
   container.innerHTML = `
     <div style="display:flex;align-items:center;justify-content:center;height:40vh;gap:12px;color:var(--color-text-muted);">
       <div class="spinner"></div>
@@ -218,13 +366,35 @@ function buildPlaceholder(name, icon, subtitle) {
   `;
 }
 
+function buildAccessDenied(role) {
+  const roleLabel = ROLES.find(r => r.value === role)?.label || role || '—';
+  return `
+    <section class="module">
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⊘</span>
+          <div>
+            <h1 class="module-header__title">Acceso restringido</h1>
+            <p class="module-header__subtitle">Rol actual: ${roleLabel}</p>
+          </div>
+        </div>
+      </header>
+      <div class="card" style="padding:var(--space-2xl);text-align:center;color:var(--color-text-muted);">
+        <div style="font-size:3rem;margin-bottom:var(--space-md);">⊘</div>
+        <p>Tu rol no tiene acceso a este módulo. Contacta a un administrador si lo necesitas.</p>
+      </div>
+    </section>
+  `;
+}
+
 // ─── Boot ─────────────────────────────────────────────────────
 
 /**
- * Start the authenticated app: wire up the router and logout button.
+ * Start the authenticated app: resolve the user's role, trim the sidebar,
+ * then wire up the router and logout button.
  * Called after a confirmed valid session.
  */
-function bootApp() {
+async function bootApp() {
   // Restore the full #app shell in case it was replaced by the login screen
   const app = document.getElementById('app');
   if (!document.getElementById('sidebar')) {
@@ -233,6 +403,9 @@ function bootApp() {
     return;
   }
 
+  _currentRole = await AuthAPI.getRole();
+  applySidebarPermissions(_currentRole);
+
   mountLogoutButton(() => {
     // On logout: reload the page — boot() will detect no session and show login
     window.location.reload();
@@ -252,7 +425,7 @@ async function boot() {
   const session = await AuthAPI.getSession();
 
   if (session) {
-    bootApp();
+    await bootApp();
   } else {
     mountLoginScreen(() => {
       // After successful login the page HTML has been replaced by the login
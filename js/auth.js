@@ -6,9 +6,18 @@
  *   AuthAPI.getSession()  → current session or null
  *   AuthAPI.signIn(email, password) → session or throws
  *   AuthAPI.signOut()     → void
+ *   AuthAPI.getRole()     → role of the signed-in user (see ROLES)
+ *   canPerform(role, action) → whether a role may create / update / remove
+ *   guardAction(role, action, onDenied) → canPerform + the denial message
  *   mountLoginScreen(onSuccess) → renders login UI into #app, calls onSuccess on login
  *
- * Used exclusively by app.js — no module imports this directly.
+ * Roles are read from app_metadata.role (set only with the service key) and,
+ * failing that, from the user_roles table (migration 014). A user with no
+ * role at all is treated as solo-lectura.
+ *
+ * Route access is decided in app.js (ROUTE_ROLES); modules call
+ * guardAction() before every create / update / remove and canPerform() to
+ * hide the buttons of actions the role may not perform.
  *
  * All visible text: Spanish | All code identifiers: English
  */
@@ -19,6 +28,55 @@ const SUPABASE_ANON_KEY = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiOiJzdXBh
 // Single shared instance — prevents the "Multiple GoTrueClient instances" warning.
 const _client = window.supabase.createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+// ─── Roles ────────────────────────────────────────────────────────────────────
+
+export const ROLES = [
+  { value: 'admin',        label: 'Administrador' },
+  { value: 'supervisor',   label: 'Supervisor' },
+  { value: 'contabilidad', label: 'Contabilidad' },
+  { value: 'solo-lectura', label: 'Solo lectura' },
+];
+
+const DEFAULT_ROLE = 'solo-lectura';
+
+/** Record-level actions each role may perform. */
+const ROLE_ACTIONS = {
+  admin:          new Set(['create', 'update', 'remove']),
+  supervisor:     new Set(['create', 'update']),
+  contabilidad:   new Set(['create', 'update', 'remove']),
+  'solo-lectura': new Set(),
+};
+
+/**
+ * @param {string} role
+ * @param {'create'|'update'|'remove'} action
+ * @returns {boolean}
+ */
+export function canPerform(role, action) {
+  return ROLE_ACTIONS[role]?.has(action) ?? false;
+}
+
+/** Shown by every module when the role may not perform an action. */
+export const PERMISSION_DENIED_MESSAGE = 'Tu rol no tiene permiso para realizar esta acción.';
+
+/**
+ * Returns true when `role` may perform `action`; otherwise calls
+ * onDenied(PERMISSION_DENIED_MESSAGE, 'error') — a module's showFeedback —
+ * and returns false.
+ * @param {string} role
+ * @param {'create'|'update'|'remove'} action
+ * @param {(message: string, type: string) => void} [onDenied]
+ * @returns {boolean}
+ */
+export function guardAction(role, action, onDenied) {
+  if (canPerform(role, action)) return true;
+  onDenied?.(PERMISSION_DENIED_MESSAGE, 'error');
+  return false;
+}
+
+// Resolved once per signed-in user — every module mount asks for it.
+let _roleCache = { userId: null, role: null };
+
 // ─── AuthAPI ──────────────────────────────────────────────────────────────────
 
 export const AuthAPI = {
@@ -34,8 +92,41 @@ export const AuthAPI = {
   },
 
   async signOut() {
+    _roleCache = { userId: null, role: null };
     await _client.auth.signOut();
   },
+
+  /**
+   * Role of the signed-in user: 'admin' | 'supervisor' | 'contabilidad' | 'solo-lectura'.
+   * Never throws — any lookup failure falls back to solo-lectura.
+   * @returns {Promise<string>}
+   */
+  async getRole() {
+    const session = await this.getSession();
+    const user    = session?.user;
+    if (!user) return DEFAULT_ROLE;
+    if (_roleCache.userId === user.id) return _roleCache.role;
+
+    let role = user.app_metadata?.role || null;
+    if (!ROLE_ACTIONS[role]) {
+      try {
+        const { data, error } = await _client
+          .from('user_roles')
+          .select('role')
+          .eq('user_id', user.id)
+          .maybeSingle();
+        if (error) throw new Error(error.message);
+        role = data?.role ?? null;
+      } catch (err) {
+        console.warn('[CapFlow Auth] No se pudo leer el rol:', err.message);
+        role = null;
+      }
+    }
+    if (!ROLE_ACTIONS[role]) role = DEFAULT_ROLE;
+
+    _roleCache = { userId: user.id, role };
+    return role;
+  },
 };
 
 // ─── Login Screen ─────────────────────────────────────────────────────────────
@@ -0,0 +1,888 @@
+/**
+ * attendance.js — CapFlow Attendance Module (Asistencia)
+ *
+ * Daily attendance of operators and employees, so payroll can tell an
+ * absence from a day with zero production:
+ *  - Registro diario: every active person with check-in / check-out or an
+ *    absence type (justificada, injustificada, licencia) for one date
+ *  - Importar CSV: time-clock export — one row per person and day with
+ *    entrada / salida columns, or one row per punch (first punch of the day
+ *    = entrada, last = salida). People are matched by cédula / código,
+ *    then by name
+ *  - Asistencia mensual: person × day grid with days worked, hours and
+ *    absences per type; clicking a day opens it in the daily register
+ *
+ * payroll.js computePay() deducts unexcused absences from the salary schemes
+ * (api.js → getAbsenceDeduction). Create / update / remove gated by role.
+ *
+ * Data flow:
+ *   AttendanceAPI              ← rows of the month / day / CSV date range
+ *   OperatorsAPI / EmployeesAPI ← people, keyed like payroll
+ *                                ('operator:<id>' | 'employee:<id>')
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  AttendanceAPI,
+  ATTENDANCE_ABSENCE_TYPES,
+  getAttendanceMinutes,
+  OperatorsAPI,
+  EmployeesAPI,
+  ChangeHistoryAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** Operators and employees as { key, type, id, name, document, isActive }. */
+let allPeople = [];
+
+/** Attendance rows of the month shown in the grid. */
+let monthRows = [];
+
+/** Attendance rows of the date shown in the daily register. */
+let dayRows = [];
+
+let selectedMonth = todayString().slice(0, 7);
+let selectedDate  = todayString();
+
+/** Usuario admin actual para registrar en el historial. */
+let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+const ABSENCE_LABELS = new Map(ATTENDANCE_ABSENCE_TYPES.map(t => [t.value, t.label]));
+const ABSENCE_SHORT  = new Map(ATTENDANCE_ABSENCE_TYPES.map(t => [t.value, t.short]));
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Attendance module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountAttendance(container) {
+  container.innerHTML = buildModuleHTML();
+  try {
+    const session = await AuthAPI.getSession();
+    _currentAdmin = {
+      id:   session?.user?.id    ?? null,
+      name: session?.user?.email ?? 'Sistema',
+    };
+  } catch { /* anon mode */ }
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  injectStyles();
+  attachListeners();
+  await loadPeople();
+  await Promise.all([loadDay(), loadMonth()]);
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  return `
+    <section class="module" id="attendance-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">◴</span>
+          <div>
+            <h1 class="module-header__title">Asistencia</h1>
+            <p class="module-header__subtitle">Entradas, salidas y ausencias de operarios y empleados</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="att-count-badge">
+          — ausencias injustificadas
+        </div>
+      </header>
+
+      <!-- ── Daily Register Card ── -->
+      <div class="card" id="att-day-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">✎</span>
+            Registro diario
+          </h2>
+          <div class="table-controls">
+            <input class="form-input form-input--sm" type="date" id="att-day-date"
+                   value="${selectedDate}" aria-label="Fecha">
+            <button class="btn btn--ghost btn--sm" id="att-import-btn">⬆ Importar CSV</button>
+          </div>
+        </div>
+
+        <div class="table-loading" id="att-day-loading">
+          <div class="spinner"></div>
+          <span>Cargando asistencia…</span>
+        </div>
+
+        <div class="table-wrapper" id="att-day-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Persona</th>
+                <th>Entrada</th>
+                <th>Salida</th>
+                <th>Ausencia</th>
+                <th>Notas</th>
+                <th class="text-right">Horas</th>
+              </tr>
+            </thead>
+            <tbody id="att-day-tbody"></tbody>
+          </table>
+        </div>
+        <div class="att-day-actions">
+          <span class="att-note">
+            Deja la fila vacía si la persona no tenía turno ese día. Una salida anterior a la entrada
+            termina al día siguiente.
+          </span>
+          <button class="btn btn--primary btn--sm" id="att-day-save">Guardar asistencia</button>
+        </div>
+      </div>
+
+      <!-- ── Monthly Grid Card ── -->
+      <div class="card" id="att-month-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">▦</span>
+            Asistencia mensual
+          </h2>
+          <div class="table-controls">
+            <input class="form-input form-input--sm" type="month" id="att-month"
+                   value="${selectedMonth}" aria-label="Mes">
+          </div>
+        </div>
+        <div class="table-wrapper" id="att-month-grid">
+          <p class="att-note">Cargando…</p>
+        </div>
+        <p class="att-note att-note--pad">
+          ✓ asistió · ${ATTENDANCE_ABSENCE_TYPES.map(t => `${t.short} ${t.label.toLowerCase()}`).join(' · ')}.
+          Nómina descuenta un día de salario (mensual ÷ 23.83) por cada ausencia injustificada
+          a quienes cobran salario.
+        </p>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+async function loadPeople() {
+  try {
+    const [operators, employees] = await Promise.all([
+      OperatorsAPI.getAll(),
+      EmployeesAPI.getAll().catch(() => []),
+    ]);
+    allPeople = [
+      ...operators.map(o => ({
+        key: `operator:${o.id}`, type: 'operator', id: o.id, name: o.name,
+        document: o.document || '', isActive: o.isActive !== false,
+      })),
+      ...employees.map(e => ({
+        key: `employee:${e.id}`, type: 'employee', id: e.id, name: e.name,
+        document: e.document || '', isActive: e.isActive !== false,
+      })),
+    ].sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name, 'es'));
+  } catch (err) {
+    showFeedback(`Error al cargar operarios y empleados: ${err.message}`, 'error');
+  }
+}
+
+async function loadDay() {
+  showDayLoading(true);
+  try {
+    dayRows = await AttendanceAPI.getByRange(selectedDate, selectedDate);
+    renderDay();
+  } catch (err) {
+    showFeedback(`Error al cargar la asistencia: ${err.message}`, 'error');
+  } finally {
+    showDayLoading(false);
+  }
+}
+
+async function loadMonth() {
+  try {
+    const [from, to] = monthRange(selectedMonth);
+    monthRows = await AttendanceAPI.getByRange(from, to);
+    renderMonth();
+  } catch (err) {
+    document.getElementById('att-month-grid').innerHTML =
+      `<p class="att-note">Error al cargar el mes: ${escapeHTML(err.message)}</p>`;
+  }
+}
+
+// ─── Daily Register ───────────────────────────────────────────────────────────
+
+/** Active people, plus inactive ones that already have a row that day. */
+function peopleFor(rows) {
+  const withRows = new Set(rows.map(r => r.personKey));
+  return allPeople.filter(p => p.isActive || withRows.has(p.key));
+}
+
+function renderDay() {
+  const tbody    = document.getElementById('att-day-tbody');
+  const editable = canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update');
+  const byKey    = new Map(dayRows.map(r => [r.personKey, r]));
+  const people   = peopleFor(dayRows);
+
+  if (people.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="att-note">No hay operarios ni empleados activos.</td></tr>';
+    return;
+  }
+
+  const disabled = editable ? '' : 'disabled';
+  let lastType = null;
+  tbody.innerHTML = people.map(p => {
+    const r       = byKey.get(p.key) || {};
+    const minutes = getAttendanceMinutes(r);
+    const header  = p.type !== lastType
+      ? `<tr class="att-group"><td colspan="6">${p.type === 'operator' ? 'Operarios' : 'Empleados fijos'}</td></tr>` : '';
+    lastType = p.type;
+    return `${header}
+      <tr class="table-row" data-person="${escapeHTML(p.key)}">
+        <td>
+          ${escapeHTML(p.name)}
+          ${r.source === 'csv' ? '<span class="badge badge--gray" title="Importado del reloj">CSV</span>' : ''}
+        </td>
+        <td><input class="form-input form-input--sm" type="time" data-field="checkIn"
+                   value="${r.checkIn || ''}" ${disabled} ${r.absenceType ? 'disabled' : ''}></td>
+        <td><input class="form-input form-input--sm" type="time" data-field="checkOut"
+                   value="${r.checkOut || ''}" ${disabled} ${r.absenceType ? 'disabled' : ''}></td>
+        <td>
+          <select class="form-input form-select form-input--sm" data-field="absenceType" ${disabled}>
+            <option value="">—</option>
+            ${ATTENDANCE_ABSENCE_TYPES.map(t =>
+              `<option value="${t.value}" ${r.absenceType === t.value ? 'selected' : ''}>${t.label}</option>`).join('')}
+          </select>
+        </td>
+        <td><input class="form-input form-input--sm" type="text" data-field="notes" maxlength="200"
+                   value="${escapeHTML(r.notes || '')}" ${disabled}></td>
+        <td class="text-right att-hours">${minutes != null ? formatHours(minutes) : '—'}</td>
+      </tr>`;
+  }).join('');
+
+  // An absence clears and locks the times
+  tbody.querySelectorAll('[data-field="absenceType"]').forEach(select => {
+    select.addEventListener('change', () => {
+      const tr = select.closest('tr');
+      tr.querySelectorAll('input[type="time"]').forEach(input => {
+        input.disabled = !!select.value;
+        if (select.value) input.value = '';
+      });
+      tr.querySelector('.att-hours').textContent = '—';
+    });
+  });
+  tbody.querySelectorAll('input[type="time"]').forEach(input => {
+    input.addEventListener('change', () => {
+      const tr = input.closest('tr');
+      const minutes = getAttendanceMinutes({
+        checkIn:  tr.querySelector('[data-field="checkIn"]').value,
+        checkOut: tr.querySelector('[data-field="checkOut"]').value,
+      });
+      tr.querySelector('.att-hours').textContent = minutes != null ? formatHours(minutes) : '—';
+    });
+  });
+
+  document.getElementById('att-day-save').style.display = editable ? '' : 'none';
+}
+
+/**
+ * Save the daily register: changed rows are upserted, rows emptied by the
+ * user are removed.
+ */
+async function handleSaveDay() {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
+  const byKey   = new Map(dayRows.map(r => [r.personKey, r]));
+  const upserts = [];
+  const removes = [];
+  const errors  = [];
+  let recorded = 0, absent = 0;
+
+  document.querySelectorAll('#att-day-tbody tr[data-person]').forEach(tr => {
+    const key      = tr.dataset.person;
+    const existing = byKey.get(key);
+    const value    = field => tr.querySelector(`[data-field="${field}"]`).value.trim();
+    const entry    = {
+      personKey:   key,
+      date:        selectedDate,
+      absenceType: value('absenceType') || null,
+      checkIn:     value('absenceType') ? null : value('checkIn')  || null,
+      checkOut:    value('absenceType') ? null : value('checkOut') || null,
+      notes:       value('notes'),
+    };
+
+    if (!entry.absenceType && !entry.checkIn) {
+      if (entry.checkOut) errors.push(personName(key));
+      else if (existing)  removes.push(existing);
+      return;
+    }
+    recorded++;
+    if (entry.absenceType) absent++;
+    const unchanged = existing &&
+      (existing.absenceType || null) === entry.absenceType &&
+      (existing.checkIn     || null) === entry.checkIn &&
+      (existing.checkOut    || null) === entry.checkOut &&
+      (existing.notes       || '')   === entry.notes;
+    if (unchanged) return;
+    upserts.push({
+      ...entry,
+      id:     existing?.id,
+      // Times typed over a clock import make it a manual row
+      source: existing?.source === 'csv' && existing.checkIn === entry.checkIn &&
+              existing.checkOut === entry.checkOut ? 'csv' : 'manual',
+    });
+  });
+
+  if (errors.length > 0) {
+    showFeedback(`Falta la hora de entrada: ${errors.join(', ')}.`, 'error', 6000);
+    return;
+  }
+  if (removes.length > 0 && !guardAction(_currentRole, 'remove', showFeedback)) return;
+  if (upserts.length === 0 && removes.length === 0) {
+    showFeedback('No hay cambios que guardar.', 'info');
+    return;
+  }
+
+  const btn = document.getElementById('att-day-save');
+  setButtonLoading(btn, true);
+  try {
+    await AttendanceAPI.upsertMany(upserts);
+    for (const r of removes) await AttendanceAPI.remove(r.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'attendance', entity_id: selectedDate,
+      entity_name: `Asistencia ${formatDate(selectedDate)}`,
+      action: 'editar',
+      changes: {
+        registros: { before: dayRows.length, after: recorded },
+        ausencias:  { before: dayRows.filter(r => r.absenceType).length, after: absent },
+      },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Asistencia guardada.', 'success');
+    await Promise.all([loadDay(), loadMonth()]);
+  } catch (err) {
+    showFeedback(`Error al guardar la asistencia: ${err.message}`, 'error');
+  } finally {
+    setButtonLoading(btn, false);
+  }
+}
+
+// ─── Monthly Grid ─────────────────────────────────────────────────────────────
+
+function renderMonth() {
+  const el    = document.getElementById('att-month-grid');
+  const [from, to] = monthRange(selectedMonth);
+  const days  = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) days.push(d);
+  const today = todayString();
+
+  const byCell = new Map(monthRows.map(r => [`${r.personKey}|${r.date}`, r]));
+  const people = peopleFor(monthRows);
+
+  const unexcused = monthRows.filter(r => r.absenceType === 'injustificada').length;
+  document.getElementById('att-count-badge').textContent =
+    `${unexcused} ausencia${unexcused !== 1 ? 's' : ''} injustificada${unexcused !== 1 ? 's' : ''}`;
+
+  if (people.length === 0) {
+    el.innerHTML = '<p class="att-note">No hay operarios ni empleados activos.</p>';
+    return;
+  }
+
+  const isWeekend = ymd => [0, 6].includes(new Date(`${ymd}T00:00:00`).getDay());
+  const head = days.map(d => `
+    <th class="att-day ${isWeekend(d) ? 'att-day--weekend' : ''} ${d === today ? 'att-day--today' : ''}"
+        title="${formatDate(d)}">${Number(d.slice(8))}</th>`).join('');
+
+  const rows = people.map(p => {
+    let present = 0, minutes = 0;
+    const absences = { justificada: 0, injustificada: 0, licencia: 0 };
+    const cells = days.map(d => {
+      const r = byCell.get(`${p.key}|${d}`);
+      const cls = `att-cell ${isWeekend(d) ? 'att-day--weekend' : ''}`;
+      if (!r) return `<td class="${cls}" data-date="${d}"></td>`;
+      if (r.absenceType) {
+        absences[r.absenceType]++;
+        return `<td class="${cls} att-cell--${r.absenceType}" data-date="${d}"
+                    title="${escapeHTML(`${ABSENCE_LABELS.get(r.absenceType)}${r.notes ? ` — ${r.notes}` : ''}`)}">${ABSENCE_SHORT.get(r.absenceType)}</td>`;
+      }
+      present++;
+      const m = getAttendanceMinutes(r);
+      minutes += m || 0;
+      return `<td class="${cls} att-cell--present" data-date="${d}"
+                  title="${escapeHTML(`${r.checkIn} – ${r.checkOut || '?'}${r.notes ? ` — ${r.notes}` : ''}`)}">✓</td>`;
+    }).join('');
+    return `
+      <tr>
+        <td class="att-person">
+          ${escapeHTML(p.name)}
+          <div class="att-sub">${p.type === 'operator' ? 'Operario' : 'Empleado'}</div>
+        </td>
+        ${cells}
+        <td class="text-right">${present}</td>
+        <td class="text-right">${minutes > 0 ? formatHours(minutes) : '—'}</td>
+        <td class="text-right">${absences.justificada || '—'}</td>
+        <td class="text-right ${absences.injustificada ? 'att-total--bad' : ''}">${absences.injustificada || '—'}</td>
+        <td class="text-right">${absences.licencia || '—'}</td>
+      </tr>`;
+  }).join('');
+
+  el.innerHTML = `
+    <table class="data-table att-grid">
+      <thead>
+        <tr>
+          <th>Persona</th>${head}
+          <th class="text-right" title="Días asistidos">Días</th>
+          <th class="text-right">Horas</th>
+          <th class="text-right" title="Justificadas">J</th>
+          <th class="text-right" title="Injustificadas">I</th>
+          <th class="text-right" title="Licencias">L</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+
+  el.querySelectorAll('td[data-date]').forEach(td => {
+    td.addEventListener('click', async () => {
+      selectedDate = td.dataset.date;
+      document.getElementById('att-day-date').value = selectedDate;
+      await loadDay();
+      document.getElementById('att-day-card').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+}
+
+// ─── CSV Import ───────────────────────────────────────────────────────────────
+
+/** Header names accepted for each column (accents and case ignored). */
+const CSV_COLUMNS = {
+  code:     ['cedula', 'documento', 'codigo', 'code', 'id', 'no', 'ac-no', 'enroll', 'empleado id', 'user id'],
+  name:     ['nombre', 'name', 'empleado', 'operario'],
+  date:     ['fecha', 'date', 'dia'],
+  checkIn:  ['entrada', 'hora entrada', 'check in', 'checkin', 'clock in', 'in'],
+  checkOut: ['salida', 'hora salida', 'check out', 'checkout', 'clock out', 'out'],
+  punch:    ['hora', 'time', 'marca', 'marcacion', 'punch', 'fecha/hora', 'fecha hora', 'datetime'],
+};
+
+/** Lowercase, no accents, single spaces. */
+function normalizeText(s) {
+  return String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[_.]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** Split CSV text into rows of cells — quoted cells, , ; or tab delimiter. */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) { row.push(cell.trim()); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim()); cell = '';
+      if (row.some(c => c !== '')) rows.push(row);
+      row = [];
+    } else cell += ch;
+  }
+  row.push(cell.trim());
+  if (row.some(c => c !== '')) rows.push(row);
+  return rows;
+}
+
+/** "2026-10-01", "01/10/2026", "1-10-26" → "YYYY-MM-DD" (day first), or null. */
+function parseCsvDate(value) {
+  const s = String(value || '').trim();
+  let m = s.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (m) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${year}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+/** "7:58", "07:58:12", "7:58 PM", "2026-10-01 19:58" → "HH:MM", or null. */
+function parseCsvTime(value) {
+  const m = String(value || '').trim().match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?\s?m\.?)?\s*$/i);
+  if (!m) return null;
+  let h = Number(m[1]);
+  const suffix = (m[3] || '').toLowerCase().replace(/[^ap]/g, '');
+  if (suffix === 'p' && h < 12) h += 12;
+  if (suffix === 'a' && h === 12) h = 0;
+  if (h > 23) return null;
+  return `${String(h).padStart(2, '0')}:${m[2]}`;
+}
+
+/**
+ * Turn a time-clock export into one entry per person and day.
+ * @returns {{ entries: { code, name, date, checkIn, checkOut }[], error: string|null }}
+ */
+function readTimeClockCsv(text) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) return { entries: [], error: 'El archivo no tiene filas de datos.' };
+
+  const header = rows[0].map(normalizeText);
+  const col    = role => header.findIndex(h => CSV_COLUMNS[role].includes(h));
+  const idx    = Object.fromEntries(Object.keys(CSV_COLUMNS).map(role => [role, col(role)]));
+  if (idx.code < 0 && idx.name < 0) {
+    return { entries: [], error: 'No se encontró una columna de cédula / código ni de nombre.' };
+  }
+  const hasInOut = idx.checkIn >= 0;
+  if (!hasInOut && idx.punch < 0) {
+    return { entries: [], error: 'No se encontró una columna de entrada ni de hora de marcación.' };
+  }
+
+  // person|date → entry; punch-per-row files collect every punch of the day
+  const byDay = new Map();
+  for (const cells of rows.slice(1)) {
+    const cell = i => (i >= 0 ? cells[i] || '' : '');
+    const code = cell(idx.code);
+    const name = cell(idx.name);
+    const date = parseCsvDate(cell(idx.date)) || parseCsvDate(cell(idx.punch));
+    if (!date || (!code && !name)) continue;
+
+    const key = `${code || normalizeText(name)}|${date}`;
+    if (!byDay.has(key)) byDay.set(key, { code, name, date, checkIn: null, checkOut: null, punches: [] });
+    const entry = byDay.get(key);
+
+    if (hasInOut) {
+      entry.checkIn  = parseCsvTime(cell(idx.checkIn))  || entry.checkIn;
+      entry.checkOut = parseCsvTime(cell(idx.checkOut)) || entry.checkOut;
+    } else {
+      const time = parseCsvTime(cell(idx.punch));
+      if (time) entry.punches.push(time);
+    }
+  }
+  for (const entry of byDay.values()) {
+    if (entry.punches.length === 0) continue;
+    entry.punches.sort();
+    entry.checkIn  = entry.punches[0];
+    entry.checkOut = entry.punches.length > 1 ? entry.punches[entry.punches.length - 1] : null;
+  }
+  const entries = [...byDay.values()]
+    .filter(e => e.checkIn)
+    .map(({ punches, ...e }) => e);
+  return { entries, error: entries.length ? null : 'No se encontraron marcaciones con fecha y hora válidas.' };
+}
+
+/** CapFlow person of a CSV row — cédula / código digits first, then name. */
+function matchPerson(entry) {
+  const digits = s => String(s || '').replace(/\D/g, '');
+  const code   = digits(entry.code);
+  if (code) {
+    const byDoc = allPeople.find(p => digits(p.document) === code);
+    if (byDoc) return byDoc;
+  }
+  const name = normalizeText(entry.name);
+  return name ? allPeople.find(p => normalizeText(p.name) === name) || null : null;
+}
+
+function openImportModal() {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'att-modal-overlay';
+  overlay.innerHTML = `
+    <div class="att-modal" role="dialog" aria-modal="true" aria-labelledby="att-import-title">
+      <h3 id="att-import-title" class="att-modal__title">Importar marcaciones del reloj</h3>
+      <p class="att-note">
+        CSV con encabezado. Columnas reconocidas: <strong>Cédula / Código</strong> o <strong>Nombre</strong>,
+        <strong>Fecha</strong> y <strong>Entrada</strong> / <strong>Salida</strong> — o una fila por marcación con
+        <strong>Hora</strong> (la primera del día es la entrada y la última la salida).
+        Una marcación reemplaza lo registrado para esa persona y día.
+      </p>
+      <div class="form-group">
+        <input class="form-input" type="file" id="att-import-file" accept=".csv,.txt,text/csv">
+      </div>
+      <div id="att-import-preview"></div>
+      <div class="att-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="att-import-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="att-import-ok" disabled>Importar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#att-import-cancel').addEventListener('click', close);
+
+  let toImport = [];
+
+  $('#att-import-file').addEventListener('change', e => {
+    const file = e.target.files[0];
+    toImport = [];
+    $('#att-import-ok').disabled = true;
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = async ev => {
+      const preview = $('#att-import-preview');
+      const { entries, error } = readTimeClockCsv(String(ev.target.result || ''));
+      if (error) {
+        preview.innerHTML = `<p class="form-error">${escapeHTML(error)}</p>`;
+        return;
+      }
+
+      const dates    = entries.map(en => en.date).sort();
+      const existing = await AttendanceAPI.getByRange(dates[0], dates[dates.length - 1]).catch(() => []);
+      const byCell   = new Map(existing.map(r => [`${r.personKey}|${r.date}`, r]));
+
+      const lines = entries.map(en => {
+        const person = matchPerson(en);
+        const prev   = person ? byCell.get(`${person.key}|${en.date}`) : null;
+        return { ...en, person, prev };
+      }).sort((a, b) => a.date.localeCompare(b.date) || (a.person?.name || a.name).localeCompare(b.person?.name || b.name, 'es'));
+
+      toImport = lines.filter(l => l.person).map(l => ({
+        id: l.prev?.id, personKey: l.person.key, date: l.date,
+        checkIn: l.checkIn, checkOut: l.checkOut, absenceType: null,
+        notes: l.prev?.notes || '', source: 'csv',
+      }));
+      const unmatched = lines.filter(l => !l.person).length;
+
+      preview.innerHTML = `
+        <p class="att-note">
+          ${lines.length} registro${lines.length !== 1 ? 's' : ''} del ${formatDate(dates[0])} al ${formatDate(dates[dates.length - 1])}
+          · <strong>${toImport.length}</strong> con persona en CapFlow
+          ${unmatched ? `· <span class="att-total--bad">${unmatched} sin coincidencia (no se importan)</span>` : ''}
+        </p>
+        <div class="table-wrapper att-preview">
+          <table class="data-table">
+            <thead><tr>
+              <th>Fecha</th><th>En el archivo</th><th>Persona CapFlow</th>
+              <th>Entrada</th><th>Salida</th><th></th>
+            </tr></thead>
+            <tbody>${lines.map(l => `
+              <tr class="${l.person ? '' : 'table-row--inactive'}">
+                <td>${formatDate(l.date)}</td>
+                <td>${escapeHTML([l.code, l.name].filter(Boolean).join(' · '))}</td>
+                <td>${l.person ? escapeHTML(l.person.name) : '<span class="badge badge--red">Sin coincidencia</span>'}</td>
+                <td>${l.checkIn}</td>
+                <td>${l.checkOut || '—'}</td>
+                <td>${l.prev?.absenceType
+                  ? `<span class="badge badge--orange">Reemplaza ${escapeHTML(ABSENCE_LABELS.get(l.prev.absenceType).toLowerCase())}</span>`
+                  : l.prev ? '<span class="badge badge--gray">Actualiza</span>' : ''}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>`;
+      $('#att-import-ok').disabled = toImport.length === 0;
+      $('#att-import-ok').textContent = `Importar ${toImport.length}`;
+    };
+    reader.readAsText(file);
+  });
+
+  $('#att-import-ok').addEventListener('click', async () => {
+    if (toImport.length === 0) return;
+    const btn = $('#att-import-ok');
+    setButtonLoading(btn, true);
+    try {
+      await AttendanceAPI.upsertMany(toImport);
+      ChangeHistoryAPI.log({
+        entity_type: 'attendance', entity_id: `csv-${Date.now()}`,
+        entity_name: `Asistencia importada (${toImport.length} registros)`,
+        action: 'importar',
+        changes: { registros: { before: null, after: toImport.length } },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      close();
+      showFeedback(`${toImport.length} registro${toImport.length !== 1 ? 's' : ''} de asistencia importado${toImport.length !== 1 ? 's' : ''}.`, 'success');
+      await Promise.all([loadDay(), loadMonth()]);
+    } catch (err) {
+      showFeedback(`Error al importar: ${err.message}`, 'error');
+      setButtonLoading(btn, false);
+    }
+  });
+}
+
+// ─── Listeners ────────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('att-day-date').addEventListener('change', e => {
+    if (!e.target.value) return;
+    selectedDate = e.target.value;
+    loadDay();
+  });
+  document.getElementById('att-month').addEventListener('change', e => {
+    if (!e.target.value) return;
+    selectedMonth = e.target.value;
+    loadMonth();
+  });
+  document.getElementById('att-day-save').addEventListener('click', handleSaveDay);
+  document.getElementById('att-import-btn').addEventListener('click', openImportModal);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function personName(key) {
+  return allPeople.find(p => p.key === key)?.name || key;
+}
+
+/** First and last day of "YYYY-MM". */
+function monthRange(month) {
+  const [y, m] = month.split('-').map(Number);
+  const last   = new Date(y, m, 0).getDate();
+  return [`${month}-01`, `${month}-${String(last).padStart(2, '0')}`];
+}
+
+function showDayLoading(loading) {
+  document.getElementById('att-day-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('att-day-wrapper').style.display = loading ? 'none' : '';
+}
+
+/**
+ * Put a button into a loading / disabled state while an async operation runs.
+ * @param {HTMLButtonElement} btn
+ * @param {boolean} loading
+ */
+function setButtonLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.dataset.originalText = btn.dataset.originalText || btn.innerHTML;
+  btn.innerHTML = loading
+    ? '<span class="spinner spinner--sm"></span> Guardando…'
+    : btn.dataset.originalText;
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" plus `days` calendar days. */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** 495 → "8:15" */
+function formatHours(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('attendance-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'attendance-module-styles';
+  tag.textContent = `
+    .att-note { margin: 0; font-size: 0.8rem; color: var(--color-text-muted); }
+    .att-note--pad { padding: var(--space-sm) var(--space-lg) var(--space-md); }
+    .att-day-actions {
+      display: flex; align-items: center; justify-content: space-between; gap: var(--space-md);
+      padding: var(--space-md) var(--space-lg);
+    }
+    .att-group td {
+      font-size: 0.75rem; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted); background: var(--color-bg-secondary, transparent);
+    }
+    #att-day-tbody .form-input--sm { min-width: 0; }
+
+    .att-grid th, .att-grid td { padding: 4px 6px; }
+    .att-person { white-space: nowrap; }
+    .att-sub { font-size: 0.7rem; color: var(--color-text-muted); }
+    .att-day { text-align: center; font-size: 0.75rem; min-width: 24px; }
+    .att-day--weekend { background: rgba(255,255,255,0.03); }
+    .att-day--today { color: var(--color-primary, #3b82f6); }
+    .att-cell {
+      text-align: center; font-size: 0.75rem; font-weight: 600; cursor: pointer;
+      border-left: 1px solid var(--color-border);
+    }
+    .att-cell:hover { outline: 1px solid var(--color-border); }
+    .att-cell--present       { color: var(--color-success); }
+    .att-cell--justificada   { color: var(--color-warning); }
+    .att-cell--injustificada { color: var(--color-danger); background: rgba(239,68,68,0.12); }
+    .att-cell--licencia      { color: var(--color-info, #60a5fa); }
+    .att-total--bad { color: var(--color-danger); font-weight: 600; }
+
+    .att-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .att-modal {
+      width: 100%; max-width: 760px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .att-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .att-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+    .att-modal .form-group { margin: var(--space-md) 0; }
+    .att-preview { max-height: 45vh; overflow-y: auto; margin-top: var(--space-sm); }
+  `;
+  document.head.appendChild(tag);
+}
@@ -76,6 +76,7 @@ function buildModuleHTML() {
                 <option value="investor">Inversionista</option>
                 <option value="payroll">Nómina</option>
                 <option value="raw_material">Materia prima</option>
+                <option value="ncf_sequence">Secuencias NCF</option>
               </select>
             </div>
           </div>
@@ -601,6 +602,7 @@ const ENTITY_SINGULAR = {
   raw_material:      'materia prima',
   investor:          'movimiento de inversionista',
   payroll:           'recibo de nómina',
+  ncf_sequence:      'secuencia NCF',
 };
 
 const ENTITY_ARTICLE = {
@@ -617,6 +619,7 @@ const ENTITY_ARTICLE = {
   raw_material:      'la',
   investor:          'el',
   payroll:           'el',
+  ncf_sequence:      'la',
 };
 
 const FIELD_LABELS = {
@@ -651,6 +654,10 @@ const FIELD_LABELS = {
   sale_date:      'fecha',
   production_date:'fecha de producción',
   invoice_number: 'número de factura',
+  ncf_number:     'NCF',
+  itbis_amount:   'ITBIS',
+  range:          'rango',
+  expires_on:     'vencimiento',
   payment_method: 'método de pago',
   category:       'categoría',
   role:           'rol',
@@ -5,10 +5,14 @@
  *  - Render the customer form (create / edit)
  *  - Load and display the customers table
  *  - Deactivate / reactivate customers (soft-delete only — no hard deletes)
+ *  - Printable estado de cuenta per customer (invoices, payments, balance)
+ *  - Create / edit / activate gated by the user's role (canPerform, auth.js)
  *
  * Schema:
  *   id, name, type ('company' | 'individual'),
  *   phone, email, address, taxId,
+ *   creditLimit (number | null = sin límite), paymentTermsDays (0 = contado, null = sin plazo:
+ *   no se revisan facturas vencidas),
  *   status ('active' | 'inactive'), createdAt, updatedAt
  *
  * Data source: api.js → CustomersAPI (localStorage prototype).
@@ -21,12 +25,17 @@
  */
 
 import { CustomersAPI, ChangeHistoryAPI } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import { SalesAPI, SalePaymentsAPI }      from '../api.js';
+import { buildSalesLedger, buildLedgerMovements, todayYMD, formatDateLabel } from './reports.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+import { COMPANY_NAME, printOnlyCss } from '../print.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole  = 'solo-lectura';
 
 /** Holds the customer currently being edited, or null for "create" mode. */
 let editingCustomer = null;
@@ -53,6 +62,8 @@ let activeFilter = 'all';
  */
 export async function mountCustomers(container) {
   container.innerHTML = buildModuleHTML();
+  injectStatementStyles();
+  statementData = null;
   try {
     const session = await AuthAPI.getSession();
     _currentAdmin = {
@@ -60,10 +71,19 @@ export async function mountCustomers(container) {
       name: session?.user?.email ?? 'Sistema',
     };
   } catch { /* anon mode — leave defaults */ }
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  applyRolePermissions();
   attachFormListeners();
   loadCustomers();
 }
 
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('customer-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── HTML Builders ────────────────────────────────────────────────────────────
 
 /** Returns the full module markup as a string. */
@@ -170,6 +190,34 @@ function buildModuleHTML() {
               >
             </div>
 
+            <!-- Límite de crédito -->
+            <div class="form-group">
+              <label class="form-label" for="cust-field-credit-limit">Límite de crédito (RD$)</label>
+              <input
+                class="form-input"
+                type="number"
+                id="cust-field-credit-limit"
+                placeholder="Vacío = sin límite"
+                min="0"
+                step="0.01"
+              >
+              <span class="form-error" id="cust-error-credit-limit"></span>
+            </div>
+
+            <!-- Plazo de pago -->
+            <div class="form-group">
+              <label class="form-label" for="cust-field-terms">Plazo de pago (días)</label>
+              <input
+                class="form-input"
+                type="number"
+                id="cust-field-terms"
+                placeholder="Vacío = sin plazo · 0 = contado"
+                min="0"
+                step="1"
+              >
+              <span class="form-error" id="cust-error-terms"></span>
+            </div>
+
             <!-- Dirección -->
             <div class="form-group form-group--wide">
               <label class="form-label" for="cust-field-address">Dirección</label>
@@ -256,6 +304,7 @@ function buildModuleHTML() {
                 <th>Tipo</th>
                 <th>Teléfono</th>
                 <th>RNC / Cédula</th>
+                <th>Crédito</th>
                 <th class="text-center">Estado</th>
                 <th class="text-center">Acciones</th>
               </tr>
@@ -265,6 +314,9 @@ function buildModuleHTML() {
         </div>
 
       </div>
+
+      <!-- ── Estado de cuenta — filled by renderStatement() ── -->
+      <div id="cust-statement" style="display:none;"></div>
     </section>
   `;
 }
@@ -311,6 +363,10 @@ function renderTable(customers) {
   tbody.innerHTML = customers.map(buildTableRow).join('');
 
   // Attach row-level action listeners
+  tbody.querySelectorAll('[data-action="statement"]').forEach(btn => {
+    btn.addEventListener('click', () => handleStatement(btn.dataset.id));
+  });
+
   tbody.querySelectorAll('[data-action="edit"]').forEach(btn => {
     btn.addEventListener('click', () => handleEdit(btn.dataset.id));
   });
@@ -342,11 +398,18 @@ function buildTableRow(customer) {
       <td><span class="badge ${typeClass}">${typeLabel}</span></td>
       <td>${escapeHTML(customer.phone || '—')}</td>
       <td>${escapeHTML(customer.taxId || '—')}</td>
+      <td>${buildCreditLabel(customer)}</td>
       <td class="text-center">
         <span class="badge ${statusClass}">${statusLabel}</span>
       </td>
       <td class="text-center td-actions">
         <button
+          class="btn btn--ghost btn--xs"
+          data-action="statement"
+          data-id="${customer.id}"
+          title="Estado de cuenta"
+        >📄 Estado de cuenta</button>
+        ${canPerform(_currentRole, 'update') ? `<button
           class="btn btn--ghost btn--xs"
           data-action="edit"
           data-id="${customer.id}"
@@ -358,12 +421,23 @@ function buildTableRow(customer) {
           data-id="${customer.id}"
           data-status="${customer.status}"
           title="${toggleLabel} cliente"
-        >${toggleLabel}</button>
+        >${toggleLabel}</button>` : ''}
       </td>
     </tr>
   `;
 }
 
+/** "RD$ 50,000.00 · 30 días" — limit (or "Sin límite") and payment terms. */
+function buildCreditLabel(customer) {
+  const limit = customer.creditLimit === null || customer.creditLimit === undefined
+    ? 'Sin límite'
+    : formatCurrency(customer.creditLimit);
+  const days  = customer.paymentTermsDays;
+  const terms = days === null || days === undefined ? 'Sin plazo'
+    : days > 0 ? `${days} días` : 'Contado';
+  return `${limit} · ${terms}`;
+}
+
 // ─── Form Interactions ────────────────────────────────────────────────────────
 
 /** Attach all form-related event listeners. */
@@ -389,6 +463,7 @@ function attachFormListeners() {
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, editingCustomer ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('cust-form-submit-btn');
@@ -401,7 +476,8 @@ async function handleFormSubmit(e) {
       await CustomersAPI.update(editingCustomer.id, payload);
       showFeedback('Cliente actualizado correctamente.', 'success');
       const changes = _buildDiff(editingCustomer, payload,
-        ['name', 'type', 'phone', 'email', 'taxId', 'address']);
+        ['name', 'type', 'phone', 'email', 'taxId', 'address',
+         'creditLimit', 'paymentTermsDays']);
       ChangeHistoryAPI.log({
         entity_type: 'customer', entity_id: editingCustomer.id,
         entity_name: payload.name, action: 'editar', changes,
@@ -432,6 +508,7 @@ async function handleFormSubmit(e) {
  * @param {string} customerId
  */
 function handleEdit(customerId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const customer = allCustomers.find(c => String(c.id) === String(customerId));
   if (!customer) return;
 
@@ -444,6 +521,8 @@ function handleEdit(customerId) {
   document.getElementById('cust-field-email').value   = customer.email   || '';
   document.getElementById('cust-field-taxid').value   = customer.taxId   || '';
   document.getElementById('cust-field-address').value = customer.address || '';
+  document.getElementById('cust-field-credit-limit').value = customer.creditLimit ?? '';
+  document.getElementById('cust-field-terms').value        = customer.paymentTermsDays ?? '';
 
   document.getElementById('cust-form-title').innerHTML = `
     <span class="card__title-icon">✎</span>
@@ -462,6 +541,7 @@ function handleEdit(customerId) {
  * @param {string} currentStatus  - 'active' | 'inactive'
  */
 async function handleToggleStatus(customerId, currentStatus) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const isActive = currentStatus !== 'inactive';
   const verb     = isActive ? 'desactivar' : 'activar';
 
@@ -559,6 +639,198 @@ function applyFilters() {
   renderTable(results);
 }
 
+// ─── Estado de cuenta ─────────────────────────────────────────────────────────
+// Printable customer statement built from the Reportes ledger
+// (buildSalesLedger): confirmed invoices (revenue + ITBIS) as charges, sale
+// payments as credits, with a running balance. Movements before the start date
+// roll into "Saldo anterior". Sales and payments are fetched on first use
+// only, so the customers table stays light.
+
+/** { sales, payments } for the statement, loaded once per mount. */
+let statementData = null;
+
+/**
+ * Open the statement panel for one customer (default range: Jan 1 → today).
+ * @param {string} customerId
+ */
+async function handleStatement(customerId) {
+  const customer = allCustomers.find(c => String(c.id) === String(customerId));
+  if (!customer) return;
+
+  const panel = document.getElementById('cust-statement');
+  panel.style.display = 'block';
+  panel.innerHTML = `
+    <div class="card"><div class="table-loading" style="display:flex;">
+      <div class="spinner"></div><span>Cargando estado de cuenta…</span>
+    </div></div>`;
+  panel.scrollIntoView({ behavior: 'smooth' });
+
+  try {
+    if (!statementData) {
+      const [sales, payments] = await Promise.all([SalesAPI.getAll(), SalePaymentsAPI.getAll()]);
+      statementData = { sales, payments };
+    }
+  } catch (err) {
+    panel.style.display = 'none';
+    showFeedback(`Error al cargar el estado de cuenta: ${err.message}`, 'error');
+    return;
+  }
+
+  const today = todayYMD();
+  renderStatement(customer, `${today.slice(0, 4)}-01-01`, today);
+}
+
+function renderStatement(customer, from, to) {
+  const panel = document.getElementById('cust-statement');
+  if (!panel) return;
+
+  const all     = buildLedgerMovements(
+    buildSalesLedger(statementData.sales, statementData.payments, { customerId: customer.id }));
+  const opening = all.filter(m => m.date < from).reduce((s, m) => s + m.charge - m.credit, 0);
+  const inRange = all.filter(m => m.date >= from && m.date <= to);
+
+  let running = opening;
+  const rows = inRange.map(m => {
+    running += m.charge - m.credit;
+    return `
+      <tr>
+        <td style="white-space:nowrap;">${escapeHTML(formatDateLabel(m.date))}</td>
+        <td style="font-family:var(--font-mono);font-size:0.78rem;">${escapeHTML(m.doc)}</td>
+        <td>${escapeHTML(m.concept)}</td>
+        <td class="text-right">${m.charge ? formatCurrency(m.charge) : ''}</td>
+        <td class="text-right">${m.credit ? formatCurrency(m.credit) : ''}</td>
+        <td class="text-right">${formatCurrency(running)}</td>
+      </tr>`;
+  }).join('');
+
+  const charges = inRange.reduce((s, m) => s + m.charge, 0);
+  const credits = inRange.reduce((s, m) => s + m.credit, 0);
+
+  panel.innerHTML = `
+    <div class="card cust-statement__toolbar">
+      <div class="form-group" style="margin:0;">
+        <label class="form-label" for="cust-stmt-from">Desde</label>
+        <input class="form-input" type="date" id="cust-stmt-from" value="${escapeHTML(from)}">
+      </div>
+      <div class="form-group" style="margin:0;">
+        <label class="form-label" for="cust-stmt-to">Hasta</label>
+        <input class="form-input" type="date" id="cust-stmt-to" value="${escapeHTML(to)}">
+      </div>
+      <button class="btn btn--primary btn--sm" id="cust-stmt-apply">Actualizar</button>
+      <button class="btn btn--ghost btn--sm" id="cust-stmt-print">🖨 Imprimir</button>
+      <button class="btn btn--ghost btn--sm" id="cust-stmt-close">✕ Cerrar</button>
+    </div>
+
+    <div class="cust-statement">
+      <div class="cust-statement__header">
+        <div>
+          <div class="cust-statement__company">${escapeHTML(COMPANY_NAME)}</div>
+          <div class="cust-statement__title">Estado de cuenta</div>
+        </div>
+        <div class="cust-statement__meta">
+          <div>${escapeHTML(formatDateLabel(from))} — ${escapeHTML(formatDateLabel(to))}</div>
+          <div>Generado el ${escapeHTML(formatDateLabel(todayYMD()))}</div>
+        </div>
+      </div>
+
+      <div class="cust-statement__customer">
+        <strong>${escapeHTML(customer.name)}</strong>
+        ${customer.taxId   ? `<div>RNC / Cédula: ${escapeHTML(customer.taxId)}</div>` : ''}
+        ${customer.address ? `<div>${escapeHTML(customer.address)}</div>` : ''}
+        ${customer.phone   ? `<div>Tel.: ${escapeHTML(customer.phone)}</div>` : ''}
+      </div>
+
+      <table class="data-table cust-statement__table">
+        <thead>
+          <tr>
+            <th>Fecha</th>
+            <th>Factura</th>
+            <th>Concepto</th>
+            <th class="text-right">Cargos</th>
+            <th class="text-right">Abonos</th>
+            <th class="text-right">Saldo</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td colspan="5"><em>Saldo anterior</em></td>
+            <td class="text-right">${formatCurrency(opening)}</td>
+          </tr>
+          ${rows || `
+          <tr><td colspan="6" style="color:var(--color-text-muted);">Sin movimientos en el período.</td></tr>`}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colspan="3">Totales del período</th>
+            <th class="text-right">${formatCurrency(charges)}</th>
+            <th class="text-right">${formatCurrency(credits)}</th>
+            <th class="text-right">${formatCurrency(running)}</th>
+          </tr>
+        </tfoot>
+      </table>
+
+      <div class="cust-statement__balance">
+        Saldo al ${escapeHTML(formatDateLabel(to))}: <strong>${formatCurrency(running)}</strong>
+      </div>
+    </div>
+  `;
+
+  panel.querySelector('#cust-stmt-apply').addEventListener('click', () => {
+    const newFrom = panel.querySelector('#cust-stmt-from').value;
+    const newTo   = panel.querySelector('#cust-stmt-to').value;
+    if (!newFrom || !newTo) return;
+    if (newFrom > newTo) {
+      showFeedback('La fecha de inicio no puede ser posterior a la fecha final.', 'error');
+      return;
+    }
+    renderStatement(customer, newFrom, newTo);
+  });
+  panel.querySelector('#cust-stmt-print').addEventListener('click', () => window.print());
+  panel.querySelector('#cust-stmt-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+    panel.innerHTML     = '';
+  });
+}
+
+/** Statement layout + print rules (only the statement prints). */
+function injectStatementStyles() {
+  if (document.getElementById('cust-statement-styles')) return;
+  const s = document.createElement('style');
+  s.id = 'cust-statement-styles';
+  s.textContent = `
+    .cust-statement__toolbar {
+      display: flex; align-items: flex-end; flex-wrap: wrap; gap: var(--space-md);
+      padding: var(--space-md) var(--space-lg); margin: var(--space-lg) 0 var(--space-md);
+    }
+    .cust-statement {
+      background: var(--color-bg-card); border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg); padding: var(--space-xl);
+    }
+    .cust-statement__header   { display: flex; justify-content: space-between; gap: var(--space-md); margin-bottom: var(--space-md); }
+    .cust-statement__company  { font-weight: 700; letter-spacing: 0.04em; }
+    .cust-statement__title    { font-size: 0.85rem; text-transform: uppercase; color: var(--color-text-muted); }
+    .cust-statement__meta     { text-align: right; font-size: 0.82rem; color: var(--color-text-muted); }
+    .cust-statement__customer {
+      padding: var(--space-sm) 0; margin-bottom: var(--space-md); font-size: 0.85rem;
+      border-top: 1px solid var(--color-border); border-bottom: 1px solid var(--color-border);
+    }
+    .cust-statement__table    { width: 100%; font-size: 0.85rem; }
+    .cust-statement__balance  { text-align: right; margin-top: var(--space-md); font-size: 1rem; }
+
+    @media print {
+      ${printOnlyCss('#customers-module', '#cust-statement', {
+        hide:  ['.cust-statement__toolbar'],
+        sheet: '.cust-statement',
+      })}
+      .cust-statement__table th, .cust-statement__table td {
+        color: #111111 !important; border-color: #cccccc !important;
+      }
+      .cust-statement__title, .cust-statement__meta { color: #555555 !important; }
+    }
+  `;
+  document.head.appendChild(s);
+}
+
 // ─── Form Validation ──────────────────────────────────────────────────────────
 
 /**
@@ -602,6 +874,18 @@ function validateForm() {
     valid = false;
   }
 
+  const limitRaw = document.getElementById('cust-field-credit-limit').value.trim();
+  if (limitRaw !== '' && !(Number(limitRaw) >= 0)) {
+    showFieldError('cust-error-credit-limit', 'El límite debe ser un monto positivo o quedar vacío.');
+    valid = false;
+  }
+
+  const termsRaw = document.getElementById('cust-field-terms').value.trim();
+  if (termsRaw !== '' && !(Number.isInteger(Number(termsRaw)) && Number(termsRaw) >= 0)) {
+    showFieldError('cust-error-terms', 'El plazo debe ser un número entero de días.');
+    valid = false;
+  }
+
   return valid;
 }
 
@@ -628,6 +912,8 @@ function showFieldError(errorId, message) {
  * @returns {Object}
  */
 function collectFormData() {
+  const limitRaw = document.getElementById('cust-field-credit-limit').value.trim();
+  const termsRaw = document.getElementById('cust-field-terms').value.trim();
   return {
     name:    document.getElementById('cust-field-name').value.trim(),
     type:    document.getElementById('cust-field-type').value,
@@ -635,6 +921,8 @@ function collectFormData() {
     email:   document.getElementById('cust-field-email').value.trim(),
     taxId:   document.getElementById('cust-field-taxid').value.trim(),
     address: document.getElementById('cust-field-address').value.trim(),
+    creditLimit:      limitRaw === '' ? null : Number(limitRaw),
+    paymentTermsDays: termsRaw === '' ? null : parseInt(termsRaw, 10),
   };
 }
 
@@ -709,6 +997,12 @@ function setButtonLoading(btn, loading) {
     : btn.dataset.originalText;
 }
 
+function formatCurrency(value) {
+  return 'RD$ ' + new Intl.NumberFormat('es-DO', {
+    minimumFractionDigits: 2, maximumFractionDigits: 2,
+  }).format(value || 0);
+}
+
 /**
  * Escape HTML special characters to prevent XSS in rendered content.
  * @param {string} str
@@ -2,8 +2,17 @@
  * daily-production.js — Paquetes Diarios (CapFlow)
  *
  * Muestra los registros de paquetes enviados por los operarios de CapDispatch.
- * El admin puede editar y confirmar cada entrada (pending_review → confirmed).
+ * El admin puede editar y confirmar cada entrada (pending_review → confirmed)
+ * o rechazarla con un motivo (pending_review → rejected); los rechazos se
+ * conservan para el desempeño del operario (Desempeño).
  * La confirmación crea un registro de producción que actualiza el inventario.
+ * La tarifa del operario se completa desde la tabla de tarifas por paquete
+ * (Operarios → PieceRatesAPI / getPieceRate) y se guarda como snapshot.
+ * Los turnos salen del catálogo (ShiftsAPI). Si el operario ya tiene otro
+ * turno ese día se aplica la política de Operarios → Turnos
+ * (ProductionSettingsAPI): permitir, pedir motivo o bloquear.
+ * Editar, confirmar y rechazar requieren permiso 'update' y eliminar 'remove'
+ * (canPerform, auth.js).
  */
 
 import {
@@ -15,11 +24,27 @@ import {
   OperatorsAPI,
   ChangeHistoryAPI,
   ensureProductInventoryItem,
+  MoldsAPI,
+  MoldMountsAPI,
+  getMountedMoldId,
+  ProductionOrdersAPI,
+  ProductionScheduleAPI,
+  getScheduledOrderId,
+  QcInspectionsAPI,
+  PieceRatesAPI,
+  getPieceRate,
+  ShiftsAPI,
+  ProductionSettingsAPI,
+  DEFAULT_MULTI_SHIFT_POLICY,
+  getShiftNames,
+  getOperatorOtherShifts,
 } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole  = 'solo-lectura';
 
 // ─── Module state ─────────────────────────────────────────────────────────────
 
@@ -28,6 +53,9 @@ let allOperators        = [];
 let allMachines         = [];
 let allProducts         = [];
 let allCapFlowOperators = [];
+let allRates            = [];
+let allShifts           = [];
+let multiShiftPolicy    = DEFAULT_MULTI_SHIFT_POLICY;
 let filters             = { status: '', operatorId: '', dateFrom: '', dateTo: '' };
 let _container          = null;
 
@@ -43,6 +71,7 @@ export async function mountDailyProduction(container) {
       name: session?.user?.email ?? 'Sistema',
     };
   } catch { /* anon mode */ }
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
   attachEventListeners();
   await loadData();
 }
@@ -69,7 +98,7 @@ function buildModuleHTML() {
       <div id="dp-feedback" style="display:none;" class="dp-feedback"></div>
 
       <!-- Summary cards -->
-      <div id="dp-summary" style="display:grid;grid-template-columns:repeat(3,1fr);gap:var(--space-md);"></div>
+      <div id="dp-summary" style="display:grid;grid-template-columns:repeat(4,1fr);gap:var(--space-md);"></div>
 
       <!-- Filters card -->
       <div class="card">
@@ -85,6 +114,7 @@ function buildModuleHTML() {
                 <option value="">Todos</option>
                 <option value="pending_review">Pendientes</option>
                 <option value="confirmed">Confirmados</option>
+                <option value="rejected">Rechazados</option>
               </select>
             </div>
           </div>
@@ -154,13 +184,19 @@ function attachEventListeners() {
 async function loadData() {
   try {
     hideFeedback();
-    [allEntries, allOperators, allMachines, allProducts, allCapFlowOperators] = await Promise.all([
+    let settings;
+    [allEntries, allOperators, allMachines, allProducts, allCapFlowOperators, allRates,
+     allShifts, settings] = await Promise.all([
       DailyProductionLogsAPI.getAll(filters),
       DispatchOperatorsAPI.getAll().catch(() => []),
       MachinesAPI.getAll().catch(() => []),
       ProductsAPI.getAll().catch(() => []),
       OperatorsAPI.getAll().catch(() => []),
+      PieceRatesAPI.getAll().catch(() => []),
+      ShiftsAPI.getAll().catch(() => []),
+      ProductionSettingsAPI.get().catch(() => null),
     ]);
+    multiShiftPolicy = settings?.multiShiftPolicy || DEFAULT_MULTI_SHIFT_POLICY;
     populateOperatorDropdown();
     renderTable(allEntries);
     renderSummary(allEntries);
@@ -225,6 +261,9 @@ function renderTable(entries) {
   tbody.querySelectorAll('.dp-edit-btn').forEach(btn => {
     btn.addEventListener('click', () => handleEdit(btn.dataset.id));
   });
+  tbody.querySelectorAll('.dp-reject-btn').forEach(btn => {
+    btn.addEventListener('click', () => handleReject(btn.dataset.id));
+  });
   tbody.querySelectorAll('.dp-delete-btn').forEach(btn => {
     btn.addEventListener('click', () => handleDelete(btn.dataset.id));
   });
@@ -237,13 +276,24 @@ function buildTableRow(entry) {
 
   const statusBadge = entry.status === 'confirmed'
     ? `<span class="badge badge--green">✓ Confirmado</span>`
-    : `<span class="badge badge--warning">⏳ Pendiente</span>`;
+    : entry.status === 'rejected'
+      ? `<span class="badge badge--red" title="${escapeHTML(entry.rejection_reason || '')}">✕ Rechazado</span>`
+      : `<span class="badge badge--warning">⏳ Pendiente</span>`;
 
+  const canUpdate = canPerform(_currentRole, 'update');
+  const canRemove = canPerform(_currentRole, 'remove');
   const actionBtn = entry.status === 'pending_review'
-    ? `<button class="btn btn--ghost btn--xs dp-edit-btn" data-id="${entry.id}">Editar</button>
+    ? (canUpdate || canRemove
+      ? `${canUpdate ? `<button class="btn btn--ghost btn--xs dp-edit-btn" data-id="${entry.id}">Editar</button>
        <button class="btn btn--primary btn--xs dp-confirm-btn" data-id="${entry.id}">Confirmar</button>
-       <button class="btn btn--ghost btn--xs dp-delete-btn" data-id="${entry.id}" style="color:var(--color-danger);border-color:var(--color-danger);opacity:.7;" title="Eliminar registro">✕</button>`
-    : `<span style="color:var(--color-text-muted);font-size:.8rem;">—</span>`;
+       <button class="btn btn--ghost btn--xs dp-reject-btn" data-id="${entry.id}" title="Rechazar registro">Rechazar</button>` : ''}
+       ${canRemove ? `<button class="btn btn--ghost btn--xs dp-delete-btn" data-id="${entry.id}" style="color:var(--color-danger);border-color:var(--color-danger);opacity:.7;" title="Eliminar registro">✕</button>` : ''}`
+      : `<span style="color:var(--color-text-muted);font-size:.8rem;">—</span>`)
+    : entry.status === 'rejected'
+      ? `<span style="color:var(--color-text-muted);font-size:.8rem;max-width:160px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;" title="${escapeHTML(entry.rejection_reason || '')}">${escapeHTML(entry.rejection_reason || '—')}</span>`
+      : entry.lot_number
+      ? `<span style="color:var(--color-text-muted);font-size:.8rem;font-family:var(--font-mono);" title="Lote">${entry.lot_number}</span>`
+      : `<span style="color:var(--color-text-muted);font-size:.8rem;">—</span>`;
 
   return `
     <tr class="table-row" data-entry-id="${entry.id}">
@@ -261,6 +311,7 @@ function buildTableRow(entry) {
 // ─── Edit ─────────────────────────────────────────────────────────────────────
 
 function handleEdit(id) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const entry = allEntries.find(e => e.id === id);
   if (!entry) return;
 
@@ -274,7 +325,7 @@ function handleEdit(id) {
     .map(p => `<option value="${p.id}" ${entry.product_id === p.id ? 'selected' : ''}>${p.name}</option>`)
     .join('');
 
-  const shiftOpts = ['Matutino', 'Vespertino', 'Nocturno']
+  const shiftOpts = getShiftNames(allShifts, entry.shift)
     .map(s => `<option value="${s}" ${entry.shift === s ? 'selected' : ''}>${s}</option>`)
     .join('');
 
@@ -389,6 +440,7 @@ function handleEdit(id) {
 // ─── Confirm ──────────────────────────────────────────────────────────────────
 
 async function handleConfirm(id) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const entry = allEntries.find(e => e.id === id);
   if (!entry) return;
 
@@ -461,6 +513,7 @@ async function handleConfirm(id) {
       <div class="form-group">
         <label class="form-label">Tarifa del operador (RD$/paquete) <span style="color:var(--color-danger);">*</span></label>
         <input id="dp-confirm-rate" type="number" class="form-input" min="0.01" step="0.01" placeholder="Ej: 0.50"/>
+        <p id="dp-confirm-rate-hint" style="font-size:.75rem;color:var(--color-text-muted);margin:.25rem 0 0;"></p>
       </div>
       <div class="form-group">
         <label class="form-label">Peso por paquete (lb) <span style="color:var(--color-danger);">*</span></label>
@@ -478,6 +531,11 @@ async function handleConfirm(id) {
           </div>
           <p style="font-size:.75rem;color:var(--color-text-muted);margin:.25rem 0 0;">El operario de despacho no está vinculado a un operario de CapFlow.</p>
         </div>` : ''}
+      <div class="form-group" id="dp-confirm-reason-group" style="display:none;">
+        <label class="form-label">Motivo del turno adicional <span style="color:var(--color-danger);">*</span></label>
+        <input id="dp-confirm-reason" type="text" class="form-input" maxlength="200" placeholder="Ej: Cubre la ausencia de otro operario"/>
+        <p id="dp-confirm-reason-hint" style="font-size:.75rem;color:var(--color-text-muted);margin:.25rem 0 0;"></p>
+      </div>
       <div id="dp-confirm-err" style="display:none;color:var(--color-danger);font-size:.875rem;margin-bottom:var(--space-sm);"></div>
       <div style="display:flex;gap:var(--space-sm);justify-content:flex-end;margin-top:var(--space-lg);">
         <button id="dp-confirm-cancel" class="btn btn--ghost btn--sm">Cancelar</button>
@@ -490,6 +548,30 @@ async function handleConfirm(id) {
   modal.querySelector('#dp-confirm-cancel').addEventListener('click', () => modal.remove());
   modal.addEventListener('click', e => { if (e.target === modal) modal.remove(); });
 
+  // Rate from the piece-rate table for what is known or picked so far; cleared
+  // without a match so a rate from an earlier pick is never confirmed
+  const fillTableRate = () => {
+    const hint      = modal.querySelector('#dp-confirm-rate-hint');
+    const productId = needsProduct ? modal.querySelector('#dp-confirm-product').value : entry.product_id;
+    const rateRow   = productId ? getPieceRate(allRates, {
+      productId,
+      machineId:  needsMachine ? modal.querySelector('#dp-confirm-machine').value : entry.machine_id,
+      shift:      entry.shift,
+      operatorId: needsOperatorSelect ? modal.querySelector('#dp-confirm-operator').value : capflowOperatorId,
+      date:       entry.production_date,
+    }) : null;
+    if (rateRow) {
+      modal.querySelector('#dp-confirm-rate').value = rateRow.rate;
+      hint.textContent = `Tarifa de la tabla${rateRow.operatorId ? ' (del operario)' : ''}, vigente desde ${rateRow.effectiveFrom}.`;
+    } else {
+      modal.querySelector('#dp-confirm-rate').value = '';
+      hint.textContent = productId ? 'Sin tarifa en la tabla para esta combinación — escríbela a mano.' : '';
+    }
+  };
+  ['#dp-confirm-product', '#dp-confirm-machine', '#dp-confirm-operator'].forEach(sel =>
+    modal.querySelector(sel)?.addEventListener('change', fillTableRate));
+  fillTableRate();
+
   modal.querySelector('#dp-confirm-ok').addEventListener('click', async () => {
     const okBtn = modal.querySelector('#dp-confirm-ok');
     const errEl = modal.querySelector('#dp-confirm-err');
@@ -546,6 +628,36 @@ async function handleConfirm(id) {
 
     okBtn.disabled = true; okBtn.textContent = 'Confirmando...';
 
+    // Second shift of the operator that day — Operarios → Turnos policy
+    let multiShiftReason = null;
+    if (multiShiftPolicy !== 'allow' && entry.shift) {
+      const sameDay = await ProductionAPI.getByOperatorDate(resolvedOperatorId, entry.production_date)
+        .catch(() => []);
+      const others  = getOperatorOtherShifts(sameDay, {
+        operatorId: resolvedOperatorId, date: entry.production_date, shift: entry.shift,
+      });
+      if (others.length > 0) {
+        const reasonGroup = modal.querySelector('#dp-confirm-reason-group');
+        const reason      = modal.querySelector('#dp-confirm-reason').value.trim();
+        let message = '';
+        if (multiShiftPolicy === 'block') {
+          message = `El operario ya tiene el turno ${others.join(', ')} ese día y la política actual no permite un turno adicional.`;
+        } else if (!reason) {
+          reasonGroup.style.display = '';
+          modal.querySelector('#dp-confirm-reason-hint').textContent =
+            `El operario ya tiene el turno ${others.join(', ')} ese día.`;
+          message = 'Indica el motivo del turno adicional.';
+        }
+        if (message) {
+          errEl.textContent = message;
+          errEl.style.display = 'block';
+          okBtn.disabled = false; okBtn.textContent = 'Confirmar';
+          return;
+        }
+        multiShiftReason = reason;
+      }
+    }
+
     try {
       // Save resolved product/machine onto the log record before confirming
       await DailyProductionLogsAPI.update(id, {
@@ -564,11 +676,33 @@ async function handleConfirm(id) {
         // Ensure the product has a linked inventory item; the RPC requires it.
         await ensureProductInventoryItem(product);
 
+        // Stamp the mold mounted on the machine that day (Moldes module).
+        const [molds, mounts] = await Promise.all([
+          MoldsAPI.getAll().catch(() => []),
+          MoldMountsAPI.getAll().catch(() => []),
+        ]);
+        const moldId = getMountedMoldId(mounts, resolvedMachineId, entry.production_date);
+        const mold   = molds.find(m => String(m.id) === String(moldId)) || null;
+
+        // Stamp the open order planned for that machine and shift when it is
+        // for this same product (Órdenes de Producción board).
+        const [orders, slots] = await Promise.all([
+          ProductionOrdersAPI.getAll().catch(() => []),
+          ProductionScheduleAPI.getAll({ from: entry.production_date, to: entry.production_date }).catch(() => []),
+        ]);
+        const orderId = getScheduledOrderId(slots, resolvedMachineId, entry.production_date, entry.shift);
+        const order   = orders.find(o => String(o.id) === String(orderId) &&
+          o.status === 'open' && String(o.productId) === String(resolvedProductId)) || null;
+
+        // QC inspections recorded while the log was pending (Calidad) carry
+        // their rejects and purge over to the production record.
+        const inspections = await QcInspectionsAPI.getByDailyLog(id).catch(() => []);
+
         // Atomic: production row + inventory 'in' movement happen in a
         // single Postgres transaction. Either both persist or neither
         // does — a confirmed log can never be left without its inventory
         // entry.
-        await ProductionAPI.create({
+        const record = await ProductionAPI.create({
           productId:                resolvedProductId,
           machineId:                resolvedMachineId,
           operatorId:               resolvedOperatorId,
@@ -577,7 +711,31 @@ async function handleConfirm(id) {
           productionDate:           entry.production_date,
           operatorRateSnapshot:     operatorRateSnapshot,
           weightPerPackageSnapshot: weightPerPackageSnapshot,
+          moldId:                   mold ? mold.id : null,
+          moldCavitiesSnapshot:     mold ? mold.cavities : null,
+          productionOrderId:        order ? order.id : null,
+          rejectedQuantity:         inspections.reduce((s, i) => s + i.rejectedPackages, 0),
+          purgeLbs:                 inspections.reduce((s, i) => s + i.purgeLbs, 0),
+          qcInspections:            inspections.length,
+          dailyLogId:               id,
+          multiShiftReason,
         });
+
+        // The log keeps the lot number of the record it became (Trazabilidad)
+        try {
+          const withLot = await DailyProductionLogsAPI.update(id, { lot_number: record.lotNumber });
+          confirmed.lot_number = withLot.lot_number;
+        } catch (lotErr) {
+          console.warn('[CapFlow] lot number not saved on daily log:', lotErr.message);
+        }
+
+        if (inspections.length > 0) {
+          try {
+            await QcInspectionsAPI.linkDailyLog(id, record);
+          } catch (qcErr) {
+            console.warn('[CapFlow] QC inspections not linked to production:', qcErr.message);
+          }
+        }
       } catch (prodErr) {
         // Production+inventory rolled back by the RPC. Revert the log
         // status so the supervisor can try again cleanly.
@@ -600,6 +758,7 @@ async function handleConfirm(id) {
           quantity:      { before: null, after: entry.quantity },
           tarifa:        { before: null, after: operatorRateSnapshot },
           peso_paquete:  { before: null, after: weightPerPackageSnapshot },
+          ...(multiShiftReason ? { turno_adicional: { before: null, after: multiShiftReason } } : {}),
         },
         user_id: _currentAdmin.id, user_name: _currentAdmin.name,
       });
@@ -615,9 +774,84 @@ async function handleConfirm(id) {
   });
 }
 
+// ─── Reject ───────────────────────────────────────────────────────────────────
+
+function handleReject(id) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
+  const entry = allEntries.find(e => e.id === id);
+  if (!entry) return;
+
+  const date    = new Date(entry.production_date + 'T12:00:00');
+  const dateStr = date.toLocaleDateString('es-DO', { day: '2-digit', month: 'short', year: 'numeric' });
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.6);z-index:1000;display:flex;align-items:center;justify-content:center;padding:1rem;';
+  overlay.innerHTML = `
+    <div style="background:var(--color-bg-card);border:1px solid var(--color-border);border-radius:var(--radius-lg);padding:var(--space-xl);max-width:420px;width:100%;box-shadow:0 8px 32px rgba(0,0,0,.6);">
+      <h3 style="margin:0 0 var(--space-sm);font-size:1rem;font-weight:700;color:var(--color-danger);">Rechazar registro</h3>
+      <p style="margin:0 0 var(--space-md);font-size:.875rem;color:var(--color-text-secondary);">El registro no entra a producción ni al inventario, pero queda en el historial del operario.</p>
+      <div style="background:var(--color-bg-base);border:1px solid var(--color-border);border-radius:var(--radius-md);padding:var(--space-md);margin-bottom:var(--space-md);font-size:.82rem;color:var(--color-text-secondary);display:grid;gap:.25rem;">
+        <div><span style="color:var(--color-text-muted);">Fecha:</span> ${dateStr}</div>
+        <div><span style="color:var(--color-text-muted);">Operario:</span> ${escapeHTML(entry.operator_name)}</div>
+        <div><span style="color:var(--color-text-muted);">Cantidad:</span> ${entry.quantity.toLocaleString('es-DO')}</div>
+      </div>
+      <div class="form-group" style="margin-bottom:var(--space-lg);">
+        <label class="form-label" for="dp-reject-reason">Motivo <span style="color:var(--color-danger);">*</span></label>
+        <textarea id="dp-reject-reason" class="form-input" rows="2" maxlength="300"
+          placeholder="Ej. cantidad no coincide con el conteo, registro duplicado…"></textarea>
+        <span id="dp-reject-error" style="display:none;font-size:.78rem;color:var(--color-danger);">Indica el motivo del rechazo.</span>
+      </div>
+      <div style="display:flex;gap:var(--space-sm);justify-content:flex-end;">
+        <button id="dp-reject-cancel" class="btn btn--ghost btn--sm">Cancelar</button>
+        <button id="dp-reject-confirm" class="btn btn--sm" style="background:var(--color-danger);color:#fff;border-color:var(--color-danger);">Rechazar</button>
+      </div>
+    </div>`;
+
+  document.body.appendChild(overlay);
+  overlay.querySelector('#dp-reject-reason').focus();
+
+  overlay.querySelector('#dp-reject-cancel').addEventListener('click', () => overlay.remove());
+  overlay.addEventListener('click', e => { if (e.target === overlay) overlay.remove(); });
+
+  overlay.querySelector('#dp-reject-confirm').addEventListener('click', async () => {
+    const reason = overlay.querySelector('#dp-reject-reason').value.trim();
+    if (!reason) {
+      overlay.querySelector('#dp-reject-error').style.display = 'block';
+      return;
+    }
+    const confirmBtn = overlay.querySelector('#dp-reject-confirm');
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = '...';
+    try {
+      const updated = await DailyProductionLogsAPI.update(id, {
+        status: 'rejected', rejected_at: new Date().toISOString(), rejection_reason: reason,
+      });
+      ChangeHistoryAPI.log({
+        entity_type: 'daily_production', entity_id: id,
+        entity_name: `Producción ${entry.production_date} — ${entry.operator_name || ''}`,
+        action: 'rechazar',
+        changes: {
+          status: { before: 'pending_review', after: 'rejected' },
+          motivo: { before: null,             after: reason },
+        },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      allEntries = allEntries.map(e => (e.id === id ? { ...e, ...updated } : e));
+      overlay.remove();
+      renderTable(allEntries);
+      renderSummary(allEntries);
+      showFeedback('Registro rechazado.', 'success');
+    } catch (err) {
+      overlay.remove();
+      showFeedback('Error al rechazar: ' + err.message, 'error');
+    }
+  });
+}
+
 // ─── Delete ───────────────────────────────────────────────────────────────────
 
 function handleDelete(id) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   const entry = allEntries.find(e => e.id === id);
   if (!entry) return;
 
@@ -653,6 +887,10 @@ function handleDelete(id) {
     confirmBtn.textContent = '...';
     try {
       await DailyProductionLogsAPI.remove(id);
+      // QC inspections still waiting for this log have nothing left to point to
+      const orphans = (await QcInspectionsAPI.getByDailyLog(id).catch(() => []))
+        .filter(i => !i.productionId);
+      for (const i of orphans) await QcInspectionsAPI.remove(i.id);
       ChangeHistoryAPI.log({
         entity_type: 'daily_production', entity_id: id,
         entity_name: `Producción ${entry.production_date} — ${entry.operator_name || ''}`,
@@ -679,9 +917,11 @@ function handleDelete(id) {
 // ─── Summary ──────────────────────────────────────────────────────────────────
 
 function renderSummary(entries) {
-  const total     = entries.reduce((s, e) => s + e.quantity, 0);
   const confirmed = entries.filter(e => e.status === 'confirmed').reduce((s, e) => s + e.quantity, 0);
   const pending   = entries.filter(e => e.status === 'pending_review').reduce((s, e) => s + e.quantity, 0);
+  const rejected  = entries.filter(e => e.status === 'rejected').reduce((s, e) => s + e.quantity, 0);
+  // Rejected logs never became packages
+  const total     = confirmed + pending;
 
   const card = (label, value) => `
     <div class="card" style="padding:var(--space-md) var(--space-lg);">
@@ -692,7 +932,8 @@ function renderSummary(entries) {
   _container.querySelector('#dp-summary').innerHTML =
     card('Total paquetes', total) +
     card('Confirmados',    confirmed) +
-    card('Pendientes',     pending);
+    card('Pendientes',     pending) +
+    card('Rechazados',     rejected);
 }
 
 function updateCountBar(count) {
@@ -718,3 +959,9 @@ function hideFeedback() {
   const el = _container.querySelector('#dp-feedback');
   if (el) el.style.display = 'none';
 }
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -9,6 +9,12 @@
  *   Row 1 — Today   : shifts, quantity produced
  *   Row 2 — Month   : shifts, quantity, cost per package
  *   Row 3 — Highlights: top operator (quantity) and most-used machine (shifts)
+ *   Chart   — OEE trend: last OEE_TREND_MONTHS months up to the selected one,
+ *             next to the daily production chart
+ *   Row 4 — Maintenance: overdue / upcoming preventive maintenance plans
+ *           (days or packages produced since the last service)
+ *   Badge  — on the weight chart when a product's latest weighing day is out
+ *            of statistical control (Control de Peso, api.js → PACKAGE WEIGHT SPC)
  *
  * All visible text: Spanish
  * All code identifiers: English
@@ -20,7 +26,12 @@ import { OperatorsAPI }        from '../api.js';
 import { MachinesAPI }         from '../api.js';
 import { RawMaterialsAPI }     from '../api.js';
 import { MonthlyInventoryAPI } from '../api.js';
+import { getMonthlyMaterialCost } from '../api.js';
 import { PackageWeightsAPI }   from '../api.js';
+import { ProductsAPI, DispatchOperatorsAPI } from '../api.js';
+import { getPackageWeightSeries, getWeightSpcAlerts, SPC_LOOKBACK_DAYS } from '../api.js';
+import { MaintenancePlansAPI, getMaintenanceAlerts } from '../api.js';
+import { MachineCapacitiesAPI, getOeeByGroup } from '../api.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -38,6 +49,15 @@ let monthlyChart = null;
  */
 let weightChart = null;
 
+/**
+ * Chart.js instance for the monthly OEE trend line chart.
+ * @type {Chart|null}
+ */
+let oeeChart = null;
+
+/** Months shown in the OEE trend, ending at the selected month. */
+const OEE_TREND_MONTHS = 6;
+
 /**
  * The month currently displayed in all KPI cards (YYYY-MM).
  * Controlled by the dashboard-month-selector input.
@@ -54,6 +74,7 @@ let _allPurchases = [];          // all raw-material purchase records
 let _allInventory = [];          // all monthly closing-inventory records
 let _operatorMap  = new Map();   // operatorId → operator object
 let _machineMap   = new Map();   // machineId  → machine object
+let _capacities   = [];          // nominal machine capacities (OEE)
 
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
@@ -97,12 +118,15 @@ export async function mountDashboard(container) {
 
   try {
     // ── Single parallel fetch — results cached for the lifetime of this mount ─
-    const [records, operators, machines, purchases, inventory] = await Promise.all([
+    const [records, operators, machines, purchases, inventory, plans,
+           capacities] = await Promise.all([
       ProductionAPI.getAll(),
       OperatorsAPI.getAll(),
       MachinesAPI.getAll(),
       RawMaterialsAPI.getAll(),
       MonthlyInventoryAPI.getAll(),
+      MaintenancePlansAPI.getAll().catch(() => []),
+      MachineCapacitiesAPI.getAll().catch(() => []),
     ]);
 
     // Cache everything at module scope so renderMonth() can re-filter without
@@ -112,6 +136,7 @@ export async function mountDashboard(container) {
     _allInventory = inventory;
     _operatorMap  = new Map(operators.map(o => [String(o.id), o]));
     _machineMap   = new Map(machines.map(m  => [String(m.id), m]));
+    _capacities   = capacities;
 
     // ── Today row — always reflects the actual calendar day, never changes ────
     const today        = todayString();
@@ -126,12 +151,18 @@ export async function mountDashboard(container) {
       if (notice) notice.style.display = 'flex';
     }
 
+    // ── Maintenance alerts — not tied to the month selector ─────────────────
+    renderMaintenanceAlerts(getMaintenanceAlerts(plans, records, today));
+
     // ── Month row — delegated to renderMonth so it can be re-called on change ─
     renderMonth(selectedMonth);
 
     // ── Weight chart — independent of the cached production data ────────────
     renderWeightChartForMonth(selectedMonth);
 
+    // ── Weight SPC badge — latest weighing day, not tied to the month ───────
+    renderWeightSpcBadge(records, operators, today);
+
   } catch (err) {
     container.innerHTML = `
       <section class="module">
@@ -152,6 +183,46 @@ export async function mountDashboard(container) {
   }
 }
 
+// ─── Maintenance Alerts ───────────────────────────────────────────────────────
+
+/**
+ * Fill the maintenance card with the plans returned by getMaintenanceAlerts().
+ * The card stays hidden when every plan is up to date.
+ *
+ * @param {Object[]} alerts - { plan, status, daysLeft, packagesLeft, … }
+ */
+function renderMaintenanceAlerts(alerts) {
+  const card = document.getElementById('dashboard-maintenance-card');
+  const list = document.getElementById('dashboard-maintenance-list');
+  if (!card || !list || alerts.length === 0) return;
+
+  list.innerHTML = alerts.map(status => {
+    const plan    = status.plan;
+    const machine = _machineMap.get(String(plan.machineId));
+    const parts   = [];
+    if (status.daysLeft !== null) {
+      parts.push(status.daysLeft < 0
+        ? `vencido hace ${-status.daysLeft} d`
+        : status.daysLeft === 0 ? 'vence hoy' : `vence en ${status.daysLeft} d`);
+    }
+    if (status.packagesLeft !== null) {
+      parts.push(status.packagesLeft <= 0
+        ? `${formatNumber(-status.packagesLeft)} paq. excedidos`
+        : `faltan ${formatNumber(status.packagesLeft)} paq.`);
+    }
+    const overdue = status.status === 'overdue';
+    return `
+      <li class="dashboard-maint-item">
+        <span class="badge ${overdue ? 'badge--red' : 'badge--warning'}">${overdue ? 'Vencido' : 'Próximo'}</span>
+        <span class="dashboard-maint-name">
+          ${escapeHTML(machine ? machine.name : '[Máquina eliminada]')} — ${escapeHTML(plan.name)}
+        </span>
+        <span class="dashboard-maint-due">${escapeHTML(parts.join(' · '))}</span>
+      </li>`;
+  }).join('');
+  card.style.display = '';
+}
+
 // ─── HTML Shell ───────────────────────────────────────────────────────────────
 
 /**
@@ -200,7 +271,8 @@ function buildShellHTML() {
         Sin datos de producción. Los KPIs se actualizarán al registrar el primer turno.
       </div>
 
-      <!-- ── Row 1: Daily production chart (full-width) ── -->
+      <!-- ── Row 1: Daily production chart + OEE trend ── -->
+      <div class="dashboard-chart-row">
       <div class="card" id="dashboard-chart-card">
         <div class="card__header">
           <h2 class="card__title" id="dashboard-chart-title">
@@ -213,6 +285,24 @@ function buildShellHTML() {
         </div>
       </div>
 
+      <div class="card" id="dashboard-oee-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">◎</span>
+            Tendencia OEE
+          </h2>
+        </div>
+        <div class="dashboard-chart-wrap">
+          <canvas id="monthly-oee-chart" aria-label="Gráfico de tendencia OEE por mes"></canvas>
+        </div>
+        <p id="dashboard-oee-chart-empty"
+           style="display:none;padding:var(--space-md) var(--space-lg);
+                  color:var(--color-text-muted);font-size:.85rem;text-align:center;">
+          Registra la capacidad nominal de las máquinas para calcular el OEE.
+        </p>
+      </div>
+      </div>
+
       <!-- ── Row 1b: Daily-average package weight chart (full-width) ── -->
       <div class="card" id="dashboard-weight-chart-card">
         <div class="card__header">
@@ -220,6 +310,8 @@ function buildShellHTML() {
             <span class="card__title-icon">⚖</span>
             Peso por paquete · promedio diario · <span id="dashboard-weight-chart-month">${escapeHTML(thisMonthLabel)}</span>
           </h2>
+          <a class="badge badge--red" id="dashboard-weight-spc-badge" href="#weight-control"
+             style="display:none;text-decoration:none;"></a>
         </div>
         <div class="dashboard-chart-wrap">
           <canvas id="monthly-weight-chart" aria-label="Gráfico de peso por paquete promedio diario del mes"></canvas>
@@ -274,6 +366,18 @@ function buildShellHTML() {
         </div>
       </div>
 
+      <!-- ── Row 5: Preventive maintenance (static — today's status) ── -->
+      <div class="card" id="dashboard-maintenance-card" style="display:none;">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">🔧</span>
+            Mantenimientos vencidos / próximos
+          </h2>
+          <a class="btn btn--ghost btn--sm" href="#machines">Ver en Máquinas →</a>
+        </div>
+        <ul class="dashboard-maint-list" id="dashboard-maintenance-list"></ul>
+      </div>
+
     </section>
 
     ${buildDashboardStyles()}
@@ -485,8 +589,8 @@ function renderMonth(month) {
   fillKPI('kpi-quantity-month', formatNumber(sumField(monthRecords, 'quantity')));
 
   // ── Real cost per package ──────────────────────────────────────────────────
-  // prevMonthString() inside calcMonthlyCostPerPackage uses the passed `month`
-  // argument — never today's date — so opening inventory is always correct.
+  // calcMonthlyCostPerPackage takes its opening inventory from the passed
+  // `month` argument — never today's date — so it is always correct.
   const costData = calcMonthlyCostPerPackage(
     monthRecords, _allPurchases, _allInventory, month
   );
@@ -523,6 +627,7 @@ function renderMonth(month) {
 
   // ── Chart ───────────────────────────────────────────────────────────────────
   renderMonthlyChart(buildDailyQuantityData(monthRecords, month));
+  renderOeeChart(buildOeeTrendData(month));
 }
 
 // ─── Cost-per-Package Card Helpers ────────────────────────────────────────────
@@ -593,7 +698,8 @@ function fillCostKPI({ totalPackages, totalLaborCost, totalMaterialCost, costPer
  *
  * Cost components:
  *   Labor:    Σ(quantity × operatorRateSnapshot) for month production records
- *   Material: For each type (recycled / pellet):
+ *   Material: For each type (MATERIAL_TYPES — colorant included), see
+ *             getMonthlyMaterialCost() in api.js:
  *               avgCostPerLb = Σ(totalCost + washingCost) / Σ(weightLbs)
  *               consumedLbs  = openingLbs + purchasedLbs − closingLbs
  *               materialCost = consumedLbs × avgCostPerLb
@@ -616,37 +722,8 @@ function calcMonthlyCostPerPackage(monthRecords, allPurchases, inventoryRecords,
     0
   );
 
-  // ── Inventory lookups (opening = prev month closing; closing = this month) ─
-  const prevMonth = prevMonthString(thisMonth);
-  const currInv   = inventoryRecords.find(r => r.month === thisMonth) || null;
-  const prevInv   = inventoryRecords.find(r => r.month === prevMonth) || null;
-
-  // ── Material cost: recycled + pellet calculated independently ─────────────
-  const monthPurchases = allPurchases.filter(
-    r => (r.date || '').startsWith(thisMonth)
-  );
-
-  const totalMaterialCost = ['recycled', 'pellet'].reduce((acc, type) => {
-    const typePurchases = monthPurchases.filter(r => r.materialType === type);
-
-    // Weighted average cost per lb for this type this month
-    const purchasedLbs  = typePurchases.reduce((s, r) => s + (r.weightLbs || 0), 0);
-    const purchasedCost = typePurchases.reduce(
-      (s, r) => s + (r.totalCost || 0) + (r.washingCost || 0),
-      0
-    );
-    const avgCostPerLb  = purchasedLbs > 0 ? purchasedCost / purchasedLbs : 0;
-
-    // Closing-inventory field name matches the API record shape
-    const closingKey    = type === 'recycled' ? 'recycledClosingLbs' : 'pelletClosingLbs';
-    const openingLbs    = prevInv ? (prevInv[closingKey] || 0) : 0;
-    const closingLbs    = currInv ? (currInv[closingKey] || 0) : 0;
-
-    // Consumed = opening + purchased − closing  (same formula as rawMaterials.js)
-    const consumedLbs   = openingLbs + purchasedLbs - closingLbs;
-
-    return acc + consumedLbs * avgCostPerLb;
-  }, 0);
+  // ── Material cost: every material type calculated independently ──────────
+  const totalMaterialCost = getMonthlyMaterialCost(thisMonth, allPurchases, inventoryRecords).cost;
 
   const totalCost      = totalLaborCost + totalMaterialCost;
   const costPerPackage = totalPackages > 0 ? totalCost / totalPackages : 0;
@@ -682,6 +759,18 @@ function todayString() {
   return `${y}-${m}-${day}`;
 }
 
+/**
+ * Add calendar days to a YYYY-MM-DD string (local time).
+ * @param {string} ymd
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 /**
  * Format a YYYY-MM-DD string as a readable Spanish date.
  * e.g. "2025-03-15" → "15 mar 2025"
@@ -892,6 +981,128 @@ function renderMonthlyChart({ labels, data }) {
   });
 }
 
+// ─── OEE trend chart (monthly, next to the daily production chart) ──────────
+
+/**
+ * OEE and its three factors per month for the OEE_TREND_MONTHS months ending
+ * at `yearMonth`. Values are percentages; null where a factor cannot be
+ * computed (e.g. no nominal capacity for the month's machines).
+ *
+ * @param {string} yearMonth - 'YYYY-MM'
+ * @returns {{ labels: string[], oee: (number|null)[], availability: (number|null)[],
+ *             performance: (number|null)[], quality: (number|null)[] }}
+ */
+function buildOeeTrendData(yearMonth) {
+  const months = [yearMonth];
+  while (months.length < OEE_TREND_MONTHS) months.unshift(prevMonthString(months[0]));
+
+  const inRange = _allRecords.filter(r => {
+    const m = (r.productionDate || '').slice(0, 7);
+    return m >= months[0] && m <= yearMonth;
+  });
+  const byMonth = getOeeByGroup(inRange, _capacities, r => (r.productionDate || '').slice(0, 7));
+  const pct     = v => (v === null || v === undefined ? null : Math.round(v * 1000) / 10);
+
+  return {
+    labels:       months.map(m => formatMonthLabel(m)),
+    oee:          months.map(m => pct(byMonth.get(m)?.oee)),
+    availability: months.map(m => pct(byMonth.get(m)?.availability)),
+    performance:  months.map(m => pct(byMonth.get(m)?.performance)),
+    quality:      months.map(m => pct(byMonth.get(m)?.quality)),
+  };
+}
+
+/**
+ * Create (or recreate) the OEE line chart on #monthly-oee-chart.
+ * Shows the empty-state note instead when no month has an OEE value.
+ */
+function renderOeeChart({ labels, oee, availability, performance, quality }) {
+  if (typeof window.Chart === 'undefined') return;
+
+  const canvas  = document.getElementById('monthly-oee-chart');
+  const emptyEl = document.getElementById('dashboard-oee-chart-empty');
+  if (!canvas) return;
+
+  if (oeeChart) {
+    oeeChart.destroy();
+    oeeChart = null;
+  }
+
+  const hasData = oee.some(v => v !== null);
+  canvas.parentElement.style.display = hasData ? '' : 'none';
+  if (emptyEl) emptyEl.style.display = hasData ? 'none' : 'block';
+  if (!hasData) return;
+
+  const style       = getComputedStyle(document.documentElement);
+  const accentColor = style.getPropertyValue('--color-accent').trim()       || '#4a9eff';
+  const borderColor = style.getPropertyValue('--color-border').trim()       || '#252e42';
+  const textMuted   = style.getPropertyValue('--color-text-muted').trim()   || '#4a556b';
+  const textPrimary = style.getPropertyValue('--color-text-primary').trim() || '#dce4f0';
+
+  const factor = (label, data, color) => ({
+    label, data,
+    borderColor:     color,
+    backgroundColor: color,
+    borderWidth:     1.2,
+    borderDash:      [4, 3],
+    pointRadius:     2,
+    spanGaps:        true,
+  });
+
+  oeeChart = new window.Chart(canvas, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label:           'OEE',
+          data:            oee,
+          borderColor:     accentColor,
+          backgroundColor: accentColor,
+          borderWidth:     2.5,
+          pointRadius:     3,
+          spanGaps:        true,
+        },
+        factor('Disponibilidad', availability, '#34d399'),
+        factor('Rendimiento',    performance,  '#fbbf24'),
+        factor('Calidad',        quality,      '#a78bfa'),
+      ],
+    },
+    options: {
+      responsive:          true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: {
+          display: true,
+          labels:  { color: textMuted, boxWidth: 12, font: { size: 10 } },
+        },
+        tooltip: {
+          callbacks: {
+            label: item => ` ${item.dataset.label}: ${item.raw === null ? '—' : `${item.raw} %`}`,
+          },
+          backgroundColor: '#1c2333',
+          titleColor:      textPrimary,
+          bodyColor:       textPrimary,
+          borderColor:     borderColor,
+          borderWidth:     1,
+        },
+      },
+      scales: {
+        x: {
+          ticks: { color: textMuted },
+          grid:  { color: borderColor, drawBorder: false },
+        },
+        y: {
+          ticks: { color: textMuted, callback: v => `${v} %` },
+          grid:  { color: borderColor, drawBorder: false },
+          suggestedMin: 0,
+          suggestedMax: 100,
+        },
+      },
+    },
+  });
+}
+
 // ─── Weight chart (daily averages of package_weights for the selected month) ─
 
 /**
@@ -1045,6 +1256,37 @@ async function renderWeightChartForMonth(ym) {
   });
 }
 
+/**
+ * Show the out-of-control badge on the weight chart when the latest weighing
+ * day of any product raised an SPC alert (getWeightSpcAlerts). Failures only
+ * log — the badge simply stays hidden.
+ *
+ * @param {Object[]} records   - all production records (product fallback)
+ * @param {Object[]} operators - all operators
+ * @param {string}   today     - 'YYYY-MM-DD'
+ */
+async function renderWeightSpcBadge(records, operators, today) {
+  const badge = document.getElementById('dashboard-weight-spc-badge');
+  if (!badge) return;
+
+  try {
+    const [weights, products, dispatchOperators] = await Promise.all([
+      PackageWeightsAPI.getSince(addDays(today, -SPC_LOOKBACK_DAYS)),
+      ProductsAPI.getAll(),
+      DispatchOperatorsAPI.getAll().catch(() => []),
+    ]);
+    const points = getPackageWeightSeries(weights, { production: records, operators, dispatchOperators });
+    const alerts = getWeightSpcAlerts(points, products);
+    if (alerts.length === 0) return;
+
+    badge.textContent   = `⚠ Fuera de control · ${alerts.length} producto${alerts.length === 1 ? '' : 's'}`;
+    badge.title         = alerts.map(a => `${a.product.name} (${formatDateLabel(a.analysis.latest.date)})`).join(', ');
+    badge.style.display = '';
+  } catch (err) {
+    console.warn('[CapFlow Dashboard] Error calculando el control de peso:', err.message);
+  }
+}
+
 /**
  * Open a modal listing every package_weights record for the given day.
  * Read-only; closes on backdrop click, on the close button, or Escape.
@@ -1130,6 +1372,33 @@ function openWeightDayModal(dateStr, items) {
 function buildDashboardStyles() {
   return `
     <style id="dashboard-styles">
+      /* ── Maintenance alerts card ─────────────────────────────── */
+      .dashboard-maint-list {
+        list-style: none;
+        margin:     0;
+        padding:    0 var(--space-lg) var(--space-lg);
+      }
+
+      .dashboard-maint-item {
+        display:       flex;
+        align-items:   center;
+        gap:           var(--space-md);
+        padding:       var(--space-sm) 0;
+        border-bottom: 1px solid var(--color-border);
+        font-size:     0.88rem;
+      }
+
+      .dashboard-maint-item:last-child { border-bottom: none; }
+
+      .dashboard-maint-name { flex: 1; color: var(--color-text-primary); }
+
+      .dashboard-maint-due {
+        font-family: var(--font-mono);
+        font-size:   0.8rem;
+        color:       var(--color-text-muted);
+        white-space: nowrap;
+      }
+
       /* ── Month selector in header ────────────────────────────── */
       .dashboard-month-label {
         display:        flex;
@@ -1252,6 +1521,17 @@ function buildDashboardStyles() {
         height:      2.2rem;
       }
 
+      /* ── Daily production + OEE trend row ─────────────────────── */
+      .dashboard-chart-row {
+        display:               grid;
+        grid-template-columns: minmax(0, 2fr) minmax(0, 1fr);
+        gap:                   var(--space-lg);
+      }
+
+      @media (max-width: 1100px) {
+        .dashboard-chart-row { grid-template-columns: minmax(0, 1fr); }
+      }
+
       /* ── Chart container ─────────────────────────────────────── */
       .dashboard-chart-wrap {
         padding:  var(--space-lg);
@@ -6,6 +6,12 @@
  *   - Attachment upload (PDF / image) stored as base64 DataURL
  *   - Filter by date range, category, and payment method
  *   - Running totals in the table footer
+ *   - Supplier RNC / NCF / ITBIS per expense, consumed by the DGII 606 report
+ *   - Recurring expense templates (rent, electricity, telecom…): the months not
+ *     yet generated are listed "por generar" to confirm, edit or skip. The
+ *     generated expense keeps the link + template amount (reports.js compares
+ *     actual vs. template)
+ *   - Create / edit / delete gated by the user's role (canPerform, auth.js)
  *
  * Expense categories are used by the Reports module to compute manufacturing
  * overhead (OVERHEAD_CATEGORIES in reports.js). If categories are renamed here,
@@ -19,15 +25,21 @@
 
 import {
   ExpensesAPI,
+  RecurringExpensesAPI,
+  getPendingRecurringExpenses,
   InvestorAPI,
   ProvidersAPI,
   ServiceProvidersAPI,
   ChangeHistoryAPI,
+  isValidTaxId,
+  isValidNcf,
 } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole  = 'solo-lectura';
 
 // --- Constants ---------------------------------------------------------------
 
@@ -75,6 +87,14 @@ let allExpenses         = [];
 let investorRecord      = null;
 let allSuppliers        = [];   // active raw-material suppliers (ProvidersAPI)
 let allServiceProviders = [];   // active service providers (ServiceProvidersAPI)
+let allTemplates        = [];   // recurring expense templates (RecurringExpensesAPI)
+
+/**
+ * Recurring instance being generated through the main form ("Editar" in the
+ * por-generar list), or null. Its link fields are added to the create payload.
+ * @type {{ template: Object, month: string, expenseDate: string, amount: number }|null}
+ */
+let pendingInstance     = null;
 
 const PAYABLE_STATUS_LABELS = {
   unpaid:  'Pendiente',
@@ -99,7 +119,9 @@ export async function mountExpenses(container) {
       id:   session?.user?.id    ?? null,
       name: session?.user?.email ?? 'Sistema',
     };
+    _currentRole = await AuthAPI.getRole();
   } catch { /* anon mode */ }
+  applyRolePermissions();
   attachFormListeners();
   await loadExpenses();
 }
@@ -222,6 +244,26 @@ function buildModuleHTML() {
               <textarea class="form-input" id="exp-field-notes" rows="2"
                         placeholder="Observaciones adicionales\u2026" maxlength="500"></textarea>
             </div>
+
+            <!-- Comprobante fiscal del proveedor (reporte 606) -->
+            <div class="form-group">
+              <label class="form-label" for="exp-field-tax-id">RNC / C\u00e9dula proveedor</label>
+              <input class="form-input" type="text" id="exp-field-tax-id"
+                     placeholder="Ej: 101012345" maxlength="11" inputmode="numeric">
+              <span class="form-error" id="exp-error-tax-id"></span>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="exp-field-ncf">NCF del proveedor</label>
+              <input class="form-input" type="text" id="exp-field-ncf"
+                     placeholder="Ej: B0100000123" maxlength="13">
+              <span class="form-error" id="exp-error-ncf"></span>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="exp-field-itbis">ITBIS facturado (RD$)</label>
+              <input class="form-input" type="number" id="exp-field-itbis"
+                     min="0" step="0.01" placeholder="0.00">
+              <span class="form-hint">Incluido en el monto. Requerido para el reporte 606.</span>
+            </div>
           </div>
 
           <!-- Accounts Payable details (shown only when "Es cuenta por pagar" is checked) -->
@@ -316,6 +358,23 @@ function buildModuleHTML() {
         </form>
       </div>
 
+      <!-- Recurring Expenses Card -->
+      <div class="card" id="expenses-recurring-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">\u21bb</span>
+            Gastos recurrentes
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="exp-rec-new-btn">+ Nueva plantilla</button>
+        </div>
+        <div class="exp-rec-body">
+          <h3 class="exp-rec-subtitle">Por generar</h3>
+          <div id="exp-rec-pending"></div>
+          <h3 class="exp-rec-subtitle">Plantillas</h3>
+          <div id="exp-rec-templates"></div>
+        </div>
+      </div>
+
       <!-- Filters + Table Card -->
       <div class="card" id="expenses-table-card">
         <div class="card__header">
@@ -396,24 +455,38 @@ function buildModuleHTML() {
   `;
 }
 
+// --- Permissions -------------------------------------------------------------
+
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('expenses-form-card');
+  if (formCard) formCard.style.display = 'none';
+  const newTemplateBtn = document.getElementById('exp-rec-new-btn');
+  if (newTemplateBtn) newTemplateBtn.style.display = 'none';
+}
+
 // --- Data Loading ------------------------------------------------------------
 
 async function loadExpenses() {
   showTableLoading(true);
   try {
-    const [expenses, investor, suppliers, serviceProviders] = await Promise.all([
+    const [expenses, investor, suppliers, serviceProviders, templates] = await Promise.all([
       ExpensesAPI.getAll(),
       InvestorAPI.get().catch(() => null),
       ProvidersAPI.getAll().catch(() => []),
       ServiceProvidersAPI.getAll().catch(() => []),
+      RecurringExpensesAPI.getAll().catch(() => []),
     ]);
     allExpenses         = expenses;
+    allTemplates        = templates;
     investorRecord      = investor;
     allSuppliers        = (suppliers || []).filter(s => s.isActive !== false);
     allServiceProviders = (serviceProviders || []).filter(s => s.isActive !== false);
 
     renderInvestorSection();
     populateCreditorDropdown();
+    renderRecurring();
     applyFilters();
   } catch (err) {
     showFeedback(`Error al cargar gastos: ${err.message}`, 'error');
@@ -481,6 +554,10 @@ function buildTableRow(expense) {
   const invBadge    = expense.investorHistoryId
     ? '<span class="badge badge--orange" style="font-size:0.75rem;" title="Financiado por el inversionista">◈ INV</span>'
     : '';
+  const recBadge    = expense.recurringExpenseId
+    ? ` <span class="badge badge--blue" style="font-size:0.72rem;"
+          title="Gasto recurrente ${escapeHTML(formatMonth(expense.recurringMonth))} · plantilla ${formatCurrency(expense.templateAmount)}">\u21bb</span>`
+    : '';
 
   // Metodo cell - AP entries have no payment method.
   let methodCell;
@@ -510,15 +587,15 @@ function buildTableRow(expense) {
     <tr class="table-row">
       <td style="white-space:nowrap;">${escapeHTML(formatDate(expense.expenseDate))}</td>
       <td><span class="badge badge--teal" style="font-size:0.78rem;">${escapeHTML(expense.category || '—')}</span></td>
-      <td>${escapeHTML(expense.description || '—')}</td>
+      <td>${escapeHTML(expense.description || '—')}${recBadge}</td>
       <td class="text-right" style="font-family:var(--font-mono);white-space:nowrap;">${formatCurrency(expense.amount)}</td>
       <td>${methodCell}</td>
       <td>${statusCell}</td>
       <td class="text-center td-actions">
-        <button class="btn btn--ghost btn--xs" data-action="edit" data-id="${expense.id}"
-                title="Editar gasto">✎ Editar</button>
-        <button class="btn btn--danger btn--xs" data-action="delete" data-id="${expense.id}"
-                title="Eliminar gasto">✕ Eliminar</button>
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="edit" data-id="${expense.id}"
+                title="Editar gasto">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${expense.id}"
+                title="Eliminar gasto">✕ Eliminar</button>` : ''}
       </td>
     </tr>
   `;
@@ -551,10 +628,18 @@ function attachFormListeners() {
   document.getElementById('exp-payable-status')
     .addEventListener('change', e => updatePaidAmountVisibility(e.target.value));
 
+  // Creditor selected → default the RNC from the creditor record
+  document.getElementById('exp-creditor-id')
+    .addEventListener('change', e => prefillTaxIdFromCreditor(e.target.value));
+
   // "+ Nuevo proveedor de servicios"
   document.getElementById('exp-new-service-provider')
     .addEventListener('click', () => openServiceProviderModal());
 
+  // "+ Nueva plantilla" (gastos recurrentes)
+  document.getElementById('exp-rec-new-btn')
+    .addEventListener('click', () => openTemplateModal(null));
+
   // Investor financing checkbox — show/hide note field
   document.getElementById('exp-investor-check')
     .addEventListener('change', e => {
@@ -572,6 +657,7 @@ function attachFormListeners() {
 
 async function handleFormSubmit(e) {
   e.preventDefault();
+  if (!guardAction(_currentRole, editingExpense ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('expenses-submit-btn');
@@ -621,14 +707,23 @@ async function handleFormSubmit(e) {
       payableStatus,
       dueDate,
       paidAmount,
+      supplierTaxId: document.getElementById('exp-field-tax-id').value.replace(/\D/g, ''),
+      ncf:           document.getElementById('exp-field-ncf').value.trim().toUpperCase(),
+      itbisAmount:   parseFloat(document.getElementById('exp-field-itbis').value) || 0,
     };
+    if (pendingInstance && !editingExpense) {
+      payload.recurringExpenseId = pendingInstance.template.id;
+      payload.recurringMonth     = pendingInstance.month;
+      payload.templateAmount     = pendingInstance.amount;
+    }
 
     let savedExpense;
     if (editingExpense) {
       savedExpense = await ExpensesAPI.update(editingExpense.id, payload);
       showFeedback('Gasto actualizado correctamente.', 'success');
       const changes = _expenseDiff(editingExpense, payload,
-        ['expenseDate', 'category', 'method', 'amount', 'description', 'notes', 'payableStatus']);
+        ['expenseDate', 'category', 'method', 'amount', 'description', 'notes', 'payableStatus',
+         'supplierTaxId', 'ncf', 'itbisAmount']);
       ChangeHistoryAPI.log({
         entity_type: 'expense', entity_id: editingExpense.id,
         entity_name: payload.description || payload.category || editingExpense.id,
@@ -646,6 +741,10 @@ async function handleFormSubmit(e) {
           category: { before: null, after: payload.category },
           amount:   { before: null, after: payload.amount },
           date:     { before: null, after: payload.expenseDate },
+          ...(payload.recurringExpenseId ? {
+            recurring_month: { before: null, after: payload.recurringMonth },
+            template_amount: { before: null, after: payload.templateAmount },
+          } : {}),
         },
         user_id: _currentAdmin.id, user_name: _currentAdmin.name,
       });
@@ -690,6 +789,7 @@ async function handleFormSubmit(e) {
 }
 
 function handleEdit(expenseId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const expense = allExpenses.find(e => String(e.id) === String(expenseId));
   if (!expense) return;
 
@@ -702,6 +802,9 @@ function handleEdit(expenseId) {
   document.getElementById('exp-field-amount').value      = expense.amount || '';
   document.getElementById('exp-field-description').value = expense.description || '';
   document.getElementById('exp-field-notes').value       = expense.notes || '';
+  document.getElementById('exp-field-tax-id').value      = expense.supplierTaxId || '';
+  document.getElementById('exp-field-ncf').value         = expense.ncf || '';
+  document.getElementById('exp-field-itbis').value       = expense.itbisAmount || '';
 
   // Accounts Payable section
   const payableCheck = document.getElementById('exp-payable-check');
@@ -751,6 +854,7 @@ function handleEdit(expenseId) {
 }
 
 async function handleDelete(expenseId) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   const expense = allExpenses.find(e => String(e.id) === String(expenseId));
   if (!expense) return;
 
@@ -810,6 +914,7 @@ function _expenseDiff(original, updated, fields) {
 
 function resetFormToCreateMode() {
   editingExpense     = null;
+  pendingInstance    = null;
 
   document.getElementById('expenses-form').reset();
   document.getElementById('exp-field-id').value   = '';
@@ -906,6 +1011,16 @@ function populateCreditorDropdown(preselectId = '') {
   if (newSpBtn) newSpBtn.style.display = type === 'service_provider' ? '' : 'none';
 }
 
+/** Fill the RNC field from the selected creditor unless the user typed one. */
+function prefillTaxIdFromCreditor(creditorId) {
+  const field = document.getElementById('exp-field-tax-id');
+  if (!field || field.value.trim()) return;
+  const type = document.querySelector('input[name="exp-creditor-type"]:checked')?.value || 'supplier';
+  const list = type === 'service_provider' ? allServiceProviders : allSuppliers;
+  const creditor = list.find(p => String(p.id) === String(creditorId));
+  if (creditor?.taxId) field.value = creditor.taxId;
+}
+
 /** Show the paid-amount input only for partial / paid statuses. */
 function updatePaidAmountVisibility(status) {
   const group = document.getElementById('exp-paid-amount-group');
@@ -942,6 +1057,10 @@ function openServiceProviderModal() {
         <label class="form-label" for="exp-sp-phone">Teléfono (opcional)</label>
         <input class="form-input" id="exp-sp-phone" type="tel" maxlength="40">
       </div>
+      <div class="form-group">
+        <label class="form-label" for="exp-sp-tax-id">RNC / Cédula (opcional)</label>
+        <input class="form-input" id="exp-sp-tax-id" type="text" maxlength="11" inputmode="numeric">
+      </div>
       <div class="form-group">
         <label class="form-label" for="exp-sp-notes">Notas (opcional)</label>
         <textarea class="form-input" id="exp-sp-notes" rows="2" maxlength="300"></textarea>
@@ -959,9 +1078,11 @@ function openServiceProviderModal() {
   overlay.querySelector('#exp-sp-cancel').addEventListener('click', close);
 
   overlay.querySelector('#exp-sp-save').addEventListener('click', async () => {
+    if (!guardAction(_currentRole, 'create', showFeedback)) return;
     const nameEl  = overlay.querySelector('#exp-sp-name');
     const phoneEl = overlay.querySelector('#exp-sp-phone');
     const notesEl = overlay.querySelector('#exp-sp-notes');
+    const taxEl   = overlay.querySelector('#exp-sp-tax-id');
     const errEl   = overlay.querySelector('#exp-sp-error');
 
     const name = nameEl.value.trim();
@@ -974,6 +1095,7 @@ function openServiceProviderModal() {
     try {
       const created = await ServiceProvidersAPI.create({
         name, phone: phoneEl.value.trim(), notes: notesEl.value.trim(),
+        taxId: taxEl.value.replace(/\D/g, ''),
       });
       allServiceProviders = [...allServiceProviders, created]
         .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
@@ -981,6 +1103,7 @@ function openServiceProviderModal() {
       // Force creditor type to "service_provider" and select the new entry.
       document.getElementById('exp-creditor-type-service').checked = true;
       populateCreditorDropdown(created.id);
+      prefillTaxIdFromCreditor(created.id);
       close();
       showFeedback('Proveedor de servicios creado.', 'success');
     } catch (err) {
@@ -990,6 +1113,466 @@ function openServiceProviderModal() {
   });
 }
 
+// --- Recurring Expenses ------------------------------------------------------
+
+/** Render the "por generar" list and the templates table. */
+function renderRecurring() {
+  const pendingEl   = document.getElementById('exp-rec-pending');
+  const templatesEl = document.getElementById('exp-rec-templates');
+  if (!pendingEl || !templatesEl) return;
+
+  const pending = getPendingRecurringExpenses(allTemplates, allExpenses, todayString());
+  const canCreate = canPerform(_currentRole, 'create');
+
+  pendingEl.innerHTML = pending.length === 0
+    ? '<p class="exp-rec-empty">No hay gastos recurrentes pendientes de generar.</p>'
+    : `
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Mes</th>
+              <th>Fecha</th>
+              <th>Descripción</th>
+              <th>Categoría</th>
+              <th class="text-right">Monto</th>
+              <th>Pago</th>
+              <th class="text-center">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${pending.map((inst, i) => `
+              <tr class="table-row">
+                <td style="white-space:nowrap;">${escapeHTML(formatMonth(inst.month))}</td>
+                <td style="white-space:nowrap;">${escapeHTML(formatDate(inst.expenseDate))}</td>
+                <td>${escapeHTML(inst.template.description)}</td>
+                <td><span class="badge badge--teal" style="font-size:0.78rem;">${escapeHTML(inst.template.category)}</span></td>
+                <td class="text-right" style="font-family:var(--font-mono);white-space:nowrap;">
+                  ${formatCurrency(inst.amount)}
+                  ${inst.template.isEstimated ? '<br><span class="exp-rec-estimate">estimado</span>' : ''}
+                </td>
+                <td>${escapeHTML(templatePaymentLabel(inst.template))}</td>
+                <td class="text-center td-actions">
+                  ${canCreate ? `
+                    <button class="btn btn--success-ghost btn--xs" data-rec-action="confirm" data-idx="${i}"
+                            title="${inst.template.isEstimated ? 'Ingresar el monto real' : 'Registrar con los valores de la plantilla'}">✔ Confirmar</button>
+                    <button class="btn btn--ghost btn--xs" data-rec-action="edit" data-idx="${i}"
+                            title="Abrir en el formulario para ajustar antes de registrar">✎ Editar</button>
+                    <button class="btn btn--ghost btn--xs" data-rec-action="skip" data-idx="${i}"
+                            title="No generar este mes">Omitir</button>` : '—'}
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+
+  templatesEl.innerHTML = allTemplates.length === 0
+    ? '<p class="exp-rec-empty">Sin plantillas. Crea una con "+ Nueva plantilla" (alquiler, electricidad, telecomunicaciones…).</p>'
+    : `
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Descripción</th>
+              <th>Categoría</th>
+              <th class="text-right">Monto</th>
+              <th class="text-center">Día</th>
+              <th>Pago</th>
+              <th>Desde</th>
+              <th>Estado</th>
+              <th class="text-center">Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${allTemplates.map(t => `
+              <tr class="table-row ${t.isActive ? '' : 'table-row--inactive'}">
+                <td>${escapeHTML(t.description)}</td>
+                <td><span class="badge badge--teal" style="font-size:0.78rem;">${escapeHTML(t.category)}</span></td>
+                <td class="text-right" style="font-family:var(--font-mono);white-space:nowrap;">
+                  ${formatCurrency(t.amount)}${t.isEstimated ? ' <span class="exp-rec-estimate">est.</span>' : ''}
+                </td>
+                <td class="text-center">${t.dayOfMonth}</td>
+                <td>${escapeHTML(templatePaymentLabel(t))}</td>
+                <td style="white-space:nowrap;">${escapeHTML(formatMonth(t.startMonth))}</td>
+                <td><span class="badge ${t.isActive ? 'badge--green' : 'badge--gray'}">${t.isActive ? 'Activa' : 'Inactiva'}</span></td>
+                <td class="text-center td-actions">
+                  ${canPerform(_currentRole, 'update') ? `
+                    <button class="btn btn--ghost btn--xs" data-tpl-action="edit" data-id="${escapeHTML(t.id)}">✎ Editar</button>
+                    <button class="btn ${t.isActive ? 'btn--warning-ghost' : 'btn--success-ghost'} btn--xs"
+                            data-tpl-action="toggle" data-id="${escapeHTML(t.id)}">${t.isActive ? 'Desactivar' : 'Activar'}</button>` : ''}
+                  ${canPerform(_currentRole, 'remove') ? `
+                    <button class="btn btn--danger btn--xs" data-tpl-action="delete" data-id="${escapeHTML(t.id)}">✕</button>` : ''}
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+
+  pendingEl.querySelectorAll('[data-rec-action]').forEach(btn => {
+    const inst = pending[Number(btn.dataset.idx)];
+    btn.addEventListener('click', () => {
+      if (btn.dataset.recAction === 'confirm') handleConfirmRecurring(inst, btn);
+      if (btn.dataset.recAction === 'edit')    handleEditRecurring(inst);
+      if (btn.dataset.recAction === 'skip')    handleSkipRecurring(inst);
+    });
+  });
+  templatesEl.querySelectorAll('[data-tpl-action]').forEach(btn => {
+    const tpl = allTemplates.find(t => String(t.id) === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.tplAction === 'edit')   openTemplateModal(tpl);
+      if (btn.dataset.tplAction === 'toggle') handleToggleTemplate(tpl);
+      if (btn.dataset.tplAction === 'delete') handleDeleteTemplate(tpl);
+    });
+  });
+}
+
+/** "Transferencia bancaria" or "Por pagar — <acreedor>". */
+function templatePaymentLabel(t) {
+  if (t.isPayable) {
+    return `Por pagar — ${lookupCreditorName(t.creditorType, t.creditorId) || '—'}`;
+  }
+  return METHOD_LABELS.get(t.method) || t.method || '—';
+}
+
+/** Expense payload for a recurring instance, with the template values as is. */
+function buildRecurringPayload(inst) {
+  const t = inst.template;
+  const creditors = t.creditorType === 'service_provider' ? allServiceProviders : allSuppliers;
+  const creditor  = t.isPayable
+    ? creditors.find(p => String(p.id) === String(t.creditorId))
+    : null;
+  return {
+    expenseDate:        inst.expenseDate,
+    category:           t.category,
+    method:             t.isPayable ? null : t.method,
+    amount:             inst.amount,
+    description:        `${t.description} — ${formatMonth(inst.month)}`,
+    notes:              t.notes || '',
+    isPayable:          t.isPayable,
+    creditorType:       t.isPayable ? t.creditorType : null,
+    creditorId:         t.isPayable ? t.creditorId   : null,
+    payableStatus:      'unpaid',
+    dueDate:            t.isPayable ? inst.expenseDate : null,
+    paidAmount:         0,
+    supplierTaxId:      creditor?.taxId || '',
+    recurringExpenseId: t.id,
+    recurringMonth:     inst.month,
+    templateAmount:     inst.amount,
+  };
+}
+
+/**
+ * Register an instance with the template values. Estimated templates (e.g.
+ * electricity) open the form instead so the real bill amount is entered.
+ */
+async function handleConfirmRecurring(inst, btn) {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
+  if (inst.template.isEstimated) {
+    handleEditRecurring(inst);
+    showFeedback('Monto estimado: ingresa el monto real de la factura y guarda.', 'info', 6000);
+    return;
+  }
+
+  const payload = buildRecurringPayload(inst);
+  setButtonLoading(btn, true);
+  try {
+    const created = await ExpensesAPI.create(payload);
+    ChangeHistoryAPI.log({
+      entity_type: 'expense', entity_id: created?.id ?? '',
+      entity_name: payload.description,
+      action: 'crear',
+      changes: {
+        category:        { before: null, after: payload.category },
+        amount:          { before: null, after: payload.amount },
+        date:            { before: null, after: payload.expenseDate },
+        recurring_month: { before: null, after: payload.recurringMonth },
+      },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback(`Gasto "${payload.description}" registrado.`, 'success');
+    await loadExpenses();
+  } catch (err) {
+    showFeedback(`Error al registrar: ${err.message}`, 'error');
+    setButtonLoading(btn, false);
+  }
+}
+
+/** Load an instance into the main form; saving creates the linked expense. */
+function handleEditRecurring(inst) {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
+  resetFormToCreateMode();
+  pendingInstance = inst;
+
+  const p = buildRecurringPayload(inst);
+  document.getElementById('exp-field-date').value        = p.expenseDate;
+  document.getElementById('exp-field-category').value    = p.category;
+  document.getElementById('exp-field-method').value      = p.method || '';
+  document.getElementById('exp-field-amount').value      = p.amount || '';
+  document.getElementById('exp-field-description').value = p.description;
+  document.getElementById('exp-field-notes').value       = p.notes;
+  document.getElementById('exp-field-tax-id').value      = p.supplierTaxId;
+
+  if (p.isPayable) {
+    document.getElementById(
+      p.creditorType === 'service_provider' ? 'exp-creditor-type-service' : 'exp-creditor-type-supplier'
+    ).checked = true;
+    setPayableMode(true);
+    populateCreditorDropdown(p.creditorId || '');
+    document.getElementById('exp-due-date').value = p.dueDate || '';
+  }
+
+  document.getElementById('expenses-form-title').innerHTML =
+    `<span class="card__title-icon">↻</span> Generar gasto recurrente — ${escapeHTML(formatMonth(inst.month))}`;
+  document.getElementById('expenses-cancel-btn').style.display = 'inline-flex';
+  document.getElementById('expenses-form-card').scrollIntoView({ behavior: 'smooth' });
+  document.getElementById('exp-field-amount').focus();
+}
+
+async function handleSkipRecurring(inst) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
+  if (!confirm(`¿Omitir "${inst.template.description}" de ${formatMonth(inst.month)}?\n\nNo se generará gasto para ese mes.`)) return;
+  try {
+    const updated = await RecurringExpensesAPI.skipMonth(inst.template, inst.month);
+    allTemplates = allTemplates.map(t => (t.id === updated.id ? updated : t));
+    ChangeHistoryAPI.log({
+      entity_type: 'recurring_expense', entity_id: updated.id,
+      entity_name: updated.description,
+      action: 'omitir',
+      changes: { month: { before: null, after: inst.month } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    renderRecurring();
+  } catch (err) {
+    showFeedback(`Error al omitir: ${err.message}`, 'error');
+  }
+}
+
+async function handleToggleTemplate(tpl) {
+  if (!guardAction(_currentRole, 'update', showFeedback) || !tpl) return;
+  try {
+    const updated = await RecurringExpensesAPI.update(tpl.id, { isActive: !tpl.isActive });
+    allTemplates = allTemplates.map(t => (t.id === updated.id ? updated : t));
+    ChangeHistoryAPI.log({
+      entity_type: 'recurring_expense', entity_id: updated.id,
+      entity_name: updated.description,
+      action: updated.isActive ? 'activar' : 'desactivar',
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    renderRecurring();
+  } catch (err) {
+    showFeedback(`Error al actualizar plantilla: ${err.message}`, 'error');
+  }
+}
+
+async function handleDeleteTemplate(tpl) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !tpl) return;
+  if (!confirm(`¿Eliminar la plantilla "${tpl.description}"?\n\nLos gastos ya generados se conservan.`)) return;
+  try {
+    await RecurringExpensesAPI.remove(tpl.id);
+    allTemplates = allTemplates.filter(t => t.id !== tpl.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'recurring_expense', entity_id: tpl.id,
+      entity_name: tpl.description,
+      action: 'eliminar',
+      changes: { amount: { before: tpl.amount, after: null } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    renderRecurring();
+  } catch (err) {
+    showFeedback(`Error al eliminar plantilla: ${err.message}`, 'error');
+  }
+}
+
+/** Create / edit a recurring expense template. */
+function openTemplateModal(tpl) {
+  if (!guardAction(_currentRole, tpl ? 'update' : 'create', showFeedback)) return;
+
+  const categoryOptions = EXPENSE_CATEGORIES.map(c =>
+    `<option value="${escapeHTML(c.label)}" ${tpl?.category === c.label ? 'selected' : ''}>${escapeHTML(c.label)}</option>`
+  ).join('');
+  const methodOptions = PAYMENT_METHODS.map(m =>
+    `<option value="${escapeHTML(m.value)}" ${tpl?.method === m.value ? 'selected' : ''}>${escapeHTML(m.label)}</option>`
+  ).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'exp-sp-overlay';
+  overlay.innerHTML = `
+    <div class="exp-sp-modal exp-rec-modal" role="dialog" aria-modal="true" aria-labelledby="exp-tpl-title">
+      <h3 id="exp-tpl-title" class="exp-sp-title">${tpl ? 'Editar plantilla' : 'Nueva plantilla recurrente'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="exp-tpl-description">Descripción <span class="required">*</span></label>
+          <input class="form-input" id="exp-tpl-description" type="text" maxlength="160"
+                 placeholder="Ej: Alquiler nave principal" value="${escapeHTML(tpl?.description || '')}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="exp-tpl-category">Categoría <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="exp-tpl-category">
+              <option value="" disabled ${tpl ? '' : 'selected'}>Seleccionar…</option>
+              ${categoryOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="exp-tpl-amount">Monto (RD$) <span class="required">*</span></label>
+          <input class="form-input" id="exp-tpl-amount" type="number" min="0.01" step="0.01"
+                 value="${tpl ? tpl.amount : ''}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="exp-tpl-day">Día del mes <span class="required">*</span></label>
+          <input class="form-input" id="exp-tpl-day" type="number" min="1" max="31" step="1"
+                 value="${tpl ? tpl.dayOfMonth : 1}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="exp-tpl-start">Generar desde <span class="required">*</span></label>
+          <input class="form-input" id="exp-tpl-start" type="month"
+                 value="${escapeHTML(tpl?.startMonth || todayString().slice(0, 7))}">
+        </div>
+        <div class="form-group" style="justify-content:flex-end;">
+          <label class="exp-radio">
+            <input type="checkbox" id="exp-tpl-estimated" ${tpl?.isEstimated ? 'checked' : ''}>
+            <span>Monto estimado (varía cada mes)</span>
+          </label>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="exp-radio">
+            <input type="checkbox" id="exp-tpl-payable" ${tpl?.isPayable ? 'checked' : ''}>
+            <span>Generar como cuenta por pagar</span>
+          </label>
+        </div>
+        <div class="form-group form-group--wide" id="exp-tpl-method-group">
+          <label class="form-label" for="exp-tpl-method">Método de pago <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="exp-tpl-method">
+              <option value="" disabled ${tpl?.method ? '' : 'selected'}>Seleccionar…</option>
+              ${methodOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group" id="exp-tpl-ctype-group">
+          <label class="form-label" for="exp-tpl-ctype">Tipo de acreedor</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="exp-tpl-ctype">
+              <option value="supplier">Proveedor de materia prima</option>
+              <option value="service_provider" ${tpl?.creditorType === 'service_provider' ? 'selected' : ''}>Proveedor de servicios</option>
+            </select>
+          </div>
+        </div>
+        <div class="form-group" id="exp-tpl-creditor-group">
+          <label class="form-label" for="exp-tpl-creditor">Acreedor <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="exp-tpl-creditor"></select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="exp-tpl-notes">Notas (opcional)</label>
+          <textarea class="form-input" id="exp-tpl-notes" rows="2" maxlength="300">${escapeHTML(tpl?.notes || '')}</textarea>
+        </div>
+      </div>
+      <span class="form-error" id="exp-tpl-error"></span>
+      <div class="exp-sp-actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="exp-tpl-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="exp-tpl-save">Guardar</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#exp-tpl-cancel').addEventListener('click', close);
+
+  const fillCreditors = preselectId => {
+    const list = $('#exp-tpl-ctype').value === 'service_provider' ? allServiceProviders : allSuppliers;
+    $('#exp-tpl-creditor').innerHTML =
+      `<option value="" disabled ${preselectId ? '' : 'selected'}>Seleccionar…</option>` +
+      list.map(p =>
+        `<option value="${escapeHTML(p.id)}" ${String(p.id) === String(preselectId) ? 'selected' : ''}>${escapeHTML(p.name)}</option>`
+      ).join('');
+  };
+  const syncPayable = () => {
+    const on = $('#exp-tpl-payable').checked;
+    $('#exp-tpl-method-group').style.display   = on ? 'none' : '';
+    $('#exp-tpl-ctype-group').style.display    = on ? '' : 'none';
+    $('#exp-tpl-creditor-group').style.display = on ? '' : 'none';
+  };
+  fillCreditors(tpl?.creditorId || '');
+  syncPayable();
+  $('#exp-tpl-ctype').addEventListener('change', () => fillCreditors(''));
+  $('#exp-tpl-payable').addEventListener('change', syncPayable);
+
+  $('#exp-tpl-save').addEventListener('click', async () => {
+    const errEl = $('#exp-tpl-error');
+    const data = {
+      description:  $('#exp-tpl-description').value.trim(),
+      category:     $('#exp-tpl-category').value,
+      amount:       parseFloat($('#exp-tpl-amount').value) || 0,
+      dayOfMonth:   parseInt($('#exp-tpl-day').value, 10) || 0,
+      startMonth:   $('#exp-tpl-start').value,
+      isEstimated:  $('#exp-tpl-estimated').checked,
+      isPayable:    $('#exp-tpl-payable').checked,
+      method:       $('#exp-tpl-method').value || null,
+      creditorType: $('#exp-tpl-ctype').value,
+      creditorId:   $('#exp-tpl-creditor').value || null,
+      notes:        $('#exp-tpl-notes').value.trim(),
+    };
+
+    if (data.isPayable) data.method = null;
+    else { data.creditorType = null; data.creditorId = null; }
+
+    let error = '';
+    if (!data.description)                          error = 'La descripción es obligatoria.';
+    else if (!data.category)                        error = 'Selecciona una categoría.';
+    else if (data.amount <= 0)                      error = 'El monto debe ser mayor a 0.';
+    else if (data.dayOfMonth < 1 || data.dayOfMonth > 31) error = 'El día debe estar entre 1 y 31.';
+    else if (!/^\d{4}-\d{2}$/.test(data.startMonth)) error = 'Indica el mes desde el que se genera.';
+    else if (!data.isPayable && !data.method)       error = 'Selecciona un método de pago.';
+    else if (data.isPayable && !data.creditorId)    error = 'Selecciona un acreedor.';
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#exp-tpl-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (tpl) {
+        const updated = await RecurringExpensesAPI.update(tpl.id, data);
+        allTemplates = allTemplates.map(t => (t.id === updated.id ? updated : t));
+        ChangeHistoryAPI.log({
+          entity_type: 'recurring_expense', entity_id: tpl.id,
+          entity_name: data.description,
+          action: 'editar',
+          changes: _expenseDiff(tpl, data,
+            ['description', 'category', 'amount', 'dayOfMonth', 'startMonth', 'isEstimated',
+             'isPayable', 'method', 'creditorId']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await RecurringExpensesAPI.create(data);
+        allTemplates = [...allTemplates, created]
+          .sort((a, b) => (a.description || '').localeCompare(b.description || ''));
+        ChangeHistoryAPI.log({
+          entity_type: 'recurring_expense', entity_id: created.id,
+          entity_name: data.description,
+          action: 'crear',
+          changes: {
+            category: { before: null, after: data.category },
+            amount:   { before: null, after: data.amount },
+          },
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      renderRecurring();
+      showFeedback('Plantilla guardada.', 'success');
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
 // --- Filter Coordinator ------------------------------------------------------
 
 function applyFilters() {
@@ -1057,6 +1640,18 @@ function validateForm() {
     valid = false;
   }
 
+  // Fiscal fields are optional, but must be well-formed when present.
+  const taxId = document.getElementById('exp-field-tax-id').value.trim();
+  if (taxId && !isValidTaxId(taxId)) {
+    showFieldError('exp-error-tax-id', 'RNC (9 d\u00edgitos) o c\u00e9dula (11 d\u00edgitos).');
+    valid = false;
+  }
+  const ncf = document.getElementById('exp-field-ncf').value.trim();
+  if (ncf && !isValidNcf(ncf)) {
+    showFieldError('exp-error-ncf', 'Formato de NCF inv\u00e1lido (ej: B0100000123).');
+    valid = false;
+  }
+
   if (isPayable) {
     if (!document.querySelector('input[name="exp-creditor-type"]:checked')) {
       showFieldError('exp-error-creditor', 'Selecciona el tipo de acreedor.');
@@ -1102,6 +1697,13 @@ function formatDate(s) {
   return `${d}/${m}/${y}`;
 }
 
+/** "2026-03" → "mar. 2026". */
+function formatMonth(ym) {
+  if (!ym) return '\u2014';
+  const [y, m] = ym.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('es-DO', { month: 'short', year: 'numeric' });
+}
+
 function formatCurrency(n) {
   return 'RD$ ' + new Intl.NumberFormat('es-DO', {
     minimumFractionDigits: 2, maximumFractionDigits: 2,
@@ -1227,6 +1829,21 @@ function injectStyles() {
     }
     .exp-radio input[type="radio"] { accent-color: var(--color-info, #3b82f6); }
 
+    /* Recurring expenses */
+    .exp-rec-body { padding: 0 var(--space-lg) var(--space-lg); }
+    .exp-rec-subtitle {
+      margin: var(--space-md) 0 var(--space-sm);
+      font-size: 0.85rem; font-weight: 600;
+      text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted);
+    }
+    .exp-rec-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+    .exp-rec-estimate {
+      font-size: 0.7rem; font-family: var(--font-body, inherit);
+      color: var(--color-warning, #f59e0b);
+    }
+    .exp-rec-modal { max-width: 560px; max-height: 90vh; overflow-y: auto; }
+
     /* Inline service-provider modal */
     .exp-sp-overlay {
       position: fixed; inset: 0; z-index: 1000;
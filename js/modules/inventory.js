@@ -11,9 +11,15 @@
  *
  * Work-in-progress is NOT tracked here.
  *
+ * Reserved = stock held by open sales orders (Pedidos — sales-orders.js);
+ * available = stock − reserved is what a new sale can take.
+ *
  * Every stock change is recorded as a movement entry — the full audit trail
  * is always available in the Movements tab.
  *
+ * Item create / edit and stock movements are gated by the user's role
+ * (canPerform, auth.js); read-only roles only see stock and movements.
+ *
  * FUTURE INTEGRATION HOOK:
  *   The Sales module will call:
  *     InventoryAPI.removeStock(itemId, quantity, saleId, note?)
@@ -27,6 +33,7 @@
  */
 
 import { InventoryAPI } from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -36,6 +43,9 @@ let allItems = [];
 /** All movements loaded from the API, held in memory for the history tab. */
 let allMovements = [];
 
+/** itemId → { reserved, backordered } from open sales orders. */
+let reservations = new Map();
+
 /**
  * The item currently being edited in the create/edit form.
  * null = create mode.
@@ -53,6 +63,9 @@ let activeTab = 'items';
  */
 let typeFilter = 'all';
 
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole = 'solo-lectura';
+
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
 /**
@@ -63,10 +76,19 @@ let typeFilter = 'all';
 export async function mountInventory(container) {
   container.innerHTML = buildShellHTML();
   injectStyles();
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  applyRolePermissions();
   attachListeners();
   await loadData();
 }
 
+/** Read-only roles get stock and movements without the item form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('inv-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── HTML Builders ────────────────────────────────────────────────────────────
 
 function buildShellHTML() {
@@ -208,6 +230,8 @@ function buildShellHTML() {
                 <th>Nombre</th>
                 <th>Tipo</th>
                 <th class="text-right">Stock</th>
+                <th class="text-right">Reservado</th>
+                <th class="text-right">Disponible</th>
                 <th>Unidad</th>
                 <th class="text-center">Acciones</th>
               </tr>
@@ -317,9 +341,10 @@ async function loadData() {
   showItemsLoading(true);
 
   try {
-    [allItems, allMovements] = await Promise.all([
+    [allItems, allMovements, reservations] = await Promise.all([
       InventoryAPI.getAll(),
       InventoryAPI.getMovements(),
+      InventoryAPI.getReservations().catch(() => new Map()),
     ]);
     applyItemFilters();
     renderMovements();
@@ -367,6 +392,8 @@ function buildItemRow(item) {
   const typeLabel = 'Producto Terminado';
   const typeClass = 'badge--blue';
   const stockClass = item.stock === 0 ? 'inv-stock--zero' : 'inv-stock--ok';
+  const reserved   = reservations.get(String(item.id))?.reserved || 0;
+  const available  = item.stock - reserved;
 
   return `
     <tr class="table-row">
@@ -375,9 +402,13 @@ function buildItemRow(item) {
       <td class="text-right">
         <span class="${stockClass}">${formatQty(item.stock)}</span>
       </td>
+      <td class="text-right">${reserved ? formatQty(reserved) : '<span class="inv-stock--zero">—</span>'}</td>
+      <td class="text-right">
+        <span class="${available <= 0 ? 'inv-stock--zero' : 'inv-stock--ok'}">${formatQty(available)}</span>
+      </td>
       <td>${escapeHTML(item.unit)}</td>
       <td class="text-center td-actions">
-        <button class="btn btn--ghost btn--xs"
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs"
           data-action="edit" data-id="${item.id}"
           title="Editar artículo">✎ Editar</button>
         <button class="btn btn--success-ghost btn--xs"
@@ -388,7 +419,7 @@ function buildItemRow(item) {
           title="Retirar stock">↓ Salida</button>
         <button class="btn btn--ghost btn--xs"
           data-action="adjust-stock" data-id="${item.id}"
-          title="Ajuste manual">⇅ Ajuste</button>
+          title="Ajuste manual">⇅ Ajuste</button>` : ''}
       </td>
     </tr>
   `;
@@ -442,9 +473,13 @@ function buildMovementRow(mov, itemMap) {
   const qtySign  = mov.quantity >= 0 ? '+' : '';
   const qtyClass = mov.quantity >= 0 ? 'inv-qty-positive' : 'inv-qty-negative';
   const unit     = item ? ` ${escapeHTML(item.unit)}` : '';
-  const refCell  = mov.referenceId
+  const refCell  = (mov.referenceId
     ? `<code style="font-size:0.75rem;">${escapeHTML(String(mov.referenceId))}</code>`
-    : '—';
+    : '—')
+    + (mov.lots.length
+      ? `<div class="text-muted" style="font-size:0.75rem;">Lote ${mov.lots
+          .map(l => `${escapeHTML(l.lotNumber)} (${formatQty(l.quantity)})`).join(', ')}</div>`
+      : '');
 
   return `
     <tr class="table-row">
@@ -488,6 +523,7 @@ function attachListeners() {
 
 async function handleItemFormSubmit(e) {
   e.preventDefault();
+  if (!guardAction(_currentRole, editingItem ? 'update' : 'create', showFeedback)) return;
   if (!validateItemForm()) return;
 
   const btn     = document.getElementById('inv-form-submit-btn');
@@ -516,6 +552,7 @@ async function handleItemFormSubmit(e) {
 }
 
 function handleEditItem(itemId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const item = allItems.find(i => String(i.id) === String(itemId));
   if (!item) return;
 
@@ -595,6 +632,7 @@ const MODAL_CONFIG = {
 };
 
 function openModal(itemId, mode) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const cfg = MODAL_CONFIG[mode];
   if (!cfg) return;
 
@@ -628,6 +666,7 @@ function closeModal() {
 }
 
 async function handleModalSave() {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const itemId  = document.getElementById('inv-modal-item-id').value;
   const mode    = document.getElementById('inv-modal-mode').value;
   const rawQty  = parseFloat(document.getElementById('inv-modal-qty').value);
@@ -5,6 +5,17 @@
  *  - Render the machine form (create / edit)
  *  - Load and display the machines table
  *  - Activate / deactivate machines (no permanent delete)
+ *  - Downtime / maintenance log per machine: start/end, cause, technician
+ *    (ServiceProvidersAPI), parts, cost and an optional link to the expense
+ *    registered in Gastos. "Historial" shows one machine's events; the
+ *    summary card totals downtime hours per month. Logging events is gated
+ *    by the user's role (canPerform, auth.js), as are the machine form and
+ *    activate / deactivate
+ *  - Preventive maintenance plans: tasks + interval in days and/or packages
+ *    produced on the machine (ProductionAPI). Vencidos / próximos first;
+ *    "Completar" restarts the interval and is logged to change_history
+ *  - Nominal capacity (packages/hour) per machine and product — the ideal
+ *    rate behind the OEE performance factor (reports.js, dashboard)
  *
  * Data source: api.js (currently backed by localStorage via LocalMachinesStore).
  * When the backend is ready, flip USE_LOCAL_STORE in api.js — this file needs
@@ -16,7 +27,19 @@
  */
 
 import { MachinesAPI, ChangeHistoryAPI } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import {
+  MachineDowntimeAPI,
+  DOWNTIME_CAUSES,
+  getDowntimeHoursByMonth,
+  ServiceProvidersAPI,
+  ExpensesAPI,
+  MaintenancePlansAPI,
+  getMaintenanceStatus,
+  ProductionAPI,
+  MachineCapacitiesAPI,
+  ProductsAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -35,6 +58,29 @@ let activeFilter = 'all';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates downtime create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+/** All downtime events (MachineDowntimeAPI), newest first. */
+let allDowntime    = [];
+/** Service providers offered as technicians. */
+let allTechnicians = [];
+/** Expenses offered as the optional link of an event. */
+let allExpenses    = [];
+/** Machine whose history card is open, or null. */
+let historyMachineId = null;
+/** Preventive maintenance plans (MaintenancePlansAPI). */
+let allPlans         = [];
+/** Production records — packages per machine drive the plan intervals. */
+let allProduction    = [];
+/** Nominal capacities (MachineCapacitiesAPI) and the products they refer to. */
+let allCapacities    = [];
+let allProducts      = [];
+
+/** Months shown in the downtime summary and in each machine's history. */
+const DOWNTIME_SUMMARY_MONTHS = 6;
+
+const CAUSE_LABELS = new Map(DOWNTIME_CAUSES.map(c => [c.value, c.label]));
 
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
@@ -45,17 +91,28 @@ let _currentAdmin = { id: null, name: 'Sistema' };
  */
 export async function mountMachines(container) {
   container.innerHTML = buildModuleHTML();
+  injectStyles();
+  historyMachineId = null;
 
   const session = await AuthAPI.getSession();
   _currentAdmin = {
     id:   session?.user?.id    ?? null,
     name: session?.user?.email ?? 'Sistema',
   };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
 
+  applyRolePermissions();
   attachFormListeners();
   loadMachines();
 }
 
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('machine-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── HTML Builders ────────────────────────────────────────────────────────────
 
 /** Returns the full module markup as an HTML string. */
@@ -222,6 +279,45 @@ function buildModuleHTML() {
         </div>
 
       </div>
+
+      <!-- ── Machine History Card (downtime / maintenance) ── -->
+      <div class="card" id="machine-history-card" style="display:none;"></div>
+
+      <!-- ── Preventive Maintenance Card ── -->
+      <div class="card" id="machine-maintenance-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">🔧</span>
+            Mantenimiento preventivo
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="machine-plan-new-btn">+ Nuevo plan</button>
+        </div>
+        <div class="mach-dt-body" id="machine-maintenance-list"></div>
+      </div>
+
+      <!-- ── Nominal Capacity Card (OEE) ── -->
+      <div class="card" id="machine-capacity-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">⚡</span>
+            Capacidad nominal
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="machine-capacity-new-btn">+ Nueva capacidad</button>
+        </div>
+        <div class="mach-dt-body" id="machine-capacity-list"></div>
+      </div>
+
+      <!-- ── Downtime Summary Card ── -->
+      <div class="card" id="machine-downtime-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">⏱</span>
+            Horas de parada por mes
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="machine-downtime-new-btn">+ Registrar parada</button>
+        </div>
+        <div class="mach-dt-body" id="machine-downtime-summary"></div>
+      </div>
     </section>
   `;
 }
@@ -236,9 +332,32 @@ async function loadMachines() {
   showTableLoading(true);
 
   try {
-    allMachines = await MachinesAPI.getAll();
+    const [machines, downtime, technicians, expenses, plans, production,
+           capacities, products] = await Promise.all([
+      MachinesAPI.getAll(),
+      MachineDowntimeAPI.getAll().catch(() => []),
+      ServiceProvidersAPI.getAll().catch(() => []),
+      ExpensesAPI.getAll().catch(() => []),
+      MaintenancePlansAPI.getAll().catch(() => []),
+      ProductionAPI.getAll().catch(() => []),
+      MachineCapacitiesAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+    ]);
+    allMachines    = machines;
+    allPlans       = plans;
+    allProduction  = production;
+    allCapacities  = capacities;
+    allProducts    = products;
+    allDowntime    = downtime;
+    allTechnicians = technicians;
+    allExpenses    = [...expenses].sort((a, b) =>
+      (b.expenseDate || '').localeCompare(a.expenseDate || ''));
     // Delegate rendering to applyFilters so the active filter is always restored
     applyFilters();
+    renderDowntimeSummary();
+    renderMaintenance();
+    renderCapacities();
+    renderHistory();
   } catch (err) {
     showFeedback(`Error al cargar máquinas: ${err.message}`, 'error');
     showTableLoading(false);
@@ -275,6 +394,10 @@ function renderTable(machines) {
     btn.addEventListener('click', () => handleEdit(btn.dataset.id));
   });
 
+  tbody.querySelectorAll('[data-action="history"]').forEach(btn => {
+    btn.addEventListener('click', () => openHistory(btn.dataset.id));
+  });
+
   tbody.querySelectorAll('[data-action="toggle-status"]').forEach(btn => {
     btn.addEventListener('click', () =>
       handleToggleStatus(btn.dataset.id, btn.dataset.active === 'true')
@@ -293,6 +416,8 @@ function buildTableRow(machine) {
   const statusClass = isActive ? 'badge--green' : 'badge--gray';
   const toggleLabel = isActive ? 'Desactivar' : 'Activar';
   const toggleClass = isActive ? 'btn--warning-ghost' : 'btn--success-ghost';
+  const isDown      = allDowntime.some(ev =>
+    String(ev.machineId) === String(machine.id) && !ev.endedAt);
 
   // Truncate long notes for the table cell — full text lives in the data
   const notesDisplay = machine.notes
@@ -310,9 +435,16 @@ function buildTableRow(machine) {
       <td class="td-notes">${notesDisplay}</td>
       <td class="text-center">
         <span class="badge ${statusClass}">${statusLabel}</span>
+        ${isDown ? '<span class="badge badge--warning" title="Parada en curso">⛔ Parada</span>' : ''}
       </td>
       <td class="text-center td-actions">
         <button
+          class="btn btn--ghost btn--xs"
+          data-action="history"
+          data-id="${machine.id}"
+          title="Paradas y mantenimiento"
+        >🛠 Historial</button>
+        ${canPerform(_currentRole, 'update') ? `<button
           class="btn btn--ghost btn--xs"
           data-action="edit"
           data-id="${machine.id}"
@@ -324,7 +456,7 @@ function buildTableRow(machine) {
           data-id="${machine.id}"
           data-active="${isActive}"
           title="${toggleLabel} máquina"
-        >${toggleLabel}</button>
+        >${toggleLabel}</button>` : ''}
       </td>
     </tr>
   `;
@@ -342,6 +474,13 @@ function attachFormListeners() {
   form.addEventListener('submit', handleFormSubmit);
   cancelBtn.addEventListener('click', resetFormToCreateMode);
 
+  document.getElementById('machine-downtime-new-btn')
+    .addEventListener('click', () => openDowntimeModal(null, null));
+  document.getElementById('machine-plan-new-btn')
+    .addEventListener('click', () => openPlanModal(null));
+  document.getElementById('machine-capacity-new-btn')
+    .addEventListener('click', () => openCapacityModal(null));
+
   // Both filter controls route through the same coordinator
   searchInput.addEventListener('input',   applyFilters);
   statusFilter.addEventListener('change', applyFilters);
@@ -355,6 +494,7 @@ function attachFormListeners() {
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, editingMachine ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('machine-submit-btn');
@@ -402,6 +542,7 @@ async function handleFormSubmit(e) {
  * @param {string} machineId
  */
 function handleEdit(machineId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const machine = allMachines.find(m => String(m.id) === String(machineId));
   if (!machine) return;
 
@@ -437,6 +578,7 @@ function handleEdit(machineId) {
  * @param {boolean} currentlyActive
  */
 async function handleToggleStatus(machineId, currentlyActive) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const verb = currentlyActive ? 'desactivar' : 'activar';
 
   if (!confirm(`¿Deseas ${verb} esta máquina?`)) return;
@@ -495,6 +637,939 @@ function resetFormToCreateMode() {
   clearFormErrors();
 }
 
+// ─── Downtime / Maintenance ───────────────────────────────────────────────────
+
+/** "YYYY-MM" keys of the last `count` months, newest first. */
+function lastMonthKeys(count) {
+  const now  = new Date();
+  const keys = [];
+  for (let i = 0; i < count; i++) {
+    const d = new Date(now.getFullYear(), now.getMonth() - i, 1);
+    keys.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
+  }
+  return keys;
+}
+
+/** Hours of a single event (open events count up to now). */
+function eventHours(ev) {
+  const end = ev.endedAt ? new Date(ev.endedAt).getTime() : Date.now();
+  return Math.max(0, end - new Date(ev.startedAt).getTime()) / 3600000;
+}
+
+/** Hours per month and per cause, plus cost by start month, for a set of events. */
+function buildMonthlyDowntime(events) {
+  const byCause = new Map(DOWNTIME_CAUSES.map(c =>
+    [c.value, getDowntimeHoursByMonth(events.filter(ev => ev.cause === c.value))]));
+  const total = getDowntimeHoursByMonth(events);
+  const cost  = new Map();
+  for (const ev of events) {
+    const d   = new Date(ev.startedAt);
+    const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    cost.set(key, (cost.get(key) || 0) + (ev.cost || 0));
+  }
+  return { byCause, total, cost };
+}
+
+/** Month × cause table of downtime hours (last DOWNTIME_SUMMARY_MONTHS months). */
+function buildMonthlyTable(events) {
+  const { byCause, total, cost } = buildMonthlyDowntime(events);
+  const months = lastMonthKeys(DOWNTIME_SUMMARY_MONTHS);
+  return `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Mes</th>
+            ${DOWNTIME_CAUSES.map(c => `<th class="text-right">${escapeHTML(c.label)}</th>`).join('')}
+            <th class="text-right">Total horas</th>
+            <th class="text-right">Costo</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${months.map(m => `
+            <tr class="table-row">
+              <td style="white-space:nowrap;">${escapeHTML(formatMonth(m))}</td>
+              ${DOWNTIME_CAUSES.map(c =>
+                `<td class="text-right">${formatHours(byCause.get(c.value).get(m) || 0)}</td>`).join('')}
+              <td class="text-right"><strong>${formatHours(total.get(m) || 0)}</strong></td>
+              <td class="text-right">${formatCurrency(cost.get(m) || 0)}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/** Plant-wide downtime hours per month. */
+function renderDowntimeSummary() {
+  const el  = document.getElementById('machine-downtime-summary');
+  const btn = document.getElementById('machine-downtime-new-btn');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+
+  el.innerHTML = allDowntime.length === 0
+    ? '<p class="mach-dt-empty">Sin paradas registradas.</p>'
+    : buildMonthlyTable(allDowntime);
+}
+
+function openHistory(machineId) {
+  historyMachineId = machineId;
+  renderHistory();
+  document.getElementById('machine-history-card')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+/** History card of the selected machine: events, KPIs and hours per month. */
+function renderHistory() {
+  const card    = document.getElementById('machine-history-card');
+  const machine = allMachines.find(m => String(m.id) === String(historyMachineId));
+  if (!card) return;
+  if (!machine) {
+    card.style.display = 'none';
+    card.innerHTML     = '';
+    return;
+  }
+
+  const events    = allDowntime.filter(ev => String(ev.machineId) === String(machine.id));
+  const thisMonth = lastMonthKeys(1)[0];
+  const monthHrs  = getDowntimeHoursByMonth(events).get(thisMonth) || 0;
+  const totalCost = events.reduce((s, ev) => s + (ev.cost || 0), 0);
+  const openCount = events.filter(ev => !ev.endedAt).length;
+
+  card.style.display = '';
+  card.innerHTML = `
+    <div class="card__header">
+      <h2 class="card__title">
+        <span class="card__title-icon">🛠</span>
+        Historial — ${escapeHTML(machine.code)} · ${escapeHTML(machine.name)}
+      </h2>
+      <div style="display:flex;gap:var(--space-sm);">
+        ${canPerform(_currentRole, 'create') ? '<button class="btn btn--primary btn--sm" id="mach-hist-new">+ Registrar parada</button>' : ''}
+        <button class="btn btn--ghost btn--sm" id="mach-hist-close">✕ Cerrar</button>
+      </div>
+    </div>
+    <div class="mach-dt-body">
+      <div class="mach-dt-kpis">
+        <div class="mach-dt-kpi"><span>Horas de parada este mes</span><strong>${formatHours(monthHrs)}</strong></div>
+        <div class="mach-dt-kpi"><span>Eventos registrados</span><strong>${events.length}</strong></div>
+        <div class="mach-dt-kpi"><span>En curso</span><strong>${openCount}</strong></div>
+        <div class="mach-dt-kpi"><span>Costo acumulado</span><strong>${formatCurrency(totalCost)}</strong></div>
+      </div>
+
+      ${events.length === 0
+        ? '<p class="mach-dt-empty">Esta máquina no tiene paradas registradas.</p>'
+        : `
+        <div class="table-wrapper">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Inicio</th>
+                <th>Fin</th>
+                <th class="text-right">Duración</th>
+                <th>Causa</th>
+                <th>Técnico</th>
+                <th>Repuestos / detalle</th>
+                <th class="text-right">Costo</th>
+                <th>Gasto</th>
+                <th class="text-center">Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${events.map(buildEventRow).join('')}
+            </tbody>
+          </table>
+        </div>
+        <h3 class="mach-dt-subtitle">Horas por mes</h3>
+        ${buildMonthlyTable(events)}`}
+    </div>`;
+
+  card.querySelector('#mach-hist-close').addEventListener('click', () => {
+    historyMachineId = null;
+    renderHistory();
+  });
+  card.querySelector('#mach-hist-new')?.addEventListener('click', () =>
+    openDowntimeModal(null, machine.id));
+  card.querySelectorAll('[data-dt-action]').forEach(btn => {
+    const ev = allDowntime.find(x => x.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.dtAction === 'edit')   openDowntimeModal(ev, ev.machineId);
+      if (btn.dataset.dtAction === 'finish') handleFinishDowntime(ev);
+      if (btn.dataset.dtAction === 'delete') handleDeleteDowntime(ev);
+    });
+  });
+}
+
+function buildEventRow(ev) {
+  const technician = allTechnicians.find(t => String(t.id) === String(ev.technicianId));
+  const expense    = allExpenses.find(e => String(e.id) === String(ev.expenseId));
+  const detail     = [ev.description, ev.parts].filter(Boolean).join(' · ');
+
+  return `
+    <tr class="table-row">
+      <td style="white-space:nowrap;">${escapeHTML(formatDateTime(ev.startedAt))}</td>
+      <td style="white-space:nowrap;">
+        ${ev.endedAt
+          ? escapeHTML(formatDateTime(ev.endedAt))
+          : '<span class="badge badge--warning">En curso</span>'}
+      </td>
+      <td class="text-right">${formatHours(eventHours(ev))}</td>
+      <td>${escapeHTML(CAUSE_LABELS.get(ev.cause) || ev.cause)}</td>
+      <td>${escapeHTML(technician?.name || '—')}</td>
+      <td class="td-notes">${escapeHTML(detail || '—')}</td>
+      <td class="text-right" style="white-space:nowrap;">${formatCurrency(ev.cost)}</td>
+      <td class="td-notes">${expense
+        ? escapeHTML(`${formatDate(expense.expenseDate)} · ${expense.description || expense.category}`)
+        : '—'}</td>
+      <td class="text-center td-actions">
+        ${!ev.endedAt && canPerform(_currentRole, 'update') ? `<button class="btn btn--success-ghost btn--xs" data-dt-action="finish" data-id="${escapeHTML(ev.id)}">✔ Finalizar</button>` : ''}
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-dt-action="edit" data-id="${escapeHTML(ev.id)}">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-dt-action="delete" data-id="${escapeHTML(ev.id)}">✕</button>` : ''}
+      </td>
+    </tr>`;
+}
+
+/** Close an open event now. */
+async function handleFinishDowntime(ev) {
+  if (!guardAction(_currentRole, 'update', showFeedback) || !ev) return;
+  try {
+    const endedAt = new Date().toISOString();
+    await MachineDowntimeAPI.update(ev.id, { endedAt });
+    ChangeHistoryAPI.log({
+      entity_type: 'machine_downtime', entity_id: ev.id,
+      entity_name: machineLabel(ev.machineId),
+      action: 'finalizar',
+      changes: { ended_at: { before: null, after: endedAt } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Parada finalizada.', 'success');
+    await loadMachines();
+  } catch (err) {
+    showFeedback(`Error al finalizar: ${err.message}`, 'error');
+  }
+}
+
+async function handleDeleteDowntime(ev) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !ev) return;
+  if (!confirm('¿Eliminar este evento de parada?\n\nEl gasto vinculado (si hay) no se elimina.')) return;
+  try {
+    await MachineDowntimeAPI.remove(ev.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'machine_downtime', entity_id: ev.id,
+      entity_name: machineLabel(ev.machineId),
+      action: 'eliminar',
+      changes: {
+        cause: { before: ev.cause, after: null },
+        cost:  { before: ev.cost,  after: null },
+      },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Evento eliminado.', 'success');
+    await loadMachines();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+/**
+ * Create / edit a downtime event.
+ * @param {Object|null} ev        - event to edit, or null to create
+ * @param {string|null} machineId - preselected machine (from the history card)
+ */
+function openDowntimeModal(ev, machineId) {
+  if (!guardAction(_currentRole, ev ? 'update' : 'create', showFeedback)) return;
+
+  const machineOptions = allMachines
+    .filter(m => m.isActive !== false || String(m.id) === String(machineId))
+    .map(m => `<option value="${escapeHTML(m.id)}" ${String(m.id) === String(machineId) ? 'selected' : ''}>
+        ${escapeHTML(m.code)} — ${escapeHTML(m.name)}</option>`).join('');
+  const causeOptions = DOWNTIME_CAUSES.map(c =>
+    `<option value="${c.value}" ${ev?.cause === c.value ? 'selected' : ''}>${escapeHTML(c.label)}</option>`
+  ).join('');
+  const technicianOptions = allTechnicians
+    .filter(t => t.isActive !== false || String(t.id) === String(ev?.technicianId))
+    .map(t => `<option value="${escapeHTML(t.id)}" ${String(t.id) === String(ev?.technicianId) ? 'selected' : ''}>${escapeHTML(t.name)}</option>`)
+    .join('');
+  const expenseOptions = allExpenses.slice(0, 200).map(e =>
+    `<option value="${escapeHTML(e.id)}" ${String(e.id) === String(ev?.expenseId) ? 'selected' : ''}>
+      ${escapeHTML(`${formatDate(e.expenseDate)} · ${e.description || e.category} · ${formatCurrency(e.amount)}`)}</option>`
+  ).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'mach-modal-overlay';
+  overlay.innerHTML = `
+    <div class="mach-modal" role="dialog" aria-modal="true" aria-labelledby="mach-dt-title">
+      <h3 id="mach-dt-title" class="mach-modal__title">${ev ? 'Editar parada' : 'Registrar parada'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-dt-machine">Máquina <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-dt-machine">
+              <option value="" disabled ${machineId ? '' : 'selected'}>Seleccionar…</option>
+              ${machineOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-start">Inicio <span class="required">*</span></label>
+          <input class="form-input" type="datetime-local" id="mach-dt-start"
+                 value="${escapeHTML(toLocalInput(ev?.startedAt || new Date().toISOString()))}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-end">Fin</label>
+          <input class="form-input" type="datetime-local" id="mach-dt-end"
+                 value="${escapeHTML(ev?.endedAt ? toLocalInput(ev.endedAt) : '')}">
+          <span class="form-hint">Vacío = la máquina sigue parada.</span>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-cause">Causa <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-dt-cause">${causeOptions}</select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-technician">Técnico</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-dt-technician">
+              <option value="">Interno / sin técnico</option>
+              ${technicianOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-dt-description">Descripción</label>
+          <input class="form-input" type="text" id="mach-dt-description" maxlength="200"
+                 placeholder="Ej: Fuga en cilindro hidráulico" value="${escapeHTML(ev?.description || '')}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-dt-parts">Repuestos</label>
+          <textarea class="form-input form-textarea" id="mach-dt-parts" rows="2" maxlength="500"
+                    placeholder="Ej: 2 sellos, 1 resistencia de boquilla">${escapeHTML(ev?.parts || '')}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-cost">Costo (RD$)</label>
+          <input class="form-input" type="number" id="mach-dt-cost" min="0" step="0.01"
+                 value="${ev?.cost || ''}" placeholder="0.00">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-dt-expense">Gasto vinculado</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-dt-expense">
+              <option value="">Ninguno</option>
+              ${expenseOptions}
+            </select>
+          </div>
+        </div>
+      </div>
+      <span class="form-error" id="mach-dt-error"></span>
+      <div class="mach-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="mach-dt-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="mach-dt-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#mach-dt-cancel').addEventListener('click', close);
+
+  // Picking an expense fills an empty cost with its amount.
+  $('#mach-dt-expense').addEventListener('change', e => {
+    const expense = allExpenses.find(x => String(x.id) === e.target.value);
+    if (expense && !$('#mach-dt-cost').value) $('#mach-dt-cost').value = expense.amount;
+  });
+
+  $('#mach-dt-save').addEventListener('click', async () => {
+    const errEl    = $('#mach-dt-error');
+    const startRaw = $('#mach-dt-start').value;
+    const endRaw   = $('#mach-dt-end').value;
+    const payload  = {
+      machineId:    $('#mach-dt-machine').value,
+      startedAt:    startRaw ? new Date(startRaw).toISOString() : '',
+      endedAt:      endRaw   ? new Date(endRaw).toISOString()   : null,
+      cause:        $('#mach-dt-cause').value,
+      technicianId: $('#mach-dt-technician').value || null,
+      description:  $('#mach-dt-description').value.trim(),
+      parts:        $('#mach-dt-parts').value.trim(),
+      cost:         parseFloat($('#mach-dt-cost').value) || 0,
+      expenseId:    $('#mach-dt-expense').value || null,
+    };
+
+    let error = '';
+    if (!payload.machineId)      error = 'Selecciona la máquina.';
+    else if (!payload.startedAt) error = 'Indica el inicio de la parada.';
+    else if (payload.endedAt && payload.endedAt < payload.startedAt) {
+      error = 'El fin no puede ser anterior al inicio.';
+    }
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#mach-dt-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (ev) {
+        await MachineDowntimeAPI.update(ev.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'machine_downtime', entity_id: ev.id,
+          entity_name: machineLabel(payload.machineId),
+          action: 'editar',
+          changes: _buildDiff(ev, payload,
+            ['machineId', 'startedAt', 'endedAt', 'cause', 'technicianId', 'parts', 'cost', 'expenseId']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await MachineDowntimeAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'machine_downtime', entity_id: created.id,
+          entity_name: machineLabel(payload.machineId),
+          action: 'crear',
+          changes: {
+            cause:      { before: null, after: payload.cause },
+            started_at: { before: null, after: payload.startedAt },
+            cost:       { before: null, after: payload.cost },
+          },
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Parada guardada.', 'success');
+      await loadMachines();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+/** "INY-001 — Inyectora 250T" for history entries. */
+function machineLabel(machineId) {
+  const m = allMachines.find(x => String(x.id) === String(machineId));
+  return m ? `${m.code} — ${m.name}` : String(machineId || '');
+}
+
+// ─── Preventive Maintenance ───────────────────────────────────────────────────
+
+const PLAN_STATUS = {
+  overdue:  { label: 'Vencido', cls: 'badge--red'  },
+  due_soon: { label: 'Próximo', cls: 'badge--warning' },
+  ok:       { label: 'Al día',  cls: 'badge--green'   },
+};
+
+/** "Cada 90 días · 50,000 paquetes" */
+function planIntervalLabel(plan) {
+  const parts = [];
+  if (plan.intervalDays)     parts.push(`${plan.intervalDays} días`);
+  if (plan.intervalPackages) parts.push(`${formatNumber(plan.intervalPackages)} paquetes`);
+  return `Cada ${parts.join(' · ')}`;
+}
+
+/** "Vence 12/11/2026 (en 5 días) · faltan 3,200 paquetes" */
+function planDueLabel(st) {
+  const parts = [];
+  if (st.dueDate !== null) {
+    const rel = st.daysLeft < 0
+      ? `hace ${-st.daysLeft} día${st.daysLeft === -1 ? '' : 's'}`
+      : st.daysLeft === 0 ? 'hoy' : `en ${st.daysLeft} día${st.daysLeft === 1 ? '' : 's'}`;
+    parts.push(`${formatDate(st.dueDate)} (${rel})`);
+  }
+  if (st.packagesLeft !== null) {
+    parts.push(st.packagesLeft <= 0
+      ? `excedido por ${formatNumber(-st.packagesLeft)} paquetes`
+      : `faltan ${formatNumber(st.packagesLeft)} paquetes`);
+  }
+  return parts.join(' · ');
+}
+
+/** Plans with their status — vencidos / próximos first, inactive last. */
+function renderMaintenance() {
+  const el  = document.getElementById('machine-maintenance-list');
+  const btn = document.getElementById('machine-plan-new-btn');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+
+  if (allPlans.length === 0) {
+    el.innerHTML = '<p class="mach-dt-empty">Sin planes de mantenimiento. Crea uno con "+ Nuevo plan".</p>';
+    return;
+  }
+
+  const today = todayString();
+  const rank  = { overdue: 0, due_soon: 1, ok: 2 };
+  const rows  = allPlans
+    .map(plan => ({ plan, st: getMaintenanceStatus(plan, allProduction, today) }))
+    .sort((a, b) =>
+      (a.plan.isActive === b.plan.isActive ? 0 : a.plan.isActive ? -1 : 1) ||
+      rank[a.st.status] - rank[b.st.status] ||
+      (a.st.daysLeft ?? Infinity) - (b.st.daysLeft ?? Infinity));
+
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Estado</th>
+            <th>Máquina</th>
+            <th>Plan</th>
+            <th>Intervalo</th>
+            <th>Último</th>
+            <th class="text-right">Paquetes desde</th>
+            <th>Próximo</th>
+            <th class="text-center">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ plan, st }) => {
+            const status = plan.isActive
+              ? `<span class="badge ${PLAN_STATUS[st.status].cls}">${PLAN_STATUS[st.status].label}</span>`
+              : '<span class="badge badge--gray">Inactivo</span>';
+            return `
+              <tr class="table-row ${plan.isActive ? '' : 'table-row--inactive'}">
+                <td>${status}</td>
+                <td style="white-space:nowrap;">${escapeHTML(machineLabel(plan.machineId))}</td>
+                <td>
+                  ${escapeHTML(plan.name)}
+                  ${plan.tasks.length
+                    ? `<div class="mach-plan-tasks">${plan.tasks.map(escapeHTML).join(' · ')}</div>`
+                    : ''}
+                </td>
+                <td style="white-space:nowrap;">${escapeHTML(planIntervalLabel(plan))}</td>
+                <td style="white-space:nowrap;">${escapeHTML(formatDate(plan.lastDoneDate))}</td>
+                <td class="text-right">${formatNumber(st.packagesSince)}</td>
+                <td>${escapeHTML(planDueLabel(st))}</td>
+                <td class="text-center td-actions">
+                  ${plan.isActive && canPerform(_currentRole, 'update') ? `<button class="btn btn--success-ghost btn--xs" data-plan-action="complete" data-id="${escapeHTML(plan.id)}">✔ Completar</button>` : ''}
+                  ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-plan-action="edit" data-id="${escapeHTML(plan.id)}">✎ Editar</button>` : ''}
+                  ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-plan-action="delete" data-id="${escapeHTML(plan.id)}">✕</button>` : ''}
+                </td>
+              </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>`;
+
+  el.querySelectorAll('[data-plan-action]').forEach(btn => {
+    const plan = allPlans.find(p => p.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.planAction === 'complete') openCompletePlanModal(plan);
+      if (btn.dataset.planAction === 'edit')     openPlanModal(plan);
+      if (btn.dataset.planAction === 'delete')   handleDeletePlan(plan);
+    });
+  });
+}
+
+/** Create / edit a maintenance plan. */
+function openPlanModal(plan) {
+  if (!guardAction(_currentRole, plan ? 'update' : 'create', showFeedback)) return;
+
+  const machineOptions = allMachines
+    .filter(m => m.isActive !== false || String(m.id) === String(plan?.machineId))
+    .map(m => `<option value="${escapeHTML(m.id)}" ${String(m.id) === String(plan?.machineId) ? 'selected' : ''}>
+        ${escapeHTML(m.code)} — ${escapeHTML(m.name)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'mach-modal-overlay';
+  overlay.innerHTML = `
+    <div class="mach-modal" role="dialog" aria-modal="true" aria-labelledby="mach-plan-title">
+      <h3 id="mach-plan-title" class="mach-modal__title">${plan ? 'Editar plan de mantenimiento' : 'Nuevo plan de mantenimiento'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-plan-machine">Máquina <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-plan-machine">
+              <option value="" disabled ${plan ? '' : 'selected'}>Seleccionar…</option>
+              ${machineOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-plan-name">Nombre <span class="required">*</span></label>
+          <input class="form-input" type="text" id="mach-plan-name" maxlength="120"
+                 placeholder="Ej: Servicio general inyectora" value="${escapeHTML(plan?.name || '')}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-plan-tasks">Tareas</label>
+          <textarea class="form-input form-textarea" id="mach-plan-tasks" rows="4" maxlength="1000"
+                    placeholder="Una tarea por línea&#10;Cambio de aceite hidráulico&#10;Limpieza de husillo">${escapeHTML((plan?.tasks || []).join('\n'))}</textarea>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-plan-days">Cada (días)</label>
+          <input class="form-input" type="number" id="mach-plan-days" min="1" step="1"
+                 value="${plan?.intervalDays || ''}" placeholder="Ej: 90">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-plan-packages">Cada (paquetes producidos)</label>
+          <input class="form-input" type="number" id="mach-plan-packages" min="1" step="1"
+                 value="${plan?.intervalPackages || ''}" placeholder="Ej: 50000">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-plan-last">Último mantenimiento <span class="required">*</span></label>
+          <input class="form-input" type="date" id="mach-plan-last"
+                 value="${escapeHTML(plan?.lastDoneDate || todayString())}">
+        </div>
+        ${plan ? `
+        <div class="form-group">
+          <label class="form-label" for="mach-plan-active">Estado</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-plan-active">
+              <option value="true">Activo</option>
+              <option value="false" ${plan.isActive ? '' : 'selected'}>Inactivo</option>
+            </select>
+          </div>
+        </div>` : ''}
+      </div>
+      <span class="form-hint">Vence con lo que ocurra primero: los días o los paquetes.</span>
+      <span class="form-error" id="mach-plan-error"></span>
+      <div class="mach-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="mach-plan-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="mach-plan-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#mach-plan-cancel').addEventListener('click', close);
+
+  $('#mach-plan-save').addEventListener('click', async () => {
+    const errEl   = $('#mach-plan-error');
+    const payload = {
+      machineId:        $('#mach-plan-machine').value,
+      name:             $('#mach-plan-name').value.trim(),
+      tasks:            $('#mach-plan-tasks').value.split('\n').map(t => t.trim()).filter(Boolean),
+      intervalDays:     parseInt($('#mach-plan-days').value, 10) || null,
+      intervalPackages: parseInt($('#mach-plan-packages').value, 10) || null,
+      lastDoneDate:     $('#mach-plan-last').value,
+    };
+    if (plan) payload.isActive = $('#mach-plan-active').value === 'true';
+
+    let error = '';
+    if (!payload.machineId)         error = 'Selecciona la máquina.';
+    else if (!payload.name)         error = 'El nombre es obligatorio.';
+    else if (!payload.intervalDays && !payload.intervalPackages) {
+      error = 'Indica el intervalo en días, en paquetes o ambos.';
+    } else if (!payload.lastDoneDate) error = 'Indica la fecha del último mantenimiento.';
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#mach-plan-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (plan) {
+        await MaintenancePlansAPI.update(plan.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'maintenance_plan', entity_id: plan.id,
+          entity_name: `${payload.name} — ${machineLabel(payload.machineId)}`,
+          action: 'editar',
+          changes: _buildDiff(plan, payload,
+            ['machineId', 'name', 'intervalDays', 'intervalPackages', 'lastDoneDate', 'isActive']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await MaintenancePlansAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'maintenance_plan', entity_id: created.id,
+          entity_name: `${payload.name} — ${machineLabel(payload.machineId)}`,
+          action: 'crear',
+          changes: {
+            interval_days:     { before: null, after: payload.intervalDays },
+            interval_packages: { before: null, after: payload.intervalPackages },
+          },
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Plan de mantenimiento guardado.', 'success');
+      await loadMachines();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+/** Mark a plan as done: task checklist, date and notes. */
+function openCompletePlanModal(plan) {
+  if (!guardAction(_currentRole, 'update', showFeedback) || !plan) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'mach-modal-overlay';
+  overlay.innerHTML = `
+    <div class="mach-modal" role="dialog" aria-modal="true" aria-labelledby="mach-done-title">
+      <h3 id="mach-done-title" class="mach-modal__title">
+        Completar — ${escapeHTML(plan.name)}
+      </h3>
+      <p class="mach-dt-empty" style="margin-bottom:var(--space-md);">${escapeHTML(machineLabel(plan.machineId))}</p>
+      ${plan.tasks.length ? `
+      <div class="mach-plan-checklist">
+        ${plan.tasks.map((t, i) => `
+          <label><input type="checkbox" data-task="${i}" checked> ${escapeHTML(t)}</label>`).join('')}
+      </div>` : ''}
+      <div class="form-grid">
+        <div class="form-group">
+          <label class="form-label" for="mach-done-date">Fecha <span class="required">*</span></label>
+          <input class="form-input" type="date" id="mach-done-date" value="${escapeHTML(todayString())}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-done-notes">Notas</label>
+          <textarea class="form-input form-textarea" id="mach-done-notes" rows="2" maxlength="500"
+                    placeholder="Observaciones, repuestos usados…"></textarea>
+        </div>
+      </div>
+      <span class="form-error" id="mach-done-error"></span>
+      <div class="mach-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="mach-done-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="mach-done-save">✔ Completar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#mach-done-cancel').addEventListener('click', close);
+
+  $('#mach-done-save').addEventListener('click', async () => {
+    const errEl    = $('#mach-done-error');
+    const doneDate = $('#mach-done-date').value;
+    const notes    = $('#mach-done-notes').value.trim();
+    const done     = [...overlay.querySelectorAll('[data-task]')]
+      .filter(cb => cb.checked).map(cb => plan.tasks[Number(cb.dataset.task)]);
+    const skipped  = plan.tasks.filter(t => !done.includes(t));
+
+    if (!doneDate) { errEl.textContent = 'Indica la fecha.'; return; }
+
+    const saveBtn = $('#mach-done-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      const st = getMaintenanceStatus(plan, allProduction, todayString());
+      await MaintenancePlansAPI.complete(plan.id, doneDate, notes);
+      ChangeHistoryAPI.log({
+        entity_type: 'maintenance_plan', entity_id: plan.id,
+        entity_name: `${plan.name} — ${machineLabel(plan.machineId)}`,
+        action: 'completar',
+        changes: {
+          last_done_date: { before: plan.lastDoneDate, after: doneDate },
+          packages_since: { before: null, after: st.packagesSince },
+          tasks_done:     { before: null, after: done },
+          ...(skipped.length ? { tasks_skipped: { before: null, after: skipped } } : {}),
+          ...(notes ? { notes: { before: null, after: notes } } : {}),
+        },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      close();
+      showFeedback('Mantenimiento registrado.', 'success');
+      await loadMachines();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleDeletePlan(plan) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !plan) return;
+  if (!confirm(`¿Eliminar el plan "${plan.name}"?`)) return;
+  try {
+    await MaintenancePlansAPI.remove(plan.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'maintenance_plan', entity_id: plan.id,
+      entity_name: `${plan.name} — ${machineLabel(plan.machineId)}`,
+      action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Plan eliminado.', 'success');
+    await loadMachines();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+// ─── Nominal Capacity ─────────────────────────────────────────────────────────
+
+function productLabel(productId) {
+  if (!productId) return 'Todos los productos';
+  return allProducts.find(p => String(p.id) === String(productId))?.name || '[Producto eliminado]';
+}
+
+/** Capacity rows grouped by machine; the machine default row first. */
+function renderCapacities() {
+  const el  = document.getElementById('machine-capacity-list');
+  const btn = document.getElementById('machine-capacity-new-btn');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+
+  if (allCapacities.length === 0) {
+    el.innerHTML = '<p class="mach-dt-empty">Sin capacidades registradas. El OEE no puede calcular el rendimiento sin ellas.</p>';
+    return;
+  }
+
+  const rows = [...allCapacities].sort((a, b) =>
+    machineLabel(a.machineId).localeCompare(machineLabel(b.machineId), 'es') ||
+    (a.productId ? 1 : 0) - (b.productId ? 1 : 0) ||
+    productLabel(a.productId).localeCompare(productLabel(b.productId), 'es'));
+
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Máquina</th>
+            <th>Producto</th>
+            <th class="text-right">Paquetes / hora</th>
+            <th class="text-right">Paquetes / turno (8 h)</th>
+            <th class="text-center">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(c => `
+            <tr class="table-row">
+              <td style="white-space:nowrap;">${escapeHTML(machineLabel(c.machineId))}</td>
+              <td>${c.productId ? escapeHTML(productLabel(c.productId)) : '<span class="text-muted">Todos los productos</span>'}</td>
+              <td class="text-right">${formatNumber(c.packagesPerHour)}</td>
+              <td class="text-right">${formatNumber(Math.round(c.packagesPerHour * 8))}</td>
+              <td class="text-center td-actions">
+                ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-cap-action="edit" data-id="${escapeHTML(c.id)}">✎ Editar</button>` : ''}
+                ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-cap-action="delete" data-id="${escapeHTML(c.id)}">✕</button>` : ''}
+              </td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+
+  el.querySelectorAll('[data-cap-action]').forEach(btn => {
+    const cap = allCapacities.find(c => c.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.capAction === 'edit')   openCapacityModal(cap);
+      if (btn.dataset.capAction === 'delete') handleDeleteCapacity(cap);
+    });
+  });
+}
+
+/** Create / edit a nominal capacity. */
+function openCapacityModal(cap) {
+  if (!guardAction(_currentRole, cap ? 'update' : 'create', showFeedback)) return;
+
+  const machineOptions = allMachines
+    .filter(m => m.isActive !== false || String(m.id) === String(cap?.machineId))
+    .map(m => `<option value="${escapeHTML(m.id)}" ${String(m.id) === String(cap?.machineId) ? 'selected' : ''}>
+        ${escapeHTML(m.code)} — ${escapeHTML(m.name)}</option>`).join('');
+  const productOptions = allProducts
+    .filter(p => p.type === 'manufactured' && (p.active !== false || String(p.id) === String(cap?.productId)))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => `<option value="${escapeHTML(p.id)}" ${String(p.id) === String(cap?.productId) ? 'selected' : ''}>
+        ${escapeHTML(p.name)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'mach-modal-overlay';
+  overlay.innerHTML = `
+    <div class="mach-modal" role="dialog" aria-modal="true" aria-labelledby="mach-cap-title">
+      <h3 id="mach-cap-title" class="mach-modal__title">${cap ? 'Editar capacidad nominal' : 'Nueva capacidad nominal'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-cap-machine">Máquina <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-cap-machine">
+              <option value="" disabled ${cap ? '' : 'selected'}>Seleccionar…</option>
+              ${machineOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mach-cap-product">Producto</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mach-cap-product">
+              <option value="">Todos los productos</option>
+              ${productOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mach-cap-rate">Paquetes por hora <span class="required">*</span></label>
+          <input class="form-input" type="number" id="mach-cap-rate" min="0.01" step="0.01"
+                 value="${cap ? cap.packagesPerHour : ''}" placeholder="Ej: 12.5">
+        </div>
+      </div>
+      <span class="form-hint">Ritmo ideal a ciclo nominal. "Todos los productos" aplica a los productos sin fila propia.</span>
+      <span class="form-error" id="mach-cap-error"></span>
+      <div class="mach-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="mach-cap-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="mach-cap-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#mach-cap-cancel').addEventListener('click', close);
+
+  $('#mach-cap-save').addEventListener('click', async () => {
+    const errEl   = $('#mach-cap-error');
+    const payload = {
+      machineId:       $('#mach-cap-machine').value,
+      productId:       $('#mach-cap-product').value || null,
+      packagesPerHour: parseFloat($('#mach-cap-rate').value),
+    };
+
+    let error = '';
+    if (!payload.machineId)                  error = 'Selecciona la máquina.';
+    else if (!(payload.packagesPerHour > 0)) error = 'Los paquetes por hora deben ser mayores a 0.';
+    else if (allCapacities.some(c =>
+      String(c.machineId) === String(payload.machineId) &&
+      String(c.productId ?? '') === String(payload.productId ?? '') &&
+      !(cap && c.id === cap.id))) {
+      error = 'Ya existe una capacidad para esa máquina y producto.';
+    }
+    errEl.textContent = error;
+    if (error) return;
+
+    const entityName = `${machineLabel(payload.machineId)} · ${productLabel(payload.productId)}`;
+    const saveBtn = $('#mach-cap-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (cap) {
+        await MachineCapacitiesAPI.update(cap.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'machine_capacity', entity_id: cap.id, entity_name: entityName,
+          action: 'editar',
+          changes: _buildDiff(cap, payload, ['machineId', 'productId', 'packagesPerHour']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await MachineCapacitiesAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'machine_capacity', entity_id: created.id, entity_name: entityName,
+          action: 'crear',
+          changes: { packagesPerHour: { before: null, after: payload.packagesPerHour } },
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Capacidad guardada.', 'success');
+      await loadMachines();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleDeleteCapacity(cap) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !cap) return;
+  const entityName = `${machineLabel(cap.machineId)} · ${productLabel(cap.productId)}`;
+  if (!confirm(`¿Eliminar la capacidad de ${entityName}?`)) return;
+  try {
+    await MachineCapacitiesAPI.remove(cap.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'machine_capacity', entity_id: cap.id, entity_name: entityName,
+      action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Capacidad eliminada.', 'success');
+    await loadMachines();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
 // ─── Search & Filter Coordinator ──────────────────────────────────────────────
 
 /**
@@ -745,4 +1820,113 @@ function escapeHTML(str) {
   const div = document.createElement('div');
   div.textContent = str;
   return div.innerHTML;
-}
\ No newline at end of file
+}
+
+/** ISO timestamp → "YYYY-MM-DDTHH:mm" (local) for datetime-local inputs. */
+function toLocalInput(iso) {
+  const d = new Date(iso);
+  if (isNaN(d)) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  if (isNaN(d)) return '—';
+  return d.toLocaleDateString('es-DO', { day: '2-digit', month: '2-digit', year: 'numeric' })
+    + ' ' + d.toLocaleTimeString('es-DO', { hour: '2-digit', minute: '2-digit', hour12: true });
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+/** "YYYY-MM-DD" → "DD/MM/YYYY". */
+function formatDate(s) {
+  if (!s) return '—';
+  const [y, m, d] = s.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** "2026-03" → "mar. 2026". */
+function formatMonth(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('es-DO', { month: 'short', year: 'numeric' });
+}
+
+function formatHours(h) {
+  return `${new Intl.NumberFormat('es-DO', { maximumFractionDigits: 1 }).format(h || 0)} h`;
+}
+
+function formatCurrency(n) {
+  return 'RD$ ' + new Intl.NumberFormat('es-DO', {
+    minimumFractionDigits: 2, maximumFractionDigits: 2,
+  }).format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('machines-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'machines-module-styles';
+  tag.textContent = `
+    .mach-dt-body { padding: 0 var(--space-lg) var(--space-lg); }
+    .mach-dt-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+    .mach-dt-subtitle {
+      margin: var(--space-lg) 0 var(--space-sm);
+      font-size: 0.85rem; font-weight: 600;
+      text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted);
+    }
+    .mach-dt-kpis {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+      gap: var(--space-sm); margin-bottom: var(--space-md);
+    }
+    .mach-dt-kpi {
+      display: flex; flex-direction: column; gap: 2px;
+      padding: var(--space-sm) var(--space-md);
+      border: 1px solid var(--color-border); border-radius: var(--radius-md);
+    }
+    .mach-dt-kpi span { font-size: 0.75rem; color: var(--color-text-muted); }
+    .mach-dt-kpi strong { font-size: 1.1rem; font-family: var(--font-mono); }
+
+    .mach-plan-tasks { font-size: 0.75rem; color: var(--color-text-muted); }
+    .mach-plan-checklist {
+      display: flex; flex-direction: column; gap: var(--space-xs);
+      margin-bottom: var(--space-md); font-size: 0.9rem;
+    }
+    .mach-plan-checklist label { display: flex; gap: var(--space-sm); align-items: center; cursor: pointer; }
+
+    .mach-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .mach-modal {
+      width: 100%; max-width: 600px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .mach-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .mach-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
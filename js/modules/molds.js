@@ -0,0 +1,987 @@
+/**
+ * molds.js — CapFlow Molds Module
+ *
+ * Catalog of injection molds (moldes) and the history of the machines they
+ * were mounted on:
+ *  - Create / edit molds: code, name, product, cavities, nominal cycle time,
+ *    status, shot counter carried over and expected life in shots
+ *  - Mount a mold on a machine (closes the previous mount of the mold and the
+ *    machine) and unmount it; every move is logged to change_history
+ *  - Per mold: shots (from the production records stamped with the mold in
+ *    production.js), wear against its expected life, and theoretical vs.
+ *    actual output
+ *
+ * Data flow:
+ *   MoldsAPI       ← mold CRUD
+ *   MoldMountsAPI  ← mount / unmount history
+ *   ProductionAPI  ← records carrying moldId + moldCavitiesSnapshot
+ *   getMoldStats   ← shots, wear, theoretical vs. actual (api.js)
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  MoldsAPI,
+  MoldMountsAPI,
+  MOLD_STATUSES,
+  MOLD_NOMINAL_SHIFT_HOURS,
+  CAPS_PER_PACKAGE,
+  getMoldStats,
+  MachinesAPI,
+  ProductsAPI,
+  ProductionAPI,
+  ChangeHistoryAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** Mold currently being edited, or null for "create" mode. */
+let editingMold = null;
+
+/** In-memory caches — filters re-render without re-fetching. */
+let allMolds      = [];
+let allMounts     = [];
+let allMachines   = [];
+let allProducts   = [];
+let allProduction = [];
+
+/** Mold whose history card is open, or null. */
+let historyMoldId = null;
+
+/** Usuario admin actual para registrar en el historial. */
+let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+const STATUS_LABELS  = new Map(MOLD_STATUSES.map(s => [s.value, s.label]));
+const STATUS_CLASSES = { active: 'badge--green', maintenance: 'badge--warning', retired: 'badge--gray' };
+
+/** Wear % from which the counter is highlighted. */
+const WEAR_WARNING_PCT = 90;
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Molds module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountMolds(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+  historyMoldId = null;
+  editingMold   = null;
+
+  const session = await AuthAPI.getSession();
+  _currentAdmin = {
+    id:   session?.user?.id    ?? null,
+    name: session?.user?.email ?? 'Sistema',
+  };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+
+  if (!canPerform(_currentRole, 'create')) document.getElementById('mold-form-card').style.display = 'none';
+  attachFormListeners();
+  await loadMolds();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  const statusOptions = MOLD_STATUSES
+    .map(s => `<option value="${s.value}">${s.label}</option>`).join('');
+
+  return `
+    <section class="module" id="molds-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⧉</span>
+          <div>
+            <h1 class="module-header__title">Moldes</h1>
+            <p class="module-header__subtitle">Catálogo de moldes, montajes en máquinas y desgaste</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="molds-count-badge">
+          — moldes
+        </div>
+      </header>
+
+      <!-- ── Mold Form Card ── -->
+      <div class="card" id="mold-form-card">
+        <div class="card__header">
+          <h2 class="card__title" id="mold-form-title">
+            <span class="card__title-icon">+</span>
+            Nuevo Molde
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="mold-cancel-btn" style="display:none;">
+            ✕ Cancelar
+          </button>
+        </div>
+
+        <form id="mold-form" novalidate>
+          <div class="form-grid">
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-code">
+                Código <span class="required">*</span>
+              </label>
+              <input class="form-input" type="text" id="mold-field-code"
+                     placeholder="Ej: MOL-28-01" maxlength="40" required>
+              <span class="form-error" id="mold-error-code"></span>
+            </div>
+
+            <div class="form-group form-group--wide">
+              <label class="form-label" for="mold-field-name">
+                Nombre <span class="required">*</span>
+              </label>
+              <input class="form-input" type="text" id="mold-field-name"
+                     placeholder="Ej: Tapa 28 mm — 24 cavidades" maxlength="120" required>
+              <span class="form-error" id="mold-error-name"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-product">Producto</label>
+              <div class="select-wrapper">
+                <select class="form-input form-select" id="mold-field-product">
+                  <option value="">Sin producto</option>
+                </select>
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-cavities">
+                Cavidades <span class="required">*</span>
+              </label>
+              <input class="form-input" type="number" id="mold-field-cavities"
+                     min="1" step="1" placeholder="Ej: 24" required>
+              <span class="form-error" id="mold-error-cavities"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-cycle">
+                Ciclo nominal (segundos) <span class="required">*</span>
+              </label>
+              <input class="form-input" type="number" id="mold-field-cycle"
+                     min="0.1" step="0.1" placeholder="Ej: 6.5" required>
+              <span class="form-error" id="mold-error-cycle"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-status">Estado</label>
+              <div class="select-wrapper">
+                <select class="form-input form-select" id="mold-field-status">
+                  ${statusOptions}
+                </select>
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-initial-shots">Golpes previos</label>
+              <input class="form-input" type="number" id="mold-field-initial-shots"
+                     min="0" step="1" placeholder="0">
+              <span class="form-hint">Contador acumulado antes de registrarlo en CapFlow.</span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="mold-field-max-shots">Vida útil (golpes)</label>
+              <input class="form-input" type="number" id="mold-field-max-shots"
+                     min="1" step="1" placeholder="Opcional">
+              <span class="form-hint">Para calcular el % de desgaste.</span>
+            </div>
+
+            <div class="form-group form-group--wide">
+              <label class="form-label" for="mold-field-notes">Notas</label>
+              <textarea class="form-input form-textarea" id="mold-field-notes"
+                        rows="2" maxlength="500"
+                        placeholder="Fabricante, material, reparaciones…"></textarea>
+            </div>
+
+          </div><!-- /form-grid -->
+
+          <div class="form-actions">
+            <button type="submit" class="btn btn--primary" id="mold-submit-btn">
+              <span class="btn__icon">＋</span>
+              Guardar Molde
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <!-- ── Molds Table Card ── -->
+      <div class="card" id="molds-table-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Listado de Moldes
+          </h2>
+          <div class="table-controls">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="molds-filter-status"
+                      aria-label="Filtrar por estado">
+                <option value="all">Todos los estados</option>
+                ${statusOptions}
+              </select>
+            </div>
+            <input class="form-input form-input--sm" type="search" id="molds-search"
+                   placeholder="Buscar por código o nombre…" aria-label="Buscar molde">
+          </div>
+        </div>
+
+        <div class="table-loading" id="molds-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando moldes…</span>
+        </div>
+
+        <div class="table-empty" id="molds-table-empty" style="display:none;">
+          <span class="table-empty__icon">⧉</span>
+          <p>No hay moldes registrados.</p>
+          <p class="table-empty__sub">Crea el primero usando el formulario de arriba.</p>
+        </div>
+
+        <div class="table-wrapper" id="molds-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Código</th>
+                <th>Nombre</th>
+                <th>Producto</th>
+                <th class="text-right">Cav.</th>
+                <th class="text-right">Ciclo</th>
+                <th>Máquina</th>
+                <th class="text-right">Golpes</th>
+                <th class="text-right">Rendimiento</th>
+                <th class="text-center">Estado</th>
+                <th class="text-center">Acciones</th>
+              </tr>
+            </thead>
+            <tbody id="molds-tbody"></tbody>
+          </table>
+        </div>
+        <p class="mold-footnote">
+          Golpes = paquetes × ${formatNumber(CAPS_PER_PACKAGE)} tapas ÷ cavidades.
+          Rendimiento = paquetes reales ÷ teóricos (turno de ${MOLD_NOMINAL_SHIFT_HOURS} h al ciclo nominal).
+        </p>
+      </div>
+
+      <!-- ── Mold History Card ── -->
+      <div class="card" id="mold-history-card" style="display:none;"></div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch molds, mounts and their references, then re-render. */
+async function loadMolds() {
+  showTableLoading(true);
+
+  try {
+    const [molds, mounts, machines, products, production] = await Promise.all([
+      MoldsAPI.getAll(),
+      MoldMountsAPI.getAll(),
+      MachinesAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+      ProductionAPI.getAll().catch(() => []),
+    ]);
+    allMolds      = molds;
+    allMounts     = mounts;
+    allMachines   = machines;
+    allProducts   = products;
+    allProduction = production;
+
+    populateProductSelect();
+    applyFilters();
+    renderHistory();
+  } catch (err) {
+    showFeedback(`Error al cargar moldes: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+function populateProductSelect() {
+  const select = document.getElementById('mold-field-product');
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">Sin producto</option>' + allProducts
+    .filter(p => p.active !== false && p.type === 'manufactured')
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`)
+    .join('');
+  if (current) select.value = current;
+}
+
+// ─── Table Rendering ──────────────────────────────────────────────────────────
+
+function renderTable(molds) {
+  showTableLoading(false);
+
+  const tbody   = document.getElementById('molds-tbody');
+  const empty   = document.getElementById('molds-table-empty');
+  const wrapper = document.getElementById('molds-table-wrapper');
+
+  if (!molds || molds.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+
+  tbody.innerHTML = molds.map(buildTableRow).join('');
+
+  tbody.querySelectorAll('[data-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'edit')    handleEdit(id);
+      if (btn.dataset.action === 'history') openHistory(id);
+      if (btn.dataset.action === 'mount')   openMountModal(id);
+      if (btn.dataset.action === 'unmount') handleUnmount(id);
+      if (btn.dataset.action === 'delete')  handleDelete(id);
+    });
+  });
+}
+
+function buildTableRow(mold) {
+  const stats   = getMoldStats(mold, allProduction);
+  const mount   = openMountOf(mold.id);
+  const product = allProducts.find(p => String(p.id) === String(mold.productId));
+  const wearHot = stats.wearPct !== null && stats.wearPct >= WEAR_WARNING_PCT;
+
+  return `
+    <tr class="table-row ${mold.status === 'retired' ? 'table-row--inactive' : ''}">
+      <td><span class="machine-code">${escapeHTML(mold.code)}</span></td>
+      <td class="td-name">${escapeHTML(mold.name)}</td>
+      <td>${product ? escapeHTML(product.name) : '<span class="text-muted">—</span>'}</td>
+      <td class="text-right">${formatNumber(mold.cavities)}</td>
+      <td class="text-right">${formatDecimal(mold.cycleSeconds)} s</td>
+      <td>${mount ? escapeHTML(machineLabel(mount.machineId)) : '<span class="text-muted">Desmontado</span>'}</td>
+      <td class="text-right">
+        ${formatNumber(stats.totalShots)}
+        ${stats.wearPct !== null
+          ? `<div class="mold-sub ${wearHot ? 'mold-sub--hot' : ''}">${formatDecimal(stats.wearPct)} % de vida</div>`
+          : ''}
+      </td>
+      <td class="text-right">${stats.efficiencyPct !== null ? `${formatDecimal(stats.efficiencyPct)} %` : '—'}</td>
+      <td class="text-center">
+        <span class="badge ${STATUS_CLASSES[mold.status] || 'badge--gray'}">${escapeHTML(STATUS_LABELS.get(mold.status) || mold.status)}</span>
+      </td>
+      <td class="text-center td-actions">
+        <button class="btn btn--ghost btn--xs" data-action="history" data-id="${escapeHTML(mold.id)}">🕘 Historial</button>
+        ${canPerform(_currentRole, 'update') && mold.status !== 'retired'
+          ? (mount
+            ? `<button class="btn btn--warning-ghost btn--xs" data-action="unmount" data-id="${escapeHTML(mold.id)}">⏏ Desmontar</button>`
+            : `<button class="btn btn--success-ghost btn--xs" data-action="mount" data-id="${escapeHTML(mold.id)}">⇥ Montar</button>`)
+          : ''}
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="edit" data-id="${escapeHTML(mold.id)}">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${escapeHTML(mold.id)}">✕</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+// ─── Form Interactions ────────────────────────────────────────────────────────
+
+function attachFormListeners() {
+  document.getElementById('mold-form').addEventListener('submit', handleFormSubmit);
+  document.getElementById('mold-cancel-btn').addEventListener('click', resetFormToCreateMode);
+  document.getElementById('molds-search').addEventListener('input', applyFilters);
+  document.getElementById('molds-filter-status').addEventListener('change', applyFilters);
+}
+
+async function handleFormSubmit(e) {
+  e.preventDefault();
+  if (!guardAction(_currentRole, editingMold ? 'update' : 'create', showFeedback)) return;
+  if (!validateForm()) return;
+
+  const submitBtn = document.getElementById('mold-submit-btn');
+  setButtonLoading(submitBtn, true);
+
+  const payload = collectFormData();
+
+  try {
+    if (editingMold) {
+      await MoldsAPI.update(editingMold.id, payload);
+      showFeedback('Molde actualizado correctamente.', 'success');
+      ChangeHistoryAPI.log({
+        entity_type: 'mold', entity_id: editingMold.id,
+        entity_name: `${payload.code} — ${payload.name}`, action: 'editar',
+        changes: _buildDiff(editingMold, payload, [
+          'code', 'name', 'productId', 'cavities', 'cycleSeconds',
+          'status', 'initialShots', 'maxShots', 'notes',
+        ]),
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+    } else {
+      const result = await MoldsAPI.create(payload);
+      showFeedback('Molde creado correctamente.', 'success');
+      ChangeHistoryAPI.log({
+        entity_type: 'mold', entity_id: result?.id ?? '',
+        entity_name: `${payload.code} — ${payload.name}`, action: 'crear', changes: null,
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+    }
+
+    resetFormToCreateMode();
+    await loadMolds();
+  } catch (err) {
+    showFeedback(`Error al guardar: ${err.message}`, 'error');
+  } finally {
+    setButtonLoading(submitBtn, false);
+  }
+}
+
+function handleEdit(moldId) {
+  const mold = allMolds.find(m => String(m.id) === String(moldId));
+  if (!mold || !guardAction(_currentRole, 'update', showFeedback)) return;
+
+  editingMold = mold;
+  document.getElementById('mold-form-card').style.display = '';
+
+  document.getElementById('mold-field-code').value           = mold.code || '';
+  document.getElementById('mold-field-name').value           = mold.name || '';
+  document.getElementById('mold-field-product').value        = mold.productId || '';
+  document.getElementById('mold-field-cavities').value       = mold.cavities || '';
+  document.getElementById('mold-field-cycle').value          = mold.cycleSeconds || '';
+  document.getElementById('mold-field-status').value         = mold.status;
+  document.getElementById('mold-field-initial-shots').value  = mold.initialShots || '';
+  document.getElementById('mold-field-max-shots').value      = mold.maxShots || '';
+  document.getElementById('mold-field-notes').value          = mold.notes || '';
+
+  document.getElementById('mold-form-title').innerHTML = `
+    <span class="card__title-icon">✎</span>
+    Editar Molde
+  `;
+  document.getElementById('mold-submit-btn').innerHTML =
+    '<span class="btn__icon">✔</span> Guardar Cambios';
+  document.getElementById('mold-cancel-btn').style.display = 'inline-flex';
+
+  document.getElementById('mold-form-card').scrollIntoView({ behavior: 'smooth' });
+}
+
+async function handleDelete(moldId) {
+  const mold = allMolds.find(m => String(m.id) === String(moldId));
+  if (!mold || !guardAction(_currentRole, 'remove', showFeedback)) return;
+
+  const used = allProduction.some(r => String(r.moldId) === String(mold.id));
+  if (used) {
+    showFeedback('El molde tiene producción registrada. Márcalo como "Retirado" en lugar de eliminarlo.', 'warning', 6000);
+    return;
+  }
+  if (!confirm(`¿Eliminar el molde "${mold.code}" y su historial de montajes?`)) return;
+
+  try {
+    await MoldsAPI.remove(mold.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'mold', entity_id: mold.id,
+      entity_name: `${mold.code} — ${mold.name}`, action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    if (String(historyMoldId) === String(mold.id)) historyMoldId = null;
+    if (editingMold && String(editingMold.id) === String(mold.id)) resetFormToCreateMode();
+    showFeedback('Molde eliminado.', 'success');
+    await loadMolds();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+function resetFormToCreateMode() {
+  editingMold = null;
+
+  document.getElementById('mold-form').reset();
+  document.getElementById('mold-form-title').innerHTML = `
+    <span class="card__title-icon">+</span>
+    Nuevo Molde
+  `;
+  document.getElementById('mold-submit-btn').innerHTML =
+    '<span class="btn__icon">＋</span> Guardar Molde';
+  document.getElementById('mold-cancel-btn').style.display = 'none';
+  if (!canPerform(_currentRole, 'create')) document.getElementById('mold-form-card').style.display = 'none';
+
+  clearFormErrors();
+}
+
+// ─── Mount / Unmount ──────────────────────────────────────────────────────────
+
+/** Open mount of a mold, or null when it is not on any machine. */
+function openMountOf(moldId) {
+  return allMounts.find(m => String(m.moldId) === String(moldId) && !m.unmountedAt) || null;
+}
+
+/** Mount a mold on a machine; swaps out whatever the machine had. */
+function openMountModal(moldId) {
+  const mold = allMolds.find(m => String(m.id) === String(moldId));
+  if (!mold || !guardAction(_currentRole, 'update', showFeedback)) return;
+
+  const machineOptions = allMachines
+    .filter(m => m.isActive !== false)
+    .map(m => {
+      const current = allMounts.find(x => String(x.machineId) === String(m.id) && !x.unmountedAt);
+      const holding = current ? allMolds.find(x => String(x.id) === String(current.moldId)) : null;
+      return `<option value="${escapeHTML(m.id)}">${escapeHTML(m.code)} — ${escapeHTML(m.name)}${
+        holding ? ` (tiene ${escapeHTML(holding.code)})` : ''}</option>`;
+    }).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'mold-modal-overlay';
+  overlay.innerHTML = `
+    <div class="mold-modal" role="dialog" aria-modal="true" aria-labelledby="mold-mount-title">
+      <h3 id="mold-mount-title" class="mold-modal__title">Montar ${escapeHTML(mold.code)} — ${escapeHTML(mold.name)}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mold-mount-machine">Máquina <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="mold-mount-machine">
+              <option value="" disabled selected>Seleccionar…</option>
+              ${machineOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="mold-mount-at">Fecha y hora <span class="required">*</span></label>
+          <input class="form-input" type="datetime-local" id="mold-mount-at" value="${toLocalInput(new Date().toISOString())}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="mold-mount-notes">Notas</label>
+          <input class="form-input" type="text" id="mold-mount-notes" maxlength="200"
+                 placeholder="Técnico, ajustes, motivo del cambio…">
+        </div>
+      </div>
+      <span class="form-hint">Si la máquina tenía otro molde, queda desmontado a esta misma hora.</span>
+      <span class="form-error" id="mold-mount-error"></span>
+      <div class="mold-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="mold-mount-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="mold-mount-save">⇥ Montar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#mold-mount-cancel').addEventListener('click', close);
+
+  $('#mold-mount-save').addEventListener('click', async () => {
+    const errEl     = $('#mold-mount-error');
+    const machineId = $('#mold-mount-machine').value;
+    const atLocal   = $('#mold-mount-at').value;
+    const notes     = $('#mold-mount-notes').value.trim();
+
+    if (!machineId) { errEl.textContent = 'Selecciona la máquina.'; return; }
+    if (!atLocal)   { errEl.textContent = 'Indica la fecha y hora.'; return; }
+    const at = new Date(atLocal).toISOString();
+
+    const previousOnMachine = allMounts.find(x =>
+      String(x.machineId) === String(machineId) && !x.unmountedAt);
+    const previousMold = previousOnMachine
+      ? allMolds.find(x => String(x.id) === String(previousOnMachine.moldId)) : null;
+    const previousMount = openMountOf(mold.id);
+
+    const saveBtn = $('#mold-mount-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      await MoldMountsAPI.mount(mold.id, machineId, at, notes);
+      ChangeHistoryAPI.log({
+        entity_type: 'mold', entity_id: mold.id,
+        entity_name: `${mold.code} — ${mold.name}`, action: 'montar',
+        changes: {
+          machine: {
+            before: previousMount ? machineLabel(previousMount.machineId) : null,
+            after:  machineLabel(machineId),
+          },
+          ...(previousMold && String(previousMold.id) !== String(mold.id)
+            ? { replaced_mold: { before: previousMold.code, after: mold.code } } : {}),
+        },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      close();
+      showFeedback('Molde montado.', 'success');
+      await loadMolds();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleUnmount(moldId) {
+  const mold  = allMolds.find(m => String(m.id) === String(moldId));
+  const mount = mold ? openMountOf(mold.id) : null;
+  if (!mount || !guardAction(_currentRole, 'update', showFeedback)) return;
+  if (!confirm(`¿Desmontar ${mold.code} de ${machineLabel(mount.machineId)} ahora?`)) return;
+
+  try {
+    await MoldMountsAPI.unmount(mount.id, new Date().toISOString());
+    ChangeHistoryAPI.log({
+      entity_type: 'mold', entity_id: mold.id,
+      entity_name: `${mold.code} — ${mold.name}`, action: 'desmontar',
+      changes: { machine: { before: machineLabel(mount.machineId), after: null } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Molde desmontado.', 'success');
+    await loadMolds();
+  } catch (err) {
+    showFeedback(`Error al desmontar: ${err.message}`, 'error');
+  }
+}
+
+// ─── History Card ─────────────────────────────────────────────────────────────
+
+function openHistory(moldId) {
+  historyMoldId = moldId;
+  renderHistory();
+  document.getElementById('mold-history-card')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+/** Mount history, counters and output per month of the selected mold. */
+function renderHistory() {
+  const card = document.getElementById('mold-history-card');
+  const mold = allMolds.find(m => String(m.id) === String(historyMoldId));
+  if (!card) return;
+  if (!mold) {
+    card.style.display = 'none';
+    card.innerHTML     = '';
+    return;
+  }
+
+  const stats  = getMoldStats(mold, allProduction);
+  const mounts = allMounts.filter(m => String(m.moldId) === String(mold.id));
+
+  // Actual vs. theoretical per month — getMoldStats over each month's records
+  const byMonth = new Map();
+  for (const r of allProduction) {
+    if (String(r.moldId) !== String(mold.id)) continue;
+    const key = r.month || (r.productionDate || '').slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(r);
+  }
+  const months = [...byMonth.keys()].sort().reverse();
+
+  card.style.display = '';
+  card.innerHTML = `
+    <div class="card__header">
+      <h2 class="card__title">
+        <span class="card__title-icon">🕘</span>
+        Historial — ${escapeHTML(mold.code)} · ${escapeHTML(mold.name)}
+      </h2>
+      <button class="btn btn--ghost btn--sm" id="mold-hist-close">✕ Cerrar</button>
+    </div>
+    <div class="mold-body">
+      <div class="mold-kpis">
+        <div class="mold-kpi"><span>Golpes acumulados</span><strong>${formatNumber(stats.totalShots)}</strong></div>
+        <div class="mold-kpi"><span>Desgaste</span><strong>${stats.wearPct !== null ? `${formatDecimal(stats.wearPct)} %` : '—'}</strong></div>
+        <div class="mold-kpi"><span>Turnos registrados</span><strong>${formatNumber(stats.shifts)}</strong></div>
+        <div class="mold-kpi"><span>Paquetes reales / teóricos</span><strong>${formatNumber(stats.packages)} / ${formatNumber(stats.theoreticalPackages)}</strong></div>
+      </div>
+
+      <h3 class="mold-subtitle">Montajes</h3>
+      ${mounts.length === 0 ? '<p class="mold-empty">Nunca se ha montado.</p>' : `
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr><th>Máquina</th><th>Montado</th><th>Desmontado</th><th>Notas</th></tr>
+          </thead>
+          <tbody>
+            ${mounts.map(m => `
+              <tr class="table-row">
+                <td>${escapeHTML(machineLabel(m.machineId))}</td>
+                <td style="white-space:nowrap;">${formatDateTime(m.mountedAt)}</td>
+                <td style="white-space:nowrap;">${m.unmountedAt ? formatDateTime(m.unmountedAt) : '<span class="badge badge--green">Montado</span>'}</td>
+                <td>${escapeHTML(m.notes || '—')}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`}
+
+      <h3 class="mold-subtitle">Producción por mes</h3>
+      ${months.length === 0 ? '<p class="mold-empty">Sin producción registrada con este molde.</p>' : `
+      <div class="table-wrapper">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Mes</th>
+              <th class="text-right">Turnos</th>
+              <th class="text-right">Paquetes</th>
+              <th class="text-right">Teórico</th>
+              <th class="text-right">Rendimiento</th>
+              <th class="text-right">Golpes</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${months.map(key => {
+              const m = getMoldStats(mold, byMonth.get(key));
+              return `
+                <tr class="table-row">
+                  <td>${escapeHTML(formatMonth(key))}</td>
+                  <td class="text-right">${formatNumber(m.shifts)}</td>
+                  <td class="text-right">${formatNumber(m.packages)}</td>
+                  <td class="text-right">${formatNumber(m.theoreticalPackages)}</td>
+                  <td class="text-right">${m.efficiencyPct !== null ? `${formatDecimal(m.efficiencyPct)} %` : '—'}</td>
+                  <td class="text-right">${formatNumber(m.shots)}</td>
+                </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>`}
+    </div>`;
+
+  document.getElementById('mold-hist-close').addEventListener('click', () => {
+    historyMoldId = null;
+    renderHistory();
+  });
+}
+
+// ─── Search & Filter Coordinator ──────────────────────────────────────────────
+
+function applyFilters() {
+  const query  = (document.getElementById('molds-search')?.value || '').trim().toLowerCase();
+  const status = document.getElementById('molds-filter-status')?.value || 'all';
+
+  let results = [...allMolds];
+  if (status !== 'all') results = results.filter(m => m.status === status);
+  if (query) {
+    results = results.filter(m =>
+      m.code.toLowerCase().includes(query) || m.name.toLowerCase().includes(query));
+  }
+
+  updateCountBadge(allMolds.length, results.length);
+  renderTable(results);
+}
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function validateForm() {
+  clearFormErrors();
+  let valid = true;
+
+  const code     = document.getElementById('mold-field-code').value.trim();
+  const name     = document.getElementById('mold-field-name').value.trim();
+  const cavities = Number(document.getElementById('mold-field-cavities').value);
+  const cycle    = Number(document.getElementById('mold-field-cycle').value);
+
+  if (!code) {
+    showFieldError('mold-error-code', 'El código es obligatorio.');
+    valid = false;
+  } else if (allMolds.some(m =>
+    m.code.toLowerCase() === code.toLowerCase() &&
+    !(editingMold && String(m.id) === String(editingMold.id)))) {
+    showFieldError('mold-error-code', 'Ya existe un molde con este código.');
+    valid = false;
+  }
+  if (!name) {
+    showFieldError('mold-error-name', 'El nombre es obligatorio.');
+    valid = false;
+  }
+  if (!Number.isInteger(cavities) || cavities < 1) {
+    showFieldError('mold-error-cavities', 'Indica un número entero de cavidades.');
+    valid = false;
+  }
+  if (!(cycle > 0)) {
+    showFieldError('mold-error-cycle', 'El ciclo debe ser mayor a 0.');
+    valid = false;
+  }
+
+  return valid;
+}
+
+function clearFormErrors() {
+  document.querySelectorAll('#mold-form .form-error').forEach(el => (el.textContent = ''));
+}
+
+function showFieldError(errorId, message) {
+  const el = document.getElementById(errorId);
+  if (el) el.textContent = message;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Build a field-level diff between the original record and the new payload. */
+function _buildDiff(original, updated, fields) {
+  const diff = {};
+  for (const f of fields) {
+    if (String(original[f] ?? '') !== String(updated[f] ?? '')) {
+      diff[f] = { before: original[f], after: updated[f] };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function collectFormData() {
+  return {
+    code:         document.getElementById('mold-field-code').value.trim(),
+    name:         document.getElementById('mold-field-name').value.trim(),
+    productId:    document.getElementById('mold-field-product').value || null,
+    cavities:     parseInt(document.getElementById('mold-field-cavities').value, 10),
+    cycleSeconds: parseFloat(document.getElementById('mold-field-cycle').value),
+    status:       document.getElementById('mold-field-status').value,
+    initialShots: parseInt(document.getElementById('mold-field-initial-shots').value, 10) || 0,
+    maxShots:     parseInt(document.getElementById('mold-field-max-shots').value, 10) || null,
+    notes:        document.getElementById('mold-field-notes').value.trim(),
+  };
+}
+
+/** "INY-001 — Inyectora 250T", or a placeholder for deleted machines. */
+function machineLabel(machineId) {
+  const m = allMachines.find(x => String(x.id) === String(machineId));
+  return m ? `${m.code} — ${m.name}` : '[Máquina eliminada]';
+}
+
+function showTableLoading(loading) {
+  document.getElementById('molds-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('molds-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('molds-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function updateCountBadge(total, filtered = null) {
+  const badge = document.getElementById('molds-count-badge');
+  if (!badge) return;
+
+  if (filtered !== null && filtered !== total) {
+    badge.textContent = `${filtered} de ${total} molde${total !== 1 ? 's' : ''}`;
+  } else {
+    badge.textContent = `${total} molde${total !== 1 ? 's' : ''}`;
+  }
+}
+
+function setButtonLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.dataset.originalText = btn.dataset.originalText || btn.innerHTML;
+  btn.innerHTML = loading
+    ? '<span class="spinner spinner--sm"></span> Guardando…'
+    : btn.dataset.originalText;
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** ISO timestamp → "YYYY-MM-DDTHH:mm" (local) for datetime-local inputs. */
+function toLocalInput(iso) {
+  const d = new Date(iso);
+  if (isNaN(d)) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  if (isNaN(d)) return '—';
+  return d.toLocaleDateString('es-DO', { day: '2-digit', month: '2-digit', year: 'numeric' })
+    + ' ' + d.toLocaleTimeString('es-DO', { hour: '2-digit', minute: '2-digit', hour12: true });
+}
+
+/** "2026-03" → "mar. 2026". */
+function formatMonth(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('es-DO', { month: 'short', year: 'numeric' });
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+function formatDecimal(n) {
+  return new Intl.NumberFormat('es-DO', { maximumFractionDigits: 1 }).format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('molds-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'molds-module-styles';
+  tag.textContent = `
+    .mold-body { padding: 0 var(--space-lg) var(--space-lg); }
+    .mold-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+    .mold-footnote {
+      margin: 0; padding: var(--space-sm) var(--space-lg) var(--space-md);
+      font-size: 0.75rem; color: var(--color-text-muted);
+    }
+    .mold-sub { font-size: 0.72rem; color: var(--color-text-muted); }
+    .mold-sub--hot { color: var(--color-danger); font-weight: 600; }
+    .mold-subtitle {
+      margin: var(--space-lg) 0 var(--space-sm);
+      font-size: 0.85rem; font-weight: 600;
+      text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted);
+    }
+    .mold-kpis {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: var(--space-sm); margin-bottom: var(--space-md);
+    }
+    .mold-kpi {
+      display: flex; flex-direction: column; gap: 2px;
+      padding: var(--space-sm) var(--space-md);
+      border: 1px solid var(--color-border); border-radius: var(--radius-md);
+    }
+    .mold-kpi span { font-size: 0.75rem; color: var(--color-text-muted); }
+    .mold-kpi strong { font-size: 1.1rem; font-family: var(--font-mono); }
+
+    .mold-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .mold-modal {
+      width: 100%; max-width: 560px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .mold-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .mold-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -0,0 +1,706 @@
+/**
+ * operator-performance.js — CapFlow Operator Scorecard Module (Desempeño)
+ *
+ * Compares every operator with the plant for one month:
+ *  - Planta: packages per shift, weight deviation, rejected daily logs and
+ *    labor cost per package of all operators together
+ *  - Ranking: operators ordered by the chosen metric, each metric shown with
+ *    how far it is from the plant figure, plus a sparkline of the last
+ *    SCORECARD_TREND_MONTHS months
+ *  - Hoja mensual: printable performance sheet of one operator (or all of
+ *    them, one per page) — metrics vs plant, trends and the month day by day
+ *
+ * Metrics, plant figures and ranking live in api.js → OPERATOR SCORECARD.
+ * Operarios hands an operator over through OPERATOR_SCORECARD_HANDOFF_KEY.
+ * This module only reads.
+ *
+ * Data flow:
+ *   ProductionAPI            ← packages, shifts, piece-rate pay
+ *   DailyProductionLogsAPI   ← confirmed / rejected logs of the trend months
+ *   PackageWeightsAPI        ← weighings (getPackageWeightSeries attaches
+ *                              operator and product)
+ *   PayrollAPI               ← closed quincenas for the labor cost
+ *   OperatorsAPI / DispatchOperatorsAPI / ProductsAPI / ShiftsAPI
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  ProductionAPI,
+  DailyProductionLogsAPI,
+  PackageWeightsAPI,
+  PayrollAPI,
+  OperatorsAPI,
+  DispatchOperatorsAPI,
+  ProductsAPI,
+  ShiftsAPI,
+  getPackageWeightSeries,
+  getOperatorScorecards,
+  getScorecardRanking,
+  SCORECARD_METRICS,
+  SCORECARD_TREND_MONTHS,
+  OPERATOR_SCORECARD_HANDOFF_KEY,
+} from '../api.js';
+import { COMPANY_NAME, printOnlyCss } from '../print.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+let allOperators  = [];
+let allProducts   = [];
+let allProduction = [];
+
+/** Daily logs of the trend months (raw rows). */
+let allLogs = [];
+
+/** { month, scorecards } per trend month, oldest first; last = selectedMonth. */
+let trend = [];
+
+let selectedMonth = todayString().slice(0, 7);
+let rankMetric    = SCORECARD_METRICS[0].key;
+
+/** Operator whose sheet is open, or null. */
+let sheetOperatorId = null;
+
+const METRIC_LABELS = new Map(SCORECARD_METRICS.map(m => [m.key, m.label]));
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Operator Performance module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountOperatorPerformance(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+  attachListeners();
+
+  const handoff = sessionStorage.getItem(OPERATOR_SCORECARD_HANDOFF_KEY);
+  if (handoff) {
+    sessionStorage.removeItem(OPERATOR_SCORECARD_HANDOFF_KEY);
+    sheetOperatorId = handoff;
+  }
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  return `
+    <section class="module" id="operator-performance-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">◭</span>
+          <div>
+            <h1 class="module-header__title">Desempeño de operarios</h1>
+            <p class="module-header__subtitle">Productividad, calidad y costo de cada operario frente a la planta</p>
+          </div>
+        </div>
+        <div class="table-controls">
+          <input class="form-input form-input--sm" type="month" id="perf-month"
+                 value="${selectedMonth}" aria-label="Mes">
+          <button class="btn btn--ghost btn--sm" id="perf-print-all">🖨 Imprimir hojas</button>
+        </div>
+      </header>
+
+      <div class="table-loading" id="perf-loading">
+        <div class="spinner"></div>
+        <span>Calculando desempeño…</span>
+      </div>
+
+      <!-- ── Plant Card ── -->
+      <div class="card" id="perf-plant-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">▣</span>
+            Promedio de la planta
+          </h2>
+          <span class="perf-note" id="perf-plant-meta"></span>
+        </div>
+        <div class="perf-stats" id="perf-plant-stats"></div>
+      </div>
+
+      <!-- ── Ranking Card ── -->
+      <div class="card" id="perf-ranking-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Ranking
+          </h2>
+          <div class="table-controls">
+            <label class="perf-note" for="perf-metric">Ordenar por</label>
+            <select class="form-input form-select form-input--sm" id="perf-metric">
+              ${SCORECARD_METRICS.map(m => `<option value="${m.key}">${m.label}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="table-wrapper">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th class="text-right">#</th>
+                <th>Operario</th>
+                <th class="text-right">Turnos</th>
+                <th class="text-right">Paquetes</th>
+                ${SCORECARD_METRICS.map(m => `<th class="text-right" data-metric="${m.key}">${m.label}</th>`).join('')}
+                <th>Tendencia</th>
+                <th class="text-center">Hoja</th>
+              </tr>
+            </thead>
+            <tbody id="perf-tbody"></tbody>
+          </table>
+        </div>
+        <p class="perf-note perf-note--pad">
+          Verde / rojo: mejor / peor que la planta. Desviación de peso = diferencia media del paquete de
+          referencia contra el objetivo del producto. Registros rechazados = rechazados ÷ (confirmados +
+          rechazados) en Paquetes Diarios. Costo laboral: nómina cerrada de la quincena o, si está abierta,
+          pago por paquete + recargos (<span class="perf-estimated">≈</span> estimado).
+          La tendencia cubre ${SCORECARD_TREND_MONTHS} meses.
+        </p>
+      </div>
+
+      <!-- ── Monthly Sheet(s) ── -->
+      <div id="perf-sheets" style="display:none;"></div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+async function loadAll() {
+  showLoading(true);
+  try {
+    const months = trendMonths(selectedMonth);
+    const from   = monthRange(months[0])[0];
+    const to     = monthRange(months[months.length - 1])[1];
+
+    let weights, dispatchOperators, shifts, payrollRuns;
+    [allProduction, allLogs, weights, allOperators, dispatchOperators, allProducts,
+     shifts, payrollRuns] = await Promise.all([
+      ProductionAPI.getAll(),
+      DailyProductionLogsAPI.getAll({ dateFrom: from, dateTo: to }).catch(() => []),
+      PackageWeightsAPI.getSince(from).catch(() => []),
+      OperatorsAPI.getAll(),
+      DispatchOperatorsAPI.getAll().catch(() => []),
+      ProductsAPI.getAll(),
+      ShiftsAPI.getAll().catch(() => []),
+      PayrollAPI.getAll().catch(() => []),
+    ]);
+
+    const weightPoints = getPackageWeightSeries(weights,
+      { production: allProduction, operators: allOperators, dispatchOperators });
+    trend = months.map(month => {
+      const [mFrom, mTo] = monthRange(month);
+      return {
+        month,
+        scorecards: getOperatorScorecards({
+          from: mFrom, to: mTo, production: allProduction, dailyLogs: allLogs, weightPoints,
+          products: allProducts, operators: allOperators, dispatchOperators, shifts, payrollRuns,
+        }),
+      };
+    });
+    renderAll();
+  } catch (err) {
+    showFeedback(`Error al cargar el desempeño: ${err.message}`, 'error');
+  } finally {
+    showLoading(false);
+  }
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+function renderAll() {
+  renderPlant();
+  renderRanking();
+  if (sheetOperatorId) renderSheets([sheetOperatorId]);
+  else                 hideSheets();
+}
+
+function current() {
+  return trend[trend.length - 1].scorecards;
+}
+
+function renderPlant() {
+  const { plant, operators } = current();
+  document.getElementById('perf-plant-meta').textContent =
+    `${monthLabel(selectedMonth)} · ${operators.length} operario${operators.length !== 1 ? 's' : ''} · ` +
+    `${formatNumber(plant.packages)} paquetes en ${formatNumber(plant.shifts)} turnos`;
+
+  document.getElementById('perf-plant-stats').innerHTML = SCORECARD_METRICS.map(m => `
+    <div class="perf-stat">
+      <span class="perf-stat__label">${m.label}</span>
+      <strong class="perf-stat__value">${formatMetric(m.key, plant)}</strong>
+      ${sparkline(trend.map(t => t.scorecards.plant[m.key]))}
+    </div>`).join('');
+}
+
+function renderRanking() {
+  const tbody = document.getElementById('perf-tbody');
+  document.querySelectorAll('#perf-ranking-card th[data-metric]').forEach(th =>
+    th.classList.toggle('perf-col--active', th.dataset.metric === rankMetric));
+
+  const scorecards = current();
+  if (scorecards.operators.length === 0) {
+    tbody.innerHTML = `
+      <tr><td colspan="${SCORECARD_METRICS.length + 6}">
+        <div class="table-empty">
+          <span class="table-empty__icon">✦</span>
+          <span>Sin actividad de operarios en ${escapeHTML(monthLabel(selectedMonth))}</span>
+        </div>
+      </td></tr>`;
+    return;
+  }
+
+  // vs-plant of every metric, keyed by operator
+  const comparisons = new Map(SCORECARD_METRICS.map(m => [m.key,
+    new Map(getScorecardRanking(scorecards, m.key).map(e => [e.scorecard.operatorId, e]))]));
+
+  tbody.innerHTML = getScorecardRanking(scorecards, rankMetric).map(({ scorecard: c, rank }) => `
+    <tr class="table-row">
+      <td class="text-right perf-rank">${rank ?? '—'}</td>
+      <td>${escapeHTML(operatorName(c.operatorId))}</td>
+      <td class="text-right">${formatNumber(c.shifts)}</td>
+      <td class="text-right">${formatNumber(c.packages)}</td>
+      ${SCORECARD_METRICS.map(m => `
+        <td class="text-right ${m.key === rankMetric ? 'perf-col--active' : ''}">
+          ${formatMetric(m.key, c)}
+          ${vsPlantTag(comparisons.get(m.key).get(c.operatorId))}
+        </td>`).join('')}
+      <td title="${escapeHTML(METRIC_LABELS.get(rankMetric))}">${sparkline(operatorTrend(c.operatorId, rankMetric))}</td>
+      <td class="text-center">
+        <button class="btn btn--ghost btn--xs perf-sheet-btn" data-id="${escapeHTML(c.operatorId)}"
+                title="Hoja mensual">📄</button>
+      </td>
+    </tr>`).join('');
+
+  tbody.querySelectorAll('.perf-sheet-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      sheetOperatorId = btn.dataset.id;
+      renderSheets([sheetOperatorId]);
+      document.getElementById('perf-sheets').scrollIntoView({ behavior: 'smooth' });
+    });
+  });
+}
+
+/** "+12 %" coloured by whether that is better than the plant. */
+function vsPlantTag(entry) {
+  if (!entry || entry.vsPlantPct == null) return '';
+  const pct = entry.vsPlantPct;
+  const cls = entry.isBetter == null ? '' : entry.isBetter ? 'perf-vs--better' : 'perf-vs--worse';
+  return `<div class="perf-vs ${cls}">${pct > 0 ? '+' : ''}${formatNumber(pct, 0)} % vs planta</div>`;
+}
+
+/** Values of one metric for one operator across the trend months. */
+function operatorTrend(operatorId, metricKey) {
+  return trend.map(t =>
+    t.scorecards.operators.find(c => c.operatorId === String(operatorId))?.[metricKey] ?? null);
+}
+
+// ─── Monthly Sheet ────────────────────────────────────────────────────────────
+
+/** Render the sheets of the given operators into the sheet panel. */
+function renderSheets(operatorIds) {
+  const panel = document.getElementById('perf-sheets');
+  const known = operatorIds.filter(id => allOperators.some(o => String(o.id) === String(id)));
+  if (known.length === 0) { hideSheets(); return; }
+
+  panel.innerHTML = `
+    <div class="card perf-sheets-toolbar">
+      <strong>Hoja de desempeño — ${escapeHTML(monthLabel(selectedMonth))}</strong>
+      <div class="table-controls">
+        <button class="btn btn--primary btn--sm" id="perf-sheet-print">🖨 Imprimir</button>
+        <button class="btn btn--ghost btn--sm" id="perf-sheet-close">Cerrar</button>
+      </div>
+    </div>
+    ${known.map(buildSheetHTML).join('')}`;
+  panel.style.display = 'block';
+
+  panel.querySelector('#perf-sheet-print').addEventListener('click', () => window.print());
+  panel.querySelector('#perf-sheet-close').addEventListener('click', () => {
+    sheetOperatorId = null;
+    hideSheets();
+  });
+}
+
+function hideSheets() {
+  const panel = document.getElementById('perf-sheets');
+  panel.style.display = 'none';
+  panel.innerHTML     = '';
+}
+
+function buildSheetHTML(operatorId) {
+  const id        = String(operatorId);
+  const operator  = allOperators.find(o => String(o.id) === id);
+  const scorecards = current();
+  const { plant } = scorecards;
+  const card      = scorecards.operators.find(c => c.operatorId === id) || null;
+  const ranked    = SCORECARD_METRICS.map(m => ({
+    metric: m,
+    entry:  getScorecardRanking(scorecards, m.key).find(e => e.scorecard.operatorId === id) || null,
+    of:     scorecards.operators.filter(c => c[m.key] != null).length,
+  }));
+
+  const [from, to] = monthRange(selectedMonth);
+  const records = allProduction.filter(r =>
+    String(r.operatorId) === id && r.productionDate >= from && r.productionDate <= to);
+  const days = new Map();
+  for (const r of records) {
+    if (!days.has(r.productionDate)) days.set(r.productionDate, { shifts: new Set(), packages: 0, products: new Set() });
+    const d = days.get(r.productionDate);
+    d.shifts.add(r.shift || '—');
+    d.packages += r.quantity || 0;
+    d.products.add(productName(r.productId));
+  }
+  const rejectedLogs = card ? card.logsRejected : 0;
+
+  return `
+    <div class="perf-sheet">
+      <div class="perf-sheet__header">
+        <div>
+          <div class="perf-sheet__company">${escapeHTML(COMPANY_NAME)}</div>
+          <div class="perf-sheet__title">Hoja de desempeño mensual</div>
+        </div>
+        <div class="perf-sheet__meta">
+          <div><strong>${escapeHTML(operator?.name || id)}</strong></div>
+          ${operator?.document ? `<div>Cédula: ${escapeHTML(operator.document)}</div>` : ''}
+          <div>Mes: ${escapeHTML(monthLabel(selectedMonth))}</div>
+        </div>
+      </div>
+
+      ${card ? '' : '<p class="perf-note">Sin actividad registrada en el mes.</p>'}
+
+      <div class="perf-sheet__section">Indicadores</div>
+      <table class="perf-sheet__table">
+        <thead>
+          <tr>
+            <th>Indicador</th>
+            <th class="text-right">Operario</th>
+            <th class="text-right">Planta</th>
+            <th class="text-right">vs planta</th>
+            <th class="text-right">Posición</th>
+            <th>Últimos ${SCORECARD_TREND_MONTHS} meses</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Turnos / paquetes</td>
+            <td class="text-right">${formatNumber(card?.shifts || 0)} / ${formatNumber(card?.packages || 0)}</td>
+            <td class="text-right">${formatNumber(plant.shifts)} / ${formatNumber(plant.packages)}</td>
+            <td></td><td></td>
+            <td>${sparkline(operatorTrend(id, 'packages'))}</td>
+          </tr>
+          ${ranked.map(({ metric, entry, of }) => `
+          <tr>
+            <td>${metric.label}</td>
+            <td class="text-right">${card ? formatMetric(metric.key, card) : '—'}</td>
+            <td class="text-right">${formatMetric(metric.key, plant)}</td>
+            <td class="text-right">${vsPlantTag(entry) || '—'}</td>
+            <td class="text-right">${entry?.rank ? `${entry.rank} de ${of}` : '—'}</td>
+            <td>${sparkline(operatorTrend(id, metric.key))}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      ${card ? `
+      <p class="perf-note">
+        Pesajes: ${card.weighings}${card.weightBiasPct != null
+          ? ` · sesgo ${card.weightBiasPct > 0 ? '+' : ''}${formatNumber(card.weightBiasPct, 1)} % (${card.weightBiasPct > 0 ? 'pesado' : 'liviano'})` : ''}
+        · Registros diarios: ${card.logsConfirmed} confirmado${card.logsConfirmed !== 1 ? 's' : ''},
+        ${rejectedLogs} rechazado${rejectedLogs !== 1 ? 's' : ''}
+        · Costo laboral: ${formatCurrency(card.laborCost)}${card.laborCostEstimated ? ' (estimado)' : ''}
+      </p>` : ''}
+
+      ${days.size > 0 ? `
+      <div class="perf-sheet__section">Producción del mes</div>
+      <table class="perf-sheet__table">
+        <thead>
+          <tr><th>Fecha</th><th>Turnos</th><th>Productos</th><th class="text-right">Paquetes</th></tr>
+        </thead>
+        <tbody>
+          ${[...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, d]) => `
+          <tr>
+            <td>${formatDate(date)}</td>
+            <td>${escapeHTML([...d.shifts].join(', '))}</td>
+            <td>${escapeHTML([...d.products].join(', '))}</td>
+            <td class="text-right">${formatNumber(d.packages)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : ''}
+
+      <div class="perf-sheet__section">Observaciones</div>
+      <div class="perf-sheet__notes"></div>
+
+      <div class="perf-sheet__signatures">
+        <div class="perf-sheet__signature">
+          <div class="perf-sheet__signature-line"></div>
+          ${escapeHTML(operator?.name || 'Operario')}
+        </div>
+        <div class="perf-sheet__signature">
+          <div class="perf-sheet__signature-line"></div>
+          Supervisor
+        </div>
+      </div>
+    </div>`;
+}
+
+// ─── Listeners ────────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('perf-month').addEventListener('change', e => {
+    if (!e.target.value) return;
+    selectedMonth = e.target.value;
+    loadAll();
+  });
+  document.getElementById('perf-metric').addEventListener('change', e => {
+    rankMetric = e.target.value;
+    renderRanking();
+  });
+  document.getElementById('perf-print-all').addEventListener('click', () => {
+    const ids = getScorecardRanking(current(), rankMetric).map(e => e.scorecard.operatorId);
+    if (ids.length === 0) {
+      showFeedback('No hay operarios con actividad en el mes.', 'info');
+      return;
+    }
+    renderSheets(ids);
+    window.addEventListener('afterprint', () => {
+      if (sheetOperatorId) renderSheets([sheetOperatorId]);
+      else                 hideSheets();
+    }, { once: true });
+    window.print();
+  });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Inline SVG sparkline of a series; null values leave a gap and the last
+ * value gets a dot. "—" when nothing to draw.
+ * @param {(number|null)[]} values
+ */
+function sparkline(values, width = 90, height = 24) {
+  const points = values.map((v, i) => (v == null ? null : [i, v])).filter(Boolean);
+  if (points.length === 0) return '<span class="perf-note">—</span>';
+
+  const min  = Math.min(...points.map(p => p[1]));
+  const max  = Math.max(...points.map(p => p[1]));
+  const step = values.length > 1 ? (width - 4) / (values.length - 1) : 0;
+  const x    = i => 2 + i * step;
+  const y    = v => (max === min ? height / 2 : height - 2 - (v - min) / (max - min) * (height - 4));
+
+  // Break the line where a month has no value
+  const segments = [];
+  let segment    = [];
+  values.forEach((v, i) => {
+    if (v == null) { if (segment.length) segments.push(segment); segment = []; return; }
+    segment.push(`${x(i).toFixed(1)},${y(v).toFixed(1)}`);
+  });
+  if (segment.length) segments.push(segment);
+
+  const [lastI, lastV] = points[points.length - 1];
+  return `
+    <svg class="perf-spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+      ${segments.map(s => (s.length > 1
+        ? `<polyline points="${s.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5"/>`
+        : '')).join('')}
+      <circle cx="${x(lastI).toFixed(1)}" cy="${y(lastV).toFixed(1)}" r="2.2" fill="currentColor"/>
+    </svg>`;
+}
+
+/** Display value of one scorecard metric. */
+function formatMetric(key, c) {
+  const v = c[key];
+  if (v == null) return '—';
+  switch (key) {
+    case 'packagesPerShift':   return formatNumber(v, 1);
+    case 'weightDeviationPct': return `${formatNumber(v, 2)} %`;
+    case 'rejectionRate':
+      return `${formatNumber(v * 100, 1)} % <span class="perf-sub">(${c.logsRejected}/${c.logsConfirmed + c.logsRejected})</span>`;
+    case 'laborCostPerPackage':
+      return `${c.laborCostEstimated ? '<span class="perf-estimated" title="Estimado">≈</span> ' : ''}${formatCurrency(v)}`;
+    default: return formatNumber(v);
+  }
+}
+
+function operatorName(id) {
+  return allOperators.find(o => String(o.id) === String(id))?.name || '[Operario eliminado]';
+}
+
+function productName(id) {
+  return allProducts.find(p => String(p.id) === String(id))?.name || '—';
+}
+
+/** The SCORECARD_TREND_MONTHS months ending with `month`, oldest first. */
+function trendMonths(month) {
+  const [y, m] = month.split('-').map(Number);
+  return Array.from({ length: SCORECARD_TREND_MONTHS }, (_, i) => {
+    const d = new Date(y, m - SCORECARD_TREND_MONTHS + i, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+  });
+}
+
+/** First and last day of "YYYY-MM". */
+function monthRange(month) {
+  const [y, m] = month.split('-').map(Number);
+  const last   = new Date(y, m, 0).getDate();
+  return [`${month}-01`, `${month}-${String(last).padStart(2, '0')}`];
+}
+
+/** "2026-10" → "octubre 2026" */
+function monthLabel(month) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('es-DO', { month: 'long', year: 'numeric' });
+}
+
+function showLoading(loading) {
+  document.getElementById('perf-loading').style.display = loading ? 'flex' : 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function formatNumber(value, decimals = 0) {
+  return Number(value || 0).toLocaleString('es-DO', {
+    minimumFractionDigits: decimals, maximumFractionDigits: decimals,
+  });
+}
+
+function formatCurrency(value) {
+  return `RD$ ${formatNumber(value, 2)}`;
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('operator-performance-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'operator-performance-module-styles';
+  tag.textContent = `
+    .perf-note { margin: 0; font-size: 0.8rem; color: var(--color-text-muted); }
+    .perf-note--pad { padding: var(--space-sm) var(--space-lg) var(--space-md); }
+    .perf-sub { font-size: 0.75rem; color: var(--color-text-muted); }
+    .perf-estimated { color: var(--color-warning); font-weight: 700; }
+
+    .perf-stats {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+      gap: var(--space-md); padding: var(--space-md) var(--space-lg);
+    }
+    .perf-stat { display: flex; flex-direction: column; gap: 4px; }
+    .perf-stat__label {
+      font-size: 0.7rem; font-weight: 700; letter-spacing: 0.08em; text-transform: uppercase;
+      color: var(--color-text-muted);
+    }
+    .perf-stat__value { font-family: var(--font-mono); font-size: 1.4rem; }
+
+    .perf-rank { font-family: var(--font-mono); font-weight: 700; }
+    .perf-col--active { background: rgba(255,255,255,0.04); }
+    .perf-vs { font-size: 0.72rem; color: var(--color-text-muted); }
+    .perf-vs--better { color: var(--color-success); }
+    .perf-vs--worse  { color: var(--color-danger); }
+    .perf-spark { display: block; color: var(--color-primary, #3b82f6); }
+
+    .perf-sheets-toolbar {
+      display: flex; align-items: center; justify-content: space-between;
+      padding: var(--space-md) var(--space-lg);
+    }
+    .perf-sheet {
+      background: var(--color-bg-card); border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg); padding: var(--space-lg);
+      margin-bottom: var(--space-md); max-width: 900px;
+    }
+    .perf-sheet__header {
+      display: flex; justify-content: space-between; gap: var(--space-md);
+      border-bottom: 2px solid var(--color-border); padding-bottom: var(--space-sm);
+      margin-bottom: var(--space-md);
+    }
+    .perf-sheet__company { font-family: var(--font-display); font-weight: 700; font-size: 1.05rem; }
+    .perf-sheet__title   { font-size: 0.85rem; color: var(--color-text-muted); }
+    .perf-sheet__meta    { text-align: right; font-size: 0.85rem; }
+    .perf-sheet__section {
+      margin: var(--space-md) 0 var(--space-xs); font-size: 0.72rem; font-weight: 700;
+      letter-spacing: 0.08em; text-transform: uppercase; color: var(--color-text-muted);
+    }
+    .perf-sheet__table { width: 100%; border-collapse: collapse; font-size: 0.85rem; margin-bottom: var(--space-sm); }
+    .perf-sheet__table th, .perf-sheet__table td {
+      padding: 4px 6px; border-bottom: 1px solid var(--color-border); vertical-align: middle;
+    }
+    .perf-sheet__table thead th { font-size: 0.75rem; color: var(--color-text-muted); text-align: left; }
+    .perf-sheet__table thead th.text-right { text-align: right; }
+    .perf-sheet__notes { height: 70px; border: 1px solid var(--color-border); border-radius: var(--radius-md); }
+    .perf-sheet__signatures { display: flex; gap: var(--space-xl); margin-top: var(--space-xl); }
+    .perf-sheet__signature  { flex: 1; font-size: 0.8rem; text-align: center; color: var(--color-text-muted); }
+    .perf-sheet__signature-line { border-top: 1px solid currentColor; margin-bottom: 4px; height: 40px; }
+
+    @media print {
+      ${printOnlyCss('#operator-performance-module', '#perf-sheets', {
+        hide:  ['.perf-sheets-toolbar'],
+        sheet: '.perf-sheet',
+      })}
+      .perf-sheet { break-after: page; page-break-after: always; }
+      .perf-sheet:last-of-type { break-after: auto; page-break-after: auto; }
+      .perf-sheet .perf-note,
+      .perf-sheet__title,
+      .perf-sheet__section,
+      .perf-sheet__signature,
+      .perf-sheet__table thead th { color: #555555 !important; }
+      .perf-sheet__table th, .perf-sheet__table td,
+      .perf-sheet__notes { border-color: #cccccc !important; color: #111111 !important; }
+      .perf-spark { color: #111111 !important; }
+      .perf-vs--better { color: #1a7f37 !important; }
+      .perf-vs--worse  { color: #b42318 !important; }
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -5,6 +5,15 @@
  *  - Render the operator form (create / edit)
  *  - Load and display the operators table
  *  - Activate / deactivate operators (no permanent delete)
+ *  - Piece-rate table (PieceRatesAPI): RD$ per package by product, machine
+ *    and / or shift with effective dates, plus per-operator overrides.
+ *    Production and the daily-log confirmation fill the operator rate from
+ *    it (api.js → getPieceRate); create / update / remove gated by role
+ *  - Shift catalog (ShiftsAPI): name, hours, night flag and the night /
+ *    overtime premiums payroll adds (api.js → computeShiftPremiums), plus
+ *    the policy for a second shift on the same day (ProductionSettingsAPI)
+ *  - Production history modal, with a shortcut to the operator's sheet in
+ *    Desempeño (operator-performance.js)
  *
  * Operators are permanent factory employees. Deleting them is not permitted
  * because historical production records reference their id. Deactivating
@@ -24,11 +33,17 @@ import { OperatorsAPI, ChangeHistoryAPI } from '../api.js';
 import { ProductionAPI } from '../api.js';
 import { MachinesAPI }   from '../api.js';
 import { ProductsAPI }   from '../api.js';
-import { AuthAPI }       from '../auth.js';
+import { PieceRatesAPI } from '../api.js';
+import { ShiftsAPI, ProductionSettingsAPI, MULTI_SHIFT_POLICIES, getShiftNames } from '../api.js';
+import { OPERATOR_SCORECARD_HANDOFF_KEY } from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
 
+/** Role of the signed-in user — gates the piece-rate and shift actions. */
+let _currentRole  = 'solo-lectura';
+
 // ─── Module State ─────────────────────────────────────────────────────────────
 
 /** Holds the operator currently being edited, or null for "create" mode. */
@@ -52,6 +67,15 @@ let activeFilter = 'all';
 let machineMap = new Map();
 let productMap = new Map();
 
+/** Piece-rate rows and the products / machines they refer to. */
+let allRates       = [];
+let rateProducts   = [];
+let rateMachines   = [];
+
+/** Shift catalog and the multiple-shift policy. */
+let allShifts          = [];
+let productionSettings = null;
+
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
 /**
@@ -68,8 +92,20 @@ export async function mountOperators(container) {
       name: session?.user?.email ?? 'Sistema',
     };
   } catch { /* anon mode */ }
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  injectStyles();
+  applyRolePermissions();
   attachFormListeners();
-  loadOperators();
+  await loadOperators();
+  loadRates();
+  loadShifts();
+}
+
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('operator-form-card');
+  if (formCard) formCard.style.display = 'none';
 }
 
 // ─── HTML Builder ─────────────────────────────────────────────────────────────
@@ -188,6 +224,48 @@ function buildModuleHTML() {
               <span class="form-hint">Opcional — descripción del rol.</span>
             </div>
 
+            <!-- Banco -->
+            <div class="form-group">
+              <label class="form-label" for="operator-field-bank-name">
+                Banco
+              </label>
+              <input
+                class="form-input"
+                type="text"
+                id="operator-field-bank-name"
+                placeholder="Ej: Banreservas"
+                maxlength="60"
+              >
+              <span class="form-hint">Opcional — banco donde se deposita la nómina.</span>
+            </div>
+
+            <!-- Número de cuenta -->
+            <div class="form-group">
+              <label class="form-label" for="operator-field-bank-account">
+                Número de Cuenta
+              </label>
+              <input
+                class="form-input"
+                type="text"
+                id="operator-field-bank-account"
+                placeholder="Ej: 9601234567"
+                maxlength="30"
+              >
+              <span class="form-hint">Opcional — requerido para el archivo de pago al banco.</span>
+            </div>
+
+            <!-- Tipo de cuenta -->
+            <div class="form-group">
+              <label class="form-label" for="operator-field-bank-type">Tipo de Cuenta</label>
+              <div class="select-wrapper">
+                <select class="form-input form-select" id="operator-field-bank-type">
+                  <option value="">—</option>
+                  <option value="savings">Ahorros</option>
+                  <option value="checking">Corriente</option>
+                </select>
+              </div>
+            </div>
+
             <!-- Estado — solo visible en modo edición -->
             <div class="form-group" id="operator-status-group" style="display:none;">
               <label class="form-label" for="operator-field-active">Estado</label>
@@ -271,6 +349,44 @@ function buildModuleHTML() {
         </div>
 
       </div>
+
+      <!-- ── Piece Rates Card ── -->
+      <div class="card" id="operator-rates-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">$</span>
+            Tarifas por paquete
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="operator-rate-new-btn">+ Nueva tarifa</button>
+        </div>
+        <div class="op-rate-body" id="operator-rate-list">
+          <p class="op-rate-empty">Cargando tarifas…</p>
+        </div>
+      </div>
+
+      <!-- ── Shifts Card ── -->
+      <div class="card" id="operator-shifts-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">◷</span>
+            Turnos
+          </h2>
+          <button class="btn btn--ghost btn--sm" id="operator-shift-new-btn">+ Nuevo turno</button>
+        </div>
+        <div class="op-rate-body">
+          <div class="op-shift-policy">
+            <label class="form-label" for="operator-shift-policy">Más de un turno por operario en el mismo día</label>
+            <div class="select-wrapper">
+              <select class="form-input form-select" id="operator-shift-policy">
+                ${MULTI_SHIFT_POLICIES.map(p => `<option value="${p.value}">${p.label}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div id="operator-shift-list">
+            <p class="op-rate-empty">Cargando turnos…</p>
+          </div>
+        </div>
+      </div>
     </section>
   `;
 }
@@ -376,7 +492,7 @@ function buildTableRow(operator) {
           data-id="${operator.id}"
           title="Ver producción"
         >📊 Ver producción</button>
-        <button
+        ${canPerform(_currentRole, 'update') ? `<button
           class="btn btn--ghost btn--xs"
           data-action="edit"
           data-id="${operator.id}"
@@ -388,7 +504,7 @@ function buildTableRow(operator) {
           data-id="${operator.id}"
           data-active="${isActive}"
           title="${toggleLabel} operario"
-        >${toggleLabel}</button>
+        >${toggleLabel}</button>` : ''}
       </td>
     </tr>
   `;
@@ -410,6 +526,13 @@ function attachFormListeners() {
   searchInput.addEventListener('input',   applyFilters);
   statusFilter.addEventListener('change', applyFilters);
 
+  document.getElementById('operator-rate-new-btn')
+    .addEventListener('click', () => openRateModal(null));
+  document.getElementById('operator-shift-new-btn')
+    .addEventListener('click', () => openShiftModal(null));
+  document.getElementById('operator-shift-policy')
+    .addEventListener('change', handlePolicyChange);
+
   // Input masks — format as user types, preserve cursor intent
   document.getElementById('operator-field-document').addEventListener('input', function () {
     const formatted = formatDocumentInput(this.value);
@@ -430,6 +553,7 @@ function attachFormListeners() {
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, editingOperator ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('operator-submit-btn');
@@ -443,7 +567,8 @@ async function handleFormSubmit(e) {
       await OperatorsAPI.update(editingOperator.id, payload);
       showFeedback('Operario actualizado correctamente.', 'success');
       const changes = _opDiff(editingOperator, payload,
-        ['name', 'document', 'phone', 'email', 'position', 'isActive']);
+        ['name', 'document', 'phone', 'email', 'position',
+         'bankName', 'bankAccountNumber', 'bankAccountType', 'isActive']);
       ChangeHistoryAPI.log({
         entity_type: 'operator', entity_id: editingOperator.id,
         entity_name: payload.name, action: 'editar', changes,
@@ -476,6 +601,7 @@ async function handleFormSubmit(e) {
  * @param {string} operatorId
  */
 function handleEdit(operatorId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const operator = allOperators.find(o => String(o.id) === String(operatorId));
   if (!operator) return;
 
@@ -488,6 +614,9 @@ function handleEdit(operatorId) {
   document.getElementById('operator-field-phone').value    = formatPhoneInput(operator.phone    || '');
   document.getElementById('operator-field-email').value    = operator.email    || '';
   document.getElementById('operator-field-position').value = operator.position || '';
+  document.getElementById('operator-field-bank-name').value    = operator.bankName          || '';
+  document.getElementById('operator-field-bank-account').value = operator.bankAccountNumber || '';
+  document.getElementById('operator-field-bank-type').value    = operator.bankAccountType   || '';
   document.getElementById('operator-field-active').value   = String(operator.isActive !== false);
 
   // Show the status field — only visible during edit
@@ -516,6 +645,7 @@ function handleEdit(operatorId) {
  * @param {boolean} currentlyActive
  */
 async function handleToggleStatus(operatorId, currentlyActive) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   if (currentlyActive) {
     // Deactivation is irreversible from the production dropdown — confirm first
     if (!confirm('¿Deseas desactivar este operario?')) return;
@@ -766,6 +896,9 @@ function collectFormData() {
     phone:    document.getElementById('operator-field-phone').value.replace(/\D/g, '')    || '',
     email:    document.getElementById('operator-field-email').value.trim()    || '',
     position: document.getElementById('operator-field-position').value.trim() || '',
+    bankName:          document.getElementById('operator-field-bank-name').value.trim() || '',
+    bankAccountNumber: document.getElementById('operator-field-bank-account').value.replace(/[^\dA-Za-z]/g, '') || '',
+    bankAccountType:   document.getElementById('operator-field-bank-type').value || '',
   };
 
   // Only include isActive when the status field is visible (edit mode)
@@ -850,6 +983,545 @@ function setButtonLoading(btn, loading) {
     : btn.dataset.originalText;
 }
 
+// ─── Piece Rates ──────────────────────────────────────────────────────────────
+
+/** Fetch the rate table with its products and machines, then render it. */
+async function loadRates() {
+  try {
+    [allRates, rateProducts, rateMachines] = await Promise.all([
+      PieceRatesAPI.getAll(),
+      ProductsAPI.getAll().catch(() => []),
+      MachinesAPI.getAll().catch(() => []),
+    ]);
+    renderRates();
+  } catch (err) {
+    document.getElementById('operator-rate-list').innerHTML =
+      `<p class="op-rate-empty">Error al cargar las tarifas: ${escapeHTML(err.message)}</p>`;
+  }
+}
+
+function rateProductLabel(productId) {
+  if (!productId) return 'Todos';
+  return rateProducts.find(p => String(p.id) === String(productId))?.name || '[Producto eliminado]';
+}
+
+function rateMachineLabel(machineId) {
+  if (!machineId) return 'Todas';
+  const m = rateMachines.find(x => String(x.id) === String(machineId));
+  return m ? `${m.code} — ${m.name}` : '[Máquina eliminada]';
+}
+
+function rateOperatorLabel(operatorId) {
+  if (!operatorId) return 'Todos';
+  return allOperators.find(o => String(o.id) === String(operatorId))?.name || '[Operario eliminado]';
+}
+
+/** Combination a row applies to — rows sharing it are versions of one rate. */
+function rateKey(r) {
+  return [r.productId, r.machineId, r.shift, r.operatorId].map(v => v ?? '').join('|');
+}
+
+function rateEntityName(r) {
+  const parts = [rateProductLabel(r.productId), rateMachineLabel(r.machineId), r.shift || 'Todos los turnos'];
+  if (r.operatorId) parts.push(rateOperatorLabel(r.operatorId));
+  return `Tarifa ${parts.join(' · ')}`;
+}
+
+/** Rate rows, overrides last; each row flagged Vigente / Programada / Anterior. */
+function renderRates() {
+  const el  = document.getElementById('operator-rate-list');
+  const btn = document.getElementById('operator-rate-new-btn');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+
+  if (allRates.length === 0) {
+    el.innerHTML = '<p class="op-rate-empty">Sin tarifas registradas. La tarifa se escribe a mano en cada registro de producción.</p>';
+    return;
+  }
+
+  const today   = todayString();
+  const current = new Map();   // key → id of the row in force today
+  for (const r of allRates) {
+    if (r.effectiveFrom > today) continue;
+    const prev = current.get(rateKey(r));
+    if (!prev || r.effectiveFrom > prev.effectiveFrom) current.set(rateKey(r), r);
+  }
+  const statusOf = r => r.effectiveFrom > today ? ['Programada', 'badge--blue']
+    : current.get(rateKey(r))?.id === r.id ? ['Vigente', 'badge--green'] : ['Anterior', 'badge--gray'];
+
+  const rows = [...allRates].sort((a, b) =>
+    (a.operatorId ? 1 : 0) - (b.operatorId ? 1 : 0) ||
+    rateKey(a).localeCompare(rateKey(b)) ||
+    b.effectiveFrom.localeCompare(a.effectiveFrom));
+
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Producto</th>
+            <th>Máquina</th>
+            <th>Turno</th>
+            <th>Operario</th>
+            <th class="text-right">RD$ / paquete</th>
+            <th>Desde</th>
+            <th>Estado</th>
+            <th class="text-center">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(r => {
+            const [label, cls] = statusOf(r);
+            return `
+            <tr class="table-row ${label === 'Anterior' ? 'table-row--inactive' : ''}">
+              <td>${escapeHTML(rateProductLabel(r.productId))}</td>
+              <td>${escapeHTML(rateMachineLabel(r.machineId))}</td>
+              <td>${escapeHTML(r.shift || 'Todos')}</td>
+              <td>${r.operatorId ? `<span class="badge badge--purple">${escapeHTML(rateOperatorLabel(r.operatorId))}</span>` : 'Todos'}</td>
+              <td class="text-right">${modalFormatCurrency(r.rate)}</td>
+              <td>${modalFormatDate(r.effectiveFrom)}</td>
+              <td><span class="badge ${cls}">${label}</span></td>
+              <td class="text-center td-actions">
+                ${canPerform(_currentRole, 'create') ? `<button class="btn btn--ghost btn--xs" data-rate-action="version" data-id="${escapeHTML(r.id)}" title="Nueva tarifa para la misma combinación">↻ Nueva vigencia</button>` : ''}
+                ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-rate-action="edit" data-id="${escapeHTML(r.id)}">✎ Editar</button>` : ''}
+                ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-rate-action="delete" data-id="${escapeHTML(r.id)}">✕</button>` : ''}
+              </td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="op-rate-note">
+      Se aplica la fila más específica: primero la del operario, luego la que fija más de producto, máquina y turno.
+      La tarifa queda como snapshot en cada registro — cambiar la tabla no modifica registros anteriores.
+    </p>`;
+
+  el.querySelectorAll('[data-rate-action]').forEach(btn => {
+    const rate = allRates.find(r => r.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.rateAction === 'version') openRateModal(null, rate);
+      if (btn.dataset.rateAction === 'edit')    openRateModal(rate);
+      if (btn.dataset.rateAction === 'delete')  handleDeleteRate(rate);
+    });
+  });
+}
+
+/**
+ * Create / edit a rate row. `base` prefills a new row from an existing one
+ * (new effective date for the same combination).
+ */
+function openRateModal(rate, base = null) {
+  if (!guardAction(_currentRole, rate ? 'update' : 'create', showFeedback)) return;
+
+  const src = rate || base || {};
+  const option = (value, label, selected) =>
+    `<option value="${escapeHTML(String(value))}" ${selected ? 'selected' : ''}>${escapeHTML(label)}</option>`;
+  const productOptions = rateProducts
+    .filter(p => p.type === 'manufactured' && (p.active !== false || String(p.id) === String(src.productId)))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => option(p.id, p.name, String(p.id) === String(src.productId))).join('');
+  const machineOptions = rateMachines
+    .filter(m => m.isActive !== false || String(m.id) === String(src.machineId))
+    .map(m => option(m.id, `${m.code} — ${m.name}`, String(m.id) === String(src.machineId))).join('');
+  const shiftOptions = getShiftNames(allShifts, src.shift)
+    .map(shift => option(shift, shift, shift === src.shift)).join('');
+  const operatorOptions = allOperators
+    .filter(o => o.isActive !== false || String(o.id) === String(src.operatorId))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(o => option(o.id, o.name, String(o.id) === String(src.operatorId))).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'op-rate-modal-overlay';
+  overlay.innerHTML = `
+    <div class="op-rate-modal" role="dialog" aria-modal="true" aria-labelledby="op-rate-title">
+      <h3 id="op-rate-title" class="op-rate-modal__title">${rate ? 'Editar tarifa' : 'Nueva tarifa por paquete'}</h3>
+      <div class="form-grid">
+        <div class="form-group">
+          <label class="form-label" for="op-rate-product">Producto</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="op-rate-product">
+              <option value="">Todos los productos</option>
+              ${productOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-rate-machine">Máquina</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="op-rate-machine">
+              <option value="">Todas las máquinas</option>
+              ${machineOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-rate-shift">Turno</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="op-rate-shift">
+              <option value="">Todos los turnos</option>
+              ${shiftOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-rate-operator">Solo para el operario</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="op-rate-operator">
+              <option value="">Todos los operarios</option>
+              ${operatorOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-rate-value">RD$ por paquete <span class="required">*</span></label>
+          <input class="form-input" type="number" id="op-rate-value" min="0.01" step="0.01"
+                 value="${src.rate ?? ''}" placeholder="Ej: 70">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-rate-from">Vigente desde <span class="required">*</span></label>
+          <input class="form-input" type="date" id="op-rate-from"
+                 value="${escapeHTML(rate ? rate.effectiveFrom : todayString())}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="op-rate-notes">Notas</label>
+          <input class="form-input" type="text" id="op-rate-notes" maxlength="200"
+                 value="${escapeHTML(rate?.notes || '')}">
+        </div>
+      </div>
+      <span class="form-hint">Deja un campo en "Todos" para que la tarifa aplique a cualquier valor.</span>
+      <span class="form-error" id="op-rate-error"></span>
+      <div class="op-rate-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="op-rate-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="op-rate-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#op-rate-cancel').addEventListener('click', close);
+
+  $('#op-rate-save').addEventListener('click', async () => {
+    const errEl   = $('#op-rate-error');
+    const payload = {
+      productId:     $('#op-rate-product').value  || null,
+      machineId:     $('#op-rate-machine').value  || null,
+      shift:         $('#op-rate-shift').value    || null,
+      operatorId:    $('#op-rate-operator').value || null,
+      rate:          parseFloat($('#op-rate-value').value),
+      effectiveFrom: $('#op-rate-from').value,
+      notes:         $('#op-rate-notes').value.trim(),
+    };
+
+    let error = '';
+    if (!(payload.rate > 0))           error = 'La tarifa debe ser mayor a 0.';
+    else if (!payload.effectiveFrom)   error = 'Indica desde qué fecha aplica la tarifa.';
+    else if (allRates.some(r => rateKey(r) === rateKey(payload) &&
+      r.effectiveFrom === payload.effectiveFrom && !(rate && r.id === rate.id))) {
+      error = 'Ya existe una tarifa para esa combinación con la misma fecha.';
+    }
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#op-rate-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (rate) {
+        await PieceRatesAPI.update(rate.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'piece_rate', entity_id: rate.id, entity_name: rateEntityName(payload),
+          action: 'editar',
+          changes: _opDiff(rate, payload,
+            ['productId', 'machineId', 'shift', 'operatorId', 'rate', 'effectiveFrom', 'notes']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await PieceRatesAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'piece_rate', entity_id: created.id, entity_name: rateEntityName(payload),
+          action: 'crear',
+          changes: { rate: { before: base?.rate ?? null, after: payload.rate } },
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Tarifa guardada.', 'success');
+      await loadRates();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleDeleteRate(rate) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !rate) return;
+  const entityName = rateEntityName(rate);
+  if (!confirm(`¿Eliminar la ${entityName.toLowerCase()} vigente desde ${modalFormatDate(rate.effectiveFrom)}?\n\n` +
+    'Los registros de producción conservan la tarifa con la que se guardaron.')) return;
+  try {
+    await PieceRatesAPI.remove(rate.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'piece_rate', entity_id: rate.id, entity_name: entityName,
+      action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Tarifa eliminada.', 'success');
+    await loadRates();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+// ─── Shifts ───────────────────────────────────────────────────────────────────
+
+/** Fetch the shift catalog and the multiple-shift policy, then render them. */
+async function loadShifts() {
+  try {
+    [allShifts, productionSettings] = await Promise.all([
+      ShiftsAPI.getAll(),
+      ProductionSettingsAPI.get(),
+    ]);
+    renderShifts();
+  } catch (err) {
+    document.getElementById('operator-shift-list').innerHTML =
+      `<p class="op-rate-empty">Error al cargar los turnos: ${escapeHTML(err.message)}</p>`;
+  }
+}
+
+/** "22:00 – 06:00 (+1)" — end before start crosses midnight. */
+function shiftHoursLabel(s) {
+  return `${s.startTime} – ${s.endTime}${s.endTime <= s.startTime ? ' (+1)' : ''}`;
+}
+
+function renderShifts() {
+  const el     = document.getElementById('operator-shift-list');
+  const btn    = document.getElementById('operator-shift-new-btn');
+  const policy = document.getElementById('operator-shift-policy');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+  if (policy) {
+    policy.value    = productionSettings?.multiShiftPolicy || 'warn';
+    policy.disabled = !canPerform(_currentRole, 'update');
+  }
+
+  if (allShifts.length === 0) {
+    el.innerHTML = '<p class="op-rate-empty">Sin turnos en el catálogo. Se usan Matutino, Vespertino y Nocturno, sin recargos.</p>';
+    return;
+  }
+
+  const pct = v => v > 0 ? `${modalFormatNumber(v)} %` : '—';
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Turno</th>
+            <th>Horario</th>
+            <th class="text-right">Recargo nocturno</th>
+            <th class="text-right">Recargo horas extra</th>
+            <th>Estado</th>
+            <th class="text-center">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${[...allShifts].sort((a, b) => a.sortOrder - b.sortOrder).map(s => `
+            <tr class="table-row ${s.isActive ? '' : 'table-row--inactive'}">
+              <td>
+                <strong>${escapeHTML(s.name)}</strong>
+                ${s.isNight ? '<span class="badge badge--purple">Nocturno</span>' : ''}
+              </td>
+              <td>${escapeHTML(shiftHoursLabel(s))}</td>
+              <td class="text-right">${s.isNight ? pct(s.nightPremiumPct) : '—'}</td>
+              <td class="text-right">${pct(s.overtimePremiumPct)}</td>
+              <td><span class="badge ${s.isActive ? 'badge--green' : 'badge--gray'}">${s.isActive ? 'Activo' : 'Inactivo'}</span></td>
+              <td class="text-center td-actions">
+                ${canPerform(_currentRole, 'update') ? `
+                  <button class="btn btn--ghost btn--xs" data-shift-action="edit" data-id="${escapeHTML(s.id)}">✎ Editar</button>
+                  <button class="btn btn--ghost btn--xs" data-shift-action="toggle" data-id="${escapeHTML(s.id)}">${s.isActive ? 'Desactivar' : 'Activar'}</button>` : ''}
+              </td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>
+    <p class="op-rate-note">
+      Los recargos son un % sobre el pago por paquetes del turno. El recargo de horas extra se paga en cada turno
+      adicional del operario en el mismo día (el primero según el orden del catálogo es el normal).
+      Las nóminas cerradas conservan los montos calculados.
+    </p>`;
+
+  el.querySelectorAll('[data-shift-action]').forEach(btn => {
+    const shift = allShifts.find(s => s.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.shiftAction === 'edit')   openShiftModal(shift);
+      if (btn.dataset.shiftAction === 'toggle') handleToggleShift(shift);
+    });
+  });
+}
+
+/** Create / edit a shift. The name is fixed once created — records store it. */
+function openShiftModal(shift) {
+  if (!guardAction(_currentRole, shift ? 'update' : 'create', showFeedback)) return;
+
+  const src = shift || {
+    startTime: '', endTime: '', isNight: false, nightPremiumPct: 0, overtimePremiumPct: 0,
+    sortOrder: allShifts.reduce((max, s) => Math.max(max, s.sortOrder), 0) + 1,
+  };
+
+  const overlay = document.createElement('div');
+  overlay.className = 'op-rate-modal-overlay';
+  overlay.innerHTML = `
+    <div class="op-rate-modal" role="dialog" aria-modal="true" aria-labelledby="op-shift-title">
+      <h3 id="op-shift-title" class="op-rate-modal__title">${shift ? 'Editar turno' : 'Nuevo turno'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="op-shift-name">Nombre <span class="required">*</span></label>
+          <input class="form-input" type="text" id="op-shift-name" maxlength="40"
+                 value="${escapeHTML(shift?.name || '')}" ${shift ? 'readonly' : ''} placeholder="Ej: Mixto">
+          ${shift ? '<span class="form-hint">Los registros guardan el nombre; para cambiarlo desactiva este turno y crea otro.</span>' : ''}
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-start">Inicio <span class="required">*</span></label>
+          <input class="form-input" type="time" id="op-shift-start" value="${escapeHTML(src.startTime)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-end">Fin <span class="required">*</span></label>
+          <input class="form-input" type="time" id="op-shift-end" value="${escapeHTML(src.endTime)}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-overtime">Recargo horas extra (%)</label>
+          <input class="form-input" type="number" id="op-shift-overtime" min="0" step="0.01"
+                 value="${src.overtimePremiumPct}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-order">Orden</label>
+          <input class="form-input" type="number" id="op-shift-order" min="0" step="1"
+                 value="${src.sortOrder}">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-night">
+            <input type="checkbox" id="op-shift-night" ${src.isNight ? 'checked' : ''}>
+            Turno nocturno
+          </label>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="op-shift-night-pct">Recargo nocturno (%)</label>
+          <input class="form-input" type="number" id="op-shift-night-pct" min="0" step="0.01"
+                 value="${src.nightPremiumPct}" ${src.isNight ? '' : 'disabled'}>
+        </div>
+      </div>
+      <span class="form-hint">Si el fin es anterior al inicio, el turno termina al día siguiente.</span>
+      <span class="form-error" id="op-shift-error"></span>
+      <div class="op-rate-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="op-shift-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="op-shift-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#op-shift-cancel').addEventListener('click', close);
+  $('#op-shift-night').addEventListener('change', e => { $('#op-shift-night-pct').disabled = !e.target.checked; });
+
+  $('#op-shift-save').addEventListener('click', async () => {
+    const errEl   = $('#op-shift-error');
+    const payload = {
+      name:               $('#op-shift-name').value.trim(),
+      startTime:          $('#op-shift-start').value,
+      endTime:            $('#op-shift-end').value,
+      isNight:            $('#op-shift-night').checked,
+      nightPremiumPct:    $('#op-shift-night').checked ? parseFloat($('#op-shift-night-pct').value) || 0 : 0,
+      overtimePremiumPct: parseFloat($('#op-shift-overtime').value) || 0,
+      sortOrder:          parseInt($('#op-shift-order').value, 10) || 0,
+    };
+
+    let error = '';
+    if (!payload.name)                                   error = 'El nombre es obligatorio.';
+    else if (!shift && allShifts.some(s => s.name.toLowerCase() === payload.name.toLowerCase())) {
+      error = 'Ya existe un turno con ese nombre.';
+    }
+    else if (!payload.startTime || !payload.endTime)     error = 'Indica la hora de inicio y de fin.';
+    else if (payload.startTime === payload.endTime)      error = 'El inicio y el fin no pueden ser iguales.';
+    else if (payload.nightPremiumPct < 0 || payload.overtimePremiumPct < 0) error = 'Los recargos no pueden ser negativos.';
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#op-shift-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (shift) {
+        await ShiftsAPI.update(shift.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'shift', entity_id: shift.id, entity_name: `Turno ${shift.name}`,
+          action: 'editar',
+          changes: _opDiff(shift, payload,
+            ['startTime', 'endTime', 'isNight', 'nightPremiumPct', 'overtimePremiumPct', 'sortOrder']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await ShiftsAPI.create({ ...payload, isActive: true });
+        ChangeHistoryAPI.log({
+          entity_type: 'shift', entity_id: created.id, entity_name: `Turno ${payload.name}`,
+          action: 'crear', changes: null,
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Turno guardado.', 'success');
+      await loadShifts();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleToggleShift(shift) {
+  if (!guardAction(_currentRole, 'update', showFeedback) || !shift) return;
+  const isActive = !shift.isActive;
+  if (!isActive && !confirm(`¿Desactivar el turno "${shift.name}"?\n\n` +
+    'Deja de aparecer en los formularios; los registros existentes lo conservan.')) return;
+  try {
+    await ShiftsAPI.update(shift.id, { isActive });
+    ChangeHistoryAPI.log({
+      entity_type: 'shift', entity_id: shift.id, entity_name: `Turno ${shift.name}`,
+      action: isActive ? 'activar' : 'desactivar',
+      changes: { isActive: { before: shift.isActive, after: isActive } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    await loadShifts();
+  } catch (err) {
+    showFeedback(`Error al actualizar el turno: ${err.message}`, 'error');
+  }
+}
+
+/** Save the multiple-shift policy picked in the Turnos card. */
+async function handlePolicyChange(e) {
+  const select = e.target;
+  const before = productionSettings?.multiShiftPolicy || 'warn';
+  if (!guardAction(_currentRole, 'update', showFeedback)) { select.value = before; return; }
+  select.disabled = true;
+  try {
+    productionSettings = await ProductionSettingsAPI.update({ multiShiftPolicy: select.value });
+    const label = v => MULTI_SHIFT_POLICIES.find(p => p.value === v)?.label || v;
+    ChangeHistoryAPI.log({
+      entity_type: 'shift', entity_id: 'multi-shift-policy', entity_name: 'Política de turnos múltiples',
+      action: 'editar',
+      changes: { multiShiftPolicy: { before: label(before), after: label(select.value) } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Política de turnos guardada.', 'success');
+  } catch (err) {
+    select.value = before;
+    showFeedback(`Error al guardar la política: ${err.message}`, 'error');
+  } finally {
+    select.disabled = false;
+  }
+}
+
 // ─── Operator Production Modal ────────────────────────────────────────────────
 
 /**
@@ -927,6 +1599,13 @@ async function showOperatorProductionModal(operatorId) {
     // Close button inside the modal header
     modal.querySelector('.op-modal__close').addEventListener('click', closeModal);
 
+    // Desempeño opens with this operator's monthly sheet
+    modal.querySelector('.op-modal__scorecard').addEventListener('click', () => {
+      sessionStorage.setItem(OPERATOR_SCORECARD_HANDOFF_KEY, String(operator.id));
+      closeModal();
+      window.location.hash = '#operator-performance';
+    });
+
     // Click on the dark backdrop (outside the panel) also closes
     modal.addEventListener('click', e => {
       if (e.target === modal) closeModal();
@@ -1046,9 +1725,14 @@ function buildProductionModal(operator, records, totalShifts, totalQuantity) {
             </p>
           </div>
         </div>
-        <button class="btn btn--ghost btn--sm op-modal__close" aria-label="Cerrar">
-          ✕ Cerrar
-        </button>
+        <div style="display:flex;gap:var(--space-sm);">
+          <button class="btn btn--ghost btn--sm op-modal__scorecard" title="Comparar con la planta">
+            ◭ Desempeño
+          </button>
+          <button class="btn btn--ghost btn--sm op-modal__close" aria-label="Cerrar">
+            ✕ Cerrar
+          </button>
+        </div>
       </div>
 
       <!-- ── Summary Panel ── -->
@@ -1290,4 +1974,59 @@ function escapeHTML(str) {
   const div = document.createElement('div');
   div.textContent = str;
   return div.innerHTML;
-}
\ No newline at end of file
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+/** Styles of the piece-rate card and its modal, injected once. */
+function injectStyles() {
+  if (document.getElementById('operators-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'operators-module-styles';
+  tag.textContent = `
+    .op-rate-body { padding: 0 var(--space-lg) var(--space-lg); }
+    .op-rate-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+    .op-rate-note {
+      margin: var(--space-sm) 0 0;
+      font-size: 0.8rem; color: var(--color-text-muted);
+    }
+    .op-shift-policy {
+      display: flex; align-items: center; gap: var(--space-md); flex-wrap: wrap;
+      margin-bottom: var(--space-md);
+    }
+    .op-shift-policy .form-label { margin: 0; }
+    .op-shift-policy .select-wrapper { min-width: 240px; }
+
+    .op-rate-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .op-rate-modal {
+      width: 100%; max-width: 600px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .op-rate-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .op-rate-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
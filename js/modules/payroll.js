@@ -4,16 +4,35 @@
  * Quincenal payroll: two pay periods per month.
  *   Q1 = days 01-15  |  Q2 = days 16-end-of-month
  *
- * Per-period stores (localStorage, internal to this module):
- *   capflow_payroll_config       — pay-scheme config per person per month
- *   capflow_payroll_adjustments  — bonus/deduction items per person per periodKey
+ * Per-period stores (Supabase, shared by every PC):
+ *   PayrollConfigAPI       — pay-scheme config per person per month
+ *   PayrollAdjustmentsAPI  — bonus/deduction items per person per periodKey
+ * Older builds kept both in localStorage (capflow_payroll_config /
+ * capflow_payroll_adjustments); importLegacyLocalData() moves them to the
+ * database once and clears the local keys.
  *
  * Data flow:
  *   • loadAll() fires one Promise.all for all APIs + PayrollAPI.getByPeriod
+ *   • Close re-reads config + adjustments first, so the snapshot reflects
+ *     the shared data even if another PC changed it meanwhile
  *   • computePay() filters production by [periodStart, periodEnd]
+ *   • Night / overtime premiums: % of the piece-rate pay per shift, from the
+ *     shift catalog (ShiftsAPI, Operarios → Turnos); a second shift the same
+ *     day is overtime — see computeShiftPremiums() in api.js
  *   • baseMonthlySalary is always halved (50/50 quincenal split)
+ *   • Unexcused absences (AttendanceAPI, Asistencia) take one day's salary
+ *     (monthly ÷ 23.83) each off the salary schemes — getAbsenceDeduction()
+ *   • TSS (AFP / SFS) + ISR withholding and employer contributions come from
+ *     the dated rate table in force at period end (PayrollStatutoryRatesAPI);
+ *     see computeStatutory()
  *   • Close: snapshot → upsertByPeriod → LoansAPI.addPayment per installment
  *   • Reopen: LoansAPI.revertPaymentsByReference → removeByPeriod
+ *   • Volantes de pago: printed from the closed snapshot rows only — each row
+ *     carries its production detail (day × product) and adjustment items
+ *   • Archivo banco: bulk-transfer file of the closed snapshot's net pay, in a
+ *     per-bank layout (PayrollBankLayoutsAPI); accounts come from the
+ *     operator / employee record (extra: bankName, bankAccountNumber,
+ *     bankAccountType)
  *
  * All visible text: Spanish  |  All code identifiers: English
  */
@@ -21,8 +40,16 @@
 import { OperatorsAPI }  from '../api.js';
 import { EmployeesAPI }  from '../api.js';
 import { ProductionAPI } from '../api.js';
+import { ProductsAPI }   from '../api.js';
 import { LoansAPI }      from '../api.js';
 import { PayrollAPI }    from '../api.js';
+import { PayrollConfigAPI }      from '../api.js';
+import { PayrollAdjustmentsAPI } from '../api.js';
+import { PayrollStatutoryRatesAPI } from '../api.js';
+import { PayrollBankLayoutsAPI }    from '../api.js';
+import { ShiftsAPI, computeShiftPremiums } from '../api.js';
+import { AttendanceAPI, getAbsenceDeduction } from '../api.js';
+import { COMPANY_NAME, printOnlyCss }         from '../print.js';
 
 // ─── Period helpers ───────────────────────────────────────────────────────────
 
@@ -67,72 +94,68 @@ function periodLabel(month, period) {
   return `${Number(startD)}–${Number(endD)} ${mName} ${y}`;
 }
 
-// ─── Module-level localStorage helpers (config) ───────────────────────────────
+// ─── Config + adjustments (cached per loadAll) ────────────────────────────────
+// Config is per person per month; adjustments are per person per periodKey
+// (bonuses/deductions differ each quincena). Both are loaded for the selected
+// month / period only.
 
-const STORAGE_CONFIG = 'capflow_payroll_config';
-
-function readAllConfigs() {
-  try { return JSON.parse(localStorage.getItem(STORAGE_CONFIG)) || []; }
-  catch { return []; }
+function getPersonConfig(pKey) {
+  return periodConfigs.find(c => c.personKey === pKey) || null;
 }
-function readConfig(month) {
-  const nm = normalizeMonth(month);
-  return readAllConfigs().find(c => c.month === nm) || { month: nm, items: [] };
+async function setPersonConfig(pKey, patch) {
+  const saved = await PayrollConfigAPI.upsert(selectedMonth, pKey, patch);
+  periodConfigs = [...periodConfigs.filter(c => c.personKey !== pKey), saved];
 }
-function writeConfig(month, items) {
-  const nm  = normalizeMonth(month);
-  const all = readAllConfigs().filter(c => c.month !== nm);
-  all.push({ month: nm, items });
-  localStorage.setItem(STORAGE_CONFIG, JSON.stringify(all));
+function getPersonAdjs(pKey) {
+  return periodAdjs.filter(a => a.personKey === pKey);
 }
-function getPersonConfig(month, pKey) {
-  return readConfig(month).items.find(i => i.personKey === pKey) || null;
+async function addAdj(pk, pKey, { type, amount, note }) {
+  const saved = await PayrollAdjustmentsAPI.create({ periodKey: pk, personKey: pKey, type, amount, note });
+  periodAdjs = [...periodAdjs, saved];
 }
-function setPersonConfig(month, pKey, patch) {
-  const config = readConfig(month);
-  const idx    = config.items.findIndex(i => i.personKey === pKey);
-  if (idx === -1) {
-    config.items.push({ personKey: pKey, payScheme: 'production_only', baseMonthlySalary: 0, ...patch });
-  } else {
-    config.items[idx] = { ...config.items[idx], ...patch };
-  }
-  writeConfig(month, config.items);
+async function removeAdj(adjId) {
+  await PayrollAdjustmentsAPI.remove(adjId);
+  periodAdjs = periodAdjs.filter(a => a.id !== adjId);
 }
 
-// ─── Module-level localStorage helpers (adjustments) ─────────────────────────
-// Adjustments are per-person per-periodKey (bonuses/deductions differ each quincena).
+// ─── One-time import of legacy localStorage data ──────────────────────────────
 
-const STORAGE_ADJ = 'capflow_payroll_adjustments';
+const LEGACY_STORAGE_CONFIG = 'capflow_payroll_config';
+const LEGACY_STORAGE_ADJ    = 'capflow_payroll_adjustments';
 
-function readAllAdjs() {
-  try { return JSON.parse(localStorage.getItem(STORAGE_ADJ)) || []; }
+function readLegacy(key) {
+  try { return JSON.parse(localStorage.getItem(key)) || []; }
   catch { return []; }
 }
-function readAdj(pk) {
-  return readAllAdjs().find(a => a.periodKey === pk) || { periodKey: pk, items: [] };
-}
-function writeAdj(pk, items) {
-  const all = readAllAdjs().filter(a => a.periodKey !== pk);
-  all.push({ periodKey: pk, items });
-  localStorage.setItem(STORAGE_ADJ, JSON.stringify(all));
-}
-function getPersonAdjs(pk, pKey) {
-  return readAdj(pk).items.filter(i => i.personKey === pKey);
-}
-function addAdj(pk, pKey, { type, amount, note }) {
-  const adj = readAdj(pk);
-  adj.items.push({
-    id:        `adj-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
-    personKey: pKey, type,
-    amount:    Number(amount) || 0,
-    note:      (note || '').trim(),
-    createdAt: new Date().toISOString(),
-  });
-  writeAdj(pk, adj.items);
-}
-function removeAdj(pk, adjId) {
-  const adj = readAdj(pk);
-  writeAdj(pk, adj.items.filter(i => i.id !== adjId));
+
+/**
+ * Push any config / adjustments left in this browser's localStorage to
+ * Supabase, then clear the local keys. Existing database rows win; the
+ * adjustment ids are preserved so a repeated import is a no-op.
+ */
+async function importLegacyLocalData() {
+  if (localStorage.getItem(LEGACY_STORAGE_CONFIG) === null &&
+      localStorage.getItem(LEGACY_STORAGE_ADJ)    === null) return;
+
+  const configs = readLegacy(LEGACY_STORAGE_CONFIG).flatMap(c =>
+    (c.items || []).map(i => ({ ...i, month: normalizeMonth(c.month) })));
+  const adjs    = readLegacy(LEGACY_STORAGE_ADJ).flatMap(a =>
+    (a.items || []).map(i => ({ ...i, periodKey: a.periodKey })));
+
+  try {
+    await PayrollConfigAPI.importMany(configs);
+    await PayrollAdjustmentsAPI.importMany(adjs);
+    localStorage.removeItem(LEGACY_STORAGE_CONFIG);
+    localStorage.removeItem(LEGACY_STORAGE_ADJ);
+    if (configs.length || adjs.length) {
+      showFeedback(
+        `Nómina: se importaron ${configs.length} configuración(es) y ${adjs.length} ajuste(s) de este equipo.`,
+        'info');
+    }
+  } catch (err) {
+    // Keep the local copy so the import is retried on the next visit
+    showFeedback(`No se pudieron importar los datos locales de nómina: ${err.message}`, 'error');
+  }
 }
 
 // ─── Module State ─────────────────────────────────────────────────────────────
@@ -142,8 +165,15 @@ let selectedPeriod = 1;                // 1 or 2
 let allOperators   = [];
 let allEmployees   = [];
 let allProduction  = [];
+let allProducts    = [];
 let allLoans       = [];
 let payrollRun     = null;
+let periodConfigs  = [];               // PayrollConfigAPI rows for selectedMonth
+let periodAdjs     = [];               // PayrollAdjustmentsAPI rows for the selected period
+let statutoryTables = [];              // PayrollStatutoryRatesAPI rows, newest first
+let bankLayouts    = [];               // PayrollBankLayoutsAPI rows, loaded on demand
+let allShifts      = [];               // ShiftsAPI rows — night / overtime premiums
+let periodAttendance = [];             // AttendanceAPI rows of the selected period
 
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
@@ -151,6 +181,7 @@ export async function mountPayroll(container) {
   container.innerHTML = buildShellHTML();
   injectStyles();
   attachTopListeners();
+  await importLegacyLocalData();
   await loadAll();
 }
 
@@ -212,6 +243,12 @@ function buildShellHTML() {
       <div id="payroll-employees-content"></div>
     </div>
 
+    <!-- Employer cost — gross + TSS employer contributions for the period -->
+    <div id="payroll-employer-cost"></div>
+
+    <!-- Volantes de pago — filled by renderPayslips() for a closed period -->
+    <div id="payroll-payslips" style="display:none;"></div>
+
   </section>
   `;
 }
@@ -265,12 +302,21 @@ function updatePeriodLabels() {
 async function loadAll() {
   showLoading(true);
   try {
-    [allOperators, allEmployees, allProduction, allLoans, payrollRun] = await Promise.all([
+    const range = periodDateRange(selectedMonth, selectedPeriod);
+    [allOperators, allEmployees, allProduction, allProducts, allLoans, payrollRun,
+     periodConfigs, periodAdjs, statutoryTables, allShifts,
+     periodAttendance] = await Promise.all([
       OperatorsAPI.getAll(),
       EmployeesAPI.getAll(),
       ProductionAPI.getAll(),
+      ProductsAPI.getAll(),
       LoansAPI.getAll(),
       PayrollAPI.getByPeriod(selectedMonth, selectedPeriod),
+      PayrollConfigAPI.getByMonth(selectedMonth),
+      PayrollAdjustmentsAPI.getByPeriodKey(periodKey(selectedMonth, selectedPeriod)),
+      PayrollStatutoryRatesAPI.getAll(),
+      ShiftsAPI.getAll().catch(() => []),
+      AttendanceAPI.getByRange(range.start, range.end).catch(() => []),
     ]);
     renderAll();
   } catch (err) {
@@ -305,16 +351,30 @@ function renderAll() {
   const area = document.getElementById('payroll-action-area');
   if (area) {
     if (isClosed) {
-      area.innerHTML = `<button class="btn btn--ghost btn--sm" id="payroll-reopen-btn">↩ Reabrir quincena</button>`;
+      area.innerHTML = `
+        <button class="btn btn--ghost btn--sm" id="payroll-rates-btn">⚖ Tasas TSS / ISR</button>
+        <button class="btn btn--ghost btn--sm" id="payroll-payslips-btn">🖨 Volantes de pago</button>
+        <button class="btn btn--ghost btn--sm" id="payroll-bank-btn">🏦 Archivo banco</button>
+        <button class="btn btn--ghost btn--sm" id="payroll-reopen-btn">↩ Reabrir quincena</button>`;
+      area.querySelector('#payroll-payslips-btn').addEventListener('click', renderPayslips);
+      area.querySelector('#payroll-bank-btn').addEventListener('click', openBankExportModal);
       area.querySelector('#payroll-reopen-btn').addEventListener('click', handleReopenPeriod);
     } else {
-      area.innerHTML = `<button class="btn btn--primary btn--sm" id="payroll-close-btn">🔒 Cerrar quincena</button>`;
+      area.innerHTML = `
+        <button class="btn btn--ghost btn--sm" id="payroll-rates-btn">⚖ Tasas TSS / ISR</button>
+        <button class="btn btn--primary btn--sm" id="payroll-close-btn">🔒 Cerrar quincena</button>`;
       area.querySelector('#payroll-close-btn').addEventListener('click', handleClosePeriod);
     }
+    area.querySelector('#payroll-rates-btn').addEventListener('click', openStatutoryRatesModal);
   }
 
   renderOperatorsTab(isClosed, pk);
   renderEmployeesTab(isClosed, pk);
+  renderEmployerCost(isClosed, pk);
+
+  // Volantes belong to one closed snapshot — drop them when the period changes
+  const slips = document.getElementById('payroll-payslips');
+  if (slips) { slips.style.display = 'none'; slips.innerHTML = ''; }
 }
 
 // ─── Pay Computation ─────────────────────────────────────────────────────────
@@ -322,8 +382,10 @@ function renderAll() {
 /**
  * Compute pay for one person for the currently selected month + period.
  *
- * Production pay uses only records within [periodStart, periodEnd].
- * Base salary is always halved (50/50 quincenal split).
+ * Production pay uses only records within [periodStart, periodEnd], plus the
+ * night and overtime premiums of the shifts worked (computeShiftPremiums).
+ * Base salary is always halved (50/50 quincenal split), less one day's pay per
+ * unexcused absence in the period (getAbsenceDeduction).
  *
  * @param {string}           personKey
  * @param {'operator'|'employee'} personType
@@ -336,7 +398,7 @@ function renderAll() {
  */
 function computePay(personKey, personType, personId, personName,
                     defaultMonthlySalary, defaultScheme, pk) {
-  const cfg            = getPersonConfig(selectedMonth, personKey);
+  const cfg            = getPersonConfig(personKey);
   const payScheme      = cfg?.payScheme         ?? defaultScheme;
   const monthlySalary  = cfg?.baseMonthlySalary ?? defaultMonthlySalary;
   // Per-period base = half the monthly salary (50/50 quincenal)
@@ -353,18 +415,34 @@ function computePay(personKey, personType, personId, personName,
   const productionPay      = periodProd.reduce(
     (s, r) => s + (r.quantity || 0) * (r.operatorRateSnapshot || 0), 0
   );
+  const productionDetail   = buildProductionDetail(periodProd);
+  const premiums           = computeShiftPremiums(periodProd, allShifts);
+  const shiftPremiumPay    = premiums.night + premiums.overtime;
+
+  // Unexcused absences — salary schemes only; piece-rate pay already
+  // reflects the days not worked
+  const absence = payScheme === 'production_only'
+    ? { days: 0, dates: [], amount: 0 }
+    : getAbsenceDeduction(periodAttendance, personKey, {
+        from: range.start, to: range.end, monthlySalary, cap: basePeriodSalary,
+      });
+  const salaryPay = basePeriodSalary - absence.amount;
 
   // Gross
   let gross = 0;
-  if      (payScheme === 'production_only')       gross = productionPay;
-  else if (payScheme === 'salary_only')           gross = basePeriodSalary;
-  else if (payScheme === 'salary_plus_incentive') gross = basePeriodSalary + productionPay;
+  if      (payScheme === 'production_only')       gross = productionPay + shiftPremiumPay;
+  else if (payScheme === 'salary_only')           gross = salaryPay;
+  else if (payScheme === 'salary_plus_incentive') gross = salaryPay + productionPay + shiftPremiumPay;
 
   // Adjustments (period-scoped)
-  const adjs           = getPersonAdjs(pk, personKey);
+  const adjs           = getPersonAdjs(personKey);
   const bonusesTotal   = adjs.filter(a => a.type === 'bonus'    ).reduce((s, a) => s + a.amount, 0);
   const deductionsTotal= adjs.filter(a => a.type === 'deduction').reduce((s, a) => s + a.amount, 0);
 
+  // TSS + ISR on everything paid as salary this period (gross + bonuses)
+  const statutory = computeStatutory(gross + bonusesTotal,
+    statutoryTableFor(selectedMonth, selectedPeriod));
+
   // Loan deductions — one installment per period, capped so net ≥ 0
   const personLoans = allLoans.filter(l =>
     l.personKey === personKey && l.isActive && l.remaining > 0 &&
@@ -373,7 +451,8 @@ function computePay(personKey, personType, personId, personName,
 
   let loanDeductionTotal = 0;
   const loanBreakdown    = [];
-  let runningAvailable   = Math.max(0, gross + bonusesTotal - deductionsTotal);
+  let runningAvailable   = Math.max(0,
+    gross + bonusesTotal - deductionsTotal - statutory.employeeTotal);
 
   for (const loan of personLoans) {
     const pay = Math.min(loan.installment, loan.remaining, Math.max(0, runningAvailable));
@@ -384,16 +463,121 @@ function computePay(personKey, personType, personId, personName,
     }
   }
 
-  const netPay = gross + bonusesTotal - deductionsTotal - loanDeductionTotal;
+  const netPay = gross + bonusesTotal - deductionsTotal
+               - statutory.employeeTotal - loanDeductionTotal;
 
   return {
     personKey, personType, personId, nameSnapshot: personName,
     payScheme, baseMonthlySalary: monthlySalary, basePeriodSalary,
     productionPackages, productionPay,
+    nightPremiumPay:    premiums.night,
+    overtimePremiumPay: premiums.overtime,
+    premiumDetail:      premiums.detail,
+    absenceDays:        absence.days,
+    absenceDates:       absence.dates,
+    absenceDeduction:   absence.amount,
     bonusesTotal, deductionsTotal, loanDeductionTotal,
+    statutoryTotal:    statutory.employeeTotal,
+    employerCostTotal: statutory.employer.total,
     gross, netPay,
     loanBreakdown,
+    statutory,
+    productionDetail,
+    adjustments: adjs.map(a => ({ type: a.type, amount: a.amount, note: a.note })),
+  };
+}
+
+/**
+ * Group production records by day × product × rate for the payslip.
+ * @returns {{ date, productId, productName, packages, rate, amount }[]}
+ */
+function buildProductionDetail(records) {
+  const groups = new Map();
+  for (const r of records) {
+    const rate = r.operatorRateSnapshot || 0;
+    const key  = `${r.productionDate}|${r.productId}|${rate}`;
+    if (!groups.has(key)) {
+      const product = allProducts.find(p => String(p.id) === String(r.productId));
+      groups.set(key, {
+        date: r.productionDate, productId: r.productId,
+        productName: product?.name || '—',
+        packages: 0, rate, amount: 0,
+      });
+    }
+    const g = groups.get(key);
+    g.packages += r.quantity || 0;
+    g.amount   += (r.quantity || 0) * rate;
+  }
+  return [...groups.values()].sort((a, b) =>
+    (a.date || '').localeCompare(b.date || '') || a.productName.localeCompare(b.productName));
+}
+
+// ─── Statutory deductions (TSS / ISR) ────────────────────────────────────────
+// Quincenal approximation of the monthly rules: caps are half the monthly cap,
+// and ISR is annualized from the period (× 24), run through the annual scale
+// and divided back (÷ 24). Rates are percentages; amounts rounded to cents.
+
+/** Rate table in force on the last day of the period, or null. */
+function statutoryTableFor(month, period) {
+  const { end } = periodDateRange(month, period);
+  return statutoryTables
+    .filter(t => (t.effectiveFrom || '') <= end)
+    .sort((a, b) => (b.effectiveFrom || '').localeCompare(a.effectiveFrom || ''))[0] || null;
+}
+
+/** Annual ISR from marginal brackets [{ over, rate }]. */
+function annualIsr(annualIncome, brackets) {
+  const sorted = [...(brackets || [])].sort((a, b) => a.over - b.over);
+  let tax = 0;
+  sorted.forEach((b, i) => {
+    const upper = sorted[i + 1]?.over ?? Infinity;
+    if (annualIncome > b.over) tax += (Math.min(annualIncome, upper) - b.over) * (b.rate || 0) / 100;
+  });
+  return tax;
+}
+
+/**
+ * Employee withholdings and employer contributions for one period's pay.
+ * @param {number} base  — cotizable pay for the period (gross + bonuses)
+ * @param {Object|null} table — statutory rate table (see api.js)
+ */
+function computeStatutory(base, table) {
+  const round = n => Math.round(n * 100) / 100;
+  const result = {
+    tableId: table?.id ?? null, effectiveFrom: table?.effectiveFrom ?? null,
+    base: round(Math.max(0, base)),
+    afp: 0, sfs: 0, isr: 0, employeeTotal: 0,
+    employer: { afp: 0, sfs: 0, srl: 0, infotep: 0, total: 0 },
   };
+  if (!table || base <= 0) return result;
+
+  const p = table.params || {};
+  const periodCap = capWages =>
+    (p.minimumWage > 0 && capWages > 0) ? (p.minimumWage * capWages) / 2 : Infinity;
+  const pct = (amount, rate) => round(amount * (Number(rate) || 0) / 100);
+
+  const afpBase = Math.min(base, periodCap(p.afpCapWages));
+  const sfsBase = Math.min(base, periodCap(p.sfsCapWages));
+  const srlBase = Math.min(base, periodCap(p.srlCapWages));
+
+  result.afp = pct(afpBase, p.afpEmployeeRate);
+  result.sfs = pct(sfsBase, p.sfsEmployeeRate);
+  result.isr = round(annualIsr((base - result.afp - result.sfs) * 24, p.isrBrackets) / 24);
+  result.employeeTotal = round(result.afp + result.sfs + result.isr);
+
+  result.employer.afp     = pct(afpBase, p.afpEmployerRate);
+  result.employer.sfs     = pct(sfsBase, p.sfsEmployerRate);
+  result.employer.srl     = pct(srlBase, p.srlEmployerRate);
+  result.employer.infotep = pct(base,    p.infotepEmployerRate);
+  result.employer.total   = round(result.employer.afp + result.employer.sfs +
+                                  result.employer.srl + result.employer.infotep);
+  return result;
+}
+
+/** Rate (%) used for a snapshot row, looked up from its stored table id. */
+function statutoryRateOf(row, key) {
+  const table = statutoryTables.find(t => t.id === row.statutory?.tableId);
+  return table?.params?.[key] ?? '—';
 }
 
 // ─── Operators Tab ────────────────────────────────────────────────────────────
@@ -428,6 +612,7 @@ function renderOperatorsTab(isClosed, pk) {
           <th class="text-right">Pago prod.</th>
           <th class="text-right">Bonos</th>
           <th class="text-right">Deduc.</th>
+          <th class="text-right" title="AFP + SFS + ISR">TSS / ISR</th>
           <th class="text-right">Préstamo</th>
           <th class="text-right">Neto</th>
           ${actionTh}
@@ -465,6 +650,7 @@ function renderEmployeesTab(isClosed, pk) {
           <th class="text-right">Base quincenal</th>
           <th class="text-right">Bonos</th>
           <th class="text-right">Deduc.</th>
+          <th class="text-right" title="AFP + SFS + ISR">TSS / ISR</th>
           <th class="text-right">Préstamo</th>
           <th class="text-right">Neto</th>
           ${actionTh}
@@ -526,6 +712,189 @@ function buildEmployeesManagementTable() {
   </table></div>`;
 }
 
+// ─── Employer Cost ────────────────────────────────────────────────────────────
+
+function renderEmployerCost(isClosed, pk) {
+  const container = document.getElementById('payroll-employer-cost');
+  if (!container) return;
+
+  const rows = (isClosed && payrollRun?.rows) ? payrollRun.rows : [
+    ...allOperators.filter(o => o.isActive !== false).map(op =>
+      computePay(`operator:${op.id}`, 'operator', op.id, op.name, 0, 'production_only', pk)),
+    ...allEmployees.filter(e => e.isActive !== false).map(emp =>
+      computePay(`employee:${emp.id}`, 'employee', emp.id, emp.name,
+        emp.monthlySalary || 0, 'salary_only', pk)),
+  ];
+
+  const sum = fn => rows.reduce((s, r) => s + (fn(r) || 0), 0);
+  const paid      = sum(r => r.gross + r.bonusesTotal - r.deductionsTotal);
+  const withheld  = sum(r => r.statutoryTotal);
+  const employer  = {
+    afp:     sum(r => r.statutory?.employer?.afp),
+    sfs:     sum(r => r.statutory?.employer?.sfs),
+    srl:     sum(r => r.statutory?.employer?.srl),
+    infotep: sum(r => r.statutory?.employer?.infotep),
+  };
+  const employerTotal = employer.afp + employer.sfs + employer.srl + employer.infotep;
+  const table = statutoryTableFor(selectedMonth, selectedPeriod);
+
+  let warning = '';
+  if (!isClosed && !table) {
+    warning = 'No hay tabla de tasas TSS / ISR vigente para esta quincena — no se calculan retenciones.';
+  } else if (!isClosed && !(table.params?.minimumWage > 0)) {
+    warning = 'La tabla vigente no tiene salario mínimo cotizable — los topes de AFP / SFS / SRL no se aplican.';
+  }
+
+  container.innerHTML = `
+    <div class="card payroll-employer-cost">
+      <div class="card__header">
+        <span class="card__title">Costo patronal de la quincena</span>
+        ${table && !isClosed
+          ? `<span style="font-size:0.78rem;color:var(--color-text-muted);">Tasas vigentes desde ${escapeHTML(table.effectiveFrom)}</span>`
+          : ''}
+      </div>
+      ${warning ? `<div class="payroll-employer-cost__warning">⚠ ${escapeHTML(warning)}</div>` : ''}
+      <table class="data-table payroll-table">
+        <tbody>
+          <tr><td>Salarios brutos (incl. bonos, menos descuentos)</td><td class="text-right">${fmtCurrency(paid)}</td></tr>
+          <tr><td style="color:var(--color-text-muted);">↳ Retenido a trabajadores (AFP + SFS + ISR)</td>
+              <td class="text-right" style="color:var(--color-text-muted);">${fmtCurrency(withheld)}</td></tr>
+          <tr><td>AFP patronal</td><td class="text-right">${fmtCurrency(employer.afp)}</td></tr>
+          <tr><td>SFS patronal</td><td class="text-right">${fmtCurrency(employer.sfs)}</td></tr>
+          <tr><td>Riesgos laborales (SRL)</td><td class="text-right">${fmtCurrency(employer.srl)}</td></tr>
+          <tr><td>INFOTEP</td><td class="text-right">${fmtCurrency(employer.infotep)}</td></tr>
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>Costo laboral total</th>
+            <th class="text-right">${fmtCurrency(paid + employerTotal)}</th>
+          </tr>
+        </tfoot>
+      </table>
+    </div>`;
+}
+
+// ─── Statutory Rates Modal ────────────────────────────────────────────────────
+
+function openStatutoryRatesModal() {
+  const latest = statutoryTables[0]?.params || {};
+  const brackets = [...(latest.isrBrackets || [])].sort((a, b) => a.over - b.over);
+  while (brackets.length < 4) brackets.push({ over: 0, rate: 0 });
+
+  const num = (id, label, value, step = '0.01') => `
+    <div class="form-group">
+      <label class="form-label" for="${id}">${label}</label>
+      <input class="form-input" type="number" id="${id}" min="0" step="${step}" value="${value ?? ''}">
+    </div>`;
+
+  const list = statutoryTables.length === 0
+    ? '<p style="color:var(--color-text-muted);">Sin tablas registradas.</p>'
+    : `<table class="data-table payroll-table">
+        <thead><tr>
+          <th>Vigente desde</th><th class="text-right">AFP</th><th class="text-right">SFS</th>
+          <th class="text-right">Sal. mín. cotizable</th><th></th>
+        </tr></thead>
+        <tbody>${statutoryTables.map(t => `
+          <tr>
+            <td>${escapeHTML(t.effectiveFrom)}${t.notes ? `<div style="font-size:0.75rem;color:var(--color-text-muted);">${escapeHTML(t.notes)}</div>` : ''}</td>
+            <td class="text-right">${t.params.afpEmployeeRate ?? '—'} % / ${t.params.afpEmployerRate ?? '—'} %</td>
+            <td class="text-right">${t.params.sfsEmployeeRate ?? '—'} % / ${t.params.sfsEmployerRate ?? '—'} %</td>
+            <td class="text-right">${t.params.minimumWage > 0 ? fmtCurrency(t.params.minimumWage) : '—'}</td>
+            <td class="text-center">
+              <button class="btn btn--danger btn--xs" data-action="remove-rates" data-id="${escapeHTML(t.id)}">✕</button>
+            </td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+
+  const modal = buildModal('Tasas TSS / ISR', `
+    <p class="form-hint" style="margin-bottom:var(--space-sm);">
+      Cada quincena usa la tabla más reciente vigente a su fecha de cierre.
+      Las nóminas cerradas conservan los montos calculados. AFP / SFS: trabajador / empleador.
+    </p>
+    ${list}
+    <hr style="border:none;border-top:1px solid var(--color-border);margin:var(--space-md) 0;">
+    <p class="form-label" style="margin-bottom:var(--space-sm);">Nueva tabla (precargada con la más reciente)</p>
+    <div class="form-grid">
+      <div class="form-group">
+        <label class="form-label" for="tss-from">Vigente desde <span class="required">*</span></label>
+        <input class="form-input" type="date" id="tss-from">
+      </div>
+      ${num('tss-min-wage', 'Salario mínimo cotizable (RD$)', latest.minimumWage)}
+      ${num('tss-afp-emp',  'AFP trabajador %',  latest.afpEmployeeRate)}
+      ${num('tss-afp-er',   'AFP empleador %',   latest.afpEmployerRate)}
+      ${num('tss-afp-cap',  'Tope AFP (× sal. mín.)', latest.afpCapWages, '1')}
+      ${num('tss-sfs-emp',  'SFS trabajador %',  latest.sfsEmployeeRate)}
+      ${num('tss-sfs-er',   'SFS empleador %',   latest.sfsEmployerRate)}
+      ${num('tss-sfs-cap',  'Tope SFS (× sal. mín.)', latest.sfsCapWages, '1')}
+      ${num('tss-srl-er',   'SRL empleador %',   latest.srlEmployerRate)}
+      ${num('tss-srl-cap',  'Tope SRL (× sal. mín.)', latest.srlCapWages, '1')}
+      ${num('tss-infotep',  'INFOTEP empleador %', latest.infotepEmployerRate)}
+    </div>
+    <p class="form-label" style="margin:var(--space-md) 0 var(--space-sm);">Escala ISR anual (excedente de → tasa %)</p>
+    <div class="form-grid">
+      ${brackets.map((b, i) => `
+        ${num(`tss-isr-over-${i}`, `Tramo ${i + 1}: desde RD$`, b.over)}
+        ${num(`tss-isr-rate-${i}`, `Tramo ${i + 1}: tasa %`, b.rate)}`).join('')}
+    </div>
+    <div class="form-group form-group--wide">
+      <label class="form-label" for="tss-notes">Nota (opcional)</label>
+      <input class="form-input" type="text" id="tss-notes" maxlength="150" placeholder="Resolución CNSS…">
+    </div>
+    <div class="form-actions">
+      <button class="btn btn--primary" id="tss-save-btn">Guardar tabla</button>
+    </div>`);
+
+  const val = id => parseFloat(modal.querySelector(`#${id}`).value);
+
+  modal.querySelector('#tss-save-btn').addEventListener('click', async () => {
+    const effectiveFrom = modal.querySelector('#tss-from').value;
+    if (!effectiveFrom) { showFeedback('Indica la fecha de vigencia.', 'error'); return; }
+    if (statutoryTables.some(t => t.effectiveFrom === effectiveFrom)) {
+      showFeedback('Ya existe una tabla con esa fecha de vigencia.', 'error'); return;
+    }
+    const params = {
+      minimumWage:         val('tss-min-wage') || null,
+      afpEmployeeRate:     val('tss-afp-emp') || 0,
+      afpEmployerRate:     val('tss-afp-er')  || 0,
+      afpCapWages:         val('tss-afp-cap') || 0,
+      sfsEmployeeRate:     val('tss-sfs-emp') || 0,
+      sfsEmployerRate:     val('tss-sfs-er')  || 0,
+      sfsCapWages:         val('tss-sfs-cap') || 0,
+      srlEmployerRate:     val('tss-srl-er')  || 0,
+      srlCapWages:         val('tss-srl-cap') || 0,
+      infotepEmployerRate: val('tss-infotep') || 0,
+      isrBrackets: brackets.map((_, i) => ({
+        over: val(`tss-isr-over-${i}`) || 0,
+        rate: val(`tss-isr-rate-${i}`) || 0,
+      })).filter((b, i) => i === 0 || b.over > 0),
+    };
+    try {
+      await PayrollStatutoryRatesAPI.create({
+        effectiveFrom, params, notes: modal.querySelector('#tss-notes').value,
+      });
+      statutoryTables = await PayrollStatutoryRatesAPI.getAll();
+      closeModal(modal);
+      showFeedback('Tabla de tasas guardada.', 'success');
+      renderAll();
+    } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
+  });
+
+  modal.querySelectorAll('[data-action="remove-rates"]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm('¿Eliminar esta tabla de tasas? Las nóminas cerradas no se modifican.')) return;
+      try {
+        await PayrollStatutoryRatesAPI.remove(btn.dataset.id);
+        statutoryTables = await PayrollStatutoryRatesAPI.getAll();
+        closeModal(modal);
+        renderAll();
+      } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
+    });
+  });
+
+  openModal(modal);
+}
+
 // ─── Row builder ──────────────────────────────────────────────────────────────
 
 function buildPayrollRow(row, isClosed, defaultScheme) {
@@ -549,15 +918,22 @@ function buildPayrollRow(row, isClosed, defaultScheme) {
     <td>
       <div style="font-weight:600;">${escapeHTML(row.nameSnapshot)}</div>
       <div style="font-size:0.75rem;color:var(--color-text-muted);">${schemeLabel}</div>
+      ${row.absenceDeduction > 0 ? `
+      <div style="font-size:0.75rem;color:var(--color-danger);">
+        ${row.absenceDays} ausencia${row.absenceDays !== 1 ? 's' : ''} injustificada${row.absenceDays !== 1 ? 's' : ''}
+        · −${fmtCurrency(row.absenceDeduction)}</div>` : ''}
     </td>
     ${row.personType === 'operator'
       ? `<td class="text-right">${fmtNum(row.productionPackages)}</td>
-         <td class="text-right">${fmtCurrency(row.productionPay)}</td>`
+         <td class="text-right">${fmtCurrency(row.productionPay)}${premiumTotal(row) > 0
+           ? `<div style="font-size:0.75rem;color:var(--color-text-muted);">+ ${fmtCurrency(premiumTotal(row))} recargos</div>` : ''}</td>`
       : `<td class="text-right" colspan="2">${fmtCurrency(row.basePeriodSalary ?? (row.baseMonthlySalary || 0) / 2)}</td>`}
     <td class="text-right" style="color:var(--color-success);">
       ${row.bonusesTotal > 0 ? '+' + fmtCurrency(row.bonusesTotal) : '—'}</td>
     <td class="text-right" style="color:var(--color-danger);">
       ${row.deductionsTotal > 0 ? '-' + fmtCurrency(row.deductionsTotal) : '—'}</td>
+    <td class="text-right" style="color:var(--color-danger);">
+      ${row.statutoryTotal > 0 ? '-' + fmtCurrency(row.statutoryTotal) : '—'}</td>
     <td class="text-right" style="color:var(--color-danger);">
       ${row.loanDeductionTotal > 0 ? '-' + fmtCurrency(row.loanDeductionTotal) : '—'}</td>
     <td class="text-right"><strong class="${netCls}">${fmtCurrency(row.netPay)}</strong></td>
@@ -565,6 +941,11 @@ function buildPayrollRow(row, isClosed, defaultScheme) {
   </tr>`;
 }
 
+/** Night + overtime premiums of a row (0 for snapshots closed before them). */
+function premiumTotal(row) {
+  return (row.nightPremiumPay || 0) + (row.overtimePremiumPay || 0);
+}
+
 function attachRowActionListeners(container, pk) {
   container.querySelectorAll('.payroll-action').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -588,6 +969,13 @@ async function handleClosePeriod() {
   const pk = periodKey(selectedMonth, selectedPeriod);
 
   try {
+    // Re-read the shared config + adjustments so the snapshot never uses a
+    // stale copy from when this page was loaded.
+    [periodConfigs, periodAdjs] = await Promise.all([
+      PayrollConfigAPI.getByMonth(selectedMonth),
+      PayrollAdjustmentsAPI.getByPeriodKey(pk),
+    ]);
+
     const opRows  = allOperators.filter(o => o.isActive !== false).map(op =>
       computePay(`operator:${op.id}`, 'operator', op.id, op.name, 0, 'production_only', pk));
     const empRows = allEmployees.filter(e => e.isActive !== false).map(emp =>
@@ -600,8 +988,13 @@ async function handleClosePeriod() {
       bonuses:    allRows.reduce((s, r) => s + r.bonusesTotal, 0),
       deductions: allRows.reduce((s, r) => s + r.deductionsTotal, 0),
       loans:      allRows.reduce((s, r) => s + r.loanDeductionTotal, 0),
+      statutory:  allRows.reduce((s, r) => s + (r.statutoryTotal || 0), 0),
+      employer:   allRows.reduce((s, r) => s + (r.employerCostTotal || 0), 0),
       net:        allRows.reduce((s, r) => s + r.netPay, 0),
     };
+    // True labor cost: what the company pays out (to workers, TSS and DGII)
+    // plus employer contributions. Loans are repayments, not cost.
+    totals.laborCost = totals.gross + totals.bonuses - totals.deductions + totals.employer;
 
     // Step 1: upsert to get a stable id
     const saved = await PayrollAPI.upsertByPeriod(selectedMonth, selectedPeriod, {
@@ -661,10 +1054,684 @@ async function handleReopenPeriod() {
   }
 }
 
+// ─── Payslips (volantes de pago) ─────────────────────────────────────────────
+// Rendered from the closed snapshot (payrollRun.rows), never recomputed, so the
+// volante always matches what was paid. @media print (printOnlyCss, print.js)
+// hides the app chrome and prints only #payroll-payslips, one volante per page.
+
+const SCHEME_LABELS = {
+  production_only:       'Producción',
+  salary_only:           'Salario fijo',
+  salary_plus_incentive: 'Salario + incentivo',
+};
+
+function renderPayslips() {
+  const panel = document.getElementById('payroll-payslips');
+  if (!panel || !payrollRun?.isClosed) return;
+
+  const rows  = [...(payrollRun.rows || [])].sort((a, b) =>
+    (a.personType || '').localeCompare(b.personType || '') ||
+    (a.nameSnapshot || '').localeCompare(b.nameSnapshot || ''));
+  const label = periodLabel(selectedMonth, selectedPeriod);
+
+  panel.innerHTML = `
+    <div class="card payslip-toolbar">
+      <div>
+        <strong>Volantes de pago — ${escapeHTML(label)}</strong>
+        <div style="font-size:0.8rem;color:var(--color-text-muted);">
+          ${rows.length} volante(s) · generados desde la nómina cerrada
+        </div>
+      </div>
+      <div style="display:flex;gap:var(--space-sm);">
+        <button class="btn btn--primary btn--sm" id="payslip-print-all">🖨 Imprimir todos</button>
+        <button class="btn btn--ghost btn--sm" id="payslip-close">✕ Cerrar</button>
+      </div>
+    </div>
+    ${rows.length === 0
+      ? '<div class="card" style="padding:var(--space-lg);color:var(--color-text-muted);">La nómina cerrada no tiene filas.</div>'
+      : rows.map((r, i) => buildPayslipHTML(r, i, label)).join('')}
+  `;
+  panel.style.display = 'block';
+  panel.scrollIntoView({ behavior: 'smooth' });
+
+  panel.querySelector('#payslip-print-all').addEventListener('click', () => printPayslips(null));
+  panel.querySelector('#payslip-close').addEventListener('click', () => {
+    panel.style.display = 'none';
+    panel.innerHTML     = '';
+  });
+  panel.querySelectorAll('[data-action="print-payslip"]').forEach(btn =>
+    btn.addEventListener('click', () => printPayslips(btn.dataset.index)));
+}
+
+/** Print every volante, or only the one at `index`. */
+function printPayslips(index) {
+  const slips = document.querySelectorAll('#payroll-payslips .payslip');
+  slips.forEach(el => el.classList.toggle('payslip--skip',
+    index !== null && el.dataset.index !== String(index)));
+  window.addEventListener('afterprint',
+    () => slips.forEach(el => el.classList.remove('payslip--skip')), { once: true });
+  window.print();
+}
+
+function buildPayslipHTML(row, index, label) {
+  const isOperator = row.personType === 'operator';
+  const scheme     = row.payScheme || (isOperator ? 'production_only' : 'salary_only');
+  const hasSalary  = scheme !== 'production_only';
+  const hasProd    = scheme !== 'salary_only';
+
+  // Snapshots closed before the detail was stored: rebuild it from production
+  let detail = row.productionDetail;
+  if (!detail && isOperator && hasProd) {
+    const range = periodDateRange(selectedMonth, selectedPeriod);
+    detail = buildProductionDetail(allProduction.filter(r =>
+      String(r.operatorId) === String(row.personId) &&
+      (r.productionDate || '') >= range.start && (r.productionDate || '') <= range.end));
+  }
+  // Adjustment detail is only what the snapshot stored; older snapshots keep
+  // just the totals, never the live adjustments of the quincena.
+  const adjustments = row.adjustments ?? [
+    ...(row.bonusesTotal    > 0 ? [{ type: 'bonus',     amount: row.bonusesTotal    }] : []),
+    ...(row.deductionsTotal > 0 ? [{ type: 'deduction', amount: row.deductionsTotal }] : []),
+  ].map(a => ({ ...a, note: 'detalle no guardado en la nómina cerrada' }));
+  const loanLines   = (row.loanBreakdown || []).filter(lb => lb.amount > 0);
+
+  const prodTable = hasProd ? `
+    <div class="payslip__section-title">Producción</div>
+    ${(detail || []).length === 0
+      ? '<p class="payslip__muted">Sin producción registrada en la quincena.</p>'
+      : `<table class="payslip__table">
+          <thead><tr>
+            <th>Fecha</th><th>Producto</th>
+            <th class="text-right">Paquetes</th><th class="text-right">Tarifa</th>
+            <th class="text-right">Monto</th>
+          </tr></thead>
+          <tbody>${detail.map(d => `
+            <tr>
+              <td>${escapeHTML(d.date || '—')}</td>
+              <td>${escapeHTML(d.productName)}</td>
+              <td class="text-right">${fmtNum(d.packages)}</td>
+              <td class="text-right">${fmtCurrency(d.rate)}</td>
+              <td class="text-right">${fmtCurrency(d.amount)}</td>
+            </tr>`).join('')}
+          </tbody>
+          <tfoot><tr>
+            <th colspan="2">Total producción</th>
+            <th class="text-right">${fmtNum(row.productionPackages)}</th>
+            <th></th>
+            <th class="text-right">${fmtCurrency(row.productionPay)}</th>
+          </tr></tfoot>
+        </table>`}
+    ${(row.premiumDetail || []).length > 0 ? `
+      <table class="payslip__table">
+        <thead><tr>
+          <th>Fecha</th><th>Turno</th><th class="text-right">Base</th>
+          <th class="text-right">Nocturno</th><th class="text-right">Horas extra</th>
+        </tr></thead>
+        <tbody>${row.premiumDetail.map(d => `
+          <tr>
+            <td>${escapeHTML(d.date || '—')}</td>
+            <td>${escapeHTML(d.shift)}</td>
+            <td class="text-right">${fmtCurrency(d.base)}</td>
+            <td class="text-right">${d.night > 0 ? fmtCurrency(d.night) : '—'}</td>
+            <td class="text-right">${d.overtime > 0 ? fmtCurrency(d.overtime) : '—'}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : ''}` : '';
+
+  const adjLines = adjustments.map(a => `
+    <tr>
+      <td>${a.type === 'bonus' ? 'Bono' : 'Descuento'}${a.note ? ` — ${escapeHTML(a.note)}` : ''}</td>
+      <td class="text-right">${a.type === 'bonus' ? '+' : '−'} ${fmtCurrency(a.amount)}</td>
+    </tr>`).join('');
+
+  const loanRows = loanLines.map(lb => {
+    const loan = allLoans.find(l => String(l.id) === String(lb.loanId));
+    const desc = loan ? `Cuota préstamo (capital ${fmtCurrency(loan.principal)})` : 'Cuota préstamo';
+    return `<tr><td>${desc}</td><td class="text-right">− ${fmtCurrency(lb.amount)}</td></tr>`;
+  }).join('');
+
+  const basePeriod = row.basePeriodSalary ?? (row.baseMonthlySalary || 0) / 2;
+
+  return `
+    <div class="payslip" data-index="${index}">
+      <div class="payslip__header">
+        <div>
+          <div class="payslip__company">${escapeHTML(COMPANY_NAME)}</div>
+          <div class="payslip__title">Volante de pago</div>
+        </div>
+        <div class="payslip__meta">
+          <div><strong>Quincena:</strong> ${escapeHTML(label)}</div>
+          <div><strong>Cerrada:</strong> ${escapeHTML((payrollRun.closedAt || '').slice(0, 10) || '—')}</div>
+          <button class="btn btn--ghost btn--xs payslip__print-btn"
+            data-action="print-payslip" data-index="${index}">🖨 Imprimir</button>
+        </div>
+      </div>
+
+      <div class="payslip__person">
+        <div><strong>${escapeHTML(row.nameSnapshot)}</strong></div>
+        <div class="payslip__muted">
+          ${isOperator ? 'Operario' : 'Empleado fijo'} · ${escapeHTML(SCHEME_LABELS[scheme] || scheme)}
+        </div>
+      </div>
+
+      ${prodTable}
+
+      <div class="payslip__section-title">Resumen</div>
+      <table class="payslip__table payslip__summary">
+        <tbody>
+          ${hasSalary ? `
+          <tr>
+            <td>Salario base (½ de ${fmtCurrency(row.baseMonthlySalary)} mensual)</td>
+            <td class="text-right">${fmtCurrency(basePeriod)}</td>
+          </tr>
+          ${row.absenceDeduction > 0 ? `
+          <tr>
+            <td>Ausencias injustificadas (${row.absenceDays} día${row.absenceDays !== 1 ? 's' : ''}:
+              ${escapeHTML((row.absenceDates || []).map(d => d.slice(8)).join(', '))})</td>
+            <td class="text-right">− ${fmtCurrency(row.absenceDeduction)}</td>
+          </tr>` : ''}` : ''}
+          ${hasProd ? `
+          <tr>
+            <td>Pago por producción</td>
+            <td class="text-right">${fmtCurrency(row.productionPay)}</td>
+          </tr>
+          ${row.nightPremiumPay > 0 ? `
+          <tr>
+            <td>Recargo nocturno</td>
+            <td class="text-right">${fmtCurrency(row.nightPremiumPay)}</td>
+          </tr>` : ''}
+          ${row.overtimePremiumPay > 0 ? `
+          <tr>
+            <td>Recargo por horas extra (turno adicional)</td>
+            <td class="text-right">${fmtCurrency(row.overtimePremiumPay)}</td>
+          </tr>` : ''}` : ''}
+          <tr class="payslip__subtotal">
+            <td>Bruto</td>
+            <td class="text-right">${fmtCurrency(row.gross)}</td>
+          </tr>
+          ${adjLines}
+          ${row.statutory?.employeeTotal > 0 ? `
+          <tr><td>AFP (${escapeHTML(String(statutoryRateOf(row, 'afpEmployeeRate')))} %)</td><td class="text-right">− ${fmtCurrency(row.statutory.afp)}</td></tr>
+          <tr><td>SFS (${escapeHTML(String(statutoryRateOf(row, 'sfsEmployeeRate')))} %)</td><td class="text-right">− ${fmtCurrency(row.statutory.sfs)}</td></tr>
+          ${row.statutory.isr > 0 ? `<tr><td>ISR retenido</td><td class="text-right">− ${fmtCurrency(row.statutory.isr)}</td></tr>` : ''}` : ''}
+          ${loanRows}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>Neto a pagar</th>
+            <th class="text-right">${fmtCurrency(row.netPay)}</th>
+          </tr>
+        </tfoot>
+      </table>
+
+      <div class="payslip__signatures">
+        <div class="payslip__signature">
+          <div class="payslip__signature-line"></div>
+          Recibido conforme — ${escapeHTML(row.nameSnapshot)}
+        </div>
+        <div class="payslip__signature">
+          <div class="payslip__signature-line"></div>
+          Entregado por
+        </div>
+      </div>
+    </div>`;
+}
+
+// ─── Bank transfer file (archivo banco) ──────────────────────────────────────
+// Net pay comes from the closed snapshot (what the volantes show); the
+// destination account comes from the current operator / employee record.
+// Workers with net pay but incomplete account data are listed and left out of
+// the file — they have to be paid by hand.
+
+const BANK_FIELD_SOURCES = {
+  sequence:      'No. secuencia',
+  document:      'Cédula',
+  name:          'Nombre',
+  accountNumber: 'Cuenta destino',
+  accountType:   'Tipo de cuenta (AH / CC)',
+  bankName:      'Banco',
+  amount:        'Monto (0.00)',
+  amountCents:   'Monto en centavos',
+  reference:     'Concepto',
+  date:          'Fecha (AAAAMMDD)',
+  originAccount: 'Cuenta origen (empresa)',
+};
+
+const BANK_ACCOUNT_TYPE_CODES = { savings: 'AH', checking: 'CC' };
+
+/** Person fields a layout needs, by field source → [record key, missing label]. */
+const BANK_REQUIRED_DATA = {
+  accountNumber: ['bankAccountNumber', 'número de cuenta'],
+  accountType:   ['bankAccountType',   'tipo de cuenta'],
+  bankName:      ['bankName',          'banco'],
+  document:      ['document',          'cédula'],
+};
+
+function personRecordOf(row) {
+  const list = row.personType === 'operator' ? allOperators : allEmployees;
+  return list.find(p => String(p.id) === String(row.personId)) || null;
+}
+
+/**
+ * Split the closed rows with net pay into file lines and workers missing data.
+ * The account number is always required; other person fields only when the
+ * layout uses them.
+ * @returns {{ lines: { row, person }[], missing: { row, gaps: string[] }[] }}
+ */
+function validateBankLines(rows, layout) {
+  const sources = new Set(['accountNumber', ...layout.params.fields.map(f => f.source)]);
+  const lines = [], missing = [];
+  for (const row of rows) {
+    if (!(row.netPay > 0)) continue;
+    const person = personRecordOf(row);
+    const gaps   = !person ? ['registro no encontrado'] :
+      Object.entries(BANK_REQUIRED_DATA)
+        .filter(([src, [key]]) => sources.has(src) && !String(person[key] || '').trim())
+        .map(([, [, label]]) => label);
+    if (gaps.length) missing.push({ row, gaps });
+    else             lines.push({ row, person });
+  }
+  return { lines, missing };
+}
+
+function bankFieldValue(source, { row, person }, index, layout, pk, dateYMD) {
+  switch (source) {
+    case 'sequence':      return String(index + 1);
+    case 'document':      return String(person.document || '').replace(/\D/g, '');
+    case 'name':          return row.nameSnapshot || '';
+    case 'accountNumber': return String(person.bankAccountNumber || '');
+    case 'accountType':   return BANK_ACCOUNT_TYPE_CODES[person.bankAccountType] || '';
+    case 'bankName':      return person.bankName || '';
+    case 'amount':        return row.netPay.toFixed(2);
+    case 'amountCents':   return String(Math.round(row.netPay * 100));
+    case 'reference':     return `NOMINA ${pk}`;
+    case 'date':          return dateYMD;
+    case 'originAccount': return String(layout.params.originAccount || '');
+    default:              return '';
+  }
+}
+
+/** Sources that are always right-aligned and zero-padded in fixed-width files. */
+const BANK_NUMERIC_SOURCES = new Set(['sequence', 'amount', 'amountCents']);
+
+function bankFileValues(layout, lines, pk) {
+  const dateYMD = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return lines.map((line, i) =>
+    layout.params.fields.map(f => bankFieldValue(f.source, line, i, layout, pk, dateYMD)));
+}
+
+/**
+ * Fixed-width values longer than their field. Cutting them would change an
+ * amount or an account number, so the file is not generated while any exist.
+ * @returns {{ name: string, field: string, value: string, width: number }[]}
+ */
+function findBankOverflows(layout, lines, pk) {
+  if (layout.format !== 'fixed') return [];
+  const fields = layout.params.fields;
+  const found  = [];
+  bankFileValues(layout, lines, pk).forEach((vals, n) => vals.forEach((v, i) => {
+    const width = Number(fields[i].width) || 0;
+    const text  = toAscii(v);
+    if (width && text.length > width) {
+      found.push({
+        name:  lines[n].row.nameSnapshot || '',
+        field: fields[i].label || BANK_FIELD_SOURCES[fields[i].source] || fields[i].source,
+        value: text,
+        width,
+      });
+    }
+  }));
+  return found;
+}
+
+/**
+ * Build the file text for a layout. Fixed-width output is plain ASCII; a value
+ * wider than its field throws (see findBankOverflows) instead of being cut.
+ */
+function buildBankFile(layout, lines, pk) {
+  const fields = layout.params.fields;
+  const values = bankFileValues(layout, lines, pk);
+
+  if (layout.format === 'fixed') {
+    const overflows = findBankOverflows(layout, lines, pk);
+    if (overflows.length) {
+      const o = overflows[0];
+      throw new Error(`${o.name}: "${o.field}" tiene ${o.value.length} caracteres y el campo admite ${o.width}.`);
+    }
+    return values.map(vals => vals.map((v, i) => {
+      const f       = fields[i];
+      const width   = Number(f.width) || 0;
+      const numeric = BANK_NUMERIC_SOURCES.has(f.source);
+      const pad     = numeric || f.pad === '0' ? '0' : ' ';
+      const text    = toAscii(v);
+      return numeric || f.align === 'right' ? text.padStart(width, pad) : text.padEnd(width, pad);
+    }).join('')).join('\r\n');
+  }
+
+  const delimiter = layout.params.delimiter || ',';
+  const cell = v => (v.includes(delimiter) || /["\r\n]/.test(v)) ? `"${v.replace(/"/g, '""')}"` : v;
+  const header = layout.params.includeHeader
+    ? [fields.map(f => f.label || BANK_FIELD_SOURCES[f.source] || f.source)] : [];
+  return [...header, ...values].map(vals => vals.map(cell).join(delimiter)).join('\r\n');
+}
+
+/** Strip accents and anything outside printable ASCII (bank files are not UTF-8 safe). */
+function toAscii(str) {
+  return String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]/g, '');
+}
+
+function downloadText(content, filename, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const a   = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+async function openBankExportModal() {
+  if (!payrollRun?.isClosed) return;
+  try {
+    bankLayouts = await PayrollBankLayoutsAPI.getAll();
+  } catch (err) {
+    showFeedback(`Error al cargar formatos bancarios: ${err.message}`, 'error');
+    return;
+  }
+
+  const pk    = periodKey(selectedMonth, selectedPeriod);
+  const rows  = payrollRun.rows || [];
+  let layoutId = bankLayouts[0]?.id || '';
+
+  const buildBody = () => {
+    const layout = bankLayouts.find(l => l.id === layoutId);
+    const select = `
+      <div class="form-group form-group--wide">
+        <label class="form-label" for="bank-layout">Formato del banco</label>
+        <div class="select-wrapper"><select class="form-input form-select" id="bank-layout">
+          ${bankLayouts.map(l => `<option value="${escapeHTML(l.id)}" ${l.id === layoutId ? 'selected' : ''}>
+            ${escapeHTML(l.name)} (${l.format === 'fixed' ? 'ancho fijo' : 'CSV'})</option>`).join('')}
+        </select></div>
+      </div>`;
+
+    if (!layout) {
+      return `
+        <p style="color:var(--color-text-muted);">No hay formatos bancarios. Crea uno para generar el archivo.</p>
+        <div class="form-actions">
+          <button class="btn btn--ghost" id="bank-layouts-btn">⚙ Formatos bancarios</button>
+        </div>`;
+    }
+
+    const { lines, missing } = validateBankLines(rows, layout);
+    const overflows = findBankOverflows(layout, lines, pk);
+    const total = lines.reduce((s, l) => s + l.row.netPay, 0);
+    const missingTable = missing.length === 0
+      ? '<p class="bank-export__ok">✔ Todos los trabajadores con neto a pagar tienen sus datos bancarios.</p>'
+      : `<p class="bank-export__warning">⚠ ${missing.length} trabajador(es) sin datos bancarios completos —
+           no se incluyen en el archivo y deben pagarse por separado.</p>
+         <table class="data-table payroll-table">
+           <thead><tr><th>Trabajador</th><th class="text-right">Neto</th><th>Falta</th></tr></thead>
+           <tbody>${missing.map(m => `
+             <tr>
+               <td>${escapeHTML(m.row.nameSnapshot)}
+                 <div style="font-size:0.75rem;color:var(--color-text-muted);">
+                   ${m.row.personType === 'operator' ? 'Operario' : 'Empleado fijo'}</div></td>
+               <td class="text-right">${fmtCurrency(m.row.netPay)}</td>
+               <td>${escapeHTML(m.gaps.join(', '))}</td>
+             </tr>`).join('')}
+           </tbody>
+         </table>`;
+    const overflowTable = overflows.length === 0 ? '' : `
+      <p class="bank-export__warning">⚠ ${overflows.length} valor(es) no caben en el ancho del formato —
+        no se genera el archivo hasta ampliar el campo o corregir el dato.</p>
+      <table class="data-table payroll-table">
+        <thead><tr><th>Trabajador</th><th>Campo</th><th>Valor</th><th class="text-right">Ancho</th></tr></thead>
+        <tbody>${overflows.map(o => `
+          <tr>
+            <td>${escapeHTML(o.name)}</td>
+            <td>${escapeHTML(o.field)}</td>
+            <td>${escapeHTML(o.value)}</td>
+            <td class="text-right">${o.value.length} / ${o.width}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+
+    return `
+      <div class="form-grid">${select}</div>
+      <div class="bank-export__summary">
+        <span><strong>${lines.length}</strong> pago(s) en el archivo</span>
+        <span>Total: <strong>${fmtCurrency(total)}</strong></span>
+      </div>
+      ${missingTable}
+      ${overflowTable}
+      <div class="form-actions">
+        <button class="btn btn--ghost" id="bank-layouts-btn">⚙ Formatos bancarios</button>
+        <button class="btn btn--primary" id="bank-download-btn" ${lines.length && !overflows.length ? '' : 'disabled'}>⬇ Descargar archivo</button>
+      </div>`;
+  };
+
+  const modal = buildModal(`Archivo banco — ${periodLabel(selectedMonth, selectedPeriod)}`, buildBody());
+
+  const rewire = () => {
+    modal.querySelector('#bank-layout')?.addEventListener('change', e => {
+      layoutId = e.target.value;
+      modal.querySelector('.pr-modal__body').innerHTML = buildBody();
+      rewire();
+    });
+    modal.querySelector('#bank-layouts-btn').addEventListener('click', () => {
+      closeModal(modal);
+      openBankLayoutsModal();
+    });
+    modal.querySelector('#bank-download-btn')?.addEventListener('click', () => {
+      const layout    = bankLayouts.find(l => l.id === layoutId);
+      const { lines } = validateBankLines(rows, layout);
+      const slug      = toAscii(layout.name).replace(/\W+/g, '_').replace(/^_|_$/g, '');
+      const isCsv     = layout.format === 'csv';
+      let content;
+      try {
+        content = buildBankFile(layout, lines, pk);
+      } catch (err) {
+        showFeedback(`Archivo no generado — ${err.message}`, 'error', 8000);
+        return;
+      }
+      downloadText(content,
+        `NOMINA_${pk}_${slug}.${isCsv ? 'csv' : 'txt'}`, isCsv ? 'text/csv' : 'text/plain');
+    });
+  };
+  rewire();
+  openModal(modal);
+}
+
+// ─── Bank Layouts Modal ───────────────────────────────────────────────────────
+
+function openBankLayoutsModal() {
+  const blankDraft = () => ({
+    id: null, name: '', format: 'csv',
+    params: { delimiter: ',', includeHeader: true, originAccount: '',
+      fields: [{ source: 'accountNumber', label: '', width: 20, align: 'left', pad: ' ' },
+               { source: 'amount',        label: '', width: 13, align: 'right', pad: '0' }] },
+  });
+  let draft = blankDraft();
+
+  const buildBody = () => {
+    const isFixed = draft.format === 'fixed';
+    const list = bankLayouts.length === 0
+      ? '<p style="color:var(--color-text-muted);">Sin formatos registrados.</p>'
+      : `<table class="data-table payroll-table">
+          <thead><tr><th>Formato</th><th>Tipo</th><th class="text-right">Campos</th><th></th></tr></thead>
+          <tbody>${bankLayouts.map(l => `
+            <tr>
+              <td>${escapeHTML(l.name)}</td>
+              <td>${l.format === 'fixed' ? 'Ancho fijo' : 'CSV'}</td>
+              <td class="text-right">${l.params.fields.length}</td>
+              <td class="text-center" style="white-space:nowrap;">
+                <button class="btn btn--ghost btn--xs" data-action="edit-layout" data-id="${escapeHTML(l.id)}">✎</button>
+                <button class="btn btn--danger btn--xs" data-action="remove-layout" data-id="${escapeHTML(l.id)}">✕</button>
+              </td>
+            </tr>`).join('')}
+          </tbody>
+        </table>`;
+
+    const fieldRows = draft.params.fields.map((f, i) => `
+      <div class="bank-field-row" data-index="${i}">
+        <div class="select-wrapper"><select class="form-input form-select" data-field="source">
+          ${Object.entries(BANK_FIELD_SOURCES).map(([v, label]) =>
+            `<option value="${v}" ${f.source === v ? 'selected' : ''}>${escapeHTML(label)}</option>`).join('')}
+        </select></div>
+        ${isFixed ? `
+          <input class="form-input" type="number" min="1" step="1" data-field="width"
+            value="${Number(f.width) || ''}" placeholder="Ancho" title="Ancho (caracteres)">
+          <div class="select-wrapper"><select class="form-input form-select" data-field="align" title="Alineación">
+            <option value="left"  ${f.align !== 'right' ? 'selected' : ''}>Izq.</option>
+            <option value="right" ${f.align === 'right' ? 'selected' : ''}>Der.</option>
+          </select></div>
+          <div class="select-wrapper"><select class="form-input form-select" data-field="pad" title="Relleno">
+            <option value=" " ${f.pad !== '0' ? 'selected' : ''}>Espacios</option>
+            <option value="0" ${f.pad === '0' ? 'selected' : ''}>Ceros</option>
+          </select></div>` : `
+          <input class="form-input" type="text" maxlength="40" data-field="label"
+            value="${escapeHTML(f.label || '')}" placeholder="Encabezado (opcional)">`}
+        <button class="btn btn--danger btn--xs" data-action="remove-field" data-index="${i}">✕</button>
+      </div>`).join('');
+
+    return `
+      ${list}
+      <hr style="border:none;border-top:1px solid var(--color-border);margin:var(--space-md) 0;">
+      <p class="form-label" style="margin-bottom:var(--space-sm);">
+        ${draft.id ? `Editar formato — ${escapeHTML(draft.name)}` : 'Nuevo formato'}</p>
+      <div class="form-grid">
+        <div class="form-group">
+          <label class="form-label" for="bank-name">Nombre <span class="required">*</span></label>
+          <input class="form-input" type="text" id="bank-name" maxlength="60"
+            value="${escapeHTML(draft.name)}" placeholder="Ej: Banreservas nómina">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="bank-format">Tipo de archivo</label>
+          <div class="select-wrapper"><select class="form-input form-select" id="bank-format">
+            <option value="csv"   ${!isFixed ? 'selected' : ''}>CSV (delimitado)</option>
+            <option value="fixed" ${isFixed  ? 'selected' : ''}>Ancho fijo</option>
+          </select></div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="bank-origin">Cuenta origen (empresa)</label>
+          <input class="form-input" type="text" id="bank-origin" maxlength="30"
+            value="${escapeHTML(draft.params.originAccount || '')}">
+        </div>
+        ${isFixed ? '' : `
+        <div class="form-group">
+          <label class="form-label" for="bank-delimiter">Separador</label>
+          <input class="form-input" type="text" id="bank-delimiter" maxlength="1"
+            value="${escapeHTML(draft.params.delimiter || ',')}">
+        </div>
+        <div class="form-group form-group--wide">
+          <label style="display:flex;align-items:center;gap:var(--space-sm);">
+            <input type="checkbox" id="bank-header" ${draft.params.includeHeader ? 'checked' : ''}>
+            <span class="form-label" style="margin:0;">Incluir fila de encabezado</span>
+          </label>
+        </div>`}
+      </div>
+      <p class="form-label" style="margin:var(--space-md) 0 var(--space-sm);">Campos (en orden)</p>
+      <div id="bank-fields">${fieldRows}</div>
+      <button class="btn btn--ghost btn--sm" id="bank-add-field">+ Campo</button>
+      <div class="form-actions">
+        ${draft.id ? '<button class="btn btn--ghost" id="bank-cancel-edit">Cancelar edición</button>' : ''}
+        <button class="btn btn--primary" id="bank-save-btn">${draft.id ? 'Guardar cambios' : 'Crear formato'}</button>
+      </div>`;
+  };
+
+  const modal = buildModal('Formatos bancarios', buildBody());
+
+  /** Copy the form inputs back into the draft before re-rendering. */
+  const readDraft = () => {
+    draft.name = modal.querySelector('#bank-name').value;
+    draft.params.originAccount = modal.querySelector('#bank-origin').value.trim();
+    const delim = modal.querySelector('#bank-delimiter');
+    if (delim) draft.params.delimiter = delim.value || ',';
+    const header = modal.querySelector('#bank-header');
+    if (header) draft.params.includeHeader = header.checked;
+    modal.querySelectorAll('.bank-field-row').forEach(rowEl => {
+      const f = draft.params.fields[Number(rowEl.dataset.index)];
+      rowEl.querySelectorAll('[data-field]').forEach(input => {
+        f[input.dataset.field] = input.dataset.field === 'width'
+          ? (parseInt(input.value, 10) || 0) : input.value;
+      });
+    });
+  };
+
+  const rerender = () => {
+    modal.querySelector('.pr-modal__body').innerHTML = buildBody();
+    rewire();
+  };
+
+  const rewire = () => {
+    modal.querySelector('#bank-format').addEventListener('change', e => {
+      readDraft();
+      draft.format = e.target.value;
+      rerender();
+    });
+    modal.querySelector('#bank-add-field').addEventListener('click', () => {
+      readDraft();
+      draft.params.fields.push({ source: 'name', label: '', width: 30, align: 'left', pad: ' ' });
+      rerender();
+    });
+    modal.querySelectorAll('[data-action="remove-field"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        readDraft();
+        draft.params.fields.splice(Number(btn.dataset.index), 1);
+        rerender();
+      });
+    });
+    modal.querySelector('#bank-cancel-edit')?.addEventListener('click', () => {
+      draft = blankDraft();
+      rerender();
+    });
+    modal.querySelectorAll('[data-action="edit-layout"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const layout = bankLayouts.find(l => l.id === btn.dataset.id);
+        if (!layout) return;
+        draft = JSON.parse(JSON.stringify(layout));
+        rerender();
+      });
+    });
+    modal.querySelectorAll('[data-action="remove-layout"]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        if (!confirm('¿Eliminar este formato bancario?')) return;
+        try {
+          await PayrollBankLayoutsAPI.remove(btn.dataset.id);
+          bankLayouts = await PayrollBankLayoutsAPI.getAll();
+          if (draft.id === btn.dataset.id) draft = blankDraft();
+          rerender();
+        } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
+      });
+    });
+    modal.querySelector('#bank-save-btn').addEventListener('click', async () => {
+      readDraft();
+      const name = draft.name.trim();
+      if (!name) { showFeedback('Indica el nombre del formato.', 'error'); return; }
+      if (!draft.params.fields.length) { showFeedback('Agrega al menos un campo.', 'error'); return; }
+      if (draft.format === 'fixed' && draft.params.fields.some(f => !(Number(f.width) > 0))) {
+        showFeedback('Cada campo de ancho fijo necesita un ancho mayor que cero.', 'error'); return;
+      }
+      try {
+        const data = { name, format: draft.format, params: draft.params };
+        if (draft.id) await PayrollBankLayoutsAPI.update(draft.id, data);
+        else          await PayrollBankLayoutsAPI.create(data);
+        bankLayouts = await PayrollBankLayoutsAPI.getAll();
+        showFeedback(draft.id ? 'Formato actualizado.' : 'Formato creado.', 'success');
+        draft = blankDraft();
+        rerender();
+      } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
+    });
+  };
+  rewire();
+  openModal(modal);
+}
+
 // ─── Config Modal ─────────────────────────────────────────────────────────────
 
 function openConfigModal(pKey) {
-  const cfg  = getPersonConfig(selectedMonth, pKey) || { payScheme: 'production_only', baseMonthlySalary: 0 };
+  const cfg  = getPersonConfig(pKey) || { payScheme: 'production_only', baseMonthlySalary: 0 };
   const name = personDisplayName(pKey);
 
   const modal = buildModal(`Configurar — ${name}`, `
@@ -688,13 +1755,15 @@ function openConfigModal(pKey) {
       <button class="btn btn--primary" id="cfg-save-btn">Guardar</button>
     </div>`);
 
-  modal.querySelector('#cfg-save-btn').addEventListener('click', () => {
-    setPersonConfig(selectedMonth, pKey, {
-      payScheme:         modal.querySelector('#cfg-scheme').value,
-      baseMonthlySalary: parseFloat(modal.querySelector('#cfg-salary').value) || 0,
-    });
-    closeModal(modal);
-    renderAll();
+  modal.querySelector('#cfg-save-btn').addEventListener('click', async () => {
+    try {
+      await setPersonConfig(pKey, {
+        payScheme:         modal.querySelector('#cfg-scheme').value,
+        baseMonthlySalary: parseFloat(modal.querySelector('#cfg-salary').value) || 0,
+      });
+      closeModal(modal);
+      renderAll();
+    } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
   });
   openModal(modal);
 }
@@ -705,7 +1774,7 @@ function openAdjustmentsModal(pKey, pk) {
   const name = personDisplayName(pKey);
 
   const buildBody = () => {
-    const adjs = getPersonAdjs(pk, pKey);
+    const adjs = getPersonAdjs(pKey);
     const list = adjs.length === 0
       ? '<p style="color:var(--color-text-muted);padding:var(--space-sm) 0;">Sin ajustes para esta quincena.</p>'
       : adjs.map(a => `
@@ -746,22 +1815,26 @@ function openAdjustmentsModal(pKey, pk) {
   const modal = buildModal(`Ajustes — ${name}`, buildBody());
 
   const rewire = () => {
-    modal.querySelector('#adj-add-btn').addEventListener('click', () => {
+    modal.querySelector('#adj-add-btn').addEventListener('click', async () => {
       const type   = modal.querySelector('#adj-type').value;
       const amount = parseFloat(modal.querySelector('#adj-amount').value);
       const note   = modal.querySelector('#adj-note').value;
       if (!amount || amount <= 0) { showFeedback('Monto inválido.', 'error'); return; }
-      addAdj(pk, pKey, { type, amount, note });
-      modal.querySelector('.pr-modal__body').innerHTML = buildBody();
-      rewire();
-      renderAll();
-    });
-    modal.querySelectorAll('.adj-remove').forEach(btn => {
-      btn.addEventListener('click', () => {
-        removeAdj(pk, btn.dataset.id);
+      try {
+        await addAdj(pk, pKey, { type, amount, note });
         modal.querySelector('.pr-modal__body').innerHTML = buildBody();
         rewire();
         renderAll();
+      } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
+    });
+    modal.querySelectorAll('.adj-remove').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await removeAdj(btn.dataset.id);
+          modal.querySelector('.pr-modal__body').innerHTML = buildBody();
+          rewire();
+          renderAll();
+        } catch (err) { showFeedback(`Error: ${err.message}`, 'error'); }
       });
     });
   };
@@ -916,6 +1989,24 @@ function openEmployeeModal(emp) {
         <input class="form-input" type="text" id="emp-position" maxlength="80"
           value="${escapeHTML(emp?.position || '')}">
       </div>
+      <div class="form-group">
+        <label class="form-label">Banco</label>
+        <input class="form-input" type="text" id="emp-bank-name" maxlength="60"
+          value="${escapeHTML(emp?.bankName || '')}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Número de cuenta</label>
+        <input class="form-input" type="text" id="emp-bank-account" maxlength="30"
+          value="${escapeHTML(emp?.bankAccountNumber || '')}">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Tipo de cuenta</label>
+        <div class="select-wrapper"><select class="form-input form-select" id="emp-bank-type">
+          <option value="">—</option>
+          <option value="savings"  ${emp?.bankAccountType === 'savings'  ? 'selected' : ''}>Ahorros</option>
+          <option value="checking" ${emp?.bankAccountType === 'checking' ? 'selected' : ''}>Corriente</option>
+        </select></div>
+      </div>
       <div class="form-group">
         <label class="form-label">Salario mensual (RD$) <span class="required">*</span></label>
         <input class="form-input" type="number" id="emp-salary" min="0" step="0.01"
@@ -946,6 +2037,9 @@ function openEmployeeModal(emp) {
         phone:    modal.querySelector('#emp-phone').value.trim(),
         email:    modal.querySelector('#emp-email').value.trim(),
         position: modal.querySelector('#emp-position').value.trim(),
+        bankName:          modal.querySelector('#emp-bank-name').value.trim(),
+        bankAccountNumber: modal.querySelector('#emp-bank-account').value.replace(/[^\dA-Za-z]/g, ''),
+        bankAccountType:   modal.querySelector('#emp-bank-type').value,
       };
       if (isEdit) await EmployeesAPI.update(emp.id, data);
       else        await EmployeesAPI.create(data);
@@ -1088,6 +2182,68 @@ function injectStyles() {
       align-self: flex-end; padding-bottom: 4px;
     }
 
+    /* ── Employer cost ── */
+    .payroll-employer-cost { margin-top: var(--space-lg); overflow-x: auto; }
+    .payroll-employer-cost__warning {
+      padding: var(--space-sm) var(--space-lg); font-size: 0.82rem;
+      color: var(--color-warning, #d69e2e); border-bottom: 1px solid var(--color-border);
+    }
+
+    /* ── Volantes de pago ── */
+    .payslip-toolbar {
+      display: flex; align-items: center; justify-content: space-between; gap: var(--space-md);
+      padding: var(--space-md) var(--space-lg); margin: var(--space-lg) 0 var(--space-md);
+    }
+    .payslip {
+      background: var(--color-bg-card); border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg); padding: var(--space-lg); margin-bottom: var(--space-md);
+      max-width: 820px;
+    }
+    .payslip__header  { display: flex; justify-content: space-between; gap: var(--space-md); margin-bottom: var(--space-md); }
+    .payslip__company { font-weight: 700; font-size: 1rem; letter-spacing: 0.04em; }
+    .payslip__title   { font-size: 0.85rem; text-transform: uppercase; color: var(--color-text-muted); }
+    .payslip__meta    { text-align: right; font-size: 0.82rem; display: flex; flex-direction: column; gap: 2px; align-items: flex-end; }
+    .payslip__person  { padding: var(--space-sm) 0; border-top: 1px solid var(--color-border); border-bottom: 1px solid var(--color-border); margin-bottom: var(--space-md); }
+    .payslip__muted   { font-size: 0.8rem; color: var(--color-text-muted); }
+    .payslip__section-title { font-size: 0.75rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; color: var(--color-text-muted); margin: var(--space-md) 0 var(--space-xs); }
+    .payslip__table   { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    .payslip__table th, .payslip__table td { padding: 4px 6px; border-bottom: 1px solid var(--color-border); }
+    .payslip__table thead th { text-align: left; font-size: 0.75rem; color: var(--color-text-muted); }
+    .payslip__table tfoot th { text-align: left; }
+    .payslip__summary tfoot th { font-size: 1rem; border-top: 2px solid var(--color-border); }
+    .payslip__subtotal td { font-weight: 600; }
+    .payslip__signatures { display: flex; gap: var(--space-2xl); margin-top: var(--space-2xl); }
+    .payslip__signature  { flex: 1; font-size: 0.8rem; text-align: center; color: var(--color-text-muted); }
+    .payslip__signature-line { border-top: 1px solid currentColor; margin-bottom: 4px; height: 40px; }
+
+    @media print {
+      ${printOnlyCss('#payroll-module', '#payroll-payslips', {
+        hide:  ['.payslip-toolbar', '.payslip__print-btn', '.payslip--skip'],
+        sheet: '.payslip',
+      })}
+      .payslip { break-after: page; page-break-after: always; }
+      .payslip:last-of-type { break-after: auto; page-break-after: auto; }
+      .payslip__muted,
+      .payslip__title,
+      .payslip__section-title,
+      .payslip__signature,
+      .payslip__table thead th { color: #555555 !important; }
+      .payslip__table th, .payslip__table td { border-color: #cccccc !important; color: #111111 !important; }
+    }
+
+    /* ── Archivo banco ── */
+    .bank-export__summary {
+      display: flex; gap: var(--space-lg); padding: var(--space-sm) 0; margin-bottom: var(--space-sm);
+      border-bottom: 1px solid var(--color-border); font-size: 0.88rem;
+    }
+    .bank-export__ok      { font-size: 0.85rem; color: var(--color-success, #38a169); }
+    .bank-export__warning { font-size: 0.85rem; color: var(--color-warning, #d69e2e); margin-bottom: var(--space-sm); }
+    .bank-field-row {
+      display: grid; grid-template-columns: 2fr 1fr 1fr 1fr auto; gap: var(--space-xs);
+      align-items: center; margin-bottom: var(--space-xs);
+    }
+    .bank-field-row:has(> input[data-field="label"]) { grid-template-columns: 2fr 3fr auto; }
+
     /* ── Status badge variants ── */
     .payroll-status-badge--open   { background: var(--color-success, #38a169) !important; color: #fff !important; }
     .payroll-status-badge--closed { background: var(--color-danger,  #e53e3e) !important; color: #fff !important; }
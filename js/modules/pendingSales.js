@@ -5,8 +5,14 @@
  * El administrador puede Confirmar o Rechazar cada venta.
  *
  * Confirmar:
+ *   0. Revisa límite de crédito y facturas vencidas del cliente
+ *      (_checkCustomerCredit): la venta de inversionista queda a crédito y se
+ *      bloquea salvo autorización de un admin; la venta pagada al momento
+ *      solo muestra advertencia. La autorización se registra en change_history
+ *      una vez confirmada la venta.
  *   1. Cambia status → 'confirmed'
- *   2. Descuenta inventario por cada línea manufacturada
+ *   2. Descuenta inventario por cada línea manufacturada, sin tomar el stock
+ *      reservado para pedidos abiertos (getStockShortfalls, como sales.js)
  *   3. Registra el pago en sale_payments
  *   4. Si es venta de inversionista → actualiza amortización
  *   5. Registra en change_history
@@ -15,6 +21,9 @@
  *   1. Cambia status → 'rejected'
  *   2. Registra en change_history
  *   (la venta permanece en la tabla como registro de auditoría)
+ *
+ * Editar, Confirmar y Rechazar requieren permiso 'update' (canPerform,
+ * auth.js); los roles de solo lectura ven la lista sin acciones.
  */
 
 import {
@@ -23,10 +32,14 @@ import {
   ProductsAPI,
   InvestorAPI,
   SalePaymentsAPI,
+  SalesOrdersAPI,
   ChangeHistoryAPI,
   ensureProductInventoryItem,
+  getStockShortfalls,
+  checkCustomerCredit,
+  logCreditOverride,
 } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 // ─── ESTADO DEL MÓDULO ────────────────────────────────────────────────────────
 
@@ -35,6 +48,7 @@ let _customerMap    = new Map();   // id → customer
 let _productMap     = new Map();   // id → product
 let _investorRecord = null;        // registro del inversionista (puede ser null)
 let _currentAdmin   = { id: null, name: 'Admin' };
+let _currentRole    = 'solo-lectura';  // solo 'admin' autoriza excesos de crédito
 let _container      = null;
 
 // ─── PUNTO DE ENTRADA ─────────────────────────────────────────────────────────
@@ -57,6 +71,7 @@ async function _loadAll() {
       id:   session?.user?.id   ?? null,
       name: session?.user?.email ?? 'Admin',
     };
+    _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
 
     const [sales, customers, products, investor] = await Promise.all([
       SalesAPI.getPendingReview(),
@@ -141,7 +156,7 @@ function _buildSaleCard(sale) {
           <span class="ps-card__invoice">${_esc(invoice)}</span>
         </div>
         <div class="ps-card__actions">
-          <button class="btn btn--sm btn--ghost ps-edit-btn"
+          ${canPerform(_currentRole, 'update') ? `<button class="btn btn--sm btn--ghost ps-edit-btn"
             data-sale-id="${_esc(sale.id)}"
             title="Editar venta antes de confirmar">
             ✎ Editar
@@ -155,7 +170,7 @@ function _buildSaleCard(sale) {
             data-sale-id="${_esc(sale.id)}"
             title="Rechazar venta">
             ✕ Rechazar
-          </button>
+          </button>` : ''}
         </div>
       </div>
 
@@ -217,6 +232,7 @@ function _attachCardListeners() {
 // ─── EDITAR VENTA ────────────────────────────────────────────────────────────
 
 function _handleEdit(saleId) {
+  if (!guardAction(_currentRole, 'update', _showBanner)) return;
   const sale = _pendingSales.find(s => s.id === saleId);
   if (!sale) return;
 
@@ -383,6 +399,7 @@ function _handleEdit(saleId) {
 // ─── CONFIRMAR VENTA ─────────────────────────────────────────────────────────
 
 async function _handleConfirm(saleId) {
+  if (!guardAction(_currentRole, 'update', _showBanner)) return;
   const sale = _pendingSales.find(s => s.id === saleId);
   if (!sale) return;
 
@@ -392,6 +409,14 @@ async function _handleConfirm(saleId) {
   if (rejectBtn) rejectBtn.disabled = true;
 
   try {
+    // 0. Crédito del cliente
+    const creditOverride = await _checkCustomerCredit(sale);
+    if (creditOverride === false) {
+      _setBtnLoading(btn, false, '✓ Confirmar');
+      if (rejectBtn) rejectBtn.disabled = false;
+      return;
+    }
+
     // 1+2. Cambiar status y descontar inventario en una sola transacción.
     //
     // Pre-flight: cada producto manufacturado debe tener un artículo de
@@ -410,6 +435,20 @@ async function _handleConfirm(saleId) {
       await ensureProductInventoryItem(product);
     }
 
+    // El RPC solo compara contra el stock en mano; aquí además se respeta lo
+    // reservado para pedidos abiertos (misma regla que una venta nueva).
+    const [orders, allSales] = await Promise.all([
+      SalesOrdersAPI.getAll(),
+      SalesAPI.getAll(),
+    ]);
+    const orderId = manufacturedLines.find(l => l.salesOrderId)?.salesOrderId ?? null;
+    const short   = await getStockShortfalls(manufacturedLines, _productMap, orders, allSales, orderId);
+    if (short.length) {
+      throw new Error('stock insuficiente — ' + short.map(s =>
+        `${s.product.name}: necesario ${s.quantity} ${s.unit}, disponible ${s.available} ${s.unit}` +
+        (s.reserved ? ` (${s.reserved} reservado para pedidos)` : '')).join('; '));
+    }
+
     // RPC atómico: status → 'confirmed' + débito de stock + inserción de
     // inventory_movements para cada línea manufacturada, todo en una sola
     // transacción Postgres. Si algo falla (stock insuficiente, producto sin
@@ -437,8 +476,11 @@ async function _handleConfirm(saleId) {
     //    el registro pendiente en investor_payouts. No hay nada más que hacer
     //    aquí.
 
-    // 5. Registrar en historial
+    // 5. Registrar en historial (y la autorización de crédito, si hubo)
     const customer = _customerMap.get(sale.clientId);
+    if (creditOverride) {
+      await logCreditOverride(creditOverride, customer, sale.invoiceNumber || saleId, _currentAdmin);
+    }
     await ChangeHistoryAPI.log({
       entity_type: 'sale',
       entity_id:   saleId,
@@ -463,9 +505,93 @@ async function _handleConfirm(saleId) {
   }
 }
 
+// ─── CRÉDITO DEL CLIENTE ──────────────────────────────────────────────────────
+
+/**
+ * Revisa el crédito del cliente antes de confirmar (regla compartida con
+ * sales.js: checkCustomerCredit en api.js). Devuelve false si la
+ * confirmación no sigue; si sigue, devuelve la autorización a registrar con
+ * logCreditOverride una vez confirmada la venta (null si no hay nada que
+ * registrar).
+ *
+ * La venta de inversionista no se cobra al confirmar, así que su monto suma
+ * al saldo: exceder el límite o tener facturas vencidas la bloquea, y solo un
+ * admin puede autorizarla. Las demás se cobran al momento (no suman saldo);
+ * los problemas del cliente solo se advierten.
+ */
+async function _checkCustomerCredit(sale) {
+  const customer = _customerMap.get(sale.clientId);
+  if (!customer) return null;
+
+  const [sales, payments] = await Promise.all([
+    SalesAPI.getAll(),
+    SalePaymentsAPI.getAll(),
+  ]);
+  const amount = sale.isInvestor
+    ? (sale.totals?.revenue ?? 0) + (sale.itbisAmount || 0)
+    : 0;
+  const check = checkCustomerCredit(customer, sales, payments, amount,
+    { excludeSaleId: sale.id, fmt: _fmt });
+  if (check.ok) return null;
+
+  const onCredit = amount > 0;
+  if (onCredit && _currentRole !== 'admin') {
+    _showBanner(`Venta bloqueada — ${customer.name}: ${check.issues.join(' ')} ` +
+      'Solo un administrador puede autorizarla.', 'error');
+    return false;
+  }
+
+  const ok = await _askCreditOverride(sale, customer, check.issues, onCredit);
+  if (!ok) return false;
+  return onCredit ? check : null;
+}
+
+/**
+ * Overlay de advertencia / autorización (mismo estilo que el de rechazo).
+ * Resuelve true si el usuario decide confirmar igual.
+ */
+function _askCreditOverride(sale, customer, issues, onCredit) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,.6);z-index:1000;display:flex;align-items:center;justify-content:center;padding:1rem;';
+    overlay.innerHTML = `
+      <div style="background:var(--color-bg-card);border:1px solid var(--color-border);border-radius:var(--radius-lg);padding:var(--space-xl);width:min(440px,100%);box-shadow:0 8px 32px rgba(0,0,0,.6);display:flex;flex-direction:column;gap:var(--space-md);">
+        <h3 style="margin:0;font-size:1rem;font-weight:700;color:var(--color-warning);">
+          ⚠ Crédito — ${_esc(customer.name)}
+        </h3>
+        ${issues.map(i => `<p style="margin:0;font-size:.875rem;">${_esc(i)}</p>`).join('')}
+        <p style="margin:0;font-size:.875rem;color:var(--color-text-muted);">
+          ${onCredit
+            ? 'Esta venta queda a crédito. La autorización quedará registrada en el historial.'
+            : 'Esta venta se cobra al confirmar, por lo que no aumenta el saldo del cliente.'}
+        </p>
+        <div style="display:flex;gap:var(--space-sm);justify-content:flex-end;">
+          <button id="psc-cancel" class="btn btn--ghost btn--sm">Cancelar</button>
+          <button id="psc-confirm" class="btn btn--primary btn--sm">
+            ${onCredit ? 'Autorizar y confirmar' : 'Confirmar de todas formas'}
+          </button>
+        </div>
+      </div>`;
+
+    document.body.appendChild(overlay);
+
+    const finish = ok => {
+      overlay.remove();
+      document.removeEventListener('keydown', onKey);
+      resolve(ok);
+    };
+    const onKey = e => { if (e.key === 'Escape') finish(false); };
+    overlay.querySelector('#psc-cancel').addEventListener('click', () => finish(false));
+    overlay.querySelector('#psc-confirm').addEventListener('click', () => finish(true));
+    overlay.addEventListener('click', e => { if (e.target === overlay) finish(false); });
+    document.addEventListener('keydown', onKey);
+  });
+}
+
 // ─── RECHAZAR VENTA ───────────────────────────────────────────────────────────
 
 function _handleReject(saleId) {
+  if (!guardAction(_currentRole, 'update', _showBanner)) return;
   const sale = _pendingSales.find(s => s.id === saleId);
   if (!sale) return;
 
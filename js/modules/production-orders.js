@@ -0,0 +1,1021 @@
+/**
+ * production-orders.js — CapFlow Production Orders Module
+ *
+ * Production orders (órdenes de producción) and the weekly board that assigns
+ * them to machines and shifts:
+ *  - Create / edit orders: product, color, target packages, due date and an
+ *    optional customer; complete, cancel or reopen them
+ *  - Weekly board: one row per machine, one column per day, one slot per
+ *    shift; each slot holds the orders planned there with their packages
+ *  - Progress of each order from the production records stamped with it
+ *    (production.js, and daily logs once confirmed — daily-production.js)
+ *  - Warnings: overdue orders, orders whose planned slots do not cover what
+ *    is left, slots past the due date, and slots over the machine capacity
+ *    (machines.js → "Capacidad nominal") or mixing products
+ *
+ * Data flow:
+ *   ProductionOrdersAPI    ← order CRUD
+ *   ProductionScheduleAPI  ← board slots
+ *   ProductionAPI          ← records carrying productionOrderId
+ *   ShiftsAPI              ← board shifts (catalog in Operarios → Turnos)
+ *   getOrderProgress / getScheduleConflicts ← progress and warnings (api.js)
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  ProductionOrdersAPI,
+  ProductionScheduleAPI,
+  PRODUCTION_ORDER_STATUSES,
+  ShiftsAPI,
+  getShiftNames,
+  DEFAULT_PLANNED_SHIFT_MINUTES,
+  scheduleSlotKey,
+  getOrderProgress,
+  getScheduleConflicts,
+  getNominalCapacity,
+  MachinesAPI,
+  MachineCapacitiesAPI,
+  ProductsAPI,
+  CustomersAPI,
+  ProductionAPI,
+  ChangeHistoryAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** In-memory caches — filters and week navigation re-render without re-fetching. */
+let allOrders     = [];
+let allSlots      = [];
+let allMachines   = [];
+let allCapacities = [];
+let allProducts   = [];
+let allCustomers  = [];
+let allProduction = [];
+let allShifts     = [];
+
+/** Monday ("YYYY-MM-DD") of the week shown on the board. */
+let weekStart = null;
+
+/** Usuario admin actual para registrar en el historial. */
+let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+const STATUS_LABELS  = new Map(PRODUCTION_ORDER_STATUSES.map(s => [s.value, s.label]));
+const STATUS_CLASSES = { open: 'badge--blue', done: 'badge--green', cancelled: 'badge--gray' };
+
+/** Board label of a shift — its initial; the full name is in the title. */
+function shiftShort(shift) {
+  return String(shift || '?').charAt(0).toUpperCase();
+}
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Production Orders module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountProductionOrders(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+  weekStart = mondayOf(todayString());
+
+  const session = await AuthAPI.getSession();
+  _currentAdmin = {
+    id:   session?.user?.id    ?? null,
+    name: session?.user?.email ?? 'Sistema',
+  };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+
+  if (!canPerform(_currentRole, 'create')) document.getElementById('po-new-btn').style.display = 'none';
+  attachListeners();
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  const statusOptions = PRODUCTION_ORDER_STATUSES
+    .map(s => `<option value="${s.value}">${s.label}</option>`).join('');
+
+  return `
+    <section class="module" id="production-orders-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">▥</span>
+          <div>
+            <h1 class="module-header__title">Órdenes de Producción</h1>
+            <p class="module-header__subtitle">Órdenes, avance y programación semanal por máquina y turno</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="po-count-badge">
+          — órdenes
+        </div>
+      </header>
+
+      <!-- ── Orders Card ── -->
+      <div class="card" id="po-orders-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Órdenes
+          </h2>
+          <div class="table-controls">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="po-filter-status"
+                      aria-label="Filtrar por estado">
+                <option value="all">Todos los estados</option>
+                ${statusOptions}
+              </select>
+            </div>
+            <input class="form-input form-input--sm" type="search" id="po-search"
+                   placeholder="Buscar por número, producto o cliente…" aria-label="Buscar orden">
+            <button class="btn btn--primary btn--sm" id="po-new-btn">＋ Nueva orden</button>
+          </div>
+        </div>
+
+        <div class="table-loading" id="po-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando órdenes…</span>
+        </div>
+
+        <div class="table-empty" id="po-table-empty" style="display:none;">
+          <span class="table-empty__icon">▥</span>
+          <p>No hay órdenes para mostrar.</p>
+          <p class="table-empty__sub">Crea una con el botón "Nueva orden".</p>
+        </div>
+
+        <div class="table-wrapper" id="po-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Orden</th>
+                <th>Producto</th>
+                <th>Cliente</th>
+                <th class="text-right">Meta</th>
+                <th>Avance</th>
+                <th class="text-right">Programado</th>
+                <th>Entrega</th>
+                <th class="text-center">Estado</th>
+                <th class="text-center">Acciones</th>
+              </tr>
+            </thead>
+            <tbody id="po-tbody"></tbody>
+          </table>
+        </div>
+      </div>
+
+      <!-- ── Weekly Board Card ── -->
+      <div class="card" id="po-board-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">▦</span>
+            Programación semanal
+          </h2>
+          <div class="table-controls">
+            <button class="btn btn--ghost btn--sm" id="po-week-prev" aria-label="Semana anterior">‹</button>
+            <span class="po-week-label" id="po-week-label">—</span>
+            <button class="btn btn--ghost btn--sm" id="po-week-next" aria-label="Semana siguiente">›</button>
+            <button class="btn btn--ghost btn--sm" id="po-week-today">Hoy</button>
+          </div>
+        </div>
+        <div class="table-wrapper" id="po-board"></div>
+        <p class="po-footnote">
+          Cada turno se indica por su inicial (Operarios → Turnos). Cada bloque muestra lo producido
+          sobre lo programado. Un turno en rojo excede la capacidad nominal de la máquina
+          (${DEFAULT_PLANNED_SHIFT_MINUTES / 60} h por turno) o mezcla productos.
+        </p>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch orders, slots and their references, then re-render. */
+async function loadAll() {
+  showTableLoading(true);
+
+  try {
+    const [orders, slots, machines, capacities, products, customers, production, shifts] = await Promise.all([
+      ProductionOrdersAPI.getAll(),
+      ProductionScheduleAPI.getAll(),
+      MachinesAPI.getAll().catch(() => []),
+      MachineCapacitiesAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+      CustomersAPI.getAll().catch(() => []),
+      ProductionAPI.getAll().catch(() => []),
+      ShiftsAPI.getAll().catch(() => []),
+    ]);
+    allOrders     = orders;
+    allSlots      = slots;
+    allMachines   = machines;
+    allCapacities = capacities;
+    allProducts   = products;
+    allCustomers  = customers;
+    allProduction = production;
+    allShifts     = shifts;
+
+    applyFilters();
+    renderBoard();
+  } catch (err) {
+    showFeedback(`Error al cargar órdenes: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+// ─── Orders Table ─────────────────────────────────────────────────────────────
+
+function applyFilters() {
+  const status = document.getElementById('po-filter-status')?.value || 'all';
+  const term   = (document.getElementById('po-search')?.value || '').trim().toLowerCase();
+
+  const filtered = allOrders.filter(o => {
+    if (status !== 'all' && o.status !== status) return false;
+    if (!term) return true;
+    return [o.orderNumber, productLabel(o.productId), customerLabel(o.customerId), o.color]
+      .some(v => String(v || '').toLowerCase().includes(term));
+  });
+
+  updateCountBadge(allOrders.length, filtered.length);
+  renderTable(filtered);
+}
+
+function renderTable(orders) {
+  showTableLoading(false);
+
+  const tbody   = document.getElementById('po-tbody');
+  const empty   = document.getElementById('po-table-empty');
+  const wrapper = document.getElementById('po-table-wrapper');
+
+  if (!orders || orders.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+
+  const conflicts = getScheduleConflicts(allSlots, allOrders, allCapacities);
+  tbody.innerHTML = orders.map(o => buildTableRow(o, conflicts)).join('');
+
+  tbody.querySelectorAll('[data-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'edit')     openOrderModal(id);
+      if (btn.dataset.action === 'done')     handleStatusChange(id, 'done');
+      if (btn.dataset.action === 'cancel')   handleStatusChange(id, 'cancelled');
+      if (btn.dataset.action === 'reopen')   handleStatusChange(id, 'open');
+      if (btn.dataset.action === 'delete')   handleDelete(id);
+    });
+  });
+}
+
+function buildTableRow(order, conflicts) {
+  const today    = todayString();
+  const progress = getOrderProgress(order, allProduction, allSlots, today);
+  const hasConflict = order.status === 'open' && allSlots.some(s =>
+    String(s.orderId) === String(order.id) && s.scheduleDate >= today &&
+    conflicts.has(scheduleSlotKey(s.machineId, s.scheduleDate, s.shift)));
+
+  const warnings = [
+    progress.overdue        ? '<span class="badge badge--red">Vencida</span>' : '',
+    progress.scheduledLate  ? '<span class="badge badge--warning">Programada tarde</span>' : '',
+    progress.underScheduled ? `<span class="badge badge--warning" title="Faltan ${formatNumber(progress.remaining - progress.scheduledAhead)} paquetes por programar">Sin programar</span>` : '',
+    hasConflict             ? '<span class="badge badge--red">Conflicto</span>' : '',
+  ].join(' ');
+
+  const barClass = progress.pct >= 100 ? 'po-progress--done' : progress.overdue ? 'po-progress--late' : '';
+
+  return `
+    <tr class="table-row ${order.status === 'cancelled' ? 'table-row--inactive' : ''}">
+      <td><span class="machine-code">${escapeHTML(order.orderNumber)}</span></td>
+      <td class="td-name">
+        ${escapeHTML(productLabel(order.productId))}
+        ${order.color ? `<div class="po-sub">${escapeHTML(order.color)}</div>` : ''}
+      </td>
+      <td>${order.customerId ? escapeHTML(customerLabel(order.customerId)) : '<span class="text-muted">Stock</span>'}</td>
+      <td class="text-right">${formatNumber(order.targetPackages)}</td>
+      <td>
+        <div class="po-progress-track">
+          <div class="po-progress-bar ${barClass}" style="width:${progress.pct.toFixed(1)}%;"></div>
+        </div>
+        <div class="po-sub">${formatNumber(progress.produced)} paq. · ${formatDecimal(progress.pct)} %</div>
+      </td>
+      <td class="text-right">${formatNumber(progress.scheduledAhead)}</td>
+      <td>${formatDate(order.dueDate)}</td>
+      <td class="text-center">
+        <span class="badge ${STATUS_CLASSES[order.status] || 'badge--gray'}">${escapeHTML(STATUS_LABELS.get(order.status) || order.status)}</span>
+        ${warnings.trim() ? `<div class="po-warnings">${warnings}</div>` : ''}
+      </td>
+      <td class="text-center td-actions">
+        ${canPerform(_currentRole, 'update') && order.status === 'open' ? `
+          <button class="btn btn--success-ghost btn--xs" data-action="done" data-id="${escapeHTML(order.id)}">✔ Completar</button>
+          <button class="btn btn--warning-ghost btn--xs" data-action="cancel" data-id="${escapeHTML(order.id)}">⊘ Cancelar</button>` : ''}
+        ${canPerform(_currentRole, 'update') && order.status !== 'open'
+          ? `<button class="btn btn--ghost btn--xs" data-action="reopen" data-id="${escapeHTML(order.id)}">↺ Reabrir</button>` : ''}
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="edit" data-id="${escapeHTML(order.id)}">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${escapeHTML(order.id)}">✕</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+// ─── Order Actions ────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('po-filter-status').addEventListener('change', applyFilters);
+  document.getElementById('po-search').addEventListener('input', applyFilters);
+  document.getElementById('po-new-btn').addEventListener('click', () => openOrderModal(null));
+  document.getElementById('po-week-prev').addEventListener('click', () => shiftWeek(-7));
+  document.getElementById('po-week-next').addEventListener('click', () => shiftWeek(7));
+  document.getElementById('po-week-today').addEventListener('click', () => {
+    weekStart = mondayOf(todayString());
+    renderBoard();
+  });
+}
+
+/** Create (orderId null) or edit an order. */
+function openOrderModal(orderId) {
+  const order = orderId ? allOrders.find(o => String(o.id) === String(orderId)) : null;
+  if (!guardAction(_currentRole, order ? 'update' : 'create', showFeedback)) return;
+
+  const productOptions = allProducts
+    .filter(p => p.type === 'manufactured' &&
+      (p.active !== false || String(p.id) === String(order?.productId)))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`).join('');
+  const customerOptions = allCustomers
+    .filter(c => c.status !== 'inactive' || String(c.id) === String(order?.customerId))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(c => `<option value="${escapeHTML(c.id)}">${escapeHTML(c.name)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'po-modal-overlay';
+  overlay.innerHTML = `
+    <div class="po-modal" role="dialog" aria-modal="true" aria-labelledby="po-order-title">
+      <h3 id="po-order-title" class="po-modal__title">
+        ${order ? `Editar orden ${escapeHTML(order.orderNumber)}` : 'Nueva orden de producción'}
+      </h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="po-order-product">Producto <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="po-order-product">
+              <option value="" disabled selected>Seleccionar…</option>
+              ${productOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-order-color">Color</label>
+          <input class="form-input" type="text" id="po-order-color" maxlength="60"
+                 placeholder="Ej: Azul">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-order-target">Meta (paquetes) <span class="required">*</span></label>
+          <input class="form-input" type="number" id="po-order-target" min="1" step="1">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-order-due">Fecha de entrega <span class="required">*</span></label>
+          <input class="form-input" type="date" id="po-order-due">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-order-customer">Cliente</label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="po-order-customer">
+              <option value="">Sin cliente (stock)</option>
+              ${customerOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="po-order-notes">Notas</label>
+          <input class="form-input" type="text" id="po-order-notes" maxlength="300">
+        </div>
+      </div>
+      <span class="form-error" id="po-order-error"></span>
+      <div class="po-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="po-order-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="po-order-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#po-order-cancel').addEventListener('click', close);
+
+  if (order) {
+    $('#po-order-product').value  = order.productId;
+    $('#po-order-color').value    = order.color;
+    $('#po-order-target').value   = order.targetPackages;
+    $('#po-order-due').value      = order.dueDate;
+    $('#po-order-customer').value = order.customerId || '';
+    $('#po-order-notes').value    = order.notes;
+  }
+
+  $('#po-order-save').addEventListener('click', async () => {
+    const errEl   = $('#po-order-error');
+    const payload = {
+      productId:      $('#po-order-product').value,
+      color:          $('#po-order-color').value.trim(),
+      targetPackages: Number($('#po-order-target').value),
+      dueDate:        $('#po-order-due').value,
+      customerId:     $('#po-order-customer').value || null,
+      notes:          $('#po-order-notes').value.trim(),
+    };
+
+    if (!payload.productId) { errEl.textContent = 'Selecciona el producto.'; return; }
+    if (!Number.isInteger(payload.targetPackages) || payload.targetPackages < 1) {
+      errEl.textContent = 'La meta debe ser un número entero de paquetes mayor a 0.'; return;
+    }
+    if (!payload.dueDate) { errEl.textContent = 'Indica la fecha de entrega.'; return; }
+
+    const saveBtn = $('#po-order-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (order) {
+        await ProductionOrdersAPI.update(order.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'production_order', entity_id: order.id,
+          entity_name: order.orderNumber, action: 'editar',
+          changes: _buildDiff(order, payload, [
+            'productId', 'color', 'targetPackages', 'dueDate', 'customerId', 'notes',
+          ]),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+        showFeedback('Orden actualizada.', 'success');
+      } else {
+        const created = await ProductionOrdersAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'production_order', entity_id: created.id,
+          entity_name: created.orderNumber, action: 'crear', changes: null,
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+        showFeedback(`Orden ${created.orderNumber} creada.`, 'success');
+      }
+      close();
+      await loadAll();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleStatusChange(orderId, status) {
+  const order = allOrders.find(o => String(o.id) === String(orderId));
+  if (!order || !guardAction(_currentRole, 'update', showFeedback)) return;
+
+  const verbs = { done: 'completar', cancelled: 'cancelar', open: 'reabrir' };
+  if (status !== 'open') {
+    const progress = getOrderProgress(order, allProduction, allSlots, todayString());
+    const pending  = progress.remaining > 0
+      ? ` Quedan ${formatNumber(progress.remaining)} paquetes sin producir.` : '';
+    if (!confirm(`¿${verbs[status][0].toUpperCase()}${verbs[status].slice(1)} la orden ${order.orderNumber}?${pending}`)) return;
+  }
+
+  try {
+    await ProductionOrdersAPI.update(order.id, { status });
+    ChangeHistoryAPI.log({
+      entity_type: 'production_order', entity_id: order.id,
+      entity_name: order.orderNumber, action: verbs[status],
+      changes: { status: { before: order.status, after: status } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback(`Orden ${STATUS_LABELS.get(status).toLowerCase()}.`, 'success');
+    await loadAll();
+  } catch (err) {
+    showFeedback(`Error al guardar: ${err.message}`, 'error');
+  }
+}
+
+async function handleDelete(orderId) {
+  const order = allOrders.find(o => String(o.id) === String(orderId));
+  if (!order || !guardAction(_currentRole, 'remove', showFeedback)) return;
+
+  const used = allProduction.some(r => String(r.productionOrderId) === String(order.id));
+  if (used) {
+    showFeedback('La orden tiene producción registrada. Cancélala en lugar de eliminarla.', 'warning', 6000);
+    return;
+  }
+  if (!confirm(`¿Eliminar la orden ${order.orderNumber} y su programación?`)) return;
+
+  try {
+    await ProductionOrdersAPI.remove(order.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'production_order', entity_id: order.id,
+      entity_name: order.orderNumber, action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Orden eliminada.', 'success');
+    await loadAll();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+// ─── Weekly Board ─────────────────────────────────────────────────────────────
+
+function shiftWeek(days) {
+  weekStart = addDays(weekStart, days);
+  renderBoard();
+}
+
+function renderBoard() {
+  const board = document.getElementById('po-board');
+  if (!board) return;
+
+  const days  = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const today = todayString();
+  document.getElementById('po-week-label').textContent =
+    `${formatDate(days[0])} – ${formatDate(days[6])}`;
+
+  const machines = allMachines.filter(m => m.isActive !== false);
+  if (machines.length === 0) {
+    board.innerHTML = '<p class="po-empty">No hay máquinas activas para programar.</p>';
+    return;
+  }
+
+  const conflicts = getScheduleConflicts(allSlots, allOrders, allCapacities);
+  const byCell = new Map();
+  // Active shifts, plus any inactive one still planned this week
+  const shifts = getShiftNames(allShifts);
+  for (const s of allSlots) {
+    if (s.scheduleDate < days[0] || s.scheduleDate > days[6]) continue;
+    const key = scheduleSlotKey(s.machineId, s.scheduleDate, s.shift);
+    if (!byCell.has(key)) byCell.set(key, []);
+    byCell.get(key).push(s);
+    if (s.shift && !shifts.includes(s.shift)) shifts.push(s.shift);
+  }
+
+  const head = days.map(d => `
+    <th class="po-day ${d === today ? 'po-day--today' : ''}">${formatWeekday(d)}</th>`).join('');
+
+  const rows = machines.map(m => `
+    <tr>
+      <td class="po-machine">
+        <span class="machine-code">${escapeHTML(m.code)}</span>
+        <div class="po-sub">${escapeHTML(m.name)}</div>
+      </td>
+      ${days.map(d => `
+        <td class="po-cell ${d === today ? 'po-day--today' : ''}">
+          ${shifts.map(shift => buildSlotHTML(m.id, d, shift, byCell, conflicts)).join('')}
+        </td>`).join('')}
+    </tr>`).join('');
+
+  board.innerHTML = `
+    <table class="data-table po-board">
+      <thead><tr><th>Máquina</th>${head}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+
+  board.querySelectorAll('[data-slot-add]').forEach(btn => {
+    btn.addEventListener('click', () => openSlotModal(null, {
+      machineId: btn.dataset.machine, scheduleDate: btn.dataset.date, shift: btn.dataset.shift,
+    }));
+  });
+  board.querySelectorAll('[data-slot-id]').forEach(el => {
+    el.addEventListener('click', () => openSlotModal(el.dataset.slotId));
+  });
+}
+
+function buildSlotHTML(machineId, date, shift, byCell, conflicts) {
+  const key      = scheduleSlotKey(machineId, date, shift);
+  const slots    = byCell.get(key) || [];
+  const messages = conflicts.get(key) || [];
+
+  const chips = slots.map(s => {
+    const order    = allOrders.find(o => String(o.id) === String(s.orderId));
+    const produced = producedInSlot(s);
+    return `
+      <button type="button" class="po-chip ${order?.status !== 'open' ? 'po-chip--closed' : ''}"
+              data-slot-id="${escapeHTML(s.id)}"
+              title="${escapeHTML(`${order ? `${order.orderNumber} — ${productLabel(order.productId)}` : 'Orden eliminada'}${s.notes ? `\n${s.notes}` : ''}`)}">
+        <strong>${escapeHTML(order?.orderNumber || '—')}</strong>
+        <span>${formatNumber(produced)}/${formatNumber(s.plannedPackages)}</span>
+      </button>`;
+  }).join('');
+
+  return `
+    <div class="po-slot ${messages.length ? 'po-slot--conflict' : ''}"
+         ${messages.length ? `title="${escapeHTML(messages.join('\n'))}"` : ''}>
+      <span class="po-slot__shift" title="${escapeHTML(shift)}">${escapeHTML(shiftShort(shift))}</span>
+      <div class="po-slot__chips">${chips}</div>
+      ${canPerform(_currentRole, 'create') ? `
+        <button type="button" class="po-slot__add" aria-label="Programar"
+                data-slot-add data-machine="${escapeHTML(machineId)}"
+                data-date="${date}" data-shift="${escapeHTML(shift)}">＋</button>` : ''}
+    </div>`;
+}
+
+/** Packages actually produced for the slot's order on its machine, date and shift. */
+function producedInSlot(slot) {
+  return allProduction
+    .filter(r => String(r.productionOrderId) === String(slot.orderId) &&
+      String(r.machineId) === String(slot.machineId) &&
+      r.productionDate === slot.scheduleDate && r.shift === slot.shift)
+    .reduce((s, r) => s + (Number(r.quantity) || 0), 0);
+}
+
+/**
+ * Assign an order to a slot (slotId null, `defaults` = clicked cell) or edit
+ * an existing assignment.
+ */
+function openSlotModal(slotId, defaults = {}) {
+  const slot = slotId ? allSlots.find(s => String(s.id) === String(slotId)) : null;
+  if (slotId && !slot) return;
+  const readOnly = !canPerform(_currentRole, 'update');
+  if (!slot && !guardAction(_currentRole, 'create', showFeedback)) return;
+
+  const base = slot || defaults;
+  const orderOptions = allOrders
+    .filter(o => o.status === 'open' || String(o.id) === String(slot?.orderId))
+    .map(o => `<option value="${escapeHTML(o.id)}">${escapeHTML(o.orderNumber)} — ${escapeHTML(productLabel(o.productId))}${
+      o.color ? ` (${escapeHTML(o.color)})` : ''}</option>`).join('');
+  const machineOptions = allMachines
+    .filter(m => m.isActive !== false || String(m.id) === String(base.machineId))
+    .map(m => `<option value="${escapeHTML(m.id)}">${escapeHTML(m.code)} — ${escapeHTML(m.name)}</option>`).join('');
+  const shiftOptions = getShiftNames(allShifts, base.shift)
+    .map(s => `<option value="${escapeHTML(s)}">${escapeHTML(s)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'po-modal-overlay';
+  overlay.innerHTML = `
+    <div class="po-modal" role="dialog" aria-modal="true" aria-labelledby="po-slot-title">
+      <h3 id="po-slot-title" class="po-modal__title">${slot ? 'Turno programado' : 'Programar orden'}</h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="po-slot-order">Orden <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="po-slot-order">
+              <option value="" disabled selected>Seleccionar…</option>
+              ${orderOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="po-slot-machine">Máquina <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="po-slot-machine">${machineOptions}</select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-slot-date">Fecha <span class="required">*</span></label>
+          <input class="form-input" type="date" id="po-slot-date">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-slot-shift">Turno <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="po-slot-shift">${shiftOptions}</select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="po-slot-planned">Paquetes programados <span class="required">*</span></label>
+          <input class="form-input" type="number" id="po-slot-planned" min="1" step="1">
+          <span class="form-hint" id="po-slot-hint"></span>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="po-slot-notes">Notas</label>
+          <input class="form-input" type="text" id="po-slot-notes" maxlength="200">
+        </div>
+      </div>
+      <span class="form-error" id="po-slot-error"></span>
+      <div class="po-modal__actions">
+        ${slot && canPerform(_currentRole, 'remove') ? '<button type="button" class="btn btn--danger btn--sm" id="po-slot-delete">✕ Quitar</button>' : ''}
+        <button type="button" class="btn btn--ghost btn--sm" id="po-slot-cancel">${readOnly && slot ? 'Cerrar' : 'Cancelar'}</button>
+        ${!(readOnly && slot) ? '<button type="button" class="btn btn--primary btn--sm" id="po-slot-save">Guardar</button>' : ''}
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#po-slot-cancel').addEventListener('click', close);
+
+  if (slot) $('#po-slot-order').value = slot.orderId;
+  $('#po-slot-machine').value = base.machineId || '';
+  $('#po-slot-date').value    = base.scheduleDate || todayString();
+  $('#po-slot-shift').value   = base.shift || getShiftNames(allShifts)[0];
+  $('#po-slot-planned').value = slot ? slot.plannedPackages : '';
+  $('#po-slot-notes').value   = slot?.notes || '';
+  if (readOnly && slot) overlay.querySelectorAll('input, select').forEach(el => (el.disabled = true));
+
+  /** Per-shift capacity and what is left of the order; prefills new slots. */
+  const refreshHint = () => {
+    const order    = allOrders.find(o => String(o.id) === String($('#po-slot-order').value));
+    const capacity = getNominalCapacity(allCapacities, $('#po-slot-machine').value, order?.productId);
+    const perShift = capacity ? Math.floor(capacity * DEFAULT_PLANNED_SHIFT_MINUTES / 60) : null;
+    const left     = order
+      ? Math.max(getOrderProgress(order, allProduction, allSlots, todayString()).remaining, 0) : null;
+
+    $('#po-slot-hint').textContent = [
+      perShift !== null ? `Capacidad del turno: ${formatNumber(perShift)}` : 'Sin capacidad nominal',
+      left !== null ? `pendiente de la orden: ${formatNumber(left)}` : '',
+    ].filter(Boolean).join(' · ');
+
+    if (!slot && order && !$('#po-slot-planned').dataset.touched) {
+      const suggestion = perShift !== null ? Math.min(perShift, left) : left;
+      $('#po-slot-planned').value = suggestion > 0 ? suggestion : '';
+    }
+  };
+  $('#po-slot-planned').addEventListener('input', e => (e.target.dataset.touched = '1'));
+  $('#po-slot-order').addEventListener('change', refreshHint);
+  $('#po-slot-machine').addEventListener('change', refreshHint);
+  refreshHint();
+
+  $('#po-slot-delete')?.addEventListener('click', async () => {
+    if (!guardAction(_currentRole, 'remove', showFeedback)) return;
+    const order = allOrders.find(o => String(o.id) === String(slot.orderId));
+    try {
+      await ProductionScheduleAPI.remove(slot.id);
+      ChangeHistoryAPI.log({
+        entity_type: 'production_order', entity_id: slot.orderId,
+        entity_name: order?.orderNumber || '', action: 'desprogramar',
+        changes: { slot: { before: slotLabel(slot), after: null } },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      close();
+      showFeedback('Turno liberado.', 'success');
+      await loadAll();
+    } catch (err) {
+      $('#po-slot-error').textContent = `Error al eliminar: ${err.message}`;
+    }
+  });
+
+  $('#po-slot-save')?.addEventListener('click', async () => {
+    const errEl   = $('#po-slot-error');
+    const payload = {
+      orderId:         $('#po-slot-order').value,
+      machineId:       $('#po-slot-machine').value,
+      scheduleDate:    $('#po-slot-date').value,
+      shift:           $('#po-slot-shift').value,
+      plannedPackages: Number($('#po-slot-planned').value),
+      notes:           $('#po-slot-notes').value.trim(),
+    };
+
+    if (!payload.orderId)      { errEl.textContent = 'Selecciona la orden.'; return; }
+    if (!payload.machineId)    { errEl.textContent = 'Selecciona la máquina.'; return; }
+    if (!payload.scheduleDate) { errEl.textContent = 'Indica la fecha.'; return; }
+    if (!Number.isInteger(payload.plannedPackages) || payload.plannedPackages < 1) {
+      errEl.textContent = 'Los paquetes programados deben ser un entero mayor a 0.'; return;
+    }
+
+    const order   = allOrders.find(o => String(o.id) === String(payload.orderId));
+    const saveBtn = $('#po-slot-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      const saved = slot
+        ? await ProductionScheduleAPI.update(slot.id, payload)
+        : await ProductionScheduleAPI.create(payload);
+      ChangeHistoryAPI.log({
+        entity_type: 'production_order', entity_id: payload.orderId,
+        entity_name: order?.orderNumber || '', action: 'programar',
+        changes: { slot: { before: slot ? slotLabel(slot) : null, after: slotLabel(saved) } },
+        user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+      });
+      close();
+      await loadAll();
+
+      const messages = getScheduleConflicts(allSlots, allOrders, allCapacities)
+        .get(scheduleSlotKey(saved.machineId, saved.scheduleDate, saved.shift));
+      if (messages) showFeedback(`Turno guardado con conflicto: ${messages.join('; ')}.`, 'warning', 6000);
+      else showFeedback('Turno programado.', 'success');
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Build a field-level diff between the original record and the new payload. */
+function _buildDiff(original, updated, fields) {
+  const diff = {};
+  for (const f of fields) {
+    if (String(original[f] ?? '') !== String(updated[f] ?? '')) {
+      diff[f] = { before: original[f], after: updated[f] };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function productLabel(productId) {
+  const p = allProducts.find(x => String(x.id) === String(productId));
+  return p ? p.name : '[Producto eliminado]';
+}
+
+function customerLabel(customerId) {
+  const c = allCustomers.find(x => String(x.id) === String(customerId));
+  return c ? c.name : '[Cliente eliminado]';
+}
+
+/** "INY-001 · 12/03/2026 · Matutino · 400 paq." for change_history. */
+function slotLabel(slot) {
+  const m = allMachines.find(x => String(x.id) === String(slot.machineId));
+  return `${m ? m.code : '[Máquina eliminada]'} · ${formatDate(slot.scheduleDate)} · ${slot.shift} · ${slot.plannedPackages} paq.`;
+}
+
+function showTableLoading(loading) {
+  document.getElementById('po-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('po-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('po-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function updateCountBadge(total, filtered = null) {
+  const badge = document.getElementById('po-count-badge');
+  if (!badge) return;
+
+  if (filtered !== null && filtered !== total) {
+    badge.textContent = `${filtered} de ${total} orden${total !== 1 ? 'es' : ''}`;
+  } else {
+    badge.textContent = `${total} orden${total !== 1 ? 'es' : ''}`;
+  }
+}
+
+function setButtonLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.dataset.originalText = btn.dataset.originalText || btn.innerHTML;
+  btn.innerHTML = loading
+    ? '<span class="spinner spinner--sm"></span> Guardando…'
+    : btn.dataset.originalText;
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" plus `days` calendar days. */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** Monday of the week that contains `ymd`. */
+function mondayOf(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const weekday = (new Date(y, m - 1, d).getDay() + 6) % 7;
+  return addDays(ymd, -weekday);
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** "2026-03-12" → "jue. 12/03". */
+function formatWeekday(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const name = new Date(y, m - 1, d).toLocaleDateString('es-DO', { weekday: 'short' });
+  return `${name} ${String(d).padStart(2, '0')}/${String(m).padStart(2, '0')}`;
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+function formatDecimal(n) {
+  return new Intl.NumberFormat('es-DO', { maximumFractionDigits: 1 }).format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('production-orders-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'production-orders-module-styles';
+  tag.textContent = `
+    .po-empty { margin: 0; padding: var(--space-lg); font-size: 0.875rem; color: var(--color-text-muted); }
+    .po-footnote {
+      margin: 0; padding: var(--space-sm) var(--space-lg) var(--space-md);
+      font-size: 0.75rem; color: var(--color-text-muted);
+    }
+    .po-sub { font-size: 0.72rem; color: var(--color-text-muted); }
+    .po-warnings { display: flex; flex-wrap: wrap; gap: 4px; justify-content: center; margin-top: 4px; }
+    .po-week-label { font-size: 0.85rem; font-family: var(--font-mono); white-space: nowrap; }
+
+    .po-progress-track {
+      width: 100%; min-width: 110px; height: 6px;
+      background: var(--color-bg-input); border-radius: 3px; overflow: hidden;
+    }
+    .po-progress-bar { height: 100%; background: var(--color-accent); }
+    .po-progress--done { background: var(--color-success); }
+    .po-progress--late { background: var(--color-danger); }
+
+    .po-board th, .po-board td { vertical-align: top; }
+    .po-day { text-align: center; white-space: nowrap; text-transform: capitalize; }
+    .po-day--today { background: var(--color-accent-dim); }
+    .po-machine { min-width: 120px; }
+    .po-cell { min-width: 120px; padding: 4px !important; }
+    .po-slot {
+      display: flex; align-items: flex-start; gap: 4px;
+      padding: 2px 4px; margin-bottom: 2px;
+      border: 1px solid transparent; border-radius: var(--radius-sm);
+    }
+    .po-slot--conflict { border-color: var(--color-danger); background: var(--color-danger-dim); }
+    .po-slot__shift {
+      width: 14px; flex-shrink: 0;
+      font-size: 0.7rem; font-weight: 600; color: var(--color-text-muted);
+    }
+    .po-slot__chips { display: flex; flex-direction: column; gap: 2px; flex: 1; }
+    .po-slot__add {
+      border: none; background: none; cursor: pointer; padding: 0 2px;
+      font-size: 0.75rem; color: var(--color-text-muted);
+    }
+    .po-slot__add:hover { color: var(--color-accent); }
+    .po-chip {
+      display: flex; justify-content: space-between; gap: 6px;
+      padding: 1px 6px; cursor: pointer; text-align: left;
+      font-size: 0.7rem; font-family: var(--font-mono);
+      color: var(--color-text-primary);
+      background: var(--color-bg-surface);
+      border: 1px solid var(--color-accent-border); border-radius: var(--radius-sm);
+    }
+    .po-chip:hover { background: var(--color-bg-hover); }
+    .po-chip--closed { opacity: 0.55; }
+
+    .po-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .po-modal {
+      width: 100%; max-width: 560px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .po-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .po-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -5,11 +5,16 @@
  * quantity, shift, and operator to a specific date.
  *
  * BUSINESS RULES:
- *   1. One shift per operator per day — creating a record for an operator
- *      on a date they already have a record is blocked at the module level.
+ *   1. A second shift for the same operator on the same day follows the
+ *      policy set in Operarios → Turnos (ProductionSettingsAPI): allow, warn
+ *      (saved only with a reason, stamped as multiShiftReason) or block.
+ *      Shifts come from the catalog (ShiftsAPI, api.js → getShiftNames).
  *
  * CRITICAL — SNAPSHOT INTEGRITY:
  *   The operator rate entered in the form is stamped as `operatorRateSnapshot`.
+ *   On create the form fills it from the piece-rate table (PieceRatesAPI,
+ *   api.js → getPieceRate) for the product, machine, shift, operator and
+ *   date chosen; the admin may still change it before saving.
  *   This value is NEVER recalculated or overwritten after creation.
  *   Historical financial accuracy depends on this guarantee.
  *
@@ -18,10 +23,25 @@
  *   MachinesAPI    ← dropdown population (active machines only)
  *   ProductsAPI    ← dropdown population (active products only) + price snapshot
  *   OperatorsAPI   ← dropdown population (active operators only) + lookup map
+ *   MoldsAPI       ← mold dropdown; the mold mounted on the machine on the
+ *                    production date (MoldMountsAPI) is preselected. The mold
+ *                    and its cavities are stamped as moldId /
+ *                    moldCavitiesSnapshot so shots per mold stay exact.
+ *   ProductionOrdersAPI ← open orders dropdown; the order scheduled for the
+ *                    machine, date and shift (ProductionScheduleAPI) is
+ *                    preselected and stamped as productionOrderId.
+ *
+ * OEE inputs (plannedMinutes, stopMinutes, rejectedQuantity) are captured per
+ * record and stored in production.extra; reports.js computes the OEE.
+ * rejectedQuantity and purgeLbs become read-only once the record has QC
+ * inspections (quality.js), which keep them as the sum of the inspections.
  *
  * Existing inactive resources referenced by old records are still displayed
  * correctly via lookup maps — they just don't appear in the form dropdowns.
  *
+ * Create / edit / delete are gated by the user's role (canPerform, auth.js);
+ * read-only roles get the list without the form or row actions.
+ *
  * All visible text: Spanish
  * All code identifiers: English
  * No business logic (payroll, invoicing) lives here.
@@ -34,6 +54,13 @@ import { OperatorsAPI }     from '../api.js';
 import { InventoryAPI }               from '../api.js';
 import { ensureProductInventoryItem } from '../api.js';
 import { PackageWeightsAPI } from '../api.js';
+import { MoldsAPI, MoldMountsAPI, getMountedMoldId } from '../api.js';
+import { DEFAULT_PLANNED_SHIFT_MINUTES } from '../api.js';
+import { ProductionOrdersAPI, ProductionScheduleAPI, getScheduledOrderId } from '../api.js';
+import { PieceRatesAPI, getPieceRate } from '../api.js';
+import { ShiftsAPI, ProductionSettingsAPI, DEFAULT_MULTI_SHIFT_POLICY } from '../api.js';
+import { getShiftNames, getOperatorOtherShifts } from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -51,6 +78,24 @@ let allRecords = [];
 let machineMap  = new Map();
 let productMap  = new Map();
 let operatorMap = new Map();
+let moldMap     = new Map();
+let orderMap    = new Map();
+
+/** Mold mount history — resolves the mold on a machine for a given date. */
+let allMounts = [];
+
+/** Weekly board slots — resolve the order planned for a machine and shift. */
+let allScheduleSlots = [];
+
+/** Piece-rate table — fills the operator rate of new records. */
+let allRates = [];
+
+/** Shift catalog and the policy for a second shift on the same day. */
+let allShifts        = [];
+let multiShiftPolicy = DEFAULT_MULTI_SHIFT_POLICY;
+
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole = 'solo-lectura';
 
 
 /**
@@ -74,12 +119,21 @@ let activeFilters = {
  */
 export async function mountProduction(container) {
   container.innerHTML = buildModuleHTML();
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  applyRolePermissions();
   await loadDependencies();      // populate dropdowns + build lookup maps
   attachFormListeners();
-  resetFormToCreateMode();       // set default field values (incl. rate = 70)
+  resetFormToCreateMode();       // set default field values (rate comes from the table)
   await Promise.all([loadRecords(), loadPackageWeights()]);
 }
 
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('production-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── HTML Builders ────────────────────────────────────────────────────────────
 
 /** Returns the full module markup as an HTML string. */
@@ -131,6 +185,19 @@ function buildModuleHTML() {
               <span class="form-error" id="prod-error-machine"></span>
             </div>
 
+            <!-- Molde -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-mold">Molde</label>
+              <div class="select-wrapper">
+                <select class="form-input form-select" id="prod-field-mold">
+                  <option value="">Sin molde</option>
+                </select>
+              </div>
+              <span class="form-hint" id="prod-hint-mold">
+                Se preselecciona el molde montado en la máquina en esa fecha.
+              </span>
+            </div>
+
             <!-- Producto -->
             <div class="form-group">
               <label class="form-label" for="prod-field-product">
@@ -169,14 +236,24 @@ function buildModuleHTML() {
               <div class="select-wrapper">
                 <select class="form-input form-select" id="prod-field-shift" required>
                   <option value="" disabled selected>Seleccionar turno…</option>
-                  <option value="Matutino">Matutino</option>
-                  <option value="Vespertino">Vespertino</option>
-                  <option value="Nocturno">Nocturno</option>
                 </select>
               </div>
               <span class="form-error" id="prod-error-shift"></span>
             </div>
 
+            <!-- Orden de producción -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-order">Orden de producción</label>
+              <div class="select-wrapper">
+                <select class="form-input form-select" id="prod-field-order">
+                  <option value="">Sin orden</option>
+                </select>
+              </div>
+              <span class="form-hint">
+                Se preselecciona la orden programada para la máquina, fecha y turno.
+              </span>
+            </div>
+
             <!-- Operario (dropdown — managed entity) -->
             <div class="form-group">
               <label class="form-label" for="prod-field-operator">
@@ -190,6 +267,22 @@ function buildModuleHTML() {
               <span class="form-error" id="prod-error-operator"></span>
             </div>
 
+            <!-- Motivo de turno adicional (only when the operator already has another shift that day) -->
+            <div class="form-group form-group--wide" id="prod-group-shift-reason" style="display:none;">
+              <label class="form-label" for="prod-field-shift-reason">
+                Motivo del turno adicional <span class="required">*</span>
+              </label>
+              <input
+                class="form-input"
+                type="text"
+                id="prod-field-shift-reason"
+                placeholder="Ej: Cubre la ausencia de otro operario"
+                maxlength="200"
+              >
+              <span class="form-error" id="prod-error-shift-reason"></span>
+              <span class="form-hint" id="prod-hint-shift-reason"></span>
+            </div>
+
             <!-- Tarifa por paquete -->
             <div class="form-group">
               <label class="form-label" for="prod-field-rate">
@@ -208,6 +301,7 @@ function buildModuleHTML() {
                 >
               </div>
               <span class="form-error" id="prod-error-rate"></span>
+              <span class="form-hint" id="prod-hint-rate"></span>
               <span class="form-hint">
                 Se guardará como snapshot — no cambiará si la tarifa se modifica después.
               </span>
@@ -233,6 +327,43 @@ function buildModuleHTML() {
               </span>
             </div>
 
+            <!-- OEE: minutos planificados -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-planned">
+                Minutos planificados <span class="required">*</span>
+              </label>
+              <input class="form-input" type="number" id="prod-field-planned"
+                     min="1" step="1" placeholder="${DEFAULT_PLANNED_SHIFT_MINUTES}" required>
+              <span class="form-error" id="prod-error-planned"></span>
+            </div>
+
+            <!-- OEE: minutos de parada -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-stop">Minutos de parada</label>
+              <input class="form-input" type="number" id="prod-field-stop"
+                     min="0" step="1" placeholder="0">
+              <span class="form-error" id="prod-error-stop"></span>
+              <span class="form-hint">Averías, cambios de molde, falta de material…</span>
+            </div>
+
+            <!-- OEE: rechazos -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-rejected">Paquetes rechazados</label>
+              <input class="form-input" type="number" id="prod-field-rejected"
+                     min="0" step="1" placeholder="0">
+              <span class="form-error" id="prod-error-rejected"></span>
+              <span class="form-hint" id="prod-hint-rejected">No entran al inventario — la cantidad es solo lo bueno.</span>
+            </div>
+
+            <!-- Calidad: purga -->
+            <div class="form-group">
+              <label class="form-label" for="prod-field-purge">Purga (lbs)</label>
+              <input class="form-input" type="number" id="prod-field-purge"
+                     min="0" step="0.01" placeholder="0">
+              <span class="form-error" id="prod-error-purge"></span>
+              <span class="form-hint">Plástico perdido en arranques y cambios de color.</span>
+            </div>
+
             <!-- Fecha de producción -->
             <div class="form-group">
               <label class="form-label" for="prod-field-date">
@@ -403,10 +534,17 @@ function buildModuleHTML() {
  */
 async function loadDependencies() {
   try {
-    const [machines, products, operators] = await Promise.all([
+    const [machines, products, operators, molds, mounts, orders, slots, rates, shifts, settings] = await Promise.all([
       MachinesAPI.getAll(),
       ProductsAPI.getAll(),
       OperatorsAPI.getAll(),
+      MoldsAPI.getAll().catch(() => []),
+      MoldMountsAPI.getAll().catch(() => []),
+      ProductionOrdersAPI.getAll().catch(() => []),
+      ProductionScheduleAPI.getAll().catch(() => []),
+      PieceRatesAPI.getAll().catch(() => []),
+      ShiftsAPI.getAll().catch(() => []),
+      ProductionSettingsAPI.get().catch(() => null),
     ]);
 
     // Build lookup maps — include ALL items (active and inactive) so existing
@@ -414,7 +552,13 @@ async function loadDependencies() {
     machineMap  = new Map(machines.map(m  => [String(m.id),  m]));
     productMap  = new Map(products.map(p  => [String(p.id),  p]));
     operatorMap = new Map(operators.map(o => [String(o.id),  o]));
-
+    moldMap     = new Map(molds.map(m     => [String(m.id),  m]));
+    orderMap    = new Map(orders.map(o    => [String(o.id),  o]));
+    allMounts   = mounts;
+    allScheduleSlots = slots;
+    allRates         = rates;
+    allShifts        = shifts;
+    multiShiftPolicy = settings?.multiShiftPolicy || DEFAULT_MULTI_SHIFT_POLICY;
 
     // Populate form dropdowns — active items only (can't create new records
     // referencing deactivated resources).
@@ -432,6 +576,29 @@ async function loadDependencies() {
       'Seleccionar producto…'
     );
 
+    // Retired molds are left out; the edit form re-adds the record's own mold.
+    populateSelect(
+      'prod-field-mold',
+      molds.filter(m => m.status !== 'retired'),
+      m => ({ value: m.id, label: `${m.code} — ${m.name} (${m.cavities} cav.)` }),
+      null  // no placeholder — first option is "Sin molde" from HTML
+    );
+
+    // Open orders only; the edit form re-adds the record's own order.
+    populateSelect(
+      'prod-field-order',
+      orders.filter(o => o.status === 'open'),
+      o => ({ value: o.id, label: orderOptionLabel(o) }),
+      null  // no placeholder — first option is "Sin orden" from HTML
+    );
+
+    populateSelect(
+      'prod-field-shift',
+      getShiftNames(allShifts),
+      name => ({ value: name, label: name }),
+      'Seleccionar turno…'
+    );
+
     populateSelect(
       'prod-field-operator',
       operators.filter(o => o.isActive !== false),
@@ -637,19 +804,27 @@ function buildTableRow(record) {
   const product  = productMap.get(String(record.productId));
   const operator = operatorMap.get(String(record.operatorId));
 
-  const machineName = machine
+  const mold     = record.moldId ? moldMap.get(String(record.moldId)) : null;
+  const order    = record.productionOrderId ? orderMap.get(String(record.productionOrderId)) : null;
+
+  const machineName = (machine
     ? `<span class="machine-code">${escapeHTML(machine.code)}</span> ${escapeHTML(machine.name)}`
-    : `<span class="text-muted">[Máquina eliminada]</span>`;
+    : `<span class="text-muted">[Máquina eliminada]</span>`)
+    + (mold ? `<div class="text-muted" style="font-size:0.75rem;">Molde ${escapeHTML(mold.code)}</div>` : '');
 
-  const productName = product
+  const productName = (product
     ? escapeHTML(product.name)
-    : `<span class="text-muted">[Producto eliminado]</span>`;
+    : `<span class="text-muted">[Producto eliminado]</span>`)
+    + (order ? `<div class="text-muted" style="font-size:0.75rem;">${escapeHTML(order.orderNumber)}</div>` : '');
 
   const operatorName = operator
     ? escapeHTML(operator.name)
     : `<span class="text-muted">[Operario eliminado]</span>`;
 
   const dateFormatted = formatDate(record.productionDate);
+  const lotCell       = record.lotNumber
+    ? `<div class="text-muted" style="font-size:0.75rem;" title="Lote">${escapeHTML(record.lotNumber)}</div>`
+    : '';
 
   const shiftClass = {
     'Matutino':   'badge--blue',
@@ -659,25 +834,25 @@ function buildTableRow(record) {
 
   return `
     <tr class="table-row">
-      <td class="td-date">${escapeHTML(dateFormatted)}</td>
+      <td class="td-date">${escapeHTML(dateFormatted)}${lotCell}</td>
       <td class="td-machine">${machineName}</td>
       <td>${productName}</td>
       <td class="text-right td-quantity">${formatNumber(record.quantity)}</td>
       <td><span class="badge ${shiftClass}">${escapeHTML(record.shift || '—')}</span></td>
       <td>${operatorName}</td>
       <td class="text-center td-actions">
-        <button
+        ${canPerform(_currentRole, 'update') ? `<button
           class="btn btn--ghost btn--xs"
           data-action="edit"
           data-id="${record.id}"
           title="Editar registro"
-        >✎ Editar</button>
-        <button
+        >✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button
           class="btn btn--danger btn--xs"
           data-action="delete"
           data-id="${record.id}"
           title="Eliminar registro"
-        >✕ Eliminar</button>
+        >✕ Eliminar</button>` : ''}
       </td>
     </tr>
   `;
@@ -693,6 +868,29 @@ function attachFormListeners() {
   document.getElementById('production-cancel-btn')
     .addEventListener('click', resetFormToCreateMode);
 
+  // Machine / date drive the mounted-mold preselection
+  document.getElementById('prod-field-machine')
+    .addEventListener('change', preselectMountedMold);
+  document.getElementById('prod-field-date')
+    .addEventListener('change', preselectMountedMold);
+  document.getElementById('prod-field-mold')
+    .addEventListener('change', handleMoldChange);
+
+  // Machine / date / shift drive the scheduled-order preselection
+  ['prod-field-machine', 'prod-field-date', 'prod-field-shift'].forEach(id =>
+    document.getElementById(id).addEventListener('change', preselectScheduledOrder));
+  document.getElementById('prod-field-order')
+    .addEventListener('change', handleOrderChange);
+
+  // Registered last so a product filled from the mold / order is seen
+  ['prod-field-product', 'prod-field-machine', 'prod-field-shift', 'prod-field-operator',
+   'prod-field-date'].forEach(id =>
+    document.getElementById(id).addEventListener('change', applyTableRate));
+
+  // Operator / date / shift decide whether this is a second shift that day
+  ['prod-field-operator', 'prod-field-date', 'prod-field-shift'].forEach(id =>
+    document.getElementById(id).addEventListener('change', updateMultiShiftNotice));
+
 
   // Filter controls — all route through the same coordinator
   document.getElementById('prod-filter-date-from')
@@ -720,17 +918,19 @@ function attachFormListeners() {
  *
  * DUPLICATE RECORD RULE (create and edit):
  *   Before saving, scan allRecords for any record that shares the same combination
- *   of operatorId + productionDate + machineId + productId.
+ *   of operatorId + productionDate + shift + machineId + productId.
  *   In edit mode the record being edited is excluded from the scan so a no-change
  *   save on an unchanged record does not falsely trigger this check.
- *   An operator may produce different products on the same machine on the same day;
- *   only the exact four-field combination is blocked.
+ *   An operator may produce different products on the same machine on the same day,
+ *   and work more than one shift as the multiple-shift policy allows (validateForm);
+ *   only the exact five-field combination is blocked.
  *
  * @param {Event} e
  */
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, editingRecord ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('production-submit-btn');
@@ -744,6 +944,7 @@ async function handleFormSubmit(e) {
     const conflict = allRecords.find(r =>
       String(r.operatorId) === String(payload.operatorId) &&
       r.productionDate     === payload.productionDate     &&
+      r.shift              === payload.shift              &&
       String(r.machineId)  === String(payload.machineId)  &&
       String(r.productId)  === String(payload.productId)  &&
       !(editingRecord && String(r.id) === String(editingRecord.id))
@@ -751,7 +952,7 @@ async function handleFormSubmit(e) {
 
     if (conflict) {
       showFeedback(
-        'Ya existe un registro de producción para este operario, máquina, producto y fecha.',
+        'Ya existe un registro de producción para este operario, turno, máquina, producto y fecha.',
         'error'
       );
       setButtonLoading(submitBtn, false);
@@ -802,13 +1003,16 @@ async function handleFormSubmit(e) {
       await ProductionAPI.update(editingRecord.id, payload);
 
       // ── Apply inventory deltas ────────────────────────────────────
+      // The record keeps its lot number, so every delta moves that lot
+      const lotOf = qty => editingRecord.lotNumber
+        ? [{ lotNumber: editingRecord.lotNumber, quantity: qty }] : null;
       for (const [itemId, delta] of deltaMap) {
         if (delta > 0) {
           await InventoryAPI.addStock(itemId, delta, editingRecord.id,
-            'Ajuste por edición de producción');
+            'Ajuste por edición de producción', lotOf(delta));
         } else if (delta < 0) {
           await InventoryAPI.removeStock(itemId, Math.abs(delta), editingRecord.id,
-            'Ajuste por edición de producción');
+            'Ajuste por edición de producción', lotOf(Math.abs(delta)));
         }
       }
 
@@ -862,6 +1066,7 @@ async function handleFormSubmit(e) {
  * @param {string} recordId
  */
 function handleEdit(recordId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const record = allRecords.find(r => String(r.id) === String(recordId));
   if (!record) return;
 
@@ -872,11 +1077,25 @@ function handleEdit(recordId) {
   document.getElementById('prod-field-machine').value  = record.machineId    || '';
   document.getElementById('prod-field-product').value  = record.productId    || '';
   document.getElementById('prod-field-quantity').value = record.quantity      || '';
+  ensureShiftOption(record.shift);
   document.getElementById('prod-field-shift').value    = record.shift         || '';
   document.getElementById('prod-field-operator').value = record.operatorId   || '';
   document.getElementById('prod-field-rate').value     = record.operatorRateSnapshot       || '';
   document.getElementById('prod-field-weight').value   = record.weightPerPackageSnapshot   || '';
   document.getElementById('prod-field-date').value     = record.productionDate || '';
+  document.getElementById('prod-field-planned').value  = record.plannedMinutes   || DEFAULT_PLANNED_SHIFT_MINUTES;
+  document.getElementById('prod-field-stop').value     = record.stopMinutes      || 0;
+  document.getElementById('prod-field-rejected').value = record.rejectedQuantity || 0;
+  document.getElementById('prod-field-purge').value    = record.purgeLbs         || 0;
+  setQcFieldsLocked(Number(record.qcInspections) || 0);
+  ensureMoldOption(record.moldId);
+  document.getElementById('prod-field-mold').value     = record.moldId || '';
+  ensureOrderOption(record.productionOrderId);
+  document.getElementById('prod-field-order').value    = record.productionOrderId || '';
+  document.getElementById('prod-field-shift-reason').value = record.multiShiftReason || '';
+  updateMultiShiftNotice();
+
+  document.getElementById('prod-hint-rate').textContent = '';
 
   // Show snapshot info panel (read-only display)
   document.getElementById('prod-snapshot-rate-display').textContent =
@@ -907,6 +1126,7 @@ function handleEdit(recordId) {
  * @param {string} recordId
  */
 async function handleDelete(recordId) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   const record = allRecords.find(r => String(r.id) === String(recordId));
   if (!record) return;
 
@@ -929,7 +1149,8 @@ async function handleDelete(recordId) {
         if (reverseQty > 0) {
           await InventoryAPI.removeStock(
             invItemId, reverseQty, recordId,
-            'Reverso por eliminación de registro de producción'
+            'Reverso por eliminación de registro de producción',
+            record.lotNumber ? [{ lotNumber: record.lotNumber, quantity: reverseQty }] : null
           );
         }
         if (reverseQty < record.quantity) {
@@ -962,10 +1183,17 @@ function resetFormToCreateMode() {
 
   document.getElementById('production-form').reset();
   document.getElementById('prod-field-id').value     = '';
-  // Restore default rate after reset() clears it — user can still edit freely
-  document.getElementById('prod-field-rate').value   = 70;
+  // No default rate — applyTableRate() fills it or the admin types it
   // Restore default weight after reset() clears it — average morning weigh-in
   document.getElementById('prod-field-weight').value = 13;
+  // OEE defaults — a full shift with no stops or rejects
+  document.getElementById('prod-field-planned').value  = DEFAULT_PLANNED_SHIFT_MINUTES;
+  document.getElementById('prod-field-stop').value     = 0;
+  document.getElementById('prod-field-rejected').value = 0;
+  document.getElementById('prod-field-purge').value    = 0;
+  setQcFieldsLocked(0);
+  document.getElementById('prod-hint-rate').textContent = '';
+  updateMultiShiftNotice();
 
   // Hide snapshot panel — only shown during edit
   document.getElementById('prod-snapshot-panel').style.display = 'none';
@@ -982,6 +1210,171 @@ function resetFormToCreateMode() {
   clearFormErrors();
 }
 
+// ─── Piece Rate ───────────────────────────────────────────────────────────────
+
+/**
+ * Fill the rate from the piece-rate table for the current product, machine,
+ * shift, operator and date. Create mode only — an existing record keeps its
+ * snapshot. Without a matching row the field is cleared so a rate left over
+ * from another combination is never saved — the admin types it instead.
+ */
+function applyTableRate() {
+  if (editingRecord) return;
+  const hint = document.getElementById('prod-hint-rate');
+  const date = document.getElementById('prod-field-date').value;
+  const productId = document.getElementById('prod-field-product').value;
+  if (!date || !productId) {
+    hint.textContent = '';
+    return;
+  }
+
+  const rateRow = getPieceRate(allRates, {
+    productId,
+    machineId:  document.getElementById('prod-field-machine').value,
+    shift:      document.getElementById('prod-field-shift').value,
+    operatorId: document.getElementById('prod-field-operator').value,
+    date,
+  });
+  if (!rateRow) {
+    document.getElementById('prod-field-rate').value = '';
+    hint.textContent = 'Sin tarifa en la tabla para esta combinación — escríbela a mano.';
+    return;
+  }
+  document.getElementById('prod-field-rate').value = rateRow.rate;
+  hint.textContent = `Tarifa de la tabla${rateRow.operatorId ? ' (del operario)' : ''}, ` +
+    `vigente desde ${formatDate(rateRow.effectiveFrom)}.`;
+}
+
+// ─── Multiple Shifts ──────────────────────────────────────────────────────────
+
+/** Other shifts the chosen operator already has on the chosen date. */
+function getOtherShiftsOfForm() {
+  const operatorId = document.getElementById('prod-field-operator').value;
+  const date       = document.getElementById('prod-field-date').value;
+  const shift      = document.getElementById('prod-field-shift').value;
+  if (!operatorId || !date || !shift) return [];
+  return getOperatorOtherShifts(allRecords, {
+    operatorId, date, shift, excludeId: editingRecord?.id ?? null,
+  });
+}
+
+/**
+ * Show the reason field when the record would be the operator's second shift
+ * of the day. Under 'allow' nothing is asked; under 'block' the field stays
+ * disabled and validateForm refuses the record.
+ */
+function updateMultiShiftNotice() {
+  const group  = document.getElementById('prod-group-shift-reason');
+  const input  = document.getElementById('prod-field-shift-reason');
+  const hint   = document.getElementById('prod-hint-shift-reason');
+  const others = getOtherShiftsOfForm();
+  document.getElementById('prod-error-shift-reason').textContent = '';
+
+  if (others.length === 0 || multiShiftPolicy === 'allow') {
+    group.style.display = 'none';
+    return;
+  }
+  const operator = operatorMap.get(String(document.getElementById('prod-field-operator').value));
+  group.style.display = '';
+  input.disabled      = multiShiftPolicy === 'block';
+  hint.textContent    = `${operator?.name || 'El operario'} ya tiene el turno ${others.join(', ')} ese día.` +
+    (multiShiftPolicy === 'block' ? ' La política actual no permite un turno adicional.' : '');
+}
+
+/** Keep an inactive / unknown shift selectable for the record being edited. */
+function ensureShiftOption(shift) {
+  const select = document.getElementById('prod-field-shift');
+  if (!shift || [...select.options].some(o => o.value === shift)) return;
+  const opt = document.createElement('option');
+  opt.value       = shift;
+  opt.textContent = shift;
+  select.appendChild(opt);
+}
+
+// ─── Mold Selection ───────────────────────────────────────────────────────────
+
+/**
+ * Select the mold mounted on the chosen machine on the chosen date.
+ * Leaves the field alone when the mount history has no answer, so a mold
+ * picked by hand is not cleared.
+ */
+function preselectMountedMold() {
+  const machineId = document.getElementById('prod-field-machine').value;
+  const date      = document.getElementById('prod-field-date').value;
+  if (!machineId || !date) return;
+
+  const moldId = getMountedMoldId(allMounts, machineId, date);
+  if (!moldId || !moldMap.has(String(moldId))) return;
+  ensureMoldOption(moldId);
+  document.getElementById('prod-field-mold').value = moldId;
+  handleMoldChange();
+}
+
+/** Fill an empty product from the mold's product. */
+function handleMoldChange() {
+  const mold    = moldMap.get(String(document.getElementById('prod-field-mold').value));
+  const product = document.getElementById('prod-field-product');
+  if (mold?.productId && !product.value && productMap.has(String(mold.productId))) {
+    product.value = mold.productId;
+  }
+}
+
+/** Add a retired mold back to the dropdown so old records still show it. */
+function ensureMoldOption(moldId) {
+  const select = document.getElementById('prod-field-mold');
+  const mold   = moldId ? moldMap.get(String(moldId)) : null;
+  if (!mold || [...select.options].some(o => o.value === String(mold.id))) return;
+  const opt = document.createElement('option');
+  opt.value       = mold.id;
+  opt.textContent = `${mold.code} — ${mold.name} (${mold.cavities} cav.)`;
+  select.appendChild(opt);
+}
+
+// ─── Order Selection ──────────────────────────────────────────────────────────
+
+/** "OP-004 — Tapa 28 mm (Azul)". */
+function orderOptionLabel(order) {
+  const product = productMap.get(String(order.productId));
+  return `${order.orderNumber} — ${product ? product.name : '[Producto eliminado]'}`
+    + (order.color ? ` (${order.color})` : '');
+}
+
+/**
+ * Select the order scheduled on the board for the chosen machine, date and
+ * shift. Like the mold, a hand-picked order is kept when nothing is planned.
+ */
+function preselectScheduledOrder() {
+  const machineId = document.getElementById('prod-field-machine').value;
+  const date      = document.getElementById('prod-field-date').value;
+  const shift     = document.getElementById('prod-field-shift').value;
+  if (!machineId || !date || !shift) return;
+
+  const orderId = getScheduledOrderId(allScheduleSlots, machineId, date, shift);
+  if (!orderId || orderMap.get(String(orderId))?.status !== 'open') return;
+  document.getElementById('prod-field-order').value = orderId;
+  handleOrderChange();
+}
+
+/** Fill an empty product from the order's product. */
+function handleOrderChange() {
+  const order   = orderMap.get(String(document.getElementById('prod-field-order').value));
+  const product = document.getElementById('prod-field-product');
+  if (order && !product.value && productMap.has(String(order.productId))) {
+    product.value = order.productId;
+  }
+}
+
+/** Add a closed order back to the dropdown so old records still show it. */
+function ensureOrderOption(orderId) {
+  const select = document.getElementById('prod-field-order');
+  const order  = orderId ? orderMap.get(String(orderId)) : null;
+  if (!order || [...select.options].some(o => o.value === String(order.id))) return;
+  const opt = document.createElement('option');
+  opt.value       = order.id;
+  opt.textContent = orderOptionLabel(order);
+  select.appendChild(opt);
+}
+
 // ─── Filter Coordinator ────────────────────────────────────────────────────────
 
 /**
@@ -1068,6 +1461,10 @@ function validateForm() {
   const rate       = document.getElementById('prod-field-rate').value;
   const weight     = document.getElementById('prod-field-weight').value;
   const date       = document.getElementById('prod-field-date').value;
+  const planned    = Number(document.getElementById('prod-field-planned').value);
+  const stop       = Number(document.getElementById('prod-field-stop').value || 0);
+  const rejected   = Number(document.getElementById('prod-field-rejected').value || 0);
+  const purge      = Number(document.getElementById('prod-field-purge').value || 0);
 
   if (!machineId) {
     showFieldError('prod-error-machine',   'Selecciona una máquina.');
@@ -1089,6 +1486,15 @@ function validateForm() {
     showFieldError('prod-error-operator',  'Selecciona un operario.');
     errors.push('operario');
   }
+  const otherShifts = getOtherShiftsOfForm();
+  if (otherShifts.length > 0 && multiShiftPolicy === 'block') {
+    showFieldError('prod-error-shift-reason', 'La política actual no permite más de un turno por operario en el mismo día.');
+    errors.push('turno adicional');
+  } else if (otherShifts.length > 0 && multiShiftPolicy === 'warn' &&
+             !document.getElementById('prod-field-shift-reason').value.trim()) {
+    showFieldError('prod-error-shift-reason', 'Indica el motivo del turno adicional.');
+    errors.push('motivo del turno adicional');
+  }
   if (!rate || Number(rate) <= 0) {
     showFieldError('prod-error-rate',      'La tarifa debe ser mayor a 0.');
     errors.push('tarifa');
@@ -1101,6 +1507,22 @@ function validateForm() {
     showFieldError('prod-error-date',      'La fecha de producción es obligatoria.');
     errors.push('fecha');
   }
+  if (!Number.isInteger(planned) || planned < 1) {
+    showFieldError('prod-error-planned',   'Indica los minutos planificados del turno.');
+    errors.push('minutos planificados');
+  }
+  if (!Number.isInteger(stop) || stop < 0 || stop > planned) {
+    showFieldError('prod-error-stop',      'Debe estar entre 0 y los minutos planificados.');
+    errors.push('minutos de parada');
+  }
+  if (!Number.isInteger(rejected) || rejected < 0) {
+    showFieldError('prod-error-rejected',  'Debe ser un número entero ≥ 0.');
+    errors.push('rechazados');
+  }
+  if (!Number.isFinite(purge) || purge < 0) {
+    showFieldError('prod-error-purge',     'Debe ser un número ≥ 0.');
+    errors.push('purga');
+  }
 
   if (errors.length > 0) {
     showFeedback(
@@ -1142,7 +1564,14 @@ function showFieldError(errorId, message) {
  * @returns {Object}
  */
 function collectFormData() {
-  return {
+  const moldId = document.getElementById('prod-field-mold').value || null;
+  const mold   = moldId ? moldMap.get(String(moldId)) : null;
+  // Keep the stamped cavities when the record's mold did not change
+  const moldCavitiesSnapshot = !mold ? null
+    : (editingRecord && String(editingRecord.moldId) === String(moldId) && editingRecord.moldCavitiesSnapshot)
+      || mold.cavities;
+
+  const data = {
     machineId:            document.getElementById('prod-field-machine').value,
     productId:            document.getElementById('prod-field-product').value,
     quantity:             parseInt(document.getElementById('prod-field-quantity').value, 10),
@@ -1153,7 +1582,38 @@ function collectFormData() {
     // weightPerPackageSnapshot: morning weigh-in snapshot, never recalculated
     weightPerPackageSnapshot:  parseFloat(document.getElementById('prod-field-weight').value) || 0,
     productionDate:       document.getElementById('prod-field-date').value,
+    moldId,
+    moldCavitiesSnapshot,
+    productionOrderId:    document.getElementById('prod-field-order').value || null,
+    plannedMinutes:       parseInt(document.getElementById('prod-field-planned').value, 10) || DEFAULT_PLANNED_SHIFT_MINUTES,
+    stopMinutes:          parseInt(document.getElementById('prod-field-stop').value, 10)     || 0,
+    rejectedQuantity:     parseInt(document.getElementById('prod-field-rejected').value, 10) || 0,
+    purgeLbs:             parseFloat(document.getElementById('prod-field-purge').value)      || 0,
+    // Reason for a second shift that day — only asked under the 'warn' policy
+    multiShiftReason:     getOtherShiftsOfForm().length > 0
+      ? document.getElementById('prod-field-shift-reason').value.trim() || null
+      : null,
   };
+  // Inspections own these totals (QcInspectionsAPI re-totals the record)
+  if (editingRecord && Number(editingRecord.qcInspections) > 0) {
+    delete data.rejectedQuantity;
+    delete data.purgeLbs;
+  }
+  return data;
+}
+
+/**
+ * Rejects and purge are typed by hand only while the record has no QC
+ * inspections; afterwards they are edited in Calidad.
+ * @param {number} inspections - count stamped on the record (qcInspections)
+ */
+function setQcFieldsLocked(inspections) {
+  const locked = inspections > 0;
+  document.getElementById('prod-field-rejected').readOnly = locked;
+  document.getElementById('prod-field-purge').readOnly    = locked;
+  document.getElementById('prod-hint-rejected').textContent = locked
+    ? `Suma de ${inspections} inspecci${inspections !== 1 ? 'ones' : 'ón'} de calidad — edítalas en Calidad.`
+    : 'No entran al inventario — la cantidad es solo lo bueno.';
 }
 
 /**
@@ -5,9 +5,17 @@
  *  - Render the product form (create / edit)
  *  - Load and display the products table
  *  - Deactivate / reactivate products (soft-delete)
+ *  - Versioned recipe (BOM) of manufactured products — lbs of each material
+ *    per package, colorant % and packaging (ProductBomsAPI); create / update /
+ *    remove gated by the user's role (canPerform, auth.js)
+ *  - Product create / edit / activate / delete gated the same way; read-only
+ *    roles get the catalogue without the form or row actions
+ *  - Target weight ± tolerance of the 1,000-cap reference package, the spec
+ *    Control de Peso (weight-control.js) checks weighings against
  *
  * Schema (v2 — price-free):
- *   id, name, type ('manufactured' | 'resale'), active, createdAt, updatedAt
+ *   id, name, type ('manufactured' | 'resale'), active,
+ *   weightTargetLbs, weightToleranceLbs, createdAt, updatedAt
  *
  * Price is NOT stored here. Revenue lives in the Sales module.
  * Cost of manufactured products is derived monthly from Raw Materials + Production.
@@ -21,8 +29,12 @@
  * No business logic lives here.
  */
 
-import { ProductsAPI, ChangeHistoryAPI } from '../api.js';
-import { AuthAPI } from '../auth.js';
+import {
+  ProductsAPI, ChangeHistoryAPI,
+  ProductBomsAPI, BOM_RESIN_TYPES, getMaterialTypeLabel, getEffectiveBom, getBomLbsPerPackage,
+  getWeightSpec,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -31,6 +43,11 @@ let editingProduct = null;
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates recipe create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+/** Every recipe version (ProductBomsAPI), all products. */
+let allBoms = [];
 
 /**
  * Current value of the status filter dropdown.
@@ -49,17 +66,27 @@ let activeFilter = 'all';
 export async function mountProducts(container) {
   console.log('[CapFlow] Products module loaded ✔', typeof mountProducts);
   container.innerHTML = buildModuleHTML();
+  injectStyles();
 
   const session = await AuthAPI.getSession();
   _currentAdmin = {
     id:   session?.user?.id    ?? null,
     name: session?.user?.email ?? 'Sistema',
   };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
 
+  applyRolePermissions();
   attachFormListeners();
   loadProducts();
 }
 
+/** Read-only roles get the catalogue without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('product-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── HTML Builders ────────────────────────────────────────────────────────────
 
 /** Returns the full module markup as a string. */
@@ -141,6 +168,33 @@ function buildModuleHTML() {
               </div>
             </div>
 
+            <!-- Peso objetivo del paquete de referencia (Control de Peso) -->
+            <div class="form-group">
+              <label class="form-label" for="field-weight-target">Peso objetivo (lb / 1.000 tapas)</label>
+              <input
+                class="form-input"
+                type="number"
+                id="field-weight-target"
+                min="0"
+                step="0.001"
+                placeholder="Opcional"
+              >
+              <span class="form-error" id="error-weight-target"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="field-weight-tolerance">Tolerancia (± lb)</label>
+              <input
+                class="form-input"
+                type="number"
+                id="field-weight-tolerance"
+                min="0"
+                step="0.001"
+                placeholder="Opcional"
+              >
+              <span class="form-error" id="error-weight-tolerance"></span>
+            </div>
+
           </div><!-- /form-grid -->
 
           <!-- Form Actions -->
@@ -214,6 +268,20 @@ function buildModuleHTML() {
         </div>
 
       </div>
+
+      <!-- ── Recipes (BOM) Card ── -->
+      <div class="card" id="product-bom-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">⚗</span>
+            Recetas de Producción
+          </h2>
+          <button class="btn btn--primary btn--sm" id="product-bom-new-btn" style="display:none;">
+            + Nueva versión
+          </button>
+        </div>
+        <div class="prod-bom-body" id="product-bom-list"></div>
+      </div>
     </section>
   `;
 }
@@ -230,7 +298,11 @@ async function loadProducts() {
   showTableLoading(true);
 
   try {
-    allProducts = await ProductsAPI.getAll();
+    [allProducts, allBoms] = await Promise.all([
+      ProductsAPI.getAll(),
+      ProductBomsAPI.getAll().catch(() => []),
+    ]);
+    renderBoms();
     // Restore the user's active filter after every data reload.
     // This means create/edit/delete don't reset the dropdown.
     applyFilters();
@@ -297,6 +369,18 @@ function buildTableRow(product) {
         ? `<span class="badge badge--green" style="font-size:0.7rem;" title="Artículo de inventario vinculado">▦ Vinculado</span>`
         : `<span class="badge badge--gray"  style="font-size:0.7rem;" title="Se vincula al primer registro de producción">▦ Sin vincular</span>`)
     : '';
+  // Recipe in force today — rawMaterials.js needs it for consumption per material
+  const bom         = isMfg ? getEffectiveBom(allBoms, product.id, todayString()) : null;
+  const bomBadge    = isMfg
+    ? (bom
+        ? `<span class="badge badge--purple" style="font-size:0.7rem;" title="Receta vigente">⚗ Receta v${bom.version}</span>`
+        : `<span class="badge badge--gray"   style="font-size:0.7rem;" title="Sin receta vigente">⚗ Sin receta</span>`)
+    : '';
+  // Reference-package spec — Control de Peso flags weighings outside it
+  const spec        = getWeightSpec(product);
+  const specBadge   = spec
+    ? `<span class="badge badge--gray" style="font-size:0.7rem;" title="Peso objetivo del paquete de 1.000 tapas">⚖ ${formatLbs(spec.target)} ± ${formatLbs(spec.upper - spec.target)} lb</span>`
+    : '';
   const isActive    = product.active !== false;
   const statusLabel = isActive ? 'Activo' : 'Inactivo';
   const statusClass = isActive ? 'badge--green' : 'badge--gray';
@@ -306,12 +390,12 @@ function buildTableRow(product) {
   return `
     <tr class="table-row ${isActive ? '' : 'table-row--inactive'}">
       <td class="td-name">${escapeHTML(product.name)}</td>
-      <td><span class="badge ${typeClass}">${typeLabel}</span> ${invBadge}</td>
+      <td><span class="badge ${typeClass}">${typeLabel}</span> ${invBadge} ${bomBadge} ${specBadge}</td>
       <td class="text-center">
         <span class="badge ${statusClass}">${statusLabel}</span>
       </td>
       <td class="text-center td-actions">
-        <button
+        ${canPerform(_currentRole, 'update') ? `<button
           class="btn btn--ghost btn--xs"
           data-action="edit"
           data-id="${product.id}"
@@ -323,14 +407,14 @@ function buildTableRow(product) {
           data-id="${product.id}"
           data-active="${isActive}"
           title="${toggleLabel} producto"
-        >${toggleLabel}</button>
-        <button
+        >${toggleLabel}</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button
           class="btn btn--danger btn--xs"
           data-action="delete"
           data-id="${product.id}"
           data-name="${escapeHTML(product.name)}"
           title="Eliminar producto permanentemente"
-        >✕ Eliminar</button>
+        >✕ Eliminar</button>` : ''}
       </td>
     </tr>
   `;
@@ -351,6 +435,9 @@ function attachFormListeners() {
   // Both controls feed into the same applyFilters() coordinator
   searchInput.addEventListener('input',   applyFilters);
   statusFilter.addEventListener('change', applyFilters);
+
+  document.getElementById('product-bom-new-btn')
+    .addEventListener('click', () => openBomModal(null));
 }
 
 /**
@@ -360,6 +447,7 @@ function attachFormListeners() {
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, editingProduct ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('form-submit-btn');
@@ -373,7 +461,8 @@ async function handleFormSubmit(e) {
       await ProductsAPI.update(editingProduct.id, payload);
       showFeedback('Producto actualizado correctamente.', 'success');
 
-      const changes = _buildDiff(editingProduct, payload, ['name', 'type', 'active']);
+      const changes = _buildDiff(editingProduct, payload,
+        ['name', 'type', 'active', 'weightTargetLbs', 'weightToleranceLbs']);
       ChangeHistoryAPI.log({
         entity_type: 'product', entity_id: editingProduct.id,
         entity_name: payload.name, action: 'editar', changes,
@@ -406,6 +495,7 @@ async function handleFormSubmit(e) {
  * @param {string} productId
  */
 function handleEdit(productId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const product = allProducts.find(p => String(p.id) === String(productId));
   if (!product) return;
 
@@ -416,6 +506,8 @@ function handleEdit(productId) {
   document.getElementById('field-name').value   = product.name || '';
   document.getElementById('field-type').value   = product.type || '';
   document.getElementById('field-active').value = String(product.active !== false);
+  document.getElementById('field-weight-target').value    = product.weightTargetLbs    ?? '';
+  document.getElementById('field-weight-tolerance').value = product.weightToleranceLbs ?? '';
 
   // Update form header
   document.getElementById('form-title').innerHTML = `
@@ -435,6 +527,7 @@ function handleEdit(productId) {
  * @param {boolean} currentlyActive
  */
 async function handleToggleStatus(productId, currentlyActive) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const verb = currentlyActive ? 'desactivar' : 'activar';
 
   if (!confirm(`¿Deseas ${verb} este producto?`)) return;
@@ -468,6 +561,7 @@ async function handleToggleStatus(productId, currentlyActive) {
  * @param {string} productName  - Shown in the confirmation dialog
  */
 async function handleDelete(productId, productName) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   const confirmed = confirm(
     `¿Estás seguro de que deseas eliminar "${productName}"?\n\nEsta acción no se puede deshacer.`
   );
@@ -511,6 +605,283 @@ function resetFormToCreateMode() {
   clearFormErrors();
 }
 
+// ─── Recipes (BOM) ────────────────────────────────────────────────────────────
+
+function productLabel(productId) {
+  return allProducts.find(p => String(p.id) === String(productId))?.name || '[Producto eliminado]';
+}
+
+/** "Tapas usadas 0.05 · Peletizado 0.01" — resin lbs per package of a version. */
+function bomMaterialsLabel(bom) {
+  const parts = BOM_RESIN_TYPES
+    .filter(t => bom.materials[t] > 0)
+    .map(t => `${getMaterialTypeLabel(t)} ${formatLbs(bom.materials[t])}`);
+  return parts.length ? parts.join(' · ') : '—';
+}
+
+/**
+ * Recipe versions grouped by product, newest version first. The version in
+ * force today is tagged Vigente; later-dated ones Programada; the rest Anterior.
+ */
+function renderBoms() {
+  const el  = document.getElementById('product-bom-list');
+  const btn = document.getElementById('product-bom-new-btn');
+  if (!el) return;
+  if (btn) btn.style.display = canPerform(_currentRole, 'create') ? '' : 'none';
+
+  if (allBoms.length === 0) {
+    el.innerHTML = '<p class="prod-bom-empty">Sin recetas registradas. El balance de materia prima no puede calcular el consumo teórico por material sin ellas.</p>';
+    return;
+  }
+
+  const today = todayString();
+  const rows  = [...allBoms].sort((a, b) =>
+    productLabel(a.productId).localeCompare(productLabel(b.productId), 'es') ||
+    b.version - a.version);
+
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Producto</th>
+            <th class="text-center">Versión</th>
+            <th>Vigente desde</th>
+            <th>Materiales (lbs / paquete)</th>
+            <th class="text-right">Colorante</th>
+            <th class="text-right">Total (lbs / paquete)</th>
+            <th>Empaque (por paquete)</th>
+            <th class="text-center">Acciones</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(b => {
+            const current = getEffectiveBom(allBoms, b.productId, today);
+            const status  = current?.id === b.id
+              ? '<span class="badge badge--green" style="font-size:0.7rem;">Vigente</span>'
+              : b.effectiveFrom > today
+                ? '<span class="badge badge--blue" style="font-size:0.7rem;">Programada</span>'
+                : '<span class="badge badge--gray" style="font-size:0.7rem;">Anterior</span>';
+            const totalLbs = Object.values(getBomLbsPerPackage(b)).reduce((s, v) => s + v, 0);
+            const packaging = b.packaging.length
+              ? b.packaging.map(p => `${escapeHTML(p.name)} × ${formatLbs(p.quantity)}`).join('<br>')
+              : '<span class="text-muted">—</span>';
+            return `
+            <tr class="table-row ${current?.id === b.id || b.effectiveFrom > today ? '' : 'table-row--inactive'}">
+              <td class="td-name">${escapeHTML(productLabel(b.productId))}</td>
+              <td class="text-center">v${b.version} ${status}</td>
+              <td style="white-space:nowrap;">${formatDate(b.effectiveFrom)}</td>
+              <td>${escapeHTML(bomMaterialsLabel(b))}</td>
+              <td class="text-right">${formatLbs(b.colorantPct)} %</td>
+              <td class="text-right">${formatLbs(totalLbs)}</td>
+              <td>${packaging}</td>
+              <td class="text-center td-actions">
+                ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-bom-action="edit" data-id="${escapeHTML(b.id)}">✎ Editar</button>` : ''}
+                ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-bom-action="delete" data-id="${escapeHTML(b.id)}">✕</button>` : ''}
+              </td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>`;
+
+  el.querySelectorAll('[data-bom-action]').forEach(btn => {
+    const bom = allBoms.find(b => b.id === btn.dataset.id);
+    btn.addEventListener('click', () => {
+      if (btn.dataset.bomAction === 'edit')   openBomModal(bom);
+      if (btn.dataset.bomAction === 'delete') handleDeleteBom(bom);
+    });
+  });
+}
+
+/** One packaging line of the recipe modal. */
+function bomPackagingRowHTML(p = { name: '', quantity: 1 }) {
+  return `
+    <div class="prod-bom-pack-row">
+      <input class="form-input form-input--sm" type="text" data-pack="name" maxlength="60"
+             value="${escapeHTML(p.name)}" placeholder="Ej: Saco, etiqueta">
+      <input class="form-input form-input--sm" type="number" data-pack="quantity" min="0" step="any"
+             value="${p.quantity}" aria-label="Cantidad por paquete">
+      <button type="button" class="btn btn--ghost btn--xs" data-pack="remove" title="Quitar">✕</button>
+    </div>`;
+}
+
+/**
+ * Create a new recipe version, or correct an existing one. A new version
+ * starts from the latest one of the chosen product.
+ */
+function openBomModal(bom) {
+  if (!guardAction(_currentRole, bom ? 'update' : 'create', showFeedback)) return;
+
+  const productOptions = allProducts
+    .filter(p => p.type === 'manufactured' && (p.active !== false || String(p.id) === String(bom?.productId)))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => `<option value="${escapeHTML(p.id)}" ${String(p.id) === String(bom?.productId) ? 'selected' : ''}>
+        ${escapeHTML(p.name)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'prod-modal-overlay';
+  overlay.innerHTML = `
+    <div class="prod-modal" role="dialog" aria-modal="true" aria-labelledby="prod-bom-title">
+      <h3 id="prod-bom-title" class="prod-modal__title">
+        ${bom ? `Editar receta v${bom.version} — ${escapeHTML(productLabel(bom.productId))}` : 'Nueva versión de receta'}
+      </h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="prod-bom-product">Producto <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="prod-bom-product" ${bom ? 'disabled' : ''}>
+              <option value="" disabled ${bom ? '' : 'selected'}>Seleccionar…</option>
+              ${productOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="prod-bom-from">Vigente desde <span class="required">*</span></label>
+          <input class="form-input" type="date" id="prod-bom-from" value="${bom ? bom.effectiveFrom : todayString()}">
+        </div>
+        ${BOM_RESIN_TYPES.map(t => `
+        <div class="form-group">
+          <label class="form-label" for="prod-bom-mat-${t}">${escapeHTML(getMaterialTypeLabel(t))} (lbs / paquete)</label>
+          <input class="form-input" type="number" id="prod-bom-mat-${t}" min="0" step="any"
+                 value="${bom?.materials[t] || ''}" placeholder="0">
+        </div>`).join('')}
+        <div class="form-group">
+          <label class="form-label" for="prod-bom-colorant">Colorante (% de la resina)</label>
+          <input class="form-input" type="number" id="prod-bom-colorant" min="0" max="100" step="any"
+                 value="${bom?.colorantPct || ''}" placeholder="0">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label">Material de empaque (cantidad por paquete)</label>
+          <div id="prod-bom-packaging"></div>
+          <button type="button" class="btn btn--ghost btn--xs" id="prod-bom-pack-add">+ Agregar empaque</button>
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="prod-bom-notes">Notas</label>
+          <input class="form-input" type="text" id="prod-bom-notes" maxlength="200"
+                 value="${escapeHTML(bom?.notes || '')}">
+        </div>
+      </div>
+      <span class="form-hint">Lbs de cada material por paquete terminado. La versión aplica a la producción desde su fecha de vigencia.</span>
+      <span class="form-error" id="prod-bom-error"></span>
+      <div class="prod-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="prod-bom-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="prod-bom-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#prod-bom-cancel').addEventListener('click', close);
+
+  const packList = $('#prod-bom-packaging');
+  const fillFrom = source => {
+    for (const t of BOM_RESIN_TYPES) $(`#prod-bom-mat-${t}`).value = source?.materials[t] || '';
+    $('#prod-bom-colorant').value = source?.colorantPct || '';
+    packList.innerHTML = (source?.packaging || []).map(bomPackagingRowHTML).join('');
+  };
+  fillFrom(bom);
+
+  packList.addEventListener('click', e => {
+    if (e.target.dataset.pack === 'remove') e.target.closest('.prod-bom-pack-row').remove();
+  });
+  $('#prod-bom-pack-add').addEventListener('click', () =>
+    packList.insertAdjacentHTML('beforeend', bomPackagingRowHTML()));
+
+  // New version: start from the product's latest one
+  if (!bom) {
+    $('#prod-bom-product').addEventListener('change', e => {
+      const latest = allBoms
+        .filter(b => String(b.productId) === String(e.target.value))
+        .sort((a, b) => b.version - a.version)[0];
+      fillFrom(latest);
+    });
+  }
+
+  $('#prod-bom-save').addEventListener('click', async () => {
+    const errEl   = $('#prod-bom-error');
+    const payload = {
+      productId:     bom ? bom.productId : $('#prod-bom-product').value,
+      effectiveFrom: $('#prod-bom-from').value,
+      materials:     Object.fromEntries(BOM_RESIN_TYPES.map(t =>
+        [t, parseFloat($(`#prod-bom-mat-${t}`).value) || 0])),
+      colorantPct:   parseFloat($('#prod-bom-colorant').value) || 0,
+      packaging:     [...packList.querySelectorAll('.prod-bom-pack-row')].map(row => ({
+        name:     row.querySelector('[data-pack="name"]').value.trim(),
+        quantity: parseFloat(row.querySelector('[data-pack="quantity"]').value) || 0,
+      })).filter(p => p.name),
+      notes:         $('#prod-bom-notes').value.trim(),
+    };
+
+    let error = '';
+    if (!payload.productId)          error = 'Selecciona el producto.';
+    else if (!payload.effectiveFrom) error = 'Indica la fecha de vigencia.';
+    else if (Object.values(payload.materials).some(v => v < 0)) error = 'Las lbs por paquete no pueden ser negativas.';
+    else if (!Object.values(payload.materials).some(v => v > 0)) error = 'Indica las lbs por paquete de al menos un material.';
+    else if (payload.colorantPct < 0 || payload.colorantPct > 100) error = 'El colorante debe estar entre 0 y 100 %.';
+    else if (payload.packaging.some(p => !(p.quantity > 0))) error = 'La cantidad de cada empaque debe ser mayor a 0.';
+    else if (allBoms.some(b =>
+      String(b.productId) === String(payload.productId) &&
+      b.effectiveFrom === payload.effectiveFrom &&
+      !(bom && b.id === bom.id))) {
+      error = 'Ya existe una versión de la receta con esa fecha de vigencia.';
+    }
+    errEl.textContent = error;
+    if (error) return;
+
+    const saveBtn = $('#prod-bom-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (bom) {
+        await ProductBomsAPI.update(bom.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'product_bom', entity_id: bom.id,
+          entity_name: `${productLabel(bom.productId)} · v${bom.version}`, action: 'editar',
+          changes: _buildDiff(
+            { ...bom, materials: JSON.stringify(bom.materials), packaging: JSON.stringify(bom.packaging) },
+            { ...payload, materials: JSON.stringify(payload.materials), packaging: JSON.stringify(payload.packaging) },
+            ['effectiveFrom', 'materials', 'colorantPct', 'packaging', 'notes']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        const created = await ProductBomsAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'product_bom', entity_id: created.id,
+          entity_name: `${productLabel(created.productId)} · v${created.version}`, action: 'crear',
+          changes: null,
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      showFeedback('Receta guardada.', 'success');
+      await loadProducts();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleDeleteBom(bom) {
+  if (!guardAction(_currentRole, 'remove', showFeedback) || !bom) return;
+  const entityName = `${productLabel(bom.productId)} · v${bom.version}`;
+  if (!confirm(`¿Eliminar la receta ${entityName}?\n\nLa producción de sus fechas pasará a la versión anterior, o quedará sin receta.`)) return;
+  try {
+    await ProductBomsAPI.remove(bom.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'product_bom', entity_id: bom.id, entity_name: entityName,
+      action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Receta eliminada.', 'success');
+    await loadProducts();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
 // ─── Search & Filter Coordinator ──────────────────────────────────────────────────────────────────
 
 /**
@@ -596,6 +967,20 @@ function validateForm() {
     valid = false;
   }
 
+  const target    = document.getElementById('field-weight-target').value;
+  const tolerance = document.getElementById('field-weight-tolerance').value;
+  if (target !== '' && !(Number(target) > 0)) {
+    showFieldError('error-weight-target', 'El peso objetivo debe ser mayor que 0.');
+    valid = false;
+  }
+  if (tolerance !== '' && !(Number(tolerance) >= 0)) {
+    showFieldError('error-weight-tolerance', 'La tolerancia no puede ser negativa.');
+    valid = false;
+  } else if (tolerance !== '' && target === '') {
+    showFieldError('error-weight-tolerance', 'Indica el peso objetivo para usar una tolerancia.');
+    valid = false;
+  }
+
   return valid;
 }
 
@@ -638,6 +1023,8 @@ function collectFormData() {
     name:   document.getElementById('field-name').value.trim(),
     type:   document.getElementById('field-type').value,
     active: document.getElementById('field-active').value === 'true',
+    weightTargetLbs:    numberOrNull(document.getElementById('field-weight-target').value),
+    weightToleranceLbs: numberOrNull(document.getElementById('field-weight-tolerance').value),
   };
 }
 
@@ -734,6 +1121,29 @@ function formatCurrency(value) {
   }).format(value);
 }
 
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** "YYYY-MM-DD" → "DD/MM/YYYY". */
+function formatDate(s) {
+  if (!s) return '—';
+  const [y, m, d] = s.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** Recipe quantities are small fractions of a pound — keep up to 4 decimals. */
+/** '' → null, else the number (optional numeric inputs). */
+function numberOrNull(value) {
+  return value === '' ? null : Number(value);
+}
+
+function formatLbs(n) {
+  return new Intl.NumberFormat('es-DO', { maximumFractionDigits: 4 }).format(n || 0);
+}
+
 /**
  * Escape HTML special characters to prevent XSS in rendered content.
  * @param {string} str
@@ -743,4 +1153,46 @@ function escapeHTML(str) {
   const div = document.createElement('div');
   div.textContent = str;
   return div.innerHTML;
-}
\ No newline at end of file
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('products-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'products-module-styles';
+  tag.textContent = `
+    .prod-bom-body { padding: 0 var(--space-lg) var(--space-lg); }
+    .prod-bom-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+    .prod-bom-pack-row {
+      display: grid; grid-template-columns: 1fr 110px auto;
+      gap: var(--space-sm); align-items: center;
+      margin-bottom: var(--space-xs);
+    }
+
+    .prod-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .prod-modal {
+      width: 100%; max-width: 640px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .prod-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .prod-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -0,0 +1,738 @@
+/**
+ * quality.js — CapFlow Quality Control Module
+ *
+ * QC inspections (control de calidad) of what the machines produce:
+ *  - Each inspection records the packages rejected for one defect type
+ *    (rebaba, tiro corto, color, peso…) and the purge in lbs
+ *  - It belongs to a production record (production.js) or to a daily log
+ *    still pending review (daily-production.js); confirming the log moves
+ *    its inspections onto the production record it creates
+ *  - The production record keeps the totals (rejectedQuantity, purgeLbs), so
+ *    OEE (Reportes → OEE) and the waste analysis (Materia Prima → Balance)
+ *    read them without loading inspections
+ *  - Defect Pareto and rejection rate by machine / operator: Reportes → Calidad
+ *
+ * Data flow:
+ *   QcInspectionsAPI       ← inspection CRUD (re-totals the production record)
+ *   ProductionAPI          ← records an inspection can point to
+ *   DailyProductionLogsAPI ← pending daily logs an inspection can point to
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  QcInspectionsAPI,
+  QC_DEFECT_TYPES,
+  getDefectTypeLabel,
+  getDefectPareto,
+  ProductionAPI,
+  DailyProductionLogsAPI,
+  DispatchOperatorsAPI,
+  MachinesAPI,
+  OperatorsAPI,
+  ProductsAPI,
+  ChangeHistoryAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** In-memory caches — filters re-render without re-fetching. */
+let allInspections       = [];
+let allProduction        = [];
+let allPendingLogs       = [];
+let allDispatchOperators = [];
+let allMachines          = [];
+let allOperators         = [];
+let allProducts          = [];
+
+/** Usuario admin actual para registrar en el historial. */
+let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+/** Production records older than this many days are not offered as a source. */
+const SOURCE_LOOKBACK_DAYS = 30;
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Quality module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountQuality(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+
+  const session = await AuthAPI.getSession();
+  _currentAdmin = {
+    id:   session?.user?.id    ?? null,
+    name: session?.user?.email ?? 'Sistema',
+  };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+
+  if (!canPerform(_currentRole, 'create')) document.getElementById('qc-new-btn').style.display = 'none';
+  attachListeners();
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  const today     = todayString();
+  const monthFrom = today.slice(0, 7) + '-01';
+  const defectOptions = QC_DEFECT_TYPES
+    .map(t => `<option value="${t.value}">${t.label}</option>`).join('');
+
+  return `
+    <section class="module" id="quality-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⊘</span>
+          <div>
+            <h1 class="module-header__title">Control de Calidad</h1>
+            <p class="module-header__subtitle">Inspecciones, rechazos por tipo de defecto y purga</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="qc-count-badge">
+          — inspecciones
+        </div>
+      </header>
+
+      <!-- ── Inspections Card ── -->
+      <div class="card" id="qc-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Inspecciones
+          </h2>
+          <div class="table-controls">
+            <input class="form-input form-input--sm" type="date" id="qc-filter-from"
+                   value="${monthFrom}" aria-label="Desde">
+            <input class="form-input form-input--sm" type="date" id="qc-filter-to"
+                   value="${today}" aria-label="Hasta">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="qc-filter-defect"
+                      aria-label="Filtrar por defecto">
+                <option value="all">Todos los defectos</option>
+                ${defectOptions}
+              </select>
+            </div>
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="qc-filter-machine"
+                      aria-label="Filtrar por máquina">
+                <option value="all">Todas las máquinas</option>
+              </select>
+            </div>
+            <button class="btn btn--primary btn--sm" id="qc-new-btn">＋ Nueva inspección</button>
+          </div>
+        </div>
+
+        <div class="qc-kpis" id="qc-kpis"></div>
+
+        <div class="table-loading" id="qc-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando inspecciones…</span>
+        </div>
+
+        <div class="table-empty" id="qc-table-empty" style="display:none;">
+          <span class="table-empty__icon">⊘</span>
+          <p>No hay inspecciones en este período.</p>
+          <p class="table-empty__sub">Registra una con el botón "Nueva inspección".</p>
+        </div>
+
+        <div class="table-wrapper" id="qc-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Origen</th>
+                <th>Máquina</th>
+                <th>Operario</th>
+                <th>Producto</th>
+                <th>Defecto</th>
+                <th class="text-right">Rechazos</th>
+                <th class="text-right">Purga (lbs)</th>
+                <th>Notas</th>
+                <th class="text-center">Acciones</th>
+              </tr>
+            </thead>
+            <tbody id="qc-tbody"></tbody>
+          </table>
+        </div>
+        <p class="qc-footnote">
+          Los rechazos y la purga se suman al registro de producción: cuentan en la calidad
+          del OEE y en el análisis de desperdicio de Materia Prima. Pareto de defectos y tasa
+          de rechazo por máquina y operario en Reportes → Calidad.
+        </p>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch inspections, their possible sources and references, then re-render. */
+async function loadAll() {
+  showTableLoading(true);
+
+  try {
+    const [inspections, production, pendingLogs, dispatchOperators,
+           machines, operators, products] = await Promise.all([
+      QcInspectionsAPI.getAll(),
+      ProductionAPI.getAll().catch(() => []),
+      DailyProductionLogsAPI.getAll({ status: 'pending_review' }).catch(() => []),
+      DispatchOperatorsAPI.getAll().catch(() => []),
+      MachinesAPI.getAll().catch(() => []),
+      OperatorsAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+    ]);
+    allInspections       = inspections;
+    allProduction        = production;
+    allPendingLogs       = pendingLogs;
+    allDispatchOperators = dispatchOperators;
+    allMachines          = machines;
+    allOperators         = operators;
+    allProducts          = products;
+
+    populateMachineFilter();
+    applyFilters();
+  } catch (err) {
+    showFeedback(`Error al cargar inspecciones: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+function populateMachineFilter() {
+  const select  = document.getElementById('qc-filter-machine');
+  const current = select.value;
+  select.innerHTML = '<option value="all">Todas las máquinas</option>' + [...allMachines]
+    .sort((a, b) => (a.code || a.name).localeCompare(b.code || b.name, 'es'))
+    .map(m => `<option value="${escapeHTML(String(m.id))}">${escapeHTML(m.code || m.name)}</option>`)
+    .join('');
+  if ([...select.options].some(o => o.value === current)) select.value = current;
+}
+
+// ─── Inspections Table ────────────────────────────────────────────────────────
+
+function applyFilters() {
+  const from    = document.getElementById('qc-filter-from').value;
+  const to      = document.getElementById('qc-filter-to').value;
+  const defect  = document.getElementById('qc-filter-defect').value;
+  const machine = document.getElementById('qc-filter-machine').value;
+
+  const filtered = allInspections.filter(i => {
+    if (from && i.inspectionDate < from) return false;
+    if (to   && i.inspectionDate > to)   return false;
+    if (defect  !== 'all' && i.defectType !== defect) return false;
+    if (machine !== 'all' && String(i.machineId) !== machine) return false;
+    return true;
+  });
+
+  updateCountBadge(allInspections.length, filtered.length);
+  renderKpis(filtered);
+  renderTable(filtered);
+}
+
+function renderKpis(inspections) {
+  const rejected = inspections.reduce((s, i) => s + i.rejectedPackages, 0);
+  const purge    = inspections.reduce((s, i) => s + i.purgeLbs, 0);
+  const rejectedLbs = inspections.reduce((s, i) => {
+    const record = productionOf(i);
+    return s + i.rejectedPackages * (Number(record?.weightPerPackageSnapshot) || 0);
+  }, 0);
+  const top = getDefectPareto(inspections)[0];
+
+  document.getElementById('qc-kpis').innerHTML = `
+    <div class="qc-kpi"><span>Inspecciones</span><strong>${formatNumber(inspections.length)}</strong></div>
+    <div class="qc-kpi"><span>Paquetes rechazados</span><strong>${formatNumber(rejected)}</strong></div>
+    <div class="qc-kpi"><span>Lbs rechazadas</span><strong>${formatDecimal(rejectedLbs)}</strong></div>
+    <div class="qc-kpi"><span>Purga (lbs)</span><strong>${formatDecimal(purge)}</strong></div>
+    <div class="qc-kpi"><span>Defecto principal</span>
+      <strong>${top && top.rejected > 0 ? `${escapeHTML(top.label)} · ${formatDecimal(top.pct)} %` : '—'}</strong></div>
+  `;
+}
+
+function renderTable(inspections) {
+  showTableLoading(false);
+
+  const tbody   = document.getElementById('qc-tbody');
+  const empty   = document.getElementById('qc-table-empty');
+  const wrapper = document.getElementById('qc-table-wrapper');
+
+  if (!inspections || inspections.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+
+  tbody.innerHTML = inspections.map(buildTableRow).join('');
+
+  tbody.querySelectorAll('[data-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'edit')   openInspectionModal(id);
+      if (btn.dataset.action === 'delete') handleDelete(id);
+    });
+  });
+}
+
+function buildTableRow(inspection) {
+  const record = productionOf(inspection);
+  const weight = Number(record?.weightPerPackageSnapshot) || 0;
+  const source = inspection.productionId
+    ? `<span class="badge badge--teal">Producción</span>
+       ${record ? `<div class="qc-sub">${formatNumber(record.quantity)} paq. buenos</div>` : '<div class="qc-sub">[Registro eliminado]</div>'}`
+    : '<span class="badge badge--warning">Paquete diario</span><div class="qc-sub">Pendiente de confirmar</div>';
+
+  return `
+    <tr class="table-row">
+      <td>${formatDate(inspection.inspectionDate)}</td>
+      <td>${source}</td>
+      <td>${escapeHTML(machineLabel(inspection.machineId))}</td>
+      <td>${escapeHTML(operatorLabel(inspection.operatorId))}</td>
+      <td class="td-name">${escapeHTML(productLabel(inspection.productId))}</td>
+      <td><span class="badge badge--red">${escapeHTML(getDefectTypeLabel(inspection.defectType))}</span></td>
+      <td class="text-right">
+        ${formatNumber(inspection.rejectedPackages)}
+        ${weight > 0 && inspection.rejectedPackages > 0
+          ? `<div class="qc-sub">${formatDecimal(inspection.rejectedPackages * weight)} lbs</div>` : ''}
+      </td>
+      <td class="text-right">${formatDecimal(inspection.purgeLbs)}</td>
+      <td class="qc-notes">${escapeHTML(inspection.notes)}</td>
+      <td class="text-center td-actions">
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="edit" data-id="${escapeHTML(inspection.id)}">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${escapeHTML(inspection.id)}">✕</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+// ─── Inspection Actions ───────────────────────────────────────────────────────
+
+function attachListeners() {
+  ['qc-filter-from', 'qc-filter-to', 'qc-filter-defect', 'qc-filter-machine'].forEach(id =>
+    document.getElementById(id).addEventListener('change', applyFilters));
+  document.getElementById('qc-new-btn').addEventListener('click', () => openInspectionModal(null));
+}
+
+/**
+ * Source options: recent production records and pending daily logs.
+ * Values are "prod:<id>" / "log:<id>"; the inspection's own source is always
+ * listed so editing an old inspection keeps it.
+ */
+function buildSourceOptions(inspection) {
+  const since     = addDays(todayString(), -SOURCE_LOOKBACK_DAYS);
+  const currentId = inspection?.productionId ? String(inspection.productionId) : null;
+
+  const records = allProduction
+    .filter(r => (r.productionDate || '') >= since || String(r.id) === currentId)
+    .sort((a, b) => (b.productionDate || '').localeCompare(a.productionDate || '') ||
+      (a.shift || '').localeCompare(b.shift || ''));
+  const recordOptions = records.map(r => `
+    <option value="prod:${escapeHTML(String(r.id))}">
+      ${escapeHTML(`${formatDate(r.productionDate)} · ${machineLabel(r.machineId)} · ${r.shift || '—'} · ${productLabel(r.productId)} · ${formatNumber(r.quantity)} paq.`)}
+    </option>`).join('');
+
+  const logOptions = allPendingLogs.map(l => `
+    <option value="log:${escapeHTML(String(l.id))}">
+      ${escapeHTML(`${formatDate(l.production_date)} · ${l.operator_name || 'Operario'} · ${l.shift || '—'} · ${formatNumber(l.quantity)} paq.`)}
+    </option>`).join('');
+
+  return `
+    <option value="" disabled selected>Seleccionar…</option>
+    ${recordOptions ? `<optgroup label="Registros de producción (últimos ${SOURCE_LOOKBACK_DAYS} días)">${recordOptions}</optgroup>` : ''}
+    ${logOptions ? `<optgroup label="Tapas diarias pendientes de confirmar">${logOptions}</optgroup>` : ''}
+  `;
+}
+
+/** Machine / operator / product / date of a "prod:" or "log:" source. */
+function resolveSource(value) {
+  const sep  = value.indexOf(':');
+  const kind = value.slice(0, sep);
+  const id   = value.slice(sep + 1);
+  if (kind === 'prod') {
+    const r = allProduction.find(x => String(x.id) === id);
+    if (!r) return null;
+    return {
+      productionId: r.id, dailyLogId: null, date: r.productionDate,
+      machineId: r.machineId, operatorId: r.operatorId, productId: r.productId,
+    };
+  }
+  if (kind === 'log') {
+    const l = allPendingLogs.find(x => String(x.id) === id);
+    if (!l) return null;
+    const dispatchOp = allDispatchOperators.find(op => op.id === l.operator_id);
+    return {
+      productionId: null, dailyLogId: l.id, date: l.production_date,
+      machineId: l.machine_id, operatorId: dispatchOp?.capflow_operator_id ?? null,
+      productId: l.product_id,
+    };
+  }
+  return null;
+}
+
+/** Create (inspectionId null) or edit an inspection. */
+function openInspectionModal(inspectionId) {
+  const inspection = inspectionId
+    ? allInspections.find(i => String(i.id) === String(inspectionId)) : null;
+  if (!guardAction(_currentRole, inspection ? 'update' : 'create', showFeedback)) return;
+
+  const defectOptions = QC_DEFECT_TYPES
+    .map(t => `<option value="${t.value}">${escapeHTML(t.label)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'qc-modal-overlay';
+  overlay.innerHTML = `
+    <div class="qc-modal" role="dialog" aria-modal="true" aria-labelledby="qc-modal-title">
+      <h3 id="qc-modal-title" class="qc-modal__title">
+        ${inspection ? 'Editar inspección' : 'Nueva inspección de calidad'}
+      </h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="qc-field-source">Producción inspeccionada <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="qc-field-source">
+              ${buildSourceOptions(inspection)}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="qc-field-date">Fecha <span class="required">*</span></label>
+          <input class="form-input" type="date" id="qc-field-date">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="qc-field-defect">Tipo de defecto <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="qc-field-defect">
+              <option value="" disabled selected>Seleccionar…</option>
+              ${defectOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="qc-field-rejected">Paquetes rechazados</label>
+          <input class="form-input" type="number" id="qc-field-rejected" min="0" step="1" value="0">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="qc-field-purge">Purga (lbs)</label>
+          <input class="form-input" type="number" id="qc-field-purge" min="0" step="0.01" value="0">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="qc-field-notes">Notas</label>
+          <input class="form-input" type="text" id="qc-field-notes" maxlength="300">
+        </div>
+      </div>
+      <span class="form-error" id="qc-modal-error"></span>
+      <div class="qc-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="qc-modal-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="qc-modal-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#qc-modal-cancel').addEventListener('click', close);
+
+  if (inspection) {
+    const sourceValue = inspection.productionId
+      ? `prod:${inspection.productionId}` : `log:${inspection.dailyLogId}`;
+    if ([...$('#qc-field-source').options].some(o => o.value === sourceValue)) {
+      $('#qc-field-source').value = sourceValue;
+    }
+    $('#qc-field-date').value     = inspection.inspectionDate;
+    $('#qc-field-defect').value   = inspection.defectType;
+    $('#qc-field-rejected').value = inspection.rejectedPackages;
+    $('#qc-field-purge').value    = inspection.purgeLbs;
+    $('#qc-field-notes').value    = inspection.notes;
+  } else {
+    $('#qc-field-date').value = todayString();
+  }
+
+  // The inspection date follows the production date unless typed by hand.
+  $('#qc-field-source').addEventListener('change', () => {
+    const source = resolveSource($('#qc-field-source').value);
+    if (source?.date) $('#qc-field-date').value = source.date;
+  });
+
+  $('#qc-modal-save').addEventListener('click', async () => {
+    const errEl  = $('#qc-modal-error');
+    const source = resolveSource($('#qc-field-source').value || '');
+    const rejectedPackages = Number($('#qc-field-rejected').value || 0);
+    const purgeLbs         = Number($('#qc-field-purge').value || 0);
+
+    if (!source) { errEl.textContent = 'Selecciona la producción inspeccionada.'; return; }
+    if (!$('#qc-field-date').value) { errEl.textContent = 'Indica la fecha de la inspección.'; return; }
+    if (!$('#qc-field-defect').value) { errEl.textContent = 'Selecciona el tipo de defecto.'; return; }
+    if (!Number.isInteger(rejectedPackages) || rejectedPackages < 0) {
+      errEl.textContent = 'Los paquetes rechazados deben ser un número entero ≥ 0.'; return;
+    }
+    if (!Number.isFinite(purgeLbs) || purgeLbs < 0) {
+      errEl.textContent = 'La purga debe ser un número ≥ 0.'; return;
+    }
+    if (rejectedPackages === 0 && purgeLbs === 0) {
+      errEl.textContent = 'Indica paquetes rechazados o lbs de purga.'; return;
+    }
+
+    const payload = {
+      productionId:     source.productionId,
+      dailyLogId:       source.dailyLogId,
+      machineId:        source.machineId,
+      operatorId:       source.operatorId,
+      productId:        source.productId,
+      inspectionDate:   $('#qc-field-date').value,
+      defectType:       $('#qc-field-defect').value,
+      rejectedPackages,
+      purgeLbs,
+      notes:            $('#qc-field-notes').value.trim(),
+    };
+
+    const saveBtn = $('#qc-modal-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      if (inspection) {
+        await QcInspectionsAPI.update(inspection.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'qc_inspection', entity_id: inspection.id,
+          entity_name: inspectionLabel(payload), action: 'editar',
+          changes: _buildDiff(inspection, payload, [
+            'productionId', 'dailyLogId', 'inspectionDate', 'defectType',
+            'rejectedPackages', 'purgeLbs', 'notes',
+          ]),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+        showFeedback('Inspección actualizada.', 'success');
+      } else {
+        const created = await QcInspectionsAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'qc_inspection', entity_id: created.id,
+          entity_name: inspectionLabel(created), action: 'crear', changes: null,
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+        showFeedback('Inspección registrada.', 'success');
+      }
+      close();
+      await loadAll();
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+async function handleDelete(inspectionId) {
+  const inspection = allInspections.find(i => String(i.id) === String(inspectionId));
+  if (!inspection || !guardAction(_currentRole, 'remove', showFeedback)) return;
+  if (!confirm(`¿Eliminar la inspección "${inspectionLabel(inspection)}"? Sus rechazos y purga se restan del registro de producción.`)) return;
+
+  try {
+    await QcInspectionsAPI.remove(inspection.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'qc_inspection', entity_id: inspection.id,
+      entity_name: inspectionLabel(inspection), action: 'eliminar', changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Inspección eliminada.', 'success');
+    await loadAll();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Build a field-level diff between the original record and the new payload. */
+function _buildDiff(original, updated, fields) {
+  const diff = {};
+  for (const f of fields) {
+    if (String(original[f] ?? '') !== String(updated[f] ?? '')) {
+      diff[f] = { before: original[f], after: updated[f] };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function productionOf(inspection) {
+  if (!inspection.productionId) return null;
+  return allProduction.find(r => String(r.id) === String(inspection.productionId)) || null;
+}
+
+function machineLabel(machineId) {
+  if (!machineId) return '—';
+  const m = allMachines.find(x => String(x.id) === String(machineId));
+  return m ? (m.code || m.name) : '[Máquina eliminada]';
+}
+
+function operatorLabel(operatorId) {
+  if (!operatorId) return '—';
+  const o = allOperators.find(x => String(x.id) === String(operatorId));
+  return o ? o.name : '[Operario eliminado]';
+}
+
+function productLabel(productId) {
+  if (!productId) return '—';
+  const p = allProducts.find(x => String(x.id) === String(productId));
+  return p ? p.name : '[Producto eliminado]';
+}
+
+/** "Rebaba · 12/03/2026 · INY-001" for change_history. */
+function inspectionLabel(inspection) {
+  return `${getDefectTypeLabel(inspection.defectType)} · ${formatDate(inspection.inspectionDate)} · ${machineLabel(inspection.machineId)}`;
+}
+
+function showTableLoading(loading) {
+  document.getElementById('qc-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('qc-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('qc-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function updateCountBadge(total, filtered = null) {
+  const badge = document.getElementById('qc-count-badge');
+  if (!badge) return;
+
+  if (filtered !== null && filtered !== total) {
+    badge.textContent = `${filtered} de ${total} inspecci${total !== 1 ? 'ones' : 'ón'}`;
+  } else {
+    badge.textContent = `${total} inspecci${total !== 1 ? 'ones' : 'ón'}`;
+  }
+}
+
+function setButtonLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.dataset.originalText = btn.dataset.originalText || btn.innerHTML;
+  btn.innerHTML = loading
+    ? '<span class="spinner spinner--sm"></span> Guardando…'
+    : btn.dataset.originalText;
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" plus `days` calendar days. */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+function formatDecimal(n) {
+  return new Intl.NumberFormat('es-DO', { maximumFractionDigits: 1 }).format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('quality-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'quality-module-styles';
+  tag.textContent = `
+    .qc-footnote {
+      margin: 0; padding: var(--space-sm) var(--space-lg) var(--space-md);
+      font-size: 0.75rem; color: var(--color-text-muted);
+    }
+    .qc-sub { font-size: 0.72rem; color: var(--color-text-muted); }
+    .qc-notes { max-width: 220px; font-size: 0.8rem; color: var(--color-text-secondary); }
+    .qc-kpis {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+      gap: var(--space-sm); padding: 0 var(--space-lg) var(--space-md);
+    }
+    .qc-kpi {
+      display: flex; flex-direction: column; gap: 2px;
+      padding: var(--space-sm) var(--space-md);
+      border: 1px solid var(--color-border); border-radius: var(--radius-md);
+    }
+    .qc-kpi span { font-size: 0.75rem; color: var(--color-text-muted); }
+    .qc-kpi strong { font-size: 1.1rem; font-family: var(--font-mono); }
+
+    .qc-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .qc-modal {
+      width: 100%; max-width: 600px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .qc-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .qc-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -8,7 +8,10 @@
  *  - Material balance: opening + purchases − closing = real consumption
  *  - Waste calculation vs. theoretical production usage
  *  - Inline provider creation via modal
+ *  - Supplier RNC / NCF / ITBIS per purchase (DGII 606, stored in `extra`)
  *  - Read-only cost helpers displayed below the form
+ *  - Purchases, receipt confirmation, closing inventory and new providers are
+ *    gated by the user's role (canPerform, auth.js)
  *
  * Data source: api.js → RawMaterialsAPI / ProvidersAPI / MonthlyInventoryAPI
  *                        / ProductionAPI (localStorage prototype).
@@ -22,12 +25,18 @@ import { MonthlyInventoryAPI }              from '../api.js';
 import { ProductionAPI }                    from '../api.js';
 import { MaterialReceiptsAPI }              from '../api.js';
 import { getMaterialTypeLabel, getMaterialTypeBadge } from '../api.js';
+import { getQcScrapLbs }                    from '../api.js';
+import { MATERIAL_TYPES, getClosingLbs, getMonthlyMaterialCost } from '../api.js';
+import { ProductBomsAPI, getTheoreticalMaterialUse } from '../api.js';
 import { InvestorAPI }                      from '../api.js';
 import { ChangeHistoryAPI }                 from '../api.js';
-import { AuthAPI }                          from '../auth.js';
+import { isValidTaxId, isValidNcf }         from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole  = 'solo-lectura';
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
@@ -46,6 +55,9 @@ let allInventoryRecords = [];
 /** In-memory cache of all production records (used for theoretical consumption). */
 let allProductionRecords = [];
 
+/** Product recipes (ProductBomsAPI) — theoretical consumption per material. */
+let allBoms = [];
+
 /** O(1) name lookup: supplierId → provider object. */
 let providerMap = new Map();
 
@@ -84,6 +96,8 @@ export async function mountRawMaterials(container) {
       name: session?.user?.email ?? 'Sistema',
     };
   } catch { /* anon mode */ }
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+  applyRolePermissions();
   attachFormListeners();
   attachProviderModalListeners();
   attachInventoryModalListeners();
@@ -93,6 +107,18 @@ export async function mountRawMaterials(container) {
   await loadAll();
 }
 
+/** Read-only roles get the lists without the purchase form or the inventory entry. */
+function applyRolePermissions() {
+  if (!canPerform(_currentRole, 'create')) {
+    const formCard = document.getElementById('rm-form-card');
+    if (formCard) formCard.style.display = 'none';
+  }
+  if (!canPerform(_currentRole, 'update')) {
+    const invBtn = document.getElementById('rm-open-inventory-btn');
+    if (invBtn) invBtn.style.display = 'none';
+  }
+}
+
 // ─── Data Loading ─────────────────────────────────────────────────────────────
 
 /**
@@ -103,7 +129,7 @@ async function loadAll() {
   showTableLoading(true);
 
   try {
-    [allRecords, allProviders, allServiceProviders, allInventoryRecords, allProductionRecords, allPendingReceipts, investorRecord] = await Promise.all([
+    [allRecords, allProviders, allServiceProviders, allInventoryRecords, allProductionRecords, allPendingReceipts, investorRecord, allBoms] = await Promise.all([
       RawMaterialsAPI.getAll(),
       ProvidersAPI.getAll(),
       ServiceProvidersAPI.getAll().catch(() => []),
@@ -111,6 +137,7 @@ async function loadAll() {
       ProductionAPI.getAll(),
       MaterialReceiptsAPI.getPending(),
       InvestorAPI.get().catch(() => null),
+      ProductBomsAPI.getAll().catch(() => []),
     ]);
 
     // Rebuild lookup map: all providers (active + inactive) for name resolution
@@ -218,14 +245,11 @@ function buildModuleHTML() {
         </div>
         <div class="rm-inventory-display" id="rm-inventory-display">
           <!-- Filled by renderMonthlySummary() after inventory data loads -->
+          ${MATERIAL_TYPES.map(type => `
           <div class="rm-inventory-row">
-            <span class="rm-inventory-label">Tapas usadas (cierre)</span>
-            <span class="rm-inventory-value" id="rm-inv-recycled">—</span>
-          </div>
-          <div class="rm-inventory-row">
-            <span class="rm-inventory-label">Peletizado (cierre)</span>
-            <span class="rm-inventory-value" id="rm-inv-pellet">—</span>
-          </div>
+            <span class="rm-inventory-label">${getMaterialTypeLabel(type)} (cierre)</span>
+            <span class="rm-inventory-value" id="rm-inv-${type}">—</span>
+          </div>`).join('')}
         </div>
       </div>
 
@@ -399,6 +423,45 @@ function buildModuleHTML() {
               </div>
             </div>
 
+            <!-- Comprobante fiscal del proveedor (reporte 606) -->
+            <div class="form-group">
+              <label class="form-label" for="rm-field-tax-id">RNC / Cédula proveedor</label>
+              <input
+                class="form-input"
+                type="text"
+                id="rm-field-tax-id"
+                placeholder="Ej: 101012345"
+                maxlength="11"
+                inputmode="numeric"
+              >
+              <span class="form-error" id="rm-error-tax-id"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="rm-field-ncf">NCF del proveedor</label>
+              <input
+                class="form-input"
+                type="text"
+                id="rm-field-ncf"
+                placeholder="Ej: B0100000123"
+                maxlength="13"
+              >
+              <span class="form-error" id="rm-error-ncf"></span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label" for="rm-field-itbis">ITBIS facturado (RD$)</label>
+              <input
+                class="form-input"
+                type="number"
+                id="rm-field-itbis"
+                placeholder="0.00"
+                min="0"
+                step="0.01"
+              >
+              <span class="form-hint">Incluido en el costo total.</span>
+            </div>
+
           </div><!-- /form-grid -->
 
           <!-- ── Cost helper panel (UI only) ── -->
@@ -716,11 +779,11 @@ function renderPendingReceipts() {
                   ${r.notes ? escapeHTML(r.notes) : '<span style="color:var(--color-text-muted);">—</span>'}
                 </td>
                 <td class="text-center">
-                  <button
+                  ${canPerform(_currentRole, 'create') ? `<button
                     class="btn btn--primary btn--sm rm-confirm-receipt-btn"
                     data-receipt-id="${escapeHTML(r.id)}"
                     style="font-size:0.75rem;padding:4px 12px;"
-                  >✔ Confirmar</button>
+                  >✔ Confirmar</button>` : '—'}
                 </td>
               </tr>
             `;
@@ -788,12 +851,8 @@ function renderClosingInventoryDisplay() {
   const normMonth = normalizeMonth(selectedMonth);
   const inv = allInventoryRecords.find(r => normalizeMonth(r.month) === normMonth);
 
-  if (inv) {
-    setText('rm-inv-recycled', formatNumber(inv.recycledClosingLbs) + ' lbs');
-    setText('rm-inv-pellet',   formatNumber(inv.pelletClosingLbs)   + ' lbs');
-  } else {
-    setText('rm-inv-recycled', '—');
-    setText('rm-inv-pellet',   '—');
+  for (const type of MATERIAL_TYPES) {
+    setText(`rm-inv-${type}`, inv ? formatNumber(getClosingLbs(inv, type)) + ' lbs' : '—');
   }
 }
 
@@ -810,28 +869,11 @@ function normalizeMonth(month) {
   return `${y}-${(m || '01').padStart(2, '0')}`;
 }
 
-/**
- * Return the YYYY-MM string of the month immediately before `ym`.
- * Handles year-boundary roll-back (e.g. 2026-01 → 2025-12).
- * Both input and output are normalised.
- * @param {string} ym  - "YYYY-MM" (or "YYYY-M" — normalised internally)
- * @returns {string}   - "YYYY-MM"
- */
-function previousMonth(ym) {
-  const norm  = normalizeMonth(ym);
-  const [y, m] = norm.split('-').map(Number);
-  // Construct the 1st of the given month, then subtract one month
-  const d = new Date(y, m - 1, 1);
-  d.setMonth(d.getMonth() - 1);
-  const py = d.getFullYear();
-  const pm = String(d.getMonth() + 1).padStart(2, '0');
-  return `${py}-${pm}`;
-}
-
 /**
  * Calculate and render the Material Balance card.
  *
- * Formula (per type, then combined):
+ * Formula (per MATERIAL_TYPES entry — colorant included — then combined;
+ * getMonthlyMaterialCost() in api.js, shared with the cost per package):
  *   opening    = previous month closing  (0 if not recorded)
  *   purchases  = sum(weightLbs) for type in selected month
  *   closing    = closing inventory for selected month  (0 if not recorded)
@@ -843,6 +885,16 @@ function previousMonth(ym) {
  * Waste:
  *   wasteLbs    = realConsumedTotal − theoreticalLbs
  *   wastePercent = (wasteLbs / theoreticalLbs) × 100
+ *
+ * Waste breakdown (quality.js inspections, totalled on each record):
+ *   rejectedLbs    = Σ(rejectedQuantity × weightPerPackageSnapshot)
+ *   purgeLbs       = Σ purgeLbs
+ *   unexplainedLbs = wasteLbs − rejectedLbs − purgeLbs
+ *
+ * Per material (product recipes, getTheoreticalMaterialUse() in api.js):
+ *   recipeLbs[type] = Σ(quantity × recipe lbs per package in force that day)
+ *   difference      = consumed[type] − recipeLbs[type]
+ * Records of products without a recipe are shown apart, in snapshot lbs.
  */
 function renderMaterialBalance() {
   const balanceBody = document.getElementById('rm-balance-body');
@@ -851,29 +903,41 @@ function renderMaterialBalance() {
   // ── Month label ────────────────────────────────────────────────────────────
   setText('rm-balance-month-label', formatMonthLabel(selectedMonth));
 
-  // ── Inventory records — normalise both sides of every comparison ─────────────
+  // ── Opening / purchases / closing per material type ───────────────────────
+  // getMonthlyMaterialCost normalises both sides of every month comparison
   const normSelected = normalizeMonth(selectedMonth);
-  const prevMonthStr = previousMonth(normSelected);          // already normalised
-  const currInv = allInventoryRecords.find(r => normalizeMonth(r.month) === normSelected) || null;
-  const prevInv = allInventoryRecords.find(r => normalizeMonth(r.month) === prevMonthStr) || null;
+  const material     = getMonthlyMaterialCost(normSelected, allRecords, allInventoryRecords);
 
-  // ── Purchase data for selected month ──────────────────────────────────────
-  const monthPurchases = allRecords.filter(r => (r.date || '').startsWith(normSelected));
+  // Only types with stock or purchases around this month get a detail row
+  const activeTypes = material.types.filter(t =>
+    t.openingLbs !== 0 || t.purchasedLbs !== 0 || t.closingLbs !== 0);
+  const sumOf = field => material.types.reduce((s, t) => s + t[field], 0);
 
-  const purchasedRecycled = monthPurchases
-    .filter(r => r.materialType === 'recycled')
-    .reduce((s, r) => s + (r.weightLbs || 0), 0);
+  /** Detail rows of one balance line, one per active material type. */
+  const detailRows = field => activeTypes.map(t => `
+          <div class="rm-balance-row rm-balance-row--detail">
+            <span class="rm-balance-row__op"></span>
+            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 ${escapeHTML(t.label)}</span>
+            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(t[field])}</span>
+          </div>`).join('');
 
-  const purchasedPellet = monthPurchases
-    .filter(r => r.materialType === 'pellet')
-    .reduce((s, r) => s + (r.weightLbs || 0), 0);
+  const openingAndPurchases = `
+          <div class="rm-balance-row rm-balance-row--opening">
+            <span class="rm-balance-row__op">+</span>
+            <span class="rm-balance-row__label">Inventario inicial (lbs)</span>
+            <span class="rm-balance-row__value">${formatNumber(sumOf('openingLbs'))}</span>
+          </div>
+          ${detailRows('openingLbs')}
 
-  // ── Opening comes from previous month's closing; default 0 if not recorded ──
-  const openingRecycled = prevInv ? (prevInv.recycledClosingLbs || 0) : 0;
-  const openingPellet   = prevInv ? (prevInv.pelletClosingLbs   || 0) : 0;
+          <div class="rm-balance-row rm-balance-row--purchase">
+            <span class="rm-balance-row__op">+</span>
+            <span class="rm-balance-row__label">Compras del mes (lbs)</span>
+            <span class="rm-balance-row__value">${formatNumber(sumOf('purchasedLbs'))}</span>
+          </div>
+          ${detailRows('purchasedLbs')}`;
 
   // ── Gate: if closing inventory is not recorded yet, show pending state ─────
-  if (!currInv) {
+  if (!material.hasClosing) {
     balanceBody.innerHTML = `
       <div class="rm-balance-grid">
 
@@ -881,37 +945,7 @@ function renderMaterialBalance() {
         <div class="rm-balance-section">
           <div class="rm-balance-section__title">Flujo de material</div>
 
-          <div class="rm-balance-row rm-balance-row--opening">
-            <span class="rm-balance-row__op">+</span>
-            <span class="rm-balance-row__label">Inventario inicial (lbs)</span>
-            <span class="rm-balance-row__value">${formatNumber(openingRecycled + openingPellet)}</span>
-          </div>
-          <div class="rm-balance-row rm-balance-row--detail">
-            <span class="rm-balance-row__op"></span>
-            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Tapas usadas</span>
-            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(openingRecycled)}</span>
-          </div>
-          <div class="rm-balance-row rm-balance-row--detail">
-            <span class="rm-balance-row__op"></span>
-            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Peletizado</span>
-            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(openingPellet)}</span>
-          </div>
-
-          <div class="rm-balance-row rm-balance-row--purchase">
-            <span class="rm-balance-row__op">+</span>
-            <span class="rm-balance-row__label">Compras del mes (lbs)</span>
-            <span class="rm-balance-row__value">${formatNumber(purchasedRecycled + purchasedPellet)}</span>
-          </div>
-          <div class="rm-balance-row rm-balance-row--detail">
-            <span class="rm-balance-row__op"></span>
-            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Tapas usadas</span>
-            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(purchasedRecycled)}</span>
-          </div>
-          <div class="rm-balance-row rm-balance-row--detail">
-            <span class="rm-balance-row__op"></span>
-            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Peletizado</span>
-            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(purchasedPellet)}</span>
-          </div>
+          ${openingAndPurchases}
 
           <div class="rm-balance-row rm-balance-row--closing" style="opacity:0.4;">
             <span class="rm-balance-row__op">\u2212</span>
@@ -944,14 +978,8 @@ function renderMaterialBalance() {
     return;
   }
 
-  // ── Closing is current month's recorded inventory ──────────────────────────
-  const closingRecycled = currInv.recycledClosingLbs || 0;
-  const closingPellet   = currInv.pelletClosingLbs   || 0;
-
   // ── Real consumption ───────────────────────────────────────────────────────
-  const consumedRecycled = openingRecycled + purchasedRecycled - closingRecycled;
-  const consumedPellet   = openingPellet   + purchasedPellet   - closingPellet;
-  const consumedTotal    = consumedRecycled + consumedPellet;
+  const consumedTotal = material.consumedLbs;
 
   // ── Theoretical consumption from Production records ────────────────────────
   const monthProduction = allProductionRecords.filter(r =>
@@ -969,11 +997,21 @@ function renderMaterialBalance() {
     ? Math.round((wasteLbs / theoreticalLbs) * 10000) / 100  // 2 decimals
     : 0;
 
+  // Rejected packages and purge explain part of it; the rest is unaccounted
+  const { rejectedLbs, purgeLbs } = getQcScrapLbs(monthProduction);
+  const unexplainedLbs = wasteLbs - rejectedLbs - purgeLbs;
+
   // ── Waste colour class ─────────────────────────────────────────────────────
   let wasteClass = 'rm-balance-value--normal';
   if (wastePercent > 8)       wasteClass = 'rm-balance-value--danger';
   else if (wastePercent >= 3) wasteClass = 'rm-balance-value--warning';
 
+  // ── Theoretical vs real per material (recipes) ────────────────────────────
+  const recipeUse   = getTheoreticalMaterialUse(monthProduction, allBoms);
+  const recipeTypes = material.types.filter(t =>
+    t.consumedLbs !== 0 || recipeUse.byType[t.type] !== 0);
+  const hasRecipes  = monthProduction.length > recipeUse.withoutBom.records;
+
   // ── Render ─────────────────────────────────────────────────────────────────
   balanceBody.innerHTML = `
     <div class="rm-balance-grid">
@@ -982,53 +1020,14 @@ function renderMaterialBalance() {
       <div class="rm-balance-section">
         <div class="rm-balance-section__title">Flujo de material</div>
 
-        <div class="rm-balance-row rm-balance-row--opening">
-          <span class="rm-balance-row__op">+</span>
-          <span class="rm-balance-row__label">Inventario inicial (lbs)</span>
-          <span class="rm-balance-row__value">${formatNumber(openingRecycled + openingPellet)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Tapas usadas</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(openingRecycled)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Peletizado</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(openingPellet)}</span>
-        </div>
-
-        <div class="rm-balance-row rm-balance-row--purchase">
-          <span class="rm-balance-row__op">+</span>
-          <span class="rm-balance-row__label">Compras del mes (lbs)</span>
-          <span class="rm-balance-row__value">${formatNumber(purchasedRecycled + purchasedPellet)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Tapas usadas</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(purchasedRecycled)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Peletizado</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(purchasedPellet)}</span>
-        </div>
+        ${openingAndPurchases}
 
         <div class="rm-balance-row rm-balance-row--closing">
           <span class="rm-balance-row__op">\u2212</span>
           <span class="rm-balance-row__label">Inventario de cierre (lbs)</span>
-          <span class="rm-balance-row__value">${formatNumber(closingRecycled + closingPellet)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Tapas usadas</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(closingRecycled)}</span>
-        </div>
-        <div class="rm-balance-row rm-balance-row--detail">
-          <span class="rm-balance-row__op"></span>
-          <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Peletizado</span>
-          <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(closingPellet)}</span>
+          <span class="rm-balance-row__value">${formatNumber(sumOf('closingLbs'))}</span>
         </div>
+        ${detailRows('closingLbs')}
 
         <div class="rm-balance-row rm-balance-row--total">
           <span class="rm-balance-row__op">=</span>
@@ -1057,6 +1056,21 @@ function renderMaterialBalance() {
             <span class="rm-balance-row__label">Desperdicio (lbs)</span>
             <span class="rm-balance-row__value ${wasteClass}">${formatNumber(wasteLbs)}</span>
           </div>
+          <div class="rm-balance-row rm-balance-row--detail">
+            <span class="rm-balance-row__op"></span>
+            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Rechazos de calidad</span>
+            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(rejectedLbs)}</span>
+          </div>
+          <div class="rm-balance-row rm-balance-row--detail">
+            <span class="rm-balance-row__op"></span>
+            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Purga</span>
+            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(purgeLbs)}</span>
+          </div>
+          <div class="rm-balance-row rm-balance-row--detail">
+            <span class="rm-balance-row__op"></span>
+            <span class="rm-balance-row__label rm-balance-row__label--sub">\u21b3 Sin explicar</span>
+            <span class="rm-balance-row__value rm-balance-row__value--sub">${formatNumber(unexplainedLbs)}</span>
+          </div>
           <div class="rm-balance-row rm-balance-row--waste-pct">
             <span class="rm-balance-row__op"></span>
             <span class="rm-balance-row__label">Desperdicio (%)</span>
@@ -1075,6 +1089,67 @@ function renderMaterialBalance() {
         `}
       </div>
 
+      ${hasProduction ? `
+      <!-- Full width: theoretical vs real per material -->
+      <div class="rm-balance-section rm-balance-section--wide">
+        <div class="rm-balance-section__title">Te\u00f3rico vs real por material (recetas)</div>
+
+        ${hasRecipes ? `
+          <table class="rm-bom-table">
+            <thead>
+              <tr>
+                <th>Material</th>
+                <th>Consumo real (lbs)</th>
+                <th>Te\u00f3rico receta (lbs)</th>
+                <th>Diferencia (lbs)</th>
+                <th>Diferencia (%)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${recipeTypes.map(t => {
+                const recipeLbs = recipeUse.byType[t.type];
+                const diffLbs   = t.consumedLbs - recipeLbs;
+                const diffPct   = recipeLbs > 0 ? (diffLbs / recipeLbs) * 100 : null;
+                let diffClass = 'rm-balance-value--normal';
+                if (diffPct === null || diffPct > 8) diffClass = 'rm-balance-value--danger';
+                else if (diffPct >= 3)               diffClass = 'rm-balance-value--warning';
+                return `
+              <tr>
+                <td>${escapeHTML(t.label)}</td>
+                <td>${formatNumber(t.consumedLbs)}</td>
+                <td>${formatNumber(recipeLbs)}</td>
+                <td class="${diffClass}">${formatNumber(diffLbs)}</td>
+                <td class="${diffClass}">${diffPct === null ? '\u2014' : `${diffPct.toFixed(2)} %`}</td>
+              </tr>`;
+              }).join('')}
+            </tbody>
+          </table>
+        ` : `
+          <p class="rm-balance-empty__sub">
+            Ning\u00fan producto fabricado este mes tiene receta. Reg\u00edstrala en Productos
+            para comparar el consumo de cada material.
+          </p>
+        `}
+
+        ${recipeUse.withoutBom.records > 0 && hasRecipes ? `
+          <p class="rm-balance-empty__sub">
+            ${recipeUse.withoutBom.records} registro(s) de producci\u00f3n sin receta
+            (${formatNumber(recipeUse.withoutBom.lbs)} lbs por peso de paquete) no se reparten por material:
+            la diferencia de cada material los incluye.
+          </p>
+        ` : ''}
+
+        ${recipeUse.packaging.length > 0 ? `
+          <div class="rm-bom-packaging">
+            <span class="rm-bom-packaging__title">Empaque te\u00f3rico usado:</span>
+            ${recipeUse.packaging.map(p =>
+              `<span class="rm-bom-packaging__item">${escapeHTML(p.name)}: <strong>${formatNumber(p.quantity)}</strong></span>`
+            ).join('')}
+          </div>
+        ` : ''}
+      </div>
+      ` : ''}
+
     </div>
   `;
 }
@@ -1162,6 +1237,12 @@ function attachFormListeners() {
     document.getElementById(id)?.addEventListener('input', updateCostPanel);
   });
 
+  // Supplier change → default the RNC from the provider record
+  document.getElementById('rm-field-supplier').addEventListener('change', e => {
+    const provider = providerMap.get(String(e.target.value));
+    document.getElementById('rm-field-tax-id').value = provider?.taxId || '';
+  });
+
   // Month selector re-renders summary without refetching
   monthSel.addEventListener('change', () => {
     selectedMonth = monthSel.value || currentMonthString();
@@ -1273,6 +1354,7 @@ function toggleWashingFields() {
 async function handleFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('rm-submit-btn');
@@ -1350,6 +1432,9 @@ function handleEdit(recordId) {
   document.getElementById('rm-field-cost').value         = record.totalCost    || '';
   document.getElementById('rm-field-washed-weight').value = record.washedWeightLbs || '';
   document.getElementById('rm-field-washing-cost').value  = record.washingCost    || '';
+  document.getElementById('rm-field-tax-id').value        = record.supplierTaxId  || '';
+  document.getElementById('rm-field-ncf').value           = record.ncf            || '';
+  document.getElementById('rm-field-itbis').value         = record.itbisAmount    || '';
 
   toggleWashingFields();
   updateCostPanel();
@@ -1647,6 +1732,7 @@ function _onConfirmInvestorCheckChange(e) {
  * @param {Object} receipt
  */
 function openConfirmModal(receipt) {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
   ensureConfirmModalInDOM();
   confirmingReceipt = receipt;
 
@@ -1719,7 +1805,7 @@ function closeConfirmModal() {
 async function handleConfirmFormSubmit(e) {
   if (e) e.preventDefault();
 
-  if (!confirmingReceipt) return;
+  if (!confirmingReceipt || !guardAction(_currentRole, 'create', showFeedback)) return;
 
   // Validate
   const errors = [];
@@ -1870,39 +1956,23 @@ function ensureInventoryModalInDOM() {
               <span class="form-error" id="rm-inv-error-month"></span>
             </div>
 
-            <!-- Tapas usadas -->
-            <div class="form-group">
-              <label class="form-label" for="rm-inv-field-recycled">
-                Tapas usadas — cierre (lbs) <span class="required">*</span>
-              </label>
-              <input
-                class="form-input"
-                type="number"
-                id="rm-inv-field-recycled"
-                placeholder="0.00"
-                min="0"
-                step="0.01"
-                required
-              >
-              <span class="form-error" id="rm-inv-error-recycled"></span>
-            </div>
-
-            <!-- Peletizado -->
+            <!-- One closing field per material type -->
+            ${MATERIAL_TYPES.map(type => `
             <div class="form-group">
-              <label class="form-label" for="rm-inv-field-pellet">
-                Peletizado — cierre (lbs) <span class="required">*</span>
+              <label class="form-label" for="rm-inv-field-${type}">
+                ${getMaterialTypeLabel(type)} — cierre (lbs) <span class="required">*</span>
               </label>
               <input
                 class="form-input"
                 type="number"
-                id="rm-inv-field-pellet"
+                id="rm-inv-field-${type}"
                 placeholder="0.00"
                 min="0"
                 step="0.01"
                 required
               >
-              <span class="form-error" id="rm-inv-error-pellet"></span>
-            </div>
+              <span class="form-error" id="rm-inv-error-${type}"></span>
+            </div>`).join('')}
 
           </form>
         </div>
@@ -1979,6 +2049,7 @@ function _onInventoryModalEscape(e) {
  * Pre-loads the existing record for selectedMonth if one exists.
  */
 function openInventoryModal() {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const modal = document.getElementById('inventory-modal');
   if (!modal) return;
 
@@ -1995,9 +2066,9 @@ function openInventoryModal() {
   const existing = allInventoryRecords.find(
     r => normalizeMonth(r.month) === normMonth
   );
-  if (existing) {
-    document.getElementById('rm-inv-field-recycled').value = existing.recycledClosingLbs ?? '';
-    document.getElementById('rm-inv-field-pellet').value   = existing.pelletClosingLbs   ?? '';
+  for (const type of MATERIAL_TYPES) {
+    // Types missing from an older record start at 0 rather than blank
+    document.getElementById(`rm-inv-field-${type}`).value = existing ? getClosingLbs(existing, type) : '';
   }
 
   modal.classList.remove('provider-modal--hidden');
@@ -2024,6 +2095,7 @@ function closeInventoryModal() {
 async function handleInventoryFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   if (!validateInventoryForm()) return;
 
   const submitBtn = document.getElementById('rm-inv-submit-btn');
@@ -2034,11 +2106,13 @@ async function handleInventoryFormSubmit(e) {
     // The modal input IDs (rm-inv-field-*) are distinct from the display
     // span IDs (rm-inv-*) in the card, so getElementById returns the correct
     // <input> element in every case.
-    const month              = normalizeMonth(document.getElementById('rm-inv-month').value);
-    const recycledClosingLbs = parseFloat(document.getElementById('rm-inv-field-recycled').value) || 0;
-    const pelletClosingLbs   = parseFloat(document.getElementById('rm-inv-field-pellet').value)   || 0;
+    const month      = normalizeMonth(document.getElementById('rm-inv-month').value);
+    const closingLbs = {};
+    for (const type of MATERIAL_TYPES) {
+      closingLbs[type] = parseFloat(document.getElementById(`rm-inv-field-${type}`).value) || 0;
+    }
 
-    const payload = { month, recycledClosingLbs, pelletClosingLbs };
+    const payload = { month, closingLbs };
 
     const saved = await MonthlyInventoryAPI.upsert(payload);
 
@@ -2048,8 +2122,9 @@ async function handleInventoryFormSubmit(e) {
     const record = {
       ...saved,
       month:              normalizeMonth(saved.month),
-      recycledClosingLbs: payload.recycledClosingLbs,
-      pelletClosingLbs:   payload.pelletClosingLbs,
+      recycledClosingLbs: payload.closingLbs.recycled,
+      pelletClosingLbs:   payload.closingLbs.pellet,
+      closingLbs:         { ...payload.closingLbs },
     };
 
     // Direct replacement — no spread-merge ambiguity with stale cached data.
@@ -2086,21 +2161,18 @@ function validateInventoryForm() {
   clearInventoryFormErrors();
   let valid = true;
 
-  const month    = document.getElementById('rm-inv-month').value;
-  const recycled = document.getElementById('rm-inv-field-recycled').value;
-  const pellet   = document.getElementById('rm-inv-field-pellet').value;
+  const month = document.getElementById('rm-inv-month').value;
 
   if (!month) {
     showFieldError('rm-inv-error-month', 'El mes es obligatorio.');
     valid = false;
   }
-  if (recycled === '' || Number(recycled) < 0) {
-    showFieldError('rm-inv-error-recycled', 'Ingresa un valor mayor o igual a 0.');
-    valid = false;
-  }
-  if (pellet === '' || Number(pellet) < 0) {
-    showFieldError('rm-inv-error-pellet', 'Ingresa un valor mayor o igual a 0.');
-    valid = false;
+  for (const type of MATERIAL_TYPES) {
+    const value = document.getElementById(`rm-inv-field-${type}`).value;
+    if (value === '' || Number(value) < 0) {
+      showFieldError(`rm-inv-error-${type}`, 'Ingresa un valor mayor o igual a 0.');
+      valid = false;
+    }
   }
 
   return valid;
@@ -2189,6 +2261,22 @@ function ensureProviderModalInDOM() {
               <span class="form-error" id="rm-prov-error-phone"></span>
             </div>
 
+            <!-- RNC -->
+            <div class="form-group">
+              <label class="form-label" for="rm-prov-tax-id">RNC / Cédula</label>
+              <input
+                class="form-input"
+                type="text"
+                id="rm-prov-tax-id"
+                placeholder="Ej: 101012345"
+                maxlength="11"
+                inputmode="numeric"
+                autocomplete="off"
+              >
+              <span class="form-error" id="rm-prov-error-tax-id"></span>
+              <span class="form-hint">Opcional. Necesario para el reporte 606.</span>
+            </div>
+
             <!-- Dirección -->
             <div class="form-group">
               <label class="form-label" for="rm-prov-address">Dirección</label>
@@ -2282,6 +2370,7 @@ function _onProviderModalEscape(e) {
  * - Reset and focus the form
  */
 function openProviderModal() {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
   const modal = document.getElementById('provider-modal');
   if (!modal) return;
 
@@ -2316,6 +2405,7 @@ function closeProviderModal() {
 async function handleProviderFormSubmit(e) {
   e.preventDefault();
 
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
   if (!validateProviderForm()) return;
 
   const submitBtn = document.getElementById('rm-prov-submit-btn');
@@ -2326,6 +2416,7 @@ async function handleProviderFormSubmit(e) {
       name:    document.getElementById('rm-prov-name').value.trim(),
       phone:   document.getElementById('rm-prov-phone').value.trim(),
       address: document.getElementById('rm-prov-address').value.trim() || '',
+      taxId:   document.getElementById('rm-prov-tax-id').value.replace(/\D/g, ''),
     };
 
     const newProvider = await ProvidersAPI.create(payload);
@@ -2338,6 +2429,7 @@ async function handleProviderFormSubmit(e) {
     providerMap  = new Map(allProviders.map(p => [String(p.id), p]));
     populateProviderSelect();
     document.getElementById('rm-field-supplier').value = newProvider.id;
+    document.getElementById('rm-field-tax-id').value   = newProvider.taxId || '';
 
   } catch (err) {
     showFeedback(`Error al guardar proveedor: ${err.message}`, 'error');
@@ -2388,6 +2480,17 @@ function validateForm() {
     errors.push('peso lavado');
   }
 
+  const taxId = document.getElementById('rm-field-tax-id').value.trim();
+  if (taxId && !isValidTaxId(taxId)) {
+    showFieldError('rm-error-tax-id', 'RNC (9 dígitos) o cédula (11 dígitos).');
+    errors.push('RNC');
+  }
+  const ncf = document.getElementById('rm-field-ncf').value.trim();
+  if (ncf && !isValidNcf(ncf)) {
+    showFieldError('rm-error-ncf', 'Formato de NCF inválido (ej: B0100000123).');
+    errors.push('NCF');
+  }
+
   // AP fields
   const isPayable = document.getElementById('rm-payable-check')?.checked === true;
   if (isPayable) {
@@ -2435,6 +2538,11 @@ function validateProviderForm() {
     showFieldError('rm-prov-error-phone', 'El teléfono es obligatorio.');
     valid = false;
   }
+  const taxId = document.getElementById('rm-prov-tax-id').value.trim();
+  if (taxId && !isValidTaxId(taxId)) {
+    showFieldError('rm-prov-error-tax-id', 'RNC (9 dígitos) o cédula (11 dígitos).');
+    valid = false;
+  }
 
   return valid;
 }
@@ -2511,6 +2619,10 @@ function collectFormData() {
       : 0,
     // AP fields
     isPayable, creditorType, creditorId, payableStatus, dueDate, paidAmount,
+    // Fiscal fields (DGII 606) — persisted in `extra`
+    supplierTaxId: document.getElementById('rm-field-tax-id').value.replace(/\D/g, ''),
+    ncf:           document.getElementById('rm-field-ncf').value.trim().toUpperCase(),
+    itbisAmount:   parseFloat(document.getElementById('rm-field-itbis').value) || 0,
     // Investor fields (transient — used by handleFormSubmit only)
     investorChecked,
     investorNote,
@@ -2819,6 +2931,52 @@ function buildRawMaterialStyles() {
         padding:    var(--space-lg);
       }
 
+      .rm-balance-section--wide {
+        grid-column: 1 / -1;
+      }
+
+      .rm-bom-table {
+        width:           100%;
+        border-collapse: collapse;
+        font-size:       0.85rem;
+      }
+
+      .rm-bom-table th,
+      .rm-bom-table td {
+        padding:    5px var(--space-sm);
+        text-align: right;
+        border-bottom: 1px solid var(--color-border);
+      }
+
+      .rm-bom-table th {
+        font-size:   0.72rem;
+        font-weight: 600;
+        color:       var(--color-text-muted);
+      }
+
+      .rm-bom-table td {
+        font-family: var(--font-mono);
+      }
+
+      .rm-bom-table th:first-child,
+      .rm-bom-table td:first-child {
+        text-align:  left;
+        font-family: inherit;
+      }
+
+      .rm-bom-packaging {
+        display:    flex;
+        flex-wrap:  wrap;
+        gap:        var(--space-sm) var(--space-md);
+        margin-top: var(--space-md);
+        font-size:  0.8rem;
+        color:      var(--color-text-muted);
+      }
+
+      .rm-bom-packaging__title {
+        font-weight: 600;
+      }
+
       .rm-balance-section__title {
         font-family:    var(--font-display);
         font-size:      0.72rem;
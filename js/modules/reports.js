@@ -1,14 +1,28 @@
 /**
  * reports.js — CapFlow Reports Module
  *
- * Two printable reports:
+ * Printable reports:
  *   1. Resumen mensual  — KPIs, production, sales and cost summary for one month
  *   2. Estado de ventas — full sale-by-sale breakdown for a date range
+ *   3. Estado de cuenta, 4. Gastos, 5. Producción
+ *   6. DGII 606 / 607   — monthly purchase/sales tax files (TXT + CSV download)
+ *   7. Antigüedad CxC   — open receivables per customer by days past due
+ *   8. OEE              — availability × performance × quality by machine,
+ *                         shift, operator and month
+ *   9. Calidad          — defect Pareto and rejection rate by machine and
+ *                         operator
+ *  10. Tarifas          — production records whose operator rate snapshot
+ *                         differs from the piece-rate table
+ *
+ * buildSalesLedger() / buildLedgerMovements() — with todayYMD() and
+ * formatDateLabel() — are exported for the customer statement (customers.js),
+ * so both estados de cuenta come out of the same ledger.
  *
  * Print behaviour:
  *   - window.print() is called from each report's print button
- *   - @media print CSS (injected by buildStyles()) hides all app chrome and
- *     renders only .report-printable on a white background
+ *   - @media print CSS (injected by buildStyles(), skeleton from print.js)
+ *     hides all app chrome and renders only .report-printable on a white
+ *     background
  *   - Charts (Chart.js canvas) print natively as raster images
  *   - Company name and report metadata appear in every printed page header
  *
@@ -29,15 +43,21 @@ import { ProductsAPI }         from '../api.js';
 import { CustomersAPI }        from '../api.js';
 import { RawMaterialsAPI }     from '../api.js';
 import { MonthlyInventoryAPI } from '../api.js';
+import { getMonthlyMaterialCost, getMaterialTypeLabel } from '../api.js';
 import { SalePaymentsAPI }     from '../api.js';
 import { ExpensesAPI }         from '../api.js';
 import { PayrollAPI }          from '../api.js';
+import { ProvidersAPI }        from '../api.js';
+import { ServiceProvidersAPI } from '../api.js';
+import { isValidTaxId, isValidNcf } from '../api.js';
+import { MachineCapacitiesAPI, getOeeSummary, getOeeByGroup } from '../api.js';
+import { QcInspectionsAPI, getDefectPareto, getRejectionRateBy, getQcScrapLbs } from '../api.js';
+import { PieceRatesAPI, getRateDeviations } from '../api.js';
 import { EXPENSE_CATEGORIES }  from './expenses.js';
+import { COMPANY_NAME, printOnlyCss } from '../print.js';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
-const COMPANY_NAME    = 'INDUSTRIAL RECICLING RAFS';
-
 const OVERHEAD_CATEGORIES = new Set([
   'Electricidad',
   'Alquiler — Fábrica',
@@ -51,7 +71,7 @@ const COMPANY_LOGO_URL = null; // set to image path when logo is available
 
 // ─── Module State ─────────────────────────────────────────────────────────────
 
-let _activeReport = 'monthly'; // 'monthly' | 'sales'
+let _activeReport = 'monthly'; // 'monthly' | 'sales' | 'ledger' | 'expenses' | 'production' | 'dgii' | 'aging' | 'oee' | 'quality' | 'rates'
 
 // Cached data — loaded once per mount
 let _allSales       = [];
@@ -62,12 +82,17 @@ let _allProducts    = [];
 let _allCustomers   = [];
 let _allPurchases   = [];
 let _allInvRecords  = [];
+let _allCapacities  = [];   // nominal machine capacities (OEE performance)
+let _allInspections = [];   // QC inspections (Pareto de defectos)
+let _allRates       = [];   // piece-rate table (Tarifas)
 
 // Lookup maps
 let _operatorMap = new Map();
 let _machineMap  = new Map();
 let _productMap  = new Map();
 let _customerMap = new Map();
+let _providerMap        = new Map();
+let _serviceProviderMap = new Map();
 
 /** All payment records — loaded once per mount, keyed by saleId. */
 let _allPayments  = [];
@@ -80,6 +105,7 @@ let _allPayrolls  = [];
 // Chart instances — destroyed on re-render
 let _monthlyChart = null;
 let _salesChart   = null;
+let _qualityChart = null;
 
 // ─── Entry Point ──────────────────────────────────────────────────────────────
 
@@ -112,7 +138,8 @@ export async function mountReports(container) {
   try {
     const [sales, production, operators, machines, products,
            customers, purchases, invRecords, payments,
-           expenses, payrolls] = await Promise.all([
+           expenses, payrolls, providers, serviceProviders,
+           capacities, inspections, rates] = await Promise.all([
       SalesAPI.getAll(),
       ProductionAPI.getAll(),
       OperatorsAPI.getAll(),
@@ -124,6 +151,12 @@ export async function mountReports(container) {
       SalePaymentsAPI.getAll(),
       ExpensesAPI.getAll(),
       PayrollAPI.getAll(),
+      // Only needed for supplier RNCs in the 606 — don't block the other reports
+      ProvidersAPI.getAll().catch(() => []),
+      ServiceProvidersAPI.getAll().catch(() => []),
+      MachineCapacitiesAPI.getAll().catch(() => []),
+      QcInspectionsAPI.getAll().catch(() => []),
+      PieceRatesAPI.getAll().catch(() => []),
     ]);
 
     _allSales      = sales;
@@ -143,11 +176,16 @@ export async function mountReports(container) {
     _allCustomers  = customers;
     _allPurchases  = purchases;
     _allInvRecords = invRecords;
+    _allCapacities = capacities;
+    _allInspections = inspections;
+    _allRates       = rates;
 
     _operatorMap = new Map(operators.map(o => [String(o.id), o]));
     _machineMap  = new Map(machines.map(m  => [String(m.id), m]));
     _productMap  = new Map(products.map(p  => [String(p.id), p]));
     _customerMap = new Map(customers.map(c => [String(c.id), c]));
+    _providerMap        = new Map(providers.map(p => [String(p.id), p]));
+    _serviceProviderMap = new Map(serviceProviders.map(p => [String(p.id), p]));
 
     renderActiveReport(container);
 
@@ -191,6 +229,21 @@ function buildShellHTML() {
         <button class="rpt-tab-btn" data-report="production">
           Producción
         </button>
+        <button class="rpt-tab-btn" data-report="dgii">
+          DGII 606 / 607
+        </button>
+        <button class="rpt-tab-btn" data-report="aging">
+          Antigüedad CxC
+        </button>
+        <button class="rpt-tab-btn" data-report="oee">
+          OEE
+        </button>
+        <button class="rpt-tab-btn" data-report="quality">
+          Calidad
+        </button>
+        <button class="rpt-tab-btn" data-report="rates">
+          Tarifas
+        </button>
       </div>
 
       <!-- Dynamic body -->
@@ -206,6 +259,11 @@ function renderActiveReport(container) {
   else if (_activeReport === 'sales') renderSalesReport(container);
   else if (_activeReport === 'ledger')      renderLedgerReport(container);
   else if (_activeReport === 'production') renderProductionReport(container);
+  else if (_activeReport === 'dgii')       renderDgiiReport(container);
+  else if (_activeReport === 'aging')      renderAgingReport(container);
+  else if (_activeReport === 'oee')        renderOeeReport(container);
+  else if (_activeReport === 'quality')    renderQualityReport(container);
+  else if (_activeReport === 'rates')      renderRatesReport(container);
   else                                     renderExpensesReport(container);
 }
 
@@ -274,22 +332,8 @@ function buildMonthlyReportOutput(month) {
     (s, r) => s + (r.quantity || 0) * (r.operatorRateSnapshot || 0), 0);
 
   // ── Cost per package ──────────────────────────────────────────────────────
-  const prevMonth   = prevMonthYM(month);
-  const currInv     = _allInvRecords.find(r => r.month === month)  || null;
-  const prevInv     = _allInvRecords.find(r => r.month === prevMonth) || null;
-  const monthPurchases = _allPurchases.filter(r => (r.date || '').startsWith(month));
-
-  let materialCost = 0;
-  for (const type of ['recycled', 'pellet']) {
-    const tp = monthPurchases.filter(r => r.materialType === type);
-    const purchLbs  = tp.reduce((s, r) => s + (r.weightLbs || 0), 0);
-    const purchCost = tp.reduce((s, r) => s + (r.totalCost || 0) + (r.washingCost || 0), 0);
-    const avgCost   = purchLbs > 0 ? purchCost / purchLbs : 0;
-    const closingKey = type === 'recycled' ? 'recycledClosingLbs' : 'pelletClosingLbs';
-    const opening   = prevInv ? (prevInv[closingKey] || 0) : 0;
-    const closing   = currInv ? (currInv[closingKey] || 0) : 0;
-    materialCost   += (opening + purchLbs - closing) * avgCost;
-  }
+  const monthMaterial = getMonthlyMaterialCost(month, _allPurchases, _allInvRecords);
+  const materialCost  = monthMaterial.cost;   // every material type, colorant included
 
   // Manufacturing overhead: sum of overhead-category expenses this month
   const overheadCost = _allExpenses
@@ -298,7 +342,7 @@ function buildMonthlyReportOutput(month) {
 
   const totalCost    = laborCost + materialCost + overheadCost;
   const costPerPkg   = units > 0 ? totalCost / units : null;
-  const closingEntered = !!currInv;
+  const closingEntered = monthMaterial.hasClosing;
 
   // ── Top operator & machine ────────────────────────────────────────────────
   const topOpEntry  = topByField(monthProd, 'operatorId', 'quantity');
@@ -754,6 +798,74 @@ function buildSalesReportOutput(from, to, customerId) {
 // Clean chronological ledger — one row per invoice, no charts, no KPIs.
 // ══════════════════════════════════════════════════════════════════════════════
 
+const PAYMENT_METHOD_LABELS = {
+  efectivo: 'Efectivo', cash: 'Efectivo', transferencia: 'Transferencia',
+  transfer: 'Transferencia', cheque: 'Cheque', credito: 'Crédito', otro: 'Otro',
+};
+
+/**
+ * Invoice ledger — one row per confirmed sale with the amount due (revenue +
+ * ITBIS, as in sales.js), what was collected and the balance. Estado de
+ * cuenta, Antigüedad CxC and the customer statement are built from it.
+ * @param {Object[]} sales    - SalesAPI rows
+ * @param {Object[]} payments - SalePaymentsAPI rows
+ * @param {{ customerId?: string, from?: string, to?: string, asOf?: string }} [opts]
+ *   from / to filter the invoice date; payments dated after asOf are left out
+ * @returns {{ sale: Object, due: number, paid: number, balance: number,
+ *             status: 'paid'|'partial'|'unpaid', payments: Object[] }[]}
+ *   oldest invoice first
+ */
+export function buildSalesLedger(sales, payments, { customerId = '', from = '', to = '', asOf = '' } = {}) {
+  const bySale = new Map();
+  for (const p of payments || []) {
+    if (asOf && (p.paymentDate || '') > asOf) continue;
+    const k = String(p.saleId);
+    if (!bySale.has(k)) bySale.set(k, []);
+    bySale.get(k).push(p);
+  }
+
+  return (sales || [])
+    .filter(s => (s.status || 'confirmed') === 'confirmed')
+    .filter(s => !customerId || String(s.clientId) === String(customerId))
+    .filter(s => (!from || (s.saleDate || '') >= from) && (!to || (s.saleDate || '') <= to))
+    .map(s => {
+      const salePayments = bySale.get(String(s.id)) || [];
+      const due  = ((s.totals || {}).revenue || 0) + (s.itbisAmount || 0);
+      const paid = salePayments.reduce((sum, p) => sum + (p.amount || 0), 0);
+      const balance = Math.max(0, due - paid);
+      const status  = paid <= 0 ? 'unpaid' : balance <= 0.01 ? 'paid' : 'partial';
+      return { sale: s, due, paid, balance: status === 'paid' ? 0 : balance, status, payments: salePayments };
+    })
+    .sort((a, b) => (a.sale.saleDate || '').localeCompare(b.sale.saleDate || ''));
+}
+
+/**
+ * Ledger rows as dated movements for a statement: each invoice a charge and
+ * each payment a credit, invoices before payments on the same day.
+ * @param {ReturnType<typeof buildSalesLedger>} rows
+ * @returns {{ date, kind: 'invoice'|'payment', doc, concept, charge, credit }[]}
+ */
+export function buildLedgerMovements(rows) {
+  const movements = [];
+  for (const { sale, due, payments } of rows) {
+    const doc = sale.invoiceNumber || '—';
+    movements.push({
+      date: sale.saleDate || '', kind: 'invoice', doc,
+      concept: sale.ncfNumber ? `Factura · NCF ${sale.ncfNumber}` : 'Factura',
+      charge: due, credit: 0,
+    });
+    for (const p of payments) {
+      movements.push({
+        date: p.paymentDate || '', kind: 'payment', doc,
+        concept: `Pago — ${PAYMENT_METHOD_LABELS[p.method] || p.method || '—'}${p.notes ? ` · ${p.notes}` : ''}`,
+        charge: 0, credit: p.amount || 0,
+      });
+    }
+  }
+  return movements.sort((a, b) =>
+    a.date.localeCompare(b.date) || (a.kind === b.kind ? 0 : a.kind === 'invoice' ? -1 : 1));
+}
+
 function renderLedgerReport(container) {
   const today     = todayYMD();
   const monthFrom = today.slice(0, 7) + '-01';
@@ -819,40 +931,17 @@ function buildLedgerOutput(from, to, customerId, statusFilter) {
   const output   = document.getElementById('rpt-ledger-output');
   if (!output) return;
 
-  // ── Payment status helper ─────────────────────────────────────────────────
-  function getStatus(saleId, revenue) {
-    const payments  = _paymentsMap.get(String(saleId)) || [];
-    const paid      = payments.reduce((s, p) => s + p.amount, 0);
-    const balance   = Math.max(0, (revenue || 0) - paid);
-    if (paid <= 0)          return { status: 'unpaid',  paid, balance };
-    if (balance <= 0.01)    return { status: 'paid',    paid, balance: 0 };
-    return                         { status: 'partial', paid, balance };
-  }
-
   const STATUS_LABEL = { paid: 'Cobrado', partial: 'Parcial', unpaid: 'Pendiente' };
   const STATUS_CLASS = { paid: 'rpt-status--paid', partial: 'rpt-status--partial', unpaid: 'rpt-status--unpaid' };
 
   // ── Filter ────────────────────────────────────────────────────────────────
-  let rows = _allSales
-    .filter(s => {
-      const d = s.saleDate || '';
-      return d >= from && d <= to;
-    })
-    .map(s => {
-      const t = s.totals || {};
-      const { status, paid, balance } = getStatus(s.id, t.revenue);
-      return { ...s, _status: status, _paid: paid, _balance: balance };
-    });
-
-  if (customerId) rows = rows.filter(s => String(s.clientId) === customerId);
-  if (statusFilter) rows = rows.filter(s => s._status === statusFilter);
-
-  rows = rows.sort((a, b) => (a.saleDate || '').localeCompare(b.saleDate || ''));
+  let rows = buildSalesLedger(_allSales, _allPayments, { customerId, from, to });
+  if (statusFilter) rows = rows.filter(r => r.status === statusFilter);
 
   // ── Totals ────────────────────────────────────────────────────────────────
-  const totalRevenue = rows.reduce((s, x) => s + (x.totals?.revenue || 0), 0);
-  const totalPaid    = rows.reduce((s, x) => s + x._paid, 0);
-  const totalBalance = rows.reduce((s, x) => s + x._balance, 0);
+  const totalDue     = rows.reduce((s, r) => s + r.due, 0);
+  const totalPaid    = rows.reduce((s, r) => s + r.paid, 0);
+  const totalBalance = rows.reduce((s, r) => s + r.balance, 0);
 
   // ── Labels ────────────────────────────────────────────────────────────────
   const custName   = customerId ? (_customerMap.get(customerId)?.name || 'Cliente') : null;
@@ -887,22 +976,21 @@ function buildLedgerOutput(from, to, customerId, statusFilter) {
             </tr>
           </thead>
           <tbody>
-            ${rows.map(s => {
-              const t    = s.totals || {};
+            ${rows.map(({ sale: s, due, paid, balance, status }) => {
               const cust = _customerMap.get(String(s.clientId || ''))?.name || '—';
               return `<tr>
                 <td style="white-space:nowrap;">${escapeHTML(formatDateLabel(s.saleDate || ''))}</td>
                 <td style="font-family:var(--font-mono);font-size:0.78rem;">
                   ${escapeHTML(s.invoiceNumber || '—')}</td>
                 <td>${escapeHTML(cust)}</td>
-                <td class="text-right">${formatCurrency(t.revenue || 0)}</td>
+                <td class="text-right">${formatCurrency(due)}</td>
                 <td class="text-right" style="color:var(--color-success);">
-                  ${formatCurrency(s._paid)}</td>
-                <td class="text-right" style="color:${s._balance > 0 ? 'var(--color-danger)' : 'inherit'};">
-                  ${formatCurrency(s._balance)}</td>
+                  ${formatCurrency(paid)}</td>
+                <td class="text-right" style="color:${balance > 0 ? 'var(--color-danger)' : 'inherit'};">
+                  ${formatCurrency(balance)}</td>
                 <td class="text-center">
-                  <span class="rpt-status-badge ${STATUS_CLASS[s._status]}">
-                    ${STATUS_LABEL[s._status]}
+                  <span class="rpt-status-badge ${STATUS_CLASS[status]}">
+                    ${STATUS_LABEL[status]}
                   </span>
                 </td>
               </tr>`;
@@ -911,7 +999,7 @@ function buildLedgerOutput(from, to, customerId, statusFilter) {
           <tfoot>
             <tr>
               <th colspan="3">Total (${formatNumber(rows.length)} transaccion${rows.length !== 1 ? 'es' : ''})</th>
-              <th class="text-right">${formatCurrency(totalRevenue)}</th>
+              <th class="text-right">${formatCurrency(totalDue)}</th>
               <th class="text-right">${formatCurrency(totalPaid)}</th>
               <th class="text-right" style="color:${totalBalance > 0 ? 'var(--color-danger)' : 'inherit'};">
                 ${formatCurrency(totalBalance)}</th>
@@ -1011,7 +1099,9 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
   rows = [...rows].sort((a, b) => (a.expenseDate || '').localeCompare(b.expenseDate || ''));
 
   // ── Payroll for period ────────────────────────────────────────────────────
-  // Sum net pay from all closed payroll runs whose month falls within the period.
+  // Sum labor cost from all closed payroll runs whose month falls within the
+  // period: pay plus TSS employer contributions (totals.laborCost). Runs closed
+  // before statutory deductions existed only have net pay, which is used as is.
   // We match by month prefix since payroll runs are per-month.
   let payrollTotal = 0;
   let payrollRows  = [];
@@ -1022,17 +1112,22 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
       const m = (pr.month || '').slice(0, 7);
       return m >= fromMonth && m <= toMonth;
     });
-    // Group by month — sum net from both quincenas
+    // Group by month — sum both quincenas
     const byMonth = new Map();
     for (const pr of eligible) {
       const m   = (pr.month || '').slice(0, 7);
-      const net = pr.totals?.net || 0;
-      byMonth.set(m, (byMonth.get(m) || 0) + net);
+      const t   = pr.totals || {};
+      const acc = byMonth.get(m) || { net: 0, withheld: 0, employer: 0, laborCost: 0 };
+      acc.net       += t.net || 0;
+      acc.withheld  += t.statutory || 0;
+      acc.employer  += t.employer || 0;
+      acc.laborCost += t.laborCost ?? (t.net || 0);
+      byMonth.set(m, acc);
     }
     payrollRows = [...byMonth.entries()]
       .sort(([a], [b]) => a.localeCompare(b))
-      .map(([month, net]) => ({ month, net }));
-    payrollTotal = payrollRows.reduce((s, r) => s + r.net, 0);
+      .map(([month, acc]) => ({ month, ...acc }));
+    payrollTotal = payrollRows.reduce((s, r) => s + r.laborCost, 0);
   }
 
   // ── Totals ────────────────────────────────────────────────────────────────
@@ -1048,6 +1143,12 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
     .sort((a, b) => b[1] - a[1])
     .map(([cat, total]) => ({ cat, total }));
 
+  // ── Recurring: actual vs. template ────────────────────────────────────────
+  // templateAmount is the template value when the expense was generated.
+  const recurringRows = rows.filter(e => e.recurringExpenseId);
+  const recurringTemplateTotal = recurringRows.reduce((s, e) => s + (e.templateAmount || 0), 0);
+  const recurringActualTotal   = recurringRows.reduce((s, e) => s + e.amount, 0);
+
   // ── Labels ────────────────────────────────────────────────────────────────
   const periodLabel = `${escapeHTML(formatDateLabel(from))} — ${escapeHTML(formatDateLabel(to))}`;
   const subtitle    = categoryFilter
@@ -1066,7 +1167,7 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
         <div class="rpt-kpi-grid">
           ${rptKPI('Gastos operativos',   formatCurrency(expenseTotal), `${formatNumber(rows.length)} registro${rows.length !== 1 ? 's' : ''}`)}
           ${includePayroll
-            ? rptKPI('Nómina', formatCurrency(payrollTotal), `${payrollRows.length} período${payrollRows.length !== 1 ? 's' : ''}`)
+            ? rptKPI('Nómina (costo laboral)', formatCurrency(payrollTotal), `${payrollRows.length} mes${payrollRows.length !== 1 ? 'es' : ''}`)
             : ''}
           ${rptKPI('Total egresos', formatCurrency(grandTotal), '', 'negative')}
         </div>
@@ -1118,7 +1219,10 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
           <thead>
             <tr>
               <th>Mes</th>
-              <th class="text-right">Total neto pagado</th>
+              <th class="text-right">Neto pagado</th>
+              <th class="text-right">Retenciones TSS / ISR</th>
+              <th class="text-right">Aportes patronales</th>
+              <th class="text-right">Costo laboral</th>
             </tr>
           </thead>
           <tbody>
@@ -1126,17 +1230,60 @@ function buildExpensesOutput(from, to, categoryFilter, includePayroll) {
               <tr>
                 <td>${escapeHTML(formatMonthLabel(r.month))}</td>
                 <td class="text-right">${formatCurrency(r.net)}</td>
+                <td class="text-right">${formatCurrency(r.withheld)}</td>
+                <td class="text-right">${formatCurrency(r.employer)}</td>
+                <td class="text-right">${formatCurrency(r.laborCost)}</td>
               </tr>`).join('')}
           </tbody>
           <tfoot>
             <tr>
               <th>Total nómina</th>
+              <th class="text-right">${formatCurrency(payrollRows.reduce((s, r) => s + r.net, 0))}</th>
+              <th class="text-right">${formatCurrency(payrollRows.reduce((s, r) => s + r.withheld, 0))}</th>
+              <th class="text-right">${formatCurrency(payrollRows.reduce((s, r) => s + r.employer, 0))}</th>
               <th class="text-right">${formatCurrency(payrollTotal)}</th>
             </tr>
           </tfoot>
         </table>
       </div>` : ''}
 
+      <!-- Recurring expenses: actual vs. template -->
+      ${recurringRows.length > 0 ? `
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Gastos recurrentes — real vs. plantilla</h2>
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr>
+              <th>Mes</th>
+              <th>Descripción</th>
+              <th class="text-right">Plantilla</th>
+              <th class="text-right">Real</th>
+              <th class="text-right">Diferencia</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${recurringRows.map(e => {
+              const diff = e.amount - (e.templateAmount || 0);
+              return `<tr>
+                <td style="white-space:nowrap;">${escapeHTML(formatMonthLabel(e.recurringMonth || ''))}</td>
+                <td>${escapeHTML(e.description)}</td>
+                <td class="text-right">${formatCurrency(e.templateAmount)}</td>
+                <td class="text-right">${formatCurrency(e.amount)}</td>
+                <td class="text-right ${diff > 0.005 ? 'rpt-negative' : ''}">${diff > 0 ? '+' : ''}${formatCurrency(diff)}</td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colspan="2">Total recurrentes</th>
+              <th class="text-right">${formatCurrency(recurringTemplateTotal)}</th>
+              <th class="text-right">${formatCurrency(recurringActualTotal)}</th>
+              <th class="text-right">${formatCurrency(recurringActualTotal - recurringTemplateTotal)}</th>
+            </tr>
+          </tfoot>
+        </table>
+      </div>` : ''}
+
       <!-- Full expense listing -->
       <div class="rpt-section">
         <h2 class="rpt-section__title">Detalle de gastos operativos</h2>
@@ -1455,194 +1602,1477 @@ function buildProductionReportOutput(from, to, operatorId, machineId) {
   if (printBtn) printBtn.style.display = '';
 }
 
-// ─── Shared Report Fragments ──────────────────────────────────────────────────
+// ══════════════════════════════════════════════════════════════════════════════
+// REPORT 6 — DGII 606 / 607
+//
+// Builds the monthly "Formato de Envío" files for the DGII:
+//   607 — ventas con NCF (SalesAPI + customer RNC)
+//   606 — compras con NCF (ExpensesAPI + RawMaterialsAPI + supplier RNC)
+//
+// TXT layout: header line "<formato>|<RNC informante>|<AAAAMM>|<registros>"
+// followed by one pipe-delimited detail line per comprobante, dates as
+// AAAAMMDD and amounts with two decimals and no thousands separator.
+// The CSV carries the same columns with a title row, for review in Excel.
+//
+// Records with blocking issues (bad NCF, missing RNC where required) keep the
+// export disabled until they are fixed at the source module.
+// ══════════════════════════════════════════════════════════════════════════════
+
+const COMPANY_RNC_STORAGE_KEY = 'capflow_company_rnc';
+
+/** Consumer invoices (B02) at or above this amount must carry the buyer's RNC. */
+const DGII_B02_RNC_THRESHOLD = 250000;
 
 /**
- * Printable page header with company name and report metadata.
- * Logo block is reserved for when COMPANY_LOGO_URL is set.
+ * 606 "Tipo de bienes y servicios" per expense category. `goods` decides
+ * whether the amount goes to "Monto facturado en bienes" or "en servicios".
+ * Unlisted categories fall back to 02 (trabajos, suministros y servicios).
  */
-function buildReportHeader(reportTitle, subtitle) {
-  const logoHTML = COMPANY_LOGO_URL
-    ? `<img src="${escapeHTML(COMPANY_LOGO_URL)}" class="rpt-header__logo" alt="Logo">`
-    : '';
+const DGII_606_EXPENSE_TYPES = {
+  'Alquiler — Fábrica':            { type: '03', goods: false },
+  'Alquiler — Área de lavado':     { type: '03', goods: false },
+  'Mantenimiento y reparaciones':  { type: '04', goods: false },
+  'Equipos y herramientas':        { type: '10', goods: true  },
+  'Materiales de limpieza':        { type: '02', goods: true  },
+  'Suministros de oficina':        { type: '02', goods: true  },
+  'Combustible':                   { type: '02', goods: true  },
+  'Agua potable (operarios)':      { type: '02', goods: true  },
+  'Alimentación de operarios':     { type: '01', goods: true  },
+  'Seguros':                       { type: '11', goods: false },
+  'Impuestos y tasas':             { type: '06', goods: false },
+};
+
+const DGII_607_COLUMNS = [
+  'RNC/Cédula', 'Tipo Id', 'NCF', 'NCF Modificado', 'Tipo de Ingreso',
+  'Fecha Comprobante', 'Fecha Retención', 'Monto Facturado', 'ITBIS Facturado',
+  'ITBIS Retenido por Terceros', 'ITBIS Percibido', 'Retención Renta por Terceros',
+  'ISR Percibido', 'Impuesto Selectivo al Consumo', 'Otros Impuestos/Tasas',
+  'Monto Propina Legal', 'Efectivo', 'Cheque/Transferencia/Depósito',
+  'Tarjeta Débito/Crédito', 'Venta a Crédito', 'Bonos o Certificados de Regalo',
+  'Permuta', 'Otras Formas de Ventas',
+];
+
+const DGII_606_COLUMNS = [
+  'RNC/Cédula', 'Tipo Id', 'Tipo Bienes y Servicios', 'NCF', 'NCF Modificado',
+  'Fecha Comprobante', 'Fecha Pago', 'Monto Facturado en Servicios',
+  'Monto Facturado en Bienes', 'Total Monto Facturado', 'ITBIS Facturado',
+  'ITBIS Retenido', 'ITBIS sujeto a Proporcionalidad', 'ITBIS llevado al Costo',
+  'ITBIS por Adelantar', 'ITBIS Percibido en Compras', 'Tipo de Retención en ISR',
+  'Monto Retención Renta', 'ISR Percibido en Compras', 'Impuesto Selectivo al Consumo',
+  'Otros Impuestos/Tasas', 'Monto Propina Legal', 'Forma de Pago',
+];
+
+/** Last generated result — the download buttons export exactly what is on screen. */
+let _dgiiResult = null;
+
+function renderDgiiReport(container) {
+  const defaultMonth = prevMonthYM(todayYM());
+  const savedRnc     = localStorage.getItem(COMPANY_RNC_STORAGE_KEY) || '';
 
-  return `
-    <div class="rpt-header">
-      <div class="rpt-header__left">
-        ${logoHTML}
-        <div class="rpt-header__company">${escapeHTML(COMPANY_NAME)}</div>
-      </div>
-      <div class="rpt-header__right">
-        <div class="rpt-header__report-title">${escapeHTML(reportTitle)}</div>
-        <div class="rpt-header__subtitle">${subtitle}</div>
-        <div class="rpt-header__generated">
-          Generado el ${escapeHTML(formatDateLabel(todayYMD()))}
+  document.getElementById('rpt-body').innerHTML = `
+    <div class="rpt-controls card">
+      <div class="rpt-controls__row">
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-dgii-month">Período</label>
+          <input class="form-input" type="month" id="rpt-dgii-month"
+                 value="${escapeHTML(defaultMonth)}">
+        </div>
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-dgii-rnc">RNC de la empresa</label>
+          <input class="form-input" type="text" id="rpt-dgii-rnc" maxlength="11"
+                 inputmode="numeric" placeholder="9 dígitos" value="${escapeHTML(savedRnc)}">
         </div>
+        <button class="btn btn--primary" id="rpt-dgii-generate">Generar</button>
+        <button class="btn btn--ghost" id="rpt-dgii-print" style="display:none;">
+          🖨 Imprimir / Guardar PDF
+        </button>
+      </div>
+      <div class="rpt-controls__row rpt-dgii-downloads" id="rpt-dgii-downloads" style="display:none;">
+        <button class="btn btn--ghost btn--sm" data-dgii-export="607" data-dgii-format="txt">⬇ 607 TXT</button>
+        <button class="btn btn--ghost btn--sm" data-dgii-export="607" data-dgii-format="csv">⬇ 607 CSV</button>
+        <button class="btn btn--ghost btn--sm" data-dgii-export="606" data-dgii-format="txt">⬇ 606 TXT</button>
+        <button class="btn btn--ghost btn--sm" data-dgii-export="606" data-dgii-format="csv">⬇ 606 CSV</button>
       </div>
     </div>
-    <hr class="rpt-divider">
+    <div id="rpt-dgii-output"></div>
   `;
-}
 
-function buildReportFooter() {
-  return `
-    <div class="rpt-footer">
-      <span>${escapeHTML(COMPANY_NAME)}</span>
-      <span>CapFlow ERP</span>
-      <span>Generado el ${escapeHTML(formatDateLabel(todayYMD()))}</span>
-    </div>
-  `;
-}
+  const generate = () => {
+    const month = document.getElementById('rpt-dgii-month').value;
+    const rnc   = document.getElementById('rpt-dgii-rnc').value.replace(/\D/g, '');
+    if (!month) return;
+    localStorage.setItem(COMPANY_RNC_STORAGE_KEY, rnc);
+    buildDgiiOutput(month, rnc);
+  };
 
-/** Single KPI tile for the report grid. */
-function rptKPI(label, value, sub, modifier = '') {
-  const valClass = modifier === 'positive' ? ' rpt-positive'
-                 : modifier === 'negative' ? ' rpt-negative' : '';
-  return `
-    <div class="rpt-kpi">
-      <div class="rpt-kpi__label">${escapeHTML(label)}</div>
-      <div class="rpt-kpi__value${valClass}">${escapeHTML(value)}</div>
-      ${sub ? `<div class="rpt-kpi__sub">${escapeHTML(sub)}</div>` : ''}
-    </div>
-  `;
-}
+  document.getElementById('rpt-dgii-generate').addEventListener('click', generate);
+  document.getElementById('rpt-dgii-print').addEventListener('click', () => window.print());
+  document.querySelectorAll('[data-dgii-export]').forEach(btn => {
+    btn.addEventListener('click', () =>
+      downloadDgiiFile(btn.dataset.dgiiExport, btn.dataset.dgiiFormat));
+  });
 
-// ─── Calculation Helpers ──────────────────────────────────────────────────────
+  generate();
+}
 
 /**
- * Find the entity with highest sum of `valueField` (or count if null) grouped by `groupKey`.
- * Returns { id, total } or null.
+ * Build the 607 detail rows for a month.
+ * @returns {{ rows: Array<{ sale, values: string[] }>, issues: Array, skipped: number }}
  */
-function topByField(records, groupKey, valueField) {
-  if (!records.length) return null;
-  const totals = new Map();
-  for (const r of records) {
-    const key = String(r[groupKey] || '');
-    const val = valueField ? (r[valueField] || 0) : 1;
-    totals.set(key, (totals.get(key) || 0) + val);
-  }
-  let best = null;
-  for (const [id, total] of totals) {
-    if (!best || total > best.total) best = { id, total };
-  }
-  return best;
-}
+function buildDgii607(month) {
+  const rows   = [];
+  const issues = [];
+  let skipped  = 0;
 
-function prevMonthYM(ym) {
-  const [y, m] = ym.split('-').map(Number);
-  const d = new Date(y, m - 2, 1);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
-}
+  const sales = _allSales
+    .filter(s => (s.month || '') === month && (s.status || 'confirmed') === 'confirmed')
+    .sort((a, b) => (a.saleDate || '').localeCompare(b.saleDate || ''));
 
-// ─── Format Helpers ───────────────────────────────────────────────────────────
+  for (const s of sales) {
+    const ref  = s.invoiceNumber || s.id;
+    const cust = _customerMap.get(String(s.clientId || ''));
+    if (!s.ncfNumber) { skipped++; continue; }
+
+    const revenue = (s.totals || {}).revenue || 0;
+    const itbis   = s.itbisAmount || 0;
+    const taxId   = String(cust?.taxId || '').replace(/\D/g, '');
+    const series  = s.ncfNumber.slice(0, 3);
+
+    let blocking = false;
+    if (!isValidNcf(s.ncfNumber)) {
+      issues.push({ level: 'error', form: '607', ref, text: `NCF con formato inválido (${s.ncfNumber}).` });
+      blocking = true;
+    }
+    const rncRequired = series !== 'B02' || revenue + itbis >= DGII_B02_RNC_THRESHOLD;
+    if (rncRequired && !isValidTaxId(taxId)) {
+      issues.push({
+        level: 'error', form: '607', ref,
+        text: `Cliente ${cust?.name || '—'} sin RNC/cédula válido (requerido para ${series}).`,
+      });
+      blocking = true;
+    }
+    if (blocking) continue;
+
+    // Payment breakdown: recorded payments by method, remainder on credit.
+    // A received payment marked 'credito' is a card payment, not a credit sale.
+    const total = revenue + itbis;
+    const pay   = { cash: 0, bank: 0, card: 0, credit: 0, other: 0 };
+    let paid    = 0;
+    for (const p of (_paymentsMap.get(String(s.id)) || [])) {
+      const amt = Math.min(p.amount || 0, Math.max(0, total - paid));
+      paid += amt;
+      if (p.method === 'efectivo')                                    pay.cash   += amt;
+      else if (p.method === 'transferencia' || p.method === 'cheque') pay.bank   += amt;
+      else if (p.method === 'credito')                                pay.card   += amt;
+      else                                                            pay.other  += amt;
+    }
+    pay.credit += Math.max(0, total - paid);
+
+    rows.push({
+      sale: s,
+      values: [
+        taxId, dgiiIdType(taxId), s.ncfNumber, '', '01',
+        dgiiDate(s.saleDate), '',
+        dgiiAmount(revenue), dgiiAmount(itbis),
+        '', '', '', '', '', '', '',
+        dgiiAmount(pay.cash), dgiiAmount(pay.bank), dgiiAmount(pay.card),
+        dgiiAmount(pay.credit), dgiiAmount(0), dgiiAmount(0), dgiiAmount(pay.other),
+      ],
+    });
+  }
 
-function todayYMD() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+  if (skipped) {
+    issues.push({
+      level: 'warning', form: '607', ref: '—',
+      text: `${skipped} venta(s) sin NCF no se incluyen en el 607.`,
+    });
+  }
+  return { rows, issues };
 }
 
-function todayYM() { return todayYMD().slice(0, 7); }
-
-function formatMonthLabel(ym) {
-  if (!ym) return '';
-  const d = new Date(`${ym}-01T00:00:00`);
-  if (isNaN(d)) return ym;
-  return d.toLocaleDateString('es-DO', { month: 'long', year: 'numeric' });
-}
+/**
+ * Build the 606 detail rows for a month from expenses and raw-material purchases.
+ * Amounts on both sources include ITBIS; the base is amount − ITBIS.
+ */
+function buildDgii606(month) {
+  const providerName = (type, id) => {
+    if (!id) return '';
+    return type === 'service_provider'
+      ? (_serviceProviderMap.get(String(id))?.name || '')
+      : (_providerMap.get(String(id))?.name || '');
+  };
+  const providerTaxId = (type, id) => {
+    if (!id) return '';
+    const p = type === 'service_provider'
+      ? _serviceProviderMap.get(String(id))
+      : _providerMap.get(String(id));
+    return p?.taxId || '';
+  };
 
-function shortMonthLabel(ym) {
-  const [y, m] = ym.split('-').map(Number);
-  const d = new Date(y, m - 1, 1);
-  const mo = d.toLocaleDateString('es-DO', { month: 'short' }).replace('.', '').toLowerCase();
-  return `${mo} ${String(y).slice(2)}`;
-}
+  const docs = [];
+  for (const e of _allExpenses) {
+    if ((e.expenseDate || '').slice(0, 7) !== month) continue;
+    const map = DGII_606_EXPENSE_TYPES[e.category] || { type: '02', goods: false };
+    docs.push({
+      source:  'Gasto',
+      ref:     e.description || e.category || e.id,
+      date:    e.expenseDate,
+      payDate: e.isPayable ? '' : e.expenseDate,
+      taxId:   e.supplierTaxId || providerTaxId(e.creditorType, e.creditorId),
+      party:   providerName(e.creditorType, e.creditorId),
+      ncf:     e.ncf,
+      type:    map.type,
+      goods:   map.goods,
+      gross:   e.amount || 0,
+      itbis:   e.itbisAmount || 0,
+      payForm: e.isPayable ? '04'
+             : e.method === 'card' ? '03'
+             : (e.method === 'transfer' || e.method === 'check') ? '02'
+             : '01',
+    });
+  }
+  for (const r of _allPurchases) {
+    if ((r.month || (r.date || '').slice(0, 7)) !== month) continue;
+    docs.push({
+      source:  'Materia prima',
+      ref:     `${getMaterialTypeLabel(r.materialType)} — ${formatNumber(r.weightLbs)} lbs`,
+      date:    r.date,
+      payDate: r.isPayable ? '' : r.date,
+      taxId:   r.supplierTaxId || _providerMap.get(String(r.supplierId || ''))?.taxId || '',
+      party:   _providerMap.get(String(r.supplierId || ''))?.name || '',
+      ncf:     r.ncf,
+      type:    '09',
+      goods:   true,
+      gross:   r.totalCost || 0,
+      itbis:   r.itbisAmount || 0,
+      // Purchases carry no payment method; non-credit purchases are cash.
+      payForm: r.isPayable ? '04' : '01',
+    });
+  }
+  docs.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
 
-function formatDateLabel(dateStr) {
-  if (!dateStr) return '';
-  const d = new Date(`${dateStr}T00:00:00`);
-  if (isNaN(d)) return dateStr;
-  return d.toLocaleDateString('es-DO', { day: '2-digit', month: 'short', year: 'numeric' });
-}
+  const rows   = [];
+  const issues = [];
+  let skipped  = 0;
 
-function formatCurrency(value) {
-  if (value == null) return '—';
-  return new Intl.NumberFormat('es-DO', {
-    style: 'currency', currency: 'DOP', minimumFractionDigits: 2,
-  }).format(value);
-}
+  for (const d of docs) {
+    if (!d.ncf) { skipped++; continue; }
+    const taxId = String(d.taxId || '').replace(/\D/g, '');
+    const ref   = `${d.source}: ${d.ref}`;
 
-function formatNumber(value) {
-  if (value == null) return '—';
-  return new Intl.NumberFormat('es-DO').format(value);
-}
+    let blocking = false;
+    if (!isValidNcf(d.ncf)) {
+      issues.push({ level: 'error', form: '606', ref, text: `NCF con formato inválido (${d.ncf}).` });
+      blocking = true;
+    }
+    if (!isValidTaxId(taxId)) {
+      issues.push({
+        level: 'error', form: '606', ref,
+        text: `Proveedor ${d.party || '—'} sin RNC/cédula válido.`,
+      });
+      blocking = true;
+    }
+    if (d.itbis > d.gross) {
+      issues.push({ level: 'error', form: '606', ref, text: 'El ITBIS es mayor que el monto total.' });
+      blocking = true;
+    }
+    if (blocking) continue;
+
+    const base = d.gross - d.itbis;
+    rows.push({
+      doc: d,
+      values: [
+        taxId, dgiiIdType(taxId), d.type, d.ncf.toUpperCase(), '',
+        dgiiDate(d.date), dgiiDate(d.payDate),
+        dgiiAmount(d.goods ? 0 : base), dgiiAmount(d.goods ? base : 0), dgiiAmount(base),
+        dgiiAmount(d.itbis),
+        '', '', '', dgiiAmount(d.itbis), '', '', '', '', '', '', '',
+        d.payForm,
+      ],
+    });
+  }
 
-function escapeHTML(str) {
-  const d = document.createElement('div');
-  d.textContent = String(str ?? '');
-  return d.innerHTML;
+  if (skipped) {
+    issues.push({
+      level: 'warning', form: '606', ref: '—',
+      text: `${skipped} compra(s)/gasto(s) sin NCF no se incluyen en el 606 (ITBIS no deducible).`,
+    });
+  }
+  return { rows, issues };
 }
 
-// ─── Styles ───────────────────────────────────────────────────────────────────
-
-function buildStyles() {
-  return `
-  <style id="reports-styles">
+function buildDgiiOutput(month, companyRnc) {
+  const printBtn  = document.getElementById('rpt-dgii-print');
+  const downloads = document.getElementById('rpt-dgii-downloads');
+  const output    = document.getElementById('rpt-dgii-output');
+  if (!output) return;
 
-  /* ── Module tabs ──────────────────────────────────────────────────── */
-  .rpt-tabs {
-    display:   flex;
-    gap:       2px;
-    margin-bottom: var(--space-lg);
-    border-bottom: 1px solid var(--color-border);
+  const r607 = buildDgii607(month);
+  const r606 = buildDgii606(month);
+  const issues = [...r607.issues, ...r606.issues];
+  if (!isValidTaxId(companyRnc)) {
+    issues.unshift({ level: 'error', form: '606/607', ref: '—', text: 'RNC de la empresa inválido o vacío.' });
   }
 
-  .rpt-tab-btn {
-    background:    none;
-    border:        none;
-    border-bottom: 3px solid transparent;
-    color:         var(--color-text-secondary);
-    cursor:        pointer;
-    font-family:   var(--font-display);
-    font-size:     0.9rem;
-    font-weight:   600;
-    letter-spacing:0.04em;
-    padding:       var(--space-sm) var(--space-lg);
-    margin-bottom: -1px;
-    transition:    color 0.15s, border-color 0.15s;
-  }
+  _dgiiResult = { month, companyRnc, r607, r606, issues };
 
-  .rpt-tab-btn:hover { color: var(--color-text-primary); }
+  const errorsFor = form => issues.some(i => i.level === 'error' &&
+    (i.form === form || i.form === '606/607'));
+  downloads.querySelectorAll('[data-dgii-export]').forEach(btn => {
+    btn.disabled = errorsFor(btn.dataset.dgiiExport);
+    btn.title    = btn.disabled ? 'Corrige los errores de validación antes de exportar.' : '';
+  });
 
-  .rpt-tab-btn--active {
-    color:         var(--color-accent);
-    border-bottom: 3px solid var(--color-accent);
-  }
+  const sum = (rows, idx) => rows.reduce((s, r) => s + Number(r.values[idx] || 0), 0);
+  const sales607  = sum(r607.rows, 7);
+  const itbis607  = sum(r607.rows, 8);
+  const total606  = sum(r606.rows, 9);
+  const itbis606  = sum(r606.rows, 10);
+  const errorCount = issues.filter(i => i.level === 'error').length;
 
-  /* ── Controls bar ─────────────────────────────────────────────────── */
-  .rpt-controls {
-    margin-bottom: var(--space-lg);
-  }
+  output.innerHTML = `
+    <div class="report-printable" id="rpt-dgii-printable">
 
-  .rpt-controls__row {
-    display:     flex;
-    align-items: flex-end;
-    flex-wrap:   wrap;
-    gap:         var(--space-md);
-    padding:     var(--space-lg);
-  }
+      ${buildReportHeader('Reportes DGII 606 / 607',
+        `Período ${escapeHTML(formatMonthLabel(month))} · RNC ${escapeHTML(companyRnc || '—')}`)}
 
-  /* ── Report container ─────────────────────────────────────────────── */
-  .report-printable {
-    background:    var(--color-bg-card);
-    border:        1px solid var(--color-border);
-    border-radius: var(--radius-lg);
-    padding:       var(--space-xl) var(--space-2xl);
-  }
+      <div class="rpt-section">
+        <div class="rpt-kpi-grid">
+          ${rptKPI('607 — Comprobantes', formatNumber(r607.rows.length), 'ventas con NCF')}
+          ${rptKPI('607 — Monto facturado', formatCurrency(sales607), 'sin ITBIS')}
+          ${rptKPI('607 — ITBIS facturado', formatCurrency(itbis607), '')}
+          ${rptKPI('606 — Comprobantes', formatNumber(r606.rows.length), 'compras con NCF')}
+          ${rptKPI('606 — Monto facturado', formatCurrency(total606), 'sin ITBIS')}
+          ${rptKPI('606 — ITBIS facturado', formatCurrency(itbis606), 'ITBIS por adelantar')}
+        </div>
+      </div>
 
-  /* ── Report header ────────────────────────────────────────────────── */
-  .rpt-header {
-    display:         flex;
-    justify-content: space-between;
+      <div class="rpt-section">
+        <div class="rpt-section__title">
+          Validación ${errorCount ? `— ${errorCount} error(es) bloquean la exportación` : ''}
+        </div>
+        ${issues.length === 0 ? `
+          <p class="rpt-positive" style="font-size:0.9rem;">✔ Sin observaciones. Los archivos están listos para exportar.</p>
+        ` : `
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr><th>Formato</th><th>Documento</th><th>Observación</th></tr>
+          </thead>
+          <tbody>
+            ${issues.map(i => `
+              <tr>
+                <td>${escapeHTML(i.form)}</td>
+                <td>${escapeHTML(i.ref)}</td>
+                <td class="${i.level === 'error' ? 'rpt-negative' : ''}">
+                  ${i.level === 'error' ? '✕' : '⚠'} ${escapeHTML(i.text)}
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>`}
+      </div>
+
+      <div class="rpt-section">
+        <div class="rpt-section__title">607 — Ventas</div>
+        ${r607.rows.length === 0 ? `
+          <p style="color:var(--color-text-muted);font-size:0.9rem;">No hay ventas con NCF en este período.</p>
+        ` : `
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr>
+              <th>Fecha</th><th>NCF</th><th>RNC/Cédula</th><th>Cliente</th>
+              <th class="text-right">Monto</th><th class="text-right">ITBIS</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${r607.rows.map(({ sale, values }) => `
+              <tr>
+                <td style="white-space:nowrap;">${escapeHTML(formatDateLabel(sale.saleDate))}</td>
+                <td style="font-family:var(--font-mono);">${escapeHTML(values[2])}</td>
+                <td style="font-family:var(--font-mono);">${escapeHTML(values[0] || '—')}</td>
+                <td>${escapeHTML(_customerMap.get(String(sale.clientId))?.name || '—')}</td>
+                <td class="text-right">${formatCurrency(Number(values[7]))}</td>
+                <td class="text-right">${formatCurrency(Number(values[8]))}</td>
+              </tr>`).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colspan="4">Total (${formatNumber(r607.rows.length)})</th>
+              <th class="text-right">${formatCurrency(sales607)}</th>
+              <th class="text-right">${formatCurrency(itbis607)}</th>
+            </tr>
+          </tfoot>
+        </table>`}
+      </div>
+
+      <div class="rpt-section">
+        <div class="rpt-section__title">606 — Compras y gastos</div>
+        ${r606.rows.length === 0 ? `
+          <p style="color:var(--color-text-muted);font-size:0.9rem;">No hay compras con NCF en este período.</p>
+        ` : `
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr>
+              <th>Fecha</th><th>NCF</th><th>RNC/Cédula</th><th>Origen</th><th>Tipo</th>
+              <th class="text-right">Monto</th><th class="text-right">ITBIS</th><th>Pago</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${r606.rows.map(({ doc, values }) => `
+              <tr>
+                <td style="white-space:nowrap;">${escapeHTML(formatDateLabel(doc.date))}</td>
+                <td style="font-family:var(--font-mono);">${escapeHTML(values[3])}</td>
+                <td style="font-family:var(--font-mono);">${escapeHTML(values[0])}</td>
+                <td>${escapeHTML(doc.source)}: ${escapeHTML(doc.ref)}</td>
+                <td>${escapeHTML(values[2])}</td>
+                <td class="text-right">${formatCurrency(Number(values[9]))}</td>
+                <td class="text-right">${formatCurrency(Number(values[10]))}</td>
+                <td>${escapeHTML(values[22])}</td>
+              </tr>`).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th colspan="5">Total (${formatNumber(r606.rows.length)})</th>
+              <th class="text-right">${formatCurrency(total606)}</th>
+              <th class="text-right">${formatCurrency(itbis606)}</th>
+              <th></th>
+            </tr>
+          </tfoot>
+        </table>`}
+      </div>
+
+      ${buildReportFooter()}
+    </div>
+  `;
+
+  if (printBtn)  printBtn.style.display  = '';
+  if (downloads) downloads.style.display = '';
+}
+
+/** Download the last generated 606 or 607 as TXT (DGII layout) or CSV. */
+function downloadDgiiFile(form, format) {
+  if (!_dgiiResult) return;
+  const { month, companyRnc } = _dgiiResult;
+  const result  = form === '607' ? _dgiiResult.r607 : _dgiiResult.r606;
+  const columns = form === '607' ? DGII_607_COLUMNS : DGII_606_COLUMNS;
+  const period  = month.replace('-', '');
+
+  let content, mime, filename;
+  if (format === 'txt') {
+    content = [
+      `${form}|${companyRnc}|${period}|${result.rows.length}`,
+      ...result.rows.map(r => r.values.join('|')),
+    ].join('\r\n');
+    mime     = 'text/plain';
+    filename = `DGII_F_${form}_${companyRnc}_${period}.TXT`;
+  } else {
+    const csvCell = v => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    content = [columns, ...result.rows.map(r => r.values)]
+      .map(row => row.map(v => csvCell(String(v))).join(','))
+      .join('\r\n');
+    // BOM so Excel opens accented headers correctly
+    content  = '﻿' + content;
+    mime     = 'text/csv';
+    filename = `DGII_${form}_${companyRnc}_${period}.csv`;
+  }
+
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+  const a   = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/** 1 = RNC (9 digits), 2 = cédula (11 digits). */
+function dgiiIdType(taxId) {
+  if (!taxId) return '';
+  return taxId.length === 11 ? '2' : '1';
+}
+
+/** "YYYY-MM-DD" → "YYYYMMDD" */
+function dgiiDate(ymd) {
+  return ymd ? ymd.replace(/-/g, '') : '';
+}
+
+function dgiiAmount(n) {
+  return (Math.round((n || 0) * 100) / 100).toFixed(2);
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// REPORT 7 — ANTIGÜEDAD DE CUENTAS POR COBRAR (AR aging)
+// Open balance per customer as of a date, bucketed by days past due.
+// Amount due = revenue + ITBIS (same as sales.js); only payments dated on or
+// before the cut-off count. A sale is due on its invoice date plus the
+// customer's payment terms (paymentTermsDays, 0 = contado; a customer with
+// no terms configured is aged from the invoice date as well).
+// ══════════════════════════════════════════════════════════════════════════════
+
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Corriente', max: 0 },
+  { key: 'd30',     label: '1–30',      max: 30 },
+  { key: 'd60',     label: '31–60',     max: 60 },
+  { key: 'd90',     label: '61–90',     max: 90 },
+  { key: 'over90',  label: '> 90',      max: Infinity },
+];
+
+function renderAgingReport(container) {
+  const today = todayYMD();
+
+  document.getElementById('rpt-body').innerHTML = `
+    <div class="rpt-controls card">
+      <div class="rpt-controls__row">
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-aging-date">Saldos al</label>
+          <input class="form-input" type="date" id="rpt-aging-date"
+                 value="${escapeHTML(today)}">
+        </div>
+        <label class="form-group" style="flex:0 0 auto;flex-direction:row;align-items:center;gap:var(--space-xs);">
+          <input type="checkbox" id="rpt-aging-detail">
+          <span class="form-label" style="margin:0;">Detalle por factura</span>
+        </label>
+        <button class="btn btn--primary" id="rpt-aging-generate">Generar</button>
+        <button class="btn btn--ghost" id="rpt-aging-print" style="display:none;">
+          🖨 Imprimir / Guardar PDF
+        </button>
+      </div>
+    </div>
+    <div id="rpt-aging-output"></div>
+  `;
+
+  const generate = () => {
+    const asOf = document.getElementById('rpt-aging-date').value;
+    if (!asOf) return;
+    buildAgingOutput(asOf, document.getElementById('rpt-aging-detail').checked);
+  };
+
+  document.getElementById('rpt-aging-generate').addEventListener('click', generate);
+  document.getElementById('rpt-aging-print').addEventListener('click', () => window.print());
+
+  generate();
+}
+
+/** Whole days from ymdA to ymdB (positive when B is later). */
+function daysBetween(ymdA, ymdB) {
+  const a = new Date(`${ymdA}T00:00:00`);
+  const b = new Date(`${ymdB}T00:00:00`);
+  return Math.round((b - a) / 86400000);
+}
+
+/** Due date of a sale: invoice date + the customer's payment terms. */
+function saleDueDate(sale) {
+  const terms = Number(_customerMap.get(String(sale.clientId || ''))?.paymentTermsDays) || 0;
+  const d = new Date(`${sale.saleDate}T00:00:00`);
+  d.setDate(d.getDate() + terms);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Open invoices as of `asOf`, grouped by customer and aging bucket.
+ * @returns {{ customers: Array<{ id, name, buckets, total, invoices }>, totals }}
+ */
+function buildAgingData(asOf) {
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+  const byCustomer   = new Map();
+
+  for (const { sale: s, due, paid, balance } of buildSalesLedger(_allSales, _allPayments, { to: asOf, asOf })) {
+    if (!s.saleDate || balance <= 0.01) continue;
+
+    const dueDate    = saleDueDate(s);
+    const daysLate   = Math.max(0, daysBetween(dueDate, asOf));
+    const bucket     = AGING_BUCKETS.find(b => daysLate <= b.max).key;
+
+    const cid = String(s.clientId || '');
+    if (!byCustomer.has(cid)) {
+      byCustomer.set(cid, {
+        id: cid, name: _customerMap.get(cid)?.name || '[Cliente eliminado]',
+        buckets: emptyBuckets(), total: 0, invoices: [],
+      });
+    }
+    const c = byCustomer.get(cid);
+    c.buckets[bucket] += balance;
+    c.total           += balance;
+    c.invoices.push({ sale: s, dueDate, daysLate, bucket, due, paid, balance });
+  }
+
+  const customers = [...byCustomer.values()].sort((a, b) => b.total - a.total);
+  customers.forEach(c => c.invoices.sort((a, b) => a.dueDate.localeCompare(b.dueDate)));
+
+  const totals = emptyBuckets();
+  totals.total = 0;
+  for (const c of customers) {
+    AGING_BUCKETS.forEach(b => { totals[b.key] += c.buckets[b.key]; });
+    totals.total += c.total;
+  }
+  return { customers, totals };
+}
+
+function buildAgingOutput(asOf, showDetail) {
+  const printBtn = document.getElementById('rpt-aging-print');
+  const output   = document.getElementById('rpt-aging-output');
+  if (!output) return;
+
+  const { customers, totals } = buildAgingData(asOf);
+  const overdue = totals.total - totals.current;
+  const pct     = v => totals.total > 0 ? `${(v / totals.total * 100).toFixed(1)} %` : '—';
+
+  const detailRows = c => c.invoices.map(inv => `
+    <tr class="rpt-aging__invoice">
+      <td style="padding-left:var(--space-lg);">
+        ${escapeHTML(inv.sale.invoiceNumber || '—')} ·
+        ${escapeHTML(formatDateLabel(inv.sale.saleDate))}
+        <span style="color:var(--color-text-muted);">
+          (vence ${escapeHTML(formatDateLabel(inv.dueDate))}${inv.daysLate > 0 ? ` · ${inv.daysLate} días` : ''})
+        </span>
+      </td>
+      ${AGING_BUCKETS.map(b => `
+        <td class="text-right">${inv.bucket === b.key ? formatCurrency(inv.balance) : ''}</td>`).join('')}
+      <td></td>
+    </tr>`).join('');
+
+  output.innerHTML = `
+    <div class="report-printable" id="rpt-aging-printable">
+
+      ${buildReportHeader('Antigüedad de Cuentas por Cobrar',
+        `Saldos al ${escapeHTML(formatDateLabel(asOf))}`)}
+
+      <div class="rpt-section">
+        <div class="rpt-kpi-grid">
+          ${rptKPI('Total por cobrar', formatCurrency(totals.total),
+            `${formatNumber(customers.length)} cliente${customers.length !== 1 ? 's' : ''}`)}
+          ${rptKPI('Corriente', formatCurrency(totals.current), pct(totals.current))}
+          ${rptKPI('Vencido', formatCurrency(overdue), pct(overdue), overdue > 0 ? 'negative' : '')}
+          ${rptKPI('Más de 90 días', formatCurrency(totals.over90), pct(totals.over90),
+            totals.over90 > 0 ? 'negative' : '')}
+        </div>
+      </div>
+
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Saldos por cliente (días vencidos)</h2>
+        ${customers.length === 0 ? `
+          <p style="color:var(--color-text-muted);font-size:0.9rem;padding:var(--space-md) 0;">
+            No hay facturas con saldo pendiente a esta fecha.
+          </p>
+        ` : `
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr>
+              <th>Cliente</th>
+              ${AGING_BUCKETS.map(b => `<th class="text-right">${escapeHTML(b.label)}</th>`).join('')}
+              <th class="text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${customers.map(c => `
+              <tr>
+                <td><strong>${escapeHTML(c.name)}</strong></td>
+                ${AGING_BUCKETS.map(b => `
+                  <td class="text-right"${b.key !== 'current' && c.buckets[b.key] > 0 ? ' style="color:var(--color-danger);"' : ''}>
+                    ${c.buckets[b.key] > 0 ? formatCurrency(c.buckets[b.key]) : '—'}</td>`).join('')}
+                <td class="text-right"><strong>${formatCurrency(c.total)}</strong></td>
+              </tr>
+              ${showDetail ? detailRows(c) : ''}`).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <th>Total</th>
+              ${AGING_BUCKETS.map(b => `<th class="text-right">${formatCurrency(totals[b.key])}</th>`).join('')}
+              <th class="text-right">${formatCurrency(totals.total)}</th>
+            </tr>
+            <tr>
+              <th>% del total</th>
+              ${AGING_BUCKETS.map(b => `<th class="text-right">${pct(totals[b.key])}</th>`).join('')}
+              <th class="text-right">${pct(totals.total)}</th>
+            </tr>
+          </tfoot>
+        </table>`}
+      </div>
+
+      ${buildReportFooter()}
+    </div>
+  `;
+
+  if (printBtn) printBtn.style.display = '';
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// REPORT 8 — OEE (disponibilidad × rendimiento × calidad)
+// Inputs per production record: plannedMinutes, stopMinutes, rejectedQuantity
+// (production.js); ideal rate from the nominal capacities (machines.js).
+// Formulas and aggregation live in getOeeSummary() (api.js).
+// ══════════════════════════════════════════════════════════════════════════════
+
+/** World-class reference used to colour the OEE column. */
+const OEE_TARGET = 0.85;
+
+function renderOeeReport(container) {
+  const today     = todayYMD();
+  const monthFrom = today.slice(0, 7) + '-01';
+
+  const machineOptions = [..._machineMap.values()]
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(m => `<option value="${escapeHTML(String(m.id))}">${escapeHTML(m.name)}</option>`)
+    .join('');
+
+  document.getElementById('rpt-body').innerHTML = `
+    <div class="rpt-controls card">
+      <div class="rpt-controls__row">
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-oee-from">Desde</label>
+          <input class="form-input" type="date" id="rpt-oee-from" value="${escapeHTML(monthFrom)}">
+        </div>
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-oee-to">Hasta</label>
+          <input class="form-input" type="date" id="rpt-oee-to" value="${escapeHTML(today)}">
+        </div>
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-oee-machine">Máquina</label>
+          <select class="form-input form-select" id="rpt-oee-machine">
+            <option value="">Todas las máquinas</option>
+            ${machineOptions}
+          </select>
+        </div>
+        <button class="btn btn--primary" id="rpt-oee-generate">Generar reporte</button>
+        <button class="btn btn--ghost" id="rpt-oee-print" style="display:none;">
+          🖨 Imprimir / Guardar PDF
+        </button>
+      </div>
+    </div>
+    <div id="rpt-oee-output"></div>
+  `;
+
+  const generate = () => {
+    const from   = document.getElementById('rpt-oee-from').value;
+    const to     = document.getElementById('rpt-oee-to').value;
+    const machId = document.getElementById('rpt-oee-machine').value;
+    if (!from || !to) return;
+    if (from > to) {
+      alert('La fecha de inicio no puede ser posterior a la fecha final.');
+      return;
+    }
+    buildOeeOutput(from, to, machId);
+  };
+
+  document.getElementById('rpt-oee-generate').addEventListener('click', generate);
+  document.getElementById('rpt-oee-print').addEventListener('click', () => window.print());
+
+  generate();
+}
+
+/** Ratio (0–1) → "78.4 %", or "—" when it cannot be computed. */
+function formatRatio(v) {
+  return v === null || v === undefined ? '—' : `${(v * 100).toFixed(1)} %`;
+}
+
+/** One A / P / Q / OEE table for a grouping. */
+function buildOeeTable(title, firstColumn, rows) {
+  if (rows.length === 0) return '';
+  return `
+    <div class="rpt-section">
+      <h2 class="rpt-section__title">${escapeHTML(title)}</h2>
+      <table class="rpt-table rpt-table--sm">
+        <thead>
+          <tr>
+            <th>${escapeHTML(firstColumn)}</th>
+            <th class="text-right">Turnos</th>
+            <th class="text-right">Min. plan.</th>
+            <th class="text-right">Min. parada</th>
+            <th class="text-right">Buenos</th>
+            <th class="text-right">Rechazos</th>
+            <th class="text-right">Disponib.</th>
+            <th class="text-right">Rendim.</th>
+            <th class="text-right">Calidad</th>
+            <th class="text-right">OEE</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ label, s }) => `
+            <tr>
+              <td>${escapeHTML(label)}</td>
+              <td class="text-right">${formatNumber(s.records)}</td>
+              <td class="text-right">${formatNumber(s.plannedMinutes)}</td>
+              <td class="text-right">${formatNumber(s.stopMinutes)}</td>
+              <td class="text-right">${formatNumber(s.good)}</td>
+              <td class="text-right">${formatNumber(s.rejected)}</td>
+              <td class="text-right">${formatRatio(s.availability)}</td>
+              <td class="text-right">${formatRatio(s.performance)}${s.missingCapacity ? ' *' : ''}</td>
+              <td class="text-right">${formatRatio(s.quality)}</td>
+              <td class="text-right ${s.oee !== null && s.oee < OEE_TARGET ? 'rpt-negative' : ''}">
+                <strong>${formatRatio(s.oee)}</strong></td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+function buildOeeOutput(from, to, machineId) {
+  const printBtn = document.getElementById('rpt-oee-print');
+  const output   = document.getElementById('rpt-oee-output');
+  if (!output) return;
+
+  let records = _allProduction.filter(r => {
+    const d = r.productionDate || '';
+    return d >= from && d <= to;
+  });
+  if (machineId) records = records.filter(r => String(r.machineId) === machineId);
+
+  const total = getOeeSummary(records, _allCapacities);
+
+  const toRows = (map, labelOf) => [...map.entries()]
+    .map(([key, s]) => ({ key, label: labelOf(key), s }));
+  const byOee = (a, b) => (b.s.oee ?? -1) - (a.s.oee ?? -1);
+
+  const machineRows = toRows(
+    getOeeByGroup(records, _allCapacities, r => String(r.machineId || '')),
+    k => _machineMap.get(k)?.name || '[Máquina eliminada]').sort(byOee);
+  const shiftRows = toRows(
+    getOeeByGroup(records, _allCapacities, r => r.shift || '—'),
+    k => k).sort((a, b) => a.label.localeCompare(b.label, 'es'));
+  const operatorRows = toRows(
+    getOeeByGroup(records, _allCapacities, r => String(r.operatorId || '')),
+    k => _operatorMap.get(k)?.name || '[Operario eliminado]').sort(byOee);
+  const monthRows = toRows(
+    getOeeByGroup(records, _allCapacities, r => r.month || (r.productionDate || '').slice(0, 7)),
+    k => formatMonthLabel(k)).sort((a, b) => a.key.localeCompare(b.key));
+
+  const subtitle = `${machineId ? `${escapeHTML(_machineMap.get(machineId)?.name || 'Máquina')} · ` : ''}`
+    + `${escapeHTML(formatDateLabel(from))} — ${escapeHTML(formatDateLabel(to))}`;
+
+  output.innerHTML = `
+    <div class="report-printable" id="rpt-oee-printable">
+
+      ${buildReportHeader('Reporte OEE', subtitle)}
+
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Resumen del período</h2>
+        <div class="rpt-kpi-grid">
+          ${rptKPI('OEE', formatRatio(total.oee), `Meta ${formatRatio(OEE_TARGET)}`,
+            total.oee !== null && total.oee < OEE_TARGET ? 'negative' : '')}
+          ${rptKPI('Disponibilidad', formatRatio(total.availability),
+            `${formatNumber(total.stopMinutes)} min de parada`)}
+          ${rptKPI('Rendimiento', formatRatio(total.performance), 'vs. capacidad nominal')}
+          ${rptKPI('Calidad', formatRatio(total.quality),
+            `${formatNumber(total.rejected)} paquetes rechazados`)}
+        </div>
+      </div>
+
+      ${records.length === 0 ? `
+        <p style="color:var(--color-text-muted);font-size:0.9rem;padding:var(--space-md) 0;">
+          No hay registros de producción en este período.
+        </p>` : `
+        ${buildOeeTable('Por máquina',  'Máquina',  machineRows)}
+        ${buildOeeTable('Por turno',    'Turno',    shiftRows)}
+        ${buildOeeTable('Por operario', 'Operario', operatorRows)}
+        ${buildOeeTable('Por mes',      'Mes',      monthRows)}
+
+        <div class="rpt-section" style="font-size:0.8rem;color:var(--color-text-muted);">
+          ${total.missingCapacity > 0 ? `
+            <p>* ${formatNumber(total.missingCapacity)} turno${total.missingCapacity !== 1 ? 's' : ''}
+            sin capacidad nominal para su máquina / producto — no cuentan en el rendimiento.
+            Regístrala en Máquinas → Capacidad nominal.</p>` : ''}
+          ${total.defaultedPlanned > 0 ? `
+            <p>${formatNumber(total.defaultedPlanned)} turno${total.defaultedPlanned !== 1 ? 's' : ''}
+            sin minutos planificados registrados — se asumió un turno completo sin paradas.</p>` : ''}
+        </div>`}
+
+      ${buildReportFooter()}
+    </div>
+  `;
+
+  if (printBtn) printBtn.style.display = '';
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// REPORT 9 — CALIDAD (Pareto de defectos y tasa de rechazo)
+// Pareto from the QC inspections (quality.js); rejection rate from the
+// production records, whose rejectedQuantity / purgeLbs total those
+// inspections (or were typed by hand before there were any).
+// ══════════════════════════════════════════════════════════════════════════════
+
+/** Defects inside this cumulative share are the "vital few" of the Pareto. */
+const PARETO_CUTOFF_PCT = 80;
+
+function renderQualityReport(container) {
+  const today     = todayYMD();
+  const monthFrom = today.slice(0, 7) + '-01';
+
+  document.getElementById('rpt-body').innerHTML = `
+    <div class="rpt-controls card">
+      <div class="rpt-controls__row">
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-qc-from">Desde</label>
+          <input class="form-input" type="date" id="rpt-qc-from" value="${escapeHTML(monthFrom)}">
+        </div>
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-qc-to">Hasta</label>
+          <input class="form-input" type="date" id="rpt-qc-to" value="${escapeHTML(today)}">
+        </div>
+        <button class="btn btn--primary" id="rpt-qc-generate">Generar reporte</button>
+        <button class="btn btn--ghost" id="rpt-qc-print" style="display:none;">
+          🖨 Imprimir / Guardar PDF
+        </button>
+      </div>
+    </div>
+    <div id="rpt-qc-output"></div>
+  `;
+
+  const generate = () => {
+    const from = document.getElementById('rpt-qc-from').value;
+    const to   = document.getElementById('rpt-qc-to').value;
+    if (!from || !to) return;
+    if (from > to) {
+      alert('La fecha de inicio no puede ser posterior a la fecha final.');
+      return;
+    }
+    buildQualityOutput(from, to);
+  };
+
+  document.getElementById('rpt-qc-generate').addEventListener('click', generate);
+  document.getElementById('rpt-qc-print').addEventListener('click', () => window.print());
+
+  generate();
+}
+
+/** Rejection-rate table for one grouping, worst rate first. */
+function buildRejectionTable(title, firstColumn, rows) {
+  if (rows.length === 0) return '';
+  return `
+    <div class="rpt-section">
+      <h2 class="rpt-section__title">${escapeHTML(title)}</h2>
+      <table class="rpt-table rpt-table--sm">
+        <thead>
+          <tr>
+            <th>${escapeHTML(firstColumn)}</th>
+            <th class="text-right">Turnos</th>
+            <th class="text-right">Buenos</th>
+            <th class="text-right">Rechazos</th>
+            <th class="text-right">Purga (lbs)</th>
+            <th class="text-right">Tasa de rechazo</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(({ label, g }) => `
+            <tr>
+              <td>${escapeHTML(label)}</td>
+              <td class="text-right">${formatNumber(g.records)}</td>
+              <td class="text-right">${formatNumber(g.good)}</td>
+              <td class="text-right">${formatNumber(g.rejected)}</td>
+              <td class="text-right">${formatNumber(Math.round(g.purgeLbs * 10) / 10)}</td>
+              <td class="text-right"><strong>${formatRatio(g.rate)}</strong></td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+function buildQualityOutput(from, to) {
+  const printBtn = document.getElementById('rpt-qc-print');
+  const output   = document.getElementById('rpt-qc-output');
+  if (!output) return;
+
+  const inRange = d => (d || '') >= from && (d || '') <= to;
+  const inspections = _allInspections.filter(i => inRange(i.inspectionDate));
+  const records     = _allProduction.filter(r => inRange(r.productionDate));
+
+  const pareto = getDefectPareto(inspections);
+  const scrap  = getQcScrapLbs(records);
+  const total  = getRejectionRateBy(records, () => 'all').get('all')
+    || { records: 0, good: 0, rejected: 0, purgeLbs: 0, rate: null };
+
+  const toRows = (map, labelOf) => [...map.entries()]
+    .map(([key, g]) => ({ key, label: labelOf(key), g }))
+    .sort((a, b) => (b.g.rate ?? -1) - (a.g.rate ?? -1));
+  const machineRows = toRows(
+    getRejectionRateBy(records, r => String(r.machineId || '')),
+    k => _machineMap.get(k)?.name || '[Máquina eliminada]');
+  const operatorRows = toRows(
+    getRejectionRateBy(records, r => String(r.operatorId || '')),
+    k => _operatorMap.get(k)?.name || '[Operario eliminado]');
+
+  const subtitle = `${escapeHTML(formatDateLabel(from))} — ${escapeHTML(formatDateLabel(to))}`;
+
+  output.innerHTML = `
+    <div class="report-printable" id="rpt-qc-printable">
+
+      ${buildReportHeader('Reporte de Calidad', subtitle)}
+
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Resumen del período</h2>
+        <div class="rpt-kpi-grid">
+          ${rptKPI('Tasa de rechazo', formatRatio(total.rate),
+            `${formatNumber(total.rejected)} de ${formatNumber(total.good + total.rejected)} paquetes`)}
+          ${rptKPI('Lbs rechazadas', formatNumber(Math.round(scrap.rejectedLbs)), 'Paquetes × peso por paquete')}
+          ${rptKPI('Purga', `${formatNumber(Math.round(scrap.purgeLbs))} lbs`, 'Arranques y cambios de color')}
+          ${rptKPI('Inspecciones', formatNumber(inspections.length),
+            pareto[0] && pareto[0].rejected > 0 ? `Principal: ${pareto[0].label}` : 'Sin defectos registrados')}
+        </div>
+      </div>
+
+      ${pareto.length === 0 ? `
+        <p style="color:var(--color-text-muted);font-size:0.9rem;padding:var(--space-md) 0;">
+          No hay inspecciones de calidad en este período.
+        </p>` : `
+        <div class="rpt-section rpt-chart-section">
+          <h2 class="rpt-section__title">Pareto de defectos</h2>
+          <div class="rpt-chart-wrap">
+            <canvas id="rpt-qc-chart"></canvas>
+          </div>
+        </div>
+
+        <div class="rpt-section">
+          <table class="rpt-table rpt-table--sm">
+            <thead>
+              <tr>
+                <th>Defecto</th>
+                <th class="text-right">Inspecciones</th>
+                <th class="text-right">Paquetes rechazados</th>
+                <th class="text-right">Purga (lbs)</th>
+                <th class="text-right">% del total</th>
+                <th class="text-right">% acumulado</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${pareto.map((d, idx) => `
+                <tr>
+                  <td>${escapeHTML(d.label)}</td>
+                  <td class="text-right">${formatNumber(d.inspections)}</td>
+                  <td class="text-right">${formatNumber(d.rejected)}</td>
+                  <td class="text-right">${formatNumber(Math.round(d.purgeLbs * 10) / 10)}</td>
+                  <td class="text-right">${d.pct.toFixed(1)} %</td>
+                  <td class="text-right ${idx === 0 || pareto[idx - 1].cumulativePct < PARETO_CUTOFF_PCT ? 'rpt-negative' : ''}">
+                    ${d.cumulativePct.toFixed(1)} %</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+          <p style="font-size:0.8rem;color:var(--color-text-muted);margin-top:var(--space-sm);">
+            En rojo, los defectos que suman el primer ${PARETO_CUTOFF_PCT} % de los rechazos.
+          </p>
+        </div>`}
+
+      ${records.length === 0 ? `
+        <p style="color:var(--color-text-muted);font-size:0.9rem;padding:var(--space-md) 0;">
+          No hay registros de producción en este período.
+        </p>` : `
+        ${buildRejectionTable('Tasa de rechazo por máquina',  'Máquina',  machineRows)}
+        ${buildRejectionTable('Tasa de rechazo por operario', 'Operario', operatorRows)}`}
+
+      ${buildReportFooter()}
+    </div>
+  `;
+
+  renderParetoChart(pareto);
+
+  if (printBtn) printBtn.style.display = '';
+}
+
+function renderParetoChart(pareto) {
+  if (typeof window.Chart === 'undefined') return;
+  const canvas = document.getElementById('rpt-qc-chart');
+  if (!canvas) return;
+
+  if (_qualityChart) { _qualityChart.destroy(); _qualityChart = null; }
+
+  _qualityChart = new window.Chart(canvas, {
+    type: 'bar',
+    data: {
+      labels: pareto.map(d => d.label),
+      datasets: [
+        {
+          label: 'Paquetes rechazados',
+          data: pareto.map(d => d.rejected),
+          backgroundColor: 'rgba(231,76,60,0.25)',
+          borderColor: 'rgba(231,76,60,0.8)',
+          borderWidth: 1.5,
+          borderRadius: 3,
+          yAxisID: 'y',
+          order: 2,
+        },
+        {
+          label: '% acumulado',
+          data: pareto.map(d => Math.round(d.cumulativePct * 10) / 10),
+          type: 'line',
+          borderColor: 'rgba(74,158,255,0.9)',
+          backgroundColor: 'rgba(74,158,255,0.1)',
+          borderWidth: 2,
+          pointRadius: 4,
+          tension: 0,
+          yAxisID: 'pct',
+          order: 1,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          display: true,
+          position: 'top',
+          labels: { font: { size: 11 }, boxWidth: 12, padding: 14 },
+        },
+      },
+      scales: {
+        x: { ticks: { font: { size: 10 } }, grid: { color: 'rgba(0,0,0,0.06)' } },
+        y: {
+          beginAtZero: true,
+          ticks: { font: { size: 10 } },
+          grid: { color: 'rgba(0,0,0,0.06)' },
+        },
+        pct: {
+          position: 'right',
+          min: 0,
+          max: 100,
+          ticks: { callback: v => `${v} %`, font: { size: 10 } },
+          grid: { display: false },
+        },
+      },
+    },
+  });
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// REPORT 10 — TARIFAS (snapshot de tarifa vs. tabla de tarifas por paquete)
+//
+// Records whose operatorRateSnapshot differs from the piece-rate row in force
+// on their date (getRateDeviations). Impact = packages × (snapshot − table):
+// positive was paid over the table, negative under it.
+// ══════════════════════════════════════════════════════════════════════════════
+
+function renderRatesReport(container) {
+  const today     = todayYMD();
+  const monthFrom = today.slice(0, 7) + '-01';
+
+  document.getElementById('rpt-body').innerHTML = `
+    <div class="rpt-controls card">
+      <div class="rpt-controls__row">
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-rate-from">Desde</label>
+          <input class="form-input" type="date" id="rpt-rate-from" value="${escapeHTML(monthFrom)}">
+        </div>
+        <div class="form-group" style="flex:0 0 auto;">
+          <label class="form-label" for="rpt-rate-to">Hasta</label>
+          <input class="form-input" type="date" id="rpt-rate-to" value="${escapeHTML(today)}">
+        </div>
+        <button class="btn btn--primary" id="rpt-rate-generate">Generar reporte</button>
+        <button class="btn btn--ghost" id="rpt-rate-print" style="display:none;">
+          🖨 Imprimir / Guardar PDF
+        </button>
+      </div>
+    </div>
+    <div id="rpt-rate-output"></div>
+  `;
+
+  const generate = () => {
+    const from = document.getElementById('rpt-rate-from').value;
+    const to   = document.getElementById('rpt-rate-to').value;
+    if (!from || !to) return;
+    if (from > to) {
+      alert('La fecha de inicio no puede ser posterior a la fecha final.');
+      return;
+    }
+    buildRatesOutput(from, to);
+  };
+
+  document.getElementById('rpt-rate-generate').addEventListener('click', generate);
+  document.getElementById('rpt-rate-print').addEventListener('click', () => window.print());
+
+  generate();
+}
+
+function buildRatesOutput(from, to) {
+  const printBtn = document.getElementById('rpt-rate-print');
+  const output   = document.getElementById('rpt-rate-output');
+  if (!output) return;
+
+  const records = _allProduction.filter(r => (r.productionDate || '') >= from && (r.productionDate || '') <= to);
+  const { deviations, withoutRate } = getRateDeviations(records, _allRates);
+  deviations.sort((a, b) => (a.record.productionDate || '').localeCompare(b.record.productionDate || ''));
+
+  const impact = deviations.reduce((s, d) => s + d.amount, 0);
+  const over   = deviations.filter(d => d.diff > 0).length;
+
+  const subtitle = `${escapeHTML(formatDateLabel(from))} — ${escapeHTML(formatDateLabel(to))}`;
+
+  output.innerHTML = `
+    <div class="report-printable" id="rpt-rate-printable">
+
+      ${buildReportHeader('Tarifas fuera de tabla', subtitle)}
+
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Resumen del período</h2>
+        <div class="rpt-kpi-grid">
+          ${rptKPI('Registros revisados', formatNumber(records.length),
+            `${formatNumber(records.length - withoutRate.length)} con tarifa en la tabla`)}
+          ${rptKPI('Fuera de tabla', formatNumber(deviations.length),
+            `${formatNumber(over)} por encima · ${formatNumber(deviations.length - over)} por debajo`,
+            deviations.length ? 'negative' : 'positive')}
+          ${rptKPI('Impacto en nómina', formatCurrency(impact),
+            'Paquetes × (snapshot − tabla)', Math.abs(impact) >= 0.005 ? 'negative' : '')}
+          ${rptKPI('Sin tarifa en la tabla', formatNumber(withoutRate.length),
+            'No se pueden comparar')}
+        </div>
+      </div>
+
+      <div class="rpt-section">
+        <h2 class="rpt-section__title">Registros con tarifa distinta a la tabla</h2>
+        ${deviations.length === 0 ? `
+          <p style="color:var(--color-text-muted);font-size:0.9rem;padding:var(--space-md) 0;">
+            Todos los registros comparables usan la tarifa de la tabla.
+          </p>
+        ` : `
+        <table class="rpt-table rpt-table--sm">
+          <thead>
+            <tr>
+              <th>Fecha</th>
+              <th>Operario</th>
+              <th>Producto</th>
+              <th>Máquina</th>
+              <th>Turno</th>
+              <th class="text-right">Paquetes</th>
+              <th class="text-right">Snapshot</th>
+              <th class="text-right">Tabla</th>
+              <th class="text-right">Diferencia</th>
+              <th class="text-right">Impacto</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${deviations.map(d => {
+              const r = d.record;
+              return `<tr>
+                <td style="white-space:nowrap;">${escapeHTML(formatDateLabel(r.productionDate || ''))}</td>
+                <td>${escapeHTML(_operatorMap.get(String(r.operatorId || ''))?.name || '—')}</td>
+                <td>${escapeHTML(_productMap.get(String(r.productId || ''))?.name || '—')}</td>
+                <td>${escapeHTML(_machineMap.get(String(r.machineId || ''))?.name || '—')}</td>
+                <td>${escapeHTML(r.shift || '—')}</td>
+                <td class="text-right" style="font-family:var(--font-mono);">${formatNumber(r.quantity || 0)}</td>
+                <td class="text-right">${formatCurrency(d.actual)}</td>
+                <td class="text-right">${formatCurrency(d.expected)}${d.rateRow.operatorId ? ' *' : ''}</td>
+                <td class="text-right rpt-negative">${d.diff > 0 ? '+' : ''}${formatCurrency(d.diff)}</td>
+                <td class="text-right">${d.amount > 0 ? '+' : ''}${formatCurrency(d.amount)}</td>
+              </tr>`;
+            }).join('')}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td colspan="9"><strong>Total</strong></td>
+              <td class="text-right"><strong>${impact > 0 ? '+' : ''}${formatCurrency(impact)}</strong></td>
+            </tr>
+          </tfoot>
+        </table>
+        <p style="font-size:0.8rem;color:var(--color-text-muted);margin-top:var(--space-sm);">
+          * Tarifa propia del operario. La tabla se edita en Operarios → Tarifas por paquete;
+          el snapshot de cada registro no se recalcula.
+        </p>`}
+      </div>
+
+      ${buildReportFooter()}
+    </div>
+  `;
+
+  if (printBtn) printBtn.style.display = '';
+}
+
+// ─── Shared Report Fragments ──────────────────────────────────────────────────
+
+/**
+ * Printable page header with company name and report metadata.
+ * Logo block is reserved for when COMPANY_LOGO_URL is set.
+ */
+function buildReportHeader(reportTitle, subtitle) {
+  const logoHTML = COMPANY_LOGO_URL
+    ? `<img src="${escapeHTML(COMPANY_LOGO_URL)}" class="rpt-header__logo" alt="Logo">`
+    : '';
+
+  return `
+    <div class="rpt-header">
+      <div class="rpt-header__left">
+        ${logoHTML}
+        <div class="rpt-header__company">${escapeHTML(COMPANY_NAME)}</div>
+      </div>
+      <div class="rpt-header__right">
+        <div class="rpt-header__report-title">${escapeHTML(reportTitle)}</div>
+        <div class="rpt-header__subtitle">${subtitle}</div>
+        <div class="rpt-header__generated">
+          Generado el ${escapeHTML(formatDateLabel(todayYMD()))}
+        </div>
+      </div>
+    </div>
+    <hr class="rpt-divider">
+  `;
+}
+
+function buildReportFooter() {
+  return `
+    <div class="rpt-footer">
+      <span>${escapeHTML(COMPANY_NAME)}</span>
+      <span>CapFlow ERP</span>
+      <span>Generado el ${escapeHTML(formatDateLabel(todayYMD()))}</span>
+    </div>
+  `;
+}
+
+/** Single KPI tile for the report grid. */
+function rptKPI(label, value, sub, modifier = '') {
+  const valClass = modifier === 'positive' ? ' rpt-positive'
+                 : modifier === 'negative' ? ' rpt-negative' : '';
+  return `
+    <div class="rpt-kpi">
+      <div class="rpt-kpi__label">${escapeHTML(label)}</div>
+      <div class="rpt-kpi__value${valClass}">${escapeHTML(value)}</div>
+      ${sub ? `<div class="rpt-kpi__sub">${escapeHTML(sub)}</div>` : ''}
+    </div>
+  `;
+}
+
+// ─── Calculation Helpers ──────────────────────────────────────────────────────
+
+/**
+ * Find the entity with highest sum of `valueField` (or count if null) grouped by `groupKey`.
+ * Returns { id, total } or null.
+ */
+function topByField(records, groupKey, valueField) {
+  if (!records.length) return null;
+  const totals = new Map();
+  for (const r of records) {
+    const key = String(r[groupKey] || '');
+    const val = valueField ? (r[valueField] || 0) : 1;
+    totals.set(key, (totals.get(key) || 0) + val);
+  }
+  let best = null;
+  for (const [id, total] of totals) {
+    if (!best || total > best.total) best = { id, total };
+  }
+  return best;
+}
+
+function prevMonthYM(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  const d = new Date(y, m - 2, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// ─── Format Helpers ───────────────────────────────────────────────────────────
+
+export function todayYMD() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
+}
+
+function todayYM() { return todayYMD().slice(0, 7); }
+
+function formatMonthLabel(ym) {
+  if (!ym) return '';
+  const d = new Date(`${ym}-01T00:00:00`);
+  if (isNaN(d)) return ym;
+  return d.toLocaleDateString('es-DO', { month: 'long', year: 'numeric' });
+}
+
+function shortMonthLabel(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  const d = new Date(y, m - 1, 1);
+  const mo = d.toLocaleDateString('es-DO', { month: 'short' }).replace('.', '').toLowerCase();
+  return `${mo} ${String(y).slice(2)}`;
+}
+
+export function formatDateLabel(dateStr) {
+  if (!dateStr) return '';
+  const d = new Date(`${dateStr}T00:00:00`);
+  if (isNaN(d)) return dateStr;
+  return d.toLocaleDateString('es-DO', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function formatCurrency(value) {
+  if (value == null) return '—';
+  return new Intl.NumberFormat('es-DO', {
+    style: 'currency', currency: 'DOP', minimumFractionDigits: 2,
+  }).format(value);
+}
+
+function formatNumber(value) {
+  if (value == null) return '—';
+  return new Intl.NumberFormat('es-DO').format(value);
+}
+
+function escapeHTML(str) {
+  const d = document.createElement('div');
+  d.textContent = String(str ?? '');
+  return d.innerHTML;
+}
+
+// ─── Styles ───────────────────────────────────────────────────────────────────
+
+function buildStyles() {
+  return `
+  <style id="reports-styles">
+
+  /* ── Module tabs ──────────────────────────────────────────────────── */
+  .rpt-tabs {
+    display:   flex;
+    gap:       2px;
+    margin-bottom: var(--space-lg);
+    border-bottom: 1px solid var(--color-border);
+  }
+
+  .rpt-tab-btn {
+    background:    none;
+    border:        none;
+    border-bottom: 3px solid transparent;
+    color:         var(--color-text-secondary);
+    cursor:        pointer;
+    font-family:   var(--font-display);
+    font-size:     0.9rem;
+    font-weight:   600;
+    letter-spacing:0.04em;
+    padding:       var(--space-sm) var(--space-lg);
+    margin-bottom: -1px;
+    transition:    color 0.15s, border-color 0.15s;
+  }
+
+  .rpt-tab-btn:hover { color: var(--color-text-primary); }
+
+  .rpt-tab-btn--active {
+    color:         var(--color-accent);
+    border-bottom: 3px solid var(--color-accent);
+  }
+
+  /* ── Controls bar ─────────────────────────────────────────────────── */
+  .rpt-controls {
+    margin-bottom: var(--space-lg);
+  }
+
+  .rpt-controls__row {
+    display:     flex;
+    align-items: flex-end;
+    flex-wrap:   wrap;
+    gap:         var(--space-md);
+    padding:     var(--space-lg);
+  }
+
+  .rpt-dgii-downloads {
+    padding-top: 0;
+    gap:         var(--space-sm);
+  }
+
+  /* ── AR aging detail rows ─────────────────────────────────────────── */
+  .rpt-aging__invoice td {
+    font-size:   0.78rem;
+    border-top:  none;
+  }
+
+  /* ── Report container ─────────────────────────────────────────────── */
+  .report-printable {
+    background:    var(--color-bg-card);
+    border:        1px solid var(--color-border);
+    border-radius: var(--radius-lg);
+    padding:       var(--space-xl) var(--space-2xl);
+  }
+
+  /* ── Report header ────────────────────────────────────────────────── */
+  .rpt-header {
+    display:         flex;
+    justify-content: space-between;
     align-items:     flex-start;
     margin-bottom:   var(--space-md);
   }
@@ -1829,33 +3259,12 @@ function buildStyles() {
      ════════════════════════════════════════════════════════════════ */
   @media print {
 
-    /* Hide everything */
-    body > * { display: none !important; }
-
-    /* Show only the active report */
-    #app { display: block !important; }
-    .sidebar,
-    .module-header,
-    .rpt-tabs,
-    .rpt-controls,
-    #rpt-monthly-print,
-    #rpt-sales-print    { display: none !important; }
-
-    .main-content,
-    #main-content,
-    #view-container,
-    #reports-module,
-    #rpt-body           { display: block !important; margin: 0 !important; padding: 0 !important; }
-
-    .report-printable {
-      display:    block !important;
-      background: #ffffff !important;
-      color:      #111111 !important;
-      border:     none !important;
-      padding:    0 !important;
-      margin:     0 !important;
-      width:      100% !important;
-    }
+    /* Show only the active report (module header and tabs are hidden too) */
+    ${printOnlyCss('#reports-module', '#rpt-body', {
+      hide:  ['.rpt-controls', '#rpt-monthly-print', '#rpt-sales-print'],
+      sheet: '.report-printable',
+    })}
+    .report-printable { display: block !important; width: 100% !important; }
 
     /* Reset text colours for print */
     .rpt-header__company,
@@ -0,0 +1,828 @@
+/**
+ * sales-orders.js — CapFlow Sales Orders Module (Pedidos)
+ *
+ * Orders customers place ahead of the sale and take over several dispatches:
+ *  - Create / edit orders: customer, order and promised dates, lines with
+ *    product, packages and agreed price
+ *  - Reserve finished-goods stock for each line (what the inventory allows
+ *    after the other open orders); the rest of the line is backordered
+ *  - "Facturar" opens Facturación filled with the pending lines; the sale is
+ *    saved there (createWithInventoryDebit) and its lines carry the order,
+ *    so one order can be invoiced fully or in parts
+ *  - Per product: stock, reserved, available and what still has to be
+ *    produced for the open orders
+ *
+ * Data flow:
+ *   SalesOrdersAPI          ← order CRUD
+ *   SalesAPI                ← sale lines stamped with salesOrderId
+ *   InventoryAPI            ← finished-goods stock
+ *   getSalesOrderStatus / getProductReservations / reserveSalesOrderStock
+ *                           ← delivered, held and backordered (api.js)
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  SalesOrdersAPI,
+  SALES_ORDER_STATUSES,
+  SALES_ORDER_HANDOFF_KEY,
+  getSalesOrderStatus,
+  getProductReservations,
+  reserveSalesOrderStock,
+  SalesAPI,
+  CustomersAPI,
+  ProductsAPI,
+  InventoryAPI,
+  ChangeHistoryAPI,
+} from '../api.js';
+import { AuthAPI, canPerform, guardAction } from '../auth.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** In-memory caches — filters re-render without re-fetching. */
+let allOrders    = [];
+let allSales     = [];
+let allCustomers = [];
+let allProducts  = [];
+let allItems     = [];
+
+/** Usuario admin actual para registrar en el historial. */
+let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove. */
+let _currentRole  = 'solo-lectura';
+
+const STATUS_LABELS  = new Map(SALES_ORDER_STATUSES.map(s => [s.value, s.label]));
+const STATUS_CLASSES = { open: 'badge--blue', done: 'badge--green', cancelled: 'badge--gray' };
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Sales Orders module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountSalesOrders(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+
+  const session = await AuthAPI.getSession();
+  _currentAdmin = {
+    id:   session?.user?.id    ?? null,
+    name: session?.user?.email ?? 'Sistema',
+  };
+  _currentRole = await AuthAPI.getRole().catch(() => 'solo-lectura');
+
+  if (!canPerform(_currentRole, 'create')) document.getElementById('so-new-btn').style.display = 'none';
+  attachListeners();
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  const statusOptions = SALES_ORDER_STATUSES
+    .map(s => `<option value="${s.value}" ${s.value === 'open' ? 'selected' : ''}>${s.label}</option>`).join('');
+
+  return `
+    <section class="module" id="sales-orders-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⊟</span>
+          <div>
+            <h1 class="module-header__title">Pedidos</h1>
+            <p class="module-header__subtitle">Pedidos de clientes, reserva de stock y pendientes por producir</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="so-count-badge">
+          — pedidos
+        </div>
+      </header>
+
+      <!-- ── Orders Card ── -->
+      <div class="card" id="so-orders-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Pedidos
+          </h2>
+          <div class="table-controls">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="so-filter-status"
+                      aria-label="Filtrar por estado">
+                <option value="all">Todos los estados</option>
+                ${statusOptions}
+              </select>
+            </div>
+            <input class="form-input form-input--sm" type="search" id="so-search"
+                   placeholder="Buscar por número o cliente…" aria-label="Buscar pedido">
+            <button class="btn btn--primary btn--sm" id="so-new-btn">＋ Nuevo pedido</button>
+          </div>
+        </div>
+
+        <div class="table-loading" id="so-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando pedidos…</span>
+        </div>
+
+        <div class="table-empty" id="so-table-empty" style="display:none;">
+          <span class="table-empty__icon">⊟</span>
+          <p>No hay pedidos para mostrar.</p>
+          <p class="table-empty__sub">Registra uno con el botón "Nuevo pedido".</p>
+        </div>
+
+        <div class="table-wrapper" id="so-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Pedido</th>
+                <th>Cliente</th>
+                <th>Fecha</th>
+                <th>Entrega</th>
+                <th>Productos <span class="so-th-sub">(entregado / pedido)</span></th>
+                <th class="text-right">Reservado</th>
+                <th class="text-right">Por producir</th>
+                <th class="text-center">Estado</th>
+                <th class="text-center">Acciones</th>
+              </tr>
+            </thead>
+            <tbody id="so-tbody"></tbody>
+          </table>
+        </div>
+      </div>
+
+      <!-- ── Stock by Product Card ── -->
+      <div class="card" id="so-stock-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">▦</span>
+            Stock comprometido por producto
+          </h2>
+        </div>
+        <div class="table-wrapper" id="so-stock"></div>
+        <p class="so-footnote">
+          Disponible = stock − reservado por pedidos abiertos. "Por producir" es lo que
+          los pedidos abiertos esperan y el stock no cubre.
+        </p>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch orders, sales and stock, then re-render. */
+async function loadAll() {
+  showTableLoading(true);
+
+  try {
+    const [orders, sales, customers, products, items] = await Promise.all([
+      SalesOrdersAPI.getAll(),
+      SalesAPI.getAll(),
+      CustomersAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+      InventoryAPI.getAll().catch(() => []),
+    ]);
+    allOrders    = orders;
+    allSales     = sales;
+    allCustomers = customers;
+    allProducts  = products;
+    allItems     = items;
+
+    applyFilters();
+    renderStock();
+  } catch (err) {
+    showFeedback(`Error al cargar pedidos: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+// ─── Orders Table ─────────────────────────────────────────────────────────────
+
+function applyFilters() {
+  const status = document.getElementById('so-filter-status')?.value || 'all';
+  const term   = (document.getElementById('so-search')?.value || '').trim().toLowerCase();
+
+  const filtered = allOrders.filter(o => {
+    if (status !== 'all' && o.status !== status) return false;
+    if (!term) return true;
+    return [o.orderNumber, customerLabel(o.customerId)]
+      .some(v => String(v || '').toLowerCase().includes(term));
+  });
+
+  updateCountBadge(allOrders.length, filtered.length);
+  renderTable(filtered);
+}
+
+function renderTable(orders) {
+  showTableLoading(false);
+
+  const tbody   = document.getElementById('so-tbody');
+  const empty   = document.getElementById('so-table-empty');
+  const wrapper = document.getElementById('so-table-wrapper');
+
+  if (!orders || orders.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+
+  tbody.innerHTML = orders.map(buildTableRow).join('');
+
+  tbody.querySelectorAll('[data-action]').forEach(btn => {
+    const id = btn.dataset.id;
+    btn.addEventListener('click', () => {
+      if (btn.dataset.action === 'invoice') handleInvoice(id);
+      if (btn.dataset.action === 'reserve') handleReserve(id);
+      if (btn.dataset.action === 'edit')    openOrderModal(id);
+      if (btn.dataset.action === 'done')    handleStatusChange(id, 'done');
+      if (btn.dataset.action === 'cancel')  handleStatusChange(id, 'cancelled');
+      if (btn.dataset.action === 'reopen')  handleStatusChange(id, 'open');
+      if (btn.dataset.action === 'delete')  handleDelete(id);
+    });
+  });
+}
+
+function buildTableRow(order) {
+  const status  = getSalesOrderStatus(order, allSales);
+  const late    = order.status === 'open' && order.promisedDate && order.promisedDate < todayString();
+  const open    = order.status === 'open';
+
+  const lines = status.lines.map(l => `
+    <div class="so-line">
+      <span>${escapeHTML(productLabel(l.productId))}</span>
+      <span class="so-line__qty">${formatNumber(l.delivered)} / ${formatNumber(l.quantity)}</span>
+    </div>`).join('');
+
+  return `
+    <tr class="table-row ${order.status === 'cancelled' ? 'table-row--inactive' : ''}">
+      <td><span class="machine-code">${escapeHTML(order.orderNumber)}</span></td>
+      <td class="td-name">${escapeHTML(customerLabel(order.customerId))}</td>
+      <td>${formatDate(order.orderDate)}</td>
+      <td>
+        ${formatDate(order.promisedDate)}
+        ${late ? '<div><span class="badge badge--red">Atrasado</span></div>' : ''}
+      </td>
+      <td>${lines}</td>
+      <td class="text-right">${open ? formatNumber(status.held) : '—'}</td>
+      <td class="text-right">
+        ${open && status.backordered > 0
+          ? `<span class="so-backorder">${formatNumber(status.backordered)}</span>`
+          : (open ? '0' : '—')}
+      </td>
+      <td class="text-center">
+        <span class="badge ${STATUS_CLASSES[order.status] || 'badge--gray'}">${escapeHTML(STATUS_LABELS.get(order.status) || order.status)}</span>
+      </td>
+      <td class="text-center td-actions">
+        ${open && canPerform(_currentRole, 'create') && status.pending > 0
+          ? `<button class="btn btn--success-ghost btn--xs" data-action="invoice" data-id="${escapeHTML(order.id)}">▤ Facturar</button>` : ''}
+        ${open && canPerform(_currentRole, 'update') && status.backordered > 0
+          ? `<button class="btn btn--ghost btn--xs" data-action="reserve" data-id="${escapeHTML(order.id)}" title="Reservar el stock disponible ahora">⇩ Reservar</button>` : ''}
+        ${open && canPerform(_currentRole, 'update') ? `
+          <button class="btn btn--ghost btn--xs" data-action="edit" data-id="${escapeHTML(order.id)}">✎ Editar</button>
+          <button class="btn btn--ghost btn--xs" data-action="done" data-id="${escapeHTML(order.id)}">✔ Completar</button>
+          <button class="btn btn--warning-ghost btn--xs" data-action="cancel" data-id="${escapeHTML(order.id)}">⊘ Cancelar</button>` : ''}
+        ${!open && canPerform(_currentRole, 'update')
+          ? `<button class="btn btn--ghost btn--xs" data-action="reopen" data-id="${escapeHTML(order.id)}">↺ Reabrir</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${escapeHTML(order.id)}">✕</button>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+// ─── Stock by Product ─────────────────────────────────────────────────────────
+
+function renderStock() {
+  const el = document.getElementById('so-stock');
+  if (!el) return;
+
+  const reservations = getProductReservations(allOrders, allSales);
+  const rows = [...reservations.entries()]
+    .filter(([, r]) => r.reserved > 0 || r.backordered > 0)
+    .map(([productId, r]) => ({ productId, ...r, stock: stockOf(productId) }))
+    .sort((a, b) => b.backordered - a.backordered);
+
+  if (rows.length === 0) {
+    el.innerHTML = '<p class="so-empty">Ningún pedido abierto tiene stock reservado ni pendiente.</p>';
+    return;
+  }
+
+  el.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Producto</th>
+          <th class="text-right">Stock</th>
+          <th class="text-right">Reservado</th>
+          <th class="text-right">Disponible</th>
+          <th class="text-right">Por producir</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map(r => `
+          <tr>
+            <td class="td-name">${escapeHTML(productLabel(r.productId))}</td>
+            <td class="text-right">${formatNumber(r.stock)}</td>
+            <td class="text-right">${formatNumber(r.reserved)}</td>
+            <td class="text-right">${formatNumber(r.stock - r.reserved)}</td>
+            <td class="text-right">
+              ${r.backordered > 0 ? `<span class="so-backorder">${formatNumber(r.backordered)}</span>` : '0'}
+            </td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+// ─── Order Actions ────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('so-filter-status').addEventListener('change', applyFilters);
+  document.getElementById('so-search').addEventListener('input', applyFilters);
+  document.getElementById('so-new-btn').addEventListener('click', () => openOrderModal(null));
+}
+
+/** Create (orderId null) or edit an open order. */
+function openOrderModal(orderId) {
+  const order = orderId ? allOrders.find(o => String(o.id) === String(orderId)) : null;
+  if (!guardAction(_currentRole, order ? 'update' : 'create', showFeedback)) return;
+
+  const customerOptions = allCustomers
+    .filter(c => c.status !== 'inactive' || String(c.id) === String(order?.customerId))
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(c => `<option value="${escapeHTML(c.id)}">${escapeHTML(c.name)}</option>`).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'so-modal-overlay';
+  overlay.innerHTML = `
+    <div class="so-modal" role="dialog" aria-modal="true" aria-labelledby="so-order-title">
+      <h3 id="so-order-title" class="so-modal__title">
+        ${order ? `Editar pedido ${escapeHTML(order.orderNumber)}` : 'Nuevo pedido'}
+      </h3>
+      <div class="form-grid">
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="so-order-customer">Cliente <span class="required">*</span></label>
+          <div class="select-wrapper">
+            <select class="form-input form-select" id="so-order-customer">
+              <option value="" disabled selected>Seleccionar…</option>
+              ${customerOptions}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="so-order-date">Fecha del pedido <span class="required">*</span></label>
+          <input class="form-input" type="date" id="so-order-date">
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="so-order-promised">Entrega prometida</label>
+          <input class="form-input" type="date" id="so-order-promised">
+        </div>
+        <div class="form-group form-group--wide">
+          <label class="form-label" for="so-order-notes">Notas</label>
+          <input class="form-input" type="text" id="so-order-notes" maxlength="300"
+                 placeholder="Condiciones, dirección de entrega…">
+        </div>
+      </div>
+
+      <div class="so-lines-header">
+        <span class="form-label">Productos</span>
+        <button type="button" class="btn btn--ghost btn--xs" id="so-add-line">＋ Agregar línea</button>
+      </div>
+      <table class="data-table so-lines-table">
+        <thead>
+          <tr>
+            <th>Producto</th>
+            <th class="text-right">Paquetes</th>
+            <th class="text-right">Precio unit.</th>
+            <th class="text-right">Disponible</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody id="so-lines-tbody"></tbody>
+      </table>
+      <span class="form-hint">Al guardar se reserva el stock disponible; lo que falte queda por producir.</span>
+      <span class="form-error" id="so-order-error"></span>
+      <div class="so-modal__actions">
+        <button type="button" class="btn btn--ghost btn--sm" id="so-order-cancel">Cancelar</button>
+        <button type="button" class="btn btn--primary btn--sm" id="so-order-save">Guardar</button>
+      </div>
+    </div>`;
+  document.body.appendChild(overlay);
+
+  const $ = sel => overlay.querySelector(sel);
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', e => { if (e.target === overlay) close(); });
+  $('#so-order-cancel').addEventListener('click', close);
+
+  // Available for this order = stock minus what the other open orders hold
+  const others = getProductReservations(allOrders, allSales, order?.id);
+  const availableOf = productId =>
+    stockOf(productId) - (others.get(String(productId))?.reserved || 0);
+
+  const productOptions = allProducts
+    .filter(p => p.type === 'manufactured' && p.active !== false)
+    .sort((a, b) => a.name.localeCompare(b.name, 'es'))
+    .map(p => `<option value="${escapeHTML(p.id)}">${escapeHTML(p.name)}</option>`).join('');
+
+  const addLine = (line = {}) => {
+    const tr = document.createElement('tr');
+    tr.className = 'so-line-row';
+    tr.innerHTML = `
+      <td>
+        <div class="select-wrapper" style="min-width:180px;">
+          <select class="form-input form-select form-input--sm so-l-product">
+            <option value="" disabled selected>Producto…</option>
+            ${productOptions}
+          </select>
+        </div>
+      </td>
+      <td><input class="form-input form-input--sm text-right so-l-qty" type="number" min="1" step="1" style="width:90px;"></td>
+      <td><input class="form-input form-input--sm text-right so-l-price" type="number" min="0" step="0.01" style="width:100px;"></td>
+      <td class="text-right so-l-available">—</td>
+      <td><button type="button" class="btn btn--danger btn--xs so-l-remove" title="Quitar línea">✕</button></td>`;
+    $('#so-lines-tbody').appendChild(tr);
+
+    const select = tr.querySelector('.so-l-product');
+    if (line.productId && ![...select.options].some(o => o.value === String(line.productId))) {
+      select.insertAdjacentHTML('beforeend',
+        `<option value="${escapeHTML(line.productId)}">${escapeHTML(productLabel(line.productId))}</option>`);
+    }
+    select.value = line.productId || '';
+    tr.querySelector('.so-l-qty').value   = line.quantity || '';
+    tr.querySelector('.so-l-price').value = line.unitPrice || '';
+
+    const refresh = () => {
+      tr.querySelector('.so-l-available').textContent =
+        select.value ? formatNumber(availableOf(select.value)) : '—';
+    };
+    select.addEventListener('change', refresh);
+    tr.querySelector('.so-l-remove').addEventListener('click', () => tr.remove());
+    refresh();
+  };
+  $('#so-add-line').addEventListener('click', () => addLine());
+
+  $('#so-order-date').value = order?.orderDate || todayString();
+  if (order) {
+    $('#so-order-customer').value = order.customerId;
+    $('#so-order-promised').value = order.promisedDate || '';
+    $('#so-order-notes').value    = order.notes;
+    order.lines.forEach(addLine);
+  } else {
+    addLine();
+  }
+
+  $('#so-order-save').addEventListener('click', async () => {
+    const errEl = $('#so-order-error');
+    const lines = [...overlay.querySelectorAll('.so-line-row')].map(tr => ({
+      productId: tr.querySelector('.so-l-product').value,
+      quantity:  Number(tr.querySelector('.so-l-qty').value),
+      unitPrice: Number(tr.querySelector('.so-l-price').value) || 0,
+    })).filter(l => l.productId || l.quantity);
+
+    const payload = {
+      customerId:   $('#so-order-customer').value,
+      orderDate:    $('#so-order-date').value,
+      promisedDate: $('#so-order-promised').value || null,
+      notes:        $('#so-order-notes').value.trim(),
+    };
+
+    if (!payload.customerId) { errEl.textContent = 'Selecciona el cliente.'; return; }
+    if (!payload.orderDate)  { errEl.textContent = 'Indica la fecha del pedido.'; return; }
+    if (lines.length === 0)  { errEl.textContent = 'Agrega al menos un producto.'; return; }
+    if (lines.some(l => !l.productId || !Number.isInteger(l.quantity) || l.quantity < 1)) {
+      errEl.textContent = 'Cada línea necesita producto y un número entero de paquetes mayor a 0.'; return;
+    }
+    if (order) {
+      // A line cannot drop below what was already invoiced for it
+      const status = getSalesOrderStatus({ ...order, lines: lines.map(l => ({ ...l, reserved: 0 })) }, allSales);
+      const deliveredNow = getSalesOrderStatus(order, allSales).delivered;
+      if (status.delivered < deliveredNow) {
+        errEl.textContent = 'Las cantidades no pueden quedar por debajo de lo ya facturado.'; return;
+      }
+    }
+
+    const available = new Map(lines.map(l => [String(l.productId), availableOf(l.productId)]));
+    payload.lines = reserveSalesOrderStock(
+      { id: order?.id ?? '', status: 'open', lines }, order ? allSales : [], available);
+
+    const saveBtn = $('#so-order-save');
+    setButtonLoading(saveBtn, true);
+    try {
+      let saved;
+      if (order) {
+        saved = await SalesOrdersAPI.update(order.id, payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'sales_order', entity_id: order.id,
+          entity_name: `${order.orderNumber} — ${customerLabel(payload.customerId)}`, action: 'editar',
+          changes: _buildDiff(
+            { ...order, lines: linesSummary(order.lines) },
+            { ...payload, lines: linesSummary(payload.lines) },
+            ['customerId', 'orderDate', 'promisedDate', 'notes', 'lines']),
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      } else {
+        saved = await SalesOrdersAPI.create(payload);
+        ChangeHistoryAPI.log({
+          entity_type: 'sales_order', entity_id: saved.id,
+          entity_name: `${saved.orderNumber} — ${customerLabel(payload.customerId)}`, action: 'crear',
+          changes: null,
+          user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+        });
+      }
+      close();
+      await loadAll();
+      reportReservation(saved);
+    } catch (err) {
+      errEl.textContent = `Error al guardar: ${err.message}`;
+      setButtonLoading(saveBtn, false);
+    }
+  });
+}
+
+/** Re-run the reservation of an open order against the current stock. */
+async function handleReserve(orderId) {
+  const order = allOrders.find(o => String(o.id) === String(orderId));
+  if (!order || !guardAction(_currentRole, 'update', showFeedback)) return;
+
+  try {
+    const saved = await SalesOrdersAPI.update(order.id, { lines: reservedLines(order) });
+    ChangeHistoryAPI.log({
+      entity_type: 'sales_order', entity_id: order.id,
+      entity_name: `${order.orderNumber} — ${customerLabel(order.customerId)}`, action: 'reservar',
+      changes: {
+        reserved: {
+          before: getSalesOrderStatus(order, allSales).held,
+          after:  getSalesOrderStatus(saved, allSales).held,
+        },
+      },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    await loadAll();
+    reportReservation(saved);
+  } catch (err) {
+    showFeedback(`Error al reservar: ${err.message}`, 'error');
+  }
+}
+
+/** Hand the order to Facturación, which fills the sale form from it. */
+function handleInvoice(orderId) {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
+  sessionStorage.setItem(SALES_ORDER_HANDOFF_KEY, String(orderId));
+  window.location.hash = '#invoicing';
+}
+
+async function handleStatusChange(orderId, status) {
+  const order = allOrders.find(o => String(o.id) === String(orderId));
+  if (!order || !guardAction(_currentRole, 'update', showFeedback)) return;
+
+  const verbs = { done: 'completar', cancelled: 'cancelar', open: 'reabrir' };
+  if (status !== 'open') {
+    const pending = getSalesOrderStatus(order, allSales).pending;
+    const note    = pending > 0
+      ? ` Quedan ${formatNumber(pending)} paquetes sin facturar y se libera su reserva.` : '';
+    if (!confirm(`¿${verbs[status][0].toUpperCase()}${verbs[status].slice(1)} el pedido ${order.orderNumber}?${note}`)) return;
+  }
+
+  try {
+    // Reopening takes the stock that is free now, not the old reservation
+    const payload = status === 'open'
+      ? { status, lines: reservedLines(order) }
+      : { status };
+    const saved = await SalesOrdersAPI.update(order.id, payload);
+    ChangeHistoryAPI.log({
+      entity_type: 'sales_order', entity_id: order.id,
+      entity_name: `${order.orderNumber} — ${customerLabel(order.customerId)}`, action: verbs[status],
+      changes: { status: { before: order.status, after: status } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    await loadAll();
+    if (status === 'open') reportReservation(saved);
+    else showFeedback(`Pedido ${STATUS_LABELS.get(status).toLowerCase()}.`, 'success');
+  } catch (err) {
+    showFeedback(`Error al guardar: ${err.message}`, 'error');
+  }
+}
+
+async function handleDelete(orderId) {
+  const order = allOrders.find(o => String(o.id) === String(orderId));
+  if (!order || !guardAction(_currentRole, 'remove', showFeedback)) return;
+
+  if (getSalesOrderStatus(order, allSales).delivered > 0) {
+    showFeedback('El pedido tiene ventas facturadas. Cancélalo o complétalo en lugar de eliminarlo.', 'warning', 6000);
+    return;
+  }
+  if (!confirm(`¿Eliminar el pedido ${order.orderNumber}?`)) return;
+
+  try {
+    await SalesOrdersAPI.remove(order.id);
+    ChangeHistoryAPI.log({
+      entity_type: 'sales_order', entity_id: order.id,
+      entity_name: `${order.orderNumber} — ${customerLabel(order.customerId)}`, action: 'eliminar',
+      changes: null,
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback('Pedido eliminado.', 'success');
+    await loadAll();
+  } catch (err) {
+    showFeedback(`Error al eliminar: ${err.message}`, 'error');
+  }
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Lines of an order with the reservation recomputed against current stock. */
+function reservedLines(order) {
+  const others    = getProductReservations(allOrders, allSales, order.id);
+  const available = new Map(order.lines.map(l => [
+    String(l.productId),
+    stockOf(l.productId) - (others.get(String(l.productId))?.reserved || 0),
+  ]));
+  return reserveSalesOrderStock(order, allSales, available);
+}
+
+/** Toast with what the order holds and what is left to produce. */
+function reportReservation(order) {
+  const current = allOrders.find(o => String(o.id) === String(order.id)) || order;
+  const status  = getSalesOrderStatus(current, allSales);
+  if (status.backordered > 0) {
+    showFeedback(
+      `Pedido ${current.orderNumber}: ${formatNumber(status.held)} paquetes reservados, ` +
+      `${formatNumber(status.backordered)} por producir.`, 'warning', 6000);
+  } else {
+    showFeedback(`Pedido ${current.orderNumber}: todo lo pendiente quedó reservado.`, 'success');
+  }
+}
+
+/** "Tapa 28 mm × 200 @ 750" per line — readable diff for change_history. */
+function linesSummary(lines) {
+  return (lines || [])
+    .map(l => `${productLabel(l.productId)} × ${l.quantity} @ ${l.unitPrice}`)
+    .join('; ');
+}
+
+/** Current finished-goods stock of a product (0 without inventory link). */
+function stockOf(productId) {
+  const product = allProducts.find(p => String(p.id) === String(productId));
+  const item    = product?.inventoryItemId
+    ? allItems.find(i => String(i.id) === String(product.inventoryItemId)) : null;
+  return item ? item.stock : 0;
+}
+
+/** Build a field-level diff between the original record and the new payload. */
+function _buildDiff(original, updated, fields) {
+  const diff = {};
+  for (const f of fields) {
+    if (String(original[f] ?? '') !== String(updated[f] ?? '')) {
+      diff[f] = { before: original[f], after: updated[f] };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+function productLabel(productId) {
+  const p = allProducts.find(x => String(x.id) === String(productId));
+  return p ? p.name : '[Producto eliminado]';
+}
+
+function customerLabel(customerId) {
+  const c = allCustomers.find(x => String(x.id) === String(customerId));
+  return c ? c.name : '[Cliente eliminado]';
+}
+
+function showTableLoading(loading) {
+  document.getElementById('so-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('so-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('so-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function updateCountBadge(total, filtered = null) {
+  const badge = document.getElementById('so-count-badge');
+  if (!badge) return;
+
+  if (filtered !== null && filtered !== total) {
+    badge.textContent = `${filtered} de ${total} pedido${total !== 1 ? 's' : ''}`;
+  } else {
+    badge.textContent = `${total} pedido${total !== 1 ? 's' : ''}`;
+  }
+}
+
+function setButtonLoading(btn, loading) {
+  btn.disabled = loading;
+  btn.dataset.originalText = btn.dataset.originalText || btn.innerHTML;
+  btn.innerHTML = loading
+    ? '<span class="spinner spinner--sm"></span> Guardando…'
+    : btn.dataset.originalText;
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('sales-orders-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'sales-orders-module-styles';
+  tag.textContent = `
+    .so-empty { margin: 0; padding: var(--space-lg); font-size: 0.875rem; color: var(--color-text-muted); }
+    .so-footnote {
+      margin: 0; padding: var(--space-sm) var(--space-lg) var(--space-md);
+      font-size: 0.75rem; color: var(--color-text-muted);
+    }
+    .so-th-sub { font-weight: 400; font-size: 0.7rem; color: var(--color-text-muted); }
+    .so-line { display: flex; justify-content: space-between; gap: var(--space-sm); font-size: 0.8rem; }
+    .so-line__qty { font-family: var(--font-mono); color: var(--color-text-secondary); white-space: nowrap; }
+    .so-backorder { color: var(--color-warning); font-weight: 600; }
+
+    .so-lines-header {
+      display: flex; align-items: center; justify-content: space-between;
+      margin: var(--space-md) 0 var(--space-xs);
+    }
+    .so-lines-table td { vertical-align: middle; }
+
+    .so-modal-overlay {
+      position: fixed; inset: 0; z-index: 1000;
+      background: rgba(0,0,0,0.55);
+      display: flex; align-items: center; justify-content: center;
+      padding: var(--space-md);
+    }
+    .so-modal {
+      width: 100%; max-width: 680px; max-height: 90vh; overflow-y: auto;
+      background: var(--color-bg-card);
+      border: 1px solid var(--color-border);
+      border-radius: var(--radius-lg);
+      padding: var(--space-lg);
+      box-shadow: 0 12px 32px rgba(0,0,0,0.55);
+    }
+    .so-modal__title {
+      margin: 0 0 var(--space-md);
+      font-size: 1.05rem;
+      font-family: var(--font-display);
+    }
+    .so-modal__actions {
+      display: flex; gap: var(--space-sm); justify-content: flex-end;
+      margin-top: var(--space-md);
+    }
+  `;
+  document.head.appendChild(tag);
+}
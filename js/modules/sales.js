@@ -8,6 +8,8 @@
  *   • Monthly cost-per-package snapshot for manufactured lines
  *   • Safe edit (delta re-balance) and delete (full stock return)
  *   • Accounts Receivable (AR) — payment tracking per sale via SalePaymentsAPI
+ *   • Comprobante fiscal (NCF) + ITBIS — see "NCF rules" below
+ *   • Create / edit / delete gated by the user's role (canPerform, auth.js)
  *
  * Universal Investor Cut (applies to EVERY manufactured-cap sale):
  *   • RD$100/pkg amortizes investor (Borbón) debt — recorded in
@@ -29,6 +31,9 @@
  *   EDIT    → delta = newQty − oldQty per inventory item
  *   DELETE  → addStock (full return) per manufactured line
  *   RESALE  → no inventory touches
+ *   LOTS    → manufactured lines take the oldest production lots left
+ *             (allocateSaleLots); an edit keeps the line's lots and the
+ *             movements carry the lots they moved
  *
  * AR rules:
  *   • Payments are recorded against a sale via SalePaymentsAPI
@@ -36,6 +41,26 @@
  *   • Status = 'partial' when 0 < payments < revenue
  *   • Status = 'unpaid' when no payments
  *   • Deleting a sale also removes all its payments (removeBySaleId)
+ *   • The amount due is revenue + ITBIS (see saleAmountDue)
+ *   • New sales are checked against the customer's credit limit and overdue
+ *     invoices (checkCustomerCredit in api.js). Only admins can override; the
+ *     override is logged to change_history once the sale is saved.
+ *
+ * NCF rules:
+ *   • The NCF is allocated via nextNcf(series) only when the sale is saved,
+ *     after stock checks pass, so a rejected sale never burns a number. If
+ *     the save still fails, the error names the number to report as voided.
+ *   • Once a sale has an NCF it is kept on edit; the series cannot change.
+ *   • ITBIS is computed per line (rounded to cents) on the net revenue,
+ *     i.e. after the investor discount. It does not affect cost or profit.
+ *   • Series close to exhaustion/expiry raise a banner on mount.
+ *
+ * Sales orders (Pedidos — sales-orders.js):
+ *   • Picking an open order fills the client and its pending lines (up to
+ *     the stock it can take); every line of that product is stamped with
+ *     salesOrderId, which is how the order counts what was delivered.
+ *   • New sales may only use stock not reserved for other open orders.
+ *   • An order whose lines are all invoiced is marked done.
  *
  * All visible text: Spanish  |  All code identifiers: English
  */
@@ -45,22 +70,39 @@ import { CustomersAPI }               from '../api.js';
 import { ProductsAPI }                from '../api.js';
 import { InventoryAPI }               from '../api.js';
 import { ensureProductInventoryItem } from '../api.js';
+import { allocateSaleLots, getLotsDelta } from '../api.js';
 import { ProductionAPI }              from '../api.js';
 import { RawMaterialsAPI }            from '../api.js';
 import { MonthlyInventoryAPI }        from '../api.js';
+import { getMonthlyMaterialCost }     from '../api.js';
 import { InvestorAPI }                from '../api.js';
 import { InvestorPayoutsAPI }         from '../api.js';
 import { SalePaymentsAPI }            from '../api.js';
 import { nextInvoiceNumber }          from '../api.js';
+import { NcfSequencesAPI }            from '../api.js';
+import { nextNcf }                    from '../api.js';
+import { getNcfSequenceStatus }       from '../api.js';
+import { checkCustomerCredit }        from '../api.js';
+import { logCreditOverride }          from '../api.js';
+import { NCF_TYPES, DEFAULT_ITBIS_RATE } from '../api.js';
 import { ChangeHistoryAPI }           from '../api.js';
+import {
+  SalesOrdersAPI,
+  SALES_ORDER_HANDOFF_KEY,
+  getSalesOrderStatus,
+  getProductReservations,
+  getStockShortfalls,
+}                                     from '../api.js';
 import {
   INVESTOR_AMORTIZATION_PER_PKG,
   INVESTOR_BENEFIT_PER_PKG,
 }                                     from '../api.js';
-import { AuthAPI }                    from '../auth.js';
+import { AuthAPI, canPerform, guardAction }        from '../auth.js';
 
 /** Usuario admin actual para registrar en el historial. */
 let _currentAdmin = { id: null, name: 'Sistema' };
+/** Role of the signed-in user — gates create / update / remove (see canPerform). */
+let _currentRole  = 'solo-lectura';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 //
@@ -108,6 +150,12 @@ let _allPayments = [];
 /** Map: saleId (string) → payment[] */
 let _paymentsMap = new Map();
 
+/** NCF ranges (NcfSequencesAPI.getAll()) — drives the warnings banner. */
+let _ncfSequences = [];
+
+/** Sales orders (SalesOrdersAPI.getAll()) — order picker + reserved stock. */
+let _salesOrders = [];
+
 let filterMonth    = '';
 let filterClientId = 'all';
 let searchQuery    = '';
@@ -123,9 +171,20 @@ export async function mountSales(container) {
       id:   session?.user?.id    ?? null,
       name: session?.user?.email ?? 'Sistema',
     };
+    _currentRole = await AuthAPI.getRole();
   } catch { /* anon mode */ }
+  applyRolePermissions();
   attachListeners();
   await loadAll();
+
+  // "Facturar" in Pedidos lands here with the order to invoice
+  const handoffOrderId = sessionStorage.getItem(SALES_ORDER_HANDOFF_KEY);
+  if (handoffOrderId) {
+    sessionStorage.removeItem(SALES_ORDER_HANDOFF_KEY);
+    const orderSelect = document.getElementById('sale-field-order');
+    orderSelect.value = handoffOrderId;
+    if (canPerform(_currentRole, 'create') && orderSelect.value === handoffOrderId) await applySalesOrder(handoffOrderId);
+  }
 }
 
 // ─── HTML Shell ───────────────────────────────────────────────────────────────
@@ -143,9 +202,17 @@ function buildShellHTML() {
           <p class="module-header__subtitle">Registro de ventas y control de stock</p>
         </div>
       </div>
-      <div class="module-header__badge" id="sales-count-badge">— ventas</div>
+      <div class="sales-header-actions">
+        <button class="btn btn--ghost btn--sm" id="sales-ncf-btn" type="button">
+          ▦ Secuencias NCF
+        </button>
+        <div class="module-header__badge" id="sales-count-badge">— ventas</div>
+      </div>
     </header>
 
+    <!-- NCF warnings — series close to exhaustion / expiry -->
+    <div id="sales-ncf-warnings" class="sales-ncf-warnings" style="display:none;"></div>
+
     <!-- ── Create / Edit Form ── -->
     <div class="card" id="sales-form-card">
       <div class="card__header">
@@ -182,12 +249,46 @@ function buildShellHTML() {
             <span class="form-error" id="sale-error-client"></span>
           </div>
 
+          <div class="form-group">
+            <label class="form-label" for="sale-field-order">Pedido</label>
+            <div class="select-wrapper">
+              <select class="form-input form-select" id="sale-field-order">
+                <option value="">Sin pedido</option>
+              </select>
+            </div>
+          </div>
+
           <div class="form-group">
             <label class="form-label" for="sale-field-invoice">N° Factura</label>
             <input class="form-input" type="text" id="sale-field-invoice"
               placeholder="Generando…" maxlength="40">
           </div>
 
+          <div class="form-group">
+            <label class="form-label" for="sale-field-ncf-type">Comprobante fiscal</label>
+            <div class="select-wrapper">
+              <select class="form-input form-select" id="sale-field-ncf-type">
+                <option value="">Sin NCF</option>
+                ${NCF_TYPES.map(t =>
+                  `<option value="${t.value}">${escapeHTML(t.label)}</option>`
+                ).join('')}
+              </select>
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="sale-field-ncf">NCF</label>
+            <input class="form-input" type="text" id="sale-field-ncf"
+              placeholder="Se asigna al guardar" readonly>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label" for="sale-field-itbis-rate">ITBIS (%)</label>
+            <input class="form-input" type="number" id="sale-field-itbis-rate"
+              min="0" max="100" step="0.01" value="0">
+            <span class="form-error" id="sale-error-itbis"></span>
+          </div>
+
           <div class="form-group form-group--wide">
             <label class="form-label" for="sale-field-notes">Notas (opcional)</label>
             <input class="form-input" type="text" id="sale-field-notes"
@@ -270,6 +371,14 @@ function buildShellHTML() {
             <span class="sales-total-label">Margen</span>
             <span class="sales-total-value" id="preview-margin">—</span>
           </div>
+          <div class="sales-total-item sales-total-item--tax">
+            <span class="sales-total-label">ITBIS</span>
+            <span class="sales-total-value" id="preview-itbis">RD$ 0.00</span>
+          </div>
+          <div class="sales-total-item sales-total-item--tax">
+            <span class="sales-total-label">Total a cobrar</span>
+            <span class="sales-total-value" id="preview-total">RD$ 0.00</span>
+          </div>
           <!-- Investor discount rows — shown only for investor sales -->
           <div class="sales-total-item sales-total-item--investor"
                id="inv-preview-benefit-wrap" style="display:none;">
@@ -350,6 +459,7 @@ function buildShellHTML() {
               <th>Fecha</th>
               <th>Cliente</th>
               <th>N° Factura</th>
+              <th>NCF</th>
               <th class="text-right">Ingresos</th>
               <th class="text-right">Costos</th>
               <th class="text-right">Ganancia</th>
@@ -368,12 +478,22 @@ function buildShellHTML() {
   `;
 }
 
+// ─── Permissions ──────────────────────────────────────────────────────────────
+
+/** Read-only roles get the list without the create / edit form. */
+function applyRolePermissions() {
+  if (canPerform(_currentRole, 'create') || canPerform(_currentRole, 'update')) return;
+  const formCard = document.getElementById('sales-form-card');
+  if (formCard) formCard.style.display = 'none';
+}
+
 // ─── Data Loading ─────────────────────────────────────────────────────────────
 
 async function loadAll() {
   showTableLoading(true);
   try {
-    const [sales, clients, products, production, purchases, monthlyInv, investor, payments] =
+    const [sales, clients, products, production, purchases, monthlyInv, investor, payments,
+           ncfSequences, salesOrders] =
       await Promise.all([
         SalesAPI.getAll(),
         CustomersAPI.getAll(),
@@ -383,6 +503,8 @@ async function loadAll() {
         MonthlyInventoryAPI.getAll(),
         InvestorAPI.get().catch(() => null),
         SalePaymentsAPI.getAll().catch(() => []),
+        NcfSequencesAPI.getAll().catch(() => []),
+        SalesOrdersAPI.getAll().catch(() => []),
       ]);
 
     allSales        = sales;
@@ -393,6 +515,8 @@ async function loadAll() {
     _allProduction  = production;
     _allPurchases   = purchases;
     _allMonthlyInv  = monthlyInv;
+    _ncfSequences   = ncfSequences;
+    _salesOrders    = salesOrders;
 
     // Build payments map
     _allPayments = payments;
@@ -410,6 +534,8 @@ async function loadAll() {
       'Seleccionar cliente…'
     );
 
+    populateSalesOrderSelect();
+
     const filterClientEl = document.getElementById('sales-filter-client');
     if (filterClientEl) {
       const prev = filterClientEl.value;
@@ -424,6 +550,7 @@ async function loadAll() {
     }
 
     refreshInvestorBanner();
+    renderNcfWarnings();
     applyFilters();
 
   } catch (err) {
@@ -449,6 +576,15 @@ function getArStatus(saleId, revenue) {
   return               { status: 'partial', paid, balance };
 }
 
+/**
+ * Amount the customer owes for a sale: net revenue plus ITBIS.
+ * @param {Object} sale
+ * @returns {number}
+ */
+function saleAmountDue(sale) {
+  return ((sale.totals || {}).revenue || 0) + (sale.itbisAmount || 0);
+}
+
 const AR_STATUS_LABEL = { paid: 'Cobrado', partial: 'Parcial', unpaid: 'Pendiente' };
 const AR_STATUS_CLASS = {
   paid:    'badge--ar-paid',
@@ -473,7 +609,7 @@ function applyFilters() {
   if (clientId !== 'all') results = results.filter(s => String(s.clientId) === String(clientId));
   if (arFilter !== 'all') {
     results = results.filter(s => {
-      const { status } = getArStatus(s.id, (s.totals || {}).revenue);
+      const { status } = getArStatus(s.id, saleAmountDue(s));
       return status === arFilter;
     });
   }
@@ -482,6 +618,7 @@ function applyFilters() {
       const c = allClientsIndex.get(String(s.clientId));
       return (c?.name || '').toLowerCase().includes(query) ||
              (s.invoiceNumber || '').toLowerCase().includes(query) ||
+             (s.ncfNumber || '').toLowerCase().includes(query) ||
              (s.notes || '').toLowerCase().includes(query);
     });
   }
@@ -540,7 +677,7 @@ function buildSaleRow(sale) {
     : '';
 
   // AR status
-  const { status, paid, balance } = getArStatus(sale.id, t.revenue);
+  const { status, paid, balance } = getArStatus(sale.id, saleAmountDue(sale));
   const arLabel = AR_STATUS_LABEL[status];
   const arClass = AR_STATUS_CLASS[status];
   const arTitle = status === 'paid'
@@ -552,6 +689,9 @@ function buildSaleRow(sale) {
       <td>${escapeHTML(formatDate(sale.saleDate))}</td>
       <td>${invBadge}${clientName}</td>
       <td>${escapeHTML(sale.invoiceNumber || '—')}</td>
+      <td>${sale.ncfNumber
+        ? `<span class="sales-ncf-code">${escapeHTML(sale.ncfNumber)}</span>`
+        : '<span style="color:var(--color-text-muted);">—</span>'}</td>
       <td class="text-right">${formatCurrency(t.revenue)}</td>
       <td class="text-right">${formatCurrency(t.cost)}</td>
       <td class="text-right"><span class="${profitCls}">${formatCurrency(t.profit)}</span></td>
@@ -566,8 +706,8 @@ function buildSaleRow(sale) {
       </td>
       <td class="text-center">${attBadge}</td>
       <td class="text-center td-actions">
-        <button class="btn btn--ghost btn--xs" data-action="edit"   data-id="${sale.id}">✎ Editar</button>
-        <button class="btn btn--danger btn--xs" data-action="delete" data-id="${sale.id}">✕ Eliminar</button>
+        ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="edit"   data-id="${sale.id}">✎ Editar</button>` : ''}
+        ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs" data-action="delete" data-id="${sale.id}">✕ Eliminar</button>` : ''}
       </td>
     </tr>
   `;
@@ -591,6 +731,23 @@ function attachListeners() {
   document.getElementById('sale-field-date')
     .addEventListener('change', updateTotalsPreview);
 
+  document.getElementById('sales-ncf-btn').addEventListener('click', openNcfSequencesModal);
+
+  // Picking an order fills a new sale from it; on edit it only re-stamps lines.
+  document.getElementById('sale-field-order').addEventListener('change', e => {
+    if (!editingSale && e.target.value) applySalesOrder(e.target.value);
+  });
+
+  // Picking a series pre-fills the standard ITBIS rate; "Sin NCF" clears it.
+  document.getElementById('sale-field-ncf-type').addEventListener('change', e => {
+    const rateEl = document.getElementById('sale-field-itbis-rate');
+    if (!e.target.value)                      rateEl.value = 0;
+    else if (!parseFloat(rateEl.value))       rateEl.value = DEFAULT_ITBIS_RATE;
+    updateTotalsPreview();
+  });
+  document.getElementById('sale-field-itbis-rate')
+    .addEventListener('input', updateTotalsPreview);
+
   // Client change → refresh investor banner + totals
   document.getElementById('sale-field-client').addEventListener('change', () => {
     refreshInvestorBanner();
@@ -705,7 +862,7 @@ async function openPaymentsModal(saleId) {
 
   const client   = allClientsIndex.get(String(sale.clientId));
   const clientName = client ? client.name : '[Cliente eliminado]';
-  const revenue    = (sale.totals || {}).revenue || 0;
+  const revenue    = saleAmountDue(sale);
 
   // Remove any stale modal
   document.getElementById('ar-modal-backdrop')?.remove();
@@ -747,6 +904,9 @@ function buildArModalHTML(sale, clientName, revenue) {
   const invNote = sale.invoiceNumber
     ? `<span style="color:var(--color-text-muted);font-size:0.82rem;">Factura: ${escapeHTML(sale.invoiceNumber)}</span>`
     : '';
+  const ncfNote = sale.ncfNumber
+    ? `<span style="color:var(--color-text-muted);font-size:0.82rem;">NCF: ${escapeHTML(sale.ncfNumber)}</span>`
+    : '';
 
   return `
     <div class="ar-modal" role="dialog" aria-modal="true" aria-labelledby="ar-modal-title">
@@ -763,6 +923,7 @@ function buildArModalHTML(sale, clientName, revenue) {
               ${escapeHTML(clientName)} · ${escapeHTML(formatDate(sale.saleDate))}
             </span>
             ${invNote}
+            ${ncfNote}
           </div>
         </div>
         <button class="ar-modal__close" id="ar-modal-close" type="button"
@@ -785,7 +946,7 @@ function buildArModalHTML(sale, clientName, revenue) {
       </div>
 
       <!-- Add payment form -->
-      <div class="ar-add-section">
+      <div class="ar-add-section"${canPerform(_currentRole, 'create') ? '' : ' style="display:none;"'}>
         <div class="ar-section-title">Registrar pago</div>
         <form id="ar-payment-form" novalidate>
           <div class="ar-form-grid">
@@ -908,9 +1069,9 @@ function _renderArPaymentsList(saleId, revenue) {
             <td>${escapeHTML(methodLabel(p.method))}</td>
             <td style="color:var(--color-text-muted);font-size:0.82rem;">${escapeHTML(p.notes || '—')}</td>
             <td class="text-center">
-              <button class="btn btn--danger btn--xs"
+              ${canPerform(_currentRole, 'remove') ? `<button class="btn btn--danger btn--xs"
                 data-action="del-payment" data-payment-id="${escapeHTML(p.id)}"
-                title="Eliminar pago">✕</button>
+                title="Eliminar pago">✕</button>` : ''}
             </td>
           </tr>
         `).join('')}
@@ -928,6 +1089,7 @@ function _renderArPaymentsList(saleId, revenue) {
  * Handle the add-payment form submission inside the AR modal.
  */
 async function _handleAddPayment(saleId, revenue) {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
   // Validate
   const dateEl   = document.getElementById('ar-field-date');
   const amountEl = document.getElementById('ar-field-amount');
@@ -988,6 +1150,7 @@ async function _handleAddPayment(saleId, revenue) {
  * Handle deleting a single payment entry.
  */
 function _handleDeletePayment(paymentId, saleId, revenue) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   _showDeleteConfirm('¿Eliminar este pago? Esta acción no se puede deshacer.', async () => {
     try {
       await SalePaymentsAPI.remove(paymentId);
@@ -1013,8 +1176,7 @@ function _handleDeletePayment(paymentId, saleId, revenue) {
 function _refreshSaleRowBadge(saleId) {
   const sale = allSales.find(s => String(s.id) === String(saleId));
   if (!sale) return;
-  const revenue = (sale.totals || {}).revenue || 0;
-  const { status, paid, balance } = getArStatus(saleId, revenue);
+  const { status, paid, balance } = getArStatus(saleId, saleAmountDue(sale));
 
   const btn = document.querySelector(
     `#sales-tbody [data-action="payments"][data-id="${CSS.escape(String(saleId))}"]`
@@ -1032,20 +1194,323 @@ function _closeArModal() {
   document.getElementById('ar-modal-backdrop')?.remove();
 }
 
+// ─── NCF Sequences ────────────────────────────────────────────────────────────
+
+const NCF_STATUS_LABEL = {
+  ok:        'Vigente',
+  low:       'Por agotarse',
+  expiring:  'Por vencer',
+  exhausted: 'Agotada',
+  expired:   'Vencida',
+  inactive:  'Inactiva',
+};
+const NCF_STATUS_CLASS = {
+  ok:        'badge--green',
+  low:       'badge--warning',
+  expiring:  'badge--warning',
+  exhausted: 'badge--red',
+  expired:   'badge--red',
+  inactive:  'badge--gray',
+};
+
+/**
+ * Show one warning per configured series that is running out of numbers,
+ * about to expire, or has no usable range left. A series with a healthy
+ * backup range (already loaded) raises no warning.
+ */
+function renderNcfWarnings() {
+  const el = document.getElementById('sales-ncf-warnings');
+  if (!el) return;
+
+  const warnings = [];
+  for (const { value: series } of NCF_TYPES) {
+    const ranges = _ncfSequences.filter(q => q.series === series && q.isActive);
+    if (!ranges.length) continue;
+
+    const usable = ranges
+      .map(q => ({ q, ...getNcfSequenceStatus(q) }))
+      .filter(r => ['ok', 'low', 'expiring'].includes(r.status));
+
+    if (!usable.length) {
+      warnings.push({ level: 'danger', text: `Serie ${series}: sin secuencia vigente. No se pueden emitir NCF de este tipo.` });
+      continue;
+    }
+    if (usable.some(r => r.status === 'ok')) continue;
+
+    const r = usable[0];
+    const parts = [];
+    if (r.status === 'low') parts.push(`quedan ${r.remaining} números`);
+    if (r.expiringSoon) {
+      parts.push(r.daysToExpiry === 0 ? 'vence hoy' : `vence en ${r.daysToExpiry} día(s)`);
+    }
+    warnings.push({ level: 'warning', text: `Serie ${series}: ${parts.join(' · ')}. Solicita una nueva secuencia a la DGII.` });
+  }
+
+  el.style.display = warnings.length ? '' : 'none';
+  el.innerHTML = warnings.map(w => `
+    <div class="sales-ncf-warning sales-ncf-warning--${w.level}">
+      <span aria-hidden="true">⚠</span> ${escapeHTML(w.text)}
+    </div>
+  `).join('');
+}
+
+function openNcfSequencesModal() {
+  document.getElementById('ncf-modal-backdrop')?.remove();
+
+  const backdrop = document.createElement('div');
+  backdrop.id        = 'ncf-modal-backdrop';
+  backdrop.className = 'ar-modal-backdrop';
+  backdrop.innerHTML = `
+    <div class="ar-modal" role="dialog" aria-modal="true" aria-labelledby="ncf-modal-title"
+      style="max-width:820px;">
+      <div class="ar-modal__header">
+        <div>
+          <h3 class="ar-modal__title" id="ncf-modal-title">▦ Secuencias NCF</h3>
+          <div style="margin-top:4px;font-size:0.85rem;color:var(--color-text-muted);">
+            Rangos autorizados por la DGII. Los números se asignan al guardar cada venta.
+          </div>
+        </div>
+        <button class="ar-modal__close" id="ncf-modal-close" type="button"
+          aria-label="Cerrar">✕</button>
+      </div>
+
+      <div class="ar-payments-section">
+        <div class="ar-section-title">Rangos registrados</div>
+        <div id="ncf-seq-list"></div>
+      </div>
+
+      <div class="ar-add-section"${canPerform(_currentRole, 'create') ? '' : ' style="display:none;"'}>
+        <div class="ar-section-title">Nuevo rango</div>
+        <form id="ncf-seq-form" novalidate>
+          <div class="ar-form-grid">
+            <div class="form-group" style="margin:0;">
+              <label class="form-label" for="ncf-field-series">Serie <span class="required">*</span></label>
+              <div class="select-wrapper">
+                <select class="form-input form-select form-input--sm" id="ncf-field-series">
+                  ${NCF_TYPES.map(t => `<option value="${t.value}">${escapeHTML(t.label)}</option>`).join('')}
+                </select>
+              </div>
+            </div>
+            <div class="form-group" style="margin:0;">
+              <label class="form-label" for="ncf-field-expires">Vence</label>
+              <input class="form-input form-input--sm" type="date" id="ncf-field-expires">
+            </div>
+            <div class="form-group" style="margin:0;">
+              <label class="form-label" for="ncf-field-from">Desde <span class="required">*</span></label>
+              <input class="form-input form-input--sm" type="number" id="ncf-field-from"
+                min="1" step="1" placeholder="1">
+            </div>
+            <div class="form-group" style="margin:0;">
+              <label class="form-label" for="ncf-field-to">Hasta <span class="required">*</span></label>
+              <input class="form-input form-input--sm" type="number" id="ncf-field-to"
+                min="1" step="1" placeholder="500">
+              <span class="form-error" id="ncf-error-range"></span>
+            </div>
+            <div class="form-group" style="margin:0;grid-column:1 / -1;">
+              <label class="form-label" for="ncf-field-notes">Notas (opcional)</label>
+              <input class="form-input form-input--sm" type="text" id="ncf-field-notes"
+                maxlength="150" placeholder="N° de autorización…">
+            </div>
+          </div>
+          <div style="display:flex;justify-content:flex-end;margin-top:var(--space-md);">
+            <button type="submit" class="btn btn--primary btn--sm" id="ncf-submit-btn">
+              ＋ Agregar rango
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(backdrop);
+  _renderNcfSequenceList();
+
+  const close = () => {
+    backdrop.remove();
+    document.removeEventListener('keydown', onKey);
+  };
+  const onKey = e => { if (e.key === 'Escape') close(); };
+  document.addEventListener('keydown', onKey);
+  backdrop.addEventListener('click', e => { if (e.target === backdrop) close(); });
+  backdrop.querySelector('#ncf-modal-close').addEventListener('click', close);
+  backdrop.querySelector('#ncf-seq-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    await _handleAddNcfSequence();
+  });
+}
+
+function _renderNcfSequenceList() {
+  const listEl = document.getElementById('ncf-seq-list');
+  if (!listEl) return;
+
+  if (!_ncfSequences.length) {
+    listEl.innerHTML = `
+      <div style="padding:var(--space-md);text-align:center;color:var(--color-text-muted);font-size:0.85rem;">
+        No hay secuencias registradas.
+      </div>`;
+    return;
+  }
+
+  const pad = n => String(n).padStart(8, '0');
+  listEl.innerHTML = `
+    <table class="data-table ar-payments-table">
+      <thead>
+        <tr>
+          <th>Serie</th>
+          <th>Rango</th>
+          <th>Último emitido</th>
+          <th class="text-right">Disponibles</th>
+          <th>Vence</th>
+          <th class="text-center">Estado</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${_ncfSequences.map(q => {
+          const { remaining, status } = getNcfSequenceStatus(q);
+          return `
+            <tr>
+              <td><strong>${escapeHTML(q.series)}</strong></td>
+              <td class="sales-ncf-code">${pad(q.rangeFrom)} – ${pad(q.rangeTo)}</td>
+              <td class="sales-ncf-code">${q.lastNumber ? escapeHTML(q.series + pad(q.lastNumber)) : '—'}</td>
+              <td class="text-right">${remaining}</td>
+              <td>${escapeHTML(formatDate(q.expiresOn))}</td>
+              <td class="text-center">
+                <span class="badge ${NCF_STATUS_CLASS[status]}">${NCF_STATUS_LABEL[status]}</span>
+              </td>
+              <td class="text-center">
+                ${canPerform(_currentRole, 'update') ? `<button class="btn btn--ghost btn--xs" data-action="toggle-ncf"
+                  data-id="${escapeHTML(q.id)}">${q.isActive ? 'Desactivar' : 'Activar'}</button>` : ''}
+              </td>
+            </tr>`;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+
+  listEl.querySelectorAll('[data-action="toggle-ncf"]').forEach(btn =>
+    btn.addEventListener('click', () => _handleToggleNcfSequence(btn.dataset.id))
+  );
+}
+
+async function _handleAddNcfSequence() {
+  if (!guardAction(_currentRole, 'create', showFeedback)) return;
+  const errEl     = document.getElementById('ncf-error-range');
+  const series    = document.getElementById('ncf-field-series').value;
+  const rangeFrom = parseInt(document.getElementById('ncf-field-from').value, 10);
+  const rangeTo   = parseInt(document.getElementById('ncf-field-to').value, 10);
+  errEl.textContent = '';
+
+  if (!rangeFrom || !rangeTo || rangeFrom < 1 || rangeTo < rangeFrom) {
+    errEl.textContent = 'Rango inválido: "Hasta" debe ser mayor o igual que "Desde".';
+    return;
+  }
+  const overlaps = _ncfSequences.some(q =>
+    q.series === series && rangeFrom <= q.rangeTo && rangeTo >= q.rangeFrom);
+  if (overlaps) {
+    errEl.textContent = `El rango se solapa con otro rango ${series} registrado.`;
+    return;
+  }
+
+  const submitBtn = document.getElementById('ncf-submit-btn');
+  setButtonLoading(submitBtn, true);
+  try {
+    const seq = await NcfSequencesAPI.create({
+      series, rangeFrom, rangeTo,
+      expiresOn: document.getElementById('ncf-field-expires').value,
+      notes:     document.getElementById('ncf-field-notes').value,
+    });
+    _ncfSequences.push(seq);
+    ChangeHistoryAPI.log({
+      entity_type: 'ncf_sequence', entity_id: seq.id,
+      entity_name: `${series} ${rangeFrom}–${rangeTo}`,
+      action: 'crear',
+      changes: {
+        range:      { before: null, after: `${rangeFrom}–${rangeTo}` },
+        expires_on: { before: null, after: seq.expiresOn || null },
+      },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    document.getElementById('ncf-seq-form').reset();
+    _renderNcfSequenceList();
+    renderNcfWarnings();
+    showFeedback(`Rango ${series} registrado.`, 'success');
+  } catch (err) {
+    showFeedback(`Error al guardar secuencia: ${err.message}`, 'error');
+  } finally {
+    setButtonLoading(submitBtn, false);
+  }
+}
+
+async function _handleToggleNcfSequence(id) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
+  const seq = _ncfSequences.find(q => String(q.id) === String(id));
+  if (!seq) return;
+  try {
+    const updated = seq.isActive
+      ? await NcfSequencesAPI.deactivate(id)
+      : await NcfSequencesAPI.activate(id);
+    _ncfSequences = _ncfSequences.map(q => (String(q.id) === String(id) ? updated : q));
+    ChangeHistoryAPI.log({
+      entity_type: 'ncf_sequence', entity_id: id,
+      entity_name: `${seq.series} ${seq.rangeFrom}–${seq.rangeTo}`,
+      action: updated.isActive ? 'activar' : 'desactivar',
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    _renderNcfSequenceList();
+    renderNcfWarnings();
+  } catch (err) {
+    showFeedback(`Error al actualizar secuencia: ${err.message}`, 'error');
+  }
+}
+
+// ─── Credit Check ─────────────────────────────────────────────────────────────
+
+/**
+ * Credit limit + overdue check before a new sale is saved (rule in api.js
+ * checkCustomerCredit). Resolves to false when the sale is blocked: any
+ * non-admin role, or an admin who declined the override. Otherwise resolves
+ * to the check to log with logCreditOverride once the sale exists (null when
+ * nothing needed overriding).
+ *
+ * @param {string} clientId
+ * @param {number} amount - amount due of the new sale (revenue + ITBIS)
+ * @returns {Promise<false|Object|null>}
+ */
+async function confirmCustomerCredit(clientId, amount) {
+  const customer = allClientsIndex.get(String(clientId));
+  if (!customer) return null;
+
+  const check = checkCustomerCredit(customer, allSales, _allPayments, amount, { fmt: formatCurrency });
+  if (check.ok) return null;
+
+  const reason = `${customer.name} — ${check.issues.join(' ')}`;
+  if (_currentRole !== 'admin') {
+    showFeedback(`Venta bloqueada: ${reason} Solo un administrador puede autorizarla.`, 'error', 10000);
+    return false;
+  }
+  if (!confirm(`${reason}\n\n¿Autorizar la venta de todas formas?`)) return false;
+  return check;
+}
+
 // ─── Form Submit ──────────────────────────────────────────────────────────────
 
 async function handleFormSubmit(e) {
   e.preventDefault();
+  if (!guardAction(_currentRole, editingSale ? 'update' : 'create', showFeedback)) return;
   if (!validateForm()) return;
 
   const submitBtn = document.getElementById('sales-submit-btn');
   setButtonLoading(submitBtn, true);
+  /** NCF taken from the sequence but not yet saved on a sale. */
+  let allocatedNcf = null;
 
   try {
     const saleDate     = document.getElementById('sale-field-date').value;
     const clientId     = document.getElementById('sale-field-client').value;
     const invoiceNumber = document.getElementById('sale-field-invoice').value.trim();
     const notes        = document.getElementById('sale-field-notes').value.trim();
+    const ncfSeries    = document.getElementById('sale-field-ncf-type').value;
+    const itbisRate    = parseFloat(document.getElementById('sale-field-itbis-rate').value) || 0;
     const month        = saleDate.slice(0, 7);
     const investorSale = isInvestorSale(clientId);
 
@@ -1054,6 +1519,10 @@ async function handleFormSubmit(e) {
 
     const rawLines = collectLines();
 
+    const salesOrderId = document.getElementById('sale-field-order').value || null;
+    const salesOrder   = _salesOrders.find(o => String(o.id) === String(salesOrderId));
+    const orderProductIds = new Set((salesOrder?.lines || []).map(l => String(l.productId)));
+
     // Build line objects with typed cost
     const lines = rawLines.map(l => {
       const product  = productMap.get(String(l.productId));
@@ -1072,6 +1541,7 @@ async function handleFormSubmit(e) {
         lineRevenue:          l.quantity * l.unitPrice,
         lineCost:             l.quantity * costPerUnit,
         lineProfit:           l.quantity * l.unitPrice - l.quantity * costPerUnit,
+        ...(orderProductIds.has(String(l.productId)) ? { salesOrderId } : {}),
       };
     });
 
@@ -1096,7 +1566,8 @@ async function handleFormSubmit(e) {
     const totals = computeTotals(
       investorSale
         ? computeInvestorAdjustments(lines, effectiveInvestorDebt()).adjustedLines
-        : lines
+        : lines,
+      itbisRate
     );
 
     // The toggle is only meaningful for non-Borbón sales with manufactured
@@ -1116,50 +1587,79 @@ async function handleFormSubmit(e) {
       attachments:   currentAttachments,
       investor:      investorData,
       giveMargin,
+      hasNcf:        !!ncfSeries,
+      ncfNumber:     editingSale?.ncfNumber || '',
+      itbisRate,
+      itbisAmount:   totals.itbis,
     };
 
     if (editingSale) {
       // ── EDIT PATH ─────────────────────────────────────────────────────────
+      // Lines keep their lots; added packages take the oldest lots left
+      payload.lines = await allocateSaleLots(
+        lines.map(l => ({
+          ...l,
+          lots: (editingSale.lines || []).find(o =>
+            o.productType === 'manufactured' && String(o.productId) === String(l.productId))?.lots,
+        })),
+        { excludeSaleId: editingSale.id }
+      );
+
       // Delta inventory for manufactured lines
       const oldLines    = editingSale.lines || [];
       const oldLineMap  = new Map(
         oldLines.filter(l => l.productType === 'manufactured')
-                .map(l => [String(l.productId), l.quantity])
+                .map(l => [String(l.productId), l])
       );
-      for (const line of lines) {
+      for (const line of payload.lines) {
         if (line.productType !== 'manufactured') continue;
         const product  = productMap.get(String(line.productId));
         if (!product) continue;
         const invItemId = await ensureProductInventoryItem(product);
-        const oldQty    = oldLineMap.get(String(line.productId)) || 0;
-        const delta     = line.quantity - oldQty;
-        if (delta > 0)      await InventoryAPI.removeStock(invItemId, delta,  editingSale.id, 'Edición de venta');
-        else if (delta < 0) await InventoryAPI.addStock(invItemId,  -delta, editingSale.id, 'Edición de venta (devolución parcial)');
+        const oldLine   = oldLineMap.get(String(line.productId));
+        const delta     = line.quantity - (oldLine?.quantity || 0);
+        if (delta > 0) {
+          await InventoryAPI.removeStock(invItemId, delta, editingSale.id, 'Edición de venta',
+            getLotsDelta(oldLine?.lots, line.lots));
+        } else if (delta < 0) {
+          await InventoryAPI.addStock(invItemId, -delta, editingSale.id, 'Edición de venta (devolución parcial)',
+            getLotsDelta(line.lots, oldLine?.lots));
+        }
       }
       // Return stock for lines removed entirely
-      for (const [pId, oldQty] of oldLineMap) {
+      for (const [pId, oldLine] of oldLineMap) {
         const stillPresent = lines.find(l => String(l.productId) === pId && l.productType === 'manufactured');
         if (!stillPresent) {
           const product = productMap.get(pId);
           if (!product) continue;
           const invItemId = await ensureProductInventoryItem(product);
-          await InventoryAPI.addStock(invItemId, oldQty, editingSale.id, 'Edición de venta (línea eliminada)');
+          await InventoryAPI.addStock(invItemId, oldLine.quantity, editingSale.id,
+            'Edición de venta (línea eliminada)', oldLine.lots);
         }
       }
 
+      // NCF right before the update: the stock moves above are not atomic,
+      // and a number allocated before them would be lost if one failed.
+      if (ncfSeries && !payload.ncfNumber) {
+        payload.ncfNumber = allocatedNcf = await nextNcf(ncfSeries);
+      }
+
       // SalesAPI.update internally syncs investor amortization +
       // investor_payouts row via the universal-investor-cut helper.
       await SalesAPI.update(editingSale.id, payload);
+      allocatedNcf = null;
 
-      const editCustomer = customerMap.get(String(payload.clientId));
+      const editCustomer = allClientsIndex.get(String(payload.clientId));
       ChangeHistoryAPI.log({
         entity_type: 'sale', entity_id: editingSale.id,
         entity_name: `${invoiceNumber || editingSale.id} — ${editCustomer?.name ?? payload.clientId}`,
         action: 'editar',
         changes: {
           total:          { before: editingSale.totals?.revenue, after: payload.totals?.revenue },
-          client:         { before: customerMap.get(String(editingSale.clientId))?.name ?? null, after: editCustomer?.name ?? null },
+          client:         { before: allClientsIndex.get(String(editingSale.clientId))?.name ?? null, after: editCustomer?.name ?? null },
           invoice_number: { before: editingSale.invoiceNumber ?? null, after: invoiceNumber ?? null },
+          ncf_number:     { before: editingSale.ncfNumber || null, after: payload.ncfNumber || null },
+          itbis_amount:   { before: editingSale.itbisAmount ?? 0, after: payload.itbisAmount },
         },
         user_id: _currentAdmin.id, user_name: _currentAdmin.name,
       });
@@ -1188,7 +1688,15 @@ async function handleFormSubmit(e) {
 
     } else {
       // ── CREATE PATH ───────────────────────────────────────────────────────
-      const stockError = await validateManufacturedStock(lines);
+      // Sales are created unpaid, so the full amount due counts against credit.
+      const creditOverride = await confirmCustomerCredit(
+        clientId, totals.revenue + totals.itbis);
+      if (creditOverride === false) {
+        setButtonLoading(submitBtn, false);
+        return;
+      }
+
+      const stockError = await validateManufacturedStock(lines, salesOrderId);
       if (stockError) {
         showFeedback(stockError, 'error', 8000);
         setButtonLoading(submitBtn, false);
@@ -1204,6 +1712,10 @@ async function handleFormSubmit(e) {
         await ensureProductInventoryItem(product);
       }
 
+      // NCF last, once the sale is known to be valid. If the insert below
+      // still fails the number is lost and must be reported as voided.
+      if (ncfSeries) payload.ncfNumber = allocatedNcf = await nextNcf(ncfSeries);
+
       // Atomic: INSERT sale + debit inventory for every manufactured line
       // inside a single Postgres transaction. Failure rolls everything back.
       // SalesAPI internally syncs investor amortization + investor_payouts row
@@ -1212,8 +1724,9 @@ async function handleFormSubmit(e) {
         payload,
         `Venta${invoiceNumber ? ' — ' + invoiceNumber : ''}`
       );
+      allocatedNcf = null;
 
-      const newCustomer = customerMap.get(String(payload.clientId));
+      const newCustomer = allClientsIndex.get(String(payload.clientId));
       ChangeHistoryAPI.log({
         entity_type: 'sale', entity_id: newSale?.id ?? '',
         entity_name: `${invoiceNumber || newSale?.id} — ${newCustomer?.name ?? payload.clientId}`,
@@ -1223,9 +1736,17 @@ async function handleFormSubmit(e) {
           client:         { before: null, after: newCustomer?.name ?? null },
           total:          { before: null, after: payload.totals?.revenue ?? null },
           date:           { before: null, after: payload.saleDate ?? null },
+          ncf_number:     { before: null, after: payload.ncfNumber || null },
+          itbis_amount:   { before: null, after: payload.itbisAmount },
+          ...(salesOrder ? { sales_order: { before: null, after: salesOrder.orderNumber } } : {}),
         },
         user_id: _currentAdmin.id, user_name: _currentAdmin.name,
       });
+      if (creditOverride) {
+        logCreditOverride(creditOverride, newCustomer, invoiceNumber || newSale?.id, _currentAdmin);
+      }
+
+      if (salesOrder) await closeSalesOrderIfComplete(salesOrder, newSale);
     }
 
     if (costMissing) {
@@ -1240,7 +1761,10 @@ async function handleFormSubmit(e) {
     await loadAll();
 
   } catch (err) {
-    showFeedback(`Error al guardar: ${err.message}`, 'error');
+    showFeedback(allocatedNcf
+      ? `Error al guardar: ${err.message} El NCF ${allocatedNcf} quedó consumido sin venta: ` +
+        'repórtalo como anulado (formato 608).'
+      : `Error al guardar: ${err.message}`, 'error', allocatedNcf ? 15000 : undefined);
   } finally {
     setButtonLoading(submitBtn, false);
   }
@@ -1249,6 +1773,7 @@ async function handleFormSubmit(e) {
 // ─── Edit ─────────────────────────────────────────────────────────────────────
 
 async function handleEdit(saleId) {
+  if (!guardAction(_currentRole, 'update', showFeedback)) return;
   const sale = allSales.find(s => String(s.id) === String(saleId));
   if (!sale) return;
 
@@ -1260,6 +1785,14 @@ async function handleEdit(saleId) {
   document.getElementById('sale-field-client').value  = sale.clientId || '';
   document.getElementById('sale-field-invoice').value = sale.invoiceNumber || '';
   document.getElementById('sale-field-notes').value   = sale.notes || '';
+  populateSalesOrderSelect((sale.lines || []).find(l => l.salesOrderId)?.salesOrderId);
+
+  // An issued NCF is permanent: show it and lock the series selector.
+  const ncfTypeEl = document.getElementById('sale-field-ncf-type');
+  ncfTypeEl.value    = sale.ncfNumber ? sale.ncfNumber.slice(0, 3) : '';
+  ncfTypeEl.disabled = !!sale.ncfNumber;
+  document.getElementById('sale-field-ncf').value        = sale.ncfNumber || '';
+  document.getElementById('sale-field-itbis-rate').value = sale.itbisRate || 0;
 
   document.getElementById('sales-lines-tbody').innerHTML = '';
   _lineSeq = 0;
@@ -1344,6 +1877,7 @@ function _showDeleteConfirm(message, onConfirm) {
 }
 
 function handleDelete(saleId) {
+  if (!guardAction(_currentRole, 'remove', showFeedback)) return;
   const sale = allSales.find(s => String(s.id) === String(saleId));
   if (!sale) return;
 
@@ -1370,7 +1904,7 @@ function handleDelete(saleId) {
         if (!product) continue;
         const invItemId = await ensureProductInventoryItem(product);
         await InventoryAPI.addStock(invItemId, line.quantity, saleId,
-          'Reverso por eliminación de venta');
+          'Reverso por eliminación de venta', line.lots);
       }
 
       // Remove payments for this sale
@@ -1412,6 +1946,7 @@ function resetForm() {
 
   const marginToggle = document.getElementById('sales-margin-toggle');
   if (marginToggle) marginToggle.checked = true;
+  document.getElementById('sale-field-ncf-type').disabled = false;
 
   renderAttachmentList();
   refreshInvestorBanner();
@@ -1597,9 +2132,11 @@ function updateTotalsPreview() {
 
   let revenue = 0, cost = 0;
   let benefitDiscountTotal = 0, amortizationTotal = 0;
+  let taxableLines = enriched;
 
   if (invSale && enriched.length) {
     const adj = computeInvestorAdjustments(enriched, effectiveInvestorDebt());
+    taxableLines         = adj.adjustedLines;
     revenue              = adj.adjustedLines.reduce((s, l) => s + l.lineRevenue, 0);
     cost                 = adj.adjustedLines.reduce((s, l) => s + l.lineCost,    0);
     benefitDiscountTotal = adj.benefitDiscountTotal;
@@ -1611,6 +2148,11 @@ function updateTotalsPreview() {
   const profit = revenue - cost;
   const margin = revenue > 0 ? (profit / revenue) * 100 : 0;
 
+  const itbisRate = parseFloat(document.getElementById('sale-field-itbis-rate')?.value) || 0;
+  const itbis     = computeItbis(taxableLines, itbisRate);
+  document.getElementById('preview-itbis').textContent = formatCurrency(itbis);
+  document.getElementById('preview-total').textContent = formatCurrency(revenue + itbis);
+
   document.getElementById('preview-revenue').textContent = formatCurrency(revenue);
   document.getElementById('preview-cost').textContent    = formatCurrency(cost);
   const profitEl = document.getElementById('preview-profit');
@@ -1719,25 +2261,93 @@ function viewAttachments(attachments) {
 
 // ─── Inventory Integration ────────────────────────────────────────────────────
 
-async function validateManufacturedStock(lines) {
-  const insufficient = [];
-  for (const line of lines) {
-    if (line.productType !== 'manufactured') continue;
-    const product = productMap.get(String(line.productId));
-    if (!product) continue;
-    const invItemId = await ensureProductInventoryItem(product);
-    const item      = await InventoryAPI.getById(invItemId);
-    if (!item) continue;
-    if (item.stock < line.quantity) {
-      insufficient.push(
-        `${escapeHTML(product.name)}: necesario ${line.quantity} ${item.unit}, ` +
-        `disponible ${item.stock} ${item.unit}.`
-      );
+/**
+ * Stock a new sale may take: stock minus what other open sales orders hold.
+ * The order being invoiced (salesOrderId) can use its own reservation.
+ */
+async function validateManufacturedStock(lines, salesOrderId = null) {
+  const short = await getStockShortfalls(lines, productMap, _salesOrders, allSales, salesOrderId);
+  return short.length
+    ? `Stock insuficiente:\n${short.map(s =>
+        `${escapeHTML(s.product.name)}: necesario ${s.quantity} ${s.unit}, ` +
+        `disponible ${s.available} ${s.unit}` +
+        (s.reserved ? ` (${s.reserved} reservado para pedidos).` : '.')).join('\n')}`
+    : null;
+}
+
+// ─── Sales Orders ─────────────────────────────────────────────────────────────
+
+/**
+ * Fill the order picker with open orders; `keepOrderId` re-adds a closed
+ * order so an edited sale still shows the order it came from.
+ */
+function populateSalesOrderSelect(keepOrderId = null) {
+  const select = document.getElementById('sale-field-order');
+  if (!select) return;
+  const current = keepOrderId ?? select.value;
+  select.innerHTML = '<option value="">Sin pedido</option>' + _salesOrders
+    .filter(o => o.status === 'open' || String(o.id) === String(current))
+    .map(o => `<option value="${escapeHTML(String(o.id))}">${escapeHTML(o.orderNumber)} — ${
+      escapeHTML(allClientsIndex.get(String(o.customerId))?.name ?? '[Cliente eliminado]')}</option>`)
+    .join('');
+  select.value = current || '';
+}
+
+/**
+ * Start a new sale from an order: its client, and one line per product with
+ * what is pending, up to the stock the order may take (its own reservation
+ * plus free stock). The rest stays on the order as backordered.
+ */
+async function applySalesOrder(orderId) {
+  const order = _salesOrders.find(o => String(o.id) === String(orderId));
+  if (!order) return;
+
+  document.getElementById('sale-field-client').value = order.customerId;
+  refreshInvestorBanner();
+  document.getElementById('sales-lines-tbody').innerHTML = '';
+  _lineSeq = 0;
+
+  const reservations = getProductReservations(_salesOrders, allSales, order.id);
+  let short = 0;
+  try {
+    for (const line of getSalesOrderStatus(order, allSales).lines) {
+      if (line.pending <= 0) continue;
+      const product = productMap.get(String(line.productId));
+      const item    = product?.inventoryItemId
+        ? await InventoryAPI.getById(product.inventoryItemId) : null;
+      const free    = (item?.stock || 0) - (reservations.get(String(line.productId))?.reserved || 0);
+      const qty     = Math.min(line.pending, Math.max(free, 0));
+      short += line.pending - qty;
+      if (qty > 0) addLineRow({ productId: line.productId, quantity: qty, unitPrice: line.unitPrice });
     }
+  } catch (err) {
+    showFeedback(`Error al leer el stock: ${err.message}`, 'error');
+  }
+  updateTotalsPreview();
+
+  if (short > 0) {
+    showFeedback(
+      `${short} paquetes del pedido ${order.orderNumber} no tienen stock y quedan pendientes.`,
+      'info', 6000);
+  }
+  document.getElementById('sales-form-card').scrollIntoView({ behavior: 'smooth' });
+}
+
+/** Mark the order done once the new sale covers everything it had pending. */
+async function closeSalesOrderIfComplete(order, newSale) {
+  if (!getSalesOrderStatus(order, [...allSales, newSale]).complete) return;
+  try {
+    await SalesOrdersAPI.update(order.id, { status: 'done' });
+    ChangeHistoryAPI.log({
+      entity_type: 'sales_order', entity_id: order.id,
+      entity_name: order.orderNumber, action: 'completar',
+      changes: { status: { before: order.status, after: 'done' } },
+      user_id: _currentAdmin.id, user_name: _currentAdmin.name,
+    });
+    showFeedback(`Pedido ${order.orderNumber} facturado por completo.`, 'success');
+  } catch (err) {
+    showFeedback(`Venta guardada, pero el pedido no se pudo cerrar: ${err.message}`, 'warning', 6000);
   }
-  return insufficient.length
-    ? `Stock insuficiente:\n${insufficient.join('\n')}`
-    : null;
 }
 
 // ─── Monthly Cost Calculation ─────────────────────────────────────────────────
@@ -1751,34 +2361,15 @@ function computeMonthlyCostPerPackage(month) {
   const laborCost = monthRecords.reduce((s, r) =>
     s + (r.operatorRateSnapshot || 0) * (r.quantity || 0), 0);
 
-  const prevMonth = _prevMonthString(month);
-  const prevInv   = _allMonthlyInv.find(i => i.month === prevMonth);
-  const currInv   = _allMonthlyInv.find(i => i.month === month);
-
-  const materialCost = ['recycled', 'pellet'].reduce((acc, type) => {
-    const pLbs  = _allPurchases
-      .filter(p => p.month === month && p.materialType === type)
-      .reduce((s, p) => s + (p.washedWeightLbs || p.weightLbs || 0), 0);
-    const pCost = _allPurchases
-      .filter(p => p.month === month && p.materialType === type)
-      .reduce((s, p) => s + (p.totalCost || 0) + (p.washingCost || 0), 0);
-    const avgCost = pLbs > 0 ? pCost / pLbs : 0;
-    const key     = type === 'recycled' ? 'recycledClosingLbs' : 'pelletClosingLbs';
-    const openLbs = prevInv ? (prevInv[key] || 0) : 0;
-    const closeLbs = currInv ? (currInv[key] || 0) : 0;
-    return acc + (openLbs + pLbs - closeLbs) * avgCost;
-  }, 0);
+  // Every material type (colorant included); recycled resin on washed lbs
+  const materialCost = getMonthlyMaterialCost(month, _allPurchases, _allMonthlyInv,
+    { washedLbs: true }).cost;
 
   const totalCost      = laborCost + materialCost;
   const costPerPackage = totalPkgs > 0 ? totalCost / totalPkgs : 0;
   return { costPerPackage, missing: costPerPackage === 0 };
 }
 
-function _prevMonthString(ym) {
-  const [y, m] = ym.split('-').map(Number);
-  return m === 1 ? `${y - 1}-12` : `${y}-${String(m - 1).padStart(2, '0')}`;
-}
-
 // ─── Form Validation ──────────────────────────────────────────────────────────
 
 function validateForm() {
@@ -1809,6 +2400,12 @@ function validateForm() {
     valid = false;
   }
 
+  const itbisRate = parseFloat(document.getElementById('sale-field-itbis-rate').value);
+  if (isNaN(itbisRate) || itbisRate < 0 || itbisRate > 100) {
+    showFieldError('sale-error-itbis', 'La tasa de ITBIS debe estar entre 0 y 100.');
+    valid = false;
+  }
+
   return valid;
 }
 
@@ -1823,11 +2420,33 @@ function showFieldError(id, msg) {
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-function computeTotals(lines) {
+/**
+ * @param {Array}  lines      - lines with lineRevenue / lineCost (investor-adjusted)
+ * @param {number} itbisRate  - percentage, e.g. 18
+ * @returns {{ revenue, cost, profit, margin, itbis, total }}
+ */
+function computeTotals(lines, itbisRate = 0) {
   const revenue = lines.reduce((s, l) => s + l.lineRevenue, 0);
   const cost    = lines.reduce((s, l) => s + l.lineCost,    0);
   const profit  = revenue - cost;
-  return { revenue, cost, profit, margin: revenue > 0 ? profit / revenue : 0 };
+  const itbis   = computeItbis(lines, itbisRate);
+  return {
+    revenue, cost, profit,
+    margin: revenue > 0 ? profit / revenue : 0,
+    itbis,
+    total:  revenue + itbis,
+  };
+}
+
+/**
+ * ITBIS is computed and rounded per line, then summed, so the invoice total
+ * matches what the printed lines add up to.
+ */
+function computeItbis(lines, itbisRate) {
+  if (!itbisRate) return 0;
+  return lines.reduce(
+    (s, l) => s + Math.round(l.lineRevenue * itbisRate) / 100, 0
+  );
 }
 
 function populateSelect(selectId, items, mapFn, placeholder) {
@@ -1996,6 +2615,32 @@ function injectStyles() {
       font-size: 0.7rem; padding: 1px 5px; border-radius: 3px;
     }
 
+    /* ── NCF / ITBIS ── */
+    .sales-header-actions { display: flex; align-items: center; gap: var(--space-sm); }
+    .sales-ncf-warnings {
+      display: flex; flex-direction: column; gap: var(--space-xs);
+      margin-bottom: var(--space-md);
+    }
+    .sales-ncf-warning {
+      padding: var(--space-sm) var(--space-md);
+      border-radius: var(--radius-sm); font-size: 0.875rem;
+    }
+    .sales-ncf-warning--warning {
+      background: color-mix(in srgb, #d69e2e 12%, transparent);
+      border: 1px solid color-mix(in srgb, #d69e2e 35%, transparent);
+      color: #d69e2e;
+    }
+    .sales-ncf-warning--danger {
+      background: color-mix(in srgb, var(--color-danger, #e53e3e) 12%, transparent);
+      border: 1px solid color-mix(in srgb, var(--color-danger, #e53e3e) 35%, transparent);
+      color: var(--color-danger, #e53e3e);
+    }
+    .sales-ncf-code { font-family: var(--font-mono, monospace); font-size: 0.82rem; }
+    .sales-total-item--tax {
+      border-left: 2px solid var(--color-border);
+      padding-left: var(--space-sm);
+    }
+
     /* ── AR status badges ── */
     .badge--ar-paid {
       background: color-mix(in srgb, var(--color-success, #38a169) 15%, transparent);
@@ -0,0 +1,648 @@
+/**
+ * traceability.js — CapFlow Lot Traceability Module
+ *
+ * Answers a customer complaint about a bad batch:
+ *  - Forward search (lote → clientes): which customers received packages of
+ *    a production lot, and how many are still in stock
+ *  - Backward search (venta → lotes): the lots a sale shipped, with the
+ *    machine, operator and shift that produced them and the raw material
+ *    purchased in the production month
+ *  - Recent lots with their balance, as a starting point
+ *
+ * Lots are assigned elsewhere (api.js → LOT TRACEABILITY): production
+ * records get one on create, confirmed sales take packages from the oldest
+ * lots left. This module only reads.
+ *
+ * Data flow:
+ *   ProductionAPI  ← lots (extra.lotNumber) and who / where produced them
+ *   SalesAPI       ← lines[].lots of confirmed sales
+ *   RawMaterialsAPI / ProvidersAPI ← purchases of the production month
+ *   ProductBomsAPI ← recipe in force on the production date
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  ProductionAPI,
+  SalesAPI,
+  CustomersAPI,
+  ProductsAPI,
+  MachinesAPI,
+  OperatorsAPI,
+  RawMaterialsAPI,
+  ProvidersAPI,
+  ProductBomsAPI,
+  getLotBalances,
+  getLotShipments,
+  sumLots,
+  getEffectiveBom,
+  getMaterialTypeLabel,
+} from '../api.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** In-memory caches — every search runs on them without re-fetching. */
+let allProduction = [];
+let allSales      = [];
+let allCustomers  = [];
+let allProducts   = [];
+let allMachines   = [];
+let allOperators  = [];
+let allPurchases  = [];
+let allProviders  = [];
+let allBoms       = [];
+
+/** lotNumber → balance (getLotBalances) and → shipments (getLotShipments). */
+let lotBalances  = new Map();
+let lotShipments = new Map();
+
+/** Lots produced in this many days are listed under "Lotes recientes". */
+const RECENT_LOTS_DAYS = 30;
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Traceability module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountTraceability(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+  attachListeners();
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  return `
+    <section class="module" id="traceability-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⌖</span>
+          <div>
+            <h1 class="module-header__title">Trazabilidad de Lotes</h1>
+            <p class="module-header__subtitle">Del lote de producción al cliente, y de la venta al lote</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="trc-count-badge">
+          — lotes
+        </div>
+      </header>
+
+      <!-- ── Search Card ── -->
+      <div class="card" id="trc-search-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">⌕</span>
+            Buscar
+          </h2>
+        </div>
+        <div class="trc-search">
+          <form class="trc-search__form" id="trc-lot-form" novalidate>
+            <label class="form-label" for="trc-lot-input">Lote → clientes</label>
+            <div class="trc-search__row">
+              <input class="form-input" type="search" id="trc-lot-input" list="trc-lot-options"
+                     placeholder="Ej: L260919-001" autocomplete="off">
+              <button type="submit" class="btn btn--primary btn--sm">Buscar</button>
+            </div>
+            <datalist id="trc-lot-options"></datalist>
+          </form>
+          <form class="trc-search__form" id="trc-sale-form" novalidate>
+            <label class="form-label" for="trc-sale-input">Venta → lotes</label>
+            <div class="trc-search__row">
+              <input class="form-input" type="search" id="trc-sale-input" list="trc-sale-options"
+                     placeholder="Factura o NCF" autocomplete="off">
+              <button type="submit" class="btn btn--primary btn--sm">Buscar</button>
+            </div>
+            <datalist id="trc-sale-options"></datalist>
+          </form>
+        </div>
+        <div class="trc-result" id="trc-result"></div>
+      </div>
+
+      <!-- ── Recent Lots Card ── -->
+      <div class="card" id="trc-recent-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Lotes recientes (${RECENT_LOTS_DAYS} días)
+          </h2>
+        </div>
+
+        <div class="table-loading" id="trc-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando lotes…</span>
+        </div>
+
+        <div class="table-empty" id="trc-table-empty" style="display:none;">
+          <span class="table-empty__icon">⌖</span>
+          <p>No hay lotes producidos en este período.</p>
+          <p class="table-empty__sub">Cada registro de producción recibe su número de lote al guardarse.</p>
+        </div>
+
+        <div class="table-wrapper" id="trc-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Lote</th>
+                <th>Fecha</th>
+                <th>Producto</th>
+                <th>Máquina</th>
+                <th>Operario</th>
+                <th class="text-right">Producidos</th>
+                <th class="text-right">Vendidos</th>
+                <th class="text-right">Quedan</th>
+                <th class="text-right">Clientes</th>
+              </tr>
+            </thead>
+            <tbody id="trc-tbody"></tbody>
+          </table>
+        </div>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch production, sales and references, then render the recent lots. */
+async function loadAll() {
+  showTableLoading(true);
+
+  try {
+    [allProduction, allSales, allCustomers, allProducts, allMachines, allOperators,
+     allPurchases, allProviders, allBoms] = await Promise.all([
+      ProductionAPI.getAll(),
+      SalesAPI.getAll(),
+      CustomersAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+      MachinesAPI.getAll().catch(() => []),
+      OperatorsAPI.getAll().catch(() => []),
+      RawMaterialsAPI.getAll().catch(() => []),
+      ProvidersAPI.getAll().catch(() => []),
+      ProductBomsAPI.getAll().catch(() => []),
+    ]);
+    lotBalances  = getLotBalances(allProduction, allSales);
+    lotShipments = getLotShipments(allSales);
+
+    populateOptions();
+    renderRecentLots();
+  } catch (err) {
+    showFeedback(`Error al cargar la trazabilidad: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+/** Suggestions for both search inputs, newest first. */
+function populateOptions() {
+  const lots = [...lotBalances.values()]
+    .sort((a, b) => (b.productionDate || '').localeCompare(a.productionDate || '') ||
+      b.lotNumber.localeCompare(a.lotNumber));
+  document.getElementById('trc-lot-options').innerHTML = lots
+    .map(l => `<option value="${escapeHTML(l.lotNumber)}">${escapeHTML(productLabel(l.productId))}</option>`)
+    .join('');
+
+  const sales = allSales
+    .filter(s => s.status === 'confirmed' && (s.invoiceNumber || s.ncfNumber))
+    .sort((a, b) => (b.saleDate || '').localeCompare(a.saleDate || ''));
+  document.getElementById('trc-sale-options').innerHTML = sales
+    .map(s => `<option value="${escapeHTML(s.invoiceNumber || s.ncfNumber)}">${escapeHTML(
+      `${formatDate(s.saleDate)} — ${customerLabel(s.clientId)}`)}</option>`)
+    .join('');
+
+  const badge = document.getElementById('trc-count-badge');
+  if (badge) badge.textContent = `${lots.length} lote${lots.length !== 1 ? 's' : ''}`;
+}
+
+// ─── Recent Lots ──────────────────────────────────────────────────────────────
+
+function renderRecentLots() {
+  showTableLoading(false);
+
+  const since = addDays(todayString(), -RECENT_LOTS_DAYS);
+  const lots  = [...lotBalances.values()]
+    .filter(l => (l.productionDate || '') >= since)
+    .sort((a, b) => (b.productionDate || '').localeCompare(a.productionDate || '') ||
+      b.lotNumber.localeCompare(a.lotNumber));
+
+  const tbody   = document.getElementById('trc-tbody');
+  const empty   = document.getElementById('trc-table-empty');
+  const wrapper = document.getElementById('trc-table-wrapper');
+
+  if (lots.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+
+  tbody.innerHTML = lots.map(l => {
+    const customers = new Set((lotShipments.get(l.lotNumber) || []).map(s => String(s.sale.clientId)));
+    return `
+      <tr class="table-row">
+        <td><button type="button" class="trc-link" data-lot="${escapeHTML(l.lotNumber)}">${escapeHTML(l.lotNumber)}</button></td>
+        <td>${formatDate(l.productionDate)}</td>
+        <td class="td-name">${escapeHTML(productLabel(l.productId))}</td>
+        <td>${escapeHTML(machineLabel(l.record.machineId))}</td>
+        <td>${escapeHTML(operatorLabel(l.record.operatorId))}</td>
+        <td class="text-right">${formatNumber(l.produced)}</td>
+        <td class="text-right">${formatNumber(l.shipped)}</td>
+        <td class="text-right">${formatNumber(l.available)}</td>
+        <td class="text-right">${formatNumber(customers.size)}</td>
+      </tr>`;
+  }).join('');
+
+  tbody.querySelectorAll('[data-lot]').forEach(btn =>
+    btn.addEventListener('click', () => showLot(btn.dataset.lot)));
+}
+
+// ─── Searches ─────────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('trc-lot-form').addEventListener('submit', e => {
+    e.preventDefault();
+    showLot(document.getElementById('trc-lot-input').value);
+  });
+  document.getElementById('trc-sale-form').addEventListener('submit', e => {
+    e.preventDefault();
+    showSale(document.getElementById('trc-sale-input').value);
+  });
+}
+
+/** Forward search: the lot, the customers that received it and its stock. */
+function showLot(lotNumber) {
+  const key = String(lotNumber || '').trim().toUpperCase();
+  const el  = document.getElementById('trc-result');
+  if (!key) { el.innerHTML = ''; return; }
+  document.getElementById('trc-lot-input').value = key;
+
+  const lot = lotBalances.get(key);
+  if (!lot) {
+    el.innerHTML = `<p class="trc-empty">No existe el lote "${escapeHTML(key)}".</p>`;
+    return;
+  }
+
+  const shipments = [...(lotShipments.get(key) || [])]
+    .sort((a, b) => (a.sale.saleDate || '').localeCompare(b.sale.saleDate || ''));
+
+  el.innerHTML = `
+    <h3 class="trc-result__title">Lote ${escapeHTML(key)}</h3>
+    ${buildLotFacts(lot)}
+
+    <div class="trc-subtitle">Clientes que lo recibieron</div>
+    ${shipments.length === 0
+      ? '<p class="trc-empty">Ninguna venta confirmada ha tomado paquetes de este lote.</p>'
+      : `<div class="table-wrapper">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Fecha</th>
+                <th>Factura</th>
+                <th>Cliente</th>
+                <th class="text-right">Paquetes</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${shipments.map(s => `
+                <tr class="table-row">
+                  <td>${formatDate(s.sale.saleDate)}</td>
+                  <td>${saleLink(s.sale)}</td>
+                  <td class="td-name">${escapeHTML(customerLabel(s.sale.clientId))}</td>
+                  <td class="text-right">${formatNumber(s.quantity)}</td>
+                </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>`}
+
+    ${buildPurchasesBlock([monthOf(lot.productionDate)])}
+  `;
+  attachResultLinks(el);
+}
+
+/** Backward search: every manufactured line of a sale and the lots it took. */
+function showSale(query) {
+  const key = String(query || '').trim().toUpperCase();
+  const el  = document.getElementById('trc-result');
+  if (!key) { el.innerHTML = ''; return; }
+
+  const sale = allSales.find(s => s.status === 'confirmed' && (
+    (s.invoiceNumber || '').toUpperCase() === key || (s.ncfNumber || '').toUpperCase() === key));
+  if (!sale) {
+    el.innerHTML = `<p class="trc-empty">No hay una venta confirmada con factura o NCF "${escapeHTML(key)}".</p>`;
+    return;
+  }
+  document.getElementById('trc-sale-input').value = sale.invoiceNumber || sale.ncfNumber;
+
+  const lines  = (sale.lines || []).filter(l => l.productType === 'manufactured');
+  const months = new Set();
+
+  el.innerHTML = `
+    <h3 class="trc-result__title">
+      Venta ${escapeHTML(sale.invoiceNumber || sale.ncfNumber)} · ${formatDate(sale.saleDate)} ·
+      ${escapeHTML(customerLabel(sale.clientId))}
+    </h3>
+    ${lines.length === 0
+      ? '<p class="trc-empty">La venta no tiene productos fabricados.</p>'
+      : lines.map(line => {
+          const lots       = line.lots || [];
+          const unassigned = (Number(line.quantity) || 0) - sumLots(lots);
+          return `
+            <div class="trc-subtitle">
+              ${escapeHTML(productLabel(line.productId))} · ${formatNumber(line.quantity)} paquetes
+            </div>
+            <div class="table-wrapper">
+              <table class="data-table">
+                <thead>
+                  <tr>
+                    <th>Lote</th>
+                    <th>Producción</th>
+                    <th>Turno</th>
+                    <th>Máquina</th>
+                    <th>Operario</th>
+                    <th>Materia prima</th>
+                    <th class="text-right">Paquetes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${lots.map(l => {
+                    const record = lotBalances.get(l.lotNumber)?.record;
+                    if (record) months.add(monthOf(record.productionDate));
+                    return `
+                      <tr class="table-row">
+                        <td><button type="button" class="trc-link" data-lot="${escapeHTML(l.lotNumber)}">${escapeHTML(l.lotNumber)}</button></td>
+                        <td>${record ? formatDate(record.productionDate) : '<span class="text-muted">[Registro eliminado]</span>'}</td>
+                        <td>${escapeHTML(record?.shift || '—')}</td>
+                        <td>${record ? escapeHTML(machineLabel(record.machineId)) : '—'}</td>
+                        <td>${record ? escapeHTML(operatorLabel(record.operatorId)) : '—'}</td>
+                        <td>${record ? escapeHTML(formatMonth(monthOf(record.productionDate))) : '—'}</td>
+                        <td class="text-right">${formatNumber(l.quantity)}</td>
+                      </tr>`;
+                  }).join('')}
+                  ${unassigned > 0 ? `
+                    <tr class="table-row table-row--inactive">
+                      <td colspan="6"><span class="text-muted">Sin lote (stock anterior a los lotes o ingresado a mano)</span></td>
+                      <td class="text-right">${formatNumber(unassigned)}</td>
+                    </tr>` : ''}
+                </tbody>
+              </table>
+            </div>`;
+        }).join('')}
+
+    ${buildPurchasesBlock([...months].sort())}
+  `;
+  attachResultLinks(el);
+}
+
+/** Lot links inside a result open that lot; sale links open that sale. */
+function attachResultLinks(el) {
+  el.querySelectorAll('[data-lot]').forEach(btn =>
+    btn.addEventListener('click', () => showLot(btn.dataset.lot)));
+  el.querySelectorAll('[data-sale]').forEach(btn =>
+    btn.addEventListener('click', () => showSale(btn.dataset.sale)));
+}
+
+// ─── Result Blocks ────────────────────────────────────────────────────────────
+
+/** Who, where and when the lot was produced, and what is left of it. */
+function buildLotFacts(lot) {
+  const r   = lot.record;
+  const bom = getEffectiveBom(allBoms, r.productId, r.productionDate);
+  const facts = [
+    ['Producto',         productLabel(r.productId)],
+    ['Fecha',            formatDate(r.productionDate)],
+    ['Turno',            r.shift || '—'],
+    ['Máquina',          machineLabel(r.machineId)],
+    ['Operario',         operatorLabel(r.operatorId)],
+    ['Receta',           bom ? `v${bom.version} (desde ${formatDate(bom.effectiveFrom)})` : 'Sin receta'],
+    ['Producidos',       formatNumber(lot.produced)],
+    ['Rechazos QC',      formatNumber(r.rejectedQuantity || 0)],
+    ['Vendidos',         formatNumber(lot.shipped)],
+    ['Quedan',           formatNumber(lot.available)],
+    ['Materia prima',    formatMonth(monthOf(r.productionDate))],
+  ];
+  return `
+    <div class="trc-facts">
+      ${facts.map(([label, value]) => `
+        <div class="trc-fact"><span>${label}</span><strong>${escapeHTML(value)}</strong></div>`).join('')}
+    </div>`;
+}
+
+/**
+ * Raw material bought in each production month: the resin a lot was made of
+ * comes out of that month's stock.
+ */
+function buildPurchasesBlock(months) {
+  return months.map(month => {
+    const rows = allPurchases
+      .filter(p => (p.date || '').startsWith(month))
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    return `
+      <div class="trc-subtitle">Compras de materia prima · ${escapeHTML(formatMonth(month))}</div>
+      ${rows.length === 0
+        ? '<p class="trc-empty">Sin compras registradas ese mes: se usó el inventario del mes anterior.</p>'
+        : `<div class="table-wrapper">
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>Fecha</th>
+                  <th>Material</th>
+                  <th>Proveedor</th>
+                  <th class="text-right">Lbs</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${rows.map(p => `
+                  <tr class="table-row">
+                    <td>${formatDate(p.date)}</td>
+                    <td>${escapeHTML(getMaterialTypeLabel(p.materialType))}</td>
+                    <td>${escapeHTML(providerLabel(p.providerId))}</td>
+                    <td class="text-right">${formatNumber(p.weightLbs)}</td>
+                  </tr>`).join('')}
+              </tbody>
+            </table>
+          </div>`}`;
+  }).join('');
+}
+
+function saleLink(sale) {
+  const ref = sale.invoiceNumber || sale.ncfNumber;
+  return ref
+    ? `<button type="button" class="trc-link" data-sale="${escapeHTML(ref)}">${escapeHTML(ref)}</button>`
+    : '<span class="text-muted">Sin número</span>';
+}
+
+// ─── Lookups ──────────────────────────────────────────────────────────────────
+
+function machineLabel(machineId) {
+  if (!machineId) return '—';
+  const m = allMachines.find(x => String(x.id) === String(machineId));
+  return m ? (m.code || m.name) : '[Máquina eliminada]';
+}
+
+function operatorLabel(operatorId) {
+  if (!operatorId) return '—';
+  const o = allOperators.find(x => String(x.id) === String(operatorId));
+  return o ? o.name : '[Operario eliminado]';
+}
+
+function productLabel(productId) {
+  if (!productId) return '—';
+  const p = allProducts.find(x => String(x.id) === String(productId));
+  return p ? p.name : '[Producto eliminado]';
+}
+
+function customerLabel(customerId) {
+  if (!customerId) return '—';
+  const c = allCustomers.find(x => String(x.id) === String(customerId));
+  return c ? c.name : '[Cliente eliminado]';
+}
+
+function providerLabel(providerId) {
+  if (!providerId) return '—';
+  const p = allProviders.find(x => String(x.id) === String(providerId));
+  return p ? p.name : '[Proveedor eliminado]';
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function showTableLoading(loading) {
+  document.getElementById('trc-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('trc-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('trc-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" plus `days` calendar days. */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function monthOf(ymd) {
+  return String(ymd || '').slice(0, 7);
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/** "2026-03" → "marzo 2026". */
+function formatMonth(ym) {
+  if (!ym) return '—';
+  const [y, m] = ym.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleDateString('es-DO', { month: 'long', year: 'numeric' });
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('traceability-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'traceability-module-styles';
+  tag.textContent = `
+    .trc-search {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+      gap: var(--space-md); padding: 0 var(--space-lg) var(--space-md);
+    }
+    .trc-search__form { display: flex; flex-direction: column; gap: var(--space-xs); }
+    .trc-search__row { display: flex; gap: var(--space-sm); }
+    .trc-search__row .form-input { flex: 1; }
+
+    .trc-result { padding: 0 var(--space-lg) var(--space-lg); }
+    .trc-result:empty { display: none; }
+    .trc-result__title {
+      margin: var(--space-md) 0 var(--space-sm);
+      font-size: 1rem; font-family: var(--font-display);
+    }
+    .trc-subtitle {
+      margin: var(--space-lg) 0 var(--space-sm);
+      font-size: 0.85rem; font-weight: 600;
+      text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted);
+    }
+    .trc-empty { margin: 0; font-size: 0.875rem; color: var(--color-text-muted); }
+
+    .trc-facts {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+      gap: var(--space-sm);
+    }
+    .trc-fact {
+      display: flex; flex-direction: column; gap: 2px;
+      padding: var(--space-sm) var(--space-md);
+      border: 1px solid var(--color-border); border-radius: var(--radius-md);
+    }
+    .trc-fact span { font-size: 0.75rem; color: var(--color-text-muted); }
+    .trc-fact strong { font-size: 0.95rem; }
+
+    .trc-link {
+      padding: 0; border: none; background: none; cursor: pointer;
+      font-family: var(--font-mono); font-size: 0.85rem;
+      color: var(--color-accent);
+      text-decoration: underline;
+    }
+  `;
+  document.head.appendChild(tag);
+}
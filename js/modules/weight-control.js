@@ -0,0 +1,610 @@
+/**
+ * weight-control.js — CapFlow Package Weight SPC Module
+ *
+ * Statistical process control of the 1,000-cap reference package CapDispatch
+ * operators weigh every shift (package_weights):
+ *  - Overview: every product with weighings in the period, its latest day
+ *    and whether that day raised an alert
+ *  - Control chart of the selected product (optionally one operator):
+ *    X̄ chart with center line, control limits and the product's spec band,
+ *    plus the R (or moving-range) chart underneath
+ *  - Alert list: out-of-spec weighings, points beyond the limits and run /
+ *    trend rules (7 points on the same side of the mean, 7 rising / falling)
+ *
+ * Limits, subgroups and rules live in api.js → PACKAGE WEIGHT SPC; the spec
+ * (target ± tolerance) is edited in Productos. This module only reads.
+ *
+ * Data flow:
+ *   PackageWeightsAPI  ← weighings since the period start
+ *   ProductionAPI / OperatorsAPI / DispatchOperatorsAPI ← product of
+ *                        weighings CapDispatch saved without one
+ *   ProductsAPI        ← names and spec
+ *
+ * All visible text: Spanish
+ * All code identifiers: English
+ * No business logic lives here.
+ */
+
+import {
+  PackageWeightsAPI,
+  ProductionAPI,
+  OperatorsAPI,
+  DispatchOperatorsAPI,
+  ProductsAPI,
+  getPackageWeightSeries,
+  analyzeWeightSpc,
+  SPC_ALERT_LABELS,
+  SPC_MIN_SUBGROUPS,
+  SPC_LOOKBACK_DAYS,
+} from '../api.js';
+
+// ─── Module State ─────────────────────────────────────────────────────────────
+
+/** Weighings of the period, normalized by getPackageWeightSeries(). */
+let allPoints = [];
+
+let allProducts = [];
+
+/** Chart.js instances — destroyed before each re-render. */
+let meanChart  = null;
+let rangeChart = null;
+
+/** Period options (days back from today); SPC_LOOKBACK_DAYS is the default. */
+const PERIOD_DAYS = [30, 60, 90, 180, 365];
+
+// ─── Entry Point ──────────────────────────────────────────────────────────────
+
+/**
+ * Mount the Weight Control module into the given container element.
+ * Called by the router in app.js.
+ * @param {HTMLElement} container
+ */
+export async function mountWeightControl(container) {
+  container.innerHTML = buildModuleHTML();
+  injectStyles();
+  attachListeners();
+  await loadAll();
+}
+
+// ─── HTML Builders ────────────────────────────────────────────────────────────
+
+/** Returns the full module markup as an HTML string. */
+function buildModuleHTML() {
+  return `
+    <section class="module" id="weight-control-module">
+
+      <!-- ── Page Header ── -->
+      <header class="module-header">
+        <div class="module-header__left">
+          <span class="module-header__icon">⚖</span>
+          <div>
+            <h1 class="module-header__title">Control de Peso</h1>
+            <p class="module-header__subtitle">Control estadístico del paquete de referencia (1.000 tapas)</p>
+          </div>
+        </div>
+        <div class="module-header__badge" id="wc-count-badge">
+          — alertas
+        </div>
+      </header>
+
+      <!-- ── Products Overview Card ── -->
+      <div class="card" id="wc-overview-card">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">☰</span>
+            Productos
+          </h2>
+          <div class="table-controls">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="wc-period" aria-label="Período">
+                ${PERIOD_DAYS.map(d => `<option value="${d}" ${d === SPC_LOOKBACK_DAYS ? 'selected' : ''}>Últimos ${d} días</option>`).join('')}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <div class="table-loading" id="wc-table-loading">
+          <div class="spinner"></div>
+          <span>Cargando pesajes…</span>
+        </div>
+
+        <div class="table-empty" id="wc-table-empty" style="display:none;">
+          <span class="table-empty__icon">⚖</span>
+          <p>No hay pesajes con producto en este período.</p>
+          <p class="table-empty__sub">Los operarios registran el peso del paquete de referencia en CapDispatch.</p>
+        </div>
+
+        <div class="table-wrapper" id="wc-table-wrapper" style="display:none;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Producto</th>
+                <th class="text-right">Objetivo</th>
+                <th class="text-right">Días</th>
+                <th class="text-right">Pesajes</th>
+                <th>Último día</th>
+                <th class="text-right">Media</th>
+                <th>Estado</th>
+              </tr>
+            </thead>
+            <tbody id="wc-tbody"></tbody>
+          </table>
+        </div>
+        <p class="wc-note" id="wc-unassigned" style="display:none;"></p>
+      </div>
+
+      <!-- ── Control Chart Card ── -->
+      <div class="card" id="wc-chart-card" style="display:none;">
+        <div class="card__header">
+          <h2 class="card__title">
+            <span class="card__title-icon">◎</span>
+            <span id="wc-chart-title">Gráfico de control</span>
+          </h2>
+          <div class="table-controls">
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="wc-product" aria-label="Producto"></select>
+            </div>
+            <div class="select-wrapper">
+              <select class="form-input form-select form-input--sm" id="wc-operator" aria-label="Operario"></select>
+            </div>
+          </div>
+        </div>
+
+        <div class="wc-facts" id="wc-facts"></div>
+
+        <div class="wc-chart-wrap">
+          <canvas id="wc-mean-chart" aria-label="Gráfico de medias de peso por día"></canvas>
+        </div>
+        <div class="wc-chart-wrap wc-chart-wrap--small">
+          <canvas id="wc-range-chart" aria-label="Gráfico de rangos de peso por día"></canvas>
+        </div>
+        <p class="wc-note" id="wc-chart-empty" style="display:none;"></p>
+
+        <h3 class="wc-subtitle">Alertas</h3>
+        <div id="wc-alerts"></div>
+      </div>
+
+    </section>
+  `;
+}
+
+// ─── Data Loading ─────────────────────────────────────────────────────────────
+
+/** Fetch the period's weighings and references, then render everything. */
+async function loadAll() {
+  showTableLoading(true);
+
+  const days = Number(document.getElementById('wc-period').value) || SPC_LOOKBACK_DAYS;
+  try {
+    const [weights, production, operators, dispatchOperators, products] = await Promise.all([
+      PackageWeightsAPI.getSince(addDays(todayString(), -days)),
+      ProductionAPI.getAll(),
+      OperatorsAPI.getAll().catch(() => []),
+      DispatchOperatorsAPI.getAll().catch(() => []),
+      ProductsAPI.getAll().catch(() => []),
+    ]);
+    allProducts = products;
+    allPoints   = getPackageWeightSeries(weights, { production, operators, dispatchOperators });
+
+    renderOverview();
+  } catch (err) {
+    showFeedback(`Error al cargar los pesajes: ${err.message}`, 'error');
+    showTableLoading(false);
+  }
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+
+/** Product table, unassigned-weighings note and the product selector. */
+function renderOverview() {
+  showTableLoading(false);
+
+  const rows = allProducts
+    .map(product => {
+      const points = allPoints.filter(p => p.productId === String(product.id));
+      return { product, points, analysis: points.length ? analyzeWeightSpc(points, product) : null };
+    })
+    .filter(r => r.analysis)
+    .sort((a, b) => (b.analysis.latest.alerts.length > 0) - (a.analysis.latest.alerts.length > 0) ||
+      a.product.name.localeCompare(b.product.name));
+
+  const alerting = rows.filter(r => r.analysis.latest.alerts.length).length;
+  document.getElementById('wc-count-badge').textContent =
+    `${alerting} alerta${alerting === 1 ? '' : 's'}`;
+
+  const unassigned = allPoints.filter(p => !p.productId).length;
+  const note = document.getElementById('wc-unassigned');
+  note.style.display = unassigned ? '' : 'none';
+  note.textContent   = `${formatNumber(unassigned)} pesaje${unassigned === 1 ? '' : 's'} sin producto: ` +
+    'el operario no tiene un único producto registrado ese día.';
+
+  const tbody   = document.getElementById('wc-tbody');
+  const empty   = document.getElementById('wc-table-empty');
+  const wrapper = document.getElementById('wc-table-wrapper');
+  const card    = document.getElementById('wc-chart-card');
+
+  if (rows.length === 0) {
+    empty.style.display   = 'flex';
+    wrapper.style.display = 'none';
+    card.style.display    = 'none';
+    return;
+  }
+
+  empty.style.display   = 'none';
+  wrapper.style.display = 'block';
+  card.style.display    = '';
+
+  tbody.innerHTML = rows.map(({ product, points, analysis }) => `
+    <tr class="table-row">
+      <td><button type="button" class="wc-link" data-product="${escapeHTML(String(product.id))}">${escapeHTML(product.name)}</button></td>
+      <td class="text-right">${escapeHTML(specLabel(analysis.spec))}</td>
+      <td class="text-right">${formatNumber(analysis.subgroups.length)}</td>
+      <td class="text-right">${formatNumber(points.length)}</td>
+      <td>${formatDate(analysis.latest.date)}</td>
+      <td class="text-right">${formatLbs(analysis.latest.mean)}</td>
+      <td>${statusBadges(analysis.latest.alerts, analysis.method)}</td>
+    </tr>`).join('');
+
+  tbody.querySelectorAll('[data-product]').forEach(btn =>
+    btn.addEventListener('click', () => selectProduct(btn.dataset.product)));
+
+  const select  = document.getElementById('wc-product');
+  const current = select.value;
+  select.innerHTML = rows
+    .map(r => `<option value="${escapeHTML(String(r.product.id))}">${escapeHTML(r.product.name)}</option>`)
+    .join('');
+  select.value = rows.some(r => String(r.product.id) === current) ? current : String(rows[0].product.id);
+
+  populateOperators();
+  renderChart();
+}
+
+/** Operators who weighed the selected product in the period. */
+function populateOperators() {
+  const productId = document.getElementById('wc-product').value;
+  const select    = document.getElementById('wc-operator');
+  const current   = select.value;
+  const names     = [...new Set(allPoints
+    .filter(p => p.productId === productId && p.operatorName)
+    .map(p => p.operatorName.trim()))]
+    .sort((a, b) => a.localeCompare(b));
+
+  select.innerHTML = '<option value="">Todos los operarios</option>' +
+    names.map(n => `<option value="${escapeHTML(n)}">${escapeHTML(n)}</option>`).join('');
+  select.value = names.includes(current) ? current : '';
+}
+
+function selectProduct(productId) {
+  document.getElementById('wc-product').value = productId;
+  populateOperators();
+  renderChart();
+  document.getElementById('wc-chart-card').scrollIntoView({ behavior: 'smooth' });
+}
+
+/** Facts, X̄ / R charts and the alert list of the selected product / operator. */
+function renderChart() {
+  const productId = document.getElementById('wc-product').value;
+  const operator  = document.getElementById('wc-operator').value;
+  const product   = allProducts.find(p => String(p.id) === productId) || null;
+  const points    = allPoints.filter(p => p.productId === productId &&
+    (!operator || p.operatorName.trim() === operator));
+  const analysis  = analyzeWeightSpc(points, product);
+  const { limits, spec, method, subgroups } = analysis;
+
+  document.getElementById('wc-chart-title').textContent =
+    `Gráfico de control · ${product?.name || '—'}${operator ? ` · ${operator}` : ''}`;
+
+  const methodLabel = method === 'xbar-r' ? `X̄/R (n = ${analysis.n})`
+    : method === 'i-mr' ? 'Individuales / rango móvil' : 'Sin límites';
+  const facts = [
+    ['Método',          methodLabel],
+    ['Objetivo',        specLabel(spec)],
+    ['Media',           limits ? `${formatLbs(limits.center)} lb` : '—'],
+    ['Límite superior', limits ? `${formatLbs(limits.ucl)} lb` : '—'],
+    ['Límite inferior', limits ? `${formatLbs(limits.lcl)} lb` : '—'],
+    [method === 'i-mr' ? 'Rango móvil medio' : 'Rango medio', limits ? `${formatLbs(limits.rBar)} lb` : '—'],
+  ];
+  document.getElementById('wc-facts').innerHTML = facts.map(([label, value]) => `
+    <div class="wc-fact"><span>${escapeHTML(label)}</span><strong>${escapeHTML(value)}</strong></div>`).join('');
+
+  const emptyEl = document.getElementById('wc-chart-empty');
+  emptyEl.style.display = limits ? 'none' : '';
+  emptyEl.textContent   = `Se necesitan al menos ${SPC_MIN_SUBGROUPS} días con pesajes para calcular ` +
+    `los límites de control (hay ${subgroups.length}).`;
+
+  drawCharts(analysis);
+  renderAlerts(analysis);
+}
+
+/** Every subgroup with an alert, newest first. */
+function renderAlerts({ subgroups }) {
+  const el      = document.getElementById('wc-alerts');
+  const flagged = subgroups.filter(g => g.alerts.length).reverse();
+
+  if (flagged.length === 0) {
+    el.innerHTML = '<p class="wc-note">Sin alertas: el proceso está en control en este período.</p>';
+    return;
+  }
+
+  el.innerHTML = `
+    <div class="table-wrapper">
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Fecha</th>
+            <th>Pesajes</th>
+            <th class="text-right">Media</th>
+            <th class="text-right">Rango</th>
+            <th>Alertas</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${flagged.map(g => `
+            <tr class="table-row">
+              <td>${formatDate(g.date)}</td>
+              <td class="wc-readings">${g.points.map(p =>
+                `${escapeHTML(p.operatorName || '—')}: ${formatLbs(p.weightLbs)}`).join('<br>')}</td>
+              <td class="text-right">${formatLbs(g.mean)}</td>
+              <td class="text-right">${g.range == null ? '—' : formatLbs(g.range)}</td>
+              <td>${statusBadges(g.alerts, 'any')}</td>
+            </tr>`).join('')}
+        </tbody>
+      </table>
+    </div>`;
+}
+
+/** Draw the X̄ and R charts; limits and spec are flat reference lines. */
+function drawCharts({ subgroups, limits, spec, method }) {
+  if (meanChart)  { meanChart.destroy();  meanChart  = null; }
+  if (rangeChart) { rangeChart.destroy(); rangeChart = null; }
+
+  if (typeof window.Chart === 'undefined') {
+    console.warn('[CapFlow Control de Peso] Chart.js no cargado — gráficos omitidos.');
+    return;
+  }
+
+  const style       = getComputedStyle(document.documentElement);
+  const accentColor = style.getPropertyValue('--color-accent').trim()       || '#4a9eff';
+  const dangerColor = style.getPropertyValue('--color-danger').trim()       || '#ef4444';
+  const okColor     = style.getPropertyValue('--color-success').trim()      || '#22c55e';
+  const borderColor = style.getPropertyValue('--color-border').trim()       || '#252e42';
+  const textMuted   = style.getPropertyValue('--color-text-muted').trim()   || '#4a556b';
+  const textPrimary = style.getPropertyValue('--color-text-primary').trim() || '#dce4f0';
+
+  const labels = subgroups.map(g => formatDate(g.date).slice(0, 5));
+  const flat   = (value, label, color, dash) => ({
+    label,
+    data:        subgroups.map(() => value),
+    borderColor: color,
+    borderWidth: 1.5,
+    borderDash:  dash,
+    pointRadius: 0,
+    fill:        false,
+  });
+  const scales = yTitle => ({
+    x: { ticks: { color: textMuted, maxTicksLimit: 16 }, grid: { color: borderColor, drawBorder: false } },
+    y: {
+      title: { display: true, text: yTitle, color: textMuted },
+      ticks: { color: textMuted, callback: v => formatLbs(v) },
+      grid:  { color: borderColor, drawBorder: false },
+      beginAtZero: false,
+    },
+  });
+  const plugins = {
+    legend:  { labels: { color: textMuted, boxWidth: 12 } },
+    tooltip: {
+      backgroundColor: '#1c2333',
+      titleColor:      textPrimary,
+      bodyColor:       textPrimary,
+      borderColor,
+      borderWidth:     1,
+      callbacks: { label: item => ` ${item.dataset.label}: ${formatLbs(item.raw)} lb` },
+    },
+  };
+
+  const meanSets = [{
+    label:                method === 'i-mr' ? 'Peso del día' : 'Media del día',
+    data:                 subgroups.map(g => Number(g.mean.toFixed(4))),
+    borderColor:          accentColor,
+    borderWidth:          2,
+    tension:              0,
+    pointRadius:          4,
+    pointBackgroundColor: subgroups.map(g => (g.alerts.length ? dangerColor : accentColor)),
+    fill:                 false,
+  }];
+  if (limits) {
+    meanSets.push(flat(limits.center, 'Media', okColor, []));
+    meanSets.push(flat(limits.ucl, 'LCS', dangerColor, [6, 4]));
+    meanSets.push(flat(limits.lcl, 'LCI', dangerColor, [6, 4]));
+  }
+  if (spec) {
+    meanSets.push(flat(spec.upper, 'Especificación', textMuted, [2, 3]));
+    meanSets.push(flat(spec.lower, 'Especificación (inf.)', textMuted, [2, 3]));
+  }
+
+  meanChart = new window.Chart(document.getElementById('wc-mean-chart'), {
+    type: 'line',
+    data: { labels, datasets: meanSets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      plugins: {
+        ...plugins,
+        legend: { ...plugins.legend,
+                  labels: { ...plugins.legend.labels, filter: item => item.text !== 'Especificación (inf.)' } },
+      },
+      scales: scales('Peso (lb)'),
+    },
+  });
+
+  const rangeSets = [{
+    label:       method === 'i-mr' ? 'Rango móvil' : 'Rango del día',
+    data:        subgroups.map(g => (g.range == null ? null : Number(g.range.toFixed(4)))),
+    borderColor: textMuted,
+    borderWidth: 2,
+    tension:     0,
+    pointRadius: 3,
+    spanGaps:    false,
+    fill:        false,
+  }];
+  if (limits) {
+    rangeSets.push(flat(limits.rBar, 'Rango medio', okColor, []));
+    rangeSets.push(flat(limits.uclR, 'LCS', dangerColor, [6, 4]));
+  }
+
+  rangeChart = new window.Chart(document.getElementById('wc-range-chart'), {
+    type: 'line',
+    data: { labels, datasets: rangeSets },
+    options: { responsive: true, maintainAspectRatio: false, plugins, scales: scales('Rango (lb)') },
+  });
+}
+
+// ─── Listeners ────────────────────────────────────────────────────────────────
+
+function attachListeners() {
+  document.getElementById('wc-period').addEventListener('change', loadAll);
+  document.getElementById('wc-product').addEventListener('change', () => {
+    populateOperators();
+    renderChart();
+  });
+  document.getElementById('wc-operator').addEventListener('change', renderChart);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Badges for a subgroup's alerts; "En control" when there are none. */
+function statusBadges(alerts, method) {
+  if (alerts.length) {
+    return alerts.map(a => `<span class="badge badge--red">${escapeHTML(SPC_ALERT_LABELS[a] || a)}</span>`).join(' ');
+  }
+  return method
+    ? '<span class="badge badge--green">En control</span>'
+    : '<span class="badge badge--gray">Pocos datos</span>';
+}
+
+function specLabel(spec) {
+  if (!spec) return 'Sin objetivo';
+  return `${formatLbs(spec.target)} ± ${formatLbs(spec.upper - spec.target)} lb`;
+}
+
+function showTableLoading(loading) {
+  document.getElementById('wc-table-loading').style.display = loading ? 'flex' : 'none';
+  document.getElementById('wc-table-wrapper').style.display = loading ? 'none' : '';
+  document.getElementById('wc-table-empty').style.display   = 'none';
+}
+
+/**
+ * Fire a toast notification using the global #toast-container.
+ *
+ * @param {string} message
+ * @param {'success'|'error'|'warning'|'info'} type
+ * @param {number} [duration=4000]
+ */
+function showFeedback(message, type = 'success', duration = 4000) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const icons = { success: '✔', error: '✕', warning: '⚠', info: 'ℹ' };
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast--${type}`;
+  toast.setAttribute('role', 'status');
+  toast.innerHTML = `
+    <span class="toast__icon" aria-hidden="true">${icons[type] ?? 'ℹ'}</span>
+    <span class="toast__message">${escapeHTML(message)}</span>
+    <span class="toast__close" aria-label="Cerrar">&times;</span>
+  `;
+
+  const dismiss = () => {
+    if (toast.classList.contains('toast--exiting')) return;
+    toast.classList.add('toast--exiting');
+    toast.addEventListener('animationend', () => toast.remove(), { once: true });
+  };
+
+  toast.addEventListener('click', dismiss);
+  container.appendChild(toast);
+  setTimeout(dismiss, duration);
+}
+
+function escapeHTML(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/** Local date as "YYYY-MM-DD". */
+function todayString() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/** "YYYY-MM-DD" plus `days` calendar days. */
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const date = new Date(y, m - 1, d + days);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDate(ymd) {
+  if (!ymd) return '—';
+  const [y, m, d] = ymd.split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat('es-DO').format(n || 0);
+}
+
+/** Weights with up to 3 decimals (reference packages differ by hundredths). */
+function formatLbs(n) {
+  return new Intl.NumberFormat('es-DO', { minimumFractionDigits: 2, maximumFractionDigits: 3 })
+    .format(Number(n) || 0);
+}
+
+// ─── Scoped Styles ────────────────────────────────────────────────────────────
+
+function injectStyles() {
+  if (document.getElementById('weight-control-module-styles')) return;
+  const tag = document.createElement('style');
+  tag.id = 'weight-control-module-styles';
+  tag.textContent = `
+    .wc-facts {
+      display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+      gap: var(--space-sm); padding: 0 var(--space-lg) var(--space-md);
+    }
+    .wc-fact {
+      display: flex; flex-direction: column; gap: 2px;
+      padding: var(--space-sm) var(--space-md);
+      border: 1px solid var(--color-border); border-radius: var(--radius-md);
+    }
+    .wc-fact span { font-size: 0.75rem; color: var(--color-text-muted); }
+    .wc-fact strong { font-size: 0.95rem; }
+
+    .wc-chart-wrap { position: relative; height: 300px; padding: 0 var(--space-lg) var(--space-md); }
+    .wc-chart-wrap--small { height: 180px; }
+
+    .wc-subtitle {
+      margin: var(--space-md) var(--space-lg) var(--space-sm);
+      font-size: 0.85rem; font-weight: 600;
+      text-transform: uppercase; letter-spacing: 0.04em;
+      color: var(--color-text-muted);
+    }
+    #wc-alerts { padding: 0 var(--space-lg) var(--space-lg); }
+    .wc-readings { font-size: 0.8rem; font-family: var(--font-mono); }
+
+    .wc-note {
+      margin: 0; padding: var(--space-sm) var(--space-lg) var(--space-md);
+      font-size: 0.85rem; color: var(--color-text-muted);
+    }
+    #wc-alerts .wc-note { padding: 0; }
+
+    .wc-link {
+      padding: 0; border: none; background: none; cursor: pointer;
+      font-size: 0.9rem; font-weight: 500;
+      color: var(--color-accent);
+      text-decoration: underline;
+    }
+  `;
+  document.head.appendChild(tag);
+}
@@ -0,0 +1,48 @@
+/**
+ * print.js — CapFlow shared print helpers
+ *
+ * Printable documents (reports, payslips, customer statements, operator
+ * sheets) print from inside their module with window.print(). They share:
+ *   COMPANY_NAME  → name in every printed header
+ *   printOnlyCss(moduleSelector, printableSelector, opts) → rules for a
+ *                   module's @media print block that hide the app chrome and
+ *                   every sibling of the printable part, and turn the printed
+ *                   sheet white
+ *
+ * Module-specific rules (page breaks, text colours) stay in each module's
+ * @media print block, after the shared ones.
+ *
+ * All visible text: Spanish | All code identifiers: English
+ */
+
+export const COMPANY_NAME = 'INDUSTRIAL RECICLING RAFS';
+
+/**
+ * CSS for a module's @media print block: only `printableSelector` (a direct
+ * child of `moduleSelector`) prints.
+ * @param {string} moduleSelector    - e.g. '#payroll-module'
+ * @param {string} printableSelector - e.g. '#payroll-payslips'
+ * @param {{ hide?: string[], sheet?: string }} [opts]
+ *   hide:  extra selectors inside the printable part to leave out (toolbars…)
+ *   sheet: selector of the printed page, reset to a white borderless sheet
+ * @returns {string}
+ */
+export function printOnlyCss(moduleSelector, printableSelector, { hide = [], sheet = '' } = {}) {
+  const hidden = ['.sidebar', `${moduleSelector} > *:not(${printableSelector})`, ...hide];
+  return `
+      body > * { display: none !important; }
+      #app { display: block !important; }
+      ${hidden.join(',\n      ')} { display: none !important; }
+
+      .main-content,
+      #main-content,
+      #view-container,
+      ${moduleSelector},
+      ${printableSelector} { display: block !important; margin: 0 !important; padding: 0 !important; }
+      ${sheet ? `
+      ${sheet} {
+        background: #ffffff !important; color: #111111 !important;
+        border: none !important; border-radius: 0; padding: 0 !important;
+        max-width: none; margin: 0 !important;
+      }` : ''}`;
+}
@@ -0,0 +1,93 @@
+-- Migration 012: NCF sequences (comprobantes fiscales)
+--
+-- Each row is one range of NCFs authorized by the DGII for a series:
+--   B01  Crédito fiscal
+--   B02  Consumo
+--   B14  Régimen especial
+--   B15  Gubernamental
+--
+-- An NCF is the series followed by an 8-digit sequential number, e.g.
+-- B0100000042. Numbers are allocated atomically by next_ncf(p_series),
+-- mirroring next_invoice_number() from migration 006. A series may have
+-- several ranges over time (a new authorization when the old one runs out
+-- or expires); next_ncf() always draws from the active, non-expired,
+-- non-exhausted range that expires first.
+--
+-- sales.has_ncf / ncf_number / itbis_rate / itbis_amount already exist.
+-- itbis_rate is stored as a percentage (18 = 18 %).
+
+-- ─── 1. New table: ncf_sequences ─────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS ncf_sequences (
+  id          text        PRIMARY KEY,
+  series      text        NOT NULL,
+  range_from  integer     NOT NULL,
+  range_to    integer     NOT NULL,
+  last_number integer     NOT NULL DEFAULT 0,   -- last issued; 0 = none yet
+  expires_on  date,
+  is_active   boolean     NOT NULL DEFAULT true,
+  notes       text,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT ncf_sequences_series_check CHECK (series IN ('B01','B02','B14','B15')),
+  CONSTRAINT ncf_sequences_range_check  CHECK (range_from > 0 AND range_to >= range_from),
+  CONSTRAINT ncf_sequences_last_check   CHECK (last_number = 0 OR last_number BETWEEN range_from AND range_to)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ncf_sequences_series
+  ON ncf_sequences (series, is_active);
+
+ALTER TABLE ncf_sequences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON ncf_sequences;
+CREATE POLICY "Anon full access"
+  ON ncf_sequences
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. One NCF per sale ─────────────────────────────────────────────────────
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_ncf_number_unique
+  ON sales (ncf_number)
+  WHERE ncf_number IS NOT NULL AND ncf_number <> '';
+
+-- ─── 3. Atomic next-NCF function ─────────────────────────────────────────────
+
+CREATE OR REPLACE FUNCTION next_ncf(p_series text)
+RETURNS text
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_seq ncf_sequences%ROWTYPE;
+  v_num integer;
+BEGIN
+  -- Lock the range we are going to draw from so two concurrent sales can
+  -- never receive the same number.
+  SELECT * INTO v_seq
+  FROM ncf_sequences
+  WHERE series = p_series
+    AND is_active = true
+    AND (expires_on IS NULL OR expires_on >= current_date)
+    AND GREATEST(last_number, range_from - 1) < range_to
+  ORDER BY expires_on NULLS LAST, range_from
+  LIMIT 1
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No hay secuencia NCF % disponible (agotada, vencida o inactiva).', p_series;
+  END IF;
+
+  v_num := GREATEST(v_seq.last_number, v_seq.range_from - 1) + 1;
+
+  UPDATE ncf_sequences
+  SET last_number = v_num,
+      updated_at  = now()
+  WHERE id = v_seq.id;
+
+  -- B01 + 8 digits: B0100000001
+  RETURN p_series || lpad(v_num::text, 8, '0');
+END;
+$$;
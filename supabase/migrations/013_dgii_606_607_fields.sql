@@ -0,0 +1,24 @@
+-- Migration 013: fiscal fields for the DGII 606 / 607 reports
+--
+-- 607 (ventas) is built from sales.ncf_number / itbis_amount (migration 012)
+-- and customers.tax_id, which already exist.
+--
+-- 606 (compras) needs, per purchase document, the supplier RNC/cédula, the
+-- supplier's NCF and the ITBIS billed:
+--   • providers / service_providers get a tax_id, used as the default RNC
+--     when a purchase is linked to them.
+--   • expenses get supplier_tax_id, ncf and itbis_amount. supplier_tax_id
+--     is per document because most cash expenses have no creditor record.
+--   • raw_materials keep supplierTaxId / ncf / itbisAmount in `extra`
+--     (overflow jsonb), so no column changes are needed there.
+
+-- ─── 1. Supplier RNC ─────────────────────────────────────────────────────────
+
+ALTER TABLE providers         ADD COLUMN IF NOT EXISTS tax_id text;
+ALTER TABLE service_providers ADD COLUMN IF NOT EXISTS tax_id text;
+
+-- ─── 2. Expense fiscal document ──────────────────────────────────────────────
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS supplier_tax_id text;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS ncf             text;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS itbis_amount    numeric NOT NULL DEFAULT 0;
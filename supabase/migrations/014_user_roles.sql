@@ -0,0 +1,46 @@
+-- Migration 014: user roles
+--
+-- Roles drive which modules a user sees (ROUTE_ROLES in app.js) and whether
+-- they may create / update / remove records (canPerform() in auth.js):
+--   admin         everything
+--   supervisor    operations + invoicing; can create / update, not remove
+--   contabilidad  invoicing, expenses, payroll, reports
+--   solo-lectura  read-only on operational modules
+--
+-- auth.js reads the role from app_metadata.role (set only with the service
+-- key) and falls back to this table. A user with no role is solo-lectura, so
+-- existing accounts are seeded as admin below to avoid locking anyone out.
+--
+-- Roles are assigned from the Supabase dashboard / SQL editor, e.g.
+--   INSERT INTO user_roles (user_id, role) VALUES ('<uuid>', 'contabilidad')
+--   ON CONFLICT (user_id) DO UPDATE SET role = EXCLUDED.role, updated_at = now();
+--
+-- Note: this is an application-level restriction. The data tables keep their
+-- existing RLS policies.
+
+-- ─── 1. New table: user_roles ────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id     uuid        PRIMARY KEY REFERENCES auth.users (id) ON DELETE CASCADE,
+  role        text        NOT NULL DEFAULT 'solo-lectura',
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT user_roles_role_check
+    CHECK (role IN ('admin','supervisor','contabilidad','solo-lectura'))
+);
+
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+-- Each signed-in user can read only their own role; no client-side writes.
+DROP POLICY IF EXISTS "Users read own role" ON user_roles;
+CREATE POLICY "Users read own role"
+  ON user_roles
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- ─── 2. Seed existing accounts as admin ──────────────────────────────────────
+
+INSERT INTO user_roles (user_id, role)
+SELECT id, 'admin' FROM auth.users
+ON CONFLICT (user_id) DO NOTHING;
@@ -0,0 +1,65 @@
+-- Migration 015: shared payroll configuration and adjustments
+--
+-- payroll.js used to keep these in the browser's localStorage:
+--   capflow_payroll_config       → payroll_config      (pay scheme + base salary
+--                                                       per person per month)
+--   capflow_payroll_adjustments  → payroll_adjustments (bonuses / deductions
+--                                                       per person per quincena)
+-- so two PCs could show different payrolls. Existing local data is imported
+-- once by payroll.js on first load (PayrollConfigAPI / PayrollAdjustmentsAPI
+-- .importMany), without overwriting rows already in the database.
+--
+-- person_key is "operator:<id>" | "employee:<id>", the same key used by
+-- loans and payroll_runs snapshots. period_key is "YYYY-MM-Q1" | "YYYY-MM-Q2".
+
+-- ─── 1. New table: payroll_config ────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_config (
+  id                  text        PRIMARY KEY,
+  month               text        NOT NULL,
+  person_key          text        NOT NULL,
+  pay_scheme          text        NOT NULL DEFAULT 'production_only',
+  base_monthly_salary numeric     NOT NULL DEFAULT 0,
+  created_at          timestamptz NOT NULL DEFAULT now(),
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT payroll_config_month_person_unique UNIQUE (month, person_key),
+  CONSTRAINT payroll_config_scheme_check
+    CHECK (pay_scheme IN ('production_only','salary_only','salary_plus_incentive'))
+);
+
+ALTER TABLE payroll_config ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON payroll_config;
+CREATE POLICY "Anon full access"
+  ON payroll_config
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. New table: payroll_adjustments ───────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_adjustments (
+  id          text        PRIMARY KEY,
+  period_key  text        NOT NULL,
+  person_key  text        NOT NULL,
+  type        text        NOT NULL,
+  amount      numeric     NOT NULL DEFAULT 0,
+  note        text,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT payroll_adjustments_type_check   CHECK (type IN ('bonus','deduction')),
+  CONSTRAINT payroll_adjustments_amount_check CHECK (amount >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payroll_adjustments_period
+  ON payroll_adjustments (period_key, person_key);
+
+ALTER TABLE payroll_adjustments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON payroll_adjustments;
+CREATE POLICY "Anon full access"
+  ON payroll_adjustments
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,71 @@
+-- Migration 016: TSS / ISR rate tables for payroll
+--
+-- payroll.js computePay() applies, per quincena:
+--   employee:  AFP, SFS (TSS) and ISR withholding
+--   employer:  AFP, SFS, SRL and INFOTEP contributions
+-- using the table whose effective_from is the latest on or before the end of
+-- the period. New rates are added as a new row with a later effective_from;
+-- old rows stay so reopened historical periods recompute the same way.
+--
+-- params (jsonb) — percentages are stored as 2.87 = 2.87 %:
+--   minimumWage          salario mínimo cotizable (monthly RD$). Caps are
+--                        multiples of it; NULL / 0 disables the caps.
+--   afpEmployeeRate / afpEmployerRate / afpCapWages
+--   sfsEmployeeRate / sfsEmployerRate / sfsCapWages
+--   srlEmployerRate / srlCapWages
+--   infotepEmployerRate
+--   isrBrackets          annual marginal brackets [{ over, rate }]
+--
+-- The seed row carries the Ley 87-01 contribution rates and the DGII annual
+-- ISR scale. minimumWage is left NULL on purpose: set it from the current
+-- TSS resolution (Nómina → Tasas TSS / ISR) so the caps apply.
+-- It takes effect from the first quincena that starts after the migration
+-- runs, so a quincena already in progress gets no TSS / ISR on reload and
+-- earlier periods have no table (no deductions, as before).
+
+-- ─── 1. New table: payroll_statutory_rates ───────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_statutory_rates (
+  id              text        PRIMARY KEY,
+  effective_from  date        NOT NULL UNIQUE,
+  params          jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  notes           text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE payroll_statutory_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON payroll_statutory_rates;
+CREATE POLICY "Anon full access"
+  ON payroll_statutory_rates
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. Seed table ───────────────────────────────────────────────────────────
+
+INSERT INTO payroll_statutory_rates (id, effective_from, params, notes)
+VALUES (
+  'tss-seed',
+  CASE WHEN extract(day FROM current_date) <= 15
+       THEN date_trunc('month', current_date)::date + 15
+       ELSE (date_trunc('month', current_date) + interval '1 month')::date
+  END,
+  '{
+     "minimumWage":         null,
+     "afpEmployeeRate":     2.87, "afpEmployerRate": 7.10, "afpCapWages": 20,
+     "sfsEmployeeRate":     3.04, "sfsEmployerRate": 7.09, "sfsCapWages": 10,
+     "srlEmployerRate":     1.10, "srlCapWages": 4,
+     "infotepEmployerRate": 1.00,
+     "isrBrackets": [
+       { "over": 0,         "rate": 0  },
+       { "over": 416220.00, "rate": 15 },
+       { "over": 624329.00, "rate": 20 },
+       { "over": 867123.00, "rate": 25 }
+     ]
+   }'::jsonb,
+  'Tabla inicial — completar el salario mínimo cotizable vigente.'
+)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,75 @@
+-- Migration 017: bank bulk-transfer layouts for payroll net pay
+--
+-- payroll.js → "Archivo banco" builds a bulk-transfer file from the rows of a
+-- closed quincena (payroll_runs.snapshot) using one of these layouts. The
+-- destination account of each worker is read from operators.extra /
+-- employees.extra (no schema change there — the extra jsonb already packs
+-- overflow fields):
+--   bankName, bankAccountNumber, bankAccountType ('savings' | 'checking')
+--
+-- format:  'csv'   — one delimited line per worker (optional header line)
+--          'fixed' — one fixed-width line per worker
+-- params (jsonb):
+--   delimiter       csv only, default ','
+--   includeHeader   csv only, first line with the field labels
+--   originAccount   company debit account, available as a field
+--   fields          [{ source, label, width, align, pad }]
+--                   source: accountNumber | accountType | bankName | document |
+--                           name | amount | amountCents | reference | date |
+--                           sequence | originAccount
+--                   width / align ('left'|'right') / pad (' ' | '0') apply to
+--                   fixed-width layouts only. amount / amountCents / sequence
+--                   are always right-aligned with zeros. A value wider than
+--                   its field blocks the export; it is never cut.
+
+-- ─── 1. New table: payroll_bank_layouts ──────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS payroll_bank_layouts (
+  id          text        PRIMARY KEY,
+  name        text        NOT NULL,
+  format      text        NOT NULL DEFAULT 'csv',
+  params      jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  created_at  timestamptz NOT NULL DEFAULT now(),
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT payroll_bank_layouts_format_check CHECK (format IN ('csv','fixed'))
+);
+
+ALTER TABLE payroll_bank_layouts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON payroll_bank_layouts;
+CREATE POLICY "Anon full access"
+  ON payroll_bank_layouts
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. Seed: one generic layout per format ──────────────────────────────────
+-- Starting points only — adjust the fields to the layout each bank publishes.
+
+INSERT INTO payroll_bank_layouts (id, name, format, params)
+VALUES
+  ('bank-seed-csv', 'Genérico CSV', 'csv', '{
+     "delimiter": ",", "includeHeader": true, "originAccount": "",
+     "fields": [
+       { "source": "sequence",      "label": "No." },
+       { "source": "document",      "label": "Cedula" },
+       { "source": "name",          "label": "Nombre" },
+       { "source": "accountNumber", "label": "Cuenta" },
+       { "source": "accountType",   "label": "Tipo" },
+       { "source": "amount",        "label": "Monto" },
+       { "source": "reference",     "label": "Concepto" }
+     ]
+   }'::jsonb),
+  ('bank-seed-fixed', 'Genérico ancho fijo', 'fixed', '{
+     "originAccount": "",
+     "fields": [
+       { "source": "accountType",   "width": 2,  "align": "left",  "pad": " " },
+       { "source": "accountNumber", "width": 20, "align": "left",  "pad": " " },
+       { "source": "document",      "width": 11, "align": "left",  "pad": " " },
+       { "source": "name",          "width": 35, "align": "left",  "pad": " " },
+       { "source": "amountCents",   "width": 13, "align": "right", "pad": "0" },
+       { "source": "reference",     "width": 30, "align": "left",  "pad": " " }
+     ]
+   }'::jsonb)
+ON CONFLICT (id) DO NOTHING;
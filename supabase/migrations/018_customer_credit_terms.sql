@@ -0,0 +1,17 @@
+-- Migration 018: customer credit limits and payment terms
+--
+-- customers get the two fields sales.js / pendingSales.js check before a sale
+-- is created or confirmed (see getCustomerArSummary in api.js):
+--   • credit_limit        — maximum outstanding AR (confirmed sales minus
+--                           payments). NULL = no limit.
+--   • payment_terms_days  — days of credit from the sale date. An invoice with
+--                           balance past sale_date + terms is overdue.
+--                           0 = cash (due the same day). NULL = no terms
+--                           configured: the overdue check is skipped, so
+--                           existing customers are not blocked until an
+--                           admin sets their terms.
+-- The AR aging report (reports.js) and the estado de cuenta (customers.js)
+-- use payment_terms_days to compute the due date of every invoice.
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_limit       numeric;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS payment_terms_days integer;
@@ -0,0 +1,69 @@
+-- Migration 019: recurring expense templates
+--
+-- Rent (fábrica, área de lavado), electricity, telecom… are the same every
+-- month. A template holds the values of the expense; expenses.js lists, for
+-- every active template and every month from start_month up to the current
+-- one, the instance that has not been generated yet ("por generar"). The admin
+-- confirms it as is or edits it before saving.
+--
+-- Generated expenses keep the link (recurring_expense_id + recurring_month)
+-- and the amount the template had at that moment (template_amount), so the
+-- expenses report can compare actual vs. template even after the template
+-- changes.
+--
+-- recurring_expenses:
+--   amount          fixed amount, or the estimate when is_estimated = true
+--                   (e.g. electricity — the real bill is entered on confirm)
+--   method          payment method ('cash' | 'transfer' | 'card' | 'check');
+--                   null when is_payable
+--   day_of_month    1–31; clamped to the last day in shorter months
+--   is_payable      generate as cuenta por pagar with creditor_type/creditor_id
+--                   (same values as expenses, migration 007)
+--   start_month     'YYYY-MM' — first month generated
+--   skipped_months  jsonb array of 'YYYY-MM' the admin chose not to generate
+
+-- ─── 1. New table: recurring_expenses ────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+  id              text        PRIMARY KEY,
+  description     text        NOT NULL,
+  category        text        NOT NULL,
+  amount          numeric     NOT NULL DEFAULT 0,
+  is_estimated    boolean     NOT NULL DEFAULT false,
+  method          text,
+  day_of_month    integer     NOT NULL DEFAULT 1,
+  is_payable      boolean     NOT NULL DEFAULT false,
+  creditor_type   text,
+  creditor_id     text,
+  notes           text,
+  start_month     text        NOT NULL,
+  skipped_months  jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  is_active       boolean     NOT NULL DEFAULT true,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT recurring_expenses_day_check CHECK (day_of_month BETWEEN 1 AND 31),
+  CONSTRAINT recurring_expenses_creditor_type_check
+    CHECK (creditor_type IS NULL OR creditor_type IN ('supplier','service_provider'))
+);
+
+ALTER TABLE recurring_expenses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON recurring_expenses;
+CREATE POLICY "Anon full access"
+  ON recurring_expenses
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. Link on expenses ─────────────────────────────────────────────────────
+
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_expense_id text;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_month      text;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS template_amount      numeric;
+
+-- One expense per template and month — a second confirm fails instead of
+-- duplicating the charge.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_month
+  ON expenses (recurring_expense_id, recurring_month)
+  WHERE recurring_expense_id IS NOT NULL;
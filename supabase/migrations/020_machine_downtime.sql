@@ -0,0 +1,51 @@
+-- Migration 020: machine downtime / maintenance log
+--
+-- One row per event in which an injector was stopped (machines.js →
+-- "Historial" per machine, "Horas de parada por mes").
+--
+--   started_at / ended_at  ended_at NULL = the machine is still down
+--   cause                  'averia' | 'cambio_molde' | 'falta_material' |
+--                          'mantenimiento_preventivo'
+--   technician_id          service_providers.id (optional — internal repairs
+--                          have no technician)
+--   parts                  free text: parts replaced / used
+--   cost                   total cost of the event (parts + labor)
+--   expense_id             optional link to the expense registered in
+--                          expenses.js for this repair; the cost here is
+--                          informative and does not create an expense
+
+-- ─── 1. New table: machine_downtime_events ──────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS machine_downtime_events (
+  id             text        PRIMARY KEY,
+  machine_id     text        NOT NULL,
+  started_at     timestamptz NOT NULL,
+  ended_at       timestamptz,
+  cause          text        NOT NULL,
+  description    text,
+  technician_id  text,
+  parts          text,
+  cost           numeric     NOT NULL DEFAULT 0,
+  expense_id     text,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT machine_downtime_cause_check
+    CHECK (cause IN ('averia','cambio_molde','falta_material','mantenimiento_preventivo')),
+  CONSTRAINT machine_downtime_range_check
+    CHECK (ended_at IS NULL OR ended_at >= started_at)
+);
+
+ALTER TABLE machine_downtime_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON machine_downtime_events;
+CREATE POLICY "Anon full access"
+  ON machine_downtime_events
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. Index for the per-machine history ───────────────────────────────────
+
+CREATE INDEX IF NOT EXISTS idx_machine_downtime_machine
+  ON machine_downtime_events (machine_id, started_at DESC);
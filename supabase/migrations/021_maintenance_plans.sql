@@ -0,0 +1,41 @@
+-- Migration 021: preventive maintenance plans per machine
+--
+-- A plan is due every interval_days calendar days and/or every
+-- interval_packages packages produced on the machine (sum of
+-- production.quantity for that machine_id after last_done_date), whichever
+-- comes first. Plans drive the "mantenimientos vencidos / próximos" lists in
+-- the dashboard and in machines.js (see getMaintenanceStatus in api.js).
+--
+--   tasks            jsonb array of strings — checklist shown on completion
+--   last_done_date   date the plan was last completed (set on creation to the
+--                    last known service date; updated by "Completar")
+--   last_done_notes  notes of the last completion
+--
+-- Completions are logged to change_history (entity_type
+-- 'maintenance_plan', action 'completar').
+
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+  id                 text        PRIMARY KEY,
+  machine_id         text        NOT NULL,
+  name               text        NOT NULL,
+  tasks              jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  interval_days      integer,
+  interval_packages  numeric,
+  last_done_date     date        NOT NULL,
+  last_done_notes    text,
+  is_active          boolean     NOT NULL DEFAULT true,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT maintenance_plans_interval_check
+    CHECK (COALESCE(interval_days, 0) > 0 OR COALESCE(interval_packages, 0) > 0)
+);
+
+ALTER TABLE maintenance_plans ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON maintenance_plans;
+CREATE POLICY "Anon full access"
+  ON maintenance_plans
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
@@ -0,0 +1,79 @@
+-- Migration 022: mold (molde) registry and mount history
+--
+-- molds.js → catalog of injection molds and the record of which machine each
+-- one is mounted on. production.js stamps the mold used on every production
+-- record (production.extra — no column change there):
+--   moldId                 molds.id
+--   moldCavitiesSnapshot   cavities of the mold when the record was made
+--
+-- molds:
+--   product_id     products.id the mold produces (optional)
+--   cavities       caps per shot
+--   cycle_seconds  nominal cycle time; drives the theoretical output
+--   status         'active' | 'maintenance' | 'retired'
+--   initial_shots  shot counter carried over from before CapFlow
+--   max_shots      expected service life in shots (optional — wear %)
+--
+-- mold_mounts:
+--   mounted_at / unmounted_at   unmounted_at NULL = still on the machine.
+--   A mold is on at most one machine and a machine holds at most one mold at
+--   a time; MoldMountsAPI.mount() closes the open mounts before inserting.
+
+-- ─── 1. New table: molds ─────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS molds (
+  id             text        PRIMARY KEY,
+  code           text        NOT NULL,
+  name           text        NOT NULL,
+  product_id     text,
+  cavities       integer     NOT NULL,
+  cycle_seconds  numeric     NOT NULL,
+  status         text        NOT NULL DEFAULT 'active',
+  initial_shots  bigint      NOT NULL DEFAULT 0,
+  max_shots      bigint,
+  notes          text,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT molds_status_check   CHECK (status IN ('active','maintenance','retired')),
+  CONSTRAINT molds_cavities_check CHECK (cavities > 0),
+  CONSTRAINT molds_cycle_check    CHECK (cycle_seconds > 0)
+);
+
+ALTER TABLE molds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON molds;
+CREATE POLICY "Anon full access"
+  ON molds
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. New table: mold_mounts ───────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS mold_mounts (
+  id            text        PRIMARY KEY,
+  mold_id       text        NOT NULL REFERENCES molds(id) ON DELETE CASCADE,
+  machine_id    text        NOT NULL,
+  mounted_at    timestamptz NOT NULL,
+  unmounted_at  timestamptz,
+  notes         text,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT mold_mounts_range_check
+    CHECK (unmounted_at IS NULL OR unmounted_at >= mounted_at)
+);
+
+ALTER TABLE mold_mounts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON mold_mounts;
+CREATE POLICY "Anon full access"
+  ON mold_mounts
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_mold_mounts_mold
+  ON mold_mounts (mold_id, mounted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mold_mounts_machine
+  ON mold_mounts (machine_id, mounted_at DESC);
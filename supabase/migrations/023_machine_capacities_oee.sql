@@ -0,0 +1,38 @@
+-- Migration 023: nominal machine capacity for OEE
+--
+-- OEE = disponibilidad × rendimiento × calidad, per production record
+-- (reports.js → "OEE", dashboard trend). The per-record inputs live in
+-- production.extra (no column change there):
+--   plannedMinutes     planned shift minutes (default 480 when missing)
+--   stopMinutes        minutes the machine was stopped during the shift
+--   rejectedQuantity   packages rejected; `quantity` stays the good output
+--
+-- machine_capacities holds the ideal rate the performance factor is measured
+-- against. product_id NULL = the machine's rate for any product without its
+-- own row.
+
+-- ─── 1. New table: machine_capacities ───────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS machine_capacities (
+  id                 text        PRIMARY KEY,
+  machine_id         text        NOT NULL,
+  product_id         text,
+  packages_per_hour  numeric     NOT NULL,
+  created_at         timestamptz NOT NULL DEFAULT now(),
+  updated_at         timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT machine_capacities_rate_check CHECK (packages_per_hour > 0)
+);
+
+ALTER TABLE machine_capacities ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON machine_capacities;
+CREATE POLICY "Anon full access"
+  ON machine_capacities
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- One rate per machine + product (and one default per machine)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_machine_capacities_unique
+  ON machine_capacities (machine_id, COALESCE(product_id, ''));
@@ -0,0 +1,75 @@
+-- Migration 024: production orders and machine scheduling board
+--
+-- production-orders.js → orders (what to make, how much, by when) and a
+-- weekly board that assigns them to machine + date + shift slots.
+--
+-- Progress accrues from production records stamped with the order in
+-- production.extra (no column change there):
+--   productionOrderId   production_orders.id
+-- production.js preselects the order scheduled for the record's machine,
+-- date and shift; confirming a daily_production_log (daily-production.js)
+-- creates a production record stamped the same way, so confirmed logs count
+-- once, through that record.
+--
+-- order_number uses next_invoice_number('OP-') (migration 006 counters).
+--
+-- production_orders.status: 'open' | 'done' | 'cancelled'
+-- production_schedule.shift: 'Matutino' | 'Vespertino' | 'Nocturno'
+--   (same labels as production.shift)
+
+-- ─── 1. New table: production_orders ────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS production_orders (
+  id               text        PRIMARY KEY,
+  order_number     text        NOT NULL UNIQUE,
+  product_id       text        NOT NULL,
+  color            text,
+  target_packages  numeric     NOT NULL,
+  due_date         date        NOT NULL,
+  customer_id      text,
+  status           text        NOT NULL DEFAULT 'open',
+  notes            text,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT production_orders_status_check CHECK (status IN ('open','done','cancelled')),
+  CONSTRAINT production_orders_target_check CHECK (target_packages > 0)
+);
+
+ALTER TABLE production_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON production_orders;
+CREATE POLICY "Anon full access"
+  ON production_orders
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+-- ─── 2. New table: production_schedule ──────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS production_schedule (
+  id                text        PRIMARY KEY,
+  order_id          text        NOT NULL REFERENCES production_orders(id) ON DELETE CASCADE,
+  machine_id        text        NOT NULL,
+  schedule_date     date        NOT NULL,
+  shift             text        NOT NULL,
+  planned_packages  numeric     NOT NULL DEFAULT 0,
+  notes             text,
+  created_at        timestamptz NOT NULL DEFAULT now(),
+  updated_at        timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE production_schedule ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON production_schedule;
+CREATE POLICY "Anon full access"
+  ON production_schedule
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_production_schedule_date
+  ON production_schedule (schedule_date, machine_id);
+CREATE INDEX IF NOT EXISTS idx_production_schedule_order
+  ON production_schedule (order_id);
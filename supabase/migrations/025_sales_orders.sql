@@ -0,0 +1,54 @@
+-- Migration 025: customer sales orders (pedidos) with stock reservation
+--
+-- sales-orders.js → orders a customer places by phone and takes over several
+-- dispatches. Each order line may hold finished-goods stock so other sales
+-- cannot take it (inventory available = stock − reserved).
+--
+-- lines (jsonb): [{ productId, quantity, unitPrice, reserved }]
+--   quantity   packages ordered
+--   unitPrice  agreed price, copied into the sale line on invoicing
+--   reserved   packages held for the line, counted from the start of the
+--              order (delivered ones included): the line still holds
+--              min(reserved − delivered, pending); the rest of the pending
+--              quantity is backordered (has to be produced)
+--
+-- Deliveries are not stored here: Facturación (sales.js) stamps every line of
+-- a sale made from an order with salesOrderId inside sales.lines (jsonb, no
+-- column change), and the sale goes through create_sale_with_inventory_debit
+-- as any other sale. Deleting or rejecting the sale gives the quantity back
+-- to the order.
+--
+-- order_number uses next_invoice_number('PED-') (migration 006 counters).
+--
+-- status: 'open' | 'done' | 'cancelled' — only open orders hold stock.
+
+-- ─── 1. New table: sales_orders ─────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS sales_orders (
+  id             text        PRIMARY KEY,
+  order_number   text        NOT NULL UNIQUE,
+  customer_id    text        NOT NULL,
+  order_date     date        NOT NULL,
+  promised_date  date,
+  status         text        NOT NULL DEFAULT 'open',
+  lines          jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  notes          text,
+  created_at     timestamptz NOT NULL DEFAULT now(),
+  updated_at     timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT sales_orders_status_check CHECK (status IN ('open','done','cancelled'))
+);
+
+ALTER TABLE sales_orders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON sales_orders;
+CREATE POLICY "Anon full access"
+  ON sales_orders
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_sales_orders_status
+  ON sales_orders (status, promised_date);
+CREATE INDEX IF NOT EXISTS idx_sales_orders_customer
+  ON sales_orders (customer_id);
@@ -0,0 +1,64 @@
+-- Migration 026: quality-control inspections (rechazos y purga)
+--
+-- quality.js → every inspection records the packages rejected for one defect
+-- type and the purge (lbs of plastic lost while changing color / material or
+-- starting the machine). An inspection belongs to one production record or,
+-- before the supervisor confirms it, to one pending daily log
+-- (daily_production_logs). Confirming the log creates the production record
+-- and moves its inspections onto it (daily_log_id is kept for traceability).
+--
+-- defect_type: 'flash' (rebaba) | 'short_shot' (tiro corto) | 'color' |
+--              'weight' (peso fuera de rango) | 'contamination' | 'other'
+--
+-- Production records (production.extra, jsonb — no column change) keep the
+-- totals of their inspections so OEE and the material balance read them
+-- without a join:
+--   rejectedQuantity  Σ rejected_packages (already used by OEE — migration
+--                     023); typed by hand only while a record has no
+--                     inspections
+--   purgeLbs          Σ purge_lbs
+--   qcInspections     number of inspections of the record
+--
+-- Rejected lbs = rejectedQuantity × weightPerPackageSnapshot; with purgeLbs
+-- they explain part of the waste in Materia Prima → Balance.
+
+-- ─── 1. New table: qc_inspections ───────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS qc_inspections (
+  id                 text          PRIMARY KEY,
+  production_id      text,
+  daily_log_id       text,
+  inspection_date    date          NOT NULL,
+  machine_id         text,
+  operator_id        text,
+  product_id         text,
+  defect_type        text          NOT NULL,
+  rejected_packages  integer       NOT NULL DEFAULT 0,
+  purge_lbs          numeric(10,2) NOT NULL DEFAULT 0,
+  notes              text,
+  created_at         timestamptz   NOT NULL DEFAULT now(),
+  updated_at         timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT qc_inspections_defect_check CHECK (defect_type IN
+    ('flash','short_shot','color','weight','contamination','other')),
+  CONSTRAINT qc_inspections_rejected_check CHECK (rejected_packages >= 0),
+  CONSTRAINT qc_inspections_purge_check    CHECK (purge_lbs >= 0),
+  CONSTRAINT qc_inspections_source_check   CHECK
+    (production_id IS NOT NULL OR daily_log_id IS NOT NULL)
+);
+
+ALTER TABLE qc_inspections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON qc_inspections;
+CREATE POLICY "Anon full access"
+  ON qc_inspections
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_qc_inspections_date
+  ON qc_inspections (inspection_date);
+CREATE INDEX IF NOT EXISTS idx_qc_inspections_production
+  ON qc_inspections (production_id);
+CREATE INDEX IF NOT EXISTS idx_qc_inspections_daily_log
+  ON qc_inspections (daily_log_id);
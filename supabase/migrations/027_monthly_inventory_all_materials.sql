@@ -0,0 +1,24 @@
+-- Migration 027: closing inventory for every raw-material type
+--
+-- monthly_inventory only had recycled_closing_lbs and pellet_closing_lbs, so
+-- 'pellet_regular' (peletizado) and 'colorant' (colorante) bought in
+-- rawMaterials.js never reached the material balance or the cost per package.
+--
+-- closing_lbs (jsonb): { <raw_materials.type>: lbs } — one entry per type of
+-- MATERIAL_TYPES (api.js): recycled, pellet, pellet_regular, colorant.
+-- The two legacy columns stay and are still written by MonthlyInventoryAPI
+-- with the recycled / pellet values, so older readers keep working.
+--
+-- Consumed lbs per type = previous closing + purchases − closing, costed at
+-- the month's average purchase cost of that type (getMonthlyMaterialCost):
+-- dashboard.js, sales.js cost snapshots and reports.js all use it.
+
+ALTER TABLE monthly_inventory
+  ADD COLUMN IF NOT EXISTS closing_lbs jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Backfill from the legacy columns.
+UPDATE monthly_inventory
+   SET closing_lbs = jsonb_build_object(
+         'recycled', COALESCE(recycled_closing_lbs, 0),
+         'pellet',   COALESCE(pellet_closing_lbs,   0))
+ WHERE closing_lbs = '{}'::jsonb;
@@ -0,0 +1,45 @@
+-- Migration 028: bill of materials (receta) per product, versioned
+--
+-- products.js → "Receta" of a manufactured product: how much of each raw
+-- material goes into one package. A change of recipe is a new version with
+-- the date it starts to apply; older versions stay for past production.
+-- rawMaterials.js compares the month's real consumption per material type
+-- against production × the recipe in force on each production date.
+--
+-- materials (jsonb): { recycled, pellet, pellet_regular }  lbs per package
+--   (raw_materials.type values; missing keys = 0)
+-- colorant_pct: colorant lbs as % of the resin lbs of the package
+-- packaging (jsonb): [{ name, quantity }]  units per package (bags, labels…)
+--
+-- version is numbered per product (1, 2, …); the version applying on a date
+-- is the one with the latest effective_from on or before it.
+
+-- ─── 1. New table: product_boms ─────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS product_boms (
+  id              text        PRIMARY KEY,
+  product_id      text        NOT NULL,
+  version         integer     NOT NULL,
+  effective_from  date        NOT NULL,
+  materials       jsonb       NOT NULL DEFAULT '{}'::jsonb,
+  colorant_pct    numeric     NOT NULL DEFAULT 0,
+  packaging       jsonb       NOT NULL DEFAULT '[]'::jsonb,
+  notes           text,
+  created_at      timestamptz NOT NULL DEFAULT now(),
+  updated_at      timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT product_boms_version_unique   UNIQUE (product_id, version),
+  CONSTRAINT product_boms_colorant_check   CHECK (colorant_pct >= 0 AND colorant_pct <= 100)
+);
+
+ALTER TABLE product_boms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON product_boms;
+CREATE POLICY "Anon full access"
+  ON product_boms
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_product_boms_product
+  ON product_boms (product_id, effective_from);
@@ -0,0 +1,67 @@
+-- Migration 029: lot traceability from production to customer
+--
+-- production.extra.lotNumber (jsonb, no column change): "L<YYMMDD>-NNN",
+--   given by ProductionAPI.create from next_invoice_number('L<YYMMDD>-')
+--   (migration 006 counters, one per production day).
+-- daily_production_logs.lot_number: lot of the record a confirmed log became.
+-- sales.lines[].lots (jsonb, no column change): [{ lotNumber, quantity }] on
+--   manufactured lines of confirmed sales, oldest lots first.
+-- inventory_movements.lots: [{ lotNumber, quantity }] of finished goods the
+--   movement moved; null for raw materials and manual movements.
+--
+-- Existing production records get lot numbers below, numbered per day in the
+-- order they were created, and their inventory credit carries the lot.
+-- Sales made before this migration have no lots (shown as unassigned).
+
+-- ─── 1. New columns ─────────────────────────────────────────────────────────
+
+ALTER TABLE inventory_movements
+  ADD COLUMN IF NOT EXISTS lots jsonb;
+
+ALTER TABLE daily_production_logs
+  ADD COLUMN IF NOT EXISTS lot_number text;
+
+-- ─── 2. Backfill: lot numbers for existing production ───────────────────────
+
+WITH numbered AS (
+  SELECT id,
+         'L' || to_char(production_date, 'YYMMDD') || '-' AS prefix,
+         row_number() OVER (PARTITION BY production_date ORDER BY created_at, id) AS n
+  FROM production
+  WHERE production_date IS NOT NULL
+    AND (extra->>'lotNumber') IS NULL
+)
+UPDATE production p
+SET extra = COALESCE(p.extra, '{}'::jsonb)
+            || jsonb_build_object('lotNumber', numbered.prefix || lpad(numbered.n::text, 3, '0'))
+FROM numbered
+WHERE p.id = numbered.id;
+
+-- Counters continue after the backfilled numbers of each day
+INSERT INTO invoice_counters (prefix, last_number)
+SELECT 'L' || to_char(production_date, 'YYMMDD') || '-', count(*)
+FROM production
+WHERE production_date IS NOT NULL
+GROUP BY 1
+ON CONFLICT (prefix) DO UPDATE
+  SET last_number = GREATEST(invoice_counters.last_number, EXCLUDED.last_number);
+
+-- ─── 3. Backfill: production credits carry their lot ────────────────────────
+
+UPDATE inventory_movements m
+SET lots = jsonb_build_array(jsonb_build_object(
+      'lotNumber', p.extra->>'lotNumber',
+      'quantity',  abs(m.quantity)))
+FROM production p
+WHERE m.reference_id = p.id
+  AND m.lots IS NULL
+  AND (p.extra->>'lotNumber') IS NOT NULL;
+
+-- ─── 4. Indexes ─────────────────────────────────────────────────────────────
+
+-- Unique: a repeated lot number would mix two records in the traceability.
+CREATE UNIQUE INDEX IF NOT EXISTS uq_production_lot_number
+  ON production ((extra->>'lotNumber'))
+  WHERE (extra->>'lotNumber') IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_daily_production_logs_lot_number
+  ON daily_production_logs (lot_number);
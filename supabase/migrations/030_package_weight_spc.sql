@@ -0,0 +1,39 @@
+-- Migration 030: statistical process control for package weights
+--
+-- package_weights (migration 002) holds the weight of the 1,000-cap reference
+-- package CapDispatch operators register every shift. Control de Peso
+-- (weight-control.js) charts it per product with X̄/R control limits.
+--
+-- 1. products — spec of the reference package:
+--      weight_target_lbs     nominal weight (lb per 1,000 caps)
+--      weight_tolerance_lbs  ± allowed around the target; a weighing outside
+--                            [target − tolerance, target + tolerance] is
+--                            out of spec
+--    Both null = no spec (the chart shows control limits only).
+--
+-- 2. package_weights.product_id — product the reference package belongs to.
+--    Optional: CapDispatch may not send it, and older rows have none. CapFlow
+--    falls back to the production record of the same operator and day
+--    (api.js → getPackageWeightSeries).
+
+-- ─── 1. products — weight spec ──────────────────────────────────────────────
+
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS weight_target_lbs    numeric(10,4),
+  ADD COLUMN IF NOT EXISTS weight_tolerance_lbs numeric(10,4);
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_weight_spec_check;
+ALTER TABLE products
+  ADD CONSTRAINT products_weight_spec_check
+  CHECK (
+    (weight_target_lbs    IS NULL OR weight_target_lbs    > 0) AND
+    (weight_tolerance_lbs IS NULL OR weight_tolerance_lbs >= 0)
+  );
+
+-- ─── 2. package_weights — product ───────────────────────────────────────────
+
+ALTER TABLE public.package_weights
+  ADD COLUMN IF NOT EXISTS product_id text;
+
+CREATE INDEX IF NOT EXISTS package_weights_product_idx
+  ON public.package_weights (product_id, shift_date);
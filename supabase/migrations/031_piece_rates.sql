@@ -0,0 +1,44 @@
+-- Migration 031: piece-rate table (tarifa por paquete)
+--
+-- operators.js → Tarifas por paquete. The RD$ an operator earns per package,
+-- by product, machine and / or shift, valid from effective_from. Production
+-- (production.js) and the daily-log confirmation (daily-production.js) fill
+-- the operator rate from here; the record still stamps it into
+-- production.operator_rate_snapshot, which payroll keeps reading.
+--
+-- product_id / machine_id / shift null = any. operator_id set = override for
+-- that operator only. The rate of a record is the most specific row that
+-- matches it (operator override first, then the most of product / machine /
+-- shift set), taking the latest effective_from ≤ the production date within
+-- each combination — api.js → getPieceRate.
+
+-- ─── 1. New table: piece_rates ──────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS piece_rates (
+  id              text          PRIMARY KEY,
+  product_id      text,
+  machine_id      text,
+  shift           text,
+  operator_id     text,
+  rate            numeric(10,4) NOT NULL,
+  effective_from  date          NOT NULL,
+  notes           text,
+  created_at      timestamptz   NOT NULL DEFAULT now(),
+  updated_at      timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT piece_rates_rate_check CHECK (rate > 0)
+);
+
+ALTER TABLE piece_rates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON piece_rates;
+CREATE POLICY "Anon full access"
+  ON piece_rates
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_piece_rates_effective
+  ON piece_rates (effective_from);
+CREATE INDEX IF NOT EXISTS idx_piece_rates_product
+  ON piece_rates (product_id);
@@ -0,0 +1,92 @@
+-- Migration 032: shift catalog and multiple-shift policy
+--
+-- operators.js → Turnos. Until now the shifts were fixed in code
+-- (Matutino / Vespertino / Nocturno) and production.js refused a second
+-- shift for the same operator on the same day. Operators double up when
+-- someone is absent, so both become configurable.
+--
+-- 1. shifts — the catalog the production form, the daily-log confirmation,
+--    the scheduling board and the rate table list. Records keep storing the
+--    shift NAME (production.shift, production_schedule.shift,
+--    piece_rates.shift), so a name is never renamed once in use — deactivate
+--    it and add another instead.
+--      start_time / end_time   end_time < start_time = crosses midnight
+--      is_night                night shift flag
+--      night_premium_pct       % over the piece-rate pay of a night shift
+--      overtime_premium_pct    % over the piece-rate pay of this shift when it
+--                              is the operator's second (or later) shift of
+--                              the day
+--    payroll.js computePay() adds both premiums to the gross
+--    (api.js → computeShiftPremiums). Percentages are stored as 15 = 15 %.
+--    The seed leaves both premiums at 0 so applying this migration does not
+--    change the gross of a quincena already in progress. An admin sets them
+--    in Operarios → Turnos (Código de Trabajo minimums: night hours +15 %,
+--    overtime +35 %); open quincenas recompute from then on, closed ones
+--    keep their snapshot.
+--
+-- 2. production_settings — single row (id = 'default'):
+--      multi_shift_policy   allow | warn | block
+--        allow  a second shift that day is saved as-is
+--        warn   it is saved only with a reason (production.extra.multiShiftReason)
+--        block  it is refused (the former rule)
+
+-- ─── 1. New table: shifts ───────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS shifts (
+  id                    text          PRIMARY KEY,
+  name                  text          NOT NULL UNIQUE,
+  start_time            time          NOT NULL,
+  end_time              time          NOT NULL,
+  is_night              boolean       NOT NULL DEFAULT false,
+  night_premium_pct     numeric(5,2)  NOT NULL DEFAULT 0,
+  overtime_premium_pct  numeric(5,2)  NOT NULL DEFAULT 0,
+  sort_order            integer       NOT NULL DEFAULT 0,
+  is_active             boolean       NOT NULL DEFAULT true,
+  created_at            timestamptz   NOT NULL DEFAULT now(),
+  updated_at            timestamptz   NOT NULL DEFAULT now(),
+  CONSTRAINT shifts_premiums_check CHECK (
+    night_premium_pct >= 0 AND overtime_premium_pct >= 0
+  )
+);
+
+ALTER TABLE shifts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON shifts;
+CREATE POLICY "Anon full access"
+  ON shifts
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+INSERT INTO shifts (id, name, start_time, end_time, is_night,
+                    night_premium_pct, overtime_premium_pct, sort_order)
+VALUES
+  ('shift-matutino',   'Matutino',   '06:00', '14:00', false, 0, 0, 1),
+  ('shift-vespertino', 'Vespertino', '14:00', '22:00', false, 0, 0, 2),
+  ('shift-nocturno',   'Nocturno',   '22:00', '06:00', true,  0, 0, 3)
+ON CONFLICT (id) DO NOTHING;
+
+-- ─── 2. New table: production_settings ──────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS production_settings (
+  id                  text        PRIMARY KEY,
+  multi_shift_policy  text        NOT NULL DEFAULT 'warn',
+  updated_at          timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT production_settings_policy_check
+    CHECK (multi_shift_policy IN ('allow', 'warn', 'block'))
+);
+
+ALTER TABLE production_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON production_settings;
+CREATE POLICY "Anon full access"
+  ON production_settings
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+INSERT INTO production_settings (id, multi_shift_policy)
+VALUES ('default', 'warn')
+ON CONFLICT (id) DO NOTHING;
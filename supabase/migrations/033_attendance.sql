@@ -0,0 +1,52 @@
+-- Migration 033: attendance (asistencia)
+--
+-- attendance.js → Asistencia. One row per operator / employee per day:
+-- check-in / check-out when the person came in, or an absence type when they
+-- did not. Days without a row are simply not recorded. Rows come from manual
+-- entry or from a time-clock CSV export (source = 'csv').
+--
+--   person_key     'operator:<id>' | 'employee:<id>' — same key payroll uses
+--                  (payroll_config / payroll_adjustments)
+--   check_in / check_out
+--                  check_out earlier than check_in = shift crossed midnight
+--   absence_type   justificada | injustificada | licencia (null = present)
+--
+-- payroll.js computePay() deducts each 'injustificada' day in the quincena
+-- from the salary of the salary schemes: monthly salary ÷ 23.83 per day
+-- (api.js → SALARY_DAYS_PER_MONTH). Justified absences and leave are not
+-- deducted.
+
+-- ─── 1. New table: attendance ───────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS attendance (
+  id               text        PRIMARY KEY,
+  person_key       text        NOT NULL,
+  attendance_date  date        NOT NULL,
+  check_in         time,
+  check_out        time,
+  absence_type     text,
+  source           text        NOT NULL DEFAULT 'manual',
+  notes            text,
+  created_at       timestamptz NOT NULL DEFAULT now(),
+  updated_at       timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT attendance_person_date_key UNIQUE (person_key, attendance_date),
+  CONSTRAINT attendance_absence_type_check
+    CHECK (absence_type IS NULL OR absence_type IN ('justificada', 'injustificada', 'licencia')),
+  CONSTRAINT attendance_source_check
+    CHECK (source IN ('manual', 'csv')),
+  CONSTRAINT attendance_present_or_absent_check
+    CHECK ((absence_type IS NULL) = (check_in IS NOT NULL))
+);
+
+ALTER TABLE attendance ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anon full access" ON attendance;
+CREATE POLICY "Anon full access"
+  ON attendance
+  FOR ALL
+  TO public
+  USING (true)
+  WITH CHECK (true);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_date
+  ON attendance (attendance_date);
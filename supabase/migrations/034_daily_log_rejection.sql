@@ -0,0 +1,26 @@
+-- Migration 034: rejected daily logs and operator scorecard
+--
+-- daily-production.js → Paquetes Diarios. A log the supervisor does not
+-- accept used to be deleted, so nothing told a wrong count from a good one.
+-- It is now kept as status = 'rejected' with the reason, and Desempeño
+-- (operator-performance.js, api.js → getOperatorScorecards) reports rejected
+-- vs confirmed logs per operator.
+--
+--   status            pending_review → confirmed | rejected
+--   rejected_at       when it was rejected
+--   rejection_reason  why (required by the UI)
+
+-- ─── 1. daily_production_logs: rejection columns ────────────────────────────
+
+ALTER TABLE daily_production_logs
+  ADD COLUMN IF NOT EXISTS rejected_at      timestamptz,
+  ADD COLUMN IF NOT EXISTS rejection_reason text;
+
+ALTER TABLE daily_production_logs
+  DROP CONSTRAINT IF EXISTS daily_production_logs_status_check;
+ALTER TABLE daily_production_logs
+  ADD CONSTRAINT daily_production_logs_status_check
+  CHECK (status IN ('pending_review', 'confirmed', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_daily_production_logs_date
+  ON daily_production_logs (production_date);